@@ -0,0 +1,175 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import ArcadeScoreService from '../services/ArcadeScoreService.js';
+import ArcadeScore from '../db/models/ArcadeScore.js';
+import {
+    ARCADE_SCORE_GAMES,
+    SNAKE_RULES,
+    SNAKE_DIRECTIONS,
+    spawnSnakeFood,
+    replaySnakeRun,
+    getLeaderboardPeriodStart,
+} from '../config/arcadeScores.js';
+import { createSeededRandom } from '../utils/seededRandom.js';
+
+vi.mock('../db/models/ArcadeScore.js', () => ({
+    default: {
+        getPersonalBest: vi.fn(),
+        create: vi.fn(),
+        aggregate: vi.fn(),
+    },
+}));
+
+/**
+ * Play Snake the way the client does: chase `foods` pieces of food, then steer into the top wall.
+ * Returns the input log and the score the client would display.
+ */
+function playSnake(seed, foods) {
+    const random = createSeededRandom(seed);
+    const snake = [{ ...SNAKE_RULES.START }];
+    let dir = SNAKE_DIRECTIONS.R;
+    let food = spawnSnakeFood(random, snake);
+    let score = 0;
+    const inputs = [];
+
+    for (let move = 0; move < 2000; move++) {
+        const head = snake[0];
+        let want;
+        if (score < foods * SNAKE_RULES.FOOD_POINTS) {
+            if (food.x !== head.x) want = food.x > head.x ? 'R' : 'L';
+            else want = food.y > head.y ? 'D' : 'U';
+        } else {
+            want = 'U';
+        }
+        let next = SNAKE_DIRECTIONS[want];
+        if (next.x === -dir.x && next.y === -dir.y) next = dir.x === 0 ? SNAKE_DIRECTIONS.R : SNAKE_DIRECTIONS.U;
+        if (next !== dir) {
+            inputs.push([move, Object.keys(SNAKE_DIRECTIONS).find((code) => SNAKE_DIRECTIONS[code] === next)]);
+            dir = next;
+        }
+
+        const newHead = { x: head.x + dir.x, y: head.y + dir.y };
+        if (newHead.y < 0 || newHead.x < 0 || newHead.x >= SNAKE_RULES.GRID_SIZE || newHead.y >= SNAKE_RULES.GRID_SIZE
+            || snake.some((seg) => seg.x === newHead.x && seg.y === newHead.y)) {
+            return { inputs, score };
+        }
+        snake.unshift(newHead);
+        if (newHead.x === food.x && newHead.y === food.y) {
+            score += SNAKE_RULES.FOOD_POINTS;
+            food = spawnSnakeFood(random, snake);
+        } else {
+            snake.pop();
+        }
+    }
+    throw new Error('bot never crashed');
+}
+
+describe('snake replay', () => {
+    it('reproduces the client score from the seed and input log', () => {
+        const run = playSnake(1234, 3);
+        const replay = replaySnakeRun(1234, run.inputs);
+        expect(replay.valid).toBe(true);
+        expect(replay.score).toBe(30);
+        expect(replay.durationMs).toBeGreaterThan(0);
+
+        // Same inputs under another seed put the food elsewhere
+        expect(replaySnakeRun(99, run.inputs).score).not.toBe(30);
+    });
+
+    it('rejects reversals and inputs after the crash', () => {
+        expect(replaySnakeRun(1, [[0, 'L']]).error).toBe('BAD_INPUT');
+        expect(replaySnakeRun(1, [[500, 'U']]).error).toBe('BAD_INPUT');
+    });
+});
+
+describe('leaderboard periods', () => {
+    it('starts days at UTC midnight and weeks on Monday', () => {
+        const wednesday = Date.UTC(2026, 0, 14, 15, 30);
+        expect(getLeaderboardPeriodStart('daily', wednesday).toISOString()).toBe('2026-01-14T00:00:00.000Z');
+        expect(getLeaderboardPeriodStart('weekly', wednesday).toISOString()).toBe('2026-01-12T00:00:00.000Z');
+        expect(getLeaderboardPeriodStart('allTime', wednesday)).toBeNull();
+    });
+});
+
+describe('ArcadeScoreService', () => {
+    let service;
+    let clock;
+    const player = { walletAddress: 'w1', name: 'Waddler' };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        clock = 1_000_000;
+        service = new ArcadeScoreService(() => clock);
+        ArcadeScore.getPersonalBest.mockResolvedValue(20);
+        ArcadeScore.create.mockResolvedValue({});
+    });
+
+    it('stores a replayed snake run that matches the claimed score', async () => {
+        const { sessionId, seed } = service.startSession('w1', 'snake');
+        const run = playSnake(seed, 4);
+        clock += 60_000;
+
+        const result = await service.submitScore(player, { sessionId, score: run.score, inputs: run.inputs });
+        expect(result).toMatchObject({ success: true, score: 40, personalBest: 40, isPersonalBest: true });
+        expect(ArcadeScore.create).toHaveBeenCalledWith(expect.objectContaining({ walletAddress: 'w1', gameId: 'snake', score: 40 }));
+        expect(service.sessions.has('w1')).toBe(false);
+    });
+
+    it('rejects inflated, too-fast and unsessioned snake runs', async () => {
+        let session = service.startSession('w1', 'snake');
+        let run = playSnake(session.seed, 2);
+        clock += 60_000;
+        expect((await service.submitScore(player, { sessionId: session.sessionId, score: 500, inputs: run.inputs })).error).toBe('REPLAY_MISMATCH');
+
+        session = service.startSession('w1', 'snake');
+        run = playSnake(session.seed, 5);
+        expect((await service.submitScore(player, { sessionId: session.sessionId, score: run.score, inputs: run.inputs })).error).toBe('TOO_FAST');
+
+        expect((await service.submitScore(player, { sessionId: 'nope', score: 10, inputs: [] })).error).toBe('NO_SESSION');
+        expect(ArcadeScore.create).not.toHaveBeenCalled();
+    });
+
+    it('accepts checkpoint runs that score at a plausible rate', async () => {
+        const { sessionId } = service.startSession('w1', 'flappy_penguin');
+        for (let score = 1; score <= 10; score++) {
+            clock += 1500;
+            service.recordCheckpoint('w1', sessionId, score);
+        }
+        clock += 1500;
+        const result = await service.submitScore(player, { sessionId, score: 11 });
+        expect(result.success).toBe(true);
+    });
+
+    it('rejects checkpoint runs that jump faster than the game allows', async () => {
+        const { sessionId } = service.startSession('w1', 'flappy_penguin');
+        clock += 2000;
+        service.recordCheckpoint('w1', sessionId, 3);
+        clock += 2000;
+        service.recordCheckpoint('w1', sessionId, 3 + ARCADE_SCORE_GAMES.flappy_penguin.burstPoints + 10);
+        clock += 60_000;
+
+        const result = await service.submitScore(player, { sessionId, score: 20 });
+        expect(result).toMatchObject({ success: false, error: 'IMPLAUSIBLE_SCORE' });
+    });
+
+    it('only counts throttled solo wins for non-arcade minigames', () => {
+        expect(service.canRecordSoloWin('w1', 'card_jitsu')).toBe(true);
+        expect(service.canRecordSoloWin('w1', 'card_jitsu')).toBe(false);
+        expect(service.canRecordSoloWin('w1', 'snake')).toBe(false);
+        clock += 61_000;
+        expect(service.canRecordSoloWin('w1', 'card_jitsu')).toBe(true);
+    });
+
+    it('ranks each wallet best within the period', async () => {
+        ArcadeScore.aggregate.mockResolvedValue([
+            { _id: 'w2', username: 'Ice', score: 90, achievedAt: new Date(clock) },
+            { _id: 'w1', username: 'Waddler', score: 40, achievedAt: new Date(clock) },
+        ]);
+        const board = await service.getLeaderboard('avalanche_run', 'daily');
+        expect(board.map((entry) => [entry.rank, entry.walletAddress, entry.score])).toEqual([[1, 'w2', 90], [2, 'w1', 40]]);
+        const [match] = ArcadeScore.aggregate.mock.calls[0][0];
+        expect(match.$match.gameId).toBe('avalanche_run');
+        expect(match.$match.createdAt.$gte).toEqual(getLeaderboardPeriodStart('daily', clock));
+
+        expect(await service.getLeaderboard('pong', 'daily')).toEqual([]);
+    });
+});
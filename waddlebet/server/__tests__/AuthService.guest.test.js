@@ -0,0 +1,237 @@
+/**
+ * Guest accounts — guest tokens and the one-time guest → wallet merge guards
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { STARTING_COINS } from '../config/goldEconomy.js';
+
+const mockUserFindOne = vi.fn();
+const mockUserFindOneAndUpdate = vi.fn();
+const mockUserUpdateOne = vi.fn();
+const mockPuffleCount = vi.fn();
+const mockPuffleUpdateMany = vi.fn();
+const mockTransactionRecord = vi.fn();
+
+const mockUserSave = vi.fn();
+
+vi.mock('../db/models/index.js', () => ({
+    User: Object.assign(function User(fields) {
+        Object.assign(this, fields);
+        this.save = () => mockUserSave(this);
+    }, {
+        findOne: (...args) => mockUserFindOne(...args),
+        findOneAndUpdate: (...args) => mockUserFindOneAndUpdate(...args),
+        updateOne: (...args) => mockUserUpdateOne(...args)
+    }),
+    AuthSession: {},
+    Puffle: {
+        countDocuments: (...args) => mockPuffleCount(...args),
+        updateMany: (...args) => mockPuffleUpdateMany(...args)
+    },
+    Transaction: {
+        record: (...args) => mockTransactionRecord(...args)
+    }
+}));
+
+const { default: AuthService } = await import('../services/AuthService.js');
+
+const GUEST = 'guest_0123456789abcdef01234567';
+const WALLET = 'Wallet1111111111111111111111111111111111111';
+
+function account(overrides = {}) {
+    return {
+        _id: overrides.walletAddress,
+        coins: STARTING_COINS,
+        gameInventory: { unlockedSlots: 5, slots: [], hotbar: [null, null, null, null, null] },
+        onboardingQuest: { completedSteps: [], rewardClaimed: false },
+        fishingProgress: { skillXp: 0 },
+        guestMerge: { mergedInto: null, mergedFrom: null },
+        ...overrides
+    };
+}
+
+function seed({ guest, target, guestPuffles = 0, targetPuffles = 0 }) {
+    mockUserFindOne.mockImplementation((query) => Promise.resolve(
+        query.walletAddress === GUEST ? guest : query.walletAddress === WALLET ? target : null
+    ));
+    mockPuffleCount.mockImplementation(({ ownerWallet }) => Promise.resolve(
+        ownerWallet === GUEST ? guestPuffles : targetPuffles
+    ));
+}
+
+const playedGuest = () => account({
+    walletAddress: GUEST,
+    isGuest: true,
+    username: 'Guest0123456789',
+    coins: 140,
+    gameInventory: {
+        unlockedSlots: 5,
+        slots: [{ itemId: 'basic_rod', quantity: 1 }, { itemId: 'fish_cod', quantity: 3 }],
+        hotbar: [0, null, null, null, null]
+    },
+    onboardingQuest: { completedSteps: ['dojo_gold', 'catch_fish'], rewardClaimed: false }
+});
+
+describe('AuthService guest tokens', () => {
+    it('round-trips a guest token', () => {
+        const authService = new AuthService();
+        const token = authService.generateGuestToken(GUEST);
+        expect(authService.verifyGuestToken(token)).toEqual({ valid: true, guestWallet: GUEST });
+    });
+
+    it('does not accept a wallet session token as a guest token', () => {
+        const authService = new AuthService();
+        const walletToken = authService.generateToken(WALLET, 'player-1');
+        expect(authService.verifyGuestToken(walletToken)).toEqual({ valid: false, error: 'INVALID_TOKEN' });
+    });
+});
+
+describe('AuthService guest sessions', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        mockUserSave.mockResolvedValue(undefined);
+        mockTransactionRecord.mockResolvedValue({});
+    });
+
+    it('caps new guest accounts per IP but still resumes existing ones', async () => {
+        const authService = new AuthService();
+        const sessions = [];
+        for (let i = 0; i < 10; i++) {
+            sessions.push(await authService.startGuestSession(null, '203.0.113.7'));
+        }
+        expect(sessions.every((session) => session.user?.isGuest && !session.resumed)).toBe(true);
+        expect(mockUserSave).toHaveBeenCalledTimes(10);
+
+        const limited = await authService.startGuestSession(null, '203.0.113.7');
+        expect(limited).toMatchObject({ error: 'RATE_LIMITED' });
+        expect(mockUserSave).toHaveBeenCalledTimes(10);
+        expect(mockTransactionRecord).toHaveBeenCalledTimes(10);
+
+        // Other networks are unaffected, and a returning guest is not a new account
+        expect((await authService.startGuestSession(null, '198.51.100.2')).user.isGuest).toBe(true);
+        const [first] = sessions;
+        mockUserFindOne.mockResolvedValueOnce({ ...first.user, save: mockUserSave });
+        const resumed = await authService.startGuestSession(first.token, '203.0.113.7');
+        expect(resumed.resumed).toBe(true);
+    });
+});
+
+describe('AuthService guest merge', () => {
+    let authService;
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        authService = new AuthService();
+        mockUserUpdateOne.mockResolvedValue({ matchedCount: 1 });
+        mockPuffleUpdateMany.mockResolvedValue({ modifiedCount: 0 });
+        mockTransactionRecord.mockResolvedValue({});
+    });
+
+    it('offers a merge into an untouched wallet account', async () => {
+        seed({ guest: playedGuest(), target: account({ walletAddress: WALLET }), guestPuffles: 1 });
+
+        const offer = await authService.getGuestMergeOffer(GUEST, WALLET);
+        expect(offer).toEqual({
+            available: true,
+            summary: { coins: 140, items: 2, puffles: 1, questSteps: 2 }
+        });
+    });
+
+    it('refuses accounts that already have progress of their own', async () => {
+        seed({ guest: playedGuest(), target: account({ walletAddress: WALLET, coins: 75 }) });
+        expect((await authService.getGuestMergeOffer(GUEST, WALLET)).reason).toBe('ACCOUNT_HAS_PROGRESS');
+
+        seed({ guest: playedGuest(), target: account({ walletAddress: WALLET }), targetPuffles: 1 });
+        expect((await authService.getGuestMergeOffer(GUEST, WALLET)).reason).toBe('ACCOUNT_HAS_PROGRESS');
+
+        seed({
+            guest: playedGuest(),
+            target: account({ walletAddress: WALLET, guestMerge: { mergedInto: null, mergedFrom: 'guest_other' } })
+        });
+        expect((await authService.getGuestMergeOffer(GUEST, WALLET)).reason).toBe('ACCOUNT_HAS_PROGRESS');
+    });
+
+    it('has nothing to offer for a guest that never played or was already merged', async () => {
+        seed({ guest: account({ walletAddress: GUEST, isGuest: true }), target: account({ walletAddress: WALLET }) });
+        expect((await authService.getGuestMergeOffer(GUEST, WALLET)).reason).toBe('NO_GUEST_PROGRESS');
+
+        const merged = playedGuest();
+        merged.guestMerge.mergedInto = 'someone_else';
+        seed({ guest: merged, target: account({ walletAddress: WALLET }) });
+        const result = await authService.mergeGuestIntoUser(GUEST, WALLET);
+        expect(result).toEqual({ success: false, error: 'ALREADY_MERGED' });
+        expect(mockUserFindOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('claims the guest, moves its progress and puffles, and records the transfer', async () => {
+        const guest = playedGuest();
+        seed({ guest, target: account({ walletAddress: WALLET }), guestPuffles: 1 });
+        mockUserFindOneAndUpdate
+            .mockReturnValueOnce({ lean: () => Promise.resolve(guest) })
+            .mockResolvedValueOnce(account({ walletAddress: WALLET, username: 'Penguin111111', coins: 140 }));
+
+        const result = await authService.mergeGuestIntoUser(GUEST, WALLET);
+        expect(result.success).toBe(true);
+
+        const [claimQuery, claimUpdate] = mockUserFindOneAndUpdate.mock.calls[0];
+        expect(claimQuery).toEqual({ _id: GUEST, 'guestMerge.mergedInto': null });
+        expect(claimUpdate.$set).toMatchObject({
+            'guestMerge.mergedInto': WALLET,
+            coins: 0,
+            'gameInventory.slots': [],
+            'gameInventory.hotbar': [null, null, null, null, null]
+        });
+
+        // The target must still be untouched when the write lands, not just when the offer was made
+        const [targetQuery, targetUpdate] = mockUserFindOneAndUpdate.mock.calls[1];
+        expect(targetQuery).toEqual({
+            _id: WALLET,
+            coins: STARTING_COINS,
+            'guestMerge.mergedFrom': null,
+            'onboardingQuest.completedSteps.0': { $exists: false },
+            'gameInventory.unlockedSlots': { $not: { $gt: 5 } },
+            'gameInventory.slots': { $not: { $elemMatch: { itemId: { $ne: null } } } }
+        });
+        expect(targetUpdate.$set).toMatchObject({
+            coins: 140,
+            gameInventory: guest.gameInventory,
+            onboardingQuest: guest.onboardingQuest,
+            'guestMerge.mergedFrom': GUEST
+        });
+
+        expect(mockPuffleUpdateMany).toHaveBeenCalledWith({ ownerWallet: GUEST }, { $set: { ownerWallet: WALLET } });
+        expect(mockTransactionRecord).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'guest_merge',
+            fromWallet: GUEST,
+            toWallet: WALLET,
+            amount: 140
+        }));
+    });
+
+    it('hands the guest its progress back when the account changed since the offer', async () => {
+        const guest = playedGuest();
+        seed({ guest, target: account({ walletAddress: WALLET }) });
+        mockUserFindOneAndUpdate
+            .mockReturnValueOnce({ lean: () => Promise.resolve(guest) })
+            .mockResolvedValueOnce(null);
+
+        const result = await authService.mergeGuestIntoUser(GUEST, WALLET);
+        expect(result).toEqual({ success: false, error: 'ACCOUNT_HAS_PROGRESS' });
+        const mergedAt = mockUserFindOneAndUpdate.mock.calls[0][1].$set['guestMerge.mergedAt'];
+        // Every field the claim emptied comes back
+        expect(mockUserUpdateOne).toHaveBeenCalledWith(
+            { _id: GUEST, 'guestMerge.mergedInto': WALLET, 'guestMerge.mergedAt': mergedAt },
+            {
+                $set: {
+                    'guestMerge.mergedInto': null,
+                    'guestMerge.mergedAt': null,
+                    coins: 140,
+                    'gameInventory.slots': guest.gameInventory.slots,
+                    'gameInventory.hotbar': guest.gameInventory.hotbar
+                }
+            }
+        );
+        expect(mockPuffleUpdateMany).not.toHaveBeenCalled();
+        expect(mockTransactionRecord).not.toHaveBeenCalled();
+    });
+});
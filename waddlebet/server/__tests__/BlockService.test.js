@@ -0,0 +1,141 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import BlockService from '../services/BlockService.js';
+import InboxService from '../services/InboxService.js';
+import ChatService from '../services/ChatService.js';
+import User from '../db/models/User.js';
+import { BLOCK_LIMITS } from '../config/blocks.js';
+
+vi.mock('../db/models/User.js', () => ({
+    default: {
+        findOne: vi.fn(),
+        exists: vi.fn(),
+        updateOne: vi.fn(),
+    },
+}));
+
+vi.mock('../db/models/ChatMessage.js', () => ({
+    default: { db: { readyState: 0 } },
+}));
+
+function blockedEntries(...wallets) {
+    return wallets.map((walletAddress) => ({ walletAddress, username: walletAddress.toUpperCase(), blockedAt: new Date() }));
+}
+
+describe('BlockService', () => {
+    let service;
+    let sendToPlayer;
+    let friendService;
+    let onlinePlayers;
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        sendToPlayer = vi.fn();
+        onlinePlayers = {};
+        friendService = { removePair: vi.fn().mockResolvedValue(false) };
+        service = new BlockService(sendToPlayer, (wallet) => onlinePlayers[wallet] || null, friendService);
+        User.findOne.mockResolvedValue({ blockedWallets: [] });
+        User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    it('blocks a player, updates the cache and ends any friendship', async () => {
+        service.blockCache.set('w1', new Map());
+        friendService.removePair.mockResolvedValue(true);
+
+        const result = await service.block('w1', { walletAddress: 'w2', username: 'Pinga' });
+        expect(result).toEqual({ success: true, unfriended: true });
+        expect(User.updateOne).toHaveBeenCalledWith(
+            { walletAddress: 'w1', 'blockedWallets.walletAddress': { $ne: 'w2' } },
+            { $push: { blockedWallets: expect.objectContaining({ walletAddress: 'w2', username: 'Pinga' }) } }
+        );
+        expect(friendService.removePair).toHaveBeenCalledWith('w1', 'w2');
+        expect(service.isBlockedBetweenCached('w2', 'w1')).toBe(true);
+    });
+
+    it('rejects guests, self, duplicates and full lists', async () => {
+        expect((await service.block(null, { walletAddress: 'w2' })).error).toBe('NOT_AUTHENTICATED');
+        expect((await service.block('w1', null)).error).toBe('TARGET_NOT_FOUND');
+        expect((await service.block('w1', { walletAddress: 'w1' })).error).toBe('INVALID_TARGET');
+
+        User.findOne.mockResolvedValue({ blockedWallets: blockedEntries('w2') });
+        expect((await service.block('w1', { walletAddress: 'w2', username: 'Pinga' })).error).toBe('ALREADY_BLOCKED');
+
+        const full = Array.from({ length: BLOCK_LIMITS.MAX_BLOCKED }, (_, i) => `x${i}`);
+        User.findOne.mockResolvedValue({ blockedWallets: blockedEntries(...full) });
+        expect((await service.block('w1', { walletAddress: 'w2', username: 'Pinga' })).error).toBe('BLOCK_LIMIT');
+        expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('unblocks only players on the list', async () => {
+        service.blockCache.set('w1', new Map([['w2', blockedEntries('w2')[0]]]));
+
+        expect((await service.unblock('w1', 'w2')).success).toBe(true);
+        expect(service.blockCache.get('w1').has('w2')).toBe(false);
+
+        User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+        expect((await service.unblock('w1', 'w3')).error).toBe('NOT_BLOCKED');
+    });
+
+    it('checks blocks in both directions, falling back to the database for offline players', async () => {
+        User.exists.mockImplementation(async (q) => (q.walletAddress === 'w2' && q['blockedWallets.walletAddress'] === 'w1'));
+
+        expect(await service.isBlockedBetween('w1', 'w2')).toBe(true);
+        expect(await service.isBlockedBetween('w1', 'w3')).toBe(false);
+        expect(await service.isBlockedBetween(null, 'w2')).toBe(false);
+    });
+
+    it('collects online peers on either side of a block for chat filtering', () => {
+        service.blockCache.set('w1', new Map([['w2', {}]]));
+        service.blockCache.set('w3', new Map([['w1', {}]]));
+        service.blockCache.set('w4', new Map());
+
+        expect([...service.getBlockedPeers('w1')].sort()).toEqual(['w2', 'w3']);
+        expect([...service.getBlockedPeers('w4')]).toEqual([]);
+    });
+
+    it('loads the list on login and pushes block_state', async () => {
+        onlinePlayers.w1 = { id: 'p1' };
+        User.findOne.mockResolvedValue({ blockedWallets: blockedEntries('w2') });
+
+        await service.loadPlayer('w1');
+        expect(service.blockCache.get('w1').has('w2')).toBe(true);
+        expect(sendToPlayer).toHaveBeenCalledWith('p1', {
+            type: 'block_state',
+            blocked: [expect.objectContaining({ walletAddress: 'w2', username: 'W2' })],
+        });
+
+        service.unloadPlayer('w1');
+        expect(service.blockCache.has('w1')).toBe(false);
+    });
+});
+
+describe('block enforcement', () => {
+    let blockService;
+
+    beforeEach(() => {
+        blockService = new BlockService(vi.fn(), () => null);
+        blockService.blockCache.set('target', new Map([['spammer', {}]]));
+    });
+
+    it('drops inbox messages from blocked senders', () => {
+        const inbox = new InboxService();
+        inbox.setBlockService(blockService);
+
+        expect(inbox.addChallengeMessage('p1', 'target', 'c1', 'Spammer', 'pong', 0, null, 'spammer')).toBeNull();
+        expect(inbox.getMessages('p1')).toEqual([]);
+
+        expect(inbox.addChallengeMessage('p1', 'target', 'c2', 'Pal', 'pong', 0, null, 'pal')).not.toBeNull();
+        expect(inbox.getMessages('p1')).toHaveLength(1);
+    });
+
+    it('filters blocked senders and whispers out of chat history', () => {
+        const docs = [
+            { messageId: 'a', senderWallet: 'spammer' },
+            { messageId: 'b', senderWallet: 'pal' },
+            { messageId: 'c', whisperFrom: 'pal', whisperTo: 'spammer' },
+            { messageId: 'd' },
+        ];
+        const visible = ChatService.filterBlocked(docs, blockService.getBlockedPeers('target'));
+        expect(visible.map((d) => d.messageId)).toEqual(['b', 'd']);
+        expect(ChatService.filterBlocked(docs, new Set())).toBe(docs);
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * CraftingService — woodworking bench start / collect
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const mockFindOneAndUpdate = vi.fn();
+
+vi.mock('../db/models/index.js', () => ({
+    User: {
+        findOneAndUpdate: (...args) => mockFindOneAndUpdate(...args)
+    }
+}));
+
+const { default: CraftingService } = await import('../services/CraftingService.js');
+const { CRAFTING_BENCH, getCraftingRecipe } = await import('../config/crafting.js');
+
+const WALLET = 'CraftWallet111111111111111111111111111111111';
+const AT_BENCH = { room: CRAFTING_BENCH.room, x: CRAFTING_BENCH.localX + 1, z: CRAFTING_BENCH.localZ };
+
+describe('CraftingService', () => {
+    let service;
+    let user;
+    let inventory;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date('2026-03-01T12:00:00Z'));
+        mockFindOneAndUpdate.mockReset();
+
+        user = { walletAddress: WALLET, craftingProgress: { skillXp: 0, totalCrafts: 0, activeCraft: null } };
+        // Stand-in for Mongo: apply the $set when the filter's bench state matches
+        mockFindOneAndUpdate.mockImplementation(async (filter, update) => {
+            const active = user.craftingProgress.activeCraft;
+            if ('craftingProgress.activeCraft' in filter && active !== null) return null;
+            const startedAt = filter['craftingProgress.activeCraft.startedAt'];
+            if (startedAt && active?.startedAt?.getTime() !== startedAt.getTime()) return null;
+            for (const [path, value] of Object.entries(update.$set)) {
+                user.craftingProgress[path.split('.')[1]] = value;
+            }
+            return user;
+        });
+
+        inventory = {
+            removeCraftingInputs: vi.fn().mockResolvedValue({ success: true, inventory: { slots: [] } }),
+            canAddItem: vi.fn().mockResolvedValue({ ok: true }),
+            addItem: vi.fn().mockResolvedValue({ success: true, inventory: { slots: [] } }),
+        };
+        service = new CraftingService({ getUser: vi.fn(async () => user) }, inventory);
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('takes the inputs and puts the craft on the bench', async () => {
+        const result = await service.startCraft(WALLET, 'pine_stool', AT_BENCH);
+
+        expect(result.success).toBe(true);
+        expect(inventory.removeCraftingInputs).toHaveBeenCalledWith(WALLET, getCraftingRecipe('pine_stool').inputs);
+        expect(result.status.activeCraft).toMatchObject({
+            recipeId: 'pine_stool',
+            readyAt: Date.now() + getCraftingRecipe('pine_stool').durationMs,
+        });
+    });
+
+    it('rejects crafting away from the bench, above your level, or while busy', async () => {
+        expect((await service.startCraft(WALLET, 'pine_stool', { ...AT_BENCH, x: 0 })).error).toBe('TOO_FAR');
+        expect((await service.startCraft(WALLET, 'oak_table', AT_BENCH)).error).toBe('LEVEL_TOO_LOW');
+
+        await service.startCraft(WALLET, 'pine_stool', AT_BENCH);
+        expect((await service.startCraft(WALLET, 'bait_bundle', AT_BENCH)).error).toBe('BENCH_BUSY');
+        expect(inventory.removeCraftingInputs).toHaveBeenCalledTimes(1);
+    });
+
+    it('frees the bench when materials are missing', async () => {
+        inventory.removeCraftingInputs.mockResolvedValueOnce({ error: 'NOT_ENOUGH', message: 'Need 4 Pine Log (you have 1).' });
+
+        const result = await service.startCraft(WALLET, 'pine_stool', AT_BENCH);
+        expect(result).toMatchObject({ error: 'NOT_ENOUGH', message: 'Need 4 Pine Log (you have 1).' });
+        expect(user.craftingProgress.activeCraft).toBeNull();
+    });
+
+    it('hands out the output and XP once the craft is done', async () => {
+        await service.startCraft(WALLET, 'pine_stool', AT_BENCH);
+        expect((await service.collectCraft(WALLET, AT_BENCH)).error).toBe('NOT_READY');
+
+        vi.advanceTimersByTime(getCraftingRecipe('pine_stool').durationMs);
+        const result = await service.collectCraft(WALLET, AT_BENCH);
+        expect(result).toMatchObject({ success: true, itemId: 'pine_stool', quantity: 1, xpGained: 12 });
+        expect(inventory.addItem).toHaveBeenCalledWith(WALLET, 'pine_stool', 1);
+        expect(user.craftingProgress).toMatchObject({ activeCraft: null, skillXp: 12, totalCrafts: 1 });
+
+        expect((await service.collectCraft(WALLET, AT_BENCH)).error).toBe('NOTHING_TO_COLLECT');
+        expect(inventory.addItem).toHaveBeenCalledTimes(1);
+    });
+
+    it('keeps the craft on the bench when the backpack is full', async () => {
+        await service.startCraft(WALLET, 'pine_stool', AT_BENCH);
+        vi.advanceTimersByTime(getCraftingRecipe('pine_stool').durationMs);
+        inventory.canAddItem.mockResolvedValueOnce({ ok: false, error: 'INVENTORY_FULL' });
+
+        expect((await service.collectCraft(WALLET, AT_BENCH)).error).toBe('INVENTORY_FULL');
+        expect(user.craftingProgress.activeCraft?.recipeId).toBe('pine_stool');
+        expect(inventory.addItem).not.toHaveBeenCalled();
+    });
+
+    it('levels up from crafting XP', async () => {
+        user.craftingProgress.skillXp = 50;
+        await service.startCraft(WALLET, 'pine_stool', AT_BENCH);
+        vi.advanceTimersByTime(getCraftingRecipe('pine_stool').durationMs);
+
+        const result = await service.collectCraft(WALLET, AT_BENCH);
+        expect(result.leveledUp).toBe(true);
+        expect(result.status.skillLevel).toBe(2);
+    });
+});
@@ -41,6 +41,19 @@ describe('fishingLoot', () => {
         }
         expect(masterHighTier).toBeGreaterThan(basicHighTier);
     });
+
+    it('weather tier bias bonus favours rarer fish', () => {
+        const depth = 500;
+        const highTierShare = (options) => {
+            let high = 0;
+            for (let i = 0; i < 300; i++) {
+                const roll = rollCatchAtDepth(depth, 'basic_rod', null, null, options);
+                if ((roll.fish?.tier || 1) >= 3) high++;
+            }
+            return high;
+        };
+        expect(highTierShare({ tierBiasBonus: 3 })).toBeGreaterThan(highTierShare());
+    });
 });
 
 describe('isInventoryCatch', () => {
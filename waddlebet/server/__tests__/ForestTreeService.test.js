@@ -119,4 +119,44 @@ describe('ForestTreeService', () => {
         expect(service.getTree(treeId).regrowAt).toBeGreaterThan(Date.now());
         expect(service.getTreePublicState(treeId).state).toBe('harvested');
     });
+
+    it('slows regrowth while growth rate is reduced (fog)', async () => {
+        const treeId = service.getSnapshot()[0].id;
+        await service.harvestTree(treeId);
+        const tree = service.getTree(treeId);
+        const t0 = Date.now();
+        tree.regrowAt = t0 + 10_000;
+
+        const nowSpy = vi.spyOn(Date, 'now').mockReturnValue(t0);
+        try {
+            await service.tickRegrowth(0.5);
+            nowSpy.mockReturnValue(t0 + 10_000);
+            const regrown = await service.tickRegrowth(0.5);
+
+            expect(regrown).not.toContain(treeId);
+            expect(tree.regrowAt).toBe(t0 + 15_000);
+
+            nowSpy.mockReturnValue(t0 + 15_000);
+            expect(await service.tickRegrowth(1)).toContain(treeId);
+        } finally {
+            nowSpy.mockRestore();
+        }
+    });
+
+    it('turns ready trees golden and reports golden chops', async () => {
+        const golden = service.setGoldenTrees(2, () => 0);
+        expect(golden).toHaveLength(2);
+        expect(golden.every(t => t.golden)).toBe(true);
+
+        const result = await service.harvestTree(golden[0].id);
+        expect(result.golden).toBe(true);
+        expect(service.getTreePublicState(golden[0].id).golden).toBe(false);
+
+        await service.revertHarvest(golden[0].id, result.preHarvest);
+        expect(service.getTreePublicState(golden[0].id).golden).toBe(true);
+
+        const cleared = service.clearGoldenTrees();
+        expect(cleared.map(t => t.id).sort()).toEqual(golden.map(t => t.id).sort());
+        expect(service.getSnapshot().some(t => t.golden)).toBe(false);
+    });
 });
@@ -0,0 +1,192 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import FriendService from '../services/FriendService.js';
+import Friendship from '../db/models/Friendship.js';
+import User from '../db/models/User.js';
+import { FRIEND_LIMITS, friendPairKey } from '../config/friends.js';
+import { getRoomRegion } from '../config/travel.js';
+
+vi.mock('../db/models/Friendship.js', () => ({
+    default: {
+        findBetween: vi.fn(),
+        findForWallet: vi.fn(),
+        create: vi.fn(),
+        deleteOne: vi.fn(),
+        countDocuments: vi.fn(),
+    },
+}));
+
+vi.mock('../db/models/User.js', () => ({
+    default: {
+        find: vi.fn(),
+        findOne: vi.fn(),
+    },
+}));
+
+function makeFriendship(requesterWallet, recipientWallet, status = 'pending') {
+    return {
+        pairKey: friendPairKey(requesterWallet, recipientWallet),
+        requesterWallet,
+        recipientWallet,
+        status,
+        createdAt: new Date(),
+        otherWallet(wallet) {
+            return this.requesterWallet === wallet ? this.recipientWallet : this.requesterWallet;
+        },
+        save: vi.fn().mockResolvedValue(true),
+    };
+}
+
+describe('travel regions', () => {
+    it('maps interiors to the quadrant their exit leads to', () => {
+        expect(getRoomRegion('town')).toBe('town');
+        expect(getRoomRegion('igloo4')).toBe('town');
+        expect(getRoomRegion('casino_game_room')).toBe('snow_forts');
+        expect(getRoomRegion('travel:voyage-1')).toBeNull();
+    });
+});
+
+describe('FriendService', () => {
+    let service;
+    let sendToPlayer;
+    let onlinePlayers;
+
+    beforeEach(() => {
+        sendToPlayer = vi.fn();
+        onlinePlayers = {};
+        service = new FriendService(sendToPlayer, (wallet) => onlinePlayers[wallet] || null);
+        Friendship.countDocuments.mockResolvedValue(0);
+        User.find.mockResolvedValue([]);
+    });
+
+    it('creates a pending request', async () => {
+        Friendship.findBetween.mockResolvedValue(null);
+
+        const result = await service.sendRequest('w1', { walletAddress: 'w2', username: 'Pinga' });
+        expect(result).toEqual({ success: true, accepted: false });
+        expect(Friendship.create).toHaveBeenCalledWith({
+            pairKey: friendPairKey('w1', 'w2'),
+            requesterWallet: 'w1',
+            recipientWallet: 'w2',
+        });
+    });
+
+    it('rejects self, duplicate and unknown targets', async () => {
+        expect((await service.sendRequest('w1', null)).error).toBe('TARGET_NOT_FOUND');
+        expect((await service.sendRequest('w1', { walletAddress: 'w1', username: 'Me' })).error).toBe('INVALID_TARGET');
+
+        Friendship.findBetween.mockResolvedValue(makeFriendship('w1', 'w2'));
+        expect((await service.sendRequest('w1', { walletAddress: 'w2', username: 'Pinga' })).error).toBe('REQUEST_PENDING');
+
+        Friendship.findBetween.mockResolvedValue(makeFriendship('w1', 'w2', 'accepted'));
+        expect((await service.sendRequest('w1', { walletAddress: 'w2', username: 'Pinga' })).error).toBe('ALREADY_FRIENDS');
+    });
+
+    it('turns a request back to the requester into an accept', async () => {
+        const doc = makeFriendship('w2', 'w1');
+        Friendship.findBetween.mockResolvedValue(doc);
+
+        const result = await service.sendRequest('w1', { walletAddress: 'w2', username: 'Pinga' });
+        expect(result).toEqual({ success: true, accepted: true });
+        expect(doc.status).toBe('accepted');
+        expect(Friendship.create).not.toHaveBeenCalled();
+    });
+
+    it('enforces the friend cap', async () => {
+        Friendship.findBetween.mockResolvedValue(null);
+        Friendship.countDocuments.mockResolvedValue(FRIEND_LIMITS.MAX_FRIENDS);
+
+        expect((await service.sendRequest('w1', { walletAddress: 'w2', username: 'Pinga' })).error).toBe('FRIEND_LIMIT');
+    });
+
+    it('refuses requests across a block and drops the pair when blocking', async () => {
+        service.setBlockService({ isBlockedBetween: vi.fn().mockResolvedValue(true) });
+        expect((await service.sendRequest('w1', { walletAddress: 'w2', username: 'Pinga' })).error).toBe('BLOCKED');
+
+        service.friendCache.set('w1', new Set(['w2']));
+        Friendship.findBetween.mockResolvedValue(makeFriendship('w1', 'w2', 'accepted'));
+        expect(await service.removePair('w1', 'w2')).toBe(true);
+        expect(Friendship.deleteOne).toHaveBeenCalledWith({ pairKey: friendPairKey('w1', 'w2') });
+        expect(service.friendCache.get('w1').has('w2')).toBe(false);
+    });
+
+    it('only the recipient can accept', async () => {
+        Friendship.findBetween.mockResolvedValue(makeFriendship('w1', 'w2'));
+        expect((await service.accept('w1', 'w2')).error).toBe('REQUEST_NOT_FOUND');
+    });
+
+    it('updates cached friend sets on accept and remove', async () => {
+        service.friendCache.set('w1', new Set());
+        service.friendCache.set('w2', new Set());
+        Friendship.findBetween.mockResolvedValue(makeFriendship('w1', 'w2'));
+
+        await service.accept('w2', 'w1');
+        expect(await service.areFriends('w1', 'w2')).toBe(true);
+
+        Friendship.deleteOne.mockResolvedValue({ deletedCount: 1 });
+        await service.remove('w1', 'w2');
+        expect(await service.areFriends('w2', 'w1')).toBe(false);
+    });
+
+    it('splits state into friends and incoming/outgoing requests with presence', async () => {
+        onlinePlayers.w2 = { id: 'p2', name: 'Pinga', room: 'pizza' };
+        Friendship.findForWallet.mockResolvedValue([
+            makeFriendship('w1', 'w2', 'accepted'),
+            makeFriendship('w3', 'w1'),
+            makeFriendship('w1', 'w4'),
+        ]);
+        User.find.mockResolvedValue([
+            { walletAddress: 'w2', username: 'Pinga' },
+            { walletAddress: 'w3', username: 'Robby' },
+            { walletAddress: 'w4', username: 'Gary' },
+        ]);
+
+        const state = await service.getState('w1');
+        expect(state.friends).toEqual([{ walletAddress: 'w2', username: 'Pinga', online: true, room: 'pizza' }]);
+        expect(state.incoming).toEqual([expect.objectContaining({ walletAddress: 'w3', username: 'Robby' })]);
+        expect(state.outgoing).toEqual([expect.objectContaining({ walletAddress: 'w4', username: 'Gary' })]);
+    });
+
+    it('pushes presence to online friends and announces logout', async () => {
+        onlinePlayers.w1 = { id: 'p1', name: 'Pingu', room: 'town' };
+        onlinePlayers.w2 = { id: 'p2', name: 'Pinga', room: 'dojo' };
+        Friendship.findForWallet.mockResolvedValue([makeFriendship('w1', 'w2', 'accepted')]);
+
+        await service.loadPlayer('w1');
+        expect(sendToPlayer).toHaveBeenCalledWith('p1', expect.objectContaining({ type: 'friends_state' }));
+        expect(sendToPlayer).toHaveBeenCalledWith('p2', {
+            type: 'friend_presence',
+            friend: { walletAddress: 'w1', username: 'Pingu', online: true, room: 'town' },
+        });
+
+        service.unloadPlayer('w1');
+        expect(sendToPlayer).toHaveBeenLastCalledWith('p2', {
+            type: 'friend_presence',
+            friend: { walletAddress: 'w1', username: 'Pingu', online: false, room: null },
+        });
+        expect(service.friendCache.has('w1')).toBe(false);
+    });
+
+    describe('planJoin', () => {
+        const me = { id: 'p1', name: 'Pingu', room: 'town' };
+
+        it('moves beside a friend in the same quadrant', () => {
+            const friend = { id: 'p2', name: 'Pinga', room: 'pizza', position: { x: 4, y: 0, z: 6 } };
+            const plan = service.planJoin(me, friend);
+            expect(plan).toEqual({ success: true, room: 'pizza', position: { x: 5.5, y: 0, z: 7.5 } });
+        });
+
+        it('requires the ferry to reach another quadrant', () => {
+            const friend = { id: 'p2', name: 'Pinga', room: 'casino_game_room', position: { x: 0, z: 0 } };
+            const plan = service.planJoin(me, friend);
+            expect(plan.error).toBe('FERRY_REQUIRED');
+            expect(plan.route).toEqual(expect.objectContaining({ routeId: 'town_snow_forts' }));
+        });
+
+        it('refuses while either side is on a voyage', () => {
+            const friend = { id: 'p2', name: 'Pinga', room: 'town', position: { x: 0, z: 0 } };
+            expect(service.planJoin({ ...me, room: 'pizza' }, friend, { onVoyage: true }).error).toBe('ON_VOYAGE');
+            expect(service.planJoin(me, { ...friend, room: 'travel:v1' }).error).toBe('FRIEND_TRAVELING');
+            expect(service.planJoin(me, null).error).toBe('FRIEND_OFFLINE');
+        });
+    });
+});
@@ -410,4 +410,137 @@ describe('GameInventoryService', () => {
         const result = await service.setHotbarSlot(wallet, 0, 8);
         expect(result.error).toBe('INVALID_SLOT');
     });
+    it('removeCraftingInputs takes logs and lowest-tier fish in one save', async () => {
+        const wallet = 'TestWalletCraft1111111111111111111111111111';
+        const slots = Array.from({ length: 5 }, () => ({ itemId: null, quantity: 0, metadata: {} }));
+        slots[0] = { itemId: 'reef_shark', quantity: 1, metadata: { category: 'fish', tier: 4 } };
+        slots[1] = { itemId: 'pine_log', quantity: 5, metadata: { category: 'wood' } };
+        slots[2] = { itemId: 'minnow', quantity: 1, metadata: { category: 'fish', tier: 1 } };
+        mockGetUser.mockResolvedValue(makeUser(slots, 5));
+        mockFindOneAndUpdate.mockImplementation(async (_filter, update) => makeUser(update.$set['gameInventory.slots'], 5));
+
+        const result = await service.removeCraftingInputs(wallet, [
+            { itemId: 'pine_log', quantity: 4 },
+            { fishMinTier: 1, quantity: 1 },
+        ]);
+
+        expect(result.success).toBe(true);
+        expect(result.inventory.slots[0].itemId).toBe('reef_shark');
+        expect(result.inventory.slots[1].quantity).toBe(1);
+        expect(result.inventory.slots[2].itemId).toBeNull();
+        expect(mockFindOneAndUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    it('removeCraftingInputs saves nothing when an input is short', async () => {
+        const wallet = 'TestWalletCraft2222222222222222222222222222';
+        const slots = Array.from({ length: 5 }, () => ({ itemId: null, quantity: 0, metadata: {} }));
+        slots[0] = { itemId: 'pine_log', quantity: 9, metadata: { category: 'wood' } };
+        slots[1] = { itemId: 'minnow', quantity: 2, metadata: { category: 'fish', tier: 1 } };
+        mockGetUser.mockResolvedValue(makeUser(slots, 5));
+
+        const result = await service.removeCraftingInputs(wallet, [
+            { itemId: 'pine_log', quantity: 2 },
+            { fishMinTier: 3, quantity: 1 },
+        ]);
+
+        expect(result).toMatchObject({ error: 'NOT_ENOUGH', message: 'Need 1 tier 3+ fish (you have 0).' });
+        expect(mockFindOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('repairGear restores durability in place for gold and wood scaled by wear', async () => {
+        const wallet = 'TestWalletRepair111111111111111111111111111';
+        const slots = Array.from({ length: 5 }, () => ({ itemId: null, quantity: 0, metadata: {} }));
+        slots[0] = { itemId: 'basic_axe', quantity: 1, metadata: { category: 'tool', durability: 100, maxDurability: 200, engraving: 'Pike' } };
+        slots[1] = { itemId: 'pine_log', quantity: 5, metadata: { category: 'wood' } };
+        mockGetUser.mockResolvedValue({ ...makeUser(slots, 5), coins: 50 });
+        mockFindOneAndUpdate.mockImplementation(async (_filter, update) => makeUser(update.$set['gameInventory.slots'], 5));
+
+        const result = await service.repairGear(wallet, 'supply_merchant', 0);
+
+        expect(result).toMatchObject({ success: true, goldSpent: 1, materialsSpent: { pine_log: 2 }, durability: 200 });
+        expect(mockAddCoins).toHaveBeenCalledWith(wallet, -1, 'gear_repair', expect.any(Object), expect.any(String));
+        expect(result.inventory.slots[0].metadata).toMatchObject({ durability: 200, engraving: 'Pike' });
+        expect(result.inventory.slots[1].quantity).toBe(3);
+    });
+
+    it('repairGear sends rods to Old Salty and can use a repair kit instead of wood', async () => {
+        const wallet = 'TestWalletRepair222222222222222222222222222';
+        const slots = Array.from({ length: 5 }, () => ({ itemId: null, quantity: 0, metadata: {} }));
+        slots[0] = { itemId: 'basic_rod', quantity: 1, metadata: { category: 'rod', durability: 10, maxDurability: 70 } };
+        slots[1] = { itemId: 'tool_repair_kit', quantity: 1, metadata: {} };
+        mockGetUser.mockResolvedValue({ ...makeUser(slots, 5), coins: 50 });
+        mockFindOneAndUpdate.mockImplementation(async (_filter, update) => makeUser(update.$set['gameInventory.slots'], 5));
+
+        expect((await service.repairGear(wallet, 'supply_merchant', 0)).error).toBe('WRONG_MERCHANT');
+        expect((await service.repairGear(wallet, 'fish_buyer', 0)).error).toBe('INSUFFICIENT_MATERIALS');
+
+        const result = await service.repairGear(wallet, 'fish_buyer', 0, { useRepairKit: true });
+        expect(result).toMatchObject({ success: true, usedRepairKit: true, materialsSpent: { tool_repair_kit: 1 } });
+        expect(result.inventory.slots[1].itemId).toBeNull();
+    });
+
+    it('damageEquippedTool auto-repairs worn-out gear when enabled and affordable', async () => {
+        const wallet = 'TestWalletRepair333333333333333333333333333';
+        const slots = Array.from({ length: 5 }, () => ({ itemId: null, quantity: 0, metadata: {} }));
+        slots[0] = { itemId: 'basic_axe', quantity: 1, metadata: { category: 'tool', durability: 1, maxDurability: 200 } };
+        slots[1] = { itemId: 'pine_log', quantity: 3, metadata: { category: 'wood' } };
+        const user = { ...makeUser(slots, 5), coins: 50 };
+        user.gameInventory.hotbar = [{ inventorySlot: 0 }, null, null, null, null];
+        user.gameInventory.autoRepair = true;
+        mockGetUser.mockResolvedValue(user);
+        mockFindOneAndUpdate.mockImplementation(async (_filter, update) => makeUser(update.$set['gameInventory.slots'], 5));
+
+        const repaired = await service.damageEquippedTool(wallet, 5);
+        expect(repaired).toMatchObject({ broken: false, autoRepaired: true, durability: 200 });
+        expect(repaired.repair).toMatchObject({ goldSpent: 2, materialsSpent: { pine_log: 3 } });
+
+        user.coins = 0;
+        const broken = await service.damageEquippedTool(wallet, 5);
+        expect(broken.broken).toBe(true);
+    });
+
+    it('planTradeSwap moves offered stacks between backpacks with their metadata', () => {
+        const emptySlots = () => Array.from({ length: 5 }, () => ({ itemId: null, quantity: 0, metadata: {} }));
+        const alice = makeUser(emptySlots(), 5);
+        alice.walletAddress = 'TradeAlice1111111111111111111111111111111111';
+        alice.gameInventory.slots[0] = { itemId: 'iron_axe', quantity: 1, metadata: { category: 'tool', durability: 40, maxDurability: 300 } };
+        alice.gameInventory.slots[1] = { itemId: 'pine_log', quantity: 10, metadata: { category: 'wood' } };
+        alice.gameInventory.hotbar = [{ inventorySlot: 0 }, null, null, null, null];
+        const bob = makeUser(emptySlots(), 5);
+        bob.walletAddress = 'TradeBob22222222222222222222222222222222222';
+        bob.gameInventory.slots[2] = { itemId: 'pine_log', quantity: 5, metadata: { category: 'wood' } };
+
+        const plan = service.planTradeSwap([
+            { user: alice, items: [{ slotIndex: 0, itemId: 'iron_axe', quantity: 1 }, { slotIndex: 1, itemId: 'pine_log', quantity: 4 }] },
+            { user: bob, items: [] }
+        ]);
+
+        expect(plan.error).toBeUndefined();
+        const [aliceAfter, bobAfter] = plan.sides;
+        expect(aliceAfter.slots[0].itemId).toBeNull();
+        expect(aliceAfter.slots[1]).toMatchObject({ itemId: 'pine_log', quantity: 6 });
+        expect(aliceAfter.hotbar[0]).toBeNull();
+        expect(bobAfter.slots[2]).toMatchObject({ itemId: 'pine_log', quantity: 9 });
+        expect(bobAfter.slots[0]).toMatchObject({ itemId: 'iron_axe', quantity: 1, metadata: { durability: 40 } });
+        expect(bobAfter.received.map((item) => item.itemId)).toEqual(['iron_axe', 'pine_log']);
+        // Nothing is written until the caller persists the plan
+        expect(alice.gameInventory.slots[0].itemId).toBe('iron_axe');
+    });
+
+    it('planTradeSwap rejects stale offers and full backpacks', () => {
+        const fullSlots = Array.from({ length: 5 }, (_, i) => ({ itemId: 'birch_log', quantity: 32, metadata: { category: 'wood', index: i } }));
+        const alice = makeUser([{ itemId: 'pine_log', quantity: 2, metadata: {} }], 5);
+        const bob = makeUser(fullSlots, 5);
+        bob.walletAddress = 'TradeBob22222222222222222222222222222222222';
+
+        expect(service.planTradeSwap([
+            { user: alice, items: [{ slotIndex: 0, itemId: 'pine_log', quantity: 3 }] },
+            { user: bob, items: [] }
+        ]).error).toBe('OFFER_CHANGED');
+
+        expect(service.planTradeSwap([
+            { user: alice, items: [{ slotIndex: 0, itemId: 'pine_log', quantity: 2 }] },
+            { user: bob, items: [] }
+        ])).toMatchObject({ error: 'INVENTORY_FULL', walletAddress: bob.walletAddress });
+    });
 });
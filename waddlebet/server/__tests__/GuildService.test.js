@@ -0,0 +1,399 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import GuildService from '../services/GuildService.js';
+import Guild from '../db/models/Guild.js';
+import User from '../db/models/User.js';
+import { GUILD_LIMITS, validateGuildTag, parseGuildHallRoomId, guildHallRoomId } from '../config/guilds.js';
+
+vi.mock('../db/models/Guild.js', () => ({
+    default: {
+        findByMember: vi.fn(),
+        findInvitesFor: vi.fn(),
+        findOne: vi.fn(),
+        findOneAndUpdate: vi.fn(),
+        create: vi.fn(),
+        updateOne: vi.fn(),
+        updateMany: vi.fn(),
+        deleteOne: vi.fn(),
+    },
+}));
+
+vi.mock('../db/models/User.js', () => ({
+    default: {
+        updateOne: vi.fn(),
+        updateMany: vi.fn(),
+    },
+}));
+
+const FREE_SLOT = { [`members.${GUILD_LIMITS.MAX_MEMBERS - 1}`]: { $exists: false } };
+
+/** Plain-object stand-in for a Guild document */
+function makeGuild(members, extra = {}) {
+    return {
+        guildId: 'guild_abc',
+        name: 'Ice Breakers',
+        tag: 'ICE',
+        motd: '',
+        leaderWallet: members.find((m) => m.role === 'leader')?.walletAddress,
+        members: members.map((m, i) => ({ joinedAt: new Date(2024, 0, i + 1), ...m })),
+        invites: [],
+        ...extra,
+        getMember(wallet) {
+            return this.members.find((m) => m.walletAddress === wallet) || null;
+        },
+        getInvite(wallet) {
+            return this.invites.find((inv) => inv.walletAddress === wallet && inv.expiresAt > new Date()) || null;
+        },
+        pruneExpiredInvites() {
+            this.invites = this.invites.filter((inv) => inv.expiresAt > new Date());
+            return this;
+        },
+        markModified: vi.fn(),
+        save: vi.fn().mockResolvedValue(true),
+    };
+}
+
+describe('guild config', () => {
+    it('upper-cases and validates tags', () => {
+        expect(validateGuildTag(' ice ')).toEqual({ valid: true, value: 'ICE' });
+        expect(validateGuildTag('I').valid).toBe(false);
+        expect(validateGuildTag('IC E').valid).toBe(false);
+    });
+
+    it('round-trips guild hall room ids', () => {
+        expect(parseGuildHallRoomId(guildHallRoomId('guild_abc'))).toBe('guild_abc');
+        expect(parseGuildHallRoomId('town')).toBeNull();
+    });
+});
+
+describe('GuildService', () => {
+    let service;
+    let sendToPlayer;
+    let broadcastToRoom;
+    let onlinePlayers;
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        User.updateOne.mockResolvedValue({ matchedCount: 1 });
+        sendToPlayer = vi.fn();
+        broadcastToRoom = vi.fn();
+        onlinePlayers = {};
+        service = new GuildService(sendToPlayer, (wallet) => onlinePlayers[wallet] || null, broadcastToRoom);
+        Guild.findInvitesFor.mockResolvedValue([]);
+    });
+
+    it('creates a guild with the creator as leader', async () => {
+        Guild.findByMember.mockResolvedValue(null);
+        Guild.findOne.mockResolvedValue(null);
+        Guild.create.mockImplementation(async (doc) => doc);
+
+        const result = await service.createGuild('w1', 'Pingu', 'Ice Breakers', 'ice');
+        expect(result.success).toBe(true);
+        expect(Guild.create).toHaveBeenCalledWith(expect.objectContaining({
+            name: 'Ice Breakers',
+            nameLower: 'ice breakers',
+            tag: 'ICE',
+            leaderWallet: 'w1',
+            members: [expect.objectContaining({ walletAddress: 'w1', role: 'leader' })],
+        }));
+        expect(Guild.updateMany).toHaveBeenCalled();
+        expect(User.updateOne).toHaveBeenCalledWith(
+            { walletAddress: 'w1', guildId: null },
+            { $set: { guildId: Guild.create.mock.calls[0][0].guildId } }
+        );
+    });
+
+    it('refuses a second guild once the wallet has claimed one', async () => {
+        Guild.findByMember.mockResolvedValue(null);
+        Guild.findOne.mockResolvedValue(null);
+        User.updateOne.mockResolvedValue({ matchedCount: 0 });
+
+        expect((await service.createGuild('w1', 'Pingu', 'Ice Breakers', 'ICE')).error).toBe('ALREADY_IN_GUILD');
+        expect(Guild.create).not.toHaveBeenCalled();
+    });
+
+    it('gives the claim back when another guild takes the tag first', async () => {
+        Guild.findByMember.mockResolvedValue(null);
+        Guild.findOne.mockResolvedValue(null);
+        Guild.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000, keyPattern: { tag: 1 } }));
+
+        expect((await service.createGuild('w1', 'Pingu', 'Ice Breakers', 'ICE')).error).toBe('TAG_TAKEN');
+        const { guildId } = Guild.create.mock.calls[0][0];
+        expect(User.updateMany).toHaveBeenCalledWith({ walletAddress: 'w1', guildId }, { $set: { guildId: null } });
+    });
+
+    it('rejects creating while already in a guild or with a taken tag', async () => {
+        Guild.findByMember.mockResolvedValue(makeGuild([{ walletAddress: 'w1', username: 'Pingu', role: 'member' }]));
+        expect((await service.createGuild('w1', 'Pingu', 'Another', 'ANO')).error).toBe('ALREADY_IN_GUILD');
+
+        Guild.findByMember.mockResolvedValue(null);
+        Guild.findOne.mockImplementation(async (q) => (q.tag ? { guildId: 'other' } : null));
+        expect((await service.createGuild('w1', 'Pingu', 'Another', 'ano')).error).toBe('TAG_TAKEN');
+    });
+
+    it('only lets officers and leaders invite', async () => {
+        const guild = makeGuild([
+            { walletAddress: 'w1', username: 'Pingu', role: 'leader' },
+            { walletAddress: 'w2', username: 'Pinga', role: 'member' },
+        ]);
+        Guild.findByMember.mockImplementation(async (wallet) => (guild.getMember(wallet) ? guild : null));
+
+        expect((await service.invite('w2', 'Pinga', 'w3', 'Robby')).error).toBe('NOT_PERMITTED');
+
+        const updated = makeGuild(guild.members);
+        Guild.findOneAndUpdate.mockResolvedValue(updated);
+        const result = await service.invite('w1', 'Pingu', 'w3', 'Robby');
+        expect(result).toEqual({ success: true, guild: updated });
+        const [filter, update] = Guild.findOneAndUpdate.mock.calls[0];
+        expect(filter).toEqual({ guildId: 'guild_abc', ...FREE_SLOT });
+        expect(update.$push.invites).toEqual({
+            $each: [expect.objectContaining({ walletAddress: 'w3', invitedBy: 'Pingu' })],
+            $slice: -GUILD_LIMITS.MAX_PENDING_INVITES,
+        });
+    });
+
+    it('refuses invites when the guild is full', async () => {
+        const members = Array.from({ length: GUILD_LIMITS.MAX_MEMBERS }, (_, i) => ({
+            walletAddress: `w${i}`,
+            username: `P${i}`,
+            role: i === 0 ? 'leader' : 'member',
+        }));
+        const guild = makeGuild(members);
+        Guild.findByMember.mockImplementation(async (wallet) => (guild.getMember(wallet) ? guild : null));
+
+        expect((await service.invite('w0', 'P0', 'new', 'Newbie')).error).toBe('GUILD_FULL');
+
+        // Filled up between the check and the write
+        guild.members.pop();
+        Guild.findOneAndUpdate.mockResolvedValue(null);
+        expect((await service.invite('w0', 'P0', 'new', 'Newbie')).error).toBe('GUILD_FULL');
+    });
+
+    it('accepts a live invite and voids the others', async () => {
+        const guild = makeGuild([{ walletAddress: 'w1', username: 'Pingu', role: 'leader' }], {
+            invites: [{ walletAddress: 'w3', username: 'Robby', invitedBy: 'Pingu', expiresAt: new Date(Date.now() + 60_000) }],
+        });
+        Guild.findByMember.mockResolvedValue(null);
+        Guild.findOne.mockResolvedValue(guild);
+        const joined = makeGuild([...guild.members, { walletAddress: 'w3', username: 'Robby', role: 'member' }]);
+        Guild.findOneAndUpdate.mockResolvedValue(joined);
+
+        const result = await service.acceptInvite('w3', 'Robby', 'guild_abc');
+        expect(result).toEqual({ success: true, guild: joined });
+        expect(User.updateOne).toHaveBeenCalledWith({ walletAddress: 'w3', guildId: null }, { $set: { guildId: 'guild_abc' } });
+        const [filter, update] = Guild.findOneAndUpdate.mock.calls[0];
+        expect(filter).toEqual({
+            guildId: 'guild_abc',
+            'members.walletAddress': { $ne: 'w3' },
+            invites: { $elemMatch: { walletAddress: 'w3', expiresAt: { $gt: expect.any(Date) } } },
+            ...FREE_SLOT,
+        });
+        expect(update).toEqual({
+            $push: { members: expect.objectContaining({ walletAddress: 'w3', role: 'member' }) },
+            $pull: { invites: { walletAddress: 'w3' } },
+        });
+        expect(Guild.updateMany).toHaveBeenCalledWith(
+            { guildId: { $ne: 'guild_abc' }, 'invites.walletAddress': 'w3' },
+            { $pull: { invites: { walletAddress: 'w3' } } }
+        );
+    });
+
+    it('lets only one of two racing accepts through', async () => {
+        const invite = { username: 'Robby', invitedBy: 'Pingu', expiresAt: new Date(Date.now() + 60_000) };
+        const guildA = makeGuild([{ walletAddress: 'w1', username: 'Pingu', role: 'leader' }], {
+            invites: [{ walletAddress: 'w3', ...invite }],
+        });
+        const guildB = makeGuild([{ walletAddress: 'w2', username: 'Pinga', role: 'leader' }], {
+            guildId: 'guild_def',
+            invites: [{ walletAddress: 'w3', ...invite }],
+        });
+        Guild.findByMember.mockResolvedValue(null);
+        Guild.findOne.mockImplementation(async ({ guildId }) => (guildId === 'guild_abc' ? guildA : guildB));
+        Guild.findOneAndUpdate.mockResolvedValue(guildA);
+        User.updateOne.mockResolvedValueOnce({ matchedCount: 1 }).mockResolvedValueOnce({ matchedCount: 0 });
+
+        const [first, second] = await Promise.all([
+            service.acceptInvite('w3', 'Robby', 'guild_abc'),
+            service.acceptInvite('w3', 'Robby', 'guild_def'),
+        ]);
+        expect(first.success).toBe(true);
+        expect(second.error).toBe('ALREADY_IN_GUILD');
+        expect(Guild.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    it('releases the claim when the guild fills up before the join lands', async () => {
+        const guild = makeGuild([{ walletAddress: 'w1', username: 'Pingu', role: 'leader' }], {
+            invites: [{ walletAddress: 'w3', username: 'Robby', invitedBy: 'Pingu', expiresAt: new Date(Date.now() + 60_000) }],
+        });
+        Guild.findByMember.mockResolvedValue(null);
+        Guild.findOne.mockResolvedValue(guild);
+        Guild.findOneAndUpdate.mockResolvedValue(null);
+
+        expect((await service.acceptInvite('w3', 'Robby', 'guild_abc')).error).toBe('INVITE_NOT_FOUND');
+        expect(User.updateMany).toHaveBeenCalledWith({ walletAddress: 'w3', guildId: 'guild_abc' }, { $set: { guildId: null } });
+    });
+
+    it('rejects expired invites', async () => {
+        const guild = makeGuild([{ walletAddress: 'w1', username: 'Pingu', role: 'leader' }], {
+            invites: [{ walletAddress: 'w3', username: 'Robby', invitedBy: 'Pingu', expiresAt: new Date(Date.now() - 1) }],
+        });
+        Guild.findByMember.mockResolvedValue(null);
+        Guild.findOne.mockResolvedValue(guild);
+
+        expect((await service.acceptInvite('w3', 'Robby', 'guild_abc')).error).toBe('INVITE_NOT_FOUND');
+    });
+
+    it('officers can kick members but not other officers', async () => {
+        const guild = makeGuild([
+            { walletAddress: 'w1', username: 'Pingu', role: 'leader' },
+            { walletAddress: 'w2', username: 'Pinga', role: 'officer' },
+            { walletAddress: 'w3', username: 'Robby', role: 'officer' },
+            { walletAddress: 'w4', username: 'Gary', role: 'member' },
+        ]);
+        Guild.findByMember.mockResolvedValue(guild);
+
+        expect((await service.kick('w2', 'w3')).error).toBe('NOT_PERMITTED');
+        expect((await service.kick('w2', 'w1')).error).toBe('NOT_PERMITTED');
+
+        const updated = makeGuild(guild.members.filter((m) => m.walletAddress !== 'w4'));
+        Guild.findOneAndUpdate.mockResolvedValue(updated);
+        const result = await service.kick('w2', 'w4');
+        expect(result).toMatchObject({ success: true, guild: updated, removed: { walletAddress: 'w4' } });
+        expect(Guild.findOneAndUpdate).toHaveBeenCalledWith(
+            { guildId: 'guild_abc', members: { $elemMatch: { walletAddress: 'w4', role: 'member' } } },
+            { $pull: { members: { walletAddress: 'w4' } } },
+            { new: true }
+        );
+        expect(User.updateMany).toHaveBeenCalledWith({ walletAddress: 'w4', guildId: 'guild_abc' }, { $set: { guildId: null } });
+    });
+
+    it('promotes member → officer, then officer → leader as a handover', async () => {
+        const guild = makeGuild([
+            { walletAddress: 'w1', username: 'Pingu', role: 'leader' },
+            { walletAddress: 'w2', username: 'Pinga', role: 'member' },
+        ]);
+        Guild.findByMember.mockResolvedValue(guild);
+        const promoted = makeGuild([
+            { walletAddress: 'w1', username: 'Pingu', role: 'leader' },
+            { walletAddress: 'w2', username: 'Pinga', role: 'officer' },
+        ]);
+        Guild.findOneAndUpdate.mockResolvedValueOnce(promoted);
+
+        const first = await service.promote('w1', 'w2');
+        expect(first.target.role).toBe('officer');
+        expect(Guild.findOneAndUpdate.mock.calls[0][0]).toMatchObject({
+            leaderWallet: 'w1',
+            members: { $elemMatch: { walletAddress: 'w2', role: 'member' } },
+        });
+        expect(Guild.findOneAndUpdate.mock.calls[0][1]).toEqual({ $set: { 'members.$.role': 'officer' } });
+
+        Guild.findByMember.mockResolvedValue(promoted);
+        Guild.findOneAndUpdate.mockResolvedValueOnce(makeGuild([
+            { walletAddress: 'w1', username: 'Pingu', role: 'officer' },
+            { walletAddress: 'w2', username: 'Pinga', role: 'leader' },
+        ]));
+        const handover = await service.promote('w1', 'w2');
+        expect(handover.guild.leaderWallet).toBe('w2');
+        expect(Guild.findOneAndUpdate.mock.calls[1]).toEqual([
+            { guildId: 'guild_abc', leaderWallet: 'w1', members: { $elemMatch: { walletAddress: 'w2', role: 'officer' } } },
+            { $set: { leaderWallet: 'w2', 'members.$[heir].role': 'leader', 'members.$[former].role': 'officer' } },
+            { new: true, arrayFilters: [{ 'heir.walletAddress': 'w2' }, { 'former.walletAddress': 'w1' }] },
+        ]);
+
+        // Someone else changed the guild first
+        Guild.findOneAndUpdate.mockResolvedValueOnce(null);
+        expect((await service.promote('w1', 'w2')).error).toBe('GUILD_CHANGED');
+    });
+
+    it('caps the number of officers', async () => {
+        const officers = Array.from({ length: GUILD_LIMITS.MAX_OFFICERS }, (_, i) => ({
+            walletAddress: `o${i}`,
+            username: `O${i}`,
+            role: 'officer',
+        }));
+        const guild = makeGuild([
+            { walletAddress: 'w1', username: 'Pingu', role: 'leader' },
+            ...officers,
+            { walletAddress: 'w2', username: 'Pinga', role: 'member' },
+        ]);
+        Guild.findByMember.mockResolvedValue(guild);
+
+        expect((await service.promote('w1', 'w2')).error).toBe('OFFICER_LIMIT');
+    });
+
+    it('passes leadership to the senior officer when the leader leaves', async () => {
+        const guild = makeGuild([
+            { walletAddress: 'w1', username: 'Pingu', role: 'leader' },
+            { walletAddress: 'w2', username: 'Pinga', role: 'member' },
+            { walletAddress: 'w3', username: 'Robby', role: 'officer' },
+        ]);
+        Guild.findByMember.mockResolvedValue(guild);
+        const remaining = guild.members.slice(1);
+        Guild.findOneAndUpdate
+            .mockResolvedValueOnce(makeGuild(remaining, { leaderWallet: 'w1' }))
+            .mockResolvedValueOnce(makeGuild(remaining.map((m) => (m.walletAddress === 'w3' ? { ...m, role: 'leader' } : m))));
+
+        const result = await service.leave('w1');
+        expect(result.success).toBe(true);
+        expect(result.disbanded).toBe(false);
+        expect(result.guild.leaderWallet).toBe('w3');
+        expect(Guild.findOneAndUpdate).toHaveBeenLastCalledWith(
+            { guildId: 'guild_abc', leaderWallet: 'w1', 'members.walletAddress': 'w3' },
+            { $set: { leaderWallet: 'w3', 'members.$.role': 'leader' } },
+            { new: true }
+        );
+        expect(User.updateMany).toHaveBeenCalledWith({ walletAddress: 'w1', guildId: 'guild_abc' }, { $set: { guildId: null } });
+    });
+
+    it('deletes the guild when the last member leaves', async () => {
+        Guild.findByMember.mockResolvedValue(makeGuild([{ walletAddress: 'w1', username: 'Pingu', role: 'leader' }]));
+        Guild.findOneAndUpdate.mockResolvedValue(makeGuild([], { leaderWallet: 'w1' }));
+        Guild.deleteOne.mockResolvedValue({ deletedCount: 1 });
+
+        const result = await service.leave('w1');
+        expect(result.disbanded).toBe(true);
+        expect(Guild.deleteOne).toHaveBeenCalledWith({ guildId: 'guild_abc', members: { $size: 0 } });
+    });
+
+    it('releases every claim on the guild when it is disbanded', async () => {
+        Guild.findByMember.mockResolvedValue(makeGuild([
+            { walletAddress: 'w1', username: 'Pingu', role: 'leader' },
+            { walletAddress: 'w2', username: 'Pinga', role: 'member' },
+        ]));
+        Guild.deleteOne.mockResolvedValue({ deletedCount: 1 });
+
+        const result = await service.disband('w1');
+        expect(result).toEqual({ success: true, guildId: 'guild_abc', formerMembers: ['w1', 'w2'] });
+        expect(Guild.deleteOne).toHaveBeenCalledWith({ guildId: 'guild_abc', leaderWallet: 'w1' });
+        expect(User.updateMany).toHaveBeenCalledWith({ guildId: 'guild_abc' }, { $set: { guildId: null } });
+    });
+
+    it('only admits members to their guild hall', async () => {
+        Guild.findByMember.mockImplementation(async (wallet) => (
+            wallet === 'w1' ? makeGuild([{ walletAddress: 'w1', username: 'Pingu', role: 'leader' }]) : null
+        ));
+
+        expect(await service.canEnterRoom('w1', 'guild_hall:guild_abc')).toBe(true);
+        expect(await service.canEnterRoom('w2', 'guild_hall:guild_abc')).toBe(false);
+        expect(await service.canEnterRoom(null, 'guild_hall:guild_abc')).toBe(false);
+        expect(await service.canEnterRoom('w2', 'town')).toBe(true);
+    });
+
+    it('syncs guild fields onto the live player and announces tag changes', async () => {
+        const player = { id: 'p1', room: 'town' };
+        onlinePlayers.w1 = player;
+        const guild = makeGuild([{ walletAddress: 'w1', username: 'Pingu', role: 'leader' }]);
+
+        await service.syncPlayer('w1', guild);
+        expect(player).toMatchObject({ guildId: 'guild_abc', guildTag: 'ICE', guildRole: 'leader' });
+        expect(sendToPlayer).toHaveBeenCalledWith('p1', expect.objectContaining({
+            type: 'guild_state',
+            role: 'leader',
+            guild: expect.objectContaining({ tag: 'ICE', members: [expect.objectContaining({ online: true })] }),
+        }));
+        expect(broadcastToRoom).toHaveBeenCalledWith('town', { type: 'player_guild', playerId: 'p1', guildTag: 'ICE' });
+
+        broadcastToRoom.mockClear();
+        await service.syncPlayer('w1', guild);
+        expect(broadcastToRoom).not.toHaveBeenCalled();
+    });
+});
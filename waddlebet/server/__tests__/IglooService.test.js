@@ -377,6 +377,91 @@ describe('IglooService', () => {
             expect(mockIgloo.banner.title).toBe('New Title');
             // Other fields should be preserved (the service merges them)
         });
+        
+        it('should save a valid furniture layout', async () => {
+            const mockIgloo = createMockIgloo({
+                isRented: true,
+                ownerWallet: mockWallet,
+                interior: { theme: 'default', customLayout: false, furniture: [] }
+            });
+            Igloo.findOne.mockResolvedValue(mockIgloo);
+            
+            const { default: iglooService } = await import('../services/IglooService.js');
+            
+            const result = await iglooService.updateSettings(mockWallet, mockIglooId, {
+                interior: {
+                    furniture: [
+                        { id: 'a', type: 'couch', x: 10, z: 3, rotation: 0 },
+                        { id: 'b', type: 'rug', x: 11, z: 3 },
+                        { id: 'c', type: 'plant', x: 4, z: 12, rotation: 2, extra: 'dropped' }
+                    ]
+                }
+            });
+            
+            expect(result.success).toBe(true);
+            expect(mockIgloo.markModified).toHaveBeenCalledWith('interior');
+            expect(mockIgloo.interior.customLayout).toBe(true);
+            expect(mockIgloo.interior.furniture).toEqual([
+                { id: 'a', type: 'couch', x: 10, z: 3, rotation: 0 },
+                { id: 'b', type: 'rug', x: 11, z: 3, rotation: 0 },
+                { id: 'c', type: 'plant', x: 4, z: 12, rotation: 2 }
+            ]);
+        });
+        
+        it('should reject overlapping or out-of-bounds furniture without saving anything', async () => {
+            const mockIgloo = createMockIgloo({
+                isRented: true,
+                ownerWallet: mockWallet
+            });
+            Igloo.findOne.mockResolvedValue(mockIgloo);
+            
+            const { default: iglooService } = await import('../services/IglooService.js');
+            
+            const overlapping = await iglooService.updateSettings(mockWallet, mockIglooId, {
+                accessType: 'public',
+                interior: {
+                    furniture: [
+                        { id: 'a', type: 'couch', x: 10, z: 3, rotation: 0 },
+                        { id: 'b', type: 'armchair', x: 12, z: 4, rotation: 1 }
+                    ]
+                }
+            });
+            expect(overlapping).toMatchObject({ success: false, error: 'INVALID_LAYOUT' });
+            expect(mockIgloo.accessType).toBe('private');
+            
+            const outside = await iglooService.updateSettings(mockWallet, mockIglooId, {
+                interior: { furniture: [{ id: 'a', type: 'bookshelf', x: 0, z: 0, rotation: 0 }] }
+            });
+            expect(outside.error).toBe('INVALID_LAYOUT');
+            
+            const blockingDoor = await iglooService.updateSettings(mockWallet, mockIglooId, {
+                interior: { furniture: [{ id: 'a', type: 'tv', x: 12, z: 23, rotation: 0 }] }
+            });
+            expect(blockingDoor.message).toBe('Keep the entrance clear');
+            expect(mockIgloo.save).not.toHaveBeenCalled();
+        });
+        
+        it('should check the SKNY igloo against its club fittings and allow resetting to default', async () => {
+            const mockIgloo = createMockIgloo({
+                iglooId: 'igloo3',
+                isRented: true,
+                ownerWallet: mockWallet,
+                interior: { theme: 'default', customLayout: true, furniture: [{ id: 'a', type: 'plant', x: 4, z: 12 }] }
+            });
+            Igloo.findOne.mockResolvedValue(mockIgloo);
+            
+            const { default: iglooService } = await import('../services/IglooService.js');
+            
+            // The bar spans x -4..4, z -12..-8
+            const onBar = await iglooService.updateSettings(mockWallet, 'igloo3', {
+                interior: { furniture: [{ id: 'a', type: 'plant', x: 13, z: 3 }] }
+            });
+            expect(onBar.message).toBe('Plant would block the bar');
+            
+            const reset = await iglooService.updateSettings(mockWallet, 'igloo3', { interior: { furniture: null } });
+            expect(reset.success).toBe(true);
+            expect(mockIgloo.interior).toEqual({ theme: 'default', customLayout: false, furniture: [] });
+        });
     });
     
     describe('startRental', () => {
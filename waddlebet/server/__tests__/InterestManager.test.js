@@ -0,0 +1,155 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import InterestManager from '../services/InterestManager.js';
+import {
+    INTEREST_CELL_SIZE,
+    INTEREST_RADIUS_CELLS,
+    INTEREST_RETAIN_CELLS,
+    ROTATION_STEPS,
+    quantizePosition,
+} from '../config/interest.js';
+
+describe('InterestManager', () => {
+    let rooms;
+    let players;
+    let sent;
+    let manager;
+
+    function addPlayer(id, x, z, extra = {}) {
+        players.set(id, { id, room: 'town', position: { x, y: 0, z }, rotation: 0, ...extra });
+        if (!rooms.has('town')) rooms.set('town', new Set());
+        rooms.get('town').add(id);
+    }
+
+    /** Run one tick and return each player's batch */
+    function tick() {
+        sent = new Map();
+        manager.tick();
+        return sent;
+    }
+
+    beforeEach(() => {
+        rooms = new Map();
+        players = new Map();
+        manager = new InterestManager(rooms, (id) => players.get(id), (id, message) => sent.set(id, message));
+    });
+
+    it('sends nearby players on entering range, then only quantized deltas', () => {
+        addPlayer('a', 10, 10);
+        addPlayer('b', 20, 10, { pufflePosition: { x: 21.5, y: 0, z: 11.5 } });
+
+        expect(tick().get('a')).toEqual({
+            type: 'pos_batch',
+            e: [['b', quantizePosition(20), 0, quantizePosition(10), 0, quantizePosition(21.5), quantizePosition(11.5)]],
+        });
+
+        // Only x moved — trailing zero deltas are trimmed
+        players.get('b').position = { x: 21, y: 0, z: 10 };
+        expect(tick().get('a')).toEqual({ type: 'pos_batch', m: [['b', 20]] });
+
+        // Nothing changed, nothing sent
+        expect(tick().has('a')).toBe(false);
+    });
+
+    it('sends rotation deltas the short way round', () => {
+        addPlayer('a', 10, 10);
+        addPlayer('b', 20, 10, { rotation: 0.01 });
+        tick();
+
+        players.get('b').rotation = Math.PI * 2 - 0.01;
+        const [, dx, dy, dz, dRot] = tick().get('a').m[0];
+        expect([dx, dy, dz]).toEqual([0, 0, 0]);
+        expect(Math.abs(dRot)).toBeLessThan(ROTATION_STEPS / 100);
+    });
+
+    it('leaves out players beyond the subscribed cells', () => {
+        const far = (INTEREST_RADIUS_CELLS + 1) * INTEREST_CELL_SIZE + 10;
+        addPlayer('a', 10, 10);
+        addPlayer('b', 20, 10);
+        addPlayer('c', 10 + far, 10);
+
+        const batches = tick();
+        expect(batches.get('a').e.map(([id]) => id)).toEqual(['b']);
+        expect(batches.get('c')).toBeUndefined();
+    });
+
+    it('keeps a known player until past the retain distance, then sends a leave', () => {
+        addPlayer('a', 10, 10);
+        addPlayer('b', 20, 10);
+        tick();
+
+        // Just outside the subscribed block but inside the retain distance: still tracked
+        players.get('b').position = { x: 10 + (INTEREST_RADIUS_CELLS + 1) * INTEREST_CELL_SIZE, y: 0, z: 10 };
+        expect(tick().get('a').m).toHaveLength(1);
+
+        players.get('b').position = { x: 10 + (INTEREST_RETAIN_CELLS + 1) * INTEREST_CELL_SIZE, y: 0, z: 10 };
+        expect(tick().get('a')).toEqual({ type: 'pos_batch', l: ['b'] });
+
+        // Walking back in re-enters with an absolute position
+        players.get('b').position = { x: 30, y: 0, z: 10 };
+        expect(tick().get('a').e[0][0]).toBe('b');
+    });
+
+    it('re-subscribes when the observer crosses into a new cell', () => {
+        const far = (INTEREST_RADIUS_CELLS + 1) * INTEREST_CELL_SIZE;
+        addPlayer('a', 10, 10);
+        addPlayer('c', 10 + far, 10);
+        expect(tick().has('a')).toBe(false);
+
+        players.get('a').position = { x: 10 + INTEREST_CELL_SIZE, y: 0, z: 10 };
+        expect(tick().get('a').e.map(([id]) => id)).toEqual(['c']);
+    });
+
+    it('resends absolute positions when the puffle comes out', () => {
+        addPlayer('a', 10, 10);
+        addPlayer('b', 20, 10);
+        expect(tick().get('a').e[0]).toHaveLength(5);
+
+        players.get('b').pufflePosition = { x: 21.5, z: 11.5 };
+        expect(tick().get('a').e[0]).toHaveLength(7);
+    });
+
+    it('starts over when a player re-enters a room or disconnects', () => {
+        addPlayer('a', 10, 10);
+        addPlayer('b', 20, 10);
+        tick();
+
+        // b left and rejoined: a's client dropped b on player_left, so b comes back as an entry
+        manager.enterRoom('b');
+        manager.announce('b');
+        const batches = tick();
+        expect(batches.get('a').e[0][0]).toBe('b');
+        expect(batches.get('b').e[0][0]).toBe('a');
+
+        manager.removePlayer('b');
+        expect(manager.observers.has('b')).toBe(false);
+        expect(manager.observers.get('a').known.has('b')).toBe(false);
+    });
+
+    it('holds a joining player out of batches until their roster messages are out', () => {
+        addPlayer('a', 10, 10);
+        addPlayer('b', 20, 10);
+        tick();
+
+        // b re-enters; the join handler is still awaiting DB calls before room_state / player_joined
+        manager.enterRoom('b');
+        players.get('b').position = { x: 22, y: 0, z: 10 };
+        expect(tick().size).toBe(0);
+        expect(tick().size).toBe(0);
+
+        // Once announced, both sides get an absolute entry — never a delta for an unknown player
+        manager.announce('b');
+        const batches = tick();
+        expect(batches.get('a')).toEqual({ type: 'pos_batch', e: [['b', quantizePosition(22), 0, quantizePosition(10), 0]] });
+        expect(batches.get('b')).toEqual({ type: 'pos_batch', e: [['a', quantizePosition(10), 0, quantizePosition(10), 0]] });
+    });
+
+    it('skips players whose room moved on and does not send to bots', () => {
+        addPlayer('a', 10, 10);
+        addPlayer('bot', 20, 10, { isBot: true });
+        addPlayer('b', 30, 10, { room: 'snow_forts' });
+
+        const batches = tick();
+        expect(batches.get('a').e.map(([id]) => id)).toEqual(['bot']);
+        expect(batches.has('bot')).toBe(false);
+    });
+});
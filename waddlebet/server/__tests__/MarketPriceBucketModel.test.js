@@ -0,0 +1,45 @@
+/**
+ * MarketPriceBucket Model Unit Tests
+ * Bucket upserts without a database (updateOne is stubbed)
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import MarketPriceBucket from '../db/models/MarketPriceBucket.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('MarketPriceBucket', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('aligns buckets to UTC hours and days', () => {
+        const at = new Date(Date.UTC(2026, 0, 2, 13, 45));
+        expect(MarketPriceBucket.bucketStartFor(at, 'hour')).toEqual(new Date(Date.UTC(2026, 0, 2, 13)));
+        expect(MarketPriceBucket.bucketStartFor(at, 'day')).toEqual(new Date(Date.UTC(2026, 0, 2)));
+    });
+
+    it('folds a sale into the bucket a concurrent first sale inserted', async () => {
+        const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        const updateOne = vi.spyOn(MarketPriceBucket, 'updateOne')
+            .mockRejectedValueOnce(duplicate)
+            .mockResolvedValue({ matchedCount: 1 });
+        const soldAt = new Date(Date.UTC(2026, 0, 2, 13, 45));
+
+        await MarketPriceBucket.recordSale('tpl_crown', 100, soldAt);
+
+        // hour: the insert lost the race and is retried as a plain update; day: inserted
+        expect(updateOne).toHaveBeenCalledTimes(3);
+        const [[hourFilter, hourUpdate, options], retry, [dayFilter]] = updateOne.mock.calls;
+        expect(hourFilter).toEqual({ templateId: 'tpl_crown', interval: 'hour', bucketStart: new Date(soldAt.getTime() - 45 * 60 * 1000) });
+        expect(options).toEqual({ upsert: true });
+        expect(retry).toEqual([hourFilter, hourUpdate]);
+        expect(dayFilter.interval).toBe('day');
+        expect(hourUpdate.$inc).toEqual({ volume: 1, turnover: 100 });
+    });
+
+    it('does not swallow other write errors', async () => {
+        vi.spyOn(MarketPriceBucket, 'updateOne').mockRejectedValue(new Error('connection reset'));
+        await expect(MarketPriceBucket.recordSale('tpl_crown', 100, new Date(HOUR))).rejects.toThrow('connection reset');
+    });
+});
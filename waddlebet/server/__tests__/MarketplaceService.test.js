@@ -6,25 +6,55 @@
 import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
 
 // Mock the models before importing service
-vi.mock('../db/models/MarketListing.js', () => ({
-    default: {
+vi.mock('../db/models/MarketListing.js', () => {
+    function MarketListing(fields) {
+        Object.assign(this, { status: 'active' }, fields);
+        this.save = vi.fn().mockResolvedValue(this);
+        this.toObject = () => ({ ...this });
+    }
+    Object.assign(MarketListing, {
         findOne: vi.fn(),
         find: vi.fn(),
         countDocuments: vi.fn(),
+        updateMany: vi.fn(),
+        aggregate: vi.fn(),
         browseListings: vi.fn(),
         getUserListings: vi.fn(),
         isItemListed: vi.fn(),
         getMarketStats: vi.fn(),
         generateListingId: vi.fn(() => `mkt_${Date.now()}_test123`)
+    });
+    return { default: MarketListing };
+});
+
+vi.mock('../db/models/OwnedCosmetic.js', () => ({
+    default: {
+        findOne: vi.fn(),
+        transferOwnership: vi.fn()
     }
 }));
 
-vi.mock('../db/models/OwnedCosmetic.js', () => ({
+vi.mock('../db/models/MarketPriceBucket.js', () => ({
     default: {
-        findOne: vi.fn()
+        recordSale: vi.fn(),
+        getSeries: vi.fn()
     }
 }));
 
+vi.mock('../db/models/MarketBuyOrder.js', () => {
+    // Constructed like a document: fields copied on, save() spied
+    function MarketBuyOrder(fields) {
+        Object.assign(this, { filledQuantity: 0, status: 'active', fills: [] }, fields);
+        this.save = vi.fn().mockResolvedValue(this);
+        this.toObject = () => ({ ...this });
+    }
+    MarketBuyOrder.findOne = vi.fn();
+    MarketBuyOrder.find = vi.fn();
+    MarketBuyOrder.getUserOrders = vi.fn();
+    MarketBuyOrder.generateOrderId = vi.fn(() => 'bid_test');
+    return { default: MarketBuyOrder };
+});
+
 vi.mock('../db/models/CosmeticTemplate.js', () => ({
     default: {
         findOne: vi.fn()
@@ -47,8 +77,25 @@ vi.mock('mongoose', () => ({
 import MarketListing from '../db/models/MarketListing.js';
 import OwnedCosmetic from '../db/models/OwnedCosmetic.js';
 import User from '../db/models/User.js';
+import CosmeticTemplate from '../db/models/CosmeticTemplate.js';
+import MarketBuyOrder from '../db/models/MarketBuyOrder.js';
+import MarketPriceBucket from '../db/models/MarketPriceBucket.js';
+import mongoose from 'mongoose';
 import marketplaceService from '../services/MarketplaceService.js';
 
+// Chainable stand-in for a mongoose query resolving to `value`
+function query(value) {
+    const chain = {
+        sort: () => chain,
+        limit: () => chain,
+        select: () => chain,
+        session: () => chain,
+        lean: () => chain,
+        then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+    };
+    return chain;
+}
+
 describe('MarketplaceService', () => {
     
     beforeEach(() => {
@@ -299,4 +346,185 @@ describe('MarketplaceService', () => {
             });
         });
     });
+    
+    // ==================== BUY ORDERS ====================
+    describe('buy orders', () => {
+        let session;
+        let users;
+        
+        const makeUser = (walletAddress, pebbles) => ({
+            walletAddress,
+            username: walletAddress,
+            pebbles,
+            pebbleStats: { totalSpent: 0 },
+            save: vi.fn().mockResolvedValue(true)
+        });
+        const makeListing = (listingId, sellerId, price) => ({
+            listingId,
+            itemInstanceId: `inst_${listingId}`,
+            templateId: 'tpl_crown',
+            itemSnapshot: { name: 'Crown', rarity: 'rare', serialNumber: 1 },
+            sellerId,
+            sellerUsername: sellerId,
+            price,
+            status: 'active',
+            save: vi.fn().mockResolvedValue(true)
+        });
+        
+        beforeEach(() => {
+            session = {
+                startTransaction: vi.fn(),
+                commitTransaction: vi.fn(),
+                abortTransaction: vi.fn(),
+                endSession: vi.fn()
+            };
+            mongoose.startSession.mockResolvedValue(session);
+            users = {
+                buyer: makeUser('buyer', 1000),
+                sellerA: makeUser('sellerA', 0),
+                sellerB: makeUser('sellerB', 0)
+            };
+            User.findOne.mockImplementation(({ walletAddress }) => query(users[walletAddress] || null));
+            CosmeticTemplate.findOne.mockResolvedValue({ templateId: 'tpl_crown', name: 'Crown', category: 'hat', rarity: 'rare' });
+            OwnedCosmetic.transferOwnership.mockResolvedValue({ success: true });
+        });
+        
+        it('should validate price and quantity', async () => {
+            expect((await marketplaceService.placeBuyOrder('buyer', 'tpl_crown', 0, 1)).error).toBe('INVALID_PRICE');
+            expect((await marketplaceService.placeBuyOrder('buyer', 'tpl_crown', 100, 0)).error).toBe('INVALID_QUANTITY');
+            expect((await marketplaceService.placeBuyOrder('buyer', 'tpl_crown', 100, 1.5)).error).toBe('INVALID_QUANTITY');
+            expect(mongoose.startSession).not.toHaveBeenCalled();
+        });
+        
+        it('should reject orders the buyer cannot escrow', async () => {
+            const result = await marketplaceService.placeBuyOrder('buyer', 'tpl_crown', 400, 3);
+            
+            expect(result.error).toBe('INSUFFICIENT_PEBBLES');
+            expect(session.abortTransaction).toHaveBeenCalled();
+            expect(users.buyer.save).not.toHaveBeenCalled();
+        });
+        
+        it('should escrow, fill cheaper listings at their price and keep the rest open', async () => {
+            const listings = [makeListing('l1', 'sellerA', 80), makeListing('l2', 'sellerB', 95)];
+            MarketListing.find.mockReturnValue(query(listings));
+            
+            const result = await marketplaceService.placeBuyOrder('buyer', 'tpl_crown', 100, 3);
+            
+            expect(result.success).toBe(true);
+            expect(MarketListing.find.mock.calls[0][0]).toMatchObject({ templateId: 'tpl_crown', price: { $lte: 100 }, sellerId: { $ne: 'buyer' } });
+            // 300 escrowed, 20 + 5 refunded from the two fills
+            expect(result.newPebbleBalance).toBe(725);
+            expect(users.sellerA.pebbles).toBe(80);
+            expect(users.sellerB.pebbles).toBe(95);
+            expect(result.order).toMatchObject({ status: 'active', filledQuantity: 2, escrowRemaining: 100 });
+            expect(result.fills.map(f => f.price)).toEqual([80, 95]);
+            expect(listings[0]).toMatchObject({ status: 'sold', buyerId: 'buyer', sellerReceived: 80 });
+            expect(OwnedCosmetic.transferOwnership).toHaveBeenCalledWith('inst_l1', 'sellerA', 'buyer', expect.objectContaining({ price: 80 }), session);
+            // Charts are updated once the sale is committed, outside the transaction
+            expect(MarketPriceBucket.recordSale).toHaveBeenCalledWith('tpl_crown', 95, expect.any(Date));
+            expect(MarketPriceBucket.recordSale.mock.invocationCallOrder[0])
+                .toBeGreaterThan(session.commitTransaction.mock.invocationCallOrder[0]);
+        });
+        
+        it('should sell a new listing into the best bid at the bid price', async () => {
+            OwnedCosmetic.findOne.mockReturnValue(query({ instanceId: 'inst_new', templateId: 'tpl_crown', serialNumber: 7 }));
+            MarketListing.findOne.mockReturnValue(query(null));
+            MarketListing.generateListingId.mockReturnValue('mkt_new');
+            const order = new MarketBuyOrder({ orderId: 'bid_1', buyerId: 'buyer', maxPrice: 120, quantity: 1, escrowRemaining: 120 });
+            MarketBuyOrder.findOne.mockReturnValue(query(order));
+            
+            const result = await marketplaceService.listItem('sellerA', 'inst_new', 90);
+            
+            expect(MarketBuyOrder.findOne.mock.calls[0][0]).toMatchObject({ templateId: 'tpl_crown', buyerId: { $ne: 'sellerA' }, maxPrice: { $gte: 90 } });
+            expect(result.success).toBe(true);
+            expect(result.matched).toMatchObject({ orderId: 'bid_1', price: 120, refund: 0, buyerWallet: 'buyer' });
+            expect(result.listing).toMatchObject({ status: 'sold', price: 120, buyerId: 'buyer' });
+            expect(result.sellerNewPebbles).toBe(120);
+            expect(order).toMatchObject({ status: 'filled', filledQuantity: 1, escrowRemaining: 0 });
+        });
+        
+        it('should refund the remaining escrow on cancel', async () => {
+            const order = new MarketBuyOrder({ orderId: 'bid_1', buyerId: 'buyer', templateId: 'tpl_crown', maxPrice: 100, quantity: 3, filledQuantity: 1, escrowRemaining: 200 });
+            MarketBuyOrder.findOne.mockReturnValue(query(order));
+            
+            const result = await marketplaceService.cancelBuyOrder('buyer', 'bid_1');
+            
+            expect(MarketBuyOrder.findOne).toHaveBeenCalledWith({ orderId: 'bid_1', status: 'active', buyerId: 'buyer' });
+            expect(result).toMatchObject({ success: true, refunded: 200, newPebbleBalance: 1200 });
+            expect(order).toMatchObject({ status: 'cancelled', escrowRemaining: 0 });
+        });
+        
+        it('should expire old orders with a refund alongside listings', async () => {
+            MarketListing.updateMany.mockResolvedValue({ modifiedCount: 2 });
+            MarketBuyOrder.find.mockReturnValue(query([{ orderId: 'bid_old' }]));
+            const order = new MarketBuyOrder({ orderId: 'bid_old', buyerId: 'buyer', itemSnapshot: { name: 'Crown' }, maxPrice: 50, quantity: 2, escrowRemaining: 100 });
+            MarketBuyOrder.findOne.mockReturnValue(query(order));
+            
+            const result = await marketplaceService.expireOldListings();
+            
+            expect(result.listings).toBe(2);
+            expect(result.orders).toEqual([{ orderId: 'bid_old', buyerWallet: 'buyer', itemName: 'Crown', refunded: 100, newPebbleBalance: 1100 }]);
+            expect(order.status).toBe('expired');
+        });
+    });
+    
+    // ==================== ANALYTICS ====================
+    describe('getMarketOverview', () => {
+        it('should leave expired listings out of supply and floor prices', async () => {
+            MarketListing.aggregate.mockResolvedValue([{ _id: 'rare', listings: 2, floorPrice: 40 }]);
+            MarketListing.find.mockReturnValue(query([]));
+            MarketListing.getMarketStats.mockResolvedValue({ activeListings: 2, totalSold24h: 0, volume24h: 0 });
+            
+            const result = await marketplaceService.getMarketOverview();
+            
+            expect(MarketListing.aggregate.mock.calls[0][0][0]).toEqual({
+                $match: { status: 'active', expiresAt: { $gt: expect.any(Date) } }
+            });
+            expect(result.supplyByRarity).toEqual([{ rarity: 'rare', listings: 2, floorPrice: 40 }]);
+        });
+    });
+    
+    describe('getItemAnalytics', () => {
+        const HOUR = 60 * 60 * 1000;
+        const candle = (hoursAgo, close, volume) => ({
+            bucketStart: new Date(Date.now() - hoursAgo * HOUR),
+            open: close, high: close, low: close, close, volume, turnover: close * volume
+        });
+        
+        it('should derive floor, last price and 24h change from stored buckets', async () => {
+            MarketPriceBucket.getSeries.mockResolvedValue([candle(30, 100, 2), candle(5, 110, 1), candle(1, 120, 3)]);
+            MarketListing.findOne.mockReturnValue(query({ price: 90 }));
+            MarketListing.countDocuments.mockResolvedValue(4);
+            MarketListing.find.mockReturnValue(query([{ price: 120 }]));
+            
+            const result = await marketplaceService.getItemAnalytics('tpl_crown', 'hour');
+            
+            expect(MarketPriceBucket.getSeries).toHaveBeenCalledTimes(1);
+            expect(MarketListing.aggregate).not.toHaveBeenCalled();
+            expect(result).toMatchObject({
+                interval: 'hour',
+                floorPrice: 90,
+                lastPrice: 120,
+                change24h: 20,
+                volume24h: 4,
+                turnover24h: 470,
+                activeListings: 4
+            });
+            expect(result.candles).toHaveLength(3);
+            // Expired listings are neither the floor nor supply
+            expect(MarketListing.findOne.mock.calls[0][0]).toMatchObject({ status: 'active', expiresAt: { $gt: expect.any(Date) } });
+            expect(MarketListing.countDocuments.mock.calls[0][0]).toMatchObject({ status: 'active', expiresAt: { $gt: expect.any(Date) } });
+        });
+        
+        it('should fall back to hourly candles and no change without history', async () => {
+            MarketPriceBucket.getSeries.mockResolvedValue([]);
+            MarketListing.findOne.mockReturnValue(query(null));
+            MarketListing.countDocuments.mockResolvedValue(0);
+            MarketListing.find.mockReturnValue(query([]));
+            
+            const result = await marketplaceService.getItemAnalytics('tpl_crown', 'week');
+            
+            expect(result).toMatchObject({ interval: 'hour', floorPrice: null, lastPrice: null, change24h: null, volume24h: 0 });
+        });
+    });
 });
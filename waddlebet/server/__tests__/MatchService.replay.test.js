@@ -0,0 +1,263 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const db = vi.hoisted(() => ({ connected: false }));
+
+vi.mock('../db/connection.js', () => ({
+    isDBConnected: () => db.connected,
+}));
+
+vi.mock('../db/models/index.js', () => ({
+    Match: {
+        findOne: vi.fn(),
+        updateOne: vi.fn().mockResolvedValue({}),
+    },
+}));
+
+import MatchService from '../services/MatchService.js';
+import { Match as MatchModel } from '../db/models/index.js';
+
+const NORMALIZED = {
+    card_jitsu: 'cardJitsu',
+    tic_tac_toe: 'ticTacToe',
+    connect4: 'connect4',
+    monopoly: 'monopoly',
+    uno: 'uno',
+    blackjack: 'blackjack',
+    battleship: 'battleship',
+};
+
+/** What endMatch leaves in the database */
+function toRecord(match) {
+    return {
+        matchId: match.id,
+        gameType: NORMALIZED[match.gameType],
+        player1: { playerId: match.player1.id, wallet: match.player1.wallet, name: match.player1.name },
+        player2: { playerId: match.player2.id, wallet: match.player2.wallet, name: match.player2.name },
+        status: match.status,
+        winnerId: match.winnerId,
+        wagerAmount: match.wagerAmount,
+        replaySeed: match.replaySeed,
+        moveLog: JSON.parse(JSON.stringify(match.moveLog)),
+    };
+}
+
+/** Views without the wall-clock timers */
+function withoutTimers(view) {
+    const { timeRemaining, setupTimeRemaining, turnTimeRemaining, ...rest } = view;
+    return rest;
+}
+
+function expectReplayMatches(matchService, match) {
+    for (const side of ['player1', 'player2']) {
+        const replay = matchService.buildReplay(toRecord(match), side);
+        expect(replay.frames).toHaveLength(match.moveLog.length + 1);
+        expect(withoutTimers(replay.frames.at(-1).state))
+            .toEqual(withoutTimers(matchService.getMatchState(match.id, match[side].id)));
+        // An unfinished game has nothing to verify
+        expect(replay.verified).toBe(match.status === 'active' ? null : true);
+        expect(replay.replayWinnerId).toBe(match.status === 'active' ? null : match.winnerId);
+    }
+}
+
+function expireTurn(match) {
+    match.state.turnStartedAt = Date.now() - 31 * 1000;
+}
+
+describe('MatchService replays', () => {
+    let matchService;
+
+    async function start(gameType) {
+        return matchService.createMatch({
+            id: `c_${gameType}`, gameType, wagerAmount: 50, room: 'town',
+            challengerId: 'p1', challengerWallet: 'w1', challengerName: 'One',
+            targetId: 'p2', targetWallet: 'w2', targetName: 'Two',
+        });
+    }
+
+    function idOf(match, side) {
+        return match[side].id;
+    }
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        db.connected = false;
+        matchService = new MatchService(null, {}, vi.fn(), vi.fn());
+    });
+
+    afterEach(() => {
+        matchService.dispose();
+        vi.useRealTimers();
+    });
+
+    it('logs every accepted move, including turn-timer auto-plays', async () => {
+        const match = await start('tic_tac_toe');
+        expect(match.replaySeed).toEqual(expect.any(Number));
+
+        matchService.playCard(match.id, 'p1', 4);
+        expect(matchService.playCard(match.id, 'p1', 0).error).toBe('NOT_YOUR_TURN');
+        vi.advanceTimersByTime(5000);
+        expireTurn(match);
+        matchService.checkTurnTimers();
+
+        expect(match.moveLog).toEqual([
+            { side: 'player1', move: 4, auto: false, at: 0 },
+            { side: 'player2', move: expect.any(Number), auto: true, at: 5000 },
+        ]);
+    });
+
+    it('replays tic tac toe and connect 4 to the recorded winner', async () => {
+        const ttt = await start('tic_tac_toe');
+        for (const [playerId, cell] of [['p1', 0], ['p2', 3], ['p1', 1], ['p2', 4], ['p1', 2]]) {
+            matchService.playCard(ttt.id, playerId, cell);
+        }
+        expect(ttt.winnerId).toBe('p1');
+        expectReplayMatches(matchService, ttt);
+
+        const c4 = await start('connect4');
+        for (let i = 0; i < 3; i++) {
+            matchService.playCard(c4.id, 'p1', 0);
+            matchService.playCard(c4.id, 'p2', 1);
+        }
+        expireTurn(c4);
+        matchService.checkTurnTimers();
+        expect(c4.moveLog.at(-1)).toMatchObject({ side: 'player1', move: 3, auto: true });
+        expectReplayMatches(matchService, c4);
+    });
+
+    it('replays card jitsu rounds dealt after the reveal timer', async () => {
+        const match = await start('card_jitsu');
+        while (match.status === 'active') {
+            matchService.playCard(match.id, 'p1', 0);
+            expireTurn(match);
+            matchService.checkTurnTimers();
+            vi.advanceTimersByTime(2000);
+        }
+        expect(match.state.round).toBeGreaterThan(1);
+        expect(match.moveLog.filter(entry => entry.auto)).not.toHaveLength(0);
+        expectReplayMatches(matchService, match);
+    });
+
+    it('replays uno draws, reshuffles and wild colour picks', async () => {
+        const match = await start('uno');
+        for (let i = 0; i < 400 && match.status === 'active'; i++) {
+            const state = match.state;
+            if (state.phase === 'selectColor') {
+                if (i % 3 === 0) {
+                    expireTurn(match);
+                    matchService.checkTurnTimers();
+                } else {
+                    matchService.playCard(match.id, idOf(match, state.waitingForColor), { action: 'selectColor', color: 'Blue' });
+                }
+                continue;
+            }
+            const side = state.currentTurn;
+            const playable = state[`${side}Hand`].find(card =>
+                card.c === 'Black' || card.c === state.activeColor || card.v === state.activeValue);
+            if (playable && i % 5 !== 4) {
+                matchService.playCard(match.id, idOf(match, side), { action: 'play', cardUid: playable.uid });
+            } else {
+                matchService.playCard(match.id, idOf(match, side), { action: 'draw' });
+            }
+        }
+        expect(match.moveLog.length).toBeGreaterThan(20);
+        expectReplayMatches(matchService, match);
+    });
+
+    it('replays blackjack from the seeded deck', async () => {
+        const match = await start('blackjack');
+        matchService.playCard(match.id, 'p1', { action: 'hit' });
+        if (match.state.phase === 'player1Turn') matchService.playCard(match.id, 'p1', { action: 'stand' });
+        if (match.state.phase === 'player2Turn') {
+            expireTurn(match);
+            matchService.checkTurnTimers();
+        }
+        expect(match.state.phase).toBe('complete');
+
+        const replay = matchService.buildReplay(toRecord(match), 'player1');
+        expect(replay.frames[0].state.dealerHand[0].hidden).toBe(true);
+        expectReplayMatches(matchService, match);
+    });
+
+    it('replays battleship fleets, including a re-randomised one', async () => {
+        const match = await start('battleship');
+        matchService.playCard(match.id, 'p1', { action: 'randomizeFleet' });
+        matchService.playCard(match.id, 'p1', { action: 'ready' });
+        matchService.playCard(match.id, 'p2', { action: 'ready' });
+
+        const next = { player1: 0, player2: 0 };
+        for (let i = 0; i < 400 && match.status === 'active'; i++) {
+            const side = match.state.currentTurn;
+            if (i === 7) {
+                expireTurn(match);
+                matchService.checkTurnTimers();
+                continue;
+            }
+            const shots = match.state[`${side}Shots`];
+            while (shots[next[side]] !== null) next[side]++;
+            matchService.playCard(match.id, idOf(match, side), { cellIndex: next[side] });
+        }
+        expect(match.state.phase).toBe('complete');
+        expectReplayMatches(matchService, match);
+    });
+
+    it('replays monopoly dice, cards and time-scaled rent', async () => {
+        const match = await start('monopoly');
+        for (let i = 0; i < 300 && match.status === 'active'; i++) {
+            vi.advanceTimersByTime(4000);
+            const state = match.state;
+            const playerId = idOf(match, state.currentTurn);
+            if (i % 11 === 10) {
+                expireTurn(match);
+                matchService.checkTurnTimers();
+            } else if (state.phase === 'roll') {
+                matchService.playCard(match.id, playerId, { action: 'roll' });
+            } else if (state.phase === 'moving') {
+                matchService.playCard(match.id, playerId, { action: 'completeMove' });
+            } else if (state.phase === 'action' && state.canBuy) {
+                matchService.playCard(match.id, playerId, { action: 'buy' });
+            } else {
+                matchService.playCard(match.id, playerId, { action: 'endTurn' });
+            }
+        }
+        expect(match.moveLog.at(-1).at).toBeGreaterThan(60 * 1000);
+        expectReplayMatches(matchService, match);
+    });
+
+    it('flags a recorded result the moves do not reproduce', async () => {
+        const match = await start('tic_tac_toe');
+        for (const [playerId, cell] of [['p1', 0], ['p2', 3], ['p1', 1], ['p2', 4], ['p1', 2]]) {
+            matchService.playCard(match.id, playerId, cell);
+        }
+        const replay = matchService.buildReplay({ ...toRecord(match), winnerId: 'p2' }, 'player2');
+        expect(replay.verified).toBe(false);
+        expect(replay.replayWinnerId).toBe('p1');
+
+        const forfeited = matchService.buildReplay({ ...toRecord(match), moveLog: toRecord(match).moveLog.slice(0, 2), status: 'void', winnerId: null });
+        expect(forfeited.verified).toBeNull();
+        expect(forfeited.frames).toHaveLength(3);
+    });
+
+    it('persists the move log and only serves replays of finished matches', async () => {
+        const match = await start('tic_tac_toe');
+        matchService.playCard(match.id, 'p1', 0);
+        db.connected = true;
+
+        expect(await matchService.getReplay(match.id)).toEqual({ error: 'MATCH_IN_PROGRESS' });
+
+        await matchService.voidMatch(match.id, 'forfeit');
+        expect(MatchModel.updateOne).toHaveBeenCalledWith(
+            { matchId: match.id },
+            expect.objectContaining({ status: 'void', moveLog: [{ side: 'player1', move: 0, auto: false, at: 0 }] })
+        );
+
+        MatchModel.findOne.mockReturnValue({ lean: () => Promise.resolve({ ...toRecord(match), status: 'void' }) });
+        const result = await matchService.getReplay(match.id, 'player2');
+        expect(result.success).toBe(true);
+        expect(result.replay).toMatchObject({ side: 'player2', moveCount: 1, verified: null });
+        expect(result.replay.frames[1].state.board[0]).toBe('X');
+
+        expect((await matchService.getReplay(match.id, 'dealer')).error).toBe('INVALID_SIDE');
+        MatchModel.findOne.mockReturnValue({ lean: () => Promise.resolve(null) });
+        expect((await matchService.getReplay('match_missing')).error).toBe('MATCH_NOT_FOUND');
+    });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import MatchService from '../services/MatchService.js';
+import { getSideBetOdds, splitSideBetPool } from '../config/sideBets.js';
+
+function spectator(n, room = 'town') {
+    return { id: `s${n}`, walletAddress: `sw${n}`, name: `Spectator ${n}`, room };
+}
+
+describe('side bet pool math', () => {
+    it('reports odds only for backed sides', () => {
+        expect(getSideBetOdds({ player1: 300, player2: 100 })).toEqual({ player1: 4 / 3, player2: 4 });
+        expect(getSideBetOdds({ player1: 50, player2: 0 })).toEqual({ player1: 1, player2: null });
+    });
+
+    it('splits the pool by stake and hands rounding dust to the largest backer', () => {
+        const big = { side: 'player1', amount: 20 };
+        const small = { side: 'player1', amount: 10 };
+        const loser = { side: 'player2', amount: 71 };
+        const payouts = splitSideBetPool([small, loser, big], 'player1');
+        expect(payouts.get(big)).toBe(68);
+        expect(payouts.get(small)).toBe(33);
+        expect(payouts.has(loser)).toBe(false);
+        expect(splitSideBetPool([loser], 'player1')).toBeNull();
+    });
+});
+
+describe('MatchService side bets', () => {
+    let matchService;
+    let userService;
+    let broadcastToRoom;
+    let sendToPlayer;
+    let match;
+
+    beforeEach(async () => {
+        userService = { addCoins: vi.fn().mockResolvedValue({ success: true, newBalance: 1000 }) };
+        broadcastToRoom = vi.fn();
+        sendToPlayer = vi.fn();
+        matchService = new MatchService(null, userService, broadcastToRoom, sendToPlayer);
+        match = await matchService.createMatch({
+            id: 'c1', gameType: 'tic_tac_toe', wagerAmount: 0, room: 'town',
+            challengerId: 'p1', challengerWallet: 'w1', challengerName: 'One',
+            targetId: 'p2', targetWallet: 'w2', targetName: 'Two',
+        });
+    });
+
+    afterEach(() => {
+        matchService.dispose();
+    });
+
+    it('escrows a bet and broadcasts the pools', async () => {
+        const result = await matchService.placeSideBet(match.id, spectator(1), 'player1', 100);
+        expect(result).toMatchObject({ success: true, amount: 100, newBalance: 1000 });
+        expect(userService.addCoins).toHaveBeenCalledWith('sw1', -100, 'side_bet', { matchId: match.id }, expect.any(String));
+        expect(broadcastToRoom).toHaveBeenLastCalledWith('town', {
+            type: 'match_side_bets',
+            matchId: match.id,
+            sideBets: { open: true, pools: { player1: 100, player2: 0 }, bettorCount: 1 },
+        });
+        expect((await matchService.placeSideBet(match.id, spectator(1), 'player2', 50)).error).toBe('ALREADY_BET');
+    });
+
+    it('rejects players, other rooms and bad amounts', async () => {
+        const playerBet = { id: 'p1', walletAddress: 'w1', name: 'One', room: 'town' };
+        expect((await matchService.placeSideBet(match.id, playerBet, 'player1', 100)).error).toBe('IN_MATCH');
+        expect((await matchService.placeSideBet(match.id, spectator(1, 'dojo'), 'player1', 100)).error).toBe('WRONG_ROOM');
+        expect((await matchService.placeSideBet(match.id, spectator(1), 'player1', 5)).error).toBe('INVALID_AMOUNT');
+        expect((await matchService.placeSideBet(match.id, spectator(1), 'player1', 10.5)).error).toBe('INVALID_AMOUNT');
+        expect(userService.addCoins).not.toHaveBeenCalled();
+    });
+
+    it('closes betting after the first move', async () => {
+        expect(matchService.playCard(match.id, 'p2', 0).error).toBe('NOT_YOUR_TURN');
+        expect(match.sideBets.open).toBe(true);
+
+        matchService.playCard(match.id, 'p1', 0);
+        expect(match.sideBets.open).toBe(false);
+        expect((await matchService.placeSideBet(match.id, spectator(1), 'player1', 100)).error).toBe('BETTING_CLOSED');
+    });
+
+    it('refunds a bet whose escrow lands after betting closed', async () => {
+        userService.addCoins.mockImplementationOnce(async () => {
+            matchService.playCard(match.id, 'p1', 0);
+            return { success: true, newBalance: 900 };
+        });
+        const result = await matchService.placeSideBet(match.id, spectator(1), 'player1', 100);
+        expect(result.error).toBe('BETTING_CLOSED');
+        expect(userService.addCoins).toHaveBeenLastCalledWith('sw1', 100, 'side_bet_refund', { matchId: match.id }, expect.any(String));
+        expect(match.sideBets.bets).toHaveLength(0);
+    });
+
+    it('pays the winning backers once', async () => {
+        await matchService.placeSideBet(match.id, spectator(1), 'player1', 100);
+        await matchService.placeSideBet(match.id, spectator(2), 'player1', 300);
+        await matchService.placeSideBet(match.id, spectator(3), 'player2', 200);
+
+        await matchService.settleSideBets(match, 'p1');
+        await matchService.settleSideBets(match, 'p1');
+        const payouts = userService.addCoins.mock.calls.filter(([, , type]) => type === 'side_bet_payout');
+        expect(payouts.map(([wallet, amount]) => [wallet, amount])).toEqual([['sw1', 150], ['sw2', 450]]);
+        expect(sendToPlayer).toHaveBeenCalledWith('s3', expect.objectContaining({ type: 'match_side_bet_settled', outcome: 'lost', payout: 0 }));
+    });
+
+    it('refunds every bet when the match is voided', async () => {
+        await matchService.placeSideBet(match.id, spectator(1), 'player1', 100);
+        await matchService.placeSideBet(match.id, spectator(2), 'player2', 40);
+
+        await matchService.voidMatch(match.id, 'disconnect');
+        const refunds = userService.addCoins.mock.calls.filter(([, , type]) => type === 'side_bet_refund');
+        expect(refunds.map(([wallet, amount]) => [wallet, amount])).toEqual([['sw1', 100], ['sw2', 40]]);
+        expect(sendToPlayer).toHaveBeenCalledWith('s1', expect.objectContaining({ type: 'match_side_bet_settled', outcome: 'refunded', payout: 100 }));
+    });
+});
@@ -0,0 +1,205 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import ModerationService from '../services/ModerationService.js';
+import InboxService from '../services/InboxService.js';
+import ChatService from '../services/ChatService.js';
+import PlayerReport from '../db/models/PlayerReport.js';
+import User from '../db/models/User.js';
+import { REPORT_LIMITS, MODERATION_LIMITS } from '../config/moderation.js';
+import { RateLimiter, RATE_LIMITS } from '../utils/RateLimiter.js';
+
+vi.mock('../db/models/PlayerReport.js', () => ({
+    default: {
+        countFiledSince: vi.fn(),
+        findOne: vi.fn(),
+        create: vi.fn(),
+        findQueue: vi.fn(),
+        countDocuments: vi.fn(),
+    },
+}));
+
+vi.mock('../db/models/User.js', () => ({
+    default: {
+        findOne: vi.fn(),
+        updateOne: vi.fn(),
+    },
+}));
+
+vi.mock('../db/models/ChatMessage.js', () => ({
+    default: { db: { readyState: 0 } },
+}));
+
+const reporter = { walletAddress: 'w1', name: 'Pingu', room: 'town' };
+const target = { walletAddress: 'w2', name: 'Pinga' };
+
+/** Plain-object stand-in for a PlayerReport document */
+function makeReport(extra = {}) {
+    return {
+        reportId: 'rpt_1',
+        reporterWallet: 'w1',
+        targetWallet: 'w2',
+        targetName: 'Pinga',
+        reason: 'spam',
+        status: 'open',
+        resolution: {},
+        ...extra,
+        save: vi.fn().mockResolvedValue(true),
+        toQueueEntry() {
+            return { reportId: this.reportId, targetName: this.targetName, status: this.status };
+        },
+    };
+}
+
+describe('ModerationService', () => {
+    let service;
+    let inbox;
+    let sendToPlayer;
+    let kickBannedPlayer;
+    let onlinePlayers;
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        inbox = new InboxService();
+        sendToPlayer = vi.fn();
+        kickBannedPlayer = vi.fn();
+        onlinePlayers = {};
+        service = new ModerationService(inbox, sendToPlayer, (wallet) => onlinePlayers[wallet] || null, kickBannedPlayer);
+        PlayerReport.countFiledSince.mockResolvedValue(0);
+        PlayerReport.findOne.mockResolvedValue(null);
+        PlayerReport.create.mockImplementation(async (doc) => doc);
+    });
+
+    describe('submitReport', () => {
+        it('stores the report with a snapshot of recent chat between the pair', async () => {
+            vi.spyOn(ChatService, 'getConversationContext').mockResolvedValue([
+                { channel: 'whisper', senderName: 'Pinga', whisperFrom: 'w2', text: 'give me your seed phrase', timestamp: new Date() },
+            ]);
+
+            const result = await service.submitReport(reporter, target, 'scam', '  asked for my keys  ');
+            expect(result.success).toBe(true);
+            expect(ChatService.getConversationContext).toHaveBeenCalledWith('w1', 'w2', REPORT_LIMITS.CHAT_CONTEXT_MESSAGES);
+            expect(PlayerReport.create).toHaveBeenCalledWith(expect.objectContaining({
+                reporterWallet: 'w1',
+                targetWallet: 'w2',
+                reason: 'scam',
+                details: 'asked for my keys',
+                room: 'town',
+                chatLog: [expect.objectContaining({ senderName: 'Pinga', senderWallet: 'w2', text: 'give me your seed phrase' })],
+            }));
+        });
+
+        it('rejects guests, self-reports and unknown reasons', async () => {
+            expect((await service.submitReport(null, target, 'spam')).error).toBe('NOT_AUTHENTICATED');
+            expect((await service.submitReport(reporter, null, 'spam')).error).toBe('TARGET_NOT_FOUND');
+            expect((await service.submitReport(reporter, { walletAddress: 'w1', name: 'Pingu' }, 'spam')).error).toBe('INVALID_TARGET');
+            expect((await service.submitReport(reporter, target, 'bad_vibes')).error).toBe('INVALID_REASON');
+        });
+
+        it('rate-limits reporters and refuses duplicate open reports', async () => {
+            PlayerReport.countFiledSince.mockResolvedValue(REPORT_LIMITS.MAX_REPORTS_PER_HOUR);
+            expect((await service.submitReport(reporter, target, 'spam')).error).toBe('RATE_LIMITED');
+
+            PlayerReport.countFiledSince.mockResolvedValue(0);
+            PlayerReport.findOne.mockResolvedValue(makeReport());
+            expect((await service.submitReport(reporter, target, 'spam')).error).toBe('DUPLICATE_REPORT');
+            expect(PlayerReport.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('resolveReport', () => {
+        const moderator = { walletAddress: 'mod', name: 'Mod' };
+
+        it('dismisses without touching the target', async () => {
+            const report = makeReport();
+            PlayerReport.findOne.mockResolvedValue(report);
+
+            const result = await service.resolveReport('rpt_1', moderator, 'dismiss');
+            expect(result.success).toBe(true);
+            expect(report.status).toBe('resolved');
+            expect(report.resolution).toMatchObject({ action: 'dismiss', moderatorName: 'Mod' });
+            expect(User.updateOne).not.toHaveBeenCalled();
+        });
+
+        it('warns through the inbox, even while the target is offline', async () => {
+            PlayerReport.findOne.mockResolvedValue(makeReport());
+
+            await service.resolveReport('rpt_1', moderator, 'warn', { note: 'Keep chat friendly' });
+
+            // Offline inbox is keyed by wallet and migrates on the next login
+            inbox.associateWallet('w2', 'p2');
+            expect(inbox.getMessages('p2')).toEqual([
+                expect.objectContaining({ type: 'moderation', message: expect.stringContaining('Keep chat friendly') }),
+            ]);
+        });
+
+        it('applies a timed mute to the stored user and the live player', async () => {
+            const player = { id: 'p2' };
+            onlinePlayers.w2 = player;
+            PlayerReport.findOne.mockResolvedValue(makeReport());
+
+            await service.resolveReport('rpt_1', moderator, 'mute', { durationMinutes: 60 });
+            expect(User.updateOne).toHaveBeenCalledWith(
+                { walletAddress: 'w2' },
+                { chatMutedUntil: expect.any(Date), chatMuteReason: 'Spam or flooding' }
+            );
+            expect(service.getChatMute(player)).toMatchObject({ reason: 'Spam or flooding' });
+            expect(sendToPlayer).toHaveBeenCalledWith('p2', expect.objectContaining({ type: 'chat_muted' }));
+        });
+
+        it('bans with expiry, records history and kicks the live player', async () => {
+            const user = { username: 'Pinga', banHistory: [], save: vi.fn().mockResolvedValue(true) };
+            User.findOne.mockResolvedValue(user);
+            onlinePlayers.w2 = { id: 'p2' };
+            PlayerReport.findOne.mockResolvedValue(makeReport());
+
+            await service.resolveReport('rpt_1', moderator, 'ban', { durationMinutes: 24 * 60, note: 'Scamming' });
+            expect(user).toMatchObject({ isBanned: true, banReason: 'Scamming' });
+            expect(user.banExpires.getTime()).toBeGreaterThan(Date.now());
+            expect(user.banHistory).toEqual([expect.objectContaining({ reason: 'Scamming', bannedBy: 'Mod' })]);
+            expect(kickBannedPlayer).toHaveBeenCalledWith(onlinePlayers.w2, expect.objectContaining({ banReason: 'Scamming' }));
+        });
+
+        it('validates action, duration and report state', async () => {
+            expect((await service.resolveReport('rpt_1', moderator, 'nuke')).error).toBe('INVALID_ACTION');
+            expect((await service.resolveReport('rpt_1', moderator, 'mute')).error).toBe('INVALID_DURATION');
+            expect((await service.resolveReport('rpt_1', moderator, 'mute', { durationMinutes: MODERATION_LIMITS.MAX_MUTE_MINUTES + 1 })).error)
+                .toBe('INVALID_DURATION');
+
+            expect((await service.resolveReport('missing', moderator, 'dismiss')).error).toBe('REPORT_NOT_FOUND');
+
+            PlayerReport.findOne.mockResolvedValue(makeReport({ status: 'resolved' }));
+            expect((await service.resolveReport('rpt_1', moderator, 'dismiss')).error).toBe('ALREADY_RESOLVED');
+        });
+    });
+
+    it('auto-mutes repeat chat filter offenders for escalating durations', async () => {
+        const limiter = new RateLimiter();
+        service = new ModerationService(inbox, sendToPlayer, () => null, kickBannedPlayer, limiter);
+        const { maxRequests, escalationMs } = RATE_LIMITS.chat_violation;
+        const player = { id: 'p2', walletAddress: 'w2' };
+
+        for (let i = 0; i < maxRequests; i++) {
+            expect(await service.recordChatViolation(player)).toBeNull();
+        }
+        const until = await service.recordChatViolation(player);
+        expect(until.getTime() - Date.now()).toBeGreaterThan(escalationMs[0] - 1000);
+        expect(service.getChatMute(player)).toMatchObject({ reason: 'Repeated chat filter violations' });
+        expect(User.updateOne).toHaveBeenCalledWith(
+            { walletAddress: 'w2' },
+            { chatMutedUntil: until, chatMuteReason: 'Repeated chat filter violations' }
+        );
+
+        // Guests are muted in memory only
+        const guest = { id: 'g1' };
+        for (let i = 0; i < maxRequests; i++) await service.recordChatViolation(guest);
+        expect(await service.recordChatViolation(guest)).toBeInstanceOf(Date);
+        expect(User.updateOne).toHaveBeenCalledTimes(1);
+        limiter.shutdown();
+    });
+
+    it('expires chat mutes lazily', () => {
+        const player = { chatMutedUntil: new Date(Date.now() - 1000), chatMuteReason: 'Spam' };
+        expect(service.getChatMute(player)).toBeNull();
+        expect(player.chatMutedUntil).toBeNull();
+        expect(service.getChatMute({})).toBeNull();
+    });
+});
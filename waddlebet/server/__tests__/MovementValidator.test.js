@@ -0,0 +1,192 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import MovementValidator from '../services/MovementValidator.js';
+import { MOVEMENT_LIMITS, getRoomColliders, getSpawnTeleportTarget } from '../config/movement.js';
+
+describe('MovementValidator', () => {
+    let clock;
+    let validator;
+    let player;
+
+    /** Send a `move` sample `ms` after the previous one */
+    function move(position, { ms = 100, ...extra } = {}) {
+        clock += ms;
+        const result = validator.checkMove('p1', player, { position, ...extra });
+        if (result.accepted) player.position = result.position;
+        return result;
+    }
+
+    beforeEach(() => {
+        clock = 1_000_000;
+        validator = new MovementValidator(() => clock);
+        player = {
+            name: 'Waddles',
+            walletAddress: 'wallet1',
+            room: 'town',
+            position: { x: 100, y: 0, z: 100 },
+            appearance: { mount: 'none' },
+        };
+        validator.enterRoom('p1', 'town');
+        move({ x: 100, y: 0, z: 100 });
+    });
+
+    it('accepts walking pace and rubber-bands a teleport to the last good position', () => {
+        expect(move({ x: 101, y: 0, z: 100 }).accepted).toBe(true);
+        expect(move({ x: 110, y: 0, z: 100 }, { ms: 1000 }).accepted).toBe(true);
+
+        const teleport = move({ x: 160, y: 0, z: 150 });
+        expect(teleport).toEqual({
+            accepted: false,
+            reason: 'speed',
+            correction: { x: 110, y: 0, z: 100 },
+        });
+        expect(player.position).toEqual({ x: 110, y: 0, z: 100 });
+
+        const [account] = validator.getFlaggedAccounts();
+        expect(account).toMatchObject({
+            key: 'wallet1',
+            name: 'Waddles',
+            total: 1,
+            flagged: false,
+            lastReason: 'speed',
+            lastRoom: 'town',
+        });
+        expect(account.counts).toEqual({ malformed: 0, speed: 1, bounds: 0, collider: 0, entry: 0 });
+    });
+
+    it('caps speed by the mount the server has on record and by sliding', () => {
+        const oneSecondRun = (appearance, mode) => {
+            clock += MOVEMENT_LIMITS.CORRECTION_GRACE_MS;
+            player.position = { x: 100, y: 0, z: 100 };
+            move({ x: 100, y: 0, z: 100 });
+            player.appearance = appearance;
+            return move({ x: 126, y: 0, z: 100 }, { ms: 1000, mode });
+        };
+
+        // 26 units in a second: walk allows 10 * 1.25 + 12 slack = 24.5
+        expect(oneSecondRun({ mount: 'none' }, 'walk').reason).toBe('speed');
+        expect(oneSecondRun({ mount: 'jetpack', mountEnabled: true }, 'mount').accepted).toBe(true);
+        // Claiming a mount doesn't help when it's put away
+        expect(oneSecondRun({ mount: 'jetpack', mountEnabled: false }, 'mount').reason).toBe('speed');
+        expect(oneSecondRun({ mount: 'none' }, 'slide').accepted).toBe(true);
+    });
+
+    it('does not bank distance past the sample gap limit', () => {
+        // Idle for a minute, then one huge jump
+        expect(move({ x: 100, y: 0, z: 160 }, { ms: 60_000 }).reason).toBe('speed');
+    });
+
+    /** change_room into `room`: the server puts the player on its default spawn, the client reports its own */
+    function enter(room, position) {
+        player.room = room;
+        validator.enterRoom('p1', room);
+        player.position = { ...getSpawnTeleportTarget(room), y: 0 };
+        return move(position);
+    }
+
+    it('takes a room entry at a spawn or portal exit as the next baseline', () => {
+        // Dojo exit lands on the street south of town center
+        expect(enter('town', { x: 111, y: 0, z: 167 }).accepted).toBe(true);
+        expect(move({ x: 112, y: 0, z: 167 }).accepted).toBe(true);
+        expect(move({ x: 112, y: 0, z: 100 }).reason).toBe('speed');
+
+        // Joining puts the player on their saved spot; the client spawning there is fine too
+        validator.enterRoom('p1', 'town');
+        player.position = { x: 40, y: 0, z: 120 };
+        expect(move({ x: 41, y: 0, z: 120 }).accepted).toBe(true);
+    });
+
+    it('does not let change_room or the move after it teleport the player', () => {
+        // A fishing hole far from every Snow Forts entry point
+        expect(enter('snow_forts', { x: 30, y: 0, z: 40 })).toEqual({
+            accepted: false,
+            reason: 'entry',
+            correction: { x: 110, y: 0, z: 110 },
+        });
+        expect(validator.getFlaggedAccounts()[0].counts.entry).toBe(1);
+
+        // Entering legitimately and then jumping is a plain speed violation
+        clock += MOVEMENT_LIMITS.CORRECTION_GRACE_MS;
+        expect(enter('snow_forts', { x: 110, y: 0, z: 110 }).accepted).toBe(true);
+        expect(move({ x: 30, y: 0, z: 40 }).reason).toBe('speed');
+    });
+
+    it('takes server placements as the new baseline', () => {
+        // e.g. a snowball fight respawn or /tp
+        player.position = { x: 40, y: 0, z: 40 };
+        expect(move({ x: 41, y: 0, z: 40 }).accepted).toBe(true);
+        expect(move({ x: 100, y: 0, z: 100 }).reason).toBe('speed');
+    });
+
+    it('accepts /spawn only when it lands on the room spawn point', () => {
+        const spawn = getSpawnTeleportTarget('town');
+        expect(move({ x: 20, y: 0, z: 20 }, { teleport: 'spawn' }).reason).toBe('speed');
+
+        clock += MOVEMENT_LIMITS.CORRECTION_GRACE_MS;
+        expect(move({ x: spawn.x + 1, y: 0, z: spawn.z }, { teleport: 'spawn' }).accepted).toBe(true);
+    });
+
+    it('rejects positions outside the room and inside buildings, but not on their roofs', () => {
+        player.position = { x: 1, y: 0, z: 50 };
+        expect(move({ x: -5, y: 0, z: 50 }).reason).toBe('bounds');
+
+        const dojo = getRoomColliders('town').find((collider) => collider.id === 'dojo');
+        const centerX = (dojo.minX + dojo.maxX) / 2;
+        const centerZ = (dojo.minZ + dojo.maxZ) / 2;
+
+        clock += MOVEMENT_LIMITS.CORRECTION_GRACE_MS;
+        player.position = { x: centerX, y: dojo.height + 2, z: centerZ };
+        expect(move({ x: centerX, y: dojo.height, z: centerZ }).accepted).toBe(true);
+        expect(move({ x: centerX, y: 1, z: centerZ }).reason).toBe('collider');
+
+        // Rooms without bounds or colliders only get the speed check
+        player.room = 'pizza';
+        validator.enterRoom('p1', 'pizza');
+        player.position = { x: -500, y: 0, z: 9000 };
+        expect(move({ x: -501, y: 0, z: 9000 }).accepted).toBe(true);
+    });
+
+    it('drops samples already in flight after a correction without counting them', () => {
+        expect(move({ x: 200, y: 0, z: 200 }).correction).toEqual({ x: 100, y: 0, z: 100 });
+        expect(move({ x: 201, y: 0, z: 200 })).toEqual({ accepted: false, reason: 'speed', correction: null });
+        expect(validator.getFlaggedAccounts()[0].total).toBe(1);
+
+        clock += MOVEMENT_LIMITS.CORRECTION_GRACE_MS;
+        expect(move({ x: 202, y: 0, z: 200 }).correction).toEqual({ x: 100, y: 0, z: 100 });
+        expect(validator.getFlaggedAccounts()[0].total).toBe(2);
+    });
+
+    it('flags accounts once they pass the threshold and keeps guests apart', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        for (let i = 0; i < MOVEMENT_LIMITS.FLAG_THRESHOLD; i++) {
+            clock += MOVEMENT_LIMITS.CORRECTION_GRACE_MS;
+            move({ x: 200, y: 0, z: 200 });
+        }
+        expect(warn).toHaveBeenCalledTimes(1);
+        warn.mockRestore();
+
+        const guest = { name: 'Guest', room: 'town', position: { x: 100, y: 0, z: 100 }, appearance: {} };
+        validator.checkMove('p2', guest, { position: { x: 'nope', z: 0 } });
+
+        expect(validator.getFlaggedAccounts({ flaggedOnly: true }).map((entry) => entry.key)).toEqual(['wallet1']);
+        expect(validator.getFlaggedAccounts().at(-1)).toMatchObject({
+            key: 'guest:p2',
+            walletAddress: null,
+            lastReason: 'malformed',
+            flagged: false,
+        });
+    });
+
+    it('lets staff move freely but still rejects malformed positions', () => {
+        player.role = 'moderator';
+        expect(move({ x: 200, y: 0, z: 30 }).accepted).toBe(true);
+        expect(move({ x: NaN, y: 0, z: 30 }).reason).toBe('malformed');
+        expect(validator.getFlaggedAccounts()).toHaveLength(1);
+    });
+
+    it('forgets a disconnected player but keeps their telemetry', () => {
+        move({ x: 200, y: 0, z: 200 });
+        validator.removePlayer('p1');
+        expect(validator.tracks.has('p1')).toBe(false);
+        expect(validator.getFlaggedAccounts()).toHaveLength(1);
+    });
+});
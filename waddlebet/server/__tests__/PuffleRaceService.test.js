@@ -0,0 +1,244 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import PuffleRaceService, { generateRaceCourse, simulateRace, getWeightedStat } from '../services/PuffleRaceService.js';
+import Puffle from '../db/models/Puffle.js';
+import PuffleRace from '../db/models/PuffleRace.js';
+import { PUFFLE_RACE_LIMITS, RACE_SEGMENT_TYPES } from '../config/puffleRacing.js';
+
+const db = vi.hoisted(() => ({ connected: false }));
+
+vi.mock('../db/models/Puffle.js', () => ({
+    default: {
+        findActiveForOwner: vi.fn(),
+        findOne: vi.fn(),
+    },
+}));
+
+vi.mock('../db/models/PuffleRace.js', () => ({
+    default: {
+        updateOne: vi.fn(),
+        findUnfinished: vi.fn(),
+    },
+}));
+
+vi.mock('../db/connection.js', () => ({
+    isDBConnected: () => db.connected,
+}));
+
+function seeded(seed = 42) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+}
+
+function stats(value) {
+    return { running: value, swimming: value, flying: value, climbing: value };
+}
+
+function puffleDoc(wallet, overrides = {}) {
+    return {
+        puffleId: `puffle_${wallet}`,
+        name: `Puff ${wallet}`,
+        color: 'blue',
+        energy: 80,
+        isSleeping: false,
+        trainingStats: stats(10),
+        ...overrides,
+    };
+}
+
+describe('race simulation', () => {
+    it('generates courses that use every segment type', () => {
+        const course = generateRaceCourse(seeded(7));
+        expect(course.length).toBeGreaterThanOrEqual(PUFFLE_RACE_LIMITS.SEGMENTS_MIN);
+        expect(course.length).toBeLessThanOrEqual(PUFFLE_RACE_LIMITS.SEGMENTS_MAX);
+        expect(new Set(course.map((segment) => segment.type))).toEqual(new Set(Object.keys(RACE_SEGMENT_TYPES)));
+    });
+
+    it('weights training stats by segment type', () => {
+        const swimmer = { running: 100, swimming: 900, flying: 0, climbing: 0 };
+        expect(getWeightedStat(swimmer, RACE_SEGMENT_TYPES.pond.weights)).toBeCloseTo(700);
+        expect(getWeightedStat(swimmer, RACE_SEGMENT_TYPES.gap.weights)).toBe(0);
+    });
+
+    it('lets a well-trained puffle beat an untrained one', () => {
+        const course = [{ type: 'track', length: 20 }, { type: 'pond', length: 20 }, { type: 'wall', length: 20 }];
+        const results = simulateRace(course, [
+            { walletAddress: 'slow', trainingStats: stats(10), energy: 100 },
+            { walletAddress: 'fast', trainingStats: stats(900), energy: 100 },
+        ], seeded(3));
+
+        expect(results.map((r) => r.walletAddress)).toEqual(['fast', 'slow']);
+        expect(results[0].place).toBe(1);
+        expect(results[0].splits).toHaveLength(3);
+        expect(results[0].time).toBe(results[0].splits[2]);
+    });
+});
+
+describe('PuffleRaceService', () => {
+    let service;
+    let userService;
+    let sendToPlayer;
+    let broadcastToRoom;
+    let online;
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        sendToPlayer = vi.fn();
+        broadcastToRoom = vi.fn();
+        online = { w1: { id: 'p1' }, w2: { id: 'p2' } };
+        userService = { addCoins: vi.fn().mockResolvedValue({ success: true, newBalance: 500 }) };
+        db.connected = false;
+        service = new PuffleRaceService(userService, sendToPlayer, broadcastToRoom, (w) => online[w] || null, seeded(11));
+        Puffle.findActiveForOwner.mockImplementation(async (wallet) => puffleDoc(wallet));
+    });
+
+    const player = (wallet, room = 'town') => ({ walletAddress: wallet, name: wallet.toUpperCase(), room });
+
+    it('opens a lobby with a paid entry and starts the countdown at two racers', async () => {
+        const first = await service.join(player('w1'), 25);
+        expect(first.success).toBe(true);
+        expect(userService.addCoins).toHaveBeenCalledWith('w1', -25, 'puffle_race_entry', expect.any(Object), 'Puffle race entry');
+        expect(service.races.get('town').countdownEndsAt).toBeNull();
+
+        // Later racers pay the lobby's fee, not their own
+        await service.join(player('w2'), 250);
+        expect(userService.addCoins).toHaveBeenLastCalledWith('w2', -25, 'puffle_race_entry', expect.any(Object), 'Puffle race entry');
+        const race = service.races.get('town');
+        expect(race.racers).toHaveLength(2);
+        expect(race.countdownEndsAt).toBeGreaterThan(Date.now());
+        expect(broadcastToRoom).toHaveBeenLastCalledWith('town', expect.objectContaining({ type: 'puffle_race_state' }));
+    });
+
+    it('rejects tired puffles, other rooms and invalid fees', async () => {
+        expect((await service.join(player('w1', 'dojo'), 0)).error).toBe('WRONG_ROOM');
+        expect((await service.join(player('w1'), 7)).error).toBe('INVALID_FEE');
+        Puffle.findActiveForOwner.mockResolvedValueOnce(puffleDoc('w1', { energy: 5 }));
+        expect((await service.join(player('w1'), 0)).error).toBe('PUFFLE_TIRED');
+        expect(service.races.size).toBe(0);
+    });
+
+    it('refunds the entry when leaving a lobby', async () => {
+        await service.join(player('w1'), 100);
+        const result = await service.leave('w1');
+        expect(result.success).toBe(true);
+        expect(userService.addCoins).toHaveBeenLastCalledWith('w1', 100, 'puffle_race_refund', expect.any(Object), 'Puffle race refund');
+        expect(service.races.size).toBe(0);
+    });
+
+    it('cancels and refunds lobbies that never fill', async () => {
+        await service.join(player('w1'), 25);
+        const race = service.races.get('town');
+        await service.tick(race.createdAt + PUFFLE_RACE_LIMITS.LOBBY_TIMEOUT_MS);
+        expect(service.races.size).toBe(0);
+        expect(sendToPlayer).toHaveBeenCalledWith('p1', expect.objectContaining({ type: 'puffle_race_cancelled', refunded: 25 }));
+    });
+
+    it('runs the race, records racing stats and pays the winner the pot', async () => {
+        Puffle.findActiveForOwner.mockImplementation(async (wallet) => puffleDoc(wallet, {
+            trainingStats: stats(wallet === 'w2' ? 900 : 10),
+        }));
+        const docs = {};
+        Puffle.findOne.mockImplementation(async ({ ownerWallet }) => {
+            docs[ownerWallet] = {
+                energy: 80,
+                recordRace: vi.fn(),
+                updateMood: vi.fn(),
+                save: vi.fn().mockResolvedValue(),
+                toClientData: () => ({ id: `puffle_${ownerWallet}` }),
+            };
+            return docs[ownerWallet];
+        });
+
+        await service.join(player('w1'), 100);
+        await service.join(player('w2'), 100);
+        const race = service.races.get('town');
+        await service.tick(race.countdownEndsAt);
+        expect(race.phase).toBe('racing');
+        expect(race.results[0].walletAddress).toBe('w2');
+
+        await service.tick(race.finishesAt);
+        expect(race.phase).toBe('results');
+        expect(docs.w2.recordRace).toHaveBeenCalledWith(1, race.results[0].time, 3);
+        expect(docs.w1.recordRace).toHaveBeenCalledWith(2, race.results[1].time, 2);
+        expect(docs.w1.energy).toBe(80 - PUFFLE_RACE_LIMITS.ENERGY_COST);
+        expect(userService.addCoins).toHaveBeenLastCalledWith('w2', 200, 'puffle_race_payout', expect.any(Object), expect.any(String));
+        expect(sendToPlayer).toHaveBeenCalledWith('p2', expect.objectContaining({ type: 'puffle_race_finished', place: 1, payout: 200 }));
+        expect(service.walletRace.size).toBe(0);
+
+        await service.tick(race.removeAt);
+        expect(service.races.size).toBe(0);
+    });
+
+    it('joins the lobby another player opened while the puffle was loading', async () => {
+        const loading = {};
+        Puffle.findActiveForOwner.mockImplementation((wallet) => new Promise((resolve) => {
+            loading[wallet] = () => resolve(puffleDoc(wallet));
+        }));
+
+        const first = service.join(player('w1'), 25);
+        const second = service.join(player('w2'), 100);
+        loading.w1();
+        loading.w2();
+
+        expect((await first).success).toBe(true);
+        expect((await second).success).toBe(true);
+        const race = service.races.get('town');
+        expect(race.racers.map((racer) => racer.walletAddress)).toEqual(['w1', 'w2']);
+        // The second racer pays the lobby's fee and nobody is refunded
+        expect(userService.addCoins).toHaveBeenLastCalledWith('w2', -25, 'puffle_race_entry', expect.any(Object), 'Puffle race entry');
+        expect(userService.addCoins).toHaveBeenCalledTimes(2);
+    });
+
+    it('keeps an escrow record of paid entries and refunds it after a restart', async () => {
+        db.connected = true;
+        await service.join(player('w1'), 25);
+        const race = service.races.get('town');
+        expect(PuffleRace.updateOne).toHaveBeenLastCalledWith(
+            { raceId: race.id },
+            { $set: expect.objectContaining({ status: 'lobby', entrants: [{ walletAddress: 'w1', puffleId: 'puffle_w1', paid: 25 }] }) },
+            { upsert: true }
+        );
+
+        const doc = {
+            raceId: race.id,
+            roomId: 'town',
+            status: 'racing',
+            entrants: [{ walletAddress: 'w1', puffleId: 'puffle_w1', paid: 25 }, { walletAddress: 'w2', puffleId: 'puffle_w2', paid: 25 }],
+            save: vi.fn().mockResolvedValue(),
+        };
+        PuffleRace.findUnfinished.mockResolvedValue([doc]);
+        const restarted = new PuffleRaceService(userService, sendToPlayer, broadcastToRoom, () => null);
+        userService.addCoins.mockClear();
+
+        expect(await restarted.recoverUnfinished()).toBe(1);
+        expect(userService.addCoins).toHaveBeenCalledWith('w1', 25, 'puffle_race_refund', expect.any(Object), 'Puffle race refund');
+        expect(userService.addCoins).toHaveBeenCalledWith('w2', 25, 'puffle_race_refund', expect.any(Object), 'Puffle race refund');
+        expect(doc).toMatchObject({ status: 'cancelled', cancelReason: 'Server restarted' });
+        expect(doc.save).toHaveBeenCalled();
+    });
+
+    it('saves race records in order even when an earlier write is slow', async () => {
+        db.connected = true;
+        const written = [];
+        let releaseRacing;
+        PuffleRace.updateOne.mockImplementation(async (_query, { $set }) => {
+            if ($set.status === 'racing') await new Promise((resolve) => { releaseRacing = resolve; });
+            written.push($set.status);
+        });
+        Puffle.findOne.mockResolvedValue(null);
+
+        await service.join(player('w1'), 25);
+        await service.join(player('w2'), 25);
+        const race = service.races.get('town');
+        await service.tick(race.countdownEndsAt);
+        const finishing = service.tick(race.finishesAt);
+        await Promise.resolve();
+        expect(written).toEqual(['lobby', 'lobby']);
+
+        releaseRacing();
+        await finishing;
+        expect(written).toEqual(['lobby', 'lobby', 'racing', 'complete']);
+    });
+});
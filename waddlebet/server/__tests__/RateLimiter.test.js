@@ -168,6 +168,50 @@ describe('RateLimiter', () => {
         });
     });
     
+    describe('escalation', () => {
+        it('should step up block durations per strike', () => {
+            const { maxRequests, escalationMs } = RATE_LIMITS.chat_violation;
+            const key = rateLimiter._getKey('chat_violation', 'walletEscalate');
+            const durations = [];
+            
+            for (let strike = 0; strike < escalationMs.length + 1; strike++) {
+                for (let i = 0; i < maxRequests; i++) {
+                    rateLimiter.check('chat_violation', 'walletEscalate');
+                }
+                durations.push(rateLimiter.check('chat_violation', 'walletEscalate').retryAfterMs);
+                // Serve the block
+                rateLimiter.tracking.get(key).blockedUntil = Date.now() - 1;
+            }
+            
+            expect(durations).toEqual([...escalationMs, escalationMs[escalationMs.length - 1]]);
+        });
+        
+        it('should reset strikes once they decay', () => {
+            const { maxRequests, escalationMs, strikeDecayMs } = RATE_LIMITS.chat_violation;
+            const key = rateLimiter._getKey('chat_violation', 'walletDecay');
+            rateLimiter.tracking.set(key, {
+                count: maxRequests,
+                windowStart: Date.now(),
+                blockedUntil: null,
+                strikes: 3,
+                lastStrikeAt: Date.now() - strikeDecayMs - 1
+            });
+            
+            expect(rateLimiter.check('chat_violation', 'walletDecay').retryAfterMs).toBe(escalationMs[0]);
+        });
+        
+        it('should stay enabled for alwaysEnabled types when the flag is off', () => {
+            rateLimiter.enabled = false;
+            const { maxRequests } = RATE_LIMITS.chat_violation;
+            for (let i = 0; i < maxRequests; i++) {
+                rateLimiter.check('chat_violation', 'guest_p1');
+            }
+            
+            expect(rateLimiter.check('chat_violation', 'guest_p1').allowed).toBe(false);
+            expect(rateLimiter.check('payment', 'guest_p1').disabled).toBe(true);
+        });
+    });
+    
     describe('cleanup', () => {
         it('should remove stale entries', () => {
             const wallet = 'walletCleanup';
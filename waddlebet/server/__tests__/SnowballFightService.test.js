@@ -0,0 +1,299 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import SnowballFightService, { stepSnowball } from '../services/SnowballFightService.js';
+import {
+    SNOWBALL_FIGHT_LIMITS,
+    SNOWBALL_FIGHT_TEAMS,
+    SNOWBALL_FIGHT_HILL,
+    SNOWBALL_FIGHT_MODES,
+    SNOWBALL_PHYSICS,
+} from '../config/snowballFight.js';
+
+function createPlayer(id, overrides = {}) {
+    return {
+        id,
+        name: `Penguin ${id}`,
+        room: 'snow_forts',
+        walletAddress: `wallet_${id}`,
+        position: { x: 0, y: 0, z: 0 },
+        rotation: 0,
+        ...overrides,
+    };
+}
+
+/** Throw from `from` so the ball is at the target's chest after half a second */
+function throwAt(from, to) {
+    const t = 0.5;
+    const startY = 1.5;
+    return {
+        startX: from.x,
+        startY,
+        startZ: from.z,
+        velocityX: (to.x - from.x) / t,
+        velocityY: (1 - startY - 0.5 * SNOWBALL_PHYSICS.GRAVITY * t * t) / t,
+        velocityZ: (to.z - from.z) / t,
+    };
+}
+
+describe('SnowballFightService', () => {
+    let players;
+    let statsService;
+    let sendToPlayer;
+    let broadcastToRoom;
+    let service;
+    let start;
+
+    beforeEach(() => {
+        players = new Map();
+        statsService = { recordResult: vi.fn().mockResolvedValue(undefined) };
+        sendToPlayer = vi.fn();
+        broadcastToRoom = vi.fn();
+        service = new SnowballFightService(statsService, sendToPlayer, broadcastToRoom, (id) => players.get(id), () => 0.5);
+    });
+
+    function addPlayer(id, overrides) {
+        const player = createPlayer(id, overrides);
+        players.set(id, player);
+        return player;
+    }
+
+    /** Red p1 vs blue p2, match running, spawn protection over, both facing off mid-arena */
+    async function startDuel(mode) {
+        const red = addPlayer('p1');
+        const blue = addPlayer('p2');
+        expect(service.join(red, { team: 'red', mode }).success).toBe(true);
+        expect(service.join(blue, { team: 'blue' }).success).toBe(true);
+
+        const match = service.matches.get('snow_forts');
+        start = match.countdownEndsAt;
+        await service.tick(start);
+        expect(match.phase).toBe('running');
+
+        red.position = { x: 60, y: 0, z: 30 };
+        blue.position = { x: 66, y: 0, z: 30 };
+        start += SNOWBALL_FIGHT_LIMITS.SPAWN_PROTECTION_MS;
+        await service.tick(start);
+        return { match, red, blue };
+    }
+
+    async function landHit(thrower, target, at) {
+        expect(service.handleThrow(thrower, throwAt(thrower.position, target.position), at)).toBe(true);
+        await service.tick(at + 600);
+    }
+
+    describe('lobby', () => {
+        it('requires the Snow Forts', () => {
+            const player = addPlayer('p1', { room: 'town' });
+            expect(service.join(player, { team: 'red' }).error).toBe('WRONG_ROOM');
+        });
+
+        it('keeps teams balanced', () => {
+            service.join(addPlayer('p1'), { team: 'red' });
+            const result = service.join(addPlayer('p2'), { team: 'red' });
+            expect(result.success).toBe(true);
+            expect(result.team).toBe('blue');
+        });
+
+        it('only counts down once both teams have a player', () => {
+            service.join(addPlayer('p1'), { team: 'red' });
+            const match = service.matches.get('snow_forts');
+            expect(match.countdownEndsAt).toBeNull();
+
+            service.join(addPlayer('p2'), { team: 'blue' });
+            expect(match.countdownEndsAt).not.toBeNull();
+        });
+
+        it('cancels the countdown when a team empties', async () => {
+            service.join(addPlayer('p1'), { team: 'red' });
+            service.join(addPlayer('p2'), { team: 'blue' });
+            await service.handleRoomChange('p2', 'town');
+            expect(service.matches.get('snow_forts').countdownEndsAt).toBeNull();
+        });
+
+        it('respawns everyone at their fort when the match starts', async () => {
+            const red = addPlayer('p1');
+            service.join(red, { team: 'red' });
+            service.join(addPlayer('p2'), { team: 'blue' });
+            await service.tick(service.matches.get('snow_forts').countdownEndsAt);
+
+            const fort = SNOWBALL_FIGHT_TEAMS.red.fort;
+            expect(Math.hypot(red.position.x - fort.x, red.position.z - fort.z)).toBeLessThanOrEqual(3);
+            expect(sendToPlayer).toHaveBeenCalledWith('p1', { type: 'teleport', position: red.position });
+        });
+    });
+
+    describe('hit detection', () => {
+        it('steps a ball along its arc into a target', () => {
+            const ball = { x: 0, y: 1.5, z: 0, vx: 10, vy: 0, vz: 0 };
+            const targets = [{ id: 'target', position: { x: 1, y: 0, z: 0 } }];
+            let hit = null;
+            for (let i = 0; i < 30 && !hit; i++) hit = stepSnowball(ball, 1 / 60, targets);
+            expect(hit).toBe('target');
+        });
+
+        it('scores a server-side hit on the other team', async () => {
+            const { match, red, blue } = await startDuel('team_knockout');
+            await landHit(red, blue, start);
+
+            expect(match.fighters.get('p2').hitsTaken).toBe(1);
+            expect(broadcastToRoom).toHaveBeenCalledWith('snow_forts', expect.objectContaining({
+                type: 'snowball_fight_hit',
+                throwerId: 'p1',
+                targetId: 'p2',
+                hitsTaken: 1,
+                knockedOut: false,
+            }));
+        });
+
+        it('misses a penguin that moved out of the way', async () => {
+            const { match, red, blue } = await startDuel('team_knockout');
+            service.handleThrow(red, throwAt(red.position, blue.position), start);
+            blue.position = { x: 66, y: 0, z: 36 };
+            await service.tick(start + 600);
+            expect(match.fighters.get('p2').hitsTaken).toBe(0);
+        });
+
+        it('rejects throws from far away from the thrower', async () => {
+            const { red, blue } = await startDuel('team_knockout');
+            const data = throwAt({ x: 65, z: 30 }, blue.position);
+            expect(service.handleThrow({ ...red, position: { x: 40, y: 0, z: 30 } }, data, start)).toBe(false);
+        });
+
+        it('enforces the throw cooldown', async () => {
+            const { red, blue } = await startDuel('team_knockout');
+            const data = throwAt(red.position, blue.position);
+            expect(service.handleThrow(red, data, start)).toBe(true);
+            expect(service.handleThrow(red, data, start + 100)).toBe(false);
+        });
+
+        it('ignores throws from players not in the fight', async () => {
+            const { blue } = await startDuel('team_knockout');
+            const bystander = addPlayer('p3', { position: { x: 60, y: 0, z: 30 } });
+            expect(service.handleThrow(bystander, throwAt(bystander.position, blue.position), start)).toBe(false);
+        });
+    });
+
+    describe('knockouts', () => {
+        it('knocks out after enough hits and respawns at the fort', async () => {
+            const { match, red, blue } = await startDuel('team_knockout');
+            let at = start;
+            for (let i = 0; i < SNOWBALL_FIGHT_LIMITS.HITS_TO_KNOCKOUT; i++) {
+                await landHit(red, blue, at);
+                at += 1000;
+            }
+
+            const fighter = match.fighters.get('p2');
+            expect(fighter.alive).toBe(false);
+            expect(fighter.deaths).toBe(1);
+            expect(match.scores.red).toBe(1);
+            expect(service.handleThrow(blue, throwAt(blue.position, red.position), at)).toBe(false);
+
+            await service.tick(fighter.respawnAt);
+            expect(fighter.alive).toBe(true);
+            const fort = SNOWBALL_FIGHT_TEAMS.blue.fort;
+            expect(Math.hypot(blue.position.x - fort.x, blue.position.z - fort.z)).toBeLessThanOrEqual(3);
+            expect(broadcastToRoom).toHaveBeenCalledWith('snow_forts', expect.objectContaining({
+                type: 'player_moved',
+                playerId: 'p2',
+                position: blue.position,
+            }), 'p2');
+        });
+    });
+
+    describe('capture the flag', () => {
+        it('picks up the enemy flag and scores at home', async () => {
+            const { match, red } = await startDuel('capture_flag');
+            red.position = { ...SNOWBALL_FIGHT_TEAMS.blue.flag, y: 0 };
+            await service.tick(start + 50);
+            expect(match.flags.blue).toMatchObject({ state: 'carried', carrierId: 'p1' });
+
+            red.position = { ...SNOWBALL_FIGHT_TEAMS.red.flag, y: 0 };
+            await service.tick(start + 100);
+            expect(match.scores.red).toBe(1);
+            expect(match.fighters.get('p1').captures).toBe(1);
+            expect(match.flags.blue.state).toBe('home');
+        });
+
+        it('drops the flag when the carrier is knocked out', async () => {
+            const { match, red, blue } = await startDuel('capture_flag');
+            red.position = { ...SNOWBALL_FIGHT_TEAMS.blue.flag, y: 0 };
+            await service.tick(start + 50);
+
+            blue.position = { x: red.position.x - 6, y: 0, z: red.position.z };
+            let at = start + 100;
+            for (let i = 0; i < SNOWBALL_FIGHT_LIMITS.HITS_TO_KNOCKOUT; i++) {
+                await landHit(blue, red, at);
+                at += 1000;
+            }
+            expect(match.flags.blue.state).toBe('dropped');
+
+            await service.tick(at + SNOWBALL_FIGHT_LIMITS.FLAG_RETURN_MS);
+            expect(match.flags.blue.state).toBe('home');
+        });
+    });
+
+    describe('king of the hill', () => {
+        it('scores for the team holding the hill alone', async () => {
+            const { match, red } = await startDuel('king_of_the_hill');
+            red.position = { x: SNOWBALL_FIGHT_HILL.x, y: 0, z: SNOWBALL_FIGHT_HILL.z };
+            for (let i = 1; i <= 60; i++) await service.tick(start + i * 50);
+            expect(match.hillHolder).toBe('red');
+            expect(match.scores.red).toBe(3);
+        });
+
+        it('does not score while contested', async () => {
+            const { match, red, blue } = await startDuel('king_of_the_hill');
+            red.position = { x: SNOWBALL_FIGHT_HILL.x, y: 0, z: SNOWBALL_FIGHT_HILL.z };
+            blue.position = { x: SNOWBALL_FIGHT_HILL.x + 1, y: 0, z: SNOWBALL_FIGHT_HILL.z };
+            await service.tick(start + 5000);
+            expect(match.hillHolder).toBe('contested');
+            expect(match.scores).toEqual({ red: 0, blue: 0 });
+        });
+    });
+
+    describe('results', () => {
+        it('records wins and losses under the snowball_fight game type', async () => {
+            const { match } = await startDuel('team_knockout');
+            match.scores.red = SNOWBALL_FIGHT_MODES.team_knockout.target;
+            await service.tick(start + 50);
+
+            expect(match.phase).toBe('results');
+            expect(match.winner).toBe('red');
+            expect(statsService.recordResult).toHaveBeenCalledWith('wallet_p1', 'snowball_fight', true, 0, false);
+            expect(statsService.recordResult).toHaveBeenCalledWith('wallet_p2', 'snowball_fight', false, 0, false);
+            expect(sendToPlayer).toHaveBeenCalledWith('p1', expect.objectContaining({ type: 'snowball_fight_finished', won: true }));
+        });
+
+        it('records a draw when time runs out level', async () => {
+            const { match } = await startDuel('team_knockout');
+            await service.tick(match.endsAt);
+            expect(match.winner).toBeNull();
+            expect(statsService.recordResult).toHaveBeenCalledWith('wallet_p1', 'snowball_fight', false, 0, true);
+        });
+
+        it('skips stats for guests', async () => {
+            const red = addPlayer('p1', { walletAddress: null });
+            service.join(red, { team: 'red' });
+            service.join(addPlayer('p2'), { team: 'blue' });
+            const match = service.matches.get('snow_forts');
+            await service.tick(match.countdownEndsAt);
+            await service.tick(match.endsAt);
+
+            expect(statsService.recordResult).toHaveBeenCalledTimes(1);
+            expect(statsService.recordResult).toHaveBeenCalledWith('wallet_p2', 'snowball_fight', false, 0, true);
+        });
+
+        it('hands the win to the other team when a team walks out', async () => {
+            const { match } = await startDuel('team_knockout');
+            await service.leave('p2');
+            expect(match.winner).toBe('red');
+            expect(statsService.recordResult).toHaveBeenCalledWith('wallet_p1', 'snowball_fight', true, 0, false);
+        });
+
+        it('clears the arena after the results linger', async () => {
+            const { match } = await startDuel('team_knockout');
+            await service.tick(match.endsAt);
+            await service.tick(match.removeAt);
+            expect(service.matches.has('snow_forts')).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,140 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import StampService from '../services/StampService.js';
+import User from '../db/models/User.js';
+import {
+    getNewlyEarnedStamps,
+    getStampProgress,
+    getClearedParkourStage,
+    PARKOUR_STAGE_GOALS,
+} from '../config/stamps.js';
+
+vi.mock('../db/models/User.js', () => ({
+    default: {
+        findOne: vi.fn(),
+        findOneAndUpdate: vi.fn(),
+        updateOne: vi.fn(),
+    },
+}));
+
+describe('stamp registry', () => {
+    it('measures single-key, total and distinct criteria', () => {
+        const progress = { 'fish:cod': 3, 'fish:salmon': 2, 'fish:tuna': 0, 'chop:pine_log': 7 };
+        expect(getStampProgress({ key: 'fish:cod', min: 1 }, progress)).toEqual({ current: 3, target: 1 });
+        expect(getStampProgress({ prefix: 'fish:', total: 100 }, progress)).toEqual({ current: 5, target: 100 });
+        expect(getStampProgress({ prefix: 'fish:', distinct: 10 }, progress)).toEqual({ current: 2, target: 10 });
+    });
+
+    it('only returns unearned stamps the touched keys can affect', () => {
+        const progress = { 'fish:cod': 1, 'chop:pine_log': 1 };
+        const ids = getNewlyEarnedStamps(progress, [], ['fish:cod']).map((stamp) => stamp.id);
+        expect(ids).toEqual(['fish_first_catch']);
+        expect(getNewlyEarnedStamps(progress, ['fish_first_catch'], ['fish:cod'])).toEqual([]);
+    });
+
+    it('detects parkour clears on the next stage start platform', () => {
+        const goal = PARKOUR_STAGE_GOALS[2];
+        expect(getClearedParkourStage({ x: goal.x + 1, y: goal.y, z: goal.z - 1 })).toBe(goal.stage);
+        expect(getClearedParkourStage({ x: goal.x, y: goal.y - 10, z: goal.z })).toBeNull();
+        expect(getClearedParkourStage({ x: goal.x + 20, y: goal.y, z: goal.z })).toBeNull();
+    });
+});
+
+describe('StampService', () => {
+    let service;
+    let sendToPlayer;
+    let broadcastToAll;
+    let onlinePlayers;
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        sendToPlayer = vi.fn();
+        broadcastToAll = vi.fn();
+        onlinePlayers = { w1: { id: 'p1', name: 'Pinga' } };
+        service = new StampService(sendToPlayer, (wallet) => onlinePlayers[wallet] || null, broadcastToAll);
+        User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    it('increments progress and awards a newly completed stamp', async () => {
+        User.findOneAndUpdate.mockResolvedValue({
+            username: 'Pinga',
+            stamps: [],
+            stampProgress: { 'chop:pine_log': 1 },
+        });
+
+        const awarded = await service.recordChop('w1', 'pine_log');
+
+        expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+            { walletAddress: 'w1' },
+            { $inc: { 'stampProgress.chop:pine_log': 1 } },
+            expect.objectContaining({ new: true })
+        );
+        expect(awarded.map((stamp) => stamp.id)).toEqual(['chop_first']);
+        expect(User.updateOne).toHaveBeenCalledWith(
+            { walletAddress: 'w1', 'stamps.id': { $ne: 'chop_first' } },
+            expect.objectContaining({ $inc: { 'stats.unlocks.totalStampsEarned': 1 } })
+        );
+        expect(sendToPlayer).toHaveBeenCalledWith('p1', expect.objectContaining({ type: 'stamp_earned', stampId: 'chop_first' }));
+        expect(broadcastToAll).not.toHaveBeenCalled();
+    });
+
+    it('does not award stamps already in the book', async () => {
+        User.findOneAndUpdate.mockResolvedValue({
+            username: 'Pinga',
+            stamps: [{ id: 'chop_first' }],
+            stampProgress: { 'chop:pine_log': 2 },
+        });
+
+        expect(await service.recordChop('w1', 'pine_log')).toEqual([]);
+        expect(User.updateOne).not.toHaveBeenCalled();
+        expect(sendToPlayer).not.toHaveBeenCalled();
+    });
+
+    it('skips the announcement when a concurrent award already landed', async () => {
+        User.findOneAndUpdate.mockResolvedValue({ username: 'Pinga', stamps: [], stampProgress: { 'wager_win:pong': 1 } });
+        User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+        expect(await service.recordWagerWin('w1', 'pong')).toEqual([]);
+        expect(sendToPlayer).not.toHaveBeenCalled();
+    });
+
+    it('broadcasts rare stamps to everyone except the earner', async () => {
+        User.findOneAndUpdate.mockResolvedValue({
+            username: 'Pinga',
+            stamps: [{ id: 'fish_first_catch' }],
+            stampProgress: { 'fish:kraken': 1, 'fish_rarity:legendary': 1 },
+        });
+
+        const awarded = await service.recordFishCatch('w1', 'kraken', 'legendary');
+
+        expect(awarded.map((stamp) => stamp.id).sort()).toEqual(['fish_kraken', 'fish_legendary']);
+        expect(broadcastToAll).toHaveBeenCalledTimes(2);
+        expect(broadcastToAll).toHaveBeenCalledWith(
+            { type: 'stamp_broadcast', stampId: 'fish_kraken', playerName: 'Pinga' },
+            'p1'
+        );
+    });
+
+    it('ignores guests and empty trick lists', async () => {
+        expect(await service.recordChop(null, 'pine_log')).toEqual([]);
+        expect(await service.recordPuffleTricks('w1', [])).toEqual([]);
+        expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('sends the stamp book state with plain progress', async () => {
+        const earnedAt = new Date('2026-01-01');
+        User.findOne.mockReturnValue({
+            lean: vi.fn().mockResolvedValue({
+                stamps: [{ id: 'chop_first', name: 'Timber!', earnedAt }],
+                stampProgress: { 'chop:pine_log': 4 },
+            }),
+        });
+
+        await service.sendState('p1', 'w1');
+
+        expect(sendToPlayer).toHaveBeenCalledWith('p1', {
+            type: 'stamps_state',
+            stamps: [{ id: 'chop_first', earnedAt }],
+            progress: { 'chop:pine_log': 4 },
+        });
+    });
+});
@@ -0,0 +1,243 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import TournamentService, { buildBracket, getEliminationPlacement } from '../services/TournamentService.js';
+import MatchService from '../services/MatchService.js';
+import { TOURNAMENT_LIMITS, getPrizeSplit } from '../config/tournaments.js';
+
+vi.mock('../db/models/Tournament.js', () => ({
+    default: {
+        findUnfinished: vi.fn(),
+        updateOne: vi.fn(),
+    },
+}));
+
+vi.mock('../db/connection.js', () => ({
+    isDBConnected: () => false,
+}));
+
+function player(n) {
+    return { id: `p${n}`, walletAddress: `w${n}`, name: `Penguin ${n}`, room: 'town', appearance: {} };
+}
+
+function createHarness() {
+    const online = new Map();
+    const userService = {
+        addCoins: vi.fn().mockResolvedValue({ success: true, newBalance: 500 }),
+        addPebbles: vi.fn().mockResolvedValue({ success: true, newBalance: 50 }),
+    };
+    let nextMatch = 1;
+    const matchService = {
+        createMatch: vi.fn(async (challenge) => ({
+            id: `match_${nextMatch++}`,
+            gameType: challenge.gameType,
+            room: challenge.room,
+            player1: { id: challenge.challengerId, wallet: challenge.challengerWallet, name: challenge.challengerName },
+            player2: { id: challenge.targetId, wallet: challenge.targetWallet, name: challenge.targetName },
+        })),
+        getMatchState: vi.fn(() => ({})),
+        isWalletInMatch: vi.fn(() => false),
+        endMatch: vi.fn(),
+        getSideBetSummary: vi.fn(() => null),
+        settleSideBets: vi.fn().mockResolvedValue(),
+    };
+    const sendToPlayer = vi.fn();
+    const service = new TournamentService(
+        userService,
+        matchService,
+        sendToPlayer,
+        vi.fn(),
+        vi.fn(),
+        (wallet) => online.get(wallet) || null,
+        () => 0
+    );
+    return { service, userService, matchService, sendToPlayer, online };
+}
+
+async function hostWithEntrants(harness, count, options = {}) {
+    const host = player(1);
+    harness.online.set(host.walletAddress, host);
+    const created = await harness.service.createTournament(host, {
+        gameType: 'connect4',
+        entryFee: 100,
+        maxEntrants: 8,
+        startsInMs: TOURNAMENT_LIMITS.MIN_REGISTRATION_MS,
+        ...options,
+    });
+    for (let n = 2; n <= count; n++) {
+        const p = player(n);
+        harness.online.set(p.walletAddress, p);
+        await harness.service.register(p, created.tournamentId);
+    }
+    return harness.service.tournaments.get(created.tournamentId);
+}
+
+/** Start every ready pairing and let player1 win it */
+async function playRound(harness, tournament, now) {
+    await harness.service.tick(now);
+    const live = tournament.rounds.flat().filter((pairing) => pairing.status === 'live');
+    for (const pairing of live) {
+        await harness.service.recordMatchResult({ tournamentId: tournament.tournamentId }, pairing.matchId, pairing.player1, 'win', now);
+    }
+    return live.length;
+}
+
+describe('bracket helpers', () => {
+    it('pads to the next bracket size with byes only in round one', () => {
+        const rounds = buildBracket(['a', 'b', 'c', 'd', 'e'], () => 0);
+        expect(rounds.map((round) => round.length)).toEqual([4, 2, 1]);
+        expect(rounds[0].filter((pairing) => pairing.player1).length).toBe(4);
+        expect(rounds[0].filter((pairing) => pairing.player2).length).toBe(1);
+        expect(rounds.slice(1).flat().every((pairing) => !pairing.player1 && !pairing.player2)).toBe(true);
+    });
+
+    it('places eliminated players by the round they went out in', () => {
+        expect(getEliminationPlacement(2, 3)).toBe(2);
+        expect(getEliminationPlacement(1, 3)).toBe(3);
+        expect(getEliminationPlacement(0, 3)).toBe(5);
+    });
+
+    it('pays semifinalists only in larger brackets and gives rounding to the winner', () => {
+        expect(getPrizeSplit(1000, 8)).toEqual({ first: 700, second: 300, semifinal: 0 });
+        expect(getPrizeSplit(1001, 16)).toEqual({ first: 601, second: 250, semifinal: 75 });
+    });
+});
+
+describe('TournamentService', () => {
+    let harness;
+
+    beforeEach(() => {
+        harness = createHarness();
+    });
+
+    it('escrows entry fees and refunds withdrawals', async () => {
+        const tournament = await hostWithEntrants(harness, 3);
+        expect(tournament.prizePool).toBe(300);
+        expect(harness.userService.addCoins).toHaveBeenCalledWith('w2', -100, 'tournament_entry', { tournamentId: tournament.tournamentId }, expect.any(String));
+
+        expect((await harness.service.register(player(2), tournament.tournamentId)).error).toBe('ALREADY_REGISTERED');
+        expect((await harness.service.unregister('w1', tournament.tournamentId)).error).toBe('HOST_CANNOT_LEAVE');
+
+        const left = await harness.service.unregister('w3', tournament.tournamentId);
+        expect(left.success).toBe(true);
+        expect(harness.userService.addCoins).toHaveBeenLastCalledWith('w3', 100, 'tournament_refund', { tournamentId: tournament.tournamentId }, expect.any(String));
+        expect(tournament.prizePool).toBe(200);
+    });
+
+    it('charges pebble tournaments in pebbles and limits hosting', async () => {
+        const tournament = await hostWithEntrants(harness, 1, { currency: 'pebbles', entryFee: 5 });
+        expect(harness.userService.addPebbles).toHaveBeenCalledWith('w1', -5, 'tournament_entry', expect.any(Object), expect.any(String));
+        expect(harness.userService.addCoins).not.toHaveBeenCalled();
+
+        const again = await harness.service.createTournament(player(1), { gameType: 'uno', maxEntrants: 4, startsInMs: TOURNAMENT_LIMITS.MIN_REGISTRATION_MS });
+        expect(again.error).toBe('HOST_LIMIT');
+        expect(tournament.status).toBe('registration');
+    });
+
+    it('cancels and refunds when too few players registered', async () => {
+        const tournament = await hostWithEntrants(harness, 3);
+        await harness.service.tick(tournament.startsAt.getTime());
+        expect(tournament.status).toBe('cancelled');
+        expect(tournament.prizePool).toBe(0);
+        expect(harness.userService.addCoins.mock.calls.filter(([, amount]) => amount === 100)).toHaveLength(3);
+    });
+
+    it('runs a bracket with byes through to prize settlement', async () => {
+        const tournament = await hostWithEntrants(harness, 5);
+        let now = tournament.startsAt.getTime();
+        await harness.service.tick(now);
+        expect(tournament.status).toBe('running');
+        expect(tournament.rounds[0].filter((pairing) => pairing.decidedBy === 'bye')).toHaveLength(3);
+
+        // Byes fill round two straight away; round one's only real match runs first
+        now += TOURNAMENT_LIMITS.MATCH_BREAK_MS;
+        expect(await playRound(harness, tournament, now)).toBe(2);
+        expect(harness.matchService.createMatch).toHaveBeenCalledWith(expect.objectContaining({ wagerAmount: 0, gameType: 'connect4' }), expect.any(Object), expect.any(Object));
+
+        now += TOURNAMENT_LIMITS.MATCH_BREAK_MS;
+        expect(await playRound(harness, tournament, now)).toBe(1);
+        now += TOURNAMENT_LIMITS.MATCH_BREAK_MS;
+        expect(await playRound(harness, tournament, now)).toBe(1);
+
+        expect(tournament.status).toBe('complete');
+        const placements = tournament.entrants.map((entrant) => entrant.placement).sort();
+        expect(placements).toEqual([1, 2, 3, 3, 5]);
+
+        const prizes = harness.userService.addCoins.mock.calls.filter(([, , type]) => type === 'tournament_prize');
+        expect(prizes.map(([, amount]) => amount).sort((a, b) => b - a)).toEqual([350, 150]);
+        const champion = tournament.entrants.find((entrant) => entrant.placement === 1);
+        expect(prizes.find(([wallet]) => wallet === champion.walletAddress)[1]).toBe(350);
+        // Each payout is recorded against its tournament and placement
+        expect(prizes.map(([, , , relatedData]) => relatedData)).toEqual(expect.arrayContaining([
+            { tournamentId: tournament.tournamentId, placement: 1 },
+            { tournamentId: tournament.tournamentId, placement: 2 },
+        ]));
+    });
+
+    it('replays drawn matches and ignores duplicate results', async () => {
+        const tournament = await hostWithEntrants(harness, 4);
+        let now = tournament.startsAt.getTime();
+        await harness.service.tick(now);
+        now += TOURNAMENT_LIMITS.MATCH_BREAK_MS;
+        await harness.service.tick(now);
+
+        const pairing = tournament.rounds[0][0];
+        const ref = { tournamentId: tournament.tournamentId };
+        for (let draw = 1; draw < TOURNAMENT_LIMITS.MAX_DRAW_REPLAYS; draw++) {
+            const matchId = pairing.matchId;
+            expect(await harness.service.recordMatchResult(ref, matchId, null, 'win', now)).toBe(true);
+            expect(await harness.service.recordMatchResult(ref, matchId, null, 'win', now)).toBe(false);
+            expect(pairing.status).toBe('ready');
+            now += TOURNAMENT_LIMITS.MATCH_BREAK_MS;
+            await harness.service.tick(now);
+        }
+
+        await harness.service.recordMatchResult(ref, pairing.matchId, null, 'win', now);
+        expect(pairing).toMatchObject({ status: 'done', winner: pairing.player1, decidedBy: 'draws' });
+    });
+
+    it('awards a walkover when a player never shows up', async () => {
+        const tournament = await hostWithEntrants(harness, 4);
+        let now = tournament.startsAt.getTime();
+        await harness.service.tick(now);
+
+        const pairing = tournament.rounds[0][0];
+        harness.online.delete(pairing.player1);
+        now += TOURNAMENT_LIMITS.MATCH_BREAK_MS;
+        await harness.service.tick(now);
+        expect(pairing.status).toBe('ready');
+
+        now += TOURNAMENT_LIMITS.NO_SHOW_GRACE_MS;
+        await harness.service.tick(now);
+        expect(pairing).toMatchObject({ status: 'done', winner: pairing.player2, decidedBy: 'walkover' });
+    });
+});
+
+describe('MatchService tournament no-shows', () => {
+    let matchService;
+
+    afterEach(() => {
+        matchService.dispose();
+    });
+
+    it('forfeits a tournament match after repeated missed turns', async () => {
+        matchService = new MatchService(null, null, vi.fn(), vi.fn());
+        const tournamentService = { settleMatch: vi.fn().mockResolvedValue() };
+        matchService.setTournamentService(tournamentService);
+
+        const match = await matchService.createMatch({
+            id: 't:0-0', gameType: 'tic_tac_toe', wagerAmount: 0, room: null,
+            challengerId: 'p1', challengerWallet: 'w1', challengerName: 'One',
+            targetId: 'p2', targetWallet: 'w2', targetName: 'Two',
+        });
+        match.tournament = { tournamentId: 't', pairingKey: '0-0', missedTurns: { player1: 0, player2: 0 } };
+
+        for (let expiry = 1; expiry < 2 * TOURNAMENT_LIMITS.NO_SHOW_TIMEOUTS - 1; expiry++) {
+            match.state.turnStartedAt = 0;
+            matchService.checkTurnTimers();
+        }
+        expect(tournamentService.settleMatch).not.toHaveBeenCalled();
+
+        match.state.turnStartedAt = 0;
+        matchService.checkTurnTimers();
+        expect(tournamentService.settleMatch).toHaveBeenCalledWith(match, 'p2', 'no_show');
+    });
+});
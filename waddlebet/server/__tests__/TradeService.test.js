@@ -0,0 +1,173 @@
+/**
+ * TradeService — request, offers, confirmation and the atomic swap
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const mockFindOne = vi.fn();
+const mockTransactionCreate = vi.fn();
+const mockSession = {
+    startTransaction: vi.fn(),
+    commitTransaction: vi.fn(),
+    abortTransaction: vi.fn(),
+    endSession: vi.fn()
+};
+
+vi.mock('../db/models/index.js', () => ({
+    User: {
+        findOne: (...args) => mockFindOne(...args),
+        findOneAndUpdate: vi.fn()
+    },
+    Transaction: {
+        create: (...args) => mockTransactionCreate(...args),
+        generateId: () => 'txn_test'
+    }
+}));
+
+vi.mock('mongoose', () => ({
+    default: { startSession: async () => mockSession }
+}));
+
+const { default: TradeService } = await import('../services/TradeService.js');
+const { default: GameInventoryService } = await import('../services/GameInventoryService.js');
+
+const ALICE = 'TradeAlice1111111111111111111111111111111111';
+const BOB = 'TradeBob22222222222222222222222222222222222';
+
+function makeUser(walletAddress, coins, slots) {
+    const padded = [...slots];
+    while (padded.length < 5) padded.push({ itemId: null, quantity: 0, metadata: {} });
+    return {
+        walletAddress,
+        coins,
+        gameInventory: { unlockedSlots: 5, slots: padded, hotbar: [null, null, null, null, null] },
+        markModified: vi.fn(),
+        save: vi.fn().mockResolvedValue(true)
+    };
+}
+
+describe('TradeService', () => {
+    let service;
+    let users;
+    let sent;
+    const alice = { id: 'p1', walletAddress: ALICE, name: 'Alice', room: 'town', isAuthenticated: true };
+    const bob = { id: 'p2', walletAddress: BOB, name: 'Bob', room: 'town', isAuthenticated: true };
+
+    const lastSent = (playerId, type) => sent.filter((m) => m.playerId === playerId && m.type === type).pop();
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        users = {
+            [ALICE]: makeUser(ALICE, 100, [{ itemId: 'pine_log', quantity: 10, metadata: { category: 'wood' } }]),
+            [BOB]: makeUser(BOB, 20, [{ itemId: 'birch_log', quantity: 3, metadata: { category: 'wood' } }])
+        };
+        mockFindOne.mockImplementation(({ walletAddress }) => ({ session: async () => users[walletAddress] || null }));
+        mockTransactionCreate.mockResolvedValue([]);
+
+        const inventory = new GameInventoryService({ getUser: async (wallet) => users[wallet] });
+        vi.spyOn(inventory, 'ensureInventory').mockImplementation(async (wallet) => users[wallet]);
+
+        sent = [];
+        const online = { [ALICE]: alice, [BOB]: bob };
+        service = new TradeService(inventory, (playerId, msg) => sent.push({ playerId, ...msg }), (wallet) => online[wallet] || null);
+    });
+
+    async function openTrade() {
+        const { trade } = service.requestTrade(alice, bob);
+        service.respond(BOB, trade.id, true);
+        return trade.id;
+    }
+
+    it('sends the request to the other player and opens on accept', async () => {
+        const result = service.requestTrade(alice, bob);
+        expect(result.success).toBe(true);
+        expect(lastSent('p2', 'trade_request')).toMatchObject({ tradeId: result.trade.id, fromName: 'Alice' });
+
+        expect(service.respond(ALICE, result.trade.id, true).error).toBe('NOT_RECIPIENT');
+        service.respond(BOB, result.trade.id, true);
+        expect(lastSent('p1', 'trade_state').trade.status).toBe('open');
+    });
+
+    it('rejects trading with yourself, across rooms, or while already trading', () => {
+        expect(service.requestTrade(alice, alice).error).toBe('CANNOT_TRADE_SELF');
+        expect(service.requestTrade(alice, { ...bob, room: 'dojo' }).error).toBe('NOT_NEARBY');
+        service.requestTrade(alice, bob);
+        const carol = { id: 'p3', walletAddress: 'Carol', name: 'Carol', room: 'town', isAuthenticated: true };
+        expect(service.requestTrade(carol, bob).error).toBe('TARGET_BUSY');
+    });
+
+    it('validates offers and clears confirmations when an offer changes', async () => {
+        const tradeId = await openTrade();
+
+        expect((await service.setOffer(ALICE, tradeId, { items: [{ slotIndex: 0, quantity: 11 }] })).error).toBe('INVALID_QUANTITY');
+        expect((await service.setOffer(ALICE, tradeId, { items: [{ slotIndex: 1, quantity: 1 }] })).error).toBe('INVALID_SLOT');
+        expect((await service.setOffer(BOB, tradeId, { gold: 50 })).error).toBe('INSUFFICIENT_FUNDS');
+
+        await service.setOffer(ALICE, tradeId, { items: [{ slotIndex: 0, quantity: 4 }] });
+        await service.confirm(ALICE, tradeId);
+        expect(lastSent('p2', 'trade_state').trade.sides[0].confirmed).toBe(true);
+
+        await service.setOffer(BOB, tradeId, { gold: 10 });
+        expect(lastSent('p2', 'trade_state').trade.sides.map((side) => side.confirmed)).toEqual([false, false]);
+    });
+
+    it('swaps items and gold in one transaction once both confirm', async () => {
+        const tradeId = await openTrade();
+        await service.setOffer(ALICE, tradeId, { items: [{ slotIndex: 0, quantity: 4 }] });
+        await service.setOffer(BOB, tradeId, { items: [{ slotIndex: 0, quantity: 3 }], gold: 15 });
+        await service.confirm(ALICE, tradeId);
+        const result = await service.confirm(BOB, tradeId);
+
+        expect(result).toMatchObject({ success: true, completed: true });
+        expect(mockSession.commitTransaction).toHaveBeenCalled();
+        expect(users[ALICE].coins).toBe(115);
+        expect(users[BOB].coins).toBe(5);
+        expect(users[ALICE].gameInventory.slots.filter((s) => s.itemId).map((s) => `${s.itemId}x${s.quantity}`))
+            .toEqual(['pine_logx6', 'birch_logx3']);
+        expect(users[BOB].gameInventory.slots.filter((s) => s.itemId).map((s) => `${s.itemId}x${s.quantity}`))
+            .toEqual(['pine_logx4']);
+
+        const [records, options] = mockTransactionCreate.mock.calls[0];
+        expect(options.session).toBe(mockSession);
+        expect(records).toHaveLength(2);
+        expect(records[0]).toMatchObject({
+            type: 'p2p_trade',
+            fromWallet: ALICE,
+            toWallet: BOB,
+            amount: 0,
+            relatedData: { tradeId, tradeItems: [{ itemId: 'pine_log', quantity: 4 }] }
+        });
+        expect(lastSent('p1', 'trade_closed')).toMatchObject({ completed: true, newBalance: 115 });
+        expect(service.getTradeForWallet(ALICE)).toBeNull();
+    });
+
+    it('aborts and reopens the window when the backpack no longer fits', async () => {
+        const tradeId = await openTrade();
+        await service.setOffer(ALICE, tradeId, { items: [{ slotIndex: 0, quantity: 4 }] });
+        users[BOB].gameInventory.slots = Array.from({ length: 5 }, () => ({ itemId: 'oak_log', quantity: 32, metadata: {} }));
+        await service.confirm(ALICE, tradeId);
+        const result = await service.confirm(BOB, tradeId);
+
+        expect(result.error).toBe('INVENTORY_FULL');
+        expect(mockSession.abortTransaction).toHaveBeenCalled();
+        expect(users[ALICE].save).not.toHaveBeenCalled();
+        const state = lastSent('p1', 'trade_state');
+        expect(state.trade.status).toBe('open');
+        expect(state.error).toMatch(/Bob/);
+    });
+
+    it('closes the trade on disconnect, room change and expiry', async () => {
+        let tradeId = await openTrade();
+        service.handlePlayerDisconnect(BOB);
+        expect(lastSent('p1', 'trade_closed')).toMatchObject({ tradeId, reason: 'disconnect' });
+
+        tradeId = await openTrade();
+        service.handleRoomChange(ALICE);
+        expect(lastSent('p2', 'trade_closed')).toMatchObject({ tradeId, reason: 'room_change' });
+
+        const { trade } = service.requestTrade(alice, bob);
+        service.cleanupExpired(Date.now() + 60 * 1000);
+        expect(lastSent('p1', 'trade_closed')).toMatchObject({ tradeId: trade.id, reason: 'expired' });
+        expect(service.getTradeForWallet(BOB)).toBeNull();
+    });
+});
@@ -0,0 +1,82 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import WeatherService, { rollNextWeather } from '../services/WeatherService.js';
+import { WEATHER_ROOMS, WEATHER_STATES, WEATHER_DURATION_MS } from '../config/weather.js';
+
+const NOON = 0.5;
+const MIDNIGHT = 0;
+
+describe('rollNextWeather', () => {
+    it('never rolls aurora during the day', () => {
+        for (let i = 0; i < 50; i++) {
+            expect(rollNextWeather('clear', NOON, () => i / 50)).not.toBe('aurora');
+        }
+    });
+
+    it('can roll aurora at night', () => {
+        const rolls = new Set();
+        for (let i = 0; i < 50; i++) {
+            rolls.add(rollNextWeather('clear', MIDNIGHT, () => i / 50));
+        }
+        expect(rolls.has('aurora')).toBe(true);
+    });
+
+    it('never repeats the current state', () => {
+        for (let i = 0; i < 50; i++) {
+            expect(rollNextWeather('blizzard', NOON, () => i / 50)).not.toBe('blizzard');
+        }
+    });
+});
+
+describe('WeatherService', () => {
+    let broadcastToRoomAll;
+    let worldTime;
+    let service;
+
+    beforeEach(() => {
+        broadcastToRoomAll = vi.fn();
+        worldTime = NOON;
+        service = new WeatherService(broadcastToRoomAll, () => worldTime, () => 0);
+    });
+
+    it('starts every overworld room with weather and ignores interiors', () => {
+        for (const roomId of WEATHER_ROOMS) {
+            expect(WEATHER_STATES[service.getWeather(roomId)?.state]).toBeTruthy();
+        }
+        expect(service.getWeather('igloo1')).toBeNull();
+        expect(service.getTreeGrowthRate('igloo1')).toBe(1);
+        expect(service.getFishingTierBiasBonus('igloo1')).toBe(0);
+    });
+
+    it('keeps weather until it runs out, then broadcasts the change', () => {
+        const before = service.getWeather('town');
+        expect(service.tick(before.since + 1000)).toEqual([]);
+        expect(broadcastToRoomAll).not.toHaveBeenCalled();
+
+        const changed = service.tick(before.until);
+        expect(changed).toEqual(expect.arrayContaining(WEATHER_ROOMS));
+        const after = service.getWeather('town');
+        expect(after.state).not.toBe(before.state);
+        expect(after.until - after.since).toBe(WEATHER_DURATION_MS.MIN);
+        expect(broadcastToRoomAll).toHaveBeenCalledWith('town', {
+            type: 'weather_update',
+            room: 'town',
+            weather: after,
+        });
+    });
+
+    it('ends aurora at sunrise', () => {
+        service.rooms.get('town').state = 'aurora';
+        worldTime = 0.3;
+        expect(service.tick(service.getWeather('town').since + 1000)).toContain('town');
+        expect(service.getWeather('town').state).not.toBe('aurora');
+    });
+
+    it('exposes blizzard and fog gameplay modifiers', () => {
+        service.rooms.get('town').state = 'blizzard';
+        service.rooms.get('forest_trails').state = 'fog';
+        expect(service.getFishingTierBiasBonus('town')).toBe(WEATHER_STATES.blizzard.fishingTierBiasBonus);
+        expect(service.getFishingTierBiasBonus('town')).toBeGreaterThan(0);
+        expect(service.getTreeGrowthRate('forest_trails')).toBeLessThan(1);
+        expect(service.getTreeGrowthRate('town')).toBe(1);
+    });
+});
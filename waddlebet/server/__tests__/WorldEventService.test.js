@@ -0,0 +1,283 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import WorldEventService from '../services/WorldEventService.js';
+import WorldEventRun from '../db/models/WorldEventRun.js';
+import {
+    DEFAULT_WORLD_EVENTS,
+    WORLD_EVENT_LIMITS,
+    validateWorldEventDefinition,
+    resolveWorldEvent,
+    getCurrentWindowStart,
+    getRewardTier,
+} from '../config/worldEvents.js';
+
+const db = vi.hoisted(() => ({ connected: false }));
+
+vi.mock('../db/connection.js', () => ({
+    isDBConnected: () => db.connected,
+}));
+
+vi.mock('../db/models/WorldEventDefinition.js', () => ({ default: { find: vi.fn() } }));
+vi.mock('../db/models/WorldEventRun.js', () => ({ default: { find: vi.fn(), findOne: vi.fn(), updateOne: vi.fn() } }));
+vi.mock('../db/models/CosmeticTemplate.js', () => ({ default: { findOne: vi.fn() } }));
+vi.mock('../db/models/OwnedCosmetic.js', () => ({ default: {} }));
+
+const MINUTE = 60 * 1000;
+
+/** Single-definition service: event every 60 min (offset 0) lasting 10 min */
+function createHarness(overrides = {}) {
+    const online = new Map();
+    const deps = {
+        userService: { addCoins: vi.fn().mockResolvedValue({ success: true, newBalance: 900 }) },
+        publishChatMessage: vi.fn().mockResolvedValue(),
+        broadcastToAll: vi.fn(),
+        broadcastToRoomAll: vi.fn(),
+        sendToPlayer: vi.fn(),
+        getPlayerByWallet: (wallet) => online.get(wallet) || null,
+        forestTreeService: {
+            setGoldenTrees: vi.fn(() => [{ id: 'tree_1', golden: true }]),
+            clearGoldenTrees: vi.fn(() => [{ id: 'tree_1', golden: false }]),
+        },
+        random: () => 0,
+    };
+    const service = new WorldEventService(deps);
+    service.definitions = [resolveWorldEvent({
+        eventId: 'test_frenzy',
+        type: 'fish_frenzy',
+        name: 'Test Frenzy',
+        emoji: '🐟',
+        description: 'Catch fish.',
+        schedule: { intervalMinutes: 60, offsetMinutes: 0 },
+        durationMinutes: 10,
+        rewardTiers: [
+            { label: 'Silver', minContribution: 5, gold: 100 },
+            { label: 'Bronze', minContribution: 2, gold: 25 },
+        ],
+        ...overrides,
+    })];
+    service.definitionsLoadedAt = Infinity;
+    return { service, deps, online };
+}
+
+const HOUR_START = Date.UTC(2026, 0, 1, 12, 0, 0);
+
+describe('world event config', () => {
+    it('ships valid default definitions', () => {
+        for (const def of DEFAULT_WORLD_EVENTS) {
+            expect(validateWorldEventDefinition(def)).toBeNull();
+        }
+    });
+
+    it('rejects unknown types, oversize durations and empty reward tiers', () => {
+        const base = DEFAULT_WORLD_EVENTS[0];
+        expect(validateWorldEventDefinition({ ...base, type: 'dance_off' })).toMatch(/Unknown type/);
+        expect(validateWorldEventDefinition({ ...base, durationMinutes: 500 })).toMatch(/cannot exceed/);
+        expect(validateWorldEventDefinition({ ...base, rewardTiers: [] })).toMatch(/rewardTiers/);
+        expect(validateWorldEventDefinition({ ...base, points: { dancing: 1 } })).toMatch(/Unknown activity/);
+    });
+
+    it('aligns windows to the schedule and picks the best tier reached', () => {
+        const def = { schedule: { intervalMinutes: 60, offsetMinutes: 15 } };
+        expect(getCurrentWindowStart(def, HOUR_START + 20 * MINUTE)).toBe(HOUR_START + 15 * MINUTE);
+        expect(getCurrentWindowStart(def, HOUR_START + 10 * MINUTE)).toBe(HOUR_START - 45 * MINUTE);
+
+        const tiers = resolveWorldEvent({ ...DEFAULT_WORLD_EVENTS[0] }).rewardTiers;
+        expect(getRewardTier(tiers, 1)).toBeNull();
+        expect(getRewardTier(tiers, 12).label).toBe('Silver');
+    });
+});
+
+describe('WorldEventService', () => {
+    let harness;
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        db.connected = false;
+        harness = createHarness();
+        harness.online.set('w1', { id: 'p1', name: 'Alice' });
+        harness.online.set('w2', { id: 'p2', name: 'Bob' });
+    });
+
+    it('starts an event in its window and announces it', async () => {
+        const { service, deps } = harness;
+        await service.tick(HOUR_START + MINUTE);
+
+        expect(service.runs.has('test_frenzy')).toBe(true);
+        expect(deps.broadcastToAll).toHaveBeenCalledWith(expect.objectContaining({ type: 'world_event_started' }));
+        expect(deps.publishChatMessage).toHaveBeenCalledWith(expect.objectContaining({
+            channel: 'announcement',
+            text: expect.stringContaining('Test Frenzy has begun'),
+        }));
+    });
+
+    it('announces the next event shortly before it starts', async () => {
+        const { service, deps } = harness;
+        await service.tick(HOUR_START - WORLD_EVENT_LIMITS.ANNOUNCE_LEAD_MS + MINUTE);
+        await service.tick(HOUR_START - MINUTE);
+
+        expect(service.runs.size).toBe(0);
+        expect(deps.publishChatMessage).toHaveBeenCalledTimes(1);
+        expect(deps.publishChatMessage.mock.calls[0][0].text).toContain('starts in 4 minutes');
+    });
+
+    it('only counts matching activity from players with a wallet', async () => {
+        const { service, deps } = harness;
+        await service.tick(HOUR_START);
+
+        expect(service.recordActivity('w1', 'fish_catch', 'town', HOUR_START)).toBe(1);
+        expect(service.recordActivity('w1', 'tree_chop', 'forest_trails', HOUR_START)).toBe(0);
+        expect(service.recordActivity(null, 'fish_catch', 'town', HOUR_START)).toBe(0);
+        expect(deps.sendToPlayer).toHaveBeenCalledWith('p1', expect.objectContaining({
+            type: 'world_event_progress',
+            contribution: 1,
+            nextTier: { label: 'Bronze', minContribution: 2 },
+        }));
+    });
+
+    it('pays each participant their best tier when the event ends', async () => {
+        const { service, deps } = harness;
+        await service.tick(HOUR_START);
+        for (let i = 0; i < 6; i++) service.recordActivity('w1', 'fish_catch', 'town', HOUR_START);
+        for (let i = 0; i < 2; i++) service.recordActivity('w2', 'fish_catch', 'town', HOUR_START);
+        service.recordActivity('w3', 'fish_catch', 'town', HOUR_START);
+
+        await service.tick(HOUR_START + 10 * MINUTE);
+
+        expect(service.runs.size).toBe(0);
+        expect(deps.userService.addCoins).toHaveBeenCalledTimes(2);
+        expect(deps.userService.addCoins).toHaveBeenCalledWith('w1', 100, 'world_event_reward', expect.any(Object), expect.any(String));
+        expect(deps.userService.addCoins).toHaveBeenCalledWith('w2', 25, 'world_event_reward', expect.any(Object), expect.any(String));
+        expect(deps.sendToPlayer).toHaveBeenCalledWith('p1', expect.objectContaining({ type: 'world_event_reward', tier: 'Silver', gold: 100 }));
+        expect(deps.broadcastToAll).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'world_event_ended',
+            participants: 3,
+            leaderboard: [
+                { rank: 1, name: 'Alice', contribution: 6 },
+                { rank: 2, name: 'Bob', contribution: 2 },
+                { rank: 3, name: 'Penguin', contribution: 1 },
+            ],
+        }));
+        expect(deps.publishChatMessage).toHaveBeenLastCalledWith(expect.objectContaining({
+            text: expect.stringContaining('1. Alice (6)'),
+        }));
+    });
+
+    it('does not restart an event that already ran in the current window', async () => {
+        const { service } = harness;
+        await service.tick(HOUR_START);
+        service.definitions = [];
+        await service.tick(HOUR_START + MINUTE);
+        expect(service.runs.size).toBe(0);
+
+        service.definitions = createHarness().service.definitions;
+        await service.tick(HOUR_START + 2 * MINUTE);
+        expect(service.runs.size).toBe(0);
+    });
+
+    it('boosts fishing only while a frenzy runs', async () => {
+        const { service } = harness;
+        expect(service.getFishingTierBiasBonus('town')).toBe(0);
+        await service.tick(HOUR_START);
+        expect(service.getFishingTierBiasBonus('town')).toBe(1.5);
+    });
+
+    it('rate-limits snowball throws and limits them to the event rooms', async () => {
+        const { service } = createHarness({ type: 'snowball_war', eventId: 'war' });
+        await service.tick(HOUR_START);
+
+        expect(service.recordActivity('w1', 'snowball_throw', 'town', HOUR_START)).toBe(0);
+        expect(service.recordActivity('w1', 'snowball_throw', 'snow_forts', HOUR_START)).toBe(1);
+        expect(service.recordActivity('w1', 'snowball_throw', 'snow_forts', HOUR_START + 500)).toBe(0);
+        expect(service.recordActivity('w1', 'snowball_throw', 'snow_forts', HOUR_START + 2000)).toBe(1);
+    });
+
+    it('spawns golden trees for the event and clears them afterwards', async () => {
+        const { service, deps } = createHarness({ type: 'golden_tree', eventId: 'gold' });
+        await service.tick(HOUR_START);
+        expect(deps.forestTreeService.setGoldenTrees).toHaveBeenCalledWith(6, deps.random);
+        expect(deps.broadcastToRoomAll).toHaveBeenCalledWith('forest_trails', {
+            type: 'forest_trees_update',
+            trees: [{ id: 'tree_1', golden: true }],
+        });
+
+        expect(service.recordActivity('w1', 'golden_tree_chop', 'forest_trails', HOUR_START)).toBe(5);
+
+        await service.tick(HOUR_START + 10 * MINUTE);
+        expect(deps.forestTreeService.clearGoldenTrees).toHaveBeenCalled();
+    });
+
+    it('pays out a run whose window closed while the server was down', async () => {
+        const { service, deps } = harness;
+        db.connected = true;
+        WorldEventRun.updateOne.mockResolvedValue({ modifiedCount: 1 });
+        WorldEventRun.find.mockResolvedValue([{
+            runId: `test_frenzy:${HOUR_START}`,
+            eventId: 'test_frenzy',
+            type: 'fish_frenzy',
+            name: 'Test Frenzy',
+            status: 'active',
+            startsAt: new Date(HOUR_START),
+            endsAt: new Date(HOUR_START + 10 * MINUTE),
+            participants: [
+                { walletAddress: 'w1', name: 'Alice', contribution: 6, paid: false },
+                { walletAddress: 'w2', name: 'Bob', contribution: 2, paid: false },
+            ],
+        }]);
+
+        expect(await service.recoverUnfinished(HOUR_START + 30 * MINUTE)).toBe(1);
+        expect(WorldEventRun.find).toHaveBeenCalledWith({
+            $or: [
+                { status: 'paying' },
+                { status: 'active', endsAt: { $lte: new Date(HOUR_START + 30 * MINUTE) } },
+            ],
+        });
+        expect(deps.userService.addCoins).toHaveBeenCalledWith('w1', 100, 'world_event_reward', expect.any(Object), expect.any(String));
+        expect(deps.userService.addCoins).toHaveBeenCalledWith('w2', 25, 'world_event_reward', expect.any(Object), expect.any(String));
+        expect(WorldEventRun.updateOne).toHaveBeenLastCalledWith(
+            { runId: `test_frenzy:${HOUR_START}` },
+            { $set: expect.objectContaining({ status: 'completed' }) },
+            { upsert: true }
+        );
+        // Stale results are not announced
+        expect(deps.publishChatMessage).not.toHaveBeenCalled();
+    });
+
+    it('only pays participants not yet claimed when a payout is replayed', async () => {
+        const { service, deps } = harness;
+        db.connected = true;
+        const runId = `test_frenzy:${HOUR_START}`;
+        const statuses = [];
+        WorldEventRun.updateOne.mockImplementation(async (query, update) => {
+            if (update.$set.status) statuses.push(update.$set.status);
+            // w2 was claimed by the payout that was interrupted, but the copy we loaded predates it
+            return { modifiedCount: query.participants?.$elemMatch.walletAddress === 'w2' ? 0 : 1 };
+        });
+        WorldEventRun.find.mockResolvedValue([{
+            runId,
+            eventId: 'test_frenzy',
+            type: 'fish_frenzy',
+            name: 'Test Frenzy',
+            status: 'paying',
+            startsAt: new Date(HOUR_START),
+            endsAt: new Date(HOUR_START + 10 * MINUTE),
+            participants: [
+                { walletAddress: 'w1', name: 'Alice', contribution: 6, paid: true, goldAwarded: 100 },
+                { walletAddress: 'w2', name: 'Bob', contribution: 2, paid: false },
+                { walletAddress: 'w3', name: 'Cara', contribution: 3, paid: false },
+            ],
+        }]);
+
+        expect(await service.recoverUnfinished(HOUR_START + 10 * MINUTE)).toBe(1);
+        expect(deps.userService.addCoins).toHaveBeenCalledTimes(1);
+        expect(deps.userService.addCoins).toHaveBeenCalledWith('w3', 25, 'world_event_reward', expect.any(Object), expect.any(String));
+        expect(WorldEventRun.updateOne).toHaveBeenCalledWith(
+            { runId, participants: { $elemMatch: { walletAddress: 'w3', paid: false } } },
+            { $set: { 'participants.$.paid': true } }
+        );
+        expect(statuses).toEqual(['paying', 'completed']);
+
+        // The next tick leaves the closed window alone
+        WorldEventRun.findOne.mockResolvedValue({ status: 'completed' });
+        await service.tick(HOUR_START + 10 * MINUTE);
+        expect(service.runs.size).toBe(0);
+    });
+});
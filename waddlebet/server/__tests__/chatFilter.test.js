@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+    ChatFilter,
+    createWordMaskFilter,
+    createPatternFilter,
+    createRepeatFilter,
+    normalizeChatText
+} from '../utils/chatFilter.js';
+import { REPEAT_LIMITS } from '../config/chatFilter.js';
+
+describe('chatFilter', () => {
+    let filter;
+
+    beforeEach(() => {
+        filter = new ChatFilter();
+    });
+
+    it('passes ordinary chat untouched', () => {
+        expect(filter.check('anyone up for card jitsu?', { key: 'p1' })).toEqual({
+            allowed: true,
+            text: 'anyone up for card jitsu?',
+            violations: [],
+            blockedBy: null
+        });
+    });
+
+    it('masks listed words, including stretched spellings', () => {
+        const result = filter.check('well SHIIIT that was close', { key: 'p1' });
+        expect(result.allowed).toBe(true);
+        expect(result.text).toBe('well ****** that was close');
+        expect(result.violations).toEqual(['profanity']);
+    });
+
+    it('blocks links and wallet addresses from players but not staff', () => {
+        expect(filter.check('free coins at www.totally-legit.xyz', { key: 'p1' }).blockedBy).toBe('link');
+        expect(filter.check('claim at https://example.com/airdrop', { key: 'p1' }).blockedBy).toBe('link');
+        expect(filter.check('send to 0x52908400098527886E0F7030069857D2E4169EE7', { key: 'p1' }).blockedBy).toBe('wallet_address');
+        expect(filter.check('tip 7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU pls', { key: 'p1' }).blockedBy).toBe('wallet_address');
+
+        expect(filter.check('patch notes: https://example.com/news', { key: 'mod', isStaff: true }).allowed).toBe(true);
+    });
+
+    it('blocks seed-phrase phishing even from staff', () => {
+        expect(filter.check('Admin here, DM me your seed phrase to verify', { key: 'p1' }).blockedBy).toBe('phishing');
+        expect(filter.check('enter your private key to claim', { key: 'mod', isStaff: true }).blockedBy).toBe('phishing');
+    });
+
+    it('drops repeats inside the window and forgets on disconnect', () => {
+        const now = Date.now();
+        for (let i = 0; i < REPEAT_LIMITS.MAX_REPEATS; i++) {
+            expect(filter.check('Buy my igloo!', { key: 'p1', now }).allowed).toBe(true);
+        }
+        expect(filter.check('buy my igloo', { key: 'p1', now }).blockedBy).toBe('repeat');
+        // Other senders and later windows are unaffected
+        expect(filter.check('buy my igloo', { key: 'p2', now }).allowed).toBe(true);
+        expect(filter.check('buy my igloo', { key: 'p1', now: now + REPEAT_LIMITS.WINDOW_MS + 1 }).allowed).toBe(true);
+
+        filter.forget('p2');
+        expect(filter.check('buy my igloo', { key: 'p2', now }).allowed).toBe(true);
+    });
+
+    it('does not remember lines an earlier filter dropped', () => {
+        const now = Date.now();
+        filter.check('visit scam.xyz', { key: 'p1', now });
+        filter.check('visit scam.xyz', { key: 'p1', now });
+        expect(filter.check('visit scam.xyz', { key: 'p1', now, isStaff: true }).allowed).toBe(true);
+    });
+
+    it('accepts custom filters and word lists', () => {
+        const custom = new ChatFilter([createPatternFilter([]), createWordMaskFilter(['darn'])])
+            .use({ name: 'caps', apply: (text) => (text === text.toUpperCase() && /[A-Z]/.test(text) ? { action: 'mask', code: 'caps', text: text.toLowerCase() } : null) });
+
+        expect(custom.check('DARN IT').text).toBe('**** it');
+        expect(custom.check('DARN IT').violations).toEqual(['profanity', 'caps']);
+        expect(createRepeatFilter().apply('', { key: 'p1', now: 0 })).toBeNull();
+        expect(normalizeChatText('  Hello,   World!! ')).toBe('hello world');
+    });
+});
@@ -0,0 +1,140 @@
+/**
+ * Account settings sync — per-key last-write-wins merge, validation and v0 migration
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { SETTINGS_SCHEMA_VERSION } from '../config/userSettings.js';
+import { DEFAULT_CONTROL_BINDINGS } from '../config/controls.js';
+
+const mockUserFindOne = vi.fn();
+const mockUserUpdateOne = vi.fn();
+
+vi.mock('../db/models/index.js', () => ({
+    User: {
+        findOne: (...args) => mockUserFindOne(...args),
+        updateOne: (...args) => mockUserUpdateOne(...args)
+    }
+}));
+
+const { default: UserService } = await import('../services/UserService.js');
+
+function storedSettings(settings) {
+    mockUserFindOne.mockReturnValue({ lean: () => Promise.resolve(settings === undefined ? null : { settings }) });
+}
+
+describe('UserService.syncSettings', () => {
+    let service;
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        service = new UserService();
+        mockUserUpdateOne.mockResolvedValue({ matchedCount: 1 });
+    });
+
+    it('keeps the newest change of each key from either side', async () => {
+        storedSettings({
+            sync: {
+                v: 1,
+                values: { musicVolume: 0.2, nametagStyle: 'tier' },
+                updatedAt: { musicVolume: 1000, nametagStyle: 5000 },
+            },
+        });
+
+        const result = await service.syncSettings('wallet1', {
+            v: 1,
+            values: { musicVolume: 0.8, nametagStyle: 'default' },
+            updatedAt: { musicVolume: 2000, nametagStyle: 3000 },
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.settings.values).toEqual({ musicVolume: 0.8, nametagStyle: 'tier' });
+        expect(result.settings.updatedAt).toEqual({ musicVolume: 2000, nametagStyle: 5000 });
+        expect(mockUserUpdateOne).toHaveBeenCalledWith(
+            { walletAddress: 'wallet1', 'settings.syncRevision': null },
+            { $set: { 'settings.sync': result.settings, 'settings.syncRevision': 1 } }
+        );
+    });
+
+    it('re-merges when another device synced between the read and the write', async () => {
+        mockUserFindOne
+            .mockReturnValueOnce({ lean: () => Promise.resolve({ settings: { sync: null, syncRevision: 4 } }) })
+            .mockReturnValueOnce({
+                lean: () => Promise.resolve({
+                    settings: {
+                        sync: { v: 1, values: { snowEnabled: false }, updatedAt: { snowEnabled: 3000 } },
+                        syncRevision: 5,
+                    },
+                }),
+            });
+        mockUserUpdateOne
+            .mockResolvedValueOnce({ matchedCount: 0 })
+            .mockResolvedValueOnce({ matchedCount: 1 });
+
+        const result = await service.syncSettings('wallet1', {
+            v: 1,
+            values: { musicVolume: 0.8 },
+            updatedAt: { musicVolume: 2000 },
+        });
+
+        // The other device's newer key survives alongside ours
+        expect(result.settings.values).toEqual({ musicVolume: 0.8, snowEnabled: false });
+        expect(mockUserUpdateOne).toHaveBeenLastCalledWith(
+            { walletAddress: 'wallet1', 'settings.syncRevision': 5 },
+            { $set: { 'settings.sync': result.settings, 'settings.syncRevision': 6 } }
+        );
+    });
+
+    it('gives up after repeated conflicts instead of overwriting', async () => {
+        storedSettings({ sync: null, syncRevision: 2 });
+        mockUserUpdateOne.mockResolvedValue({ matchedCount: 0 });
+
+        const result = await service.syncSettings('wallet1', { v: 1, values: {}, updatedAt: {} });
+        expect(result).toEqual({ success: false, error: 'SYNC_CONFLICT' });
+    });
+
+    it('drops unknown keys, invalid values and device-only keys', async () => {
+        storedSettings({ sync: null });
+
+        const result = await service.syncSettings('wallet1', {
+            v: 1,
+            values: { musicVolume: 7, leftHanded: true, performancePreset: 'ultra', isAdmin: true },
+            updatedAt: { musicVolume: 10, leftHanded: 10, performancePreset: 10, isAdmin: 10 },
+        });
+
+        expect(result.settings.values).toEqual({ leftHanded: true });
+    });
+
+    it('clamps timestamps from the future so one clock cannot win forever', async () => {
+        storedSettings({ sync: null });
+
+        const result = await service.syncSettings('wallet1', {
+            v: 1,
+            values: { snowEnabled: false },
+            updatedAt: { snowEnabled: Date.now() + 10 * 365 * 24 * 60 * 60 * 1000 },
+        });
+
+        expect(result.settings.updatedAt.snowEnabled).toBeLessThanOrEqual(Date.now());
+    });
+
+    it('migrates pre-sync keybinds without letting them beat a real edit', async () => {
+        storedSettings({ musicVolume: 35, keybinds: { jump: 'KeyJ' } });
+
+        const untouched = await service.syncSettings('wallet1', { v: 1, values: {}, updatedAt: {} });
+        expect(untouched.settings.v).toBe(SETTINGS_SCHEMA_VERSION);
+        expect(untouched.settings.values.keybinds).toEqual({ ...DEFAULT_CONTROL_BINDINGS, jump: 'KeyJ' });
+
+        const edited = await service.syncSettings('wallet1', {
+            v: 1,
+            values: { keybinds: { jump: 'KeyK' } },
+            updatedAt: { keybinds: 100 },
+        });
+        expect(edited.settings.values.keybinds.jump).toBe('KeyK');
+    });
+
+    it('reports a missing account', async () => {
+        storedSettings(undefined);
+        const result = await service.syncSettings('nobody', { v: 1, values: {}, updatedAt: {} });
+        expect(result).toEqual({ success: false, error: 'USER_NOT_FOUND' });
+        expect(mockUserUpdateOne).not.toHaveBeenCalled();
+    });
+});
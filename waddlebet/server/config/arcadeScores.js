@@ -0,0 +1,22 @@
+/**
+ * Arcade score verification — per-game bounds and the Snake replay are shared with the client via
+ * src/config/arcadeScores.js; the seeded RNG comes from utils/seededRandom.js.
+ */
+
+export {
+    ARCADE_SCORE_GAMES,
+    ARCADE_LEADERBOARD_PERIODS,
+    ARCADE_SCORE_LIMITS,
+    isArcadeScoreGame,
+    SNAKE_RULES,
+    SNAKE_DIRECTIONS,
+    spawnSnakeFood,
+    replaySnakeRun,
+    getLeaderboardPeriodStart,
+} from '../../src/config/arcadeScores.js';
+
+/** Solo games still reported through `minigame_complete` (no score to verify) */
+export const SOLO_MINIGAMES = ['card_jitsu'];
+
+/** Minimum gap between counted `minigame_complete` wins per wallet and game */
+export const SOLO_WIN_COOLDOWN_MS = 60 * 1000;
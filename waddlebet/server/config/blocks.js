@@ -0,0 +1,7 @@
+/**
+ * Player block list — caps (server authority).
+ */
+
+export const BLOCK_LIMITS = {
+    MAX_BLOCKED: 200,
+};
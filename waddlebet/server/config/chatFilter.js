@@ -0,0 +1,51 @@
+/**
+ * Chat filter — word lists, blocked patterns and repeat detection (server authority).
+ * Extra masked words can be supplied without a deploy via CHAT_FILTER_EXTRA_WORDS (comma-separated).
+ */
+
+/** Whole words replaced with asterisks; matching ignores case and simple letter repeats ("fuuuck") */
+const BASE_MASKED_WORDS = [
+    'fuck', 'fucker', 'fucking', 'shit', 'bitch', 'cunt', 'asshole', 'bastard',
+    'dick', 'pussy', 'slut', 'whore', 'retard', 'faggot', 'nigger', 'nigga',
+];
+
+function parseWordList(value) {
+    return (value || '')
+        .split(',')
+        .map((word) => word.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+export const MASKED_WORDS = [...new Set([...BASE_MASKED_WORDS, ...parseWordList(process.env.CHAT_FILTER_EXTRA_WORDS)])];
+
+/**
+ * Messages matching any of these are dropped. `staffExempt` patterns still go through for
+ * admins/moderators (they post official links and treasury addresses).
+ */
+export const BLOCKED_PATTERNS = [
+    {
+        code: 'link',
+        staffExempt: true,
+        pattern: /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|io|xyz|gg|app|link|site|online|top|click|ru|tk)\b/i,
+    },
+    {
+        code: 'wallet_address',
+        staffExempt: true,
+        // EVM hex addresses, and Solana base58 keys (no 0/O/I/l, 32–44 chars)
+        pattern: /\b0x[a-fA-F0-9]{40}\b|\b[1-9A-HJ-NP-Za-km-z]{32,44}\b/,
+    },
+    {
+        code: 'phishing',
+        staffExempt: false,
+        pattern: /\b(?:seed|recovery|secret|mnemonic)\s*(?:phrase|words?)\b|\bprivate\s*key\b|\bwallet\s*(?:validation|sync|connect)\b/i,
+    },
+];
+
+export const REPEAT_LIMITS = {
+    /** Identical (normalized) messages inside this window count as repeats */
+    WINDOW_MS: 30 * 1000,
+    /** Sends of the same text allowed per window; the next one is dropped */
+    MAX_REPEATS: 2,
+    /** Recent messages remembered per player */
+    HISTORY_SIZE: 8,
+};
@@ -0,0 +1,10 @@
+/**
+ * Control bindings — actions and validation shared with the client via src/config/controls.js.
+ */
+
+export {
+    CONTROL_ACTIONS,
+    CONTROL_ACTION_IDS,
+    DEFAULT_CONTROL_BINDINGS,
+    normalizeControlBindings,
+} from '../../src/config/controls.js';
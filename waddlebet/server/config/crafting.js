@@ -0,0 +1,16 @@
+/**
+ * Woodworking bench — recipes, crafted items and bench placement are shared with the client via
+ * src/config/crafting.js.
+ */
+
+export {
+    CRAFTING_BENCH,
+    CRAFTING_LEVEL_XP,
+    CRAFTED_ITEMS,
+    CRAFTING_RECIPES,
+    getCraftingRecipe,
+    getCraftingLevel,
+    getNextCraftingLevelXp,
+    getCraftingItemLabel,
+    isPlayerNearCraftingBench,
+} from '../../src/config/crafting.js';
@@ -53,8 +53,11 @@ export function computeCatchWeightKg(fishTier = 1, weightMultiplier = 1) {
  * @param {number} depthM
  * @param {string} [rodItemId='basic_rod']
  * @param {object|null} [catchConfigOverride] — from getEffectiveRodCatchConfig
+ * @param {Set<number>|null} [allowedTiers] — tiers the fishing hole still has stock for
+ * @param {object} [options]
+ * @param {number} [options.tierBiasBonus=0] — added to the rod's tier bias (weather, see WeatherService)
  */
-export function rollCatchAtDepth(depthM, rodItemId = 'basic_rod', catchConfigOverride = null, allowedTiers = null) {
+export function rollCatchAtDepth(depthM, rodItemId = 'basic_rod', catchConfigOverride = null, allowedTiers = null, { tierBiasBonus = 0 } = {}) {
     const rod = catchConfigOverride || getRodCatchConfig(rodItemId);
     const effectiveDepth = Math.max(0, (Number(depthM) || 0) + (rod.catchDepthBonusM || 0));
     let pool = getFishPoolAtDepth(effectiveDepth);
@@ -77,7 +80,7 @@ export function rollCatchAtDepth(depthM, rodItemId = 'basic_rod', catchConfigOve
         };
     }
 
-    const tierBias = rod.catchTierBias ?? 0;
+    const tierBias = (rod.catchTierBias ?? 0) + (Number(tierBiasBonus) || 0);
     const weights = pool.map((fish) => {
         const stockWeight = 1;
         return (1 + Math.max(0, (fish.tier || 1) - 1) * tierBias) * stockWeight;
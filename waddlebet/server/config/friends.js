@@ -0,0 +1,22 @@
+/**
+ * Friends — list caps (server authority).
+ */
+
+export const FRIEND_LIMITS = {
+    MAX_FRIENDS: 200,
+    /** Outgoing requests a wallet may have waiting at once */
+    MAX_PENDING_OUTGOING: 50,
+};
+
+/** Join-friend lands you this far beside them so avatars don't overlap. */
+export const FRIEND_JOIN_OFFSET = { x: 1.5, z: 1.5 };
+
+/**
+ * Canonical order for a friendship pair so (a, b) and (b, a) share one document.
+ * @param {string} walletA
+ * @param {string} walletB
+ * @returns {string}
+ */
+export function friendPairKey(walletA, walletB) {
+    return walletA < walletB ? `${walletA}:${walletB}` : `${walletB}:${walletA}`;
+}
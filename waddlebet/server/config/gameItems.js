@@ -4,6 +4,7 @@
  */
 
 import { ECONOMY } from './economy.js';
+import { CRAFTED_ITEMS } from './crafting.js';
 
 /** @typedef {{ id: string, name: string, emoji: string, category: string, npcValue: number, maxStack: number, tier?: number }} GameItem */
 
@@ -213,6 +214,11 @@ ITEM_CATALOG.set('forest_mushroom', {
     tier: 1
 });
 
+/** Woodworking bench output — furniture, decor and repair kits (see config/crafting.js). */
+for (const crafted of Object.values(CRAFTED_ITEMS)) {
+    ITEM_CATALOG.set(crafted.id, { ...crafted });
+}
+
 /** Ferry tickets — stack in backpack; consumed when boarding matching route. */
 const FERRY_TICKETS = [
     { id: 'ferry_ticket_town_snow', name: 'Ferry Ticket (Snow Forts)', routeId: 'town_snow_forts' },
@@ -0,0 +1,83 @@
+/**
+ * Guest accounts — server-side identity for players who haven't connected a wallet.
+ *
+ * A guest gets a real User row keyed by a synthetic wallet (`guest_<hex>` — never valid base58) and
+ * a signed session token kept by the client, so inventory, gold, the onboarding quest and puffles
+ * survive reloads.
+ * Only the message types below run against that row; everything that moves value between players
+ * (trades, drops, wagers, tips, pebbles...) still needs a wallet. On the first wallet connect the
+ * guest's progress can be merged once into the wallet account (AuthService.mergeGuestIntoUser).
+ */
+
+export const GUEST_WALLET_PREFIX = 'guest_';
+export const GUEST_TOKEN_EXPIRY = process.env.GUEST_TOKEN_EXPIRY || '90d';
+
+/** Messages a guest may send with their guest account standing in for a wallet */
+export const GUEST_PROGRESS_MESSAGES = new Set([
+    // Backpack
+    'game_inventory_get',
+    'game_inventory_move',
+    'game_inventory_set_hotbar',
+    'game_inventory_set_active_hotbar',
+    'backpack_upgrade',
+    // Fishing
+    'fishing_start',
+    'fishing_game_result',
+    'fishing_end',
+    'fishing_info',
+    // Gathering
+    'mushroom_harvest',
+    'worm_forage_get',
+    'worm_forage',
+    'scavenge_get',
+    'scavenge_spot',
+    'wood_chop_start',
+    'wood_chop_cancel',
+    'wood_chop_result',
+    'manual_chop_start',
+    'manual_chop_hit',
+    'manual_chop_complete',
+    'manual_chop_cancel',
+    // Gear
+    'rod_upgrade',
+    'gear_repair',
+    'gear_auto_repair_set',
+    'claim_starter_rod',
+    // NPC merchants (gold in/out of the game, never to another player)
+    'merchant_sell',
+    'merchant_sell_batch',
+    'merchant_buy',
+    'fish_sell_npc',
+    // Onboarding / daily quests
+    'minigame_complete',
+    'npc_quest_accept',
+    'npc_quest_turnin',
+    'daily_quest_status',
+    // Puffles
+    'puffle_adopt',
+    'puffle_list',
+    'puffle_activate',
+    'puffle_deactivate',
+    'puffle_feed',
+    'puffle_play',
+    'puffle_buy_toy',
+    'puffle_train',
+    'puffle_buy_food',
+    'puffle_use_food',
+    'puffle_buy_accessory',
+    'puffle_equip_accessory',
+    'puffle_equip_toy',
+    'puffle_rest',
+    'puffle_stop_rest',
+    'puffle_rest_status',
+    'puffle_pet_self',
+    'puffle_interaction',
+    'puffle_daycare_start',
+    'puffle_daycare_end',
+    'puffle_feed_from_inventory',
+    'puffle_shop_items',
+]);
+
+export function isGuestWallet(walletAddress) {
+    return typeof walletAddress === 'string' && walletAddress.startsWith(GUEST_WALLET_PREFIX);
+}
@@ -0,0 +1,92 @@
+/**
+ * Guilds — roles, caps and name/tag rules (server authority).
+ * Keep GUILD_HALL_PREFIX and GUILD_LIMITS in sync with src/config/guilds.js.
+ */
+
+/** Ordered lowest → highest; index is the rank used for permission checks. */
+export const GUILD_ROLES = ['member', 'officer', 'leader'];
+
+export const GUILD_LIMITS = {
+    MAX_MEMBERS: 50,
+    MAX_OFFICERS: 5,
+    /** Pending invites per guild (oldest expire first) */
+    MAX_PENDING_INVITES: 20,
+    INVITE_TTL_MS: 24 * 60 * 60 * 1000,
+    NAME_MIN: 3,
+    NAME_MAX: 24,
+    TAG_MIN: 2,
+    TAG_MAX: 5,
+    MOTD_MAX: 140,
+};
+
+export const GUILD_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 '-]*[A-Za-z0-9]$/;
+export const GUILD_TAG_PATTERN = /^[A-Za-z0-9]+$/;
+
+/** Guild hall room ids are `guild_hall:<guildId>` — private to members. */
+export const GUILD_HALL_PREFIX = 'guild_hall:';
+export const GUILD_HALL_SPAWN = { x: 0, y: 0, z: 8 };
+
+/**
+ * @param {string} role
+ * @returns {number} -1 for unknown roles
+ */
+export function getGuildRoleRank(role) {
+    return GUILD_ROLES.indexOf(role);
+}
+
+/**
+ * @param {string} actorRole
+ * @param {string} targetRole
+ * @returns {boolean} true when actor strictly outranks target
+ */
+export function outranks(actorRole, targetRole) {
+    return getGuildRoleRank(actorRole) > getGuildRoleRank(targetRole);
+}
+
+/**
+ * @param {unknown} name
+ * @returns {{ valid: true, value: string } | { valid: false, error: string }}
+ */
+export function validateGuildName(name) {
+    const value = typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '';
+    if (value.length < GUILD_LIMITS.NAME_MIN || value.length > GUILD_LIMITS.NAME_MAX) {
+        return { valid: false, error: `Guild name must be ${GUILD_LIMITS.NAME_MIN}-${GUILD_LIMITS.NAME_MAX} characters` };
+    }
+    if (!GUILD_NAME_PATTERN.test(value)) {
+        return { valid: false, error: 'Guild name may only use letters, numbers, spaces, hyphens and apostrophes' };
+    }
+    return { valid: true, value };
+}
+
+/**
+ * Tags are stored upper-case so `[ABC]` and `[abc]` cannot both exist.
+ * @param {unknown} tag
+ * @returns {{ valid: true, value: string } | { valid: false, error: string }}
+ */
+export function validateGuildTag(tag) {
+    const value = typeof tag === 'string' ? tag.trim().toUpperCase() : '';
+    if (value.length < GUILD_LIMITS.TAG_MIN || value.length > GUILD_LIMITS.TAG_MAX) {
+        return { valid: false, error: `Guild tag must be ${GUILD_LIMITS.TAG_MIN}-${GUILD_LIMITS.TAG_MAX} characters` };
+    }
+    if (!GUILD_TAG_PATTERN.test(value)) {
+        return { valid: false, error: 'Guild tag may only use letters and numbers' };
+    }
+    return { valid: true, value };
+}
+
+export function guildChatScopeKey(guildId) {
+    return `guild:${guildId}`;
+}
+
+export function guildHallRoomId(guildId) {
+    return `${GUILD_HALL_PREFIX}${guildId}`;
+}
+
+/**
+ * @param {string} roomId
+ * @returns {string|null} guildId when roomId is a guild hall
+ */
+export function parseGuildHallRoomId(roomId) {
+    if (typeof roomId !== 'string' || !roomId.startsWith(GUILD_HALL_PREFIX)) return null;
+    return roomId.slice(GUILD_HALL_PREFIX.length) || null;
+}
@@ -0,0 +1,15 @@
+/**
+ * Igloo furniture layouts — catalog and layout validation are shared with the client via
+ * src/config/iglooFurniture.js.
+ */
+
+export {
+    IGLOO_LAYOUT_LIMITS,
+    IGLOO_FURNITURE_CATALOG,
+    IGLOO_INTERIOR_FIXTURES,
+    getIglooInteriorStyle,
+    getFurnitureFootprint,
+    isFootprintOnFloor,
+    getPlacementProblem,
+    validateIglooLayout,
+} from '../../src/config/iglooFurniture.js';
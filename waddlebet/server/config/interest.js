@@ -0,0 +1,17 @@
+/**
+ * Interest management — grid and quantization shared with the client via src/config/interest.js.
+ */
+
+export {
+    INTEREST_CELL_SIZE,
+    INTEREST_RADIUS_CELLS,
+    INTEREST_RETAIN_CELLS,
+    POSITION_BATCH_TICK_MS,
+    POSITION_QUANTUM,
+    ROTATION_STEPS,
+    POSITION_BATCH_TYPE,
+    quantizePosition,
+    quantizeRotation,
+    rotationDelta,
+    getInterestCell,
+} from '../../src/config/interest.js';
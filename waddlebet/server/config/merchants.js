@@ -13,6 +13,8 @@ export const MERCHANTS = {
         emoji: '🧓',
         greeting: "I'll buy your catch at emergency rates — or sell you worm bait in bulk. Flip mossy logs in the forest for free worms!",
         acceptsCategories: ['fish'],
+        /** Gear categories this merchant repairs (see getGearRepairCost in toolTiers.js). */
+        repairsCategories: ['rod'],
         /** Multiplier on NPC_EMERGENCY_SELL_RATIO (1.0 = full emergency rate). */
         npcSellRatio: 1.0,
         sellTransactionType: 'fish_sell_npc',
@@ -50,7 +52,8 @@ export const MERCHANTS = {
         title: 'Supply & Gear',
         emoji: '🔧',
         greeting: "Backpack tight? I expand packs with timber — sell logs for gold, or grab a starter axe for just 1g.",
-        acceptsCategories: ['wood', 'tool', 'rod'],
+        acceptsCategories: ['wood', 'tool', 'rod', 'furniture', 'decor'],
+        repairsCategories: ['tool'],
         npcSellRatio: 1.0,
         sellTransactionType: 'wood_sell_npc',
         buyTransactionType: 'merchant_buy',
@@ -97,6 +100,11 @@ export function merchantAcceptsCategory(merchantId, category) {
     return m?.acceptsCategories?.includes(category) ?? false;
 }
 
+export function merchantRepairsCategory(merchantId, category) {
+    const m = getMerchant(merchantId);
+    return m?.repairsCategories?.includes(category) ?? false;
+}
+
 export function getMerchantListing(merchantId, itemId) {
     const m = getMerchant(merchantId);
     return m?.sells?.find(s => s.itemId === itemId) ?? null;
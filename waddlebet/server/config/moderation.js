@@ -0,0 +1,28 @@
+/**
+ * Moderation — report intake limits and action bounds (server authority).
+ * Reasons and duration presets are shared with the client via src/config/moderation.js.
+ */
+
+export {
+    REPORT_REASONS,
+    REPORT_DETAILS_MAX,
+    MODERATION_ACTIONS,
+    isReportReason,
+    getReportReasonLabel,
+} from '../../src/config/moderation.js';
+
+export const REPORT_LIMITS = {
+    /** Chat lines between reporter and target snapshotted onto the report */
+    CHAT_CONTEXT_MESSAGES: 25,
+    /** Reports one wallet may file per hour */
+    MAX_REPORTS_PER_HOUR: 5,
+    /** A second open report on the same target is refused inside this window */
+    DUPLICATE_WINDOW_MS: 10 * 60 * 1000,
+    QUEUE_PAGE_SIZE: 50,
+};
+
+export const MODERATION_LIMITS = {
+    MAX_MUTE_MINUTES: 30 * 24 * 60,
+    MAX_BAN_MINUTES: 365 * 24 * 60,
+    NOTE_MAX: 300,
+};
@@ -0,0 +1,89 @@
+/**
+ * Server movement validation — speed caps are shared with the client via src/config/movement.js,
+ * room bounds and building footprints come from src/config/roomConfig.js.
+ */
+
+import { BUILDINGS, CENTER_X, CENTER_Z, ROOM_PORTALS, ROOM_SPAWNS } from '../../src/config/roomConfig.js';
+import { OVERWORLD_EDGE_PORTALS, OVERWORLD_SPAWNS, isOverworldRoom } from '../../src/config/overworldConfig.js';
+
+export {
+    MOVEMENT_BASE_SPEED,
+    MOVEMENT_MODES,
+    MOVEMENT_MODE_IDS,
+    MOVEMENT_VIOLATIONS,
+    getMaxMoveSpeed,
+} from '../../src/config/movement.js';
+
+export { getRoomBounds } from '../../src/config/roomConfig.js';
+
+export const MOVEMENT_LIMITS = {
+    /** Allowed speed over the mode's cap (frame-time jitter, client clamps) */
+    SPEED_TOLERANCE: 1.25,
+    /** Flat distance allowed on top of speed × time: lag bursts, ladder / seat / lighthouse snaps (~10u) */
+    POSITION_SLACK: 12,
+    /** Longer gaps between samples don't earn more distance (stalled socket, hidden tab) */
+    MAX_SAMPLE_GAP_MS: 3000,
+    /** How far outside the room bounds a position may sit (wall push-back, float error) */
+    BOUNDS_MARGIN: 2,
+    /** Colliders are shrunk by this much so brushing a wall is never a violation */
+    COLLIDER_INSET: 1,
+    /** Samples already in flight when a correction is sent are dropped without counting */
+    CORRECTION_GRACE_MS: 1000,
+    /** `/spawn` may land this far from the room spawn point */
+    SPAWN_TELEPORT_RADIUS: 3,
+    /** A room change may land this far from an entry point (client nudges spawns out of colliders) */
+    ROOM_ENTRY_RADIUS: 8,
+    /** Violations before an account shows as flagged to staff */
+    FLAG_THRESHOLD: 5,
+    /** Accounts kept in the telemetry table (least recently flagged dropped first) */
+    MAX_TRACKED_ACCOUNTS: 500,
+};
+
+/**
+ * Coarse static colliders: town building footprints (same boxes TownCenter registers, minus the
+ * +1 padding). Standing on a roof (y at or above `height`) is fine.
+ */
+export const ROOM_STATIC_COLLIDERS = {
+    town: BUILDINGS.map((building) => ({
+        id: building.id,
+        minX: CENTER_X + building.position.x - building.size.w / 2,
+        maxX: CENTER_X + building.position.x + building.size.w / 2,
+        minZ: CENTER_Z + building.position.z - building.size.d / 2,
+        maxZ: CENTER_Z + building.position.z + building.size.d / 2,
+        height: building.size.h,
+    })),
+};
+
+export function getRoomColliders(roomId) {
+    return ROOM_STATIC_COLLIDERS[roomId] || [];
+}
+
+/** Where the client's `/spawn` puts a player in this room, or null if it can't happen here */
+export function getSpawnTeleportTarget(roomId) {
+    return ROOM_SPAWNS[roomId] || null;
+}
+
+/** Portal exits into these rooms are offsets from the map center unless marked absolute (VoxelWorld spawn) */
+const CENTER_RELATIVE_EXIT_ROOMS = new Set(['town', 'snow_forts']);
+
+/**
+ * Where a client can appear after walking into a room: the room's spawn points and, for overworld
+ * rooms, the exit spot of every portal leading there. Interior rooms always start at their spawn.
+ * @returns {Array<{ x: number, z: number }>}
+ */
+export function getRoomEntryPoints(roomId) {
+    const points = [];
+    const spawn = ROOM_SPAWNS[roomId?.startsWith('igloo') ? 'igloo' : roomId];
+    if (spawn) points.push(spawn);
+    if (!isOverworldRoom(roomId)) return points;
+
+    points.push(OVERWORLD_SPAWNS[roomId]);
+    const relative = CENTER_RELATIVE_EXIT_ROOMS.has(roomId);
+    for (const portals of [...Object.values(ROOM_PORTALS), ...Object.values(OVERWORLD_EDGE_PORTALS)]) {
+        for (const { targetRoom, exitSpawnPos: exit } of portals) {
+            if (targetRoom !== roomId || !exit) continue;
+            points.push(relative && !exit.absolute ? { x: CENTER_X + exit.x, z: CENTER_Z + exit.z } : exit);
+        }
+    }
+    return points;
+}
@@ -0,0 +1,26 @@
+/**
+ * Puffle racing — simulation tuning (server authority).
+ * Segment types, lobby limits and entry fees are shared with the client via src/config/puffleRacing.js.
+ */
+
+export {
+    PUFFLE_RACE_ROOM,
+    RACE_SEGMENT_TYPES,
+    PUFFLE_RACE_LIMITS,
+    PUFFLE_RACE_TROPHIES,
+} from '../../src/config/puffleRacing.js';
+
+export const PUFFLE_RACE_SIMULATION = {
+    /** Units per second at 0 in the weighted stat */
+    BASE_SPEED: 3,
+    /** Extra units per second at the 999 stat cap (scaled by sqrt so early training matters most) */
+    STAT_SPEED: 9,
+    /** Per-segment luck: speed is multiplied by 1 ± this */
+    JITTER: 0.12,
+    /** Chance to stumble on a segment, scaled down as the weighted stat rises */
+    STUMBLE_CHANCE: 0.15,
+    STUMBLE_SECONDS: 1.5,
+    /** A puffle at 0 energy runs this much slower than a fully rested one */
+    TIRED_PENALTY: 0.15,
+    STAT_CAP: 999,
+};
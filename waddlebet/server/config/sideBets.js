@@ -0,0 +1,9 @@
+/**
+ * Spectator side bets — limits and pool math are shared with the client via src/config/sideBets.js.
+ */
+
+export {
+    SIDE_BET_LIMITS,
+    getSideBetOdds,
+    splitSideBetPool,
+} from '../../src/config/sideBets.js';
@@ -0,0 +1,43 @@
+/**
+ * Team snowball fights — server hit detection. Teams, modes, arena and limits are shared with the
+ * client via src/config/snowballFight.js.
+ */
+
+export {
+    SNOWBALL_FIGHT_ROOM,
+    SNOWBALL_FIGHT_GAME_TYPE,
+    SNOWBALL_FIGHT_TEAMS,
+    SNOWBALL_FIGHT_TEAM_IDS,
+    SNOWBALL_FIGHT_ARENA,
+    SNOWBALL_FIGHT_HILL,
+    SNOWBALL_FIGHT_MODES,
+    DEFAULT_SNOWBALL_FIGHT_MODE,
+    SNOWBALL_FIGHT_LIMITS,
+    isInSnowballArena,
+    getSnowballFightMode,
+    getOpposingTeam,
+} from '../../src/config/snowballFight.js';
+
+/** Projectile simulation (matches the client's throw arc in VoxelWorld) */
+export const SNOWBALL_PHYSICS = {
+    GRAVITY: -15,
+    /** Same cap the snowball_throw handler already enforces */
+    MAX_SPEED: 30,
+    /** Simulation step inside a server tick */
+    STEP_SECONDS: 1 / 60,
+    /** Balls that haven't hit anything by now are dropped */
+    MAX_FLIGHT_MS: 3000,
+    /** Penguin hit cylinder around the reported position */
+    HIT_RADIUS: 0.9,
+    HIT_HEIGHT: 2.2,
+    /** Throw origin may sit this far from the server's idea of the thrower (hand offset + lag) */
+    MAX_ORIGIN_OFFSET: 4,
+    /** Client cooldown is 1s; a little slack for jitter */
+    THROW_COOLDOWN_MS: 800,
+};
+
+/** Server tick while a match runs (projectiles, flags, hill) */
+export const SNOWBALL_FIGHT_TICK_MS = 50;
+
+/** Running matches push a scoreboard refresh this often (clocks, hill points) */
+export const SNOWBALL_FIGHT_STATE_BROADCAST_MS = 1000;
@@ -0,0 +1,49 @@
+/**
+ * Stamps — parkour clear detection (server authority).
+ * The stamp registry itself is shared with the stamp book via src/config/stamps.js.
+ */
+
+import { CENTER_X, CENTER_Z } from '../../src/config/roomConfig.js';
+
+export {
+    STAMPS,
+    STAMP_RARITIES,
+    BROADCAST_STAMP_RARITIES,
+    getStamp,
+    getStampProgress,
+    getNewlyEarnedStamps,
+} from '../../src/config/stamps.js';
+
+export const PARKOUR_ROOM = 'town';
+
+/**
+ * Standing on stage N+1's start platform means stage N was cleared.
+ * Positions match the staff /warp pk* targets in VoxelWorld.
+ */
+export const PARKOUR_STAGE_GOALS = [
+    { stage: 1, x: CENTER_X - 13, y: 14, z: CENTER_Z + 70 },
+    { stage: 2, x: CENTER_X - 6, y: 25, z: CENTER_Z + 70 + 2 },
+    { stage: 3, x: CENTER_X - 70.4 + 4, y: 37, z: CENTER_Z + 78.5 - 2 },
+    { stage: 4, x: CENTER_X - 70.4 + 49 + 3, y: 48, z: CENTER_Z + 78.5 + 1 + 3 },
+    { stage: 5, x: CENTER_X - 70.4 + 49 + 48 - 3, y: 57, z: CENTER_Z + 78.5 + 1 + 2 - 3 },
+];
+
+export const PARKOUR_GOAL_RADIUS = 3.5;
+export const PARKOUR_GOAL_Y_TOLERANCE = 3;
+/** Skip the goal scan for positions below the first goal */
+export const PARKOUR_MIN_GOAL_Y = PARKOUR_STAGE_GOALS[0].y - PARKOUR_GOAL_Y_TOLERANCE;
+
+/**
+ * @param {{ x: number, y?: number, z: number }} position
+ * @returns {number|null} the stage whose goal this position stands on
+ */
+export function getClearedParkourStage(position) {
+    if (!position || (position.y || 0) < PARKOUR_MIN_GOAL_Y) return null;
+    for (const goal of PARKOUR_STAGE_GOALS) {
+        if (Math.abs((position.y || 0) - goal.y) > PARKOUR_GOAL_Y_TOLERANCE) continue;
+        if (Math.hypot(position.x - goal.x, position.z - goal.z) <= PARKOUR_GOAL_RADIUS) {
+            return goal.stage;
+        }
+    }
+    return null;
+}
@@ -53,4 +53,52 @@ export function getToolPurchasePrerequisite(itemId, ownsTool) {
     };
 }
 
+/**
+ * Full repair (0 → max durability) by position in the upgrade chain — basic, iron, steel/pro, master.
+ * Axes are repaired at Copper Clive, rods at Old Salty. Partial wear pays a share of this.
+ */
+export const GEAR_REPAIR_COSTS = [
+    { goldCost: 2, materials: { pine_log: 3 } },
+    { goldCost: 6, materials: { pine_log: 4, birch_log: 2 } },
+    { goldCost: 15, materials: { birch_log: 4, oak_log: 2 } },
+    { goldCost: 35, materials: { oak_log: 4, ironwood_log: 1 } },
+];
+
+/** Crafted at the woodworking bench — one kit stands in for a repair's materials (gold is still due). */
+export const REPAIR_KIT_ITEM_ID = 'tool_repair_kit';
+
+/**
+ * @param {string} itemId
+ * @returns {number} index in its upgrade chain, or -1 for gear outside the chains
+ */
+export function getGearTier(itemId) {
+    for (const chain of Object.values(TOOL_UPGRADE_CHAINS)) {
+        const index = chain.indexOf(itemId);
+        if (index >= 0) return index;
+    }
+    return -1;
+}
+
+/**
+ * Gold + materials to bring a worn tool or rod back to full durability.
+ * @param {string} itemId
+ * @param {number} durability
+ * @param {number} maxDurability
+ * @returns {{ tier: number, goldCost: number, materials: Record<string, number> } | null} null when nothing to repair
+ */
+export function getGearRepairCost(itemId, durability, maxDurability) {
+    const base = GEAR_REPAIR_COSTS[getGearTier(itemId)];
+    if (!base || !(maxDurability > 0) || durability >= maxDurability) return null;
+    const wear = Math.min(1, (maxDurability - Math.max(0, durability)) / maxDurability);
+    const materials = {};
+    for (const [materialId, qty] of Object.entries(base.materials)) {
+        materials[materialId] = Math.max(1, Math.ceil(qty * wear));
+    }
+    return {
+        tier: getGearTier(itemId),
+        goldCost: Math.max(1, Math.ceil(base.goldCost * wear)),
+        materials,
+    };
+}
+
 export default TOOL_UPGRADE_CHAINS;
@@ -0,0 +1,40 @@
+/**
+ * Bracket tournaments — server schedule. Games, limits and prize splits are shared with the client
+ * via src/config/tournaments.js.
+ */
+
+export {
+    TOURNAMENT_GAMES,
+    TOURNAMENT_CURRENCIES,
+    TOURNAMENT_LIMITS,
+    isTournamentGame,
+    getBracketSize,
+    getRoundName,
+    getPrizeSplit,
+} from '../../src/config/tournaments.js';
+
+/**
+ * Server-run tournaments, created daily at `hourUTC`. Registration opens `REGISTRATION_LEAD_MS` ahead.
+ */
+export const SCHEDULED_TOURNAMENTS = [
+    {
+        scheduleId: 'daily_card_jitsu',
+        name: 'Daily Card Jitsu Cup',
+        gameType: 'card_jitsu',
+        hourUTC: 19,
+        currency: 'gold',
+        entryFee: 100,
+        maxEntrants: 32,
+    },
+    {
+        scheduleId: 'daily_connect4',
+        name: 'Connect 4 Showdown',
+        gameType: 'connect4',
+        hourUTC: 2,
+        currency: 'gold',
+        entryFee: 50,
+        maxEntrants: 16,
+    },
+];
+
+export const REGISTRATION_LEAD_MS = 2 * 60 * 60 * 1000;
@@ -0,0 +1,10 @@
+/**
+ * Player-to-player trades — limits and rules are shared with the client via src/config/trading.js.
+ */
+
+export {
+    TRADE_LIMITS,
+    UNTRADEABLE_ITEM_IDS,
+    isTradeableItem,
+    TRADE_CLOSE_REASONS,
+} from '../../src/config/trading.js';
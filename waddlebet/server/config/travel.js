@@ -4,6 +4,7 @@
  */
 
 import { FERRY_GOLD_COST, FERRY_FOREST_DIRECT_COST } from './goldEconomy.js';
+import { getRoomPortals } from '../../src/config/roomConfig.js';
 
 export const TRAVEL_TIMING = {
     /** Seconds to wait at dock after the first ticket before departure */
@@ -121,5 +122,28 @@ export function isTravelLobbyRoom(roomId) {
     return typeof roomId === 'string' && roomId.startsWith('travel:');
 }
 
+/**
+ * Ferry route connecting two overworld quadrants, if any.
+ * @param {string} fromRoom
+ * @param {string} toRoom
+ * @returns {TravelRoute|null}
+ */
+export function getFerryRoute(fromRoom, toRoom) {
+    return Object.values(TRAVEL_ROUTES).find(r => r.fromRoom === fromRoom && r.toRoom === toRoom) || null;
+}
+
+/**
+ * Overworld quadrant a room belongs to: the quadrant itself, or the quadrant an
+ * interior's exit portal leads back to. Quadrants are only connected by ferry.
+ * @param {string} roomId
+ * @returns {string|null} null for transit lobbies and unknown rooms
+ */
+export function getRoomRegion(roomId) {
+    if (OVERWORLD_ROOMS.has(roomId)) return roomId;
+    if (!roomId || isTravelLobbyRoom(roomId)) return null;
+    const exit = getRoomPortals(roomId).find(p => OVERWORLD_ROOMS.has(p.targetRoom));
+    return exit?.targetRoom || null;
+}
+
 export default TRAVEL_ROUTES;
 
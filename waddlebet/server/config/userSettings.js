@@ -0,0 +1,12 @@
+/**
+ * Account-synced settings — schema and merge shared with the client via src/config/userSettings.js.
+ */
+
+export {
+    SETTINGS_SCHEMA_VERSION,
+    SYNCED_SETTING_KEYS,
+    DEVICE_ONLY_SETTINGS,
+    sanitizeSettingsDocument,
+    migrateSettingsDocument,
+    mergeSettingsDocuments,
+} from '../../src/config/userSettings.js';
@@ -0,0 +1,14 @@
+/**
+ * Overworld weather — states, durations and gameplay modifiers.
+ * Shared with the client via src/config/weather.js.
+ */
+
+export {
+    WEATHER_ROOMS,
+    WEATHER_STATES,
+    DEFAULT_WEATHER,
+    WEATHER_DURATION_MS,
+    isNightTime,
+    getWeatherState,
+    isWeatherRoom,
+} from '../../src/config/weather.js';
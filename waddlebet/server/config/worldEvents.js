@@ -0,0 +1,191 @@
+/**
+ * Live world events — mechanics supported by code, plus the default schedule.
+ *
+ * The schedule itself is data: admins add/edit/disable events in the WorldEventDefinition
+ * collection (see scripts/setupWorldEvents.js) and the scheduler picks changes up within a
+ * minute, no redeploy. DEFAULT_WORLD_EVENTS only runs while that collection is empty.
+ */
+
+/** Activities the server can score (recorded by FishingService, WoodcuttingService, snowball throws) */
+export const WORLD_EVENT_ACTIVITIES = ['fish_catch', 'tree_chop', 'golden_tree_chop', 'snowball_throw'];
+
+/**
+ * Event mechanics. A definition picks one `type` and may override its rooms, points and params.
+ * - rooms: where activity counts (null = every room)
+ * - points: contribution per activity
+ */
+export const WORLD_EVENT_TYPES = {
+    fish_frenzy: {
+        label: 'Fish Frenzy',
+        rooms: null,
+        points: { fish_catch: 1 },
+        params: {
+            /** Added to catchTierBias at every fishing hole while running */
+            tierBiasBonus: 1.5,
+        },
+    },
+    golden_tree: {
+        label: 'Golden Trees',
+        rooms: ['forest_trails'],
+        points: { tree_chop: 1, golden_tree_chop: 5 },
+        params: {
+            /** Ready trees turned golden when the event starts */
+            goldenTreeCount: 6,
+        },
+    },
+    snowball_war: {
+        label: 'Snowball War',
+        rooms: ['snow_forts'],
+        points: { snowball_throw: 1 },
+        params: {
+            /** Throws closer together than this don't score (spam guard) */
+            throwCooldownMs: 1500,
+        },
+    },
+};
+
+export const WORLD_EVENT_LIMITS = {
+    /** Scheduler tick */
+    TICK_MS: 30 * 1000,
+    /** How often definitions are re-read from the database */
+    DEFINITION_RELOAD_MS: 60 * 1000,
+    /** "Starting soon" announcement lead time */
+    ANNOUNCE_LEAD_MS: 5 * 60 * 1000,
+    /** Contributors named in the results announcement */
+    LEADERBOARD_SIZE: 3,
+    MIN_DURATION_MINUTES: 1,
+    MAX_DURATION_MINUTES: 24 * 60,
+};
+
+/**
+ * Shipped schedule (UTC-aligned). Reward tiers: best tier reached by contribution pays out;
+ * `cosmeticAssetKey` grants an untradable cosmetic once per player.
+ */
+export const DEFAULT_WORLD_EVENTS = [
+    {
+        eventId: 'fish_frenzy',
+        type: 'fish_frenzy',
+        name: 'Fish Frenzy',
+        emoji: '🐟',
+        description: 'Rare fish are biting at every hole. Catch as many as you can!',
+        enabled: true,
+        schedule: { intervalMinutes: 180, offsetMinutes: 0 },
+        durationMinutes: 20,
+        rewardTiers: [
+            { label: 'Bronze', minContribution: 3, gold: 40 },
+            { label: 'Silver', minContribution: 10, gold: 150 },
+            { label: 'Gold', minContribution: 25, gold: 400 },
+        ],
+    },
+    {
+        eventId: 'golden_trees',
+        type: 'golden_tree',
+        name: 'Golden Trees',
+        emoji: '🌳',
+        description: 'Golden trees have sprouted in Forest Trails — chop them for big points.',
+        enabled: true,
+        schedule: { intervalMinutes: 180, offsetMinutes: 60 },
+        durationMinutes: 20,
+        rewardTiers: [
+            { label: 'Bronze', minContribution: 3, gold: 40 },
+            { label: 'Silver', minContribution: 10, gold: 150 },
+            { label: 'Gold', minContribution: 20, gold: 400 },
+        ],
+    },
+    {
+        eventId: 'snowball_war',
+        type: 'snowball_war',
+        name: 'Snowball War',
+        emoji: '❄️',
+        description: 'All-out snowball war in Snow Forts. Keep throwing!',
+        enabled: true,
+        schedule: { intervalMinutes: 180, offsetMinutes: 120 },
+        durationMinutes: 15,
+        rewardTiers: [
+            { label: 'Bronze', minContribution: 20, gold: 30 },
+            { label: 'Silver', minContribution: 80, gold: 120 },
+            { label: 'Gold', minContribution: 200, gold: 300 },
+        ],
+    },
+];
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Check an admin-supplied definition. Returns the error text, or null when usable.
+ * @param {object} def
+ */
+export function validateWorldEventDefinition(def) {
+    if (!def?.eventId || typeof def.eventId !== 'string') return 'eventId is required';
+    if (!WORLD_EVENT_TYPES[def.type]) return `Unknown type "${def.type}"`;
+    if (!def.name) return 'name is required';
+
+    const interval = Number(def.schedule?.intervalMinutes);
+    if (!Number.isFinite(interval) || interval <= 0) return 'schedule.intervalMinutes must be > 0';
+
+    const duration = Number(def.durationMinutes);
+    if (!Number.isFinite(duration)
+        || duration < WORLD_EVENT_LIMITS.MIN_DURATION_MINUTES
+        || duration > WORLD_EVENT_LIMITS.MAX_DURATION_MINUTES) {
+        return `durationMinutes must be ${WORLD_EVENT_LIMITS.MIN_DURATION_MINUTES}-${WORLD_EVENT_LIMITS.MAX_DURATION_MINUTES}`;
+    }
+    if (duration > interval) return 'durationMinutes cannot exceed schedule.intervalMinutes';
+
+    if (!Array.isArray(def.rewardTiers) || def.rewardTiers.length === 0) return 'rewardTiers must not be empty';
+    for (const tier of def.rewardTiers) {
+        if (!(Number(tier.minContribution) > 0)) return 'Each reward tier needs minContribution > 0';
+        if (!(Number(tier.gold) >= 0)) return 'Reward tier gold must be >= 0';
+        if (!(tier.gold > 0) && !tier.cosmeticAssetKey) return 'Each reward tier needs gold or a cosmeticAssetKey';
+    }
+
+    if (def.points) {
+        for (const activity of Object.keys(def.points)) {
+            if (!WORLD_EVENT_ACTIVITIES.includes(activity)) return `Unknown activity "${activity}" in points`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Definition merged with its type defaults (rooms, points, params)
+ * @param {object} def - validated definition
+ */
+export function resolveWorldEvent(def) {
+    const type = WORLD_EVENT_TYPES[def.type];
+    return {
+        ...def,
+        rooms: def.rooms?.length ? def.rooms : type.rooms,
+        points: { ...type.points, ...(def.points || {}) },
+        params: { ...type.params, ...(def.params || {}) },
+        rewardTiers: [...def.rewardTiers].sort((a, b) => a.minContribution - b.minContribution),
+    };
+}
+
+/**
+ * Start of the most recent scheduled window at or before `now` (UTC epoch aligned)
+ * @param {object} def
+ * @param {number} now
+ */
+export function getCurrentWindowStart(def, now) {
+    const interval = def.schedule.intervalMinutes * MINUTE_MS;
+    const offset = (def.schedule.offsetMinutes || 0) * MINUTE_MS;
+    return Math.floor((now - offset) / interval) * interval + offset;
+}
+
+/** Start of the next scheduled window after `now` */
+export function getNextWindowStart(def, now) {
+    return getCurrentWindowStart(def, now) + def.schedule.intervalMinutes * MINUTE_MS;
+}
+
+/**
+ * Best reward tier reached, or null
+ * @param {object[]} rewardTiers - sorted ascending by minContribution
+ * @param {number} contribution
+ */
+export function getRewardTier(rewardTiers, contribution) {
+    let reached = null;
+    for (const tier of rewardTiers) {
+        if (contribution >= tier.minContribution) reached = tier;
+    }
+    return reached;
+}
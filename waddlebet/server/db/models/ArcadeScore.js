@@ -0,0 +1,37 @@
+/**
+ * ArcadeScore Model - Verified solo arcade runs
+ * One document per accepted run; leaderboards keep each wallet's best run inside the period.
+ */
+
+import mongoose from 'mongoose';
+import { ARCADE_SCORE_GAMES } from '../../config/arcadeScores.js';
+
+const arcadeScoreSchema = new mongoose.Schema({
+    walletAddress: { type: String, required: true, index: true },
+    username: { type: String, required: true },
+    gameId: {
+        type: String,
+        enum: Object.keys(ARCADE_SCORE_GAMES),
+        required: true
+    },
+    score: { type: Number, required: true, min: 0 },
+    durationMs: { type: Number, default: 0 },
+
+    // ========== TIMESTAMPS ==========
+    createdAt: { type: Date, default: Date.now }
+});
+
+arcadeScoreSchema.index({ gameId: 1, createdAt: -1, score: -1 });
+arcadeScoreSchema.index({ walletAddress: 1, gameId: 1, score: -1 });
+
+// ==================== STATICS ====================
+
+/**
+ * Best accepted score for a wallet in a game (0 if none)
+ */
+arcadeScoreSchema.statics.getPersonalBest = async function(walletAddress, gameId) {
+    const best = await this.findOne({ walletAddress, gameId }).sort({ score: -1 }).select('score');
+    return best?.score || 0;
+};
+
+export default mongoose.model('ArcadeScore', arcadeScoreSchema);
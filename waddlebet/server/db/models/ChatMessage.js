@@ -23,6 +23,8 @@ const chatMessageSchema = new mongoose.Schema({
     whisperFrom: { type: String, default: null },
     whisperTo: { type: String, default: null },
     senderId: { type: String, default: 'system' },
+    /** Sender wallet (never sent to clients) — lets history skip blocked players */
+    senderWallet: { type: String, default: null },
     senderName: { type: String, required: true },
     text: { type: String, required: true },
     metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
@@ -32,5 +34,6 @@ const chatMessageSchema = new mongoose.Schema({
 chatMessageSchema.index({ channel: 1, scopeKey: 1, timestamp: -1 });
 chatMessageSchema.index({ channel: 1, whisperFrom: 1, timestamp: -1 });
 chatMessageSchema.index({ channel: 1, whisperTo: 1, timestamp: -1 });
+chatMessageSchema.index({ senderWallet: 1, timestamp: -1 });
 
 export default mongoose.model('ChatMessage', chatMessageSchema);
@@ -0,0 +1,60 @@
+/**
+ * Friendship Model - Friend requests and accepted friendships between wallets
+ * One document per wallet pair; `pairKey` keeps (a, b) and (b, a) unique.
+ */
+
+import mongoose from 'mongoose';
+import { friendPairKey } from '../../config/friends.js';
+
+const friendshipSchema = new mongoose.Schema({
+    pairKey: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+
+    // ========== PARTIES ==========
+    requesterWallet: { type: String, required: true, index: true },
+    recipientWallet: { type: String, required: true, index: true },
+
+    // ========== STATE ==========
+    status: {
+        type: String,
+        enum: ['pending', 'accepted'],
+        default: 'pending'
+    },
+
+    // ========== TIMESTAMPS ==========
+    createdAt: { type: Date, default: Date.now },
+    acceptedAt: { type: Date, default: null }
+});
+
+// ==================== METHODS ====================
+
+/**
+ * Wallet on the other side of the friendship
+ */
+friendshipSchema.methods.otherWallet = function(walletAddress) {
+    return this.requesterWallet === walletAddress ? this.recipientWallet : this.requesterWallet;
+};
+
+// ==================== STATICS ====================
+
+/**
+ * Find the document linking two wallets (any status)
+ */
+friendshipSchema.statics.findBetween = function(walletA, walletB) {
+    return this.findOne({ pairKey: friendPairKey(walletA, walletB) });
+};
+
+/**
+ * All friendships and requests involving a wallet
+ */
+friendshipSchema.statics.findForWallet = function(walletAddress) {
+    return this.find({
+        $or: [{ requesterWallet: walletAddress }, { recipientWallet: walletAddress }]
+    });
+};
+
+export default mongoose.model('Friendship', friendshipSchema);
@@ -0,0 +1,94 @@
+/**
+ * Guild Model - Player guilds (membership, roles, pending invites)
+ * A wallet may belong to at most one guild at a time (enforced through User.guildId).
+ * Membership and roles are only ever changed with conditional updates, never by saving
+ * the members array back, so concurrent joins, kicks and promotions can't overwrite each other.
+ */
+
+import mongoose from 'mongoose';
+import { GUILD_ROLES } from '../../config/guilds.js';
+
+const guildMemberSchema = new mongoose.Schema({
+    walletAddress: { type: String, required: true },
+    username: { type: String, required: true },
+    role: { type: String, enum: GUILD_ROLES, default: 'member' },
+    joinedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const guildInviteSchema = new mongoose.Schema({
+    walletAddress: { type: String, required: true },
+    username: { type: String, required: true },
+    invitedBy: { type: String, required: true },  // Inviter username (display only)
+    expiresAt: { type: Date, required: true }
+}, { _id: false });
+
+const guildSchema = new mongoose.Schema({
+    guildId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+
+    // ========== IDENTITY ==========
+    name: { type: String, required: true },
+    nameLower: { type: String, required: true, unique: true },  // Case-insensitive uniqueness
+    tag: { type: String, required: true, unique: true },        // Stored upper-case
+    motd: { type: String, default: '' },
+
+    // ========== MEMBERSHIP ==========
+    leaderWallet: { type: String, required: true },
+    members: { type: [guildMemberSchema], default: [] },
+    invites: { type: [guildInviteSchema], default: [] },
+
+    // ========== TIMESTAMPS ==========
+    createdAt: { type: Date, default: Date.now }
+});
+
+guildSchema.index({ 'members.walletAddress': 1 });
+guildSchema.index({ 'invites.walletAddress': 1 });
+
+// ==================== METHODS ====================
+
+/**
+ * Get a member entry by wallet
+ */
+guildSchema.methods.getMember = function(walletAddress) {
+    return this.members.find((m) => m.walletAddress === walletAddress) || null;
+};
+
+/**
+ * Drop invites past their expiry
+ */
+guildSchema.methods.pruneExpiredInvites = function(now = new Date()) {
+    this.invites = this.invites.filter((inv) => inv.expiresAt > now);
+    return this;
+};
+
+/**
+ * Get a live invite for a wallet
+ */
+guildSchema.methods.getInvite = function(walletAddress) {
+    const now = new Date();
+    return this.invites.find((inv) => inv.walletAddress === walletAddress && inv.expiresAt > now) || null;
+};
+
+// ==================== STATICS ====================
+
+/**
+ * Find the guild a wallet belongs to
+ */
+guildSchema.statics.findByMember = function(walletAddress) {
+    return this.findOne({ 'members.walletAddress': walletAddress });
+};
+
+/**
+ * Find guilds with a live invite for a wallet
+ */
+guildSchema.statics.findInvitesFor = function(walletAddress) {
+    return this.find({
+        invites: { $elemMatch: { walletAddress, expiresAt: { $gt: new Date() } } }
+    });
+};
+
+export default mongoose.model('Guild', guildSchema);
@@ -102,7 +102,8 @@ const iglooSchema = new mongoose.Schema({
     // Interior customization (furniture, etc.)
     interior: {
         theme: { type: String, default: 'default' },
-        furniture: [{ type: mongoose.Schema.Types.Mixed }]
+        customLayout: { type: Boolean, default: false }, // false = the interior's built-in furniture
+        furniture: [{ type: mongoose.Schema.Types.Mixed }] // { id, type, x, z, rotation } - see config/iglooFurniture.js
     },
     
     // ========== STATISTICS ==========
@@ -312,6 +313,7 @@ iglooSchema.methods.evict = function() {
     this.entryFeeVersion += 1;
     this.tokenGate = { enabled: false, tokenAddress: null, tokenSymbol: null, minimumBalance: 1 };
     this.entryFee = { enabled: false, amount: 0 };
+    this.interior = { theme: 'default', customLayout: false, furniture: [] };
 };
 
 /**
@@ -342,6 +344,11 @@ iglooSchema.methods.getPublicInfo = function() {
         } : null,
         tokenGate: this.tokenGate, // Include full token gate for settings
         entryFee: this.entryFee, // Include full entry fee for settings
+        interior: {
+            theme: this.interior?.theme || 'default',
+            customLayout: this.interior?.customLayout || false,
+            furniture: this.interior?.furniture || []
+        },
         stats: {
             totalVisits: this.stats.totalVisits,
             uniqueVisitors: this.stats.uniqueVisitors
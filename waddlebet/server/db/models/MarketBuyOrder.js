@@ -0,0 +1,114 @@
+/**
+ * MarketBuyOrder Model - Standing bids on the cosmetic market
+ * Grand Exchange style: a buyer escrows `maxPrice × quantity` Pebbles for a template and
+ * listings at or below the bid fill it one unit at a time
+ */
+
+import mongoose from 'mongoose';
+
+const fillSchema = new mongoose.Schema({
+    listingId: String,
+    itemInstanceId: String,
+    sellerId: String,
+    sellerUsername: String,
+    price: Number,
+    filledAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const marketBuyOrderSchema = new mongoose.Schema({
+    // ========== IDENTITY ==========
+    orderId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+
+    // ========== ITEM ==========
+    templateId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    // Template snapshot at order time (for display)
+    itemSnapshot: {
+        name: String,
+        category: String,
+        rarity: String,
+        assetKey: String
+    },
+
+    // ========== BUYER ==========
+    buyerId: {
+        type: String,
+        required: true,
+        index: true  // Wallet address
+    },
+    buyerUsername: String,
+
+    // ========== PRICING ==========
+    maxPrice: {
+        type: Number,
+        required: true,
+        min: 1  // Per unit, in Pebbles
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    filledQuantity: {
+        type: Number,
+        default: 0
+    },
+    // Pebbles still held for the unfilled units (refunded on cancel / expiry)
+    escrowRemaining: {
+        type: Number,
+        default: 0
+    },
+
+    // ========== STATUS ==========
+    status: {
+        type: String,
+        enum: ['active', 'filled', 'cancelled', 'expired'],
+        default: 'active',
+        index: true
+    },
+    fills: [fillSchema],
+
+    // ========== TIMESTAMPS ==========
+    expiresAt: {
+        type: Date,
+        default: () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days default
+        index: true
+    },
+    closedAt: Date
+
+}, { timestamps: true });
+
+// ==================== INDEXES ====================
+marketBuyOrderSchema.index({ status: 1, templateId: 1, maxPrice: -1, createdAt: 1 });  // Best bid lookup
+marketBuyOrderSchema.index({ buyerId: 1, status: 1 });  // User's orders
+marketBuyOrderSchema.index({ expiresAt: 1, status: 1 });  // Expiration cleanup
+
+// ==================== STATICS ====================
+
+/**
+ * Generate unique order ID
+ */
+marketBuyOrderSchema.statics.generateOrderId = function() {
+    return `bid_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+};
+
+/**
+ * Get user's buy orders
+ */
+marketBuyOrderSchema.statics.getUserOrders = function(walletAddress, status = 'active') {
+    const query = { buyerId: walletAddress };
+    if (status !== 'all') query.status = status;
+    return this.find(query).sort({ createdAt: -1 }).lean();
+};
+
+const MarketBuyOrder = mongoose.model('MarketBuyOrder', marketBuyOrderSchema);
+
+export default MarketBuyOrder;
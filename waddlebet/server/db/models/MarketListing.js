@@ -104,6 +104,8 @@ marketListingSchema.index({ sellerId: 1, status: 1 });  // User's listings
 marketListingSchema.index({ 'itemSnapshot.rarity': 1, status: 1 });  // Browse by rarity
 marketListingSchema.index({ 'itemSnapshot.category': 1, status: 1 });  // Browse by category
 marketListingSchema.index({ expiresAt: 1, status: 1 });  // Expiration cleanup
+marketListingSchema.index({ status: 1, soldAt: -1 });  // Recent sales feed
+marketListingSchema.index({ templateId: 1, status: 1, soldAt: -1 });  // Recent sales per item
 
 // ==================== STATICS ====================
 
@@ -266,7 +268,7 @@ marketListingSchema.statics.getMarketStats = async function() {
         totalSold24h,
         volume24h
     ] = await Promise.all([
-        this.countDocuments({ status: 'active' }),
+        this.countDocuments({ status: 'active', expiresAt: { $gt: new Date() } }),
         this.countDocuments({ 
             status: 'sold', 
             soldAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
@@ -0,0 +1,93 @@
+/**
+ * MarketPriceBucket Model - OHLC + volume per cosmetic template
+ * One document per (template, interval, bucket start). Updated in place on every sale so
+ * charts never scan MarketListing. Rebuild from sale history with scripts/backfillMarketPrices.js
+ */
+
+import mongoose from 'mongoose';
+
+export const BUCKET_INTERVALS = {
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000
+};
+
+const marketPriceBucketSchema = new mongoose.Schema({
+    templateId: {
+        type: String,
+        required: true
+    },
+    interval: {
+        type: String,
+        enum: Object.keys(BUCKET_INTERVALS),
+        required: true
+    },
+    bucketStart: {
+        type: Date,
+        required: true
+    },
+
+    // ========== OHLC (Pebbles) ==========
+    open: { type: Number, required: true },
+    high: { type: Number, required: true },
+    low: { type: Number, required: true },
+    close: { type: Number, required: true },
+
+    // ========== VOLUME ==========
+    volume: { type: Number, default: 0 },    // Units sold
+    turnover: { type: Number, default: 0 },  // Pebbles traded
+
+    lastSaleAt: Date
+});
+
+// ==================== INDEXES ====================
+marketPriceBucketSchema.index({ templateId: 1, interval: 1, bucketStart: 1 }, { unique: true });  // Upsert key + series reads
+
+// ==================== STATICS ====================
+
+/**
+ * Start of the bucket containing `date` (UTC-aligned)
+ */
+marketPriceBucketSchema.statics.bucketStartFor = function(date, interval) {
+    const size = BUCKET_INTERVALS[interval];
+    return new Date(Math.floor(new Date(date).getTime() / size) * size);
+};
+
+/**
+ * Fold one sale into its hourly and daily buckets
+ * @param {string} templateId
+ * @param {number} price - Pebbles
+ * @param {Date} soldAt
+ */
+marketPriceBucketSchema.statics.recordSale = async function(templateId, price, soldAt = new Date()) {
+    for (const interval of Object.keys(BUCKET_INTERVALS)) {
+        const filter = { templateId, interval, bucketStart: this.bucketStartFor(soldAt, interval) };
+        const update = {
+            $setOnInsert: { open: price },
+            $max: { high: price },
+            $min: { low: price },
+            $set: { close: price, lastSaleAt: soldAt },
+            $inc: { volume: 1, turnover: price }
+        };
+        try {
+            await this.updateOne(filter, update, { upsert: true });
+        } catch (error) {
+            // Two first sales in a bucket can both try to insert it; the loser updates the winner's
+            if (error.code !== 11000) throw error;
+            await this.updateOne(filter, update);
+        }
+    }
+};
+
+/**
+ * Buckets for a template since a date, oldest first
+ */
+marketPriceBucketSchema.statics.getSeries = function(templateId, interval, since) {
+    return this.find({ templateId, interval, bucketStart: { $gte: since } })
+        .sort({ bucketStart: 1 })
+        .select('-_id bucketStart open high low close volume turnover')
+        .lean();
+};
+
+const MarketPriceBucket = mongoose.model('MarketPriceBucket', marketPriceBucketSchema);
+
+export default MarketPriceBucket;
@@ -101,7 +101,19 @@ const matchSchema = new mongoose.Schema({
         default: 0
     },
     lastMoveAt: Date,
-    
+
+    // ========== REPLAY ==========
+    // Seed of the match RNG (deals, draws, dice) + every move in order, auto-plays included.
+    // MatchService.buildReplay re-runs the game from these two.
+    replaySeed: { type: Number, default: null },
+    moveLog: [{
+        _id: false,
+        side: { type: String, enum: ['player1', 'player2'], required: true },
+        move: { type: mongoose.Schema.Types.Mixed },  // cell / column / card index or action object
+        auto: { type: Boolean, default: false },      // Played by the turn timer
+        at: { type: Number, required: true }          // ms since match start
+    }],
+
     // ========== TIMING ==========
     startedAt: {
         type: Date,
@@ -59,7 +59,7 @@ const ownedCosmeticSchema = new mongoose.Schema({
     },
     acquisitionMethod: {
         type: String,
-        enum: ['gacha_roll', 'promo_code', 'achievement', 'trade', 'airdrop', 'legacy'],
+        enum: ['gacha_roll', 'promo_code', 'achievement', 'world_event', 'trade', 'airdrop', 'legacy'],
         default: 'gacha_roll'
     },
     
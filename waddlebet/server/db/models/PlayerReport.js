@@ -0,0 +1,110 @@
+/**
+ * PlayerReport Model - Player-filed reports awaiting moderator review
+ * Snapshots the recent chat between reporter and target so evidence survives chat trimming.
+ */
+
+import mongoose from 'mongoose';
+import { REPORT_REASONS, MODERATION_ACTIONS } from '../../config/moderation.js';
+
+const chatLineSchema = new mongoose.Schema({
+    channel: { type: String, required: true },
+    senderName: { type: String, required: true },
+    senderWallet: { type: String, default: null },
+    text: { type: String, required: true },
+    roomId: { type: String, default: null },
+    timestamp: { type: Date, required: true }
+}, { _id: false });
+
+const playerReportSchema = new mongoose.Schema({
+    reportId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+
+    // ========== PARTIES ==========
+    reporterWallet: { type: String, required: true, index: true },
+    reporterName: { type: String, required: true },
+    targetWallet: { type: String, required: true, index: true },
+    targetName: { type: String, required: true },
+
+    // ========== REPORT ==========
+    reason: {
+        type: String,
+        enum: REPORT_REASONS.map((r) => r.id),
+        required: true
+    },
+    details: { type: String, default: '' },
+    room: { type: String, default: null },
+    chatLog: [chatLineSchema],
+
+    // ========== REVIEW ==========
+    status: {
+        type: String,
+        enum: ['open', 'resolved'],
+        default: 'open',
+        index: true
+    },
+    resolution: {
+        action: { type: String, enum: [...MODERATION_ACTIONS, null], default: null },
+        durationMinutes: { type: Number, default: null },
+        note: { type: String, default: null },
+        moderatorWallet: { type: String, default: null },
+        moderatorName: { type: String, default: null },
+        resolvedAt: { type: Date, default: null }
+    },
+
+    // ========== TIMESTAMPS ==========
+    createdAt: { type: Date, default: Date.now, index: true }
+});
+
+playerReportSchema.index({ status: 1, createdAt: 1 });
+
+// ==================== METHODS ====================
+
+/**
+ * Queue payload for the moderator UI
+ */
+playerReportSchema.methods.toQueueEntry = function() {
+    return {
+        reportId: this.reportId,
+        reporterName: this.reporterName,
+        reporterWallet: this.reporterWallet,
+        targetName: this.targetName,
+        targetWallet: this.targetWallet,
+        reason: this.reason,
+        details: this.details,
+        room: this.room,
+        chatLog: this.chatLog.map((line) => ({
+            channel: line.channel,
+            senderName: line.senderName,
+            text: line.text,
+            roomId: line.roomId,
+            timestamp: line.timestamp
+        })),
+        status: this.status,
+        resolution: this.status === 'resolved' ? { ...this.resolution } : null,
+        createdAt: this.createdAt
+    };
+};
+
+// ==================== STATICS ====================
+
+/**
+ * Oldest-first queue of reports in a given status
+ */
+playerReportSchema.statics.findQueue = function(status = 'open', limit = 50) {
+    return this.find({ status })
+        .sort({ createdAt: status === 'open' ? 1 : -1 })
+        .limit(limit);
+};
+
+/**
+ * Number of reports a wallet filed since `since`
+ */
+playerReportSchema.statics.countFiledSince = function(reporterWallet, since) {
+    return this.countDocuments({ reporterWallet, createdAt: { $gte: since } });
+};
+
+export default mongoose.model('PlayerReport', playerReportSchema);
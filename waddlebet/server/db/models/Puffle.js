@@ -394,6 +394,21 @@ puffleSchema.methods.train = function(stat, xpGain) {
     };
 };
 
+/**
+ * Record a finished race (energy cost is applied by the race service)
+ */
+puffleSchema.methods.recordRace = function(place, time, trophies = 0) {
+    this.racingStats.totalRaces += 1;
+    if (place === 1) {
+        this.racingStats.wins += 1;
+    }
+    this.racingStats.trophies += trophies;
+    if (this.racingStats.bestTime == null || time < this.racingStats.bestTime) {
+        this.racingStats.bestTime = time;
+    }
+    return this.racingStats;
+};
+
 // ========== REST CONFIG ==========
 const REST_CONFIG = {
     fullRestHours: 6, // 6 hours for 0% → 100% energy
@@ -0,0 +1,45 @@
+/**
+ * PuffleRace Model - Escrow record for puffle races with a gold entry
+ * The race itself only lives in PuffleRaceService; this snapshot of who paid what lets a lobby or
+ * running race interrupted by a restart be refunded.
+ */
+
+import mongoose from 'mongoose';
+
+const entrantSchema = new mongoose.Schema({
+    walletAddress: { type: String, required: true },
+    puffleId: { type: String, default: null },
+    paid: { type: Number, default: 0 }
+}, { _id: false });
+
+const puffleRaceSchema = new mongoose.Schema({
+    raceId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    roomId: { type: String, required: true },
+    entryFee: { type: Number, default: 0, min: 0 },
+    status: {
+        type: String,
+        enum: ['lobby', 'racing', 'complete', 'cancelled'],
+        default: 'lobby',
+        index: true
+    },
+    entrants: { type: [entrantSchema], default: [] },
+    cancelReason: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now },
+    endedAt: { type: Date, default: null }
+});
+
+// ==================== STATICS ====================
+
+/**
+ * Races that never finished (e.g. interrupted by a restart)
+ */
+puffleRaceSchema.statics.findUnfinished = function() {
+    return this.find({ status: { $in: ['lobby', 'racing'] } });
+};
+
+export default mongoose.model('PuffleRace', puffleRaceSchema);
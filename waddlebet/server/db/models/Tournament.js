@@ -0,0 +1,79 @@
+/**
+ * Tournament Model - Single-elimination bracket tournaments
+ * Snapshot of the live tournament kept by TournamentService; entry fees are escrowed per entrant
+ * so an interrupted tournament can be refunded on restart.
+ */
+
+import mongoose from 'mongoose';
+import { TOURNAMENT_GAMES, TOURNAMENT_CURRENCIES } from '../../config/tournaments.js';
+
+const entrantSchema = new mongoose.Schema({
+    walletAddress: { type: String, required: true },
+    name: { type: String, required: true },
+    paid: { type: Number, default: 0 },
+    placement: { type: Number, default: null },
+    prize: { type: Number, default: 0 },
+    joinedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const pairingSchema = new mongoose.Schema({
+    key: { type: String, required: true },
+    player1: { type: String, default: null },
+    player2: { type: String, default: null },
+    winner: { type: String, default: null },
+    status: { type: String, enum: ['pending', 'ready', 'live', 'done'], default: 'pending' },
+    decidedBy: { type: String, default: null },
+    matchId: { type: String, default: null },
+    draws: { type: Number, default: 0 },
+    readyAt: { type: Number, default: null }
+}, { _id: false });
+
+const tournamentSchema = new mongoose.Schema({
+    tournamentId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+
+    // ========== SETUP ==========
+    name: { type: String, required: true },
+    gameType: { type: String, enum: Object.keys(TOURNAMENT_GAMES), required: true },
+    currency: { type: String, enum: Object.keys(TOURNAMENT_CURRENCIES), default: 'gold' },
+    entryFee: { type: Number, default: 0, min: 0 },
+    maxEntrants: { type: Number, required: true },
+    hostWallet: { type: String, default: null },   // null for scheduled tournaments
+    hostName: { type: String, default: null },
+    scheduleId: { type: String, default: null },
+
+    // ========== PROGRESS ==========
+    status: {
+        type: String,
+        enum: ['registration', 'running', 'complete', 'cancelled'],
+        default: 'registration',
+        index: true
+    },
+    entrants: { type: [entrantSchema], default: [] },
+    rounds: { type: [[pairingSchema]], default: [] },
+    prizePool: { type: Number, default: 0 },
+    cancelReason: { type: String, default: null },
+
+    // ========== TIMESTAMPS ==========
+    startsAt: { type: Date, required: true },
+    startedAt: { type: Date, default: null },
+    endedAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+
+tournamentSchema.index({ scheduleId: 1, startsAt: 1 });
+
+// ==================== STATICS ====================
+
+/**
+ * Tournaments that never finished (e.g. interrupted by a restart)
+ */
+tournamentSchema.statics.findUnfinished = function() {
+    return this.find({ status: { $in: ['registration', 'running'] } });
+};
+
+export default mongoose.model('Tournament', tournamentSchema);
@@ -21,6 +21,9 @@ const transactionSchema = new mongoose.Schema({
             'wager_escrow',      // Coins locked for wager
             'wager_payout',      // Winner receives pot
             'wager_refund',      // Refund on void/draw
+            'side_bet',          // Spectator side bet escrowed on a live match
+            'side_bet_payout',   // Share of the side-bet pool for backing the winner
+            'side_bet_refund',   // Side bet returned (draw / void / no winning backers)
             'purchase',          // Shop purchase
             'puffle_adopt',      // Puffle adoption cost
             'puffle_food',       // Puffle food purchase
@@ -32,6 +35,7 @@ const transactionSchema = new mongoose.Schema({
             'admin_adjustment',  // Admin modification
             'starting_bonus',    // New player starting coins
             'migration',         // Migration from localStorage
+            'guest_merge',       // Guest account progress moved into a wallet account
             'chat_bonus',        // Coins earned from chatting
             'minigame_reward',   // Legacy — solo minigame gold removed
             'slot_spin',         // Slot machine spin cost
@@ -50,6 +54,7 @@ const transactionSchema = new mongoose.Schema({
             'merchant_buy_refund', // Refund when purchase inventory add fails
             'puffle_social',     // Gold drip when two active puffles interact
             'backpack_upgrade',  // Gold spent to unlock more backpack slots
+            'gear_repair',       // Gold spent repairing a tool or rod (merchant or auto-repair)
             'travel_ticket',     // Ferry / overworld travel ticket purchase
             'travel_refund',     // Ferry ticket refund (leave boarding / cancel)
             'scavenge',          // Gold found scavenging world props
@@ -59,6 +64,13 @@ const transactionSchema = new mongoose.Schema({
             'dojo_sensei_win',       // One-time gold for beating Sensei (onboarding step)
             'blackjack_bet',     // PvE blackjack bet
             'blackjack_win',     // PvE blackjack payout
+            'puffle_race_entry',  // Gold entry into a puffle race pot
+            'puffle_race_payout', // Puffle race winner takes the pot
+            'puffle_race_refund', // Entry refunded (left lobby / race cancelled)
+            'tournament_entry',   // Entry fee into a bracket tournament prize pool (gold or pebbles)
+            'tournament_refund',  // Entry refunded (withdrew / tournament cancelled)
+            'tournament_prize',   // Tournament placement prize
+            'world_event_reward', // Tiered payout for contributing to a live world event
             // ========== GACHA/PEBBLE TYPES ==========
             'gacha_roll',        // Pebbles spent on gacha roll
             'pebble_deposit',    // SOL to Pebbles conversion
@@ -74,6 +86,8 @@ const transactionSchema = new mongoose.Schema({
             'gift_gold',         // Gold/coins gifted to another player
             'gift_pebbles',      // Pebbles gifted to another player
             'gift_item',         // Item gifted to another player
+            // ========== TRADING TYPES ==========
+            'p2p_trade',         // One side of a player-to-player trade (gold + game items)
             // ========== DAILY BONUS TYPES ==========
             'daily_bonus',        // Daily login bonus $CP reward
             'daily_streak_gold',  // Bonus gold on streak calendar days 3 & 6
@@ -124,7 +138,17 @@ const transactionSchema = new mongoose.Schema({
         // Pebble-related  
         solTxSignature: String,
         solAmount: Number,
-        pebbleAmount: Number
+        pebbleAmount: Number,
+        // Tournament-related
+        tournamentId: String,
+        placement: Number,
+        // Trade-related
+        tradeId: String,
+        tradeItems: [{
+            _id: false,
+            itemId: String,
+            quantity: Number
+        }]
     },
     
     // ========== STATUS ==========
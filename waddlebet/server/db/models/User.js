@@ -19,6 +19,14 @@ const userSchema = new mongoose.Schema({
         default: 'solana',
         required: true
     },
+    /** Guest account (`guest_<hex>` wallet, see config/guestAccounts.js) — no wallet behind it */
+    isGuest: { type: Boolean, default: false },
+    /** One-time guest → wallet merge: set on the guest (mergedInto) and on the wallet account (mergedFrom) */
+    guestMerge: {
+        mergedInto: { type: String, default: null },
+        mergedFrom: { type: String, default: null },
+        mergedAt: { type: Date, default: null }
+    },
 
     // ========== PROFILE ==========
     username: {
@@ -113,6 +121,12 @@ const userSchema = new mongoose.Schema({
         name: String,
         earnedAt: { type: Date, default: Date.now }
     }],
+    /** Stamp book counters (`fish:<id>`, `chop:<log>`, `wager_win:<game>`, ...) — see src/config/stamps.js */
+    stampProgress: {
+        type: Map,
+        of: Number,
+        default: {}
+    },
     inventory: {
         type: [String],
         default: []
@@ -136,7 +150,9 @@ const userSchema = new mongoose.Schema({
             type: [mongoose.Schema.Types.Mixed],
             default: () => [null, null, null, null, null]
         },
-        activeHotbar: { type: Number, default: 0, min: 0, max: 4 }
+        activeHotbar: { type: Number, default: 0, min: 0, max: 4 },
+        /** Pay for a repair automatically instead of losing gear that wears out */
+        autoRepair: { type: Boolean, default: false }
     },
     fishingProgress: {
         skillXp: { type: Number, default: 0 },
@@ -150,6 +166,15 @@ const userSchema = new mongoose.Schema({
         rodUpgradeStep: { type: Number, default: 0, min: 0, max: 6 }
     },
 
+    /** Woodworking bench (see CraftingService) — one craft runs at a time, collected at the bench. */
+    craftingProgress: {
+        skillXp: { type: Number, default: 0 },
+        skillLevel: { type: Number, default: 1 },
+        totalCrafts: { type: Number, default: 0 },
+        /** { recipeId, startedAt, readyAt } while a craft is on the bench */
+        activeCraft: { type: mongoose.Schema.Types.Mixed, default: null }
+    },
+
     lastCasinoTrashScavenge: { type: Date, default: null },
     /** Per scavenge spot id → last search time (each trash can is independent). */
     scavengeSpotCooldowns: {
@@ -369,6 +394,18 @@ const userSchema = new mongoose.Schema({
             totalHits: { type: Number, default: 0 },
             totalShipsSunk: { type: Number, default: 0 }
         },
+        snowballFight: {
+            played: { type: Number, default: 0 },
+            wins: { type: Number, default: 0 },
+            losses: { type: Number, default: 0 },
+            draws: { type: Number, default: 0 },
+            coinsWon: { type: Number, default: 0 },
+            coinsLost: { type: Number, default: 0 },
+            winStreak: { type: Number, default: 0 },
+            bestWinStreak: { type: Number, default: 0 },
+            lossStreak: { type: Number, default: 0 },
+            worstLossStreak: { type: Number, default: 0 }
+        },
         overall: {
             totalGamesPlayed: { type: Number, default: 0 },
             totalGamesWon: { type: Number, default: 0 },
@@ -445,7 +482,14 @@ const userSchema = new mongoose.Schema({
         musicVolume: { type: Number, default: 35, min: 0, max: 100 },
         soundEnabled: { type: Boolean, default: true },
         mountEnabled: { type: Boolean, default: true },
-        snowEnabled: { type: Boolean, default: true }
+        snowEnabled: { type: Boolean, default: true },
+        /**
+         * Synced settings document { v, values, updatedAt } (see src/config/userSettings.js);
+         * null until the first client sync
+         */
+        sync: { type: mongoose.Schema.Types.Mixed, default: null },
+        /** Bumped on every sync write — compare-and-set guard against concurrent devices */
+        syncRevision: { type: Number, default: 0 }
     },
 
     // ========== CONNECTION STATE ==========
@@ -476,6 +520,22 @@ const userSchema = new mongoose.Schema({
         liftedAt: Date,
         liftedBy: String
     }],
+    /** Timed chat mute set by a moderator — room/global/guild chat and whispers are refused until then */
+    chatMutedUntil: { type: Date, default: null },
+    chatMuteReason: { type: String, default: null },
+
+    // ========== GUILD ==========
+    /** Guild this wallet has claimed a place in - set before joining, so a wallet can only ever be in one */
+    guildId: { type: String, default: null, index: true },
+
+    // ========== BLOCK LIST ==========
+    /** Players this user has blocked (no whispers, challenges, gifts, tips or chat between them) */
+    blockedWallets: [{
+        _id: false,
+        walletAddress: { type: String, required: true },
+        username: { type: String, default: null },
+        blockedAt: { type: Date, default: Date.now }
+    }],
 
     // ========== PROMO CODES ==========
     redeemedPromoCodes: [{
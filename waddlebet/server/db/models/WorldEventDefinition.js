@@ -0,0 +1,59 @@
+/**
+ * WorldEventDefinition Model - Admin-defined live world events
+ * Edited in the database (see scripts/setupWorldEvents.js); WorldEventService reloads them every
+ * minute so schedule, rewards and tuning change without a redeploy. Mechanics come from `type`.
+ */
+
+import mongoose from 'mongoose';
+import { WORLD_EVENT_TYPES } from '../../config/worldEvents.js';
+
+const rewardTierSchema = new mongoose.Schema({
+    label: { type: String, default: '' },
+    minContribution: { type: Number, required: true, min: 1 },
+    gold: { type: Number, default: 0, min: 0 },
+    // CosmeticTemplate.assetKey - granted once per player, untradable
+    cosmeticAssetKey: { type: String, default: null }
+}, { _id: false });
+
+const worldEventDefinitionSchema = new mongoose.Schema({
+    eventId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    type: {
+        type: String,
+        enum: Object.keys(WORLD_EVENT_TYPES),
+        required: true
+    },
+
+    // Display info
+    name: { type: String, required: true },
+    description: { type: String, default: '' },
+    emoji: { type: String, default: '🎉' },
+
+    enabled: { type: Boolean, default: true },
+
+    // ========== SCHEDULE (UTC epoch aligned) ==========
+    schedule: {
+        intervalMinutes: { type: Number, required: true, min: 1 },
+        offsetMinutes: { type: Number, default: 0, min: 0 }
+    },
+    durationMinutes: { type: Number, required: true, min: 1 },
+
+    // ========== TUNING (falls back to the type's defaults) ==========
+    rooms: { type: [String], default: undefined },
+    points: { type: mongoose.Schema.Types.Mixed, default: undefined },
+    params: { type: mongoose.Schema.Types.Mixed, default: undefined },
+
+    rewardTiers: { type: [rewardTierSchema], default: [] },
+
+    notes: String
+}, {
+    timestamps: true
+});
+
+const WorldEventDefinition = mongoose.model('WorldEventDefinition', worldEventDefinitionSchema);
+
+export default WorldEventDefinition;
@@ -0,0 +1,51 @@
+/**
+ * WorldEventRun Model - One run of a live world event
+ * Contribution is saved as the run progresses so a restart mid-event resumes it; the finished
+ * document is the record of who earned what.
+ */
+
+import mongoose from 'mongoose';
+
+const participantSchema = new mongoose.Schema({
+    walletAddress: { type: String, required: true },
+    name: { type: String, default: '' },
+    contribution: { type: Number, default: 0 },
+    tier: { type: String, default: null },
+    goldAwarded: { type: Number, default: 0 },
+    cosmeticAwarded: { type: String, default: null },
+    // Claimed before the reward is paid, so a replayed payout skips it
+    paid: { type: Boolean, default: false }
+}, { _id: false });
+
+const worldEventRunSchema = new mongoose.Schema({
+    // `${eventId}:${startsAt}` - one run per scheduled window
+    runId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    eventId: { type: String, required: true, index: true },
+    type: { type: String, required: true },
+    name: { type: String, required: true },
+
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+
+    status: {
+        type: String,
+        // 'paying' - window closed, rewards being paid (resumed at startup if interrupted)
+        enum: ['active', 'paying', 'completed'],
+        default: 'active',
+        index: true
+    },
+
+    participants: { type: [participantSchema], default: [] },
+    completedAt: { type: Date, default: null }
+}, {
+    timestamps: true
+});
+
+const WorldEventRun = mongoose.model('WorldEventRun', worldEventRunSchema);
+
+export default WorldEventRun;
@@ -24,6 +24,8 @@ export { default as PebbleWithdrawal } from './PebbleWithdrawal.js';
 
 // Marketplace
 export { default as MarketListing } from './MarketListing.js';
+export { default as MarketBuyOrder } from './MarketBuyOrder.js';
+export { default as MarketPriceBucket, BUCKET_INTERVALS } from './MarketPriceBucket.js';
 
 // Chat
 export { default as ChatMessage, CHAT_CHANNELS } from './ChatMessage.js';
@@ -31,4 +33,22 @@ export { default as ChatMessage, CHAT_CHANNELS } from './ChatMessage.js';
 // World resources
 export { default as ForestTreeWorldState } from './ForestTreeWorldState.js';
 
+// Social
+export { default as Guild } from './Guild.js';
+export { default as Friendship } from './Friendship.js';
 
+// Moderation
+export { default as PlayerReport } from './PlayerReport.js';
+
+// Puffle races
+export { default as PuffleRace } from './PuffleRace.js';
+
+// Arcade
+export { default as ArcadeScore } from './ArcadeScore.js';
+
+// Tournaments
+export { default as Tournament } from './Tournament.js';
+
+// World events
+export { default as WorldEventDefinition } from './WorldEventDefinition.js';
+export { default as WorldEventRun } from './WorldEventRun.js';
@@ -0,0 +1,96 @@
+/**
+ * Arcade Score WebSocket Message Handlers
+ * Session start, live checkpoints and final submission for the solo arcade games,
+ * plus per-game leaderboard requests for the stats modal.
+ */
+
+/**
+ * Handle arcade score messages
+ * @param {string} playerId - Player ID
+ * @param {Object} player - Player state object
+ * @param {Object} message - The message
+ * @param {Function} sendToPlayer - Send message to specific player
+ * @param {import('../services/ArcadeScoreService.js').default} arcadeScoreService
+ * @returns {boolean} - True if message was handled
+ */
+export async function handleArcadeMessage(playerId, player, message, sendToPlayer, arcadeScoreService) {
+    if (!message.type?.startsWith('arcade_')) return false;
+
+    const walletAddress = player.isAuthenticated ? player.walletAddress : null;
+
+    switch (message.type) {
+        // ==================== SESSIONS ====================
+        case 'arcade_session_start': {
+            const result = arcadeScoreService.startSession(walletAddress, message.gameId);
+            sendToPlayer(playerId, {
+                type: 'arcade_session',
+                success: result.success,
+                gameId: message.gameId,
+                sessionId: result.sessionId || null,
+                seed: result.seed ?? null,
+                error: result.error || null
+            });
+            return true;
+        }
+
+        case 'arcade_score_checkpoint': {
+            arcadeScoreService.recordCheckpoint(walletAddress, message.sessionId, message.score);
+            return true;
+        }
+
+        case 'arcade_score_submit': {
+            try {
+                const result = await arcadeScoreService.submitScore(
+                    walletAddress ? player : null,
+                    { sessionId: message.sessionId, score: message.score, inputs: message.inputs }
+                );
+                sendToPlayer(playerId, {
+                    type: 'arcade_score_result',
+                    success: result.success,
+                    gameId: result.gameId || message.gameId || null,
+                    score: result.score ?? message.score ?? null,
+                    personalBest: result.personalBest ?? null,
+                    isPersonalBest: !!result.isPersonalBest,
+                    error: result.error || null,
+                    message: result.message || null
+                });
+            } catch (error) {
+                console.error('🕹️ Error in arcade_score_submit:', error);
+                sendToPlayer(playerId, {
+                    type: 'arcade_score_result',
+                    success: false,
+                    gameId: message.gameId || null,
+                    error: 'SERVER_ERROR',
+                    message: 'Could not save your score'
+                });
+            }
+            return true;
+        }
+
+        // ==================== LEADERBOARDS ====================
+        case 'arcade_leaderboard_get': {
+            try {
+                const entries = await arcadeScoreService.getLeaderboard(message.gameId, message.period);
+                sendToPlayer(playerId, {
+                    type: 'arcade_leaderboard',
+                    gameId: message.gameId,
+                    period: message.period,
+                    entries
+                });
+            } catch (error) {
+                console.error('🕹️ Error in arcade_leaderboard_get:', error);
+                sendToPlayer(playerId, {
+                    type: 'arcade_leaderboard',
+                    gameId: message.gameId,
+                    period: message.period,
+                    entries: [],
+                    error: 'SERVER_ERROR'
+                });
+            }
+            return true;
+        }
+
+        default:
+            return false;
+    }
+}
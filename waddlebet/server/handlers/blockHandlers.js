@@ -0,0 +1,101 @@
+/**
+ * Block List WebSocket Message Handlers
+ * Block / unblock players by wallet. Enforcement lives where the interaction happens
+ * (whisper routing, chat fan-out, ChallengeService, InboxService, gift/tip handlers).
+ */
+
+function sendBlockResult(sendToPlayer, playerId, action, result) {
+    sendToPlayer(playerId, {
+        type: 'block_result',
+        action,
+        success: !!result.success,
+        error: result.error || null,
+        message: result.message || null
+    });
+}
+
+/**
+ * Handle block-related messages
+ * @param {string} playerId - Player ID
+ * @param {Object} player - Player state object
+ * @param {Object} message - The message
+ * @param {Function} sendToPlayer - Send message to specific player
+ * @param {import('../services/BlockService.js').default} blockService
+ * @param {import('../services/FriendService.js').default} friendService - friend lists refresh when a block ends a friendship
+ * @param {Function} getPlayerById - Get online player state by session id
+ * @returns {boolean} - True if message was handled
+ */
+export async function handleBlockMessage(playerId, player, message, sendToPlayer, blockService, friendService, getPlayerById) {
+    if (!message.type?.startsWith('block_')) return false;
+
+    // Block lists are keyed by wallet — guests can only mute client-side
+    if (!player.isAuthenticated || !player.walletAddress) {
+        if (message.type === 'block_get_state') {
+            sendToPlayer(playerId, { type: 'block_state', blocked: [] });
+        } else {
+            sendBlockResult(sendToPlayer, playerId, message.type.slice('block_'.length), {
+                error: 'NOT_AUTHENTICATED',
+                message: 'Connect your wallet to block players'
+            });
+        }
+        return true;
+    }
+
+    const wallet = player.walletAddress;
+
+    switch (message.type) {
+        // ==================== STATE ====================
+        case 'block_get_state': {
+            try {
+                await blockService.sendState(wallet);
+            } catch (error) {
+                console.error('🚫 Error in block_get_state:', error);
+            }
+            return true;
+        }
+
+        // ==================== BLOCK / UNBLOCK ====================
+        case 'block_add': {
+            try {
+                const online = getPlayerById(message.targetPlayerId);
+                const target = online?.walletAddress
+                    ? { walletAddress: online.walletAddress, username: online.name }
+                    : null;
+
+                const result = await blockService.block(wallet, target);
+                sendBlockResult(sendToPlayer, playerId, 'add', result.success
+                    ? { success: true, message: `${target.username} is blocked` }
+                    : result);
+
+                if (result.success) {
+                    await blockService.sendState(wallet);
+                    await friendService.sendState(wallet);
+                    await friendService.sendState(target.walletAddress);
+                }
+            } catch (error) {
+                console.error('🚫 Error in block_add:', error);
+                sendBlockResult(sendToPlayer, playerId, 'add', { error: 'SERVER_ERROR', message: 'Failed to block player' });
+            }
+            return true;
+        }
+
+        case 'block_remove': {
+            try {
+                const result = await blockService.unblock(wallet, message.walletAddress);
+                sendBlockResult(sendToPlayer, playerId, 'remove', result.success
+                    ? { success: true, message: 'Player unblocked' }
+                    : result);
+                if (result.success) {
+                    await blockService.sendState(wallet);
+                }
+            } catch (error) {
+                console.error('🚫 Error in block_remove:', error);
+                sendBlockResult(sendToPlayer, playerId, 'remove', { error: 'SERVER_ERROR', message: 'Failed to unblock player' });
+            }
+            return true;
+        }
+
+        default:
+            return false;
+    }
+}
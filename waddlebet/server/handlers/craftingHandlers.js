@@ -0,0 +1,85 @@
+/**
+ * Crafting WebSocket Message Handlers
+ * Woodworking bench status, starting a recipe and collecting the finished item.
+ * Start/collect replies are `crafting_result` (with the updated backpack and bench status).
+ */
+
+function sendCraftingResult(sendToPlayer, playerId, action, result) {
+    sendToPlayer(playerId, {
+        type: 'crafting_result',
+        action,
+        success: !!result.success,
+        error: result.error || null,
+        message: result.message || null,
+        recipeId: result.recipeId || null,
+        itemId: result.itemId || null,
+        quantity: result.quantity ?? null,
+        xpGained: result.xpGained ?? null,
+        leveledUp: !!result.leveledUp,
+        inventory: result.inventory || null,
+        status: result.status || null
+    });
+}
+
+/**
+ * Handle crafting messages
+ * @param {string} playerId - Player ID
+ * @param {Object} player - Player state object
+ * @param {Object} message - The message
+ * @param {Function} sendToPlayer - Send message to specific player
+ * @param {import('../services/CraftingService.js').default} craftingService
+ * @returns {boolean} - True if message was handled
+ */
+export async function handleCraftingMessage(playerId, player, message, sendToPlayer, craftingService) {
+    if (!message.type?.startsWith('crafting_')) return false;
+
+    const action = message.type.replace('crafting_', '');
+    if (!player.walletAddress) {
+        if (message.type !== 'crafting_get_status') {
+            sendCraftingResult(sendToPlayer, playerId, action, { error: 'NOT_AUTHENTICATED', message: 'Sign in to craft' });
+        }
+        return true;
+    }
+    const position = { room: player.room, x: player.position?.x, z: player.position?.z };
+
+    switch (message.type) {
+        // ==================== STATUS ====================
+        case 'crafting_get_status': {
+            try {
+                const result = await craftingService.getStatus(player.walletAddress);
+                if (result.success) {
+                    sendToPlayer(playerId, { type: 'crafting_status', status: result.status });
+                }
+            } catch (error) {
+                console.error('🪚 Error in crafting_get_status:', error);
+            }
+            return true;
+        }
+
+        // ==================== BENCH ====================
+        case 'crafting_start': {
+            try {
+                const result = await craftingService.startCraft(player.walletAddress, message.recipeId, position);
+                sendCraftingResult(sendToPlayer, playerId, action, result);
+            } catch (error) {
+                console.error('🪚 Error in crafting_start:', error);
+                sendCraftingResult(sendToPlayer, playerId, action, { error: 'SERVER_ERROR', message: 'Could not start crafting' });
+            }
+            return true;
+        }
+
+        case 'crafting_collect': {
+            try {
+                const result = await craftingService.collectCraft(player.walletAddress, position);
+                sendCraftingResult(sendToPlayer, playerId, action, result);
+            } catch (error) {
+                console.error('🪚 Error in crafting_collect:', error);
+                sendCraftingResult(sendToPlayer, playerId, action, { error: 'SERVER_ERROR', message: 'Could not collect your craft' });
+            }
+            return true;
+        }
+
+        default:
+            return false;
+    }
+}
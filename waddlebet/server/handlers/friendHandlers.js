@@ -0,0 +1,168 @@
+/**
+ * Friend WebSocket Message Handlers
+ * Requests / accept / decline / remove, plus "join friend" travel.
+ * Presence (`friend_presence`) is pushed by FriendService on login, room change and logout.
+ */
+
+function sendFriendResult(sendToPlayer, playerId, action, result) {
+    sendToPlayer(playerId, {
+        type: 'friend_result',
+        action,
+        success: !!result.success,
+        error: result.error || null,
+        message: result.message || null,
+        route: result.route || null
+    });
+}
+
+/**
+ * Handle friend-related messages
+ * @param {string} playerId - Player ID
+ * @param {Object} player - Player state object
+ * @param {Object} message - The message
+ * @param {Function} sendToPlayer - Send message to specific player
+ * @param {import('../services/FriendService.js').default} friendService
+ * @param {Function} getPlayerByName - Get online player state by display name (case-insensitive)
+ * @param {Function} isOnVoyage - (playerId) => true while booked on / riding a ferry
+ * @param {Function} checkRoomEntry - async (player, roomId) => { allowed, message } for private rooms
+ * @param {Function} transferPlayerRoom - Server-initiated room move
+ * @returns {boolean} - True if message was handled
+ */
+export async function handleFriendMessage(playerId, player, message, sendToPlayer, friendService, getPlayerByName, isOnVoyage, checkRoomEntry, transferPlayerRoom) {
+    if (!message.type?.startsWith('friend_')) return false;
+
+    // Friends are keyed by wallet — guests get an empty list
+    if (!player.isAuthenticated || !player.walletAddress) {
+        if (message.type === 'friend_get_state') {
+            sendToPlayer(playerId, { type: 'friends_state', friends: [], incoming: [], outgoing: [] });
+        } else {
+            sendFriendResult(sendToPlayer, playerId, message.type.slice('friend_'.length), {
+                error: 'NOT_AUTHENTICATED',
+                message: 'Connect your wallet to add friends'
+            });
+        }
+        return true;
+    }
+
+    const wallet = player.walletAddress;
+
+    switch (message.type) {
+        // ==================== STATE ====================
+        case 'friend_get_state': {
+            try {
+                await friendService.sendState(wallet);
+            } catch (error) {
+                console.error('👥 Error in friend_get_state:', error);
+            }
+            return true;
+        }
+
+        // ==================== REQUESTS ====================
+        case 'friend_request': {
+            try {
+                const online = getPlayerByName(message.targetName);
+                const target = online?.walletAddress
+                    ? { walletAddress: online.walletAddress, username: online.name }
+                    : await friendService.findUserByName(message.targetName);
+
+                const result = await friendService.sendRequest(wallet, target);
+                sendFriendResult(sendToPlayer, playerId, 'request', result.success
+                    ? { success: true, message: result.accepted ? `You and ${target.username} are now friends` : `Friend request sent to ${target.username}` }
+                    : result);
+
+                if (result.success) {
+                    await friendService.sendState(wallet);
+                    await friendService.sendState(target.walletAddress);
+                    const targetPlayer = friendService.getPlayerByWallet(target.walletAddress);
+                    if (targetPlayer && !result.accepted) {
+                        sendToPlayer(targetPlayer.id, { type: 'friend_request', walletAddress: wallet, username: player.name });
+                    }
+                    if (result.accepted) {
+                        friendService.notifyPresence(wallet);
+                        friendService.notifyPresence(target.walletAddress);
+                    }
+                }
+            } catch (error) {
+                console.error('👥 Error in friend_request:', error);
+                sendFriendResult(sendToPlayer, playerId, 'request', { error: 'SERVER_ERROR', message: 'Failed to send friend request' });
+            }
+            return true;
+        }
+
+        case 'friend_accept': {
+            try {
+                const result = await friendService.accept(wallet, message.walletAddress);
+                sendFriendResult(sendToPlayer, playerId, 'accept', result);
+                if (result.success) {
+                    await friendService.sendState(wallet);
+                    await friendService.sendState(message.walletAddress);
+                    friendService.notifyPresence(wallet);
+                    friendService.notifyPresence(message.walletAddress);
+                }
+            } catch (error) {
+                console.error('👥 Error in friend_accept:', error);
+                sendFriendResult(sendToPlayer, playerId, 'accept', { error: 'SERVER_ERROR', message: 'Failed to accept request' });
+            }
+            return true;
+        }
+
+        case 'friend_decline': {
+            try {
+                await friendService.decline(wallet, message.walletAddress);
+                await friendService.sendState(wallet);
+                await friendService.sendState(message.walletAddress);
+            } catch (error) {
+                console.error('👥 Error in friend_decline:', error);
+            }
+            return true;
+        }
+
+        case 'friend_remove': {
+            try {
+                const result = await friendService.remove(wallet, message.walletAddress);
+                sendFriendResult(sendToPlayer, playerId, 'remove', result);
+                if (result.success) {
+                    await friendService.sendState(wallet);
+                    await friendService.sendState(message.walletAddress);
+                }
+            } catch (error) {
+                console.error('👥 Error in friend_remove:', error);
+                sendFriendResult(sendToPlayer, playerId, 'remove', { error: 'SERVER_ERROR', message: 'Failed to remove friend' });
+            }
+            return true;
+        }
+
+        // ==================== JOIN FRIEND ====================
+        case 'friend_join': {
+            try {
+                if (!(await friendService.areFriends(wallet, message.walletAddress))) {
+                    sendFriendResult(sendToPlayer, playerId, 'join', { error: 'NOT_FRIENDS', message: 'That player is not on your friends list' });
+                    return true;
+                }
+
+                const target = friendService.getPlayerByWallet(message.walletAddress);
+                const plan = friendService.planJoin(player, target, { onVoyage: isOnVoyage(playerId) });
+                if (!plan.success) {
+                    sendFriendResult(sendToPlayer, playerId, 'join', plan);
+                    return true;
+                }
+
+                const entry = await checkRoomEntry(player, plan.room);
+                if (!entry.allowed) {
+                    sendFriendResult(sendToPlayer, playerId, 'join', { error: 'ROOM_RESTRICTED', message: entry.message });
+                    return true;
+                }
+
+                await transferPlayerRoom(playerId, plan.room, plan.position);
+                sendFriendResult(sendToPlayer, playerId, 'join', { success: true, message: `Joined ${target.name}` });
+            } catch (error) {
+                console.error('👥 Error in friend_join:', error);
+                sendFriendResult(sendToPlayer, playerId, 'join', { error: 'SERVER_ERROR', message: 'Failed to join friend' });
+            }
+            return true;
+        }
+
+        default:
+            return false;
+    }
+}
@@ -8,8 +8,9 @@ import { validateWalletAddress, validateAmount } from '../utils/securityValidati
 
 /**
  * Handle gift-related WebSocket messages
+ * @param {Function} [isBlockedBetween] - async (walletA, walletB) => true if either side blocked the other
  */
-export async function handleGiftMessage(playerId, player, message, sendToPlayer, getPlayerById, getPlayerByWallet = null) {
+export async function handleGiftMessage(playerId, player, message, sendToPlayer, getPlayerById, getPlayerByWallet = null, isBlockedBetween = null) {
     switch (message.type) {
         // ==================== GET RECIPIENT INFO ====================
         case 'gift_get_recipient_info': {
@@ -37,6 +38,15 @@ export async function handleGiftMessage(playerId, player, message, sendToPlayer,
                     return true;
                 }
                 
+                if (await isBlockedBetween?.(player.walletAddress, targetPlayer.walletAddress)) {
+                    sendToPlayer(playerId, {
+                        type: 'gift_recipient_info',
+                        error: 'BLOCKED',
+                        message: 'You cannot send gifts to this player'
+                    });
+                    return true;
+                }
+                
                 sendToPlayer(playerId, {
                     type: 'gift_recipient_info',
                     walletAddress: targetPlayer.walletAddress,
@@ -126,6 +136,16 @@ export async function handleGiftMessage(playerId, player, message, sendToPlayer,
                     return true;
                 }
                 
+                if (await isBlockedBetween?.(senderValidation.address, sanitizedRecipientWallet)) {
+                    sendToPlayer(playerId, {
+                        type: 'gift_result',
+                        success: false,
+                        error: 'BLOCKED',
+                        message: 'You cannot send gifts to this player'
+                    });
+                    return true;
+                }
+                
                 // Get sender (use sanitized wallet address)
                 const sender = await User.findOne({ walletAddress: senderValidation.address });
                 if (!sender) {
@@ -291,6 +311,16 @@ export async function handleGiftMessage(playerId, player, message, sendToPlayer,
                     return true;
                 }
                 
+                if (await isBlockedBetween?.(senderValidation.address, recipientValidation.address)) {
+                    sendToPlayer(playerId, {
+                        type: 'gift_result',
+                        success: false,
+                        error: 'BLOCKED',
+                        message: 'You cannot send gifts to this player'
+                    });
+                    return true;
+                }
+                
                 // CRITICAL SECURITY: Validate amount with strict type checking
                 const amountValidation = validateAmount(amount, {
                     min: 1,
@@ -479,6 +509,16 @@ export async function handleGiftMessage(playerId, player, message, sendToPlayer,
                     return true;
                 }
                 
+                if (await isBlockedBetween?.(senderValidation.address, sanitizedRecipientWallet)) {
+                    sendToPlayer(playerId, {
+                        type: 'gift_result',
+                        success: false,
+                        error: 'BLOCKED',
+                        message: 'You cannot send gifts to this player'
+                    });
+                    return true;
+                }
+                
                 if (!itemInstanceId) {
                     sendToPlayer(playerId, {
                         type: 'gift_result',
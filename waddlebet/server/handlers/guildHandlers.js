@@ -0,0 +1,234 @@
+/**
+ * Guild WebSocket Message Handlers
+ * Create / invite / kick / promote / demote / leave, plus guild hall entry.
+ * Guild chat itself goes through the regular `chat` message with channel 'guild'.
+ */
+
+import { guildHallRoomId, parseGuildHallRoomId, GUILD_HALL_SPAWN } from '../config/guilds.js';
+import { WORLD_SPAWN, WORLD_SPAWN_ROOM } from '../../src/config/roomConfig.js';
+
+function sendGuildResult(sendToPlayer, playerId, action, result) {
+    sendToPlayer(playerId, {
+        type: 'guild_result',
+        action,
+        success: !!result.success,
+        error: result.error || null,
+        message: result.message || null
+    });
+}
+
+/** Send a player who lost membership back to town if they are standing in that hall */
+function evictFromHall(guildService, transferPlayerRoom, walletAddress, guildId = null) {
+    const target = guildService.getPlayerByWallet(walletAddress);
+    const hallGuildId = parseGuildHallRoomId(target?.room);
+    if (!hallGuildId || (guildId && hallGuildId !== guildId)) return;
+    if (!guildId && target.guildId === hallGuildId) return;
+    transferPlayerRoom(target.id, WORLD_SPAWN_ROOM, { x: WORLD_SPAWN.x, y: 0, z: WORLD_SPAWN.z })
+        .catch((err) => console.error('🛡️ Guild hall eviction failed:', err));
+}
+
+/**
+ * Handle guild-related messages
+ * @param {string} playerId - Player ID
+ * @param {Object} player - Player state object
+ * @param {Object} message - The message
+ * @param {Function} sendToPlayer - Send message to specific player
+ * @param {import('../services/GuildService.js').default} guildService
+ * @param {Function} getPlayerByName - Get online player state by display name (case-insensitive)
+ * @param {Function} transferPlayerRoom - Server-initiated room move (used for guild halls)
+ * @returns {boolean} - True if message was handled
+ */
+export async function handleGuildMessage(playerId, player, message, sendToPlayer, guildService, getPlayerByName, transferPlayerRoom) {
+    if (!message.type?.startsWith('guild_')) return false;
+
+    // Everything except reading state needs a wallet — guests cannot hold membership
+    if (message.type !== 'guild_get_state' && (!player.isAuthenticated || !player.walletAddress)) {
+        sendGuildResult(sendToPlayer, playerId, message.type.slice('guild_'.length), {
+            error: 'NOT_AUTHENTICATED',
+            message: 'Connect your wallet to use guilds'
+        });
+        return true;
+    }
+
+    switch (message.type) {
+        // ==================== STATE ====================
+        case 'guild_get_state': {
+            try {
+                if (!player.walletAddress) {
+                    sendToPlayer(playerId, { type: 'guild_state', guild: null, role: null, invites: [] });
+                    return true;
+                }
+                const guild = await guildService.getGuildForWallet(player.walletAddress);
+                await guildService.syncPlayer(player.walletAddress, guild);
+            } catch (error) {
+                console.error('🛡️ Error in guild_get_state:', error);
+            }
+            return true;
+        }
+
+        // ==================== CREATE ====================
+        case 'guild_create': {
+            try {
+                const result = await guildService.createGuild(player.walletAddress, player.name, message.name, message.tag);
+                sendGuildResult(sendToPlayer, playerId, 'create', result);
+                if (result.success) {
+                    await guildService.syncPlayer(player.walletAddress, result.guild);
+                }
+            } catch (error) {
+                console.error('🛡️ Error in guild_create:', error);
+                sendGuildResult(sendToPlayer, playerId, 'create', { error: 'SERVER_ERROR', message: 'Failed to create guild' });
+            }
+            return true;
+        }
+
+        // ==================== INVITES ====================
+        case 'guild_invite': {
+            try {
+                const target = getPlayerByName(message.targetName);
+                if (!target) {
+                    sendGuildResult(sendToPlayer, playerId, 'invite', {
+                        error: 'TARGET_OFFLINE',
+                        message: `${message.targetName || 'That player'} is not online`
+                    });
+                    return true;
+                }
+
+                const result = await guildService.invite(player.walletAddress, player.name, target.walletAddress, target.name);
+                sendGuildResult(sendToPlayer, playerId, 'invite', result.success
+                    ? { success: true, message: `Invited ${target.name}` }
+                    : result);
+                if (result.success) {
+                    sendToPlayer(target.id, {
+                        type: 'guild_invite',
+                        guildId: result.guild.guildId,
+                        name: result.guild.name,
+                        tag: result.guild.tag,
+                        invitedBy: player.name
+                    });
+                    await guildService.syncMembers(result.guild);
+                }
+            } catch (error) {
+                console.error('🛡️ Error in guild_invite:', error);
+                sendGuildResult(sendToPlayer, playerId, 'invite', { error: 'SERVER_ERROR', message: 'Failed to send invite' });
+            }
+            return true;
+        }
+
+        case 'guild_accept_invite': {
+            try {
+                const result = await guildService.acceptInvite(player.walletAddress, player.name, message.guildId);
+                sendGuildResult(sendToPlayer, playerId, 'accept_invite', result);
+                if (result.success) {
+                    await guildService.syncMembers(result.guild);
+                }
+            } catch (error) {
+                console.error('🛡️ Error in guild_accept_invite:', error);
+                sendGuildResult(sendToPlayer, playerId, 'accept_invite', { error: 'SERVER_ERROR', message: 'Failed to join guild' });
+            }
+            return true;
+        }
+
+        case 'guild_decline_invite': {
+            try {
+                await guildService.declineInvite(player.walletAddress, message.guildId);
+                await guildService.syncPlayer(player.walletAddress, null);
+            } catch (error) {
+                console.error('🛡️ Error in guild_decline_invite:', error);
+            }
+            return true;
+        }
+
+        // ==================== MEMBER MANAGEMENT ====================
+        case 'guild_kick':
+        case 'guild_promote':
+        case 'guild_demote': {
+            const action = message.type.slice('guild_'.length);
+            try {
+                const result = await guildService[action](player.walletAddress, message.targetWallet);
+                sendGuildResult(sendToPlayer, playerId, action, result);
+                if (result.success) {
+                    await guildService.syncMembers(result.guild);
+                    if (action === 'kick') {
+                        await guildService.syncPlayer(message.targetWallet, null);
+                        evictFromHall(guildService, transferPlayerRoom, message.targetWallet);
+                    }
+                }
+            } catch (error) {
+                console.error(`🛡️ Error in ${message.type}:`, error);
+                sendGuildResult(sendToPlayer, playerId, action, { error: 'SERVER_ERROR', message: 'Guild action failed' });
+            }
+            return true;
+        }
+
+        case 'guild_set_motd': {
+            try {
+                const result = await guildService.setMotd(player.walletAddress, message.motd);
+                sendGuildResult(sendToPlayer, playerId, 'set_motd', result);
+                if (result.success) {
+                    await guildService.syncMembers(result.guild);
+                }
+            } catch (error) {
+                console.error('🛡️ Error in guild_set_motd:', error);
+            }
+            return true;
+        }
+
+        case 'guild_leave': {
+            try {
+                const result = await guildService.leave(player.walletAddress);
+                sendGuildResult(sendToPlayer, playerId, 'leave', result);
+                if (result.success) {
+                    await guildService.syncPlayer(player.walletAddress, null);
+                    if (result.guild) {
+                        await guildService.syncMembers(result.guild);
+                    }
+                    evictFromHall(guildService, transferPlayerRoom, player.walletAddress);
+                }
+            } catch (error) {
+                console.error('🛡️ Error in guild_leave:', error);
+                sendGuildResult(sendToPlayer, playerId, 'leave', { error: 'SERVER_ERROR', message: 'Failed to leave guild' });
+            }
+            return true;
+        }
+
+        case 'guild_disband': {
+            try {
+                const result = await guildService.disband(player.walletAddress);
+                sendGuildResult(sendToPlayer, playerId, 'disband', result);
+                if (result.success) {
+                    for (const wallet of result.formerMembers) {
+                        await guildService.syncPlayer(wallet, null);
+                        evictFromHall(guildService, transferPlayerRoom, wallet, result.guildId);
+                    }
+                }
+            } catch (error) {
+                console.error('🛡️ Error in guild_disband:', error);
+                sendGuildResult(sendToPlayer, playerId, 'disband', { error: 'SERVER_ERROR', message: 'Failed to disband guild' });
+            }
+            return true;
+        }
+
+        // ==================== GUILD HALL ====================
+        case 'guild_hall_enter': {
+            if (!player.guildId) {
+                sendGuildResult(sendToPlayer, playerId, 'hall_enter', { error: 'NOT_IN_GUILD', message: 'You are not in a guild' });
+                return true;
+            }
+            const hallRoom = guildHallRoomId(player.guildId);
+            if (player.room !== hallRoom) {
+                await transferPlayerRoom(playerId, hallRoom, GUILD_HALL_SPAWN);
+            }
+            return true;
+        }
+
+        case 'guild_hall_leave': {
+            if (parseGuildHallRoomId(player.room)) {
+                await transferPlayerRoom(playerId, WORLD_SPAWN_ROOM, { x: WORLD_SPAWN.x, y: 0, z: WORLD_SPAWN.z });
+            }
+            return true;
+        }
+
+        default:
+            return false;
+    }
+}
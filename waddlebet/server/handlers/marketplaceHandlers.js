@@ -4,12 +4,94 @@
  * All trades in Pebbles (premium currency)
  * 
  * Features real-time updates - all players see new listings instantly
+ * Buy orders (bids) fill automatically against listings; both sides are notified per fill
  */
 
 import marketplaceService from '../services/MarketplaceService.js';
 import OwnedCosmetic from '../db/models/OwnedCosmetic.js';
 import User from '../db/models/User.js';
 
+/**
+ * Send a fresh cosmetic inventory page to a player (after they receive an item)
+ */
+async function sendInventoryRefresh(sendToPlayer, targetPlayerId, walletAddress) {
+    try {
+        const inventory = await OwnedCosmetic.getFullInventory(walletAddress, {
+            page: 1,
+            limit: 50
+        });
+        
+        const user = await User.findOne({ walletAddress });
+        
+        sendToPlayer(targetPlayerId, {
+            type: 'inventory_data',
+            items: inventory.items,
+            total: inventory.total,
+            page: inventory.page,
+            hasMore: inventory.hasMore,
+            maxSlots: user?.maxInventorySlots || 150,
+            upgradeInfo: user?.getInventoryUpgradeInfo() || null
+        });
+    } catch (inventoryError) {
+        console.error('🏪 Error refreshing inventory after buy order fill:', inventoryError);
+    }
+}
+
+/**
+ * Tell everyone about one buy order fill: listing gone, sale announced, seller paid
+ * (The buyer is told separately - they may be the one who placed the order.)
+ */
+async function broadcastOrderFill(fill, sendToPlayer, broadcastToAll, getPlayerByWallet, publishChatMessage) {
+    broadcastToAll({
+        type: 'market_listing_removed',
+        listingId: fill.listingId,
+        reason: 'sold'
+    });
+    
+    broadcastToAll({
+        type: 'market_announcement',
+        announcement: {
+            event: 'sale',
+            itemName: fill.itemName || 'Unknown Item',
+            rarity: fill.rarity || 'common',
+            price: fill.price,
+            buyerUsername: fill.buyerUsername || 'Someone'
+        }
+    });
+    
+    if (publishChatMessage) {
+        await publishChatMessage({
+            channel: 'market',
+            scopeKey: 'market',
+            senderId: 'market',
+            senderName: '🏪 Market',
+            text: `💰 ${fill.buyerUsername || 'Someone'}'s buy order filled: ${fill.itemName || 'Unknown Item'} for ${fill.price?.toLocaleString()} Pebbles!`,
+            metadata: {
+                event: 'sale',
+                itemName: fill.itemName,
+                rarity: fill.rarity,
+                price: fill.price,
+                buyerUsername: fill.buyerUsername
+            }
+        });
+    }
+    
+    const sellerPlayer = getPlayerByWallet?.(fill.sellerWallet);
+    if (sellerPlayer) {
+        sendToPlayer(sellerPlayer.id, {
+            type: 'pebbles_update',
+            pebbles: fill.sellerNewPebbles
+        });
+        sendToPlayer(sellerPlayer.id, {
+            type: 'market_item_sold',
+            itemName: fill.itemName,
+            price: fill.price,
+            buyerUsername: fill.buyerUsername || 'Someone',
+            newPebbles: fill.sellerNewPebbles
+        });
+    }
+}
+
 /**
  * Handle marketplace-related messages
  * @param {string} playerId - Player ID
@@ -122,8 +204,39 @@ export async function handleMarketplaceMessage(playerId, player, message, sendTo
                     ...result
                 });
                 
+                // Sold straight into a buy order: seller is paid now, buyer gets the item
+                if (result.success && result.matched) {
+                    const fill = result.matched;
+                    await broadcastOrderFill(fill, sendToPlayer, broadcastToAll, getPlayerByWallet, publishChatMessage);
+                    
+                    const buyerPlayer = getPlayerByWallet?.(fill.buyerWallet);
+                    if (buyerPlayer) {
+                        sendToPlayer(buyerPlayer.id, {
+                            type: 'pebbles_update',
+                            pebbles: fill.buyerNewPebbles
+                        });
+                        sendToPlayer(buyerPlayer.id, {
+                            type: 'market_order_filled',
+                            orderId: fill.orderId,
+                            templateId: fill.templateId,
+                            itemName: fill.itemName,
+                            price: fill.price,
+                            refund: fill.refund,
+                            sellerUsername: fill.sellerUsername
+                        });
+                        await sendInventoryRefresh(sendToPlayer, buyerPlayer.id, fill.buyerWallet);
+                    }
+                    
+                    broadcastToAll({
+                        type: 'market_order_book_changed',
+                        templateId: fill.templateId
+                    });
+                    
+                    console.log(`🏪 ${fill.itemName} listed by ${fill.sellerUsername} filled ${fill.buyerUsername}'s bid at ${fill.price}`);
+                }
+                
                 // If successful, broadcast to ALL players for real-time updates
-                if (result.success && result.listing) {
+                else if (result.success && result.listing) {
                     const listing = result.listing;
                     
                     // Broadcast new listing to all connected players
@@ -390,6 +503,190 @@ export async function handleMarketplaceMessage(playerId, player, message, sendTo
             return true;
         }
         
+        // ==================== PLACE BUY ORDER ====================
+        case 'market_place_order': {
+            try {
+                if (!player.isAuthenticated || !player.walletAddress) {
+                    sendToPlayer(playerId, {
+                        type: 'market_order_result',
+                        success: false,
+                        error: 'NOT_AUTHENTICATED',
+                        message: 'Please connect your wallet to place buy orders'
+                    });
+                    return true;
+                }
+                
+                const { templateId, maxPrice, quantity } = message;
+                
+                if (!templateId || !maxPrice) {
+                    sendToPlayer(playerId, {
+                        type: 'market_order_result',
+                        success: false,
+                        error: 'MISSING_PARAMS',
+                        message: 'Item and price required'
+                    });
+                    return true;
+                }
+                
+                const result = await marketplaceService.placeBuyOrder(
+                    player.walletAddress,
+                    templateId,
+                    maxPrice,
+                    quantity ?? 1
+                );
+                
+                sendToPlayer(playerId, {
+                    type: 'market_order_result',
+                    ...result
+                });
+                
+                if (result.success) {
+                    sendToPlayer(playerId, {
+                        type: 'pebbles_update',
+                        pebbles: result.newPebbleBalance
+                    });
+                    
+                    for (const fill of result.fills) {
+                        await broadcastOrderFill(fill, sendToPlayer, broadcastToAll, getPlayerByWallet, publishChatMessage);
+                    }
+                    if (result.fills.length > 0) {
+                        await sendInventoryRefresh(sendToPlayer, playerId, player.walletAddress);
+                    }
+                    
+                    // Order books on open clients may have moved
+                    broadcastToAll({
+                        type: 'market_order_book_changed',
+                        templateId
+                    });
+                }
+                
+            } catch (error) {
+                console.error('🏪 Error in market_place_order:', error);
+                sendToPlayer(playerId, {
+                    type: 'market_order_result',
+                    success: false,
+                    error: 'SERVER_ERROR',
+                    message: 'Failed to place buy order'
+                });
+            }
+            return true;
+        }
+        
+        // ==================== CANCEL BUY ORDER ====================
+        case 'market_cancel_order': {
+            try {
+                if (!player.isAuthenticated || !player.walletAddress) {
+                    sendToPlayer(playerId, {
+                        type: 'market_order_closed',
+                        success: false,
+                        error: 'NOT_AUTHENTICATED',
+                        message: 'Please connect your wallet'
+                    });
+                    return true;
+                }
+                
+                const { orderId } = message;
+                
+                if (!orderId) {
+                    sendToPlayer(playerId, {
+                        type: 'market_order_closed',
+                        success: false,
+                        error: 'MISSING_ID',
+                        message: 'Order ID required'
+                    });
+                    return true;
+                }
+                
+                const result = await marketplaceService.cancelBuyOrder(player.walletAddress, orderId);
+                
+                sendToPlayer(playerId, {
+                    type: 'market_order_closed',
+                    reason: 'cancelled',
+                    orderId,
+                    itemName: result.order?.itemSnapshot?.name,
+                    ...result
+                });
+                
+                if (result.success) {
+                    sendToPlayer(playerId, {
+                        type: 'pebbles_update',
+                        pebbles: result.newPebbleBalance
+                    });
+                    broadcastToAll({
+                        type: 'market_order_book_changed',
+                        templateId: result.order.templateId
+                    });
+                }
+                
+            } catch (error) {
+                console.error('🏪 Error in market_cancel_order:', error);
+                sendToPlayer(playerId, {
+                    type: 'market_order_closed',
+                    success: false,
+                    error: 'SERVER_ERROR',
+                    message: 'Failed to cancel buy order'
+                });
+            }
+            return true;
+        }
+        
+        // ==================== GET MY BUY ORDERS ====================
+        case 'market_my_orders': {
+            try {
+                if (!player.isAuthenticated || !player.walletAddress) {
+                    sendToPlayer(playerId, {
+                        type: 'market_my_orders',
+                        orders: [],
+                        error: 'NOT_AUTHENTICATED'
+                    });
+                    return true;
+                }
+                
+                const orders = await marketplaceService.getUserBuyOrders(player.walletAddress);
+                
+                sendToPlayer(playerId, {
+                    type: 'market_my_orders',
+                    orders
+                });
+                
+            } catch (error) {
+                console.error('🏪 Error in market_my_orders:', error);
+                sendToPlayer(playerId, {
+                    type: 'market_my_orders',
+                    orders: [],
+                    error: 'Failed to fetch buy orders'
+                });
+            }
+            return true;
+        }
+        
+        // ==================== GET ORDER BOOK FOR ITEM ====================
+        case 'market_order_book': {
+            try {
+                const { templateId } = message;
+                
+                if (!templateId) {
+                    sendToPlayer(playerId, {
+                        type: 'market_order_book',
+                        error: 'MISSING_ID',
+                        message: 'Template ID required'
+                    });
+                    return true;
+                }
+                
+                const book = await marketplaceService.getOrderBook(templateId);
+                
+                sendToPlayer(playerId, {
+                    type: 'market_order_book',
+                    ...book
+                });
+                
+            } catch (error) {
+                console.error('🏪 Error in market_order_book:', error);
+            }
+            return true;
+        }
+        
         // ==================== GET MY LISTINGS ====================
         case 'market_my_listings': {
             try {
@@ -498,6 +795,49 @@ export async function handleMarketplaceMessage(playerId, player, message, sendTo
             return true;
         }
         
+        // ==================== GET ITEM ANALYTICS (CHART) ====================
+        case 'market_item_analytics': {
+            try {
+                const { templateId, interval } = message;
+                
+                if (!templateId) {
+                    sendToPlayer(playerId, {
+                        type: 'market_item_analytics',
+                        error: 'MISSING_ID',
+                        message: 'Template ID required'
+                    });
+                    return true;
+                }
+                
+                const analytics = await marketplaceService.getItemAnalytics(templateId, interval);
+                
+                sendToPlayer(playerId, {
+                    type: 'market_item_analytics',
+                    ...analytics
+                });
+                
+            } catch (error) {
+                console.error('🏪 Error in market_item_analytics:', error);
+            }
+            return true;
+        }
+        
+        // ==================== GET MARKET OVERVIEW ====================
+        case 'market_overview': {
+            try {
+                const overview = await marketplaceService.getMarketOverview();
+                
+                sendToPlayer(playerId, {
+                    type: 'market_overview',
+                    ...overview
+                });
+                
+            } catch (error) {
+                console.error('🏪 Error in market_overview:', error);
+            }
+            return true;
+        }
+        
         // ==================== GET MARKET STATS ====================
         case 'market_stats': {
             try {
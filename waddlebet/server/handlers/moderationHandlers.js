@@ -0,0 +1,122 @@
+/**
+ * Moderation WebSocket Message Handlers
+ * `report_player` for everyone; `mod_*` queue review and movement flags for admins and moderators only.
+ */
+
+/**
+ * Handle report / moderator queue messages
+ * @param {string} playerId - Player ID
+ * @param {Object} player - Player state object
+ * @param {Object} message - The message
+ * @param {Function} sendToPlayer - Send message to specific player
+ * @param {import('../services/ModerationService.js').default} moderationService
+ * @param {Function} getPlayerById - Get online player state by session id
+ * @param {Function} isPlayerStaff - async (player) => true for admins / moderators (checked against the DB)
+ * @param {import('../services/MovementValidator.js').default} movementValidator
+ * @returns {boolean} - True if message was handled
+ */
+export async function handleModerationMessage(playerId, player, message, sendToPlayer, moderationService, getPlayerById, isPlayerStaff, movementValidator) {
+    if (message.type !== 'report_player' && !message.type?.startsWith('mod_')) return false;
+
+    switch (message.type) {
+        // ==================== REPORTS ====================
+        case 'report_player': {
+            try {
+                const online = getPlayerById(message.targetPlayerId);
+                const target = online?.walletAddress
+                    ? { walletAddress: online.walletAddress, name: online.name }
+                    : null;
+                const reporter = player.isAuthenticated
+                    ? { walletAddress: player.walletAddress, name: player.name, room: player.room }
+                    : null;
+
+                const result = await moderationService.submitReport(reporter, target, message.reason, message.details);
+                sendToPlayer(playerId, {
+                    type: 'report_result',
+                    success: result.success,
+                    error: result.error || null,
+                    message: result.success
+                        ? `Thanks — your report on ${target.name} was sent to the moderators`
+                        : result.message
+                });
+            } catch (error) {
+                console.error('🚩 Error in report_player:', error);
+                sendToPlayer(playerId, {
+                    type: 'report_result',
+                    success: false,
+                    error: 'SERVER_ERROR',
+                    message: 'Failed to send report'
+                });
+            }
+            return true;
+        }
+
+        // ==================== MODERATOR QUEUE ====================
+        case 'mod_get_queue':
+        case 'mod_resolve_report': {
+            if (!(await isPlayerStaff(player))) {
+                sendToPlayer(playerId, {
+                    type: 'mod_result',
+                    success: false,
+                    error: 'NOT_PERMITTED',
+                    message: 'Moderators only'
+                });
+                return true;
+            }
+
+            try {
+                if (message.type === 'mod_resolve_report') {
+                    const durationMinutes = message.durationMinutes == null ? null : Number(message.durationMinutes);
+                    const result = await moderationService.resolveReport(
+                        message.reportId,
+                        { walletAddress: player.walletAddress, name: player.name },
+                        message.action,
+                        { durationMinutes, note: message.note }
+                    );
+                    sendToPlayer(playerId, {
+                        type: 'mod_result',
+                        success: result.success,
+                        error: result.error || null,
+                        message: result.success
+                            ? `Report on ${result.report.targetName} resolved (${message.action})`
+                            : result.message,
+                        reportId: message.reportId
+                    });
+                }
+
+                const queue = await moderationService.getQueue(message.status);
+                sendToPlayer(playerId, { type: 'mod_queue', status: message.status === 'resolved' ? 'resolved' : 'open', ...queue });
+            } catch (error) {
+                console.error(`🚩 Error in ${message.type}:`, error);
+                sendToPlayer(playerId, {
+                    type: 'mod_result',
+                    success: false,
+                    error: 'SERVER_ERROR',
+                    message: 'Moderation request failed'
+                });
+            }
+            return true;
+        }
+
+        // ==================== MOVEMENT FLAGS ====================
+        case 'mod_get_movement_flags': {
+            if (!(await isPlayerStaff(player))) {
+                sendToPlayer(playerId, {
+                    type: 'mod_result',
+                    success: false,
+                    error: 'NOT_PERMITTED',
+                    message: 'Moderators only'
+                });
+                return true;
+            }
+            sendToPlayer(playerId, {
+                type: 'mod_movement_flags',
+                accounts: movementValidator.getFlaggedAccounts({ flaggedOnly: !!message.flaggedOnly })
+            });
+            return true;
+        }
+
+        default:
+            return false;
+    }
+}
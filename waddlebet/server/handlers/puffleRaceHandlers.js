@@ -0,0 +1,63 @@
+/**
+ * Puffle Race WebSocket Message Handlers
+ * Lobby join / leave and state requests. Race progress (`puffle_race_state`) is broadcast to the
+ * room by PuffleRaceService; personal outcomes arrive as `puffle_race_finished` / `puffle_race_cancelled`.
+ */
+
+function sendRaceResult(sendToPlayer, playerId, action, result) {
+    sendToPlayer(playerId, {
+        type: 'puffle_race_result',
+        action,
+        success: !!result.success,
+        error: result.error || null,
+        message: result.message || null,
+        newBalance: result.newBalance ?? null
+    });
+}
+
+/**
+ * Handle puffle race messages
+ * @param {string} playerId - Player ID
+ * @param {Object} player - Player state object
+ * @param {Object} message - The message
+ * @param {Function} sendToPlayer - Send message to specific player
+ * @param {import('../services/PuffleRaceService.js').default} puffleRaceService
+ * @returns {boolean} - True if message was handled
+ */
+export async function handlePuffleRaceMessage(playerId, player, message, sendToPlayer, puffleRaceService) {
+    if (!message.type?.startsWith('puffle_race_')) return false;
+
+    switch (message.type) {
+        // ==================== STATE ====================
+        case 'puffle_race_get_state': {
+            puffleRaceService.sendStateToPlayer(playerId, player.room);
+            return true;
+        }
+
+        // ==================== LOBBY ====================
+        case 'puffle_race_join': {
+            try {
+                const result = await puffleRaceService.join(player, message.entryFee);
+                sendRaceResult(sendToPlayer, playerId, 'join', result);
+            } catch (error) {
+                console.error('🏁 Error in puffle_race_join:', error);
+                sendRaceResult(sendToPlayer, playerId, 'join', { error: 'SERVER_ERROR', message: 'Could not enter the race' });
+            }
+            return true;
+        }
+
+        case 'puffle_race_leave': {
+            try {
+                const result = await puffleRaceService.leave(player.walletAddress);
+                sendRaceResult(sendToPlayer, playerId, 'leave', result);
+            } catch (error) {
+                console.error('🏁 Error in puffle_race_leave:', error);
+                sendRaceResult(sendToPlayer, playerId, 'leave', { error: 'SERVER_ERROR', message: 'Could not leave the race' });
+            }
+            return true;
+        }
+
+        default:
+            return false;
+    }
+}
@@ -0,0 +1,64 @@
+/**
+ * Snowball Fight WebSocket Message Handlers
+ * Team join / leave and state requests. The scoreboard (`snowball_fight_state`) and hits
+ * (`snowball_fight_hit`) are broadcast to the room by SnowballFightService; each fighter's
+ * outcome arrives as `snowball_fight_finished`. Throws still arrive as `snowball_throw`.
+ */
+
+function sendFightResult(sendToPlayer, playerId, action, result) {
+    sendToPlayer(playerId, {
+        type: 'snowball_fight_result',
+        action,
+        success: !!result.success,
+        error: result.error || null,
+        message: result.message || null,
+        team: result.team || null
+    });
+}
+
+/**
+ * Handle snowball fight messages
+ * @param {string} playerId - Player ID
+ * @param {Object} player - Player state object
+ * @param {Object} message - The message
+ * @param {Function} sendToPlayer - Send message to specific player
+ * @param {import('../services/SnowballFightService.js').default} snowballFightService
+ * @returns {boolean} - True if message was handled
+ */
+export async function handleSnowballFightMessage(playerId, player, message, sendToPlayer, snowballFightService) {
+    if (!message.type?.startsWith('snowball_fight_')) return false;
+
+    switch (message.type) {
+        // ==================== STATE ====================
+        case 'snowball_fight_get_state': {
+            snowballFightService.sendStateToPlayer(playerId, player.room);
+            return true;
+        }
+
+        // ==================== TEAMS ====================
+        case 'snowball_fight_join': {
+            try {
+                const result = snowballFightService.join(player, { team: message.team, mode: message.mode });
+                sendFightResult(sendToPlayer, playerId, 'join', result);
+            } catch (error) {
+                console.error('❄️ Error in snowball_fight_join:', error);
+                sendFightResult(sendToPlayer, playerId, 'join', { error: 'SERVER_ERROR', message: 'Could not join the fight' });
+            }
+            return true;
+        }
+
+        case 'snowball_fight_leave': {
+            try {
+                const result = await snowballFightService.leave(playerId);
+                sendFightResult(sendToPlayer, playerId, 'leave', result);
+            } catch (error) {
+                console.error('❄️ Error in snowball_fight_leave:', error);
+                sendFightResult(sendToPlayer, playerId, 'leave', { error: 'SERVER_ERROR', message: 'Could not leave the fight' });
+            }
+            return true;
+        }
+
+        default:
+            return false;
+    }
+}
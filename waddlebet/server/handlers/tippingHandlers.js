@@ -13,9 +13,10 @@ import tippingService from '../services/TippingService.js';
  * @param {Function} sendToPlayer - Send message to specific player
  * @param {Function} getPlayerById - Get player by ID
  * @param {Function} getPlayerByWallet - Get player by wallet address
+ * @param {Function} [isBlockedBetween] - async (walletA, walletB) => true if either side blocked the other
  * @returns {boolean} - True if message was handled
  */
-export async function handleTippingMessage(playerId, player, message, sendToPlayer, getPlayerById, getPlayerByWallet) {
+export async function handleTippingMessage(playerId, player, message, sendToPlayer, getPlayerById, getPlayerByWallet, isBlockedBetween = null) {
     switch (message.type) {
         // ==================== GET PLAYER INFO FOR TIPPING ====================
         case 'tip_get_player_info': {
@@ -43,6 +44,15 @@ export async function handleTippingMessage(playerId, player, message, sendToPlay
                     return true;
                 }
                 
+                if (await isBlockedBetween?.(player.walletAddress, targetPlayer.walletAddress)) {
+                    sendToPlayer(playerId, {
+                        type: 'tip_player_info',
+                        error: 'BLOCKED',
+                        message: 'You cannot tip this player'
+                    });
+                    return true;
+                }
+                
                 const userInfo = await tippingService.getUserInfo(targetPlayer.walletAddress);
                 
                 sendToPlayer(playerId, {
@@ -83,6 +93,16 @@ export async function handleTippingMessage(playerId, player, message, sendToPlay
                     return true;
                 }
                 
+                if (await isBlockedBetween?.(player.walletAddress, recipientWallet)) {
+                    sendToPlayer(playerId, {
+                        type: 'tip_result',
+                        success: false,
+                        error: 'BLOCKED',
+                        message: 'You cannot tip this player'
+                    });
+                    return true;
+                }
+                
                 // Must have payment payload
                 if (!paymentPayload) {
                     sendToPlayer(playerId, {
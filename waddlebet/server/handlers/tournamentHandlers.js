@@ -0,0 +1,110 @@
+/**
+ * Tournament WebSocket Message Handlers
+ * Listing, hosting and registration. Bracket progress (`tournament_update`) is broadcast to everyone
+ * by TournamentService; personal notices (match called, knocked out, prizes, refunds) arrive as
+ * `tournament_notice`, and bracket matches themselves start with the usual `match_start`.
+ */
+
+function sendTournamentResult(sendToPlayer, playerId, action, result) {
+    sendToPlayer(playerId, {
+        type: 'tournament_result',
+        action,
+        success: !!result.success,
+        error: result.error || null,
+        message: result.message || null,
+        tournamentId: result.tournamentId || null,
+        currency: result.currency || null,
+        newBalance: result.newBalance ?? null
+    });
+}
+
+/**
+ * Handle tournament messages
+ * @param {string} playerId - Player ID
+ * @param {Object} player - Player state object
+ * @param {Object} message - The message
+ * @param {Function} sendToPlayer - Send message to specific player
+ * @param {import('../services/TournamentService.js').default} tournamentService
+ * @returns {boolean} - True if message was handled
+ */
+export async function handleTournamentMessage(playerId, player, message, sendToPlayer, tournamentService) {
+    if (!message.type?.startsWith('tournament_')) return false;
+
+    switch (message.type) {
+        // ==================== LIST ====================
+        case 'tournament_list_get': {
+            sendToPlayer(playerId, {
+                type: 'tournament_list',
+                tournaments: tournamentService.listTournaments()
+            });
+            return true;
+        }
+
+        // ==================== HOSTING ====================
+        case 'tournament_create': {
+            try {
+                const result = await tournamentService.createTournament(player, {
+                    name: message.name,
+                    gameType: message.gameType,
+                    currency: message.currency,
+                    entryFee: message.entryFee,
+                    maxEntrants: message.maxEntrants,
+                    startsInMs: message.startsInMs
+                });
+                sendTournamentResult(sendToPlayer, playerId, 'create', result);
+            } catch (error) {
+                console.error('🏆 Error in tournament_create:', error);
+                sendTournamentResult(sendToPlayer, playerId, 'create', { error: 'SERVER_ERROR', message: 'Could not create the tournament' });
+            }
+            return true;
+        }
+
+        case 'tournament_start': {
+            try {
+                const result = await tournamentService.startEarly(player.walletAddress, message.tournamentId);
+                sendTournamentResult(sendToPlayer, playerId, 'start', result);
+            } catch (error) {
+                console.error('🏆 Error in tournament_start:', error);
+                sendTournamentResult(sendToPlayer, playerId, 'start', { error: 'SERVER_ERROR', message: 'Could not start the tournament' });
+            }
+            return true;
+        }
+
+        case 'tournament_cancel': {
+            try {
+                const result = await tournamentService.cancel(player.walletAddress, message.tournamentId);
+                sendTournamentResult(sendToPlayer, playerId, 'cancel', result);
+            } catch (error) {
+                console.error('🏆 Error in tournament_cancel:', error);
+                sendTournamentResult(sendToPlayer, playerId, 'cancel', { error: 'SERVER_ERROR', message: 'Could not cancel the tournament' });
+            }
+            return true;
+        }
+
+        // ==================== REGISTRATION ====================
+        case 'tournament_join': {
+            try {
+                const result = await tournamentService.register(player, message.tournamentId);
+                sendTournamentResult(sendToPlayer, playerId, 'join', result);
+            } catch (error) {
+                console.error('🏆 Error in tournament_join:', error);
+                sendTournamentResult(sendToPlayer, playerId, 'join', { error: 'SERVER_ERROR', message: 'Could not register' });
+            }
+            return true;
+        }
+
+        case 'tournament_leave': {
+            try {
+                const result = await tournamentService.unregister(player.walletAddress, message.tournamentId);
+                sendTournamentResult(sendToPlayer, playerId, 'leave', result);
+            } catch (error) {
+                console.error('🏆 Error in tournament_leave:', error);
+                sendTournamentResult(sendToPlayer, playerId, 'leave', { error: 'SERVER_ERROR', message: 'Could not withdraw' });
+            }
+            return true;
+        }
+
+        default:
+            return false;
+    }
+}
@@ -0,0 +1,76 @@
+/**
+ * Trade WebSocket Message Handlers
+ * Requesting, answering, filling and confirming a player-to-player trade window.
+ * Window contents arrive as `trade_state` and the end of a trade as `trade_closed`, both from
+ * TradeService; this only replies with `trade_error` when an action is rejected.
+ */
+
+function sendTradeError(sendToPlayer, playerId, action, result) {
+    sendToPlayer(playerId, {
+        type: 'trade_error',
+        action,
+        error: result.error || 'SERVER_ERROR',
+        message: result.message || null
+    });
+}
+
+/**
+ * Handle trade messages
+ * @param {string} playerId - Player ID
+ * @param {Object} player - Player state object
+ * @param {Object} message - The message
+ * @param {Function} sendToPlayer - Send message to specific player
+ * @param {import('../services/TradeService.js').default} tradeService
+ * @param {Function} getPlayerById - (id) => player with `id`, or null
+ * @param {Function} [isBlockedBetween] - async (walletA, walletB) => true if either side blocked the other
+ * @returns {boolean} - True if message was handled
+ */
+export async function handleTradeMessage(playerId, player, message, sendToPlayer, tradeService, getPlayerById, isBlockedBetween = null) {
+    if (!message.type?.startsWith('trade_')) return false;
+
+    const action = message.type.replace('trade_', '');
+    if (!player.walletAddress) {
+        sendTradeError(sendToPlayer, playerId, action, { error: 'NOT_AUTHENTICATED', message: 'Sign in with a wallet to trade' });
+        return true;
+    }
+
+    try {
+        let result;
+        switch (message.type) {
+            case 'trade_request': {
+                const target = getPlayerById?.(message.targetPlayerId);
+                if (target?.walletAddress && await isBlockedBetween?.(player.walletAddress, target.walletAddress)) {
+                    result = { error: 'BLOCKED', message: 'You cannot trade with this player' };
+                    break;
+                }
+                result = tradeService.requestTrade(player, target);
+                if (result.success) {
+                    sendToPlayer(playerId, { type: 'trade_state', trade: result.trade, error: null });
+                }
+                break;
+            }
+            case 'trade_respond':
+                result = tradeService.respond(player.walletAddress, message.tradeId, message.accept === true);
+                break;
+            case 'trade_set_offer':
+                result = await tradeService.setOffer(player.walletAddress, message.tradeId, {
+                    items: message.items,
+                    gold: message.gold ?? 0
+                });
+                break;
+            case 'trade_confirm':
+                result = await tradeService.confirm(player.walletAddress, message.tradeId);
+                break;
+            case 'trade_cancel':
+                result = tradeService.cancel(player.walletAddress, message.tradeId);
+                break;
+            default:
+                return false;
+        }
+        if (result?.error) sendTradeError(sendToPlayer, playerId, action, result);
+    } catch (error) {
+        console.error(`🤝 Error in ${message.type}:`, error);
+        sendTradeError(sendToPlayer, playerId, action, { error: 'SERVER_ERROR', message: 'Trade failed' });
+    }
+    return true;
+}
@@ -38,12 +38,24 @@ import { handleIglooMessage } from './handlers/iglooHandlers.js';
 import { handleTippingMessage } from './handlers/tippingHandlers.js';
 import { handleMarketplaceMessage } from './handlers/marketplaceHandlers.js';
 import { getHelpLines, isHelpCommand, isClientOnlyCommand, parseWarpCommand, getWarpTargetMeta, getWarpTargets } from './utils/chatCommands.js';
+import chatFilter from './utils/chatFilter.js';
 import { handleGiftMessage } from './handlers/giftHandlers.js';
+import { handleGuildMessage } from './handlers/guildHandlers.js';
+import { handleFriendMessage } from './handlers/friendHandlers.js';
+import { handleBlockMessage } from './handlers/blockHandlers.js';
+import { handleModerationMessage } from './handlers/moderationHandlers.js';
+import { handlePuffleRaceMessage } from './handlers/puffleRaceHandlers.js';
+import { handleSnowballFightMessage } from './handlers/snowballFightHandlers.js';
+import { handleArcadeMessage } from './handlers/arcadeHandlers.js';
+import { handleCraftingMessage } from './handlers/craftingHandlers.js';
+import { handleTournamentMessage } from './handlers/tournamentHandlers.js';
+import { handleTradeMessage } from './handlers/tradeHandlers.js';
 import { WORLD_SPAWN, WORLD_SPAWN_ROOM, isInvalidNightclubPosition } from '../src/config/roomConfig.js';
 import { resolveOverworldSpawn } from '../src/config/overworldSpawn.js';
 import { initializeNFTServices, handleNFTMessage, handleGetImage, handleGetMetadata } from './handlers/nftHandlers.js';
 import nftOwnershipService from './services/NFTOwnershipService.js';
 import rentScheduler from './schedulers/RentScheduler.js';
+import WorldEventScheduler from './schedulers/WorldEventScheduler.js';
 import solanaPaymentService from './services/SolanaPaymentService.js';
 import devBotService, { BOT_CONFIG } from './services/DevBotService.js';
 import nametagTierService from './services/NametagTierService.js';
@@ -54,8 +66,28 @@ import { GOLD_BAG_ITEM_ID, MIN_GOLD_DROP, MAX_GOLD_DROP, isGoldWorldDrop } from
 import ScavengeService from './services/ScavengeService.js';
 import OnboardingQuestService from './services/OnboardingQuestService.js';
 import NpcDailyOrderService from './services/NpcDailyOrderService.js';
+import GuildService from './services/GuildService.js';
+import FriendService from './services/FriendService.js';
+import BlockService from './services/BlockService.js';
+import ModerationService from './services/ModerationService.js';
+import StampService from './services/StampService.js';
+import PuffleRaceService from './services/PuffleRaceService.js';
+import SnowballFightService from './services/SnowballFightService.js';
+import { SNOWBALL_FIGHT_TICK_MS } from './config/snowballFight.js';
+import { POSITION_BATCH_TICK_MS } from './config/interest.js';
+import ArcadeScoreService from './services/ArcadeScoreService.js';
+import CraftingService from './services/CraftingService.js';
+import TournamentService from './services/TournamentService.js';
+import TradeService from './services/TradeService.js';
+import WeatherService from './services/WeatherService.js';
+import MovementValidator from './services/MovementValidator.js';
+import InterestManager from './services/InterestManager.js';
+import WorldEventService from './services/WorldEventService.js';
+import { GUILD_HALL_SPAWN, guildChatScopeKey, parseGuildHallRoomId } from './config/guilds.js';
 import { getNpcDailyOrder } from './config/npcOrders.js';
+import { PARKOUR_ROOM, getClearedParkourStage } from './config/stamps.js';
 import { getScavengeSpot } from './config/scavenge.js';
+import { GUEST_PROGRESS_MESSAGES } from './config/guestAccounts.js';
 import wagerSettlementService from './services/WagerSettlementService.js';
 import evmCustodialWalletService from './services/EvmCustodialWalletService.js';
 import evmPebbleService from './services/EvmPebbleService.js';
@@ -106,6 +138,9 @@ function getDefaultSpawnForRoom(roomId) {
     if (roomId?.startsWith('igloo')) {
         return { x: 0, y: 0, z: 10 };
     }
+    if (parseGuildHallRoomId(roomId)) {
+        return { ...GUILD_HALL_SPAWN };
+    }
     return { x: WORLD_SPAWN.x, y: 0, z: WORLD_SPAWN.z };
 }
 
@@ -415,21 +450,36 @@ const broadcastToRoomAll = (roomId, message) => {
 };
 
 // Broadcast to ALL connected players (for global updates like igloo settings)
-const broadcastToAll = (message) => {
+const broadcastToAll = (message, ...excludeIds) => {
     const data = JSON.stringify(message);
+    const excludeSet = new Set(excludeIds.filter(Boolean));
     for (const [playerId, player] of players) {
+        if (excludeSet.has(playerId)) continue;
         if (player?.ws?.readyState === 1) {
             player.ws.send(data);
         }
     }
 };
 
+/** Online player ids on either side of a block with `walletAddress` (they never see each other's chat) */
+function getBlockedPlayerIds(walletAddress) {
+    const peers = blockService.getBlockedPeers(walletAddress);
+    if (peers.size === 0) return [];
+    const ids = [];
+    for (const [pid, p] of players) {
+        if (p.walletAddress && peers.has(p.walletAddress)) ids.push(pid);
+    }
+    return ids;
+}
+
 /** Persist and broadcast a categorized chat message */
 async function publishChatMessage({
     channel,
     scopeKey,
     roomId = null,
+    guildId = null,
     senderId = 'system',
+    senderWallet = null,
     senderName,
     text,
     metadata = {},
@@ -441,7 +491,9 @@ async function publishChatMessage({
         channel,
         scopeKey,
         roomId,
+        guildId,
         senderId,
+        senderWallet,
         senderName,
         text,
         metadata,
@@ -450,23 +502,28 @@ async function publishChatMessage({
     });
 
     const basePayload = { type: 'chat_message', ...ChatService.toClientPayload(saved) };
+    const blockedIds = getBlockedPlayerIds(senderWallet);
 
     if (targetPlayerIds?.length) {
         for (const pid of targetPlayerIds) {
+            if (blockedIds.includes(pid)) continue;
             const payload = channel === 'whisper'
                 ? { ...basePayload, ...ChatService.toClientPayload(saved, pid) }
                 : basePayload;
             sendToPlayer(pid, payload);
         }
-        if (channel === 'whisper') return saved;
+        if (channel === 'whisper' || channel === 'guild') return saved;
     }
 
+    // Guild chat never falls through to a global broadcast, even with no one online
+    if (channel === 'guild') return saved;
+
     if (channel === 'room' && roomId) {
-        broadcastToRoomAll(roomId, basePayload);
+        broadcastToRoom(roomId, basePayload, ...blockedIds);
         return saved;
     }
 
-    broadcastToAll(basePayload);
+    broadcastToAll(basePayload, ...blockedIds);
     return saved;
 }
 
@@ -477,9 +534,15 @@ async function sendChatHistory(playerId, roomId) {
     const history = await ChatService.getLoginHistory(
         player.walletAddress,
         roomId,
-        player.name
+        player.name,
+        player.guildId || null
+    );
+    const channels = ChatService.formatHistoryForPlayer(
+        history,
+        playerId,
+        player.walletAddress,
+        blockService.getBlockedPeers(player.walletAddress)
     );
-    const channels = ChatService.formatHistoryForPlayer(history, playerId, player.walletAddress);
 
     sendToPlayer(playerId, {
         type: 'chat_history',
@@ -503,6 +566,40 @@ function sendChatFeedback(playerId, text) {
     });
 }
 
+/** Tell a muted player why their message was dropped (client translates it into the local tab) */
+function sendChatMuteFeedback(playerId, chatMute) {
+    sendToPlayer(playerId, {
+        type: 'chat_muted',
+        until: chatMute.until.getTime(),
+        reason: chatMute.reason,
+        attempted: true
+    });
+}
+
+/**
+ * Run a chat/whisper line through the filter pipeline.
+ * Violations count toward an automatic mute; the sender gets a `chat_filtered` notice.
+ * @returns {Promise<string|null>} text to send (possibly masked), or null if it was dropped
+ */
+async function filterChatText(playerId, player, text) {
+    const result = chatFilter.check(text, {
+        key: playerId,
+        isStaff: player.role === 'admin' || player.role === 'moderator'
+    });
+    if (!result.violations.length) return result.text;
+
+    const mutedUntil = await moderationService.recordChatViolation(player);
+    if (!result.allowed || mutedUntil) {
+        sendToPlayer(playerId, {
+            type: 'chat_filtered',
+            code: result.blockedBy || result.violations[0],
+            mutedUntil: mutedUntil ? mutedUntil.getTime() : null
+        });
+        return null;
+    }
+    return result.text;
+}
+
 async function sendChatHelp(playerId, player) {
     let isStaff = false;
     if (player.walletAddress) {
@@ -620,7 +717,11 @@ const wormForageService = new WormForageService(gameInventoryService);
 const worldDropService = new WorldDropService();
 const scavengeService = new ScavengeService(userService);
 const fishingService = new FishingService(userService, gameInventoryService, broadcastToRoom, sendToPlayer, fishingHoleService);
+const weatherService = new WeatherService(broadcastToRoomAll, () => worldTime);
+fishingService.setWeatherService(weatherService);
 const woodcuttingService = new WoodcuttingService(userService, gameInventoryService, forestTreeService, sendToPlayer);
+const movementValidator = new MovementValidator();
+const interestManager = new InterestManager(rooms, (id) => players.get(id), sendToPlayer);
 
 /** Server-initiated room move (travel ferry / transit lobby). */
 async function transferPlayerRoom(playerId, newRoom, position, voyageMeta = null) {
@@ -668,9 +769,11 @@ async function transferPlayerRoom(playerId, newRoom, position, voyageMeta = null
             isAfk: player.isAfk || false,
             afkMessage: player.afkMessage || null,
             isAuthenticated: player.isAuthenticated,
-            role: player.role || null
+            role: player.role || null,
+            ...getNametagTierFields(player)
         }
     }, playerId);
+    interestManager.announce(playerId);
 
     const matchesInNewRoom = matchService.getMatchesInRoom(newRoom);
     sendToPlayer(playerId, {
@@ -685,14 +788,16 @@ async function transferPlayerRoom(playerId, newRoom, position, voyageMeta = null
     sendToPlayer(playerId, {
         type: 'chat_history_room',
         room: newRoom,
-        messages: roomHistory.map((doc) => ChatService.toClientPayload(doc, playerId))
+        messages: ChatService.filterBlocked(roomHistory, blockService.getBlockedPeers(player.walletAddress))
+            .map((doc) => ChatService.toClientPayload(doc, playerId))
     });
 
-    if (voyageMeta?.phase === 'arrived' && player.walletAddress && voyageMeta.routeId) {
-        onboardingQuestService.handleTravelArrival(player.walletAddress, voyageMeta.routeId)
+    const progressWallet = getProgressWallet(player);
+    if (voyageMeta?.phase === 'arrived' && progressWallet && voyageMeta.routeId) {
+        onboardingQuestService.handleTravelArrival(progressWallet, voyageMeta.routeId)
             .catch((err) => console.error('[OnboardingQuest] travel arrival:', err));
         if (voyageMeta.routeId === 'snow_forts_forest') {
-            gameInventoryService.grantForestLoanerAxeIfNeeded(player.walletAddress)
+            gameInventoryService.grantForestLoanerAxeIfNeeded(progressWallet)
                 .then((axeResult) => {
                     if (axeResult?.success && axeResult.inventory) {
                         sendToPlayer(playerId, {
@@ -709,7 +814,37 @@ async function transferPlayerRoom(playerId, newRoom, position, voyageMeta = null
 function getPlayerByWallet(walletAddress) {
     if (!walletAddress) return null;
     for (const player of players.values()) {
-        if (player.walletAddress === walletAddress) return player;
+        if (player.walletAddress === walletAddress || player.guestWallet === walletAddress) return player;
+    }
+    return null;
+}
+
+/** Account that holds this player's progress — their wallet, or their guest account (config/guestAccounts.js) */
+function getProgressWallet(player) {
+    return player?.walletAddress || player?.guestWallet || null;
+}
+
+/**
+ * A guest with a guest session runs allowlisted progress messages as their guest account:
+ * handlers see the guest wallet as player.walletAddress. Writes still land on the real player.
+ */
+function asProgressActor(player, messageType) {
+    if (player.walletAddress || !player.guestWallet || !GUEST_PROGRESS_MESSAGES.has(messageType)) {
+        return player;
+    }
+    return new Proxy(player, {
+        get(target, prop, receiver) {
+            if (prop === 'walletAddress') return target.guestWallet;
+            return Reflect.get(target, prop, receiver);
+        }
+    });
+}
+
+function getPlayerByName(name) {
+    if (typeof name !== 'string' || !name.trim()) return null;
+    const lower = name.trim().toLowerCase();
+    for (const player of players.values()) {
+        if (player.name?.toLowerCase() === lower) return player;
     }
     return null;
 }
@@ -727,6 +862,40 @@ const npcDailyOrderService = new NpcDailyOrderService(
     getPlayerByWallet
 );
 
+const guildService = new GuildService(sendToPlayer, getPlayerByWallet, broadcastToRoom);
+const friendService = new FriendService(sendToPlayer, getPlayerByWallet);
+const blockService = new BlockService(sendToPlayer, getPlayerByWallet, friendService);
+friendService.setBlockService(blockService);
+challengeService.setBlockService(blockService);
+inboxService.setBlockService(blockService);
+const isBlockedBetween = (walletA, walletB) => blockService.isBlockedBetween(walletA, walletB);
+const moderationService = new ModerationService(inboxService, sendToPlayer, getPlayerByWallet, kickBannedPlayer);
+const stampService = new StampService(sendToPlayer, getPlayerByWallet, broadcastToAll);
+fishingService.setStampService(stampService);
+woodcuttingService.setStampService(stampService);
+statsService.setStampService(stampService);
+onboardingQuestService.setStampService(stampService);
+const puffleRaceService = new PuffleRaceService(userService, sendToPlayer, broadcastToRoom, getPlayerByWallet);
+const snowballFightService = new SnowballFightService(statsService, sendToPlayer, broadcastToRoom, (id) => players.get(id));
+const arcadeScoreService = new ArcadeScoreService();
+const craftingService = new CraftingService(userService, gameInventoryService);
+const tournamentService = new TournamentService(userService, matchService, sendToPlayer, broadcastToRoom, broadcastToAll, getPlayerByWallet);
+matchService.setTournamentService(tournamentService);
+const tradeService = new TradeService(gameInventoryService, sendToPlayer, getPlayerByWallet);
+
+const worldEventService = new WorldEventService({
+    userService,
+    publishChatMessage,
+    broadcastToAll,
+    broadcastToRoomAll,
+    sendToPlayer,
+    getPlayerByWallet,
+    forestTreeService
+});
+fishingService.setWorldEventService(worldEventService);
+woodcuttingService.setWorldEventService(worldEventService);
+const worldEventScheduler = new WorldEventScheduler(worldEventService);
+
 const travelService = new TravelService({
     userService,
     gameInventoryService,
@@ -745,9 +914,30 @@ setInterval(() => {
     travelService.tick().catch(err => console.error('[Travel] tick error:', err));
 }, 1000);
 
+setInterval(() => {
+    puffleRaceService.tick().catch(err => console.error('🏁 Puffle race tick error:', err));
+}, 1000);
+
+setInterval(() => {
+    snowballFightService.tick().catch(err => console.error('❄️ Snowball fight tick error:', err));
+}, SNOWBALL_FIGHT_TICK_MS);
+
+setInterval(() => {
+    tournamentService.tick().catch(err => console.error('🏆 Tournament tick error:', err));
+}, 1000);
+
+setInterval(() => {
+    weatherService.tick();
+}, 5000);
+
+setInterval(() => {
+    interestManager.tick();
+}, POSITION_BATCH_TICK_MS);
+
 setInterval(async () => {
-    const regrown = await forestTreeService.tickRegrowth();
-    const matured = await forestTreeService.tickMaturation();
+    const forestGrowthRate = weatherService.getTreeGrowthRate('forest_trails');
+    const regrown = await forestTreeService.tickRegrowth(forestGrowthRate);
+    const matured = await forestTreeService.tickMaturation(forestGrowthRate);
     const changedIds = [...new Set([...regrown, ...matured])];
     if (changedIds.length > 0) {
         const trees = changedIds.map(id => forestTreeService.getTreePublicState(id)).filter(Boolean);
@@ -824,12 +1014,13 @@ function applyHeldItemFromInventory(player, inventory) {
 }
 
 async function resolvePlayerHeldItem(player) {
-    if (!player?.walletAddress) {
+    const progressWallet = getProgressWallet(player);
+    if (!progressWallet) {
         player.heldHotbarItem = null;
         return;
     }
     try {
-        const result = await gameInventoryService.getInventory(player.walletAddress);
+        const result = await gameInventoryService.getInventory(progressWallet);
         if (result.error || !result.inventory) {
             player.heldHotbarItem = null;
             return;
@@ -963,7 +1154,8 @@ if (devBotService.isActive) {
                     { id: match.player2.id, name: match.player2.name, position: match.player2.position }
                 ],
                 gameType: match.gameType,
-                wagerAmount: match.wagerAmount
+                wagerAmount: match.wagerAmount,
+                sideBets: matchService.getSideBetSummary(match)
             }, challenge.challengerId, botId);
             
             console.log(`🎮 Match started: ${match.player1.name} vs ${match.player2.name} (${match.gameType})`);
@@ -1404,6 +1596,7 @@ function cleanupStaleWalletConnection(walletAddress, excludePlayerId = null, cha
             // Cleanup related data
             playerTrailPoints.delete(existingPlayerId);
             playerChatTimestamps.delete(existingPlayerId);
+            chatFilter.forget(existingPlayerId);
             slotService.handleDisconnect(existingPlayerId);
             goldSlotsService.handleDisconnect(existingPlayerId);
             fishingService.handleDisconnect(existingPlayerId);
@@ -1424,6 +1617,11 @@ function cleanupStaleWalletConnection(walletAddress, excludePlayerId = null, cha
 function joinRoom(playerId, roomId) {
     const player = players.get(playerId);
     if (player?.room) {
+        if (player.room !== roomId) {
+            tradeService.handleRoomChange(player.walletAddress);
+            snowballFightService.handleRoomChange(playerId, roomId)
+                .catch(err => console.error('❄️ Snowball fight room change error:', err));
+        }
         const oldRoom = rooms.get(player.room);
         if (oldRoom) {
             oldRoom.delete(playerId);
@@ -1438,6 +1636,8 @@ function joinRoom(playerId, roomId) {
     
     if (player) {
         player.room = roomId;
+        movementValidator.enterRoom(playerId, roomId);
+        interestManager.enterRoom(playerId);
         // Track room change stats if authenticated
         if (player.walletAddress) {
             statsService.recordRoomChange(player.walletAddress, roomId);
@@ -1447,15 +1647,80 @@ function joinRoom(playerId, roomId) {
             clearTimeout(player.ws._roomJoinTimeout);
             player.ws._roomJoinTimeout = null;
         }
+        if (player.walletAddress) {
+            friendService.notifyPresence(player.walletAddress);
+        }
+        puffleRaceService.sendStateToPlayer(playerId, roomId);
+        snowballFightService.sendStateToPlayer(playerId, roomId);
     }
 
     broadcastServerPopulation();
 }
 
+/** Attach guild membership to a freshly authenticated player and push `guild_state`. */
+async function loadPlayerGuild(player) {
+    if (!player?.walletAddress) return;
+    try {
+        const guild = await guildService.getGuildForWallet(player.walletAddress);
+        await guildService.syncPlayer(player.walletAddress, guild);
+    } catch (err) {
+        console.error('🛡️ Failed to load guild:', err.message);
+    }
+}
+
+/** Cache the block list for a freshly authenticated player and push `block_state`. */
+async function loadPlayerBlocks(player) {
+    if (!player?.walletAddress) return;
+    try {
+        await blockService.loadPlayer(player.walletAddress);
+    } catch (err) {
+        console.error('🚫 Failed to load block list:', err.message);
+    }
+}
+
+/** Restore an active moderator chat mute onto a freshly authenticated player. */
+async function loadPlayerChatMute(player) {
+    if (!player?.walletAddress) return;
+    try {
+        await moderationService.loadPlayer(player);
+    } catch (err) {
+        console.error('🚩 Failed to load chat mute:', err.message);
+    }
+}
+
+/** Cache friends for a freshly authenticated player, push `friends_state` and announce them online. */
+async function loadPlayerFriends(player) {
+    if (!player?.walletAddress) return;
+    try {
+        await friendService.loadPlayer(player.walletAddress);
+    } catch (err) {
+        console.error('👥 Failed to load friends:', err.message);
+    }
+}
+
+/**
+ * Server-side gate for rooms a player is moved into directly (join friend):
+ * guild halls are members-only and igloos must be public or owned.
+ */
+async function checkRoomEntry(player, roomId) {
+    if (!(await guildService.canEnterRoom(player.walletAddress, roomId))) {
+        return { allowed: false, message: 'Only guild members can enter that guild hall' };
+    }
+    if (roomId?.startsWith('igloo')) {
+        const igloo = await IglooService.getIglooRaw(roomId);
+        const isOwner = walletsMatch(player.walletAddress, igloo?.ownerWallet);
+        if (igloo && !isOwner && igloo.accessType !== 'public') {
+            return { allowed: false, message: 'That igloo has entry requirements — visit it from the door' };
+        }
+    }
+    return { allowed: true };
+}
+
 function getNametagTierFields(player) {
     return {
         cpBalance: player?.cpBalance ?? 0,
         cpNametagTier: player?.cpNametagTier || 'standard',
+        guildTag: player?.guildTag || null,
     };
 }
 
@@ -1553,11 +1818,21 @@ async function handleMatchPayout(match, winnerId, isDraw = false) {
     _payoutInProgress.add(match.id);
 
     try {
+        // Spectator side bets settle the same way for every kind of match
+        await matchService.settleSideBets(match, isDraw ? null : winnerId);
+
         if (devBotService.isPracticeMatch(match)) {
             console.log(`🤖 Practice match ${match.id} complete — no wager payout or stats`);
             return { practice: true, coinsWon: 0 };
         }
 
+        // Tournament matches carry no wager — the result advances the bracket instead
+        if (match.tournament) {
+            const bracketWinner = isDraw ? null : (winnerId === match.player1.id ? match.player1.wallet : match.player2.wallet);
+            await tournamentService.recordMatchResult(match.tournament, match.id, bracketWinner);
+            if (isDraw) return { refunded: 0, coinsWon: 0 };
+        }
+
         const totalPot = match.wagerAmount * 2;
         let settlementResult = null;
         
@@ -1722,7 +1997,9 @@ wss.on('connection', (ws, req) => {
         isAuthenticated: false,
         walletAddress: null,
         authToken: null,
-        guestCoins: 0,  // Guests can't earn/spend coins
+        guestWallet: null,  // Guest account holding progress until a wallet connects
+        pendingGuestMerge: null,  // Guest account offered for merging after a wallet connect
+        guestCoins: 0,  // Guests without a guest session can't earn/spend coins
         isAlive: true,   // For heartbeat detection
         lastMessageTime: Date.now(), // Track last message for mobile heartbeat fallback
         connectedAt: Date.now()
@@ -1788,6 +2065,8 @@ wss.on('connection', (ws, req) => {
             // End daily bonus session tracking
             if (player.walletAddress) {
                 dailyBonusService.endSession(player.walletAddress);
+                friendService.unloadPlayer(player.walletAddress);
+                blockService.unloadPlayer(player.walletAddress);
             }
             
             // End any PvE activities
@@ -1823,6 +2102,12 @@ wss.on('connection', (ws, req) => {
                         refunded: voidResult.wagerAmount
                     }
                 });
+                
+                // The player who stayed advances in the bracket
+                if (voidResult.tournament) {
+                    const otherWallet = otherId === voidResult.player1Id ? voidResult.player1Wallet : voidResult.player2Wallet;
+                    await tournamentService.recordMatchResult(voidResult.tournament, voidResult.matchId, otherWallet, 'disconnect');
+                }
             }
             
             // Handle challenge disconnect - cancel all pending challenges
@@ -1884,6 +2169,15 @@ wss.on('connection', (ws, req) => {
         players.delete(playerId);
         playerTrailPoints.delete(playerId);
         playerChatTimestamps.delete(playerId);
+        chatFilter.forget(playerId);
+        movementValidator.removePlayer(playerId);
+        interestManager.removePlayer(playerId);
+        puffleRaceService.handlePlayerDisconnect(player?.walletAddress)
+            .catch(err => console.error('🏁 Puffle race disconnect error:', err));
+        snowballFightService.handlePlayerDisconnect(playerId)
+            .catch(err => console.error('❄️ Snowball fight disconnect error:', err));
+        arcadeScoreService.handlePlayerDisconnect(player?.walletAddress);
+        tradeService.handlePlayerDisconnect(player?.walletAddress);
     });
     
     ws.on('error', (error) => {
@@ -1893,8 +2187,9 @@ wss.on('connection', (ws, req) => {
 
 // ==================== MESSAGE HANDLER ====================
 async function handleMessage(playerId, message) {
-    const player = players.get(playerId);
-    if (!player) return;
+    const connectedPlayer = players.get(playerId);
+    if (!connectedPlayer) return;
+    const player = asProgressActor(connectedPlayer, message.type);
     
     
     // Handle igloo messages first (returns true if handled)
@@ -1928,7 +2223,7 @@ async function handleMessage(playerId, message) {
             }
             return null;
         };
-        const handled = await handleTippingMessage(playerId, player, message, sendToPlayer, getPlayerById, getPlayerByWallet);
+        const handled = await handleTippingMessage(playerId, player, message, sendToPlayer, getPlayerById, getPlayerByWallet, isBlockedBetween);
         if (handled) return;
     }
     
@@ -1963,7 +2258,80 @@ async function handleMessage(playerId, message) {
             }
             return null;
         };
-        const handled = await handleGiftMessage(playerId, player, message, sendToPlayer, getPlayerById, getPlayerByWallet);
+        const handled = await handleGiftMessage(playerId, player, message, sendToPlayer, getPlayerById, getPlayerByWallet, isBlockedBetween);
+        if (handled) return;
+    }
+    
+    // Handle guild messages (membership, roles, guild halls)
+    if (message.type?.startsWith('guild_')) {
+        const handled = await handleGuildMessage(playerId, player, message, sendToPlayer, guildService, getPlayerByName, transferPlayerRoom);
+        if (handled) return;
+    }
+    
+    // Handle friend messages (requests, presence, join friend)
+    if (message.type?.startsWith('friend_')) {
+        const isOnVoyage = (id) => !!travelService.getVoyageIdForPlayer(id);
+        const handled = await handleFriendMessage(playerId, player, message, sendToPlayer, friendService, getPlayerByName, isOnVoyage, checkRoomEntry, transferPlayerRoom);
+        if (handled) return;
+    }
+    
+    // Handle block list messages (block / unblock)
+    if (message.type?.startsWith('block_')) {
+        const getPlayerById = (id) => {
+            const p = players.get(id);
+            return p ? { id, ...p } : null;
+        };
+        const handled = await handleBlockMessage(playerId, player, message, sendToPlayer, blockService, friendService, getPlayerById);
+        if (handled) return;
+    }
+    
+    // Handle player reports and the moderator queue
+    if (message.type === 'report_player' || message.type?.startsWith('mod_')) {
+        const getPlayerById = (id) => {
+            const p = players.get(id);
+            return p ? { id, ...p } : null;
+        };
+        const handled = await handleModerationMessage(playerId, player, message, sendToPlayer, moderationService, getPlayerById, isPlayerStaff, movementValidator);
+        if (handled) return;
+    }
+    
+    // Handle puffle race lobby messages
+    if (message.type?.startsWith('puffle_race_')) {
+        const handled = await handlePuffleRaceMessage(playerId, player, message, sendToPlayer, puffleRaceService);
+        if (handled) return;
+    }
+    
+    // Handle snowball fight team messages
+    if (message.type?.startsWith('snowball_fight_')) {
+        const handled = await handleSnowballFightMessage(playerId, player, message, sendToPlayer, snowballFightService);
+        if (handled) return;
+    }
+    
+    // Handle arcade score sessions and leaderboards
+    if (message.type?.startsWith('arcade_')) {
+        const handled = await handleArcadeMessage(playerId, player, message, sendToPlayer, arcadeScoreService);
+        if (handled) return;
+    }
+    
+    // Handle the woodworking bench
+    if (message.type?.startsWith('crafting_')) {
+        const handled = await handleCraftingMessage(playerId, player, message, sendToPlayer, craftingService);
+        if (handled) return;
+    }
+    
+    // Handle bracket tournaments
+    if (message.type?.startsWith('tournament_')) {
+        const handled = await handleTournamentMessage(playerId, player, message, sendToPlayer, tournamentService);
+        if (handled) return;
+    }
+    
+    // Handle player-to-player trade windows
+    if (message.type?.startsWith('trade_')) {
+        const getPlayerById = (id) => {
+            const p = players.get(id);
+            return p ? { id, ...p } : null;
+        };
+        const handled = await handleTradeMessage(playerId, player, message, sendToPlayer, tradeService, getPlayerById, isBlockedBetween);
         if (handled) return;
     }
     
@@ -2139,6 +2507,10 @@ async function handleMessage(playerId, message) {
                 inboxService.associateWallet(canonicalWallet, playerId);
 
                 await nametagTierService.refreshPlayerTier(player);
+                await loadPlayerGuild(player);
+                await loadPlayerBlocks(player);
+                await loadPlayerFriends(player);
+                await loadPlayerChatMute(player);
                 
                 sendToPlayer(playerId, {
                     type: 'auth_success',
@@ -2151,6 +2523,17 @@ async function handleMessage(playerId, message) {
 
                 await sendGameInventorySnapshot(playerId, canonicalWallet);
 
+                // Playing as a guest first? Offer to bring that progress along (guest_merge_accept)
+                if (player.guestWallet) {
+                    const guestWallet = player.guestWallet;
+                    player.guestWallet = null;
+                    const offer = await authService.getGuestMergeOffer(guestWallet, canonicalWallet, normalizedChainId);
+                    if (offer.available) {
+                        player.pendingGuestMerge = guestWallet;
+                    }
+                    sendToPlayer(playerId, { type: 'guest_merge_offer', ...offer });
+                }
+
                 onboardingQuestService.sendStatusToPlayer(playerId, canonicalWallet)
                     .catch((err) => console.error('[OnboardingQuest] auth status:', err));
 
@@ -2395,12 +2778,19 @@ async function handleMessage(playerId, message) {
                 );
             }
             
+            friendService.unloadPlayer(player.walletAddress);
+            blockService.unloadPlayer(player.walletAddress);
+            
             // Reset to guest state
             player.isAuthenticated = false;
             player.walletAddress = null;
             player.chainId = null;
             player.authToken = null;
+            player.pendingGuestMerge = null;
             player.name = generateGuestName();
+            player.guildId = null;
+            player.guildTag = null;
+            player.guildRole = null;
             
             sendToPlayer(playerId, {
                 type: 'auth_logged_out',
@@ -2494,6 +2884,10 @@ async function handleMessage(playerId, message) {
                 await user.save();
                 
                 await nametagTierService.refreshPlayerTier(player);
+                await loadPlayerGuild(player);
+                await loadPlayerBlocks(player);
+                await loadPlayerFriends(player);
+                await loadPlayerChatMute(player);
 
                 // Send restored session response (use async to include gacha cosmetics)
                 sendToPlayer(playerId, {
@@ -2537,6 +2931,96 @@ async function handleMessage(playerId, message) {
             break;
         }
         
+        // ==================== GUEST ACCOUNTS ====================
+        case 'guest_session': {
+            // Wallet players already have an account; one guest account per connection
+            if (player.walletAddress || player.guestWallet) break;
+
+            try {
+                const session = await authService.startGuestSession(message.token || null, player.ip);
+                if (session.error) {
+                    sendToPlayer(playerId, {
+                        type: 'guest_session_failed',
+                        error: session.error,
+                        message: 'Too many new guest accounts from this network — try again later'
+                    });
+                    break;
+                }
+                const guestWallet = session.user.walletAddress;
+                player.guestWallet = guestWallet;
+
+                sendToPlayer(playerId, {
+                    type: 'guest_session',
+                    token: session.token,
+                    resumed: session.resumed
+                });
+                sendToPlayer(playerId, {
+                    type: 'coins_update',
+                    coins: session.user.coins,
+                    isAuthenticated: false
+                });
+
+                await sendGameInventorySnapshot(playerId, guestWallet, 'guest_session');
+
+                onboardingQuestService.sendStatusToPlayer(playerId, guestWallet)
+                    .catch((err) => console.error('[OnboardingQuest] guest status:', err));
+
+                npcDailyOrderService.sendStatusToPlayer(playerId, guestWallet)
+                    .catch((err) => console.error('[DailyQuest] guest status:', err));
+            } catch (error) {
+                console.error('Guest session error:', error);
+                sendToPlayer(playerId, {
+                    type: 'guest_session_failed',
+                    error: 'SERVER_ERROR',
+                    message: 'Could not start a guest session'
+                });
+            }
+            break;
+        }
+
+        case 'guest_merge_accept': {
+            const guestWallet = player.pendingGuestMerge;
+            player.pendingGuestMerge = null;
+            if (!guestWallet || !player.walletAddress) break;
+
+            try {
+                const result = await authService.mergeGuestIntoUser(guestWallet, player.walletAddress, player.chainId || 'solana');
+                sendToPlayer(playerId, {
+                    type: 'guest_merge_result',
+                    success: result.success,
+                    error: result.error || null,
+                    summary: result.summary || null
+                });
+                if (!result.success) break;
+
+                sendToPlayer(playerId, {
+                    type: 'coins_update',
+                    coins: result.user.coins,
+                    isAuthenticated: true
+                });
+                await sendGameInventorySnapshot(playerId, player.walletAddress, 'guest_merge');
+
+                onboardingQuestService.sendStatusToPlayer(playerId, player.walletAddress)
+                    .catch((err) => console.error('[OnboardingQuest] merge status:', err));
+
+                const puffles = await userService.getPuffles(player.walletAddress);
+                sendToPlayer(playerId, { type: 'puffle_list', puffles });
+            } catch (error) {
+                console.error('Guest merge error:', error);
+                sendToPlayer(playerId, {
+                    type: 'guest_merge_result',
+                    success: false,
+                    error: 'SERVER_ERROR'
+                });
+            }
+            break;
+        }
+
+        case 'guest_merge_decline': {
+            player.pendingGuestMerge = null;
+            break;
+        }
+
         // ==================== JOIN/MOVEMENT ====================
         case 'join': {
             try {
@@ -2567,6 +3051,9 @@ async function handleMessage(playerId, message) {
             console.log(`[${ts()}] 📥 Join request: name=${player.name}, characterType=${message.appearance?.characterType || 'none'}, authenticated=${!!player.walletAddress}`);
             
             let roomId = message.room || WORLD_SPAWN_ROOM;
+            if (!(await guildService.canEnterRoom(player.walletAddress, roomId))) {
+                roomId = WORLD_SPAWN_ROOM;
+            }
             joinRoom(playerId, roomId);
             
             let spawnPos = getDefaultSpawnForRoom(roomId);
@@ -2830,6 +3317,7 @@ async function handleMessage(playerId, message) {
                 room: roomId,
                 players: existingPlayers,
                 worldTime,
+                weather: weatherService.getWeather(roomId),
                 coins,
                 isAuthenticated: player.isAuthenticated,
                 userData // Include updated user data (with lastUsernameChangeAt)
@@ -2862,6 +3350,7 @@ async function handleMessage(playerId, message) {
                     ...getNametagTierFields(player),
                 }
             }, playerId);
+            interestManager.announce(playerId);
             
             // Send active matches in room (P2P + PvE all via MatchService)
             const activeMatches = matchService.getMatchesInRoom(roomId);
@@ -2910,6 +3399,11 @@ async function handleMessage(playerId, message) {
                 type: 'world_drops_snapshot',
                 drops: worldDropService.getSnapshot(roomId),
             });
+
+            sendToPlayer(playerId, {
+                type: 'world_events',
+                events: worldEventService.getActiveEvents(player.walletAddress),
+            });
             
             console.log(`[${ts()}] ${player.name} joined ${roomId}${player.isAuthenticated ? ' (authenticated)' : ' (guest)'}`);
             } catch (joinError) {
@@ -2919,14 +3413,26 @@ async function handleMessage(playerId, message) {
         }
         
         case 'move': {
+            // Speed / bounds / collider check — rejected samples rubber-band to the last good position
+            const movement = movementValidator.checkMove(playerId, player, message);
+            if (!movement.accepted) {
+                if (movement.correction) {
+                    sendToPlayer(playerId, {
+                        type: 'position_correction',
+                        position: movement.correction,
+                        reason: movement.reason
+                    });
+                }
+                break;
+            }
+            const position = movement.position;
+
             const posChanged = !player.position || 
-                Math.abs(player.position.x - message.position.x) > 0.01 ||
-                Math.abs(player.position.z - message.position.z) > 0.01 ||
-                Math.abs((player.position.y || 0) - (message.position.y || 0)) > 0.05;
-            const rotChanged = player.rotation === undefined ||
-                Math.abs(player.rotation - message.rotation) > 0.01;
-            
-            player.position = message.position;
+                Math.abs(player.position.x - position.x) > 0.01 ||
+                Math.abs(player.position.z - position.z) > 0.01 ||
+                Math.abs((player.position.y || 0) - position.y) > 0.05;
+
+            player.position = position;
             player.rotation = message.rotation;
             
             if (message.pufflePosition) {
@@ -2959,37 +3465,24 @@ async function handleMessage(playerId, message) {
                 while (trails.length > 0 && (now - trails[0].timestamp) > TRAIL_EXPIRY_MS) trails.shift();
             }
             
-            if ((posChanged || rotChanged) && player.room) {
-                const moveMessage = {
-                    type: 'player_moved',
+            // Other clients get the new position from interestManager's next pos_batch
+            if (posChanged && player.room) {
+                const chopCancel = woodcuttingService.checkPlayerMoved(
                     playerId,
-                    position: player.position,
-                    rotation: player.rotation,
-                    pufflePosition: player.pufflePosition
-                };
-                if (message.trailPoints?.length > 0) {
-                    moveMessage.trailPoints = message.trailPoints;
-                }
-                broadcastToRoom(player.room, moveMessage, playerId);
-
-                if (posChanged) {
-                    const chopCancel = woodcuttingService.checkPlayerMoved(
-                        playerId,
-                        player.position.x,
-                        player.position.z
-                    );
-                    if (chopCancel?.cancelled) {
-                        sendToPlayer(playerId, {
-                            type: 'wood_chop_cancelled',
-                            treeId: chopCancel.treeId,
-                            reason: chopCancel.reason
+                    player.position.x,
+                    player.position.z
+                );
+                if (chopCancel?.cancelled) {
+                    sendToPlayer(playerId, {
+                        type: 'wood_chop_cancelled',
+                        treeId: chopCancel.treeId,
+                        reason: chopCancel.reason
+                    });
+                    if (chopCancel.treeState) {
+                        broadcastToRoomAll(player.room, {
+                            type: 'forest_trees_update',
+                            trees: [chopCancel.treeState]
                         });
-                        if (chopCancel.treeState) {
-                            broadcastToRoomAll(player.room, {
-                                type: 'forest_trees_update',
-                                trees: [chopCancel.treeState]
-                            });
-                        }
                     }
                 }
             }
@@ -3001,6 +3494,20 @@ async function handleMessage(playerId, message) {
                     persistPlayerLocation(player.walletAddress, player.room, player.position);
                 }
             }
+
+            // Parkour stamps: standing on the next stage's start platform clears the previous stage
+            if (player.walletAddress && player.room === PARKOUR_ROOM && posChanged) {
+                const clearedStage = getClearedParkourStage(player.position);
+                if (clearedStage) {
+                    player.parkourCleared = player.parkourCleared || new Set();
+                    if (!player.parkourCleared.has(clearedStage)) {
+                        player.parkourCleared.add(clearedStage);
+                        stampService.recordParkourClear(player.walletAddress, clearedStage).catch((error) => {
+                            console.error('🏅 Parkour stamp error:', error);
+                        });
+                    }
+                }
+            }
             break;
         }
         
@@ -3027,7 +3534,7 @@ async function handleMessage(playerId, message) {
                 }
                 timestamps.push(now);
                 
-                const text = message.text.substring(0, 200);
+                let text = message.text.substring(0, 200);
 
                 if (isHelpCommand(text)) {
                     await sendChatHelp(playerId, player);
@@ -3183,7 +3690,8 @@ async function handleMessage(playerId, message) {
                                         isAfk: tpPlayer.isAfk || false,
                                         afkMessage: tpPlayer.afkMessage || null,
                                         isAuthenticated: tpPlayer.isAuthenticated,
-                                        role: tpPlayer.role || null
+                                        role: tpPlayer.role || null,
+                                        ...getNametagTierFields(tpPlayer)
                                     }
                                 }, teleportingPlayer.id);
                             }
@@ -3200,16 +3708,18 @@ async function handleMessage(playerId, message) {
                             sendToPlayer(teleportingPlayer.id, {
                                 type: 'room_state',
                                 room: destinationPlayer.room,
-                                players: getPlayersInRoom(destinationPlayer.room, teleportingPlayer.id)
+                                players: getPlayersInRoom(destinationPlayer.room, teleportingPlayer.id),
+                                weather: weatherService.getWeather(destinationPlayer.room)
                             });
                             ChatService.getScopeHistory('room', destinationPlayer.room)
                                 .then((roomHistory) => {
                                     sendToPlayer(teleportingPlayer.id, {
                                         type: 'chat_history_room',
                                         room: destinationPlayer.room,
-                                        messages: roomHistory.map((doc) =>
-                                            ChatService.toClientPayload(doc, teleportingPlayer.id)
-                                        )
+                                        messages: ChatService.filterBlocked(
+                                            roomHistory,
+                                            blockService.getBlockedPeers(teleportingPlayer.walletAddress)
+                                        ).map((doc) => ChatService.toClientPayload(doc, teleportingPlayer.id))
                                     });
                                 })
                                 .catch((err) => console.error('[TP] chat history:', err.message));
@@ -3229,6 +3739,15 @@ async function handleMessage(playerId, message) {
                     break;
                 }
                 
+                const chatMute = moderationService.getChatMute(player);
+                if (chatMute) {
+                    sendChatMuteFeedback(playerId, chatMute);
+                    break;
+                }
+                
+                text = await filterChatText(playerId, player, text);
+                if (text === null) break;
+                
                 if (text.toLowerCase().startsWith('/afk')) {
                     const afkMessage = text.slice(4).trim() || 'AFK';
                     player.isAfk = true;
@@ -3253,21 +3772,46 @@ async function handleMessage(playerId, message) {
                         });
                     }
 
-                    const channel = message.channel === 'global' ? 'global' : 'room';
-                    const scopeKey = channel === 'global' ? 'global' : player.room;
                     const chatMetadata = {};
                     if (player.role === 'admin' || player.role === 'moderator') {
                         chatMetadata.senderRole = player.role;
                     }
-                    await publishChatMessage({
-                        channel,
-                        scopeKey,
-                        roomId: player.room,
-                        senderId: playerId,
-                        senderName: player.name,
-                        text,
-                        metadata: chatMetadata
-                    });
+
+                    if (message.channel === 'guild') {
+                        if (!player.guildId) {
+                            sendChatFeedback(playerId, '❌ You are not in a guild.');
+                            break;
+                        }
+                        const guildMemberIds = [];
+                        for (const [pid, p] of players) {
+                            if (p.guildId === player.guildId) guildMemberIds.push(pid);
+                        }
+                        await publishChatMessage({
+                            channel: 'guild',
+                            scopeKey: guildChatScopeKey(player.guildId),
+                            roomId: player.room,
+                            guildId: player.guildId,
+                            senderId: playerId,
+                            senderWallet: player.walletAddress || null,
+                            senderName: player.name,
+                            text,
+                            metadata: { ...chatMetadata, guildTag: player.guildTag },
+                            targetPlayerIds: guildMemberIds
+                        });
+                    } else {
+                        const channel = message.channel === 'global' ? 'global' : 'room';
+                        const scopeKey = channel === 'global' ? 'global' : player.room;
+                        await publishChatMessage({
+                            channel,
+                            scopeKey,
+                            roomId: player.room,
+                            senderId: playerId,
+                            senderWallet: player.walletAddress || null,
+                            senderName: player.name,
+                            text,
+                            metadata: chatMetadata
+                        });
+                    }
                     
                     // Track chat stat and maybe award coins
                     if (player.walletAddress) {
@@ -3296,7 +3840,7 @@ async function handleMessage(playerId, message) {
             if (!message.targetName || !message.text) break;
             
             const targetName = message.targetName.toLowerCase();
-            const text = message.text.substring(0, 200);
+            let text = message.text.substring(0, 200);
             
             let targetPlayer = null;
             let targetId = null;
@@ -3308,7 +3852,25 @@ async function handleMessage(playerId, message) {
                 }
             }
             
+            const whisperMute = moderationService.getChatMute(player);
+            if (whisperMute) {
+                sendChatMuteFeedback(playerId, whisperMute);
+                break;
+            }
+            
+            if (targetPlayer && await isBlockedBetween(player.walletAddress, targetPlayer.walletAddress)) {
+                sendToPlayer(playerId, {
+                    type: 'whisper_error',
+                    targetName: message.targetName,
+                    error: 'You cannot whisper this player'
+                });
+                break;
+            }
+            
             if (targetPlayer?.ws?.readyState === 1) {
+                text = await filterChatText(playerId, player, text);
+                if (text === null) break;
+
                 const fromKey = player.walletAddress || player.name;
                 const toKey = targetPlayer.walletAddress || targetPlayer.name;
                 const scopeKey = ChatService.whisperScopeKey(fromKey, toKey);
@@ -3471,18 +4033,33 @@ async function handleMessage(playerId, message) {
 
             const roomChanged = newRoom !== oldRoom;
 
+            if (roomChanged && !(await guildService.canEnterRoom(player.walletAddress, newRoom))) {
+                sendChatFeedback(playerId, '❌ Only guild members can enter this guild hall.');
+                break;
+            }
+
             if (roomChanged) {
                 joinRoom(playerId, newRoom);
+                player.position = resolveOverworldSpawn(newRoom, getDefaultSpawnForRoom(newRoom));
             }
 
             if (message.position?.x != null && message.position?.z != null) {
-                player.position = resolveOverworldSpawn(newRoom, {
-                    x: message.position.x,
-                    y: message.position.y ?? 0,
-                    z: message.position.z,
-                });
-            } else if (roomChanged) {
-                player.position = resolveOverworldSpawn(newRoom, getDefaultSpawnForRoom(newRoom));
+                // The first sample in a new room must sit on its spawn or a portal exit; after that
+                // repositions are moves like any other
+                const movement = movementValidator.checkMove(playerId, player, message);
+                if (movement.accepted) {
+                    player.position = resolveOverworldSpawn(newRoom, {
+                        x: message.position.x,
+                        y: message.position.y ?? 0,
+                        z: message.position.z,
+                    });
+                } else if (movement.correction) {
+                    sendToPlayer(playerId, {
+                        type: 'position_correction',
+                        position: movement.correction,
+                        reason: movement.reason
+                    });
+                }
             }
 
             if (player.walletAddress && (roomChanged || message.position?.x != null)) {
@@ -3494,7 +4071,8 @@ async function handleMessage(playerId, message) {
             sendToPlayer(playerId, {
                 type: 'room_state',
                 room: newRoom,
-                players: existingPlayers
+                players: existingPlayers,
+                weather: weatherService.getWeather(newRoom)
             });
 
             if (roomChanged) {
@@ -3513,9 +4091,11 @@ async function handleMessage(playerId, message) {
                         isAfk: player.isAfk || false,
                         afkMessage: player.afkMessage || null,
                         isAuthenticated: player.isAuthenticated,
-                        role: player.role || null
+                        role: player.role || null,
+                        ...getNametagTierFields(player)
                     }
                 }, playerId);
+                interestManager.announce(playerId);
 
                 // Send active matches in new room (P2P + PvE all via MatchService)
                 const matchesInNewRoom = matchService.getMatchesInRoom(newRoom);
@@ -3533,7 +4113,8 @@ async function handleMessage(playerId, message) {
                 sendToPlayer(playerId, {
                     type: 'chat_history_room',
                     room: newRoom,
-                    messages: roomHistory.map((doc) => ChatService.toClientPayload(doc, playerId))
+                    messages: ChatService.filterBlocked(roomHistory, blockService.getBlockedPeers(player.walletAddress))
+                        .map((doc) => ChatService.toClientPayload(doc, playerId))
                 });
 
                 sendToPlayer(playerId, {
@@ -3792,6 +4373,12 @@ async function handleMessage(playerId, message) {
                     x: message.startX,
                     z: message.startZ,
                 });
+
+                if (player.isAuthenticated) {
+                    worldEventService.recordActivity(player.walletAddress, 'snowball_throw', room);
+                }
+
+                snowballFightService.handleThrow(player, message);
             }
             break;
         }
@@ -3933,7 +4520,9 @@ async function handleMessage(playerId, message) {
                     } : null,
                     settlementTx: m.settlementTx,
                     endedAt: m.endedAt,
-                    duration: m.duration
+                    duration: m.duration,
+                    side: m.player1.wallet === player.walletAddress ? 'player1' : 'player2',
+                    hasReplay: m.replaySeed != null
                 }));
                 
                 // Format coin transactions for client
@@ -4035,6 +4624,16 @@ async function handleMessage(playerId, message) {
             break;
         }
         
+        // ==================== STAMPS ====================
+        case 'stamps_get_state': {
+            try {
+                await stampService.sendState(playerId, player.walletAddress);
+            } catch (error) {
+                console.error('🏅 Stamp state error:', error);
+            }
+            break;
+        }
+        
         // ==================== CHALLENGES ====================
         case 'challenge_send': {
             let resolvedTarget = players.get(message.targetPlayerId);
@@ -4513,7 +5112,8 @@ async function handleMessage(playerId, message) {
                             { id: match.player2.id, name: match.player2.name, position: match.player2.position }
                         ],
                         gameType: match.gameType,
-                        wagerAmount: match.wagerAmount
+                        wagerAmount: match.wagerAmount,
+                        sideBets: matchService.getSideBetSummary(match)
                     }, challenge.challengerId, challenge.targetId);
                 }
             } else if (message.response === 'deny') {
@@ -4957,6 +5557,45 @@ async function handleMessage(playerId, message) {
             break;
         }
         
+        case 'match_side_bet': {
+            let result;
+            try {
+                result = await matchService.placeSideBet(message.matchId, player, message.side, message.amount);
+            } catch (error) {
+                console.error('🎲 Error in match_side_bet:', error);
+                result = { success: false, error: 'SERVER_ERROR', message: 'Could not place your bet' };
+            }
+            sendToPlayer(playerId, {
+                type: 'match_side_bet_result',
+                success: !!result.success,
+                error: result.error || null,
+                message: result.message || null,
+                matchId: message.matchId,
+                side: result.side || null,
+                amount: result.amount ?? null,
+                newBalance: result.newBalance ?? null
+            });
+            break;
+        }
+
+        // Step-through replay of a finished match (shareable by match id)
+        case 'match_replay_get': {
+            let result;
+            try {
+                result = await matchService.getReplay(message.matchId, message.side);
+            } catch (error) {
+                console.error('🎬 Error in match_replay_get:', error);
+                result = { error: 'SERVER_ERROR' };
+            }
+            sendToPlayer(playerId, {
+                type: 'match_replay',
+                matchId: message.matchId,
+                error: result.error || null,
+                replay: result.replay || null
+            });
+            break;
+        }
+
         case 'active_matches_request': {
             if (player.room) {
                 const matches = matchService.getMatchesInRoom(player.room);
@@ -4967,7 +5606,7 @@ async function handleMessage(playerId, message) {
         
         // ==================== PUFFLE OPERATIONS ====================
         case 'puffle_adopt': {
-            if (!player.isAuthenticated) {
+            if (!player.walletAddress) {
                 sendToPlayer(playerId, {
                     type: 'error',
                     code: 'AUTH_REQUIRED',
@@ -5091,6 +5730,11 @@ async function handleMessage(playerId, message) {
                 type: 'puffle_played',
                 ...playResult
             });
+            if (playResult.newTricksUnlocked?.length) {
+                stampService.recordPuffleTricks(player.walletAddress, playResult.newTricksUnlocked).catch((error) => {
+                    console.error('🏅 Puffle trick stamp error:', error);
+                });
+            }
             break;
         }
         
@@ -5569,6 +6213,20 @@ async function handleMessage(playerId, message) {
             break;
         }
         
+        case 'settings_sync': {
+            // Guests keep settings in localStorage only
+            if (!player.walletAddress) break;
+            
+            const result = await userService.syncSettings(player.walletAddress, message.settings);
+            if (result.success) {
+                sendToPlayer(playerId, {
+                    type: 'settings_synced',
+                    settings: result.settings
+                });
+            }
+            break;
+        }
+        
         case 'update_username': {
             if (!player.walletAddress) break;
             
@@ -5894,6 +6552,8 @@ async function handleMessage(playerId, message) {
                         newBalance: fishResult.newBalance,
                         baitCost: fishResult.baitCost,
                         holeStatus: fishResult.holeStatus,
+                        rodAutoRepaired: fishResult.rodAutoRepaired,
+                        rodRepairGold: fishResult.rodRepairGold,
                         isDemo: fishResult.isDemo
                     });
                     
@@ -6622,6 +7282,8 @@ async function handleMessage(playerId, message) {
                     isDemo: result.isDemo,
                     inventory: result.inventory,
                     axeBroken: result.axeBroken,
+                    axeAutoRepaired: result.axeAutoRepaired,
+                    axeRepairGold: result.axeRepairGold,
                     axeDurability: result.axeDurability,
                     axeMaxDurability: result.axeMaxDurability,
                     treeState: result.treeState
@@ -6629,6 +7291,9 @@ async function handleMessage(playerId, message) {
                 if (result.inventory) {
                     await sendGameInventorySnapshot(playerId, player.walletAddress, 'wood_chop');
                 }
+                if (result.axeAutoRepaired && result.newBalance != null) {
+                    sendToPlayer(playerId, { type: 'coins_update', coins: result.newBalance, isAuthenticated: true });
+                }
                 if (result.treeState && player.room) {
                     broadcastToRoomAll(player.room, {
                         type: 'forest_trees_update',
@@ -6824,6 +7489,8 @@ async function handleMessage(playerId, message) {
                     isDemo: result.isDemo,
                     inventory: result.inventory,
                     axeBroken: result.axeBroken,
+                    axeAutoRepaired: result.axeAutoRepaired,
+                    axeRepairGold: result.axeRepairGold,
                     axeDurability: result.axeDurability,
                     axeMaxDurability: result.axeMaxDurability,
                     treeState: result.treeState,
@@ -6833,6 +7500,9 @@ async function handleMessage(playerId, message) {
                 if (result.inventory) {
                     await sendGameInventorySnapshot(playerId, player.walletAddress, 'manual_chop');
                 }
+                if (result.axeAutoRepaired && result.newBalance != null) {
+                    sendToPlayer(playerId, { type: 'coins_update', coins: result.newBalance, isAuthenticated: true });
+                }
                 if (result.treeState && player.room) {
                     broadcastToRoomAll(player.room, {
                         type: 'forest_trees_update',
@@ -7401,6 +8071,86 @@ async function handleMessage(playerId, message) {
             break;
         }
 
+        case 'gear_repair': {
+            if (!player.walletAddress) {
+                sendToPlayer(playerId, {
+                    type: 'gear_repair_error',
+                    error: 'NOT_AUTHENTICATED'
+                });
+                break;
+            }
+            if (!isPlayerNearMerchant(player, message.merchantId)) {
+                sendToPlayer(playerId, {
+                    type: 'gear_repair_error',
+                    error: 'TOO_FAR',
+                    message: 'You need to be at the merchant to repair gear'
+                });
+                break;
+            }
+            try {
+                const result = await gameInventoryService.repairGear(
+                    player.walletAddress,
+                    message.merchantId,
+                    message.inventorySlot,
+                    { useRepairKit: message.useRepairKit === true }
+                );
+                if (result.error) {
+                    sendToPlayer(playerId, {
+                        type: 'gear_repair_error',
+                        error: result.error,
+                        message: result.message,
+                        cost: result.cost
+                    });
+                } else {
+                    sendToPlayer(playerId, {
+                        type: 'gear_repair_result',
+                        itemId: result.itemId,
+                        itemName: result.itemName,
+                        durability: result.durability,
+                        maxDurability: result.maxDurability,
+                        goldSpent: result.goldSpent,
+                        materialsSpent: result.materialsSpent,
+                        usedRepairKit: result.usedRepairKit,
+                        newBalance: result.newBalance,
+                        inventory: result.inventory
+                    });
+                    sendToPlayer(playerId, {
+                        type: 'coins_update',
+                        coins: result.newBalance,
+                        isAuthenticated: true
+                    });
+                    sendToPlayer(playerId, {
+                        type: 'game_inventory_snapshot',
+                        inventory: result.inventory
+                    });
+                }
+            } catch (error) {
+                console.error('🔧 Error in gear_repair:', error);
+                sendToPlayer(playerId, {
+                    type: 'gear_repair_error',
+                    error: 'SERVER_ERROR',
+                    message: 'Failed to repair gear'
+                });
+            }
+            break;
+        }
+
+        case 'gear_auto_repair_set': {
+            if (!player.walletAddress) break;
+            try {
+                const result = await gameInventoryService.setAutoRepair(player.walletAddress, message.enabled === true);
+                if (result.success) {
+                    sendToPlayer(playerId, {
+                        type: 'game_inventory_snapshot',
+                        inventory: result.inventory
+                    });
+                }
+            } catch (error) {
+                console.error('🔧 Error in gear_auto_repair_set:', error);
+            }
+            break;
+        }
+
         case 'backpack_upgrade': {
             if (!player.walletAddress) {
                 sendToPlayer(playerId, {
@@ -9368,14 +10118,17 @@ async function handleMessage(playerId, message) {
         
         // ==================== SOLO MINIGAME COMPLETE (stats + onboarding only) ====================
         case 'minigame_complete': {
-            if (!player.isAuthenticated || !player.walletAddress) {
+            // Guest accounts only advance the onboarding quest — stats need a wallet
+            if (!player.walletAddress) {
                 break;
             }
 
             const { gameId, won } = message;
             const normalizedGameId = gameId === 'card-jitsu' ? 'card_jitsu' : gameId;
 
-            if (won) {
+            // `won` is client-reported: scored arcade games only count through verified sessions,
+            // and solo wins are throttled per wallet
+            if (won && player.isAuthenticated && arcadeScoreService.canRecordSoloWin(player.walletAddress, normalizedGameId)) {
                 statsService.recordResult(player.walletAddress, normalizedGameId, true, 0);
             }
 
@@ -9428,6 +10181,12 @@ setInterval(async () => {
                         refunded: voidResult.wagerAmount
                     }
                 });
+                
+                // The player who stayed advances in the bracket
+                if (voidResult.tournament) {
+                    const otherWallet = otherId === voidResult.player1Id ? voidResult.player1Wallet : voidResult.player2Wallet;
+                    await tournamentService.recordMatchResult(voidResult.tournament, voidResult.matchId, otherWallet, 'disconnect');
+                }
             }
             
             // Handle challenge disconnect - cancel all pending challenges
@@ -9471,10 +10230,19 @@ setInterval(async () => {
             
             players.delete(playerId);
             playerChatTimestamps.delete(playerId);
+            chatFilter.forget(playerId);
+            puffleRaceService.handlePlayerDisconnect(player.walletAddress)
+                .catch(err => console.error('🏁 Puffle race disconnect error:', err));
+            snowballFightService.handlePlayerDisconnect(playerId)
+                .catch(err => console.error('❄️ Snowball fight disconnect error:', err));
+            arcadeScoreService.handlePlayerDisconnect(player.walletAddress);
+            tradeService.handlePlayerDisconnect(player.walletAddress);
         }
     }
     
     inboxService.cleanupExpired();
+    arcadeScoreService.cleanupExpired();
+    tradeService.cleanupExpired();
 }, 30000);
 
 // WebSocket heartbeat - detect dead connections
@@ -9549,23 +10317,110 @@ setInterval(async () => {
     }
 }, 30000);
 
-// Expire old marketplace listings (every 5 minutes)
+// Expire old marketplace listings and buy orders (every 5 minutes)
 setInterval(async () => {
     if (!isDBConnected()) return;
     
     try {
         const { default: marketplaceService } = await import('./services/MarketplaceService.js');
-        const expiredCount = await marketplaceService.expireOldListings();
-        if (expiredCount > 0) {
-            console.log(`🏪 Expired ${expiredCount} old marketplace listings`);
+        const { listings: expiredCount, orders: expiredOrders } = await marketplaceService.expireOldListings();
+        if (expiredCount > 0 || expiredOrders.length > 0) {
+            console.log(`🏪 Expired ${expiredCount} old marketplace listings, ${expiredOrders.length} buy orders`);
             // Broadcast to all clients that listings may have changed
             broadcastToAll({ type: 'market_listings_updated' });
         }
+        // Tell online buyers their escrow came back
+        for (const order of expiredOrders) {
+            const buyer = getPlayerByWallet(order.buyerWallet);
+            if (!buyer) continue;
+            if (order.newPebbleBalance !== undefined) {
+                sendToPlayer(buyer.id, { type: 'pebbles_update', pebbles: order.newPebbleBalance });
+            }
+            sendToPlayer(buyer.id, { type: 'market_order_closed', orderId: order.orderId, reason: 'expired', itemName: order.itemName, refunded: order.refunded });
+        }
     } catch (error) {
         console.error('🏪 Listing expiration error:', error.message);
     }
 }, 5 * 60 * 1000); // 5 minutes
 
+/**
+ * Disconnect a banned player: remember their IPs, tell the client why, and drop them from rooms.
+ * @param {object} player - live player state
+ * @param {{ username?: string, banReason?: string, banExpires?: Date, lastIpAddress?: string }} banInfo
+ */
+function kickBannedPlayer(player, banInfo) {
+    console.log(`🚫 KICKING BANNED PLAYER: ${banInfo.username || player.name} (${player.walletAddress.slice(0, 8)}...) - Reason: ${banInfo.banReason || 'No reason'}`);
+    
+    // Add their IPs to ban list
+    if (banInfo.lastIpAddress && banInfo.lastIpAddress !== 'unknown') {
+        bannedIPs.add(banInfo.lastIpAddress);
+    }
+    if (player.ip && player.ip !== 'unknown') {
+        bannedIPs.add(player.ip);
+    }
+    
+    // Build ban message
+    let banMessage = 'Your account has been banned. Access denied.';
+    if (banInfo.banReason) {
+        banMessage = `Your account has been banned. Reason: ${banInfo.banReason}. Access denied.`;
+    }
+    if (banInfo.banExpires) {
+        const expiresDate = new Date(banInfo.banExpires).toLocaleString();
+        banMessage += ` Ban expires: ${expiresDate}`;
+    }
+    
+    // Notify and disconnect
+    try {
+        sendToPlayer(player.id, {
+            type: 'banned',
+            error: 'ACCOUNT_BANNED',
+            message: banMessage,
+            banReason: banInfo.banReason || null,
+            banExpires: banInfo.banExpires || null
+        });
+        
+        // Clean up player from room
+        if (player.room) {
+            const room = rooms.get(player.room);
+            if (room) {
+                room.delete(player.id);
+                broadcastToRoom(player.room, { 
+                    type: 'player_left', 
+                    playerId: player.id,
+                    reason: 'banned'
+                });
+            }
+        }
+        
+        // Remove from IP tracking
+        if (player.ip) {
+            const ipSet = ipConnections.get(player.ip);
+            if (ipSet) {
+                ipSet.delete(player.id);
+                if (ipSet.size === 0) {
+                    ipConnections.delete(player.ip);
+                }
+            }
+        }
+        
+        // End daily bonus session
+        if (player.walletAddress) {
+            dailyBonusService.endSession(player.walletAddress);
+        }
+        
+        // Close websocket
+        if (player.ws && player.ws.readyState === 1) {
+            player.ws.close(1008, 'Account banned');
+        }
+        
+        // Remove from players map
+        players.delete(player.id);
+        
+    } catch (kickError) {
+        console.error(`Error kicking banned player ${player.id}:`, kickError.message);
+    }
+}
+
 // 🚨 CRITICAL: Check for newly banned players every 30 seconds
 // This ensures players banned via database are kicked immediately
 setInterval(async () => {
@@ -9599,77 +10454,7 @@ setInterval(async () => {
         for (const player of authenticatedPlayers) {
             const banInfo = bannedWallets.get(player.walletAddress);
             if (!banInfo) continue;
-            
-            console.log(`🚫 KICKING BANNED PLAYER: ${banInfo.username || player.name} (${player.walletAddress.slice(0, 8)}...) - Reason: ${banInfo.banReason || 'No reason'}`);
-            
-            // Add their IPs to ban list
-            if (banInfo.lastIpAddress && banInfo.lastIpAddress !== 'unknown') {
-                bannedIPs.add(banInfo.lastIpAddress);
-            }
-            if (player.ip && player.ip !== 'unknown') {
-                bannedIPs.add(player.ip);
-            }
-            
-            // Build ban message
-            let banMessage = 'Your account has been banned. Access denied.';
-            if (banInfo.banReason) {
-                banMessage = `Your account has been banned. Reason: ${banInfo.banReason}. Access denied.`;
-            }
-            if (banInfo.banExpires) {
-                const expiresDate = new Date(banInfo.banExpires).toLocaleString();
-                banMessage += ` Ban expires: ${expiresDate}`;
-            }
-            
-            // Notify and disconnect
-            try {
-                sendToPlayer(player.id, {
-                    type: 'banned',
-                    error: 'ACCOUNT_BANNED',
-                    message: banMessage,
-                    banReason: banInfo.banReason || null,
-                    banExpires: banInfo.banExpires || null
-                });
-                
-                // Clean up player from room
-                if (player.room) {
-                    const room = rooms.get(player.room);
-                    if (room) {
-                        room.delete(player.id);
-                        broadcastToRoom(player.room, { 
-                            type: 'player_left', 
-                            playerId: player.id,
-                            reason: 'banned'
-                        });
-                    }
-                }
-                
-                // Remove from IP tracking
-                if (player.ip) {
-                    const ipSet = ipConnections.get(player.ip);
-                    if (ipSet) {
-                        ipSet.delete(player.id);
-                        if (ipSet.size === 0) {
-                            ipConnections.delete(player.ip);
-                        }
-                    }
-                }
-                
-                // End daily bonus session
-                if (player.walletAddress) {
-                    dailyBonusService.endSession(player.walletAddress);
-                }
-                
-                // Close websocket
-                if (player.ws && player.ws.readyState === 1) {
-                    player.ws.close(1008, 'Account banned');
-                }
-                
-                // Remove from players map
-                players.delete(player.id);
-                
-            } catch (kickError) {
-                console.error(`Error kicking banned player ${player.id}:`, kickError.message);
-            }
+            kickBannedPlayer(player, banInfo);
         }
     } catch (error) {
         console.error('🚫 Ban check error:', error.message);
@@ -9716,6 +10501,10 @@ async function start() {
     } else {
         console.log('⚠️ Running without database - guest mode only');
     }
+
+    // Live world events (definitions from the database, defaults without one)
+    await worldEventService.loadDefinitions();
+    worldEventScheduler.start();
     
     // Initialize wager settlement service (includes custodial wallet)
     const settlementInit = await wagerSettlementService.initialize();
@@ -9776,6 +10565,34 @@ async function start() {
         console.warn('⚠️ NFT ownership service initialization failed:', error.message);
     }
     
+    // Refund tournaments and puffle races, and pay out world events, interrupted by the last shutdown
+    if (isDBConnected()) {
+        try {
+            const cancelled = await tournamentService.recoverUnfinished();
+            if (cancelled > 0) {
+                console.log(`🏆 Refunded ${cancelled} unfinished tournament(s)`);
+            }
+        } catch (error) {
+            console.warn('⚠️ Tournament recovery failed:', error.message);
+        }
+        try {
+            const refunded = await puffleRaceService.recoverUnfinished();
+            if (refunded > 0) {
+                console.log(`🏁 Refunded ${refunded} unfinished puffle race(s)`);
+            }
+        } catch (error) {
+            console.warn('⚠️ Puffle race recovery failed:', error.message);
+        }
+        try {
+            const finished = await worldEventService.recoverUnfinished();
+            if (finished > 0) {
+                console.log(`🎉 Paid out ${finished} unfinished world event run(s)`);
+            }
+        } catch (error) {
+            console.warn('⚠️ World event recovery failed:', error.message);
+        }
+    }
+    
     // Start HTTP server
     server.listen(PORT, () => {
         console.log(`🌐 Server listening on port ${PORT}${IS_DEV ? ' (DEV MODE)' : ''}`);
@@ -9787,6 +10604,7 @@ async function start() {
 process.on('SIGTERM', async () => {
     console.log('Shutting down...');
     rentScheduler.stop();
+    worldEventScheduler.stop();
     await statsService.shutdown();
     // Custodial wallet shutdown is handled by CustodialWalletService's own process listeners
     await disconnectDB();
@@ -9796,6 +10614,7 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
     console.log('Shutting down...');
     rentScheduler.stop();
+    worldEventScheduler.stop();
     await statsService.shutdown();
     // Custodial wallet shutdown is handled by CustodialWalletService's own process listeners
     await disconnectDB();
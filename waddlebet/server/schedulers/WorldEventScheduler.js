@@ -0,0 +1,90 @@
+/**
+ * WorldEventScheduler - Drives WorldEventService on a fixed interval
+ * Starts/ends scheduled world events, posts "starting soon" notices and saves contribution.
+ */
+
+import { WORLD_EVENT_LIMITS } from '../config/worldEvents.js';
+
+class WorldEventScheduler {
+    /**
+     * @param {import('../services/WorldEventService.js').default} worldEventService
+     */
+    constructor(worldEventService) {
+        this.worldEventService = worldEventService;
+        this.checkInterval = null;
+        this.isRunning = false;
+        this.lastCheckTime = null;
+        this.checksPerformed = 0;
+
+        this.intervalMs = parseInt(process.env.WORLD_EVENT_CHECK_INTERVAL_MS || String(WORLD_EVENT_LIMITS.TICK_MS));
+    }
+
+    /**
+     * Start the world event scheduler
+     */
+    start() {
+        if (this.isRunning) {
+            console.log('⏰ WorldEventScheduler already running');
+            return;
+        }
+
+        const intervalSec = Math.round(this.intervalMs / 1000);
+        console.log(`⏰ WorldEventScheduler started - checking every ${intervalSec} seconds`);
+        this.isRunning = true;
+
+        // Run immediately on start (resumes an event interrupted by a restart)
+        this.checkEvents();
+
+        this.checkInterval = setInterval(() => {
+            this.checkEvents();
+        }, this.intervalMs);
+    }
+
+    /**
+     * Stop the scheduler
+     */
+    stop() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            this.checkInterval = null;
+        }
+        this.isRunning = false;
+        console.log('⏰ WorldEventScheduler stopped');
+    }
+
+    /**
+     * Run one world event check
+     */
+    async checkEvents() {
+        this.lastCheckTime = new Date();
+        this.checksPerformed++;
+
+        try {
+            await this.worldEventService.tick();
+        } catch (error) {
+            console.error('⏰ WorldEventScheduler error:', error);
+        }
+    }
+
+    /**
+     * Get scheduler stats (for health endpoint)
+     */
+    getStats() {
+        return {
+            isRunning: this.isRunning,
+            intervalMs: this.intervalMs,
+            checksPerformed: this.checksPerformed,
+            lastCheckTime: this.lastCheckTime,
+            activeEvents: this.worldEventService.runs.size
+        };
+    }
+
+    /**
+     * Manual trigger for event check (for testing)
+     */
+    async triggerCheck() {
+        return this.checkEvents();
+    }
+}
+
+export default WorldEventScheduler;
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * Backfill Market Price Buckets Script
+ *
+ * Rebuilds MarketPriceBucket (marketplace chart candles) from sold MarketListings.
+ * New sales update the buckets as they happen; run this once after deploying the
+ * charts, or to repair buckets. Existing buckets are dropped and rebuilt.
+ *
+ * Run: node server/scripts/backfillMarketPrices.js
+ */
+
+import 'dotenv/config';
+import { connectDB, disconnectDB } from '../db/connection.js';
+import MarketListing from '../db/models/MarketListing.js';
+import MarketPriceBucket from '../db/models/MarketPriceBucket.js';
+
+async function backfillMarketPrices() {
+    console.log('📈 Backfill Market Price Buckets\n');
+    console.log('================================\n');
+
+    try {
+        await connectDB();
+        console.log('✅ Database connected\n');
+
+        const removed = await MarketPriceBucket.deleteMany({});
+        console.log(`🗑️  Cleared ${removed.deletedCount} existing buckets\n`);
+
+        // Oldest first so open/close land on the right sales
+        const cursor = MarketListing.find({ status: 'sold', soldAt: { $ne: null } })
+            .sort({ soldAt: 1 })
+            .select('templateId price soldAt')
+            .lean()
+            .cursor();
+
+        let count = 0;
+        for await (const sale of cursor) {
+            await MarketPriceBucket.recordSale(sale.templateId, sale.price, sale.soldAt);
+            count++;
+            if (count % 500 === 0) {
+                console.log(`   ...${count} sales`);
+            }
+        }
+
+        const buckets = await MarketPriceBucket.countDocuments();
+        console.log(`\n✅ Folded ${count} sales into ${buckets} buckets`);
+
+    } catch (error) {
+        console.error('❌ Backfill failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await disconnectDB();
+    }
+}
+
+backfillMarketPrices();
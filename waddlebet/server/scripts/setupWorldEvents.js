@@ -0,0 +1,100 @@
+/**
+ * Setup World Events - Create/Update live world event definitions in database
+ * RUN: node server/scripts/setupWorldEvents.js [events.json]
+ *
+ * Without an argument, writes the shipped DEFAULT_WORLD_EVENTS. With a JSON file (an array of
+ * definitions, same shape as config/worldEvents.js), writes those instead. Safe to run multiple
+ * times - uses upsert keyed by eventId. The running server picks changes up within a minute;
+ * set `enabled: false` to pause an event without deleting it.
+ */
+
+import 'dotenv/config';
+import { readFile } from 'fs/promises';
+import { connectDB, disconnectDB } from '../db/connection.js';
+import WorldEventDefinition from '../db/models/WorldEventDefinition.js';
+import { DEFAULT_WORLD_EVENTS, validateWorldEventDefinition } from '../config/worldEvents.js';
+
+async function loadEvents() {
+    const file = process.argv[2];
+    if (!file) return DEFAULT_WORLD_EVENTS;
+    const events = JSON.parse(await readFile(file, 'utf8'));
+    if (!Array.isArray(events)) {
+        throw new Error(`${file} must contain an array of world event definitions`);
+    }
+    return events;
+}
+
+async function setupWorldEvents() {
+    console.log('🎉 Setting up world events...\n');
+
+    try {
+        const events = await loadEvents();
+        await connectDB();
+
+        let created = 0;
+        let updated = 0;
+        let errors = 0;
+
+        for (const eventData of events) {
+            const invalid = validateWorldEventDefinition(eventData);
+            if (invalid) {
+                console.error(`❌ Skipped ${eventData?.eventId || '(no eventId)'}: ${invalid}`);
+                errors++;
+                continue;
+            }
+
+            try {
+                const existing = await WorldEventDefinition.exists({ eventId: eventData.eventId });
+                await WorldEventDefinition.updateOne(
+                    { eventId: eventData.eventId },
+                    { $set: { enabled: true, ...eventData } },
+                    { upsert: true, runValidators: true }
+                );
+
+                if (existing) {
+                    console.log(`📝 Updated: ${eventData.eventId} - ${eventData.name}`);
+                    updated++;
+                } else {
+                    console.log(`✅ Created: ${eventData.eventId} - ${eventData.name}`);
+                    created++;
+                }
+
+                const { intervalMinutes, offsetMinutes = 0 } = eventData.schedule;
+                const tiers = eventData.rewardTiers
+                    .map(t => `${t.label || '?'} ${t.minContribution}+ → ${t.gold || 0}g${t.cosmeticAssetKey ? ` + ${t.cosmeticAssetKey}` : ''}`)
+                    .join(', ');
+                console.log(`   └─ ${eventData.type} | every ${intervalMinutes}m (+${offsetMinutes}m) for ${eventData.durationMinutes}m | ${tiers}`);
+            } catch (err) {
+                console.error(`❌ Error with ${eventData.eventId}:`, err.message);
+                errors++;
+            }
+        }
+
+        console.log('\n================================');
+        console.log('📊 SUMMARY');
+        console.log('================================');
+        console.log(`✅ Created: ${created}`);
+        console.log(`📝 Updated: ${updated}`);
+        console.log(`❌ Errors:  ${errors}`);
+        console.log(`📦 Total:   ${events.length}`);
+        console.log('================================\n');
+
+        const all = await WorldEventDefinition.find({}).select('eventId name type enabled');
+        console.log('📋 All world events in database:\n');
+        for (const e of all) {
+            const status = e.enabled ? '🟢' : '🔴';
+            console.log(`   ${status} ${e.eventId.padEnd(16)} - ${e.name} (${e.type})`);
+        }
+
+    } catch (err) {
+        console.error('💥 Fatal error:', err);
+        process.exit(1);
+    } finally {
+        await disconnectDB();
+        console.log('\n✅ Database disconnected');
+        process.exit(0);
+    }
+}
+
+// Run
+setupWorldEvents();
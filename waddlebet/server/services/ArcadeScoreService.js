@@ -0,0 +1,258 @@
+/**
+ * ArcadeScoreService — verified scores and per-game leaderboards for the solo arcade games.
+ * A run starts with a server-issued session (id + seed). Snake runs are replayed from the seed and
+ * input log; the other games stream checkpoints that spend from a per-game score budget refilled at
+ * the game's maximum plausible scoring rate. Only accepted runs reach the leaderboards.
+ */
+
+import { randomUUID, randomInt } from 'crypto';
+import ArcadeScore from '../db/models/ArcadeScore.js';
+import {
+    ARCADE_SCORE_GAMES,
+    ARCADE_SCORE_LIMITS,
+    isArcadeScoreGame,
+    replaySnakeRun,
+    getLeaderboardPeriodStart,
+    SOLO_MINIGAMES,
+    SOLO_WIN_COOLDOWN_MS,
+} from '../config/arcadeScores.js';
+
+/** Seconds of scoring the budget may bank between checkpoints */
+const BUDGET_WINDOW_SECONDS = 10;
+
+/**
+ * Spend score growth from a checkpoint session's budget
+ * @returns {boolean} false if the score grew faster than the game allows
+ */
+export function spendScoreBudget(game, session, score, at) {
+    const cap = game.burstPoints + game.maxPointsPerSecond * BUDGET_WINDOW_SECONDS;
+    const refill = game.maxPointsPerSecond * Math.max(0, at - session.lastAt) / 1000;
+    const budget = Math.min(cap, session.budget + refill);
+    const gained = score - session.lastScore;
+    if (gained < 0 || gained > budget) return false;
+
+    session.budget = budget - gained;
+    session.lastScore = score;
+    session.lastAt = at;
+    return true;
+}
+
+function isValidScore(score) {
+    return Number.isInteger(score) && score >= 0;
+}
+
+function isValidSnakeInputs(inputs) {
+    return Array.isArray(inputs)
+        && inputs.length <= ARCADE_SCORE_LIMITS.MAX_SNAKE_INPUTS
+        && inputs.every((input) => Array.isArray(input) && Number.isInteger(input[0]) && typeof input[1] === 'string');
+}
+
+export default class ArcadeScoreService {
+    /**
+     * @param {() => number} [now] - injectable clock for tests
+     */
+    constructor(now = Date.now) {
+        this.now = now;
+
+        /** walletAddress -> open session (one arcade run at a time) */
+        this.sessions = new Map();
+        /** `${walletAddress}:${gameId}` -> last counted solo minigame win */
+        this.soloWins = new Map();
+    }
+
+    // ==================== SESSIONS ====================
+
+    startSession(walletAddress, gameId) {
+        if (!walletAddress) {
+            return { success: false, error: 'NOT_AUTHENTICATED', message: 'Connect your wallet to submit scores' };
+        }
+        if (!isArcadeScoreGame(gameId)) {
+            return { success: false, error: 'INVALID_GAME', message: 'That game has no leaderboard' };
+        }
+
+        const startedAt = this.now();
+        const session = {
+            sessionId: randomUUID(),
+            gameId,
+            seed: randomInt(0, 0xFFFFFFFF),
+            startedAt,
+            checkpoints: 0,
+            lastScore: 0,
+            lastAt: startedAt,
+            budget: ARCADE_SCORE_GAMES[gameId].burstPoints || 0,
+            rejected: null,
+        };
+        this.sessions.set(walletAddress, session);
+        return { success: true, sessionId: session.sessionId, gameId, seed: session.seed };
+    }
+
+    getSession(walletAddress, sessionId) {
+        const session = this.sessions.get(walletAddress);
+        if (!session || session.sessionId !== sessionId) return null;
+        if (this.now() - session.startedAt > ARCADE_SCORE_LIMITS.SESSION_TTL_MS) {
+            this.sessions.delete(walletAddress);
+            return null;
+        }
+        return session;
+    }
+
+    /**
+     * Record a live score checkpoint. A checkpoint that outpaces the game's scoring rate
+     * marks the session rejected; the eventual submission is then refused.
+     */
+    recordCheckpoint(walletAddress, sessionId, score) {
+        const session = this.getSession(walletAddress, sessionId);
+        if (!session) return { success: false, error: 'NO_SESSION' };
+
+        const game = ARCADE_SCORE_GAMES[session.gameId];
+        if (game.validation !== 'checkpoints' || session.rejected) return { success: true };
+        if (session.checkpoints >= ARCADE_SCORE_LIMITS.MAX_CHECKPOINTS) return { success: true };
+
+        session.checkpoints++;
+        if (!isValidScore(score) || !spendScoreBudget(game, session, score, this.now())) {
+            session.rejected = 'IMPLAUSIBLE_SCORE';
+        }
+        return { success: true };
+    }
+
+    /**
+     * Validate a finished run and store it
+     * @param {{ walletAddress: string, name: string }} player
+     * @param {{ sessionId: string, score: number, inputs?: Array }} submission
+     */
+    async submitScore(player, { sessionId, score, inputs } = {}) {
+        const walletAddress = player?.walletAddress;
+        if (!walletAddress) {
+            return { success: false, error: 'NOT_AUTHENTICATED', message: 'Connect your wallet to submit scores' };
+        }
+
+        const session = this.getSession(walletAddress, sessionId);
+        if (!session) {
+            return { success: false, error: 'NO_SESSION', message: 'This run was not started with the server' };
+        }
+        this.sessions.delete(walletAddress);
+
+        const verdict = this.validateRun(session, score, inputs);
+        if (!verdict.valid) {
+            console.warn(`🕹️ Rejected ${session.gameId} score ${score} from ${walletAddress.slice(0, 8)}...: ${verdict.error}`);
+            return { success: false, error: verdict.error, message: 'Score could not be verified' };
+        }
+
+        const previousBest = await ArcadeScore.getPersonalBest(walletAddress, session.gameId);
+        await ArcadeScore.create({
+            walletAddress,
+            username: player.name || 'Penguin',
+            gameId: session.gameId,
+            score,
+            durationMs: verdict.durationMs,
+        });
+
+        return {
+            success: true,
+            gameId: session.gameId,
+            score,
+            personalBest: Math.max(previousBest, score),
+            isPersonalBest: score > previousBest,
+        };
+    }
+
+    /**
+     * @returns {{ valid: boolean, error?: string, durationMs?: number }}
+     */
+    validateRun(session, score, inputs) {
+        if (!isValidScore(score)) return { valid: false, error: 'INVALID_SCORE' };
+        if (session.rejected) return { valid: false, error: session.rejected };
+
+        const now = this.now();
+        const elapsed = now - session.startedAt;
+        const game = ARCADE_SCORE_GAMES[session.gameId];
+
+        if (game.validation === 'replay') {
+            if (!isValidSnakeInputs(inputs)) return { valid: false, error: 'INVALID_INPUTS' };
+            const replay = replaySnakeRun(session.seed, inputs);
+            if (!replay.valid) return { valid: false, error: replay.error };
+            if (replay.score !== score) return { valid: false, error: 'REPLAY_MISMATCH' };
+            if (replay.durationMs * ARCADE_SCORE_LIMITS.REPLAY_CLOCK_TOLERANCE > elapsed) {
+                return { valid: false, error: 'TOO_FAST' };
+            }
+            return { valid: true, durationMs: replay.durationMs };
+        }
+
+        if (!spendScoreBudget(game, session, score, now)) {
+            return { valid: false, error: 'IMPLAUSIBLE_SCORE' };
+        }
+        return { valid: true, durationMs: elapsed };
+    }
+
+    handlePlayerDisconnect(walletAddress) {
+        if (walletAddress) this.sessions.delete(walletAddress);
+    }
+
+    cleanupExpired() {
+        const now = this.now();
+        for (const [walletAddress, session] of this.sessions) {
+            if (now - session.startedAt > ARCADE_SCORE_LIMITS.SESSION_TTL_MS) {
+                this.sessions.delete(walletAddress);
+            }
+        }
+        for (const [key, at] of this.soloWins) {
+            if (now - at > SOLO_WIN_COOLDOWN_MS) this.soloWins.delete(key);
+        }
+    }
+
+    // ==================== SOLO MINIGAMES ====================
+
+    /**
+     * Whether a client-reported `minigame_complete` win may count toward stats.
+     * Scored arcade games only count through sessions; the rest are throttled per wallet.
+     */
+    canRecordSoloWin(walletAddress, gameId) {
+        if (!walletAddress || !SOLO_MINIGAMES.includes(gameId)) return false;
+
+        const key = `${walletAddress}:${gameId}`;
+        const now = this.now();
+        const last = this.soloWins.get(key);
+        if (last && now - last < SOLO_WIN_COOLDOWN_MS) return false;
+
+        this.soloWins.set(key, now);
+        return true;
+    }
+
+    // ==================== LEADERBOARDS ====================
+
+    /**
+     * Get a game's leaderboard (each wallet's best run in the period)
+     * @param {string} gameId
+     * @param {'daily'|'weekly'|'allTime'} period
+     */
+    async getLeaderboard(gameId, period = 'allTime', limit = ARCADE_SCORE_LIMITS.LEADERBOARD_SIZE) {
+        if (!isArcadeScoreGame(gameId)) return [];
+
+        const since = getLeaderboardPeriodStart(period, this.now());
+        const match = { gameId };
+        if (since) match.createdAt = { $gte: since };
+
+        const bests = await ArcadeScore.aggregate([
+            { $match: match },
+            { $sort: { score: -1, createdAt: 1 } },
+            {
+                $group: {
+                    _id: '$walletAddress',
+                    username: { $first: '$username' },
+                    score: { $first: '$score' },
+                    achievedAt: { $first: '$createdAt' }
+                }
+            },
+            { $sort: { score: -1, achievedAt: 1 } },
+            { $limit: limit }
+        ]);
+
+        return bests.map((entry, index) => ({
+            rank: index + 1,
+            walletAddress: entry._id,
+            username: entry.username,
+            score: entry.score,
+            achievedAt: entry.achievedAt
+        }));
+    }
+}
@@ -8,7 +8,7 @@ import nacl from 'tweetnacl';
 import bs58 from 'bs58';
 import crypto from 'crypto';
 import { SiweMessage } from 'siwe';
-import { User, AuthSession } from '../db/models/index.js';
+import { User, AuthSession, Puffle, Transaction } from '../db/models/index.js';
 import { getReferralService } from './ReferralService.js';
 import UserService from './UserService.js';
 import { STARTING_COINS, GOLD_ECONOMY_VERSION } from '../config/goldEconomy.js';
@@ -20,6 +20,8 @@ import {
 } from '../config/evm.js';
 import { toChecksumAddress } from '../utils/evmAddress.js';
 import { findUserByWallet, canonicalWalletAddress, walletsMatch } from '../utils/walletIdentity.js';
+import { GUEST_WALLET_PREFIX, GUEST_TOKEN_EXPIRY } from '../config/guestAccounts.js';
+import rateLimiter from '../utils/RateLimiter.js';
 
 const userServiceForAuth = new UserService();
 
@@ -43,6 +45,60 @@ const CHALLENGE_EXPIRY_MS = 3 * 60 * 1000;
 const APP_DOMAIN = process.env.APP_DOMAIN || 'clubpengu.com';
 const APP_NAME = 'Club Pengu';
 
+const STARTER_BACKPACK_SLOTS = 5;
+
+function starterGameInventory() {
+    return {
+        columns: 10,
+        displayRows: 6,
+        unlockedSlots: STARTER_BACKPACK_SLOTS,
+        slots: Array.from({ length: STARTER_BACKPACK_SLOTS }, () => ({ itemId: null, quantity: 0, metadata: {} }))
+    };
+}
+
+/**
+ * Anything a merge would overwrite: gold moved off the starting amount, backpack items or
+ * upgrades, onboarding steps, puffles — or an earlier guest merge
+ */
+function hasAccountProgress(user, puffleCount) {
+    if (user.guestMerge?.mergedFrom) return true;
+    if (puffleCount > 0) return true;
+    if ((user.coins ?? 0) !== STARTING_COINS) return true;
+    if ((user.onboardingQuest?.completedSteps?.length || 0) > 0) return true;
+    if ((user.gameInventory?.unlockedSlots || STARTER_BACKPACK_SLOTS) > STARTER_BACKPACK_SLOTS) return true;
+    return (user.gameInventory?.slots || []).some((slot) => slot?.itemId);
+}
+
+/**
+ * Query form of hasAccountProgress (minus puffles, which live in their own collection), so the
+ * merge write only lands on an account that is still untouched at that moment
+ */
+const UNTOUCHED_ACCOUNT_FILTER = {
+    coins: STARTING_COINS,
+    'guestMerge.mergedFrom': null,
+    'onboardingQuest.completedSteps.0': { $exists: false },
+    'gameInventory.unlockedSlots': { $not: { $gt: STARTER_BACKPACK_SLOTS } },
+    'gameInventory.slots': { $not: { $elemMatch: { itemId: { $ne: null } } } }
+};
+
+/** Guest fields the merge claim empties — and a failed merge puts back */
+function guestClaimFields(user) {
+    return {
+        coins: user.coins ?? 0,
+        'gameInventory.slots': user.gameInventory?.slots ?? [],
+        'gameInventory.hotbar': user.gameInventory?.hotbar ?? [null, null, null, null, null]
+    };
+}
+
+function summarizeProgress(user, puffleCount) {
+    return {
+        coins: user.coins || 0,
+        items: (user.gameInventory?.slots || []).filter((slot) => slot?.itemId).length,
+        puffles: puffleCount,
+        questSteps: user.onboardingQuest?.completedSteps?.length || 0
+    };
+}
+
 class AuthService {
     constructor() {
         setInterval(() => this.cleanupExpiredChallenges(), 60000);
@@ -311,12 +367,7 @@ x403 Protocol - Learn more: https://github.com/ByrgerBib/webx403`;
                     customization: clientData.customization || {},
                     coins: STARTING_COINS,
                     goldEconomyVersion: GOLD_ECONOMY_VERSION,
-                    gameInventory: {
-                        columns: 10,
-                        displayRows: 6,
-                        unlockedSlots: 5,
-                        slots: Array.from({ length: 5 }, () => ({ itemId: null, quantity: 0, metadata: {} }))
-                    },
+                    gameInventory: starterGameInventory(),
                     referral: {
                         referralCode: username
                     }
@@ -337,7 +388,6 @@ x403 Protocol - Learn more: https://github.com/ByrgerBib/webx403`;
                     }
                 }
 
-                const Transaction = (await import('../db/models/Transaction.js')).default;
                 await Transaction.record({
                     type: 'starting_bonus',
                     toWallet: normalizedWallet,
@@ -501,6 +551,181 @@ x403 Protocol - Learn more: https://github.com/ByrgerBib/webx403`;
         }
     }
 
+    // ==================== GUEST ACCOUNTS ====================
+
+    generateGuestToken(guestWallet) {
+        return jwt.sign({ guestWallet, kind: 'guest' }, EFFECTIVE_JWT_SECRET, { expiresIn: GUEST_TOKEN_EXPIRY });
+    }
+
+    verifyGuestToken(token) {
+        const result = this.verifyToken(token);
+        if (!result.valid) return result;
+        if (result.data.kind !== 'guest' || !result.data.guestWallet?.startsWith(GUEST_WALLET_PREFIX)) {
+            return { valid: false, error: 'INVALID_TOKEN' };
+        }
+        return { valid: true, guestWallet: result.data.guestWallet };
+    }
+
+    /**
+     * Resume the guest account behind a guest token, or open a new one when the token is missing,
+     * invalid or already merged into a wallet account (new accounts are rate limited per IP)
+     * @returns {Promise<{ token: string, user: object, resumed: boolean } | { error: string, retryAfterMs: number }>}
+     */
+    async startGuestSession(token = null, ipAddress = null) {
+        const claims = token ? this.verifyGuestToken(token) : null;
+        if (claims?.valid) {
+            const guest = await User.findOne({ walletAddress: claims.guestWallet, isGuest: true });
+            if (guest && !guest.guestMerge?.mergedInto) {
+                guest.lastActiveAt = new Date();
+                guest.lastIpAddress = ipAddress;
+                await guest.save();
+                return { token, user: guest, resumed: true };
+            }
+        }
+
+        // Every new guest is a saved account — cap how many one IP can mint
+        const rateCheck = rateLimiter.check('guest_account', ipAddress || 'unknown');
+        if (!rateCheck.allowed) {
+            return { error: 'RATE_LIMITED', retryAfterMs: rateCheck.retryAfterMs };
+        }
+
+        const guestWallet = `${GUEST_WALLET_PREFIX}${crypto.randomBytes(12).toString('hex')}`;
+        const guest = new User({
+            walletAddress: guestWallet,
+            username: `Guest${guestWallet.slice(-10)}`,
+            isGuest: true,
+            coins: STARTING_COINS,
+            goldEconomyVersion: GOLD_ECONOMY_VERSION,
+            gameInventory: starterGameInventory(),
+            lastActiveAt: new Date(),
+            lastIpAddress: ipAddress
+        });
+        await guest.save();
+
+        await Transaction.record({
+            type: 'starting_bonus',
+            toWallet: guestWallet,
+            amount: STARTING_COINS,
+            toBalanceBefore: 0,
+            toBalanceAfter: STARTING_COINS,
+            reason: 'Guest starting bonus'
+        });
+
+        console.log(`👻 New guest account: ${guest.username}`);
+        return { token: this.generateGuestToken(guestWallet), user: guest, resumed: false };
+    }
+
+    async loadGuestMerge(guestWallet, walletAddress, chainId) {
+        const [guest, target] = await Promise.all([
+            User.findOne({ walletAddress: guestWallet, isGuest: true }),
+            this.findUser(walletAddress, chainId)
+        ]);
+        if (!guest || !target || target.isGuest) {
+            return { offer: { available: false, reason: 'USER_NOT_FOUND' } };
+        }
+        if (guest.guestMerge?.mergedInto) {
+            return { offer: { available: false, reason: 'ALREADY_MERGED' } };
+        }
+
+        const [guestPuffles, targetPuffles] = await Promise.all([
+            Puffle.countDocuments({ ownerWallet: guestWallet }),
+            Puffle.countDocuments({ ownerWallet: target.walletAddress })
+        ]);
+        const summary = summarizeProgress(guest, guestPuffles);
+        if (!hasAccountProgress(guest, guestPuffles)) {
+            return { offer: { available: false, reason: 'NO_GUEST_PROGRESS', summary } };
+        }
+        if (hasAccountProgress(target, targetPuffles)) {
+            return { offer: { available: false, reason: 'ACCOUNT_HAS_PROGRESS', summary } };
+        }
+        return { guest, target, offer: { available: true, summary } };
+    }
+
+    /**
+     * Whether a guest's progress can go into this wallet account — only once, and only into an
+     * account with nothing of its own to lose
+     * @returns {Promise<{ available: boolean, reason?: string, summary?: object }>}
+     */
+    async getGuestMergeOffer(guestWallet, walletAddress, chainId = SOLANA_CHAIN_ID) {
+        const { offer } = await this.loadGuestMerge(guestWallet, walletAddress, normalizeChainId(chainId));
+        return offer;
+    }
+
+    /**
+     * Move a guest's gold, backpack, fishing progress, onboarding quest and puffles into a wallet
+     * account. The guest is claimed first so it can only be merged once; the wallet account only
+     * takes it while it still has no progress (its starting gold is replaced by the guest's,
+     * which began from the same amount).
+     * @returns {Promise<{ success: boolean, error?: string, user?: object, summary?: object }>}
+     */
+    async mergeGuestIntoUser(guestWallet, walletAddress, chainId = SOLANA_CHAIN_ID) {
+        const { guest, target, offer } = await this.loadGuestMerge(guestWallet, walletAddress, normalizeChainId(chainId));
+        if (!offer.available) {
+            return { success: false, error: offer.reason };
+        }
+
+        const mergedAt = new Date();
+        const claimed = await User.findOneAndUpdate(
+            { _id: guest._id, 'guestMerge.mergedInto': null },
+            {
+                $set: {
+                    'guestMerge.mergedInto': target.walletAddress,
+                    'guestMerge.mergedAt': mergedAt,
+                    ...guestClaimFields({})
+                }
+            }
+        ).lean();
+        if (!claimed) {
+            return { success: false, error: 'ALREADY_MERGED' };
+        }
+
+        const merged = await User.findOneAndUpdate(
+            { _id: target._id, ...UNTOUCHED_ACCOUNT_FILTER },
+            {
+                $set: {
+                    coins: claimed.coins,
+                    gameInventory: claimed.gameInventory,
+                    fishingProgress: claimed.fishingProgress,
+                    onboardingQuest: claimed.onboardingQuest,
+                    'guestMerge.mergedFrom': guestWallet,
+                    'guestMerge.mergedAt': mergedAt
+                }
+            },
+            { new: true }
+        );
+        if (!merged) {
+            // The account changed since the offer — hand the guest its progress back
+            await User.updateOne(
+                { _id: guest._id, 'guestMerge.mergedInto': target.walletAddress, 'guestMerge.mergedAt': mergedAt },
+                {
+                    $set: {
+                        'guestMerge.mergedInto': null,
+                        'guestMerge.mergedAt': claimed.guestMerge?.mergedAt ?? null,
+                        ...guestClaimFields(claimed)
+                    }
+                }
+            );
+            return { success: false, error: 'ACCOUNT_HAS_PROGRESS' };
+        }
+
+        await Puffle.updateMany({ ownerWallet: guestWallet }, { $set: { ownerWallet: merged.walletAddress } });
+
+        await Transaction.record({
+            type: 'guest_merge',
+            fromWallet: guestWallet,
+            toWallet: merged.walletAddress,
+            amount: claimed.coins,
+            fromBalanceBefore: claimed.coins,
+            fromBalanceAfter: 0,
+            toBalanceBefore: target.coins,
+            toBalanceAfter: merged.coins,
+            reason: `Guest progress merged (${offer.summary.items} items, ${offer.summary.puffles} puffles)`
+        });
+
+        console.log(`👻 Guest ${claimed.username} merged into ${merged.username} (${merged.walletAddress.slice(0, 8)}...)`);
+        return { success: true, user: merged, summary: offer.summary };
+    }
+
     async isWalletBanned(walletAddress, chainId = SOLANA_CHAIN_ID) {
         const user = await this.findUser(walletAddress, chainId);
         if (!user) return false;
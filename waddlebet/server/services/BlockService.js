@@ -0,0 +1,155 @@
+/**
+ * BlockService - Per-player block lists (server authority).
+ * Lists live on `User.blockedWallets`; online players' lists are cached so chat fan-out
+ * and whisper routing can check blocks without a database round-trip.
+ * A block works both ways: neither side can whisper, challenge, gift or tip the other.
+ */
+
+import User from '../db/models/User.js';
+import { BLOCK_LIMITS } from '../config/blocks.js';
+
+export default class BlockService {
+    /**
+     * @param {(playerId: string, payload: object) => void} sendToPlayer
+     * @param {(walletAddress: string) => object | null} getPlayerByWallet - live player state object
+     * @param {import('./FriendService.js').default} [friendService] - friendships are dropped on block
+     */
+    constructor(sendToPlayer, getPlayerByWallet, friendService = null) {
+        this.sendToPlayer = sendToPlayer;
+        this.getPlayerByWallet = getPlayerByWallet;
+        this.friendService = friendService;
+
+        /** walletAddress -> Map(blockedWallet -> { walletAddress, username, blockedAt }) (online players only) */
+        this.blockCache = new Map();
+    }
+
+    // ==================== QUERIES ====================
+
+    /**
+     * @returns {Promise<{ walletAddress: string, username: string|null, blockedAt: Date }[]>}
+     */
+    async getBlocked(walletAddress) {
+        const cached = this.blockCache.get(walletAddress);
+        if (cached) return [...cached.values()];
+        const user = await User.findOne({ walletAddress }, 'blockedWallets');
+        return (user?.blockedWallets || []).map((entry) => ({
+            walletAddress: entry.walletAddress,
+            username: entry.username || null,
+            blockedAt: entry.blockedAt,
+        }));
+    }
+
+    /** Has `blockerWallet` blocked `targetWallet`? */
+    async hasBlocked(blockerWallet, targetWallet) {
+        if (!blockerWallet || !targetWallet) return false;
+        const cached = this.blockCache.get(blockerWallet);
+        if (cached) return cached.has(targetWallet);
+        return !!(await User.exists({ walletAddress: blockerWallet, 'blockedWallets.walletAddress': targetWallet }));
+    }
+
+    /** True when either wallet has blocked the other. Guests (no wallet) are never blocked. */
+    async isBlockedBetween(walletA, walletB) {
+        if (!walletA || !walletB || walletA === walletB) return false;
+        const [aBlockedB, bBlockedA] = await Promise.all([
+            this.hasBlocked(walletA, walletB),
+            this.hasBlocked(walletB, walletA),
+        ]);
+        return aBlockedB || bBlockedA;
+    }
+
+    /** Cache-only variant of isBlockedBetween for hot paths where both players are online. */
+    isBlockedBetweenCached(walletA, walletB) {
+        if (!walletA || !walletB) return false;
+        return !!(this.blockCache.get(walletA)?.has(walletB) || this.blockCache.get(walletB)?.has(walletA));
+    }
+
+    /**
+     * Online wallets on either side of a block with `walletAddress` — used to filter chat.
+     * @returns {Set<string>}
+     */
+    getBlockedPeers(walletAddress) {
+        const peers = new Set();
+        if (!walletAddress) return peers;
+        for (const wallet of this.blockCache.get(walletAddress)?.keys() || []) {
+            peers.add(wallet);
+        }
+        for (const [blocker, blocked] of this.blockCache) {
+            if (blocked.has(walletAddress)) peers.add(blocker);
+        }
+        return peers;
+    }
+
+    // ==================== MUTATIONS ====================
+
+    /**
+     * @param {string} walletAddress - blocker
+     * @param {{ walletAddress: string, username?: string } | null} target
+     */
+    async block(walletAddress, target) {
+        if (!walletAddress) {
+            return { success: false, error: 'NOT_AUTHENTICATED', message: 'Connect a wallet to block players' };
+        }
+        if (!target?.walletAddress) {
+            return { success: false, error: 'TARGET_NOT_FOUND', message: 'Guests cannot be blocked — mute them instead' };
+        }
+        if (target.walletAddress === walletAddress) {
+            return { success: false, error: 'INVALID_TARGET', message: 'You cannot block yourself' };
+        }
+
+        const blocked = await this.getBlocked(walletAddress);
+        if (blocked.some((entry) => entry.walletAddress === target.walletAddress)) {
+            return { success: false, error: 'ALREADY_BLOCKED', message: `${target.username || 'That player'} is already blocked` };
+        }
+        if (blocked.length >= BLOCK_LIMITS.MAX_BLOCKED) {
+            return { success: false, error: 'BLOCK_LIMIT', message: `You can block at most ${BLOCK_LIMITS.MAX_BLOCKED} players` };
+        }
+
+        const entry = { walletAddress: target.walletAddress, username: target.username || null, blockedAt: new Date() };
+        await User.updateOne(
+            { walletAddress, 'blockedWallets.walletAddress': { $ne: target.walletAddress } },
+            { $push: { blockedWallets: entry } }
+        );
+        this.blockCache.get(walletAddress)?.set(target.walletAddress, entry);
+
+        // Blocking ends any friendship or pending request between the pair
+        const unfriended = this.friendService
+            ? await this.friendService.removePair(walletAddress, target.walletAddress)
+            : false;
+
+        return { success: true, unfriended };
+    }
+
+    async unblock(walletAddress, targetWallet) {
+        const result = await User.updateOne(
+            { walletAddress, 'blockedWallets.walletAddress': targetWallet },
+            { $pull: { blockedWallets: { walletAddress: targetWallet } } }
+        );
+        if (!result?.modifiedCount) {
+            return { success: false, error: 'NOT_BLOCKED', message: 'That player is not blocked' };
+        }
+        this.blockCache.get(walletAddress)?.delete(targetWallet);
+        return { success: true };
+    }
+
+    // ==================== ONLINE SYNC ====================
+
+    async sendState(walletAddress) {
+        const player = this.getPlayerByWallet(walletAddress);
+        if (!player) return;
+        this.sendToPlayer(player.id, { type: 'block_state', blocked: await this.getBlocked(walletAddress) });
+    }
+
+    /**
+     * Cache an authenticated player's block list and send `block_state`.
+     */
+    async loadPlayer(walletAddress) {
+        this.blockCache.delete(walletAddress);
+        const blocked = await this.getBlocked(walletAddress);
+        this.blockCache.set(walletAddress, new Map(blocked.map((entry) => [entry.walletAddress, entry])));
+        await this.sendState(walletAddress);
+    }
+
+    unloadPlayer(walletAddress) {
+        if (walletAddress) this.blockCache.delete(walletAddress);
+    }
+}
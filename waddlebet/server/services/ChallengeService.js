@@ -27,6 +27,7 @@ class ChallengeService {
         this.inboxService = inboxService;
         this.statsService = statsService;
         this.custodialWalletService = null; // Injected later to avoid circular deps
+        this.blockService = null; // Injected later to avoid circular deps
         
         // In-memory challenges for fast lookup (synced with DB)
         this.challenges = new Map(); // challengeId -> challenge
@@ -42,6 +43,13 @@ class ChallengeService {
         this.custodialWalletService = service;
     }
 
+    /**
+     * Inject block service (called after initialization to avoid circular deps)
+     */
+    setBlockService(service) {
+        this.blockService = service;
+    }
+
     /**
      * Create a new challenge
      * @param {object} challenger - Challenger player data (with wallet)
@@ -65,6 +73,11 @@ class ChallengeService {
             }
         }
 
+        // Either player blocking the other stops challenges both ways
+        if (await this.blockService?.isBlockedBetween(challenger.walletAddress, target.walletAddress)) {
+            return { error: 'BLOCKED', message: 'You cannot challenge this player' };
+        }
+
         // Check for existing challenge between these players
         if (challenger.walletAddress && target.walletAddress) {
             const existing = await Challenge.findExistingBetween(
@@ -145,7 +158,8 @@ class ChallengeService {
             challenger.name,
             normalizedGameType,
             wagerAmount,
-            hasTokenWager ? challengeData.wagerToken : null  // Pass token wager (x402)
+            hasTokenWager ? challengeData.wagerToken : null,  // Pass token wager (x402)
+            challenger.walletAddress || null
         );
 
         // Record stats
@@ -261,7 +275,7 @@ class ChallengeService {
             'challenge_response',
             'Challenge Declined',
             `${challenge.targetName} declined your ${challenge.gameType} challenge.`,
-            { challengeId, response: 'declined' }
+            { challengeId, response: 'declined', fromWallet: challenge.targetWallet || null }
         );
 
         console.log(`❌ Challenge declined: ${challenge.challengerName} vs ${challenge.targetName}`);
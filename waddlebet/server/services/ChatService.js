@@ -4,6 +4,7 @@
 
 import ChatMessage from '../db/models/ChatMessage.js';
 import { connectDB } from '../db/connection.js';
+import { guildChatScopeKey } from '../config/guilds.js';
 
 export const MAX_MESSAGES_PER_SCOPE = 1000;
 
@@ -60,6 +61,7 @@ class ChatService {
         whisperFrom = null,
         whisperTo = null,
         senderId = 'system',
+        senderWallet = null,
         senderName,
         text,
         metadata = {}
@@ -74,6 +76,7 @@ class ChatService {
             whisperFrom,
             whisperTo,
             senderId,
+            senderWallet,
             senderName,
             text,
             metadata,
@@ -148,12 +151,34 @@ class ChatService {
         return docs.reverse();
     }
 
-    async getLoginHistory(walletAddress, roomId, playerName) {
+    /**
+     * Most recent lines between two wallets: whispers they exchanged plus anything either
+     * said in room, global or guild chat. Returned oldest-first.
+     */
+    async getConversationContext(walletA, walletB, limit = 25) {
+        if (!this.isDbReady() || !walletA || !walletB) return [];
+
+        const docs = await ChatMessage.find({
+            $or: [
+                { channel: 'whisper', whisperFrom: walletA, whisperTo: walletB },
+                { channel: 'whisper', whisperFrom: walletB, whisperTo: walletA },
+                { channel: { $in: ['room', 'global', 'guild'] }, senderWallet: { $in: [walletA, walletB] } }
+            ]
+        })
+            .sort({ timestamp: -1 })
+            .limit(limit)
+            .lean();
+
+        return docs.reverse();
+    }
+
+    async getLoginHistory(walletAddress, roomId, playerName, guildId = null) {
         await connectDB().catch(() => {});
 
-        const [globalMsgs, roomMsgs, casinoMsgs, announcementMsgs, marketMsgs, whisperMsgs] = await Promise.all([
+        const [globalMsgs, roomMsgs, guildMsgs, casinoMsgs, announcementMsgs, marketMsgs, whisperMsgs] = await Promise.all([
             this.getScopeHistory('global', 'global'),
             roomId ? this.getScopeHistory('room', roomId) : Promise.resolve([]),
+            guildId ? this.getScopeHistory('guild', guildChatScopeKey(guildId)) : Promise.resolve([]),
             this.getScopeHistory('casino', 'casino'),
             this.getScopeHistory('announcement', 'announcements'),
             this.getScopeHistory('market', 'market'),
@@ -163,7 +188,7 @@ class ChatService {
         return {
             global: globalMsgs,
             room: roomMsgs,
-            guild: [],
+            guild: guildMsgs,
             whisper: whisperMsgs,
             casino: casinoMsgs,
             announcement: announcementMsgs,
@@ -171,10 +196,22 @@ class ChatService {
         };
     }
 
-    formatHistoryForPlayer(history, playerId, walletAddress) {
+    /**
+     * Drop messages sent by (or whispers exchanged with) wallets on the viewer's block list.
+     * @param {object[]} docs
+     * @param {Set<string>} [hiddenWallets]
+     */
+    filterBlocked(docs, hiddenWallets = null) {
+        if (!hiddenWallets?.size) return docs;
+        return docs.filter((doc) =>
+            ![doc.senderWallet, doc.whisperFrom, doc.whisperTo].some((wallet) => wallet && hiddenWallets.has(wallet))
+        );
+    }
+
+    formatHistoryForPlayer(history, playerId, walletAddress, hiddenWallets = null) {
         const formatted = {};
         for (const [channel, docs] of Object.entries(history)) {
-            formatted[channel] = (docs || []).map((doc) =>
+            formatted[channel] = this.filterBlocked(docs || [], hiddenWallets).map((doc) =>
                 this.toClientPayload(doc, playerId)
             );
         }
@@ -0,0 +1,182 @@
+/**
+ * CraftingService — server-authoritative woodworking bench.
+ * Starting a craft takes the recipe inputs from the backpack and puts the craft on the bench
+ * (User.craftingProgress.activeCraft); once its time is up the player collects the output and the
+ * crafting XP. One craft runs at a time and survives logging out.
+ */
+
+import { User } from '../db/models/index.js';
+import {
+    CRAFTING_BENCH,
+    getCraftingRecipe,
+    getCraftingLevel,
+    getNextCraftingLevelXp,
+    isPlayerNearCraftingBench,
+} from '../config/crafting.js';
+
+class CraftingService {
+    /**
+     * @param {import('./UserService.js').default} userService
+     * @param {import('./GameInventoryService.js').default} gameInventoryService
+     */
+    constructor(userService, gameInventoryService) {
+        this.userService = userService;
+        this.gameInventoryService = gameInventoryService;
+    }
+
+    /**
+     * Crafting level/XP and whatever is on the bench
+     * @param {object|null} user
+     */
+    buildStatus(user) {
+        const progress = user?.craftingProgress || {};
+        const skillXp = progress.skillXp || 0;
+        const active = progress.activeCraft;
+        return {
+            skillXp,
+            skillLevel: getCraftingLevel(skillXp),
+            nextLevelXp: getNextCraftingLevelXp(skillXp),
+            totalCrafts: progress.totalCrafts || 0,
+            activeCraft: active?.recipeId
+                ? {
+                    recipeId: active.recipeId,
+                    startedAt: new Date(active.startedAt).getTime(),
+                    readyAt: new Date(active.readyAt).getTime(),
+                }
+                : null,
+        };
+    }
+
+    async getStatus(walletAddress) {
+        const user = await this.userService.getUser(walletAddress);
+        if (!user) return { error: 'USER_NOT_FOUND' };
+        return { success: true, status: this.buildStatus(user) };
+    }
+
+    /**
+     * Take a recipe's inputs and start it on the bench
+     * @param {string} walletAddress
+     * @param {string} recipeId
+     * @param {{ room?: string, x?: number, z?: number }} position - player's position, checked against the bench
+     */
+    async startCraft(walletAddress, recipeId, position) {
+        const recipe = getCraftingRecipe(recipeId);
+        if (!recipe) return { error: 'UNKNOWN_RECIPE', message: 'Unknown recipe' };
+        if (!isPlayerNearCraftingBench(position?.room, position)) {
+            return { error: 'TOO_FAR', message: `You need to be at the ${CRAFTING_BENCH.name}` };
+        }
+
+        const user = await this.userService.getUser(walletAddress);
+        if (!user) return { error: 'USER_NOT_FOUND' };
+        const level = getCraftingLevel(user.craftingProgress?.skillXp || 0);
+        if (level < recipe.minLevel) {
+            return { error: 'LEVEL_TOO_LOW', message: `Requires crafting level ${recipe.minLevel}` };
+        }
+
+        // Claim the bench before touching the backpack so two starts can't both take materials
+        const now = Date.now();
+        const activeCraft = {
+            recipeId: recipe.id,
+            startedAt: new Date(now),
+            readyAt: new Date(now + recipe.durationMs),
+        };
+        const claimed = await User.findOneAndUpdate(
+            { walletAddress, 'craftingProgress.activeCraft': null },
+            { $set: { 'craftingProgress.activeCraft': activeCraft } },
+            { new: true }
+        );
+        if (!claimed) {
+            return { error: 'BENCH_BUSY', message: 'Collect your current craft first' };
+        }
+
+        const removed = await this.gameInventoryService.removeCraftingInputs(walletAddress, recipe.inputs);
+        if (removed.error) {
+            await User.findOneAndUpdate(
+                { walletAddress, 'craftingProgress.activeCraft.startedAt': activeCraft.startedAt },
+                { $set: { 'craftingProgress.activeCraft': null } }
+            );
+            return { error: removed.error, message: removed.message || 'Missing materials' };
+        }
+
+        return {
+            success: true,
+            recipeId: recipe.id,
+            inventory: removed.inventory,
+            status: this.buildStatus(claimed),
+        };
+    }
+
+    /**
+     * Collect a finished craft: the output goes to the backpack and the XP to craftingProgress
+     * @param {string} walletAddress
+     * @param {{ room?: string, x?: number, z?: number }} position
+     */
+    async collectCraft(walletAddress, position) {
+        if (!isPlayerNearCraftingBench(position?.room, position)) {
+            return { error: 'TOO_FAR', message: `You need to be at the ${CRAFTING_BENCH.name}` };
+        }
+
+        const user = await this.userService.getUser(walletAddress);
+        if (!user) return { error: 'USER_NOT_FOUND' };
+        const active = user.craftingProgress?.activeCraft;
+        const recipe = active?.recipeId ? getCraftingRecipe(active.recipeId) : null;
+        if (!recipe) return { error: 'NOTHING_TO_COLLECT', message: 'Nothing is on the bench' };
+        if (Date.now() < new Date(active.readyAt).getTime()) {
+            return { error: 'NOT_READY', message: 'Still crafting…' };
+        }
+
+        const fits = await this.gameInventoryService.canAddItem(walletAddress, recipe.output.itemId, recipe.output.quantity);
+        if (!fits.ok) {
+            return { error: 'INVENTORY_FULL', message: 'Backpack is full — make space before collecting' };
+        }
+
+        // Clear the bench first; only the request that clears it hands out the output
+        const previousXp = user.craftingProgress?.skillXp || 0;
+        const previousCrafts = user.craftingProgress?.totalCrafts || 0;
+        const skillXp = previousXp + recipe.xp;
+        const cleared = await User.findOneAndUpdate(
+            { walletAddress, 'craftingProgress.activeCraft.startedAt': active.startedAt },
+            {
+                $set: {
+                    'craftingProgress.activeCraft': null,
+                    'craftingProgress.skillXp': skillXp,
+                    'craftingProgress.skillLevel': getCraftingLevel(skillXp),
+                    'craftingProgress.totalCrafts': previousCrafts + 1,
+                },
+            },
+            { new: true }
+        );
+        if (!cleared) return { error: 'NOTHING_TO_COLLECT', message: 'Nothing is on the bench' };
+
+        const added = await this.gameInventoryService.addItem(walletAddress, recipe.output.itemId, recipe.output.quantity);
+        if (added.error) {
+            // Put the craft back so the output isn't lost
+            await User.findOneAndUpdate(
+                { walletAddress, 'craftingProgress.activeCraft': null },
+                {
+                    $set: {
+                        'craftingProgress.activeCraft': active,
+                        'craftingProgress.skillXp': previousXp,
+                        'craftingProgress.skillLevel': getCraftingLevel(previousXp),
+                        'craftingProgress.totalCrafts': previousCrafts,
+                    },
+                }
+            );
+            return { error: added.error, message: added.message || 'Could not collect the craft' };
+        }
+
+        const status = this.buildStatus(cleared);
+        return {
+            success: true,
+            recipeId: recipe.id,
+            itemId: recipe.output.itemId,
+            quantity: recipe.output.quantity,
+            xpGained: recipe.xp,
+            leveledUp: status.skillLevel > getCraftingLevel(previousXp),
+            inventory: added.inventory,
+            status,
+        };
+    }
+}
+
+export default CraftingService;
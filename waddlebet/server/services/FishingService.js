@@ -39,10 +39,34 @@ class FishingService {
         this.broadcastToRoom = broadcastToRoom;
         this.sendToPlayer = sendToPlayer;
         this.fishingHoleService = fishingHoleService;
+        this.stampService = null; // Injected later to avoid circular deps
+        this.weatherService = null; // Injected later (blizzard rare-fish bonus)
+        this.worldEventService = null; // Injected later (Fish Frenzy bonus + contribution)
         /** @type {Map<string, object>} */
         this.sessions = new Map();
     }
 
+    /**
+     * Inject stamp service (called after initialization to avoid circular deps)
+     */
+    setStampService(service) {
+        this.stampService = service;
+    }
+
+    /**
+     * Inject weather service (catch rolls pick up the room's tier bias bonus)
+     */
+    setWeatherService(service) {
+        this.weatherService = service;
+    }
+
+    /**
+     * Inject world event service (Fish Frenzy tier bias; catches count toward running events)
+     */
+    setWorldEventService(service) {
+        this.worldEventService = service;
+    }
+
     _createSession(playerId, spotId, room, isDemo, rodItemId = 'basic_rod', catchConfig = null) {
         const sessionId = crypto.randomUUID();
         this.sessions.set(playerId, {
@@ -146,9 +170,6 @@ class FishingService {
                 return baitRemoved;
             }
 
-            const userFresh = await this.userService.getUser(walletAddress);
-            newBalance = userFresh?.coins ?? user.coins ?? 0;
-
             const damageResult = await this.gameInventoryService.damageEquippedRod(walletAddress);
             if (damageResult.broken) {
                 return {
@@ -158,6 +179,10 @@ class FishingService {
                 };
             }
 
+            // After the rod wear so an auto-repair's gold shows in the balance
+            const userFresh = await this.userService.getUser(walletAddress);
+            newBalance = userFresh?.coins ?? user.coins ?? 0;
+
             const sessionId = this._createSession(playerId, spotId, room, false, rodItemId, catchConfig);
 
             const holeStatus = this.fishingHoleService?.getPublicState(spotId) ?? null;
@@ -172,6 +197,8 @@ class FishingService {
                 baitCost: FISHING_BAIT_PER_CAST,
                 baitItemId: FISHING_BAIT_ITEM,
                 holeStatus,
+                rodAutoRepaired: damageResult.autoRepaired === true,
+                rodRepairGold: damageResult.repair?.goldSpent ?? null,
                 isDemo: false
             };
         }
@@ -249,7 +276,11 @@ class FishingService {
             depth,
             rodItemId,
             session.catchConfig,
-            this.fishingHoleService?.getAvailableTiers(session.spotId)
+            this.fishingHoleService?.getAvailableTiers(session.spotId),
+            {
+                tierBiasBonus: (this.weatherService?.getFishingTierBiasBonus(session.room) ?? 0)
+                    + (this.worldEventService?.getFishingTierBiasBonus(session.room) ?? 0)
+            }
         );
         const effectiveDepth = Math.max(0, (Number(depth) || 0) + (session.catchConfig?.catchDepthBonusM || getRodCatchConfig(rodItemId).catchDepthBonusM || 0));
 
@@ -387,6 +418,9 @@ class FishingService {
             } else {
                 inventoryAdded = true;
                 inventory = addResult.inventory;
+                this.stampService?.recordFishCatch(walletAddress, fishId, fish.rarity)
+                    .catch((err) => console.error('[FISHING] stamp progress:', err.message));
+                this.worldEventService?.recordActivity(walletAddress, 'fish_catch', room);
                 const user = await this.userService.getUser(walletAddress);
                 newBalance = user?.coins ?? guestBalance;
                 console.log(`[FISHING] backpack add OK player=${playerName} fish=${fishId} usedSlots=${inventory?.usedSlots ?? '?'} slot0=${inventory?.slots?.[0]?.itemId || 'empty'}`);
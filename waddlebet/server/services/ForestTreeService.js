@@ -52,10 +52,14 @@ class ForestTreeService {
                 regrowAt: null,
                 stageSince: computeInitialStageSince(def),
                 choppingBy: null,
-                chopStartedAt: null
+                chopStartedAt: null,
+                // Golden Trees world event (in memory only; the event re-rolls on restart)
+                golden: false
             });
         }
         this._loadedFromDb = false;
+        /** Last tick time per growth timer, for weather slowdown */
+        this._lastGrowthTickAt = { regrowth: null, maturation: null };
     }
 
     /**
@@ -147,8 +151,24 @@ class ForestTreeService {
         tree.stageSince = Date.now();
     }
 
-    async tickRegrowth() {
+    /**
+     * Weather slowdown (fog) — time since the last tick only counts at `growthRate`, so the
+     * timers are pushed back by the rest. Held in memory only; a restart forgives the delay.
+     */
+    _growthDelayMs(timer, now, growthRate) {
+        const last = this._lastGrowthTickAt[timer];
+        this._lastGrowthTickAt[timer] = now;
+        if (last == null || growthRate >= 1) return 0;
+        return (now - last) * (1 - Math.max(0, growthRate));
+    }
+
+    /**
+     * @param {number} [growthRate=1] - WeatherService.getTreeGrowthRate('forest_trails')
+     * @returns {Promise<string[]>} tree ids that regrew
+     */
+    async tickRegrowth(growthRate = 1) {
         const now = Date.now();
+        const delayMs = this._growthDelayMs('regrowth', now, growthRate);
         const regrown = [];
 
         for (const tree of this.trees.values()) {
@@ -160,6 +180,8 @@ class ForestTreeService {
                 continue;
             }
 
+            tree.regrowAt += delayMs;
+
             if (now >= tree.regrowAt) {
                 this._regrowTree(tree);
                 regrown.push(tree.id);
@@ -172,10 +194,12 @@ class ForestTreeService {
 
     /**
      * Passive maturation — ready trees advance one stage after STAGE_GROWTH_MS at their current stage.
+     * @param {number} [growthRate=1] - WeatherService.getTreeGrowthRate('forest_trails')
      * @returns {Promise<string[]>} tree ids that advanced a stage
      */
-    async tickMaturation() {
+    async tickMaturation(growthRate = 1) {
         const now = Date.now();
+        const delayMs = this._growthDelayMs('maturation', now, growthRate);
         const updated = [];
         const growthMs = FOREST_MATURATION.STAGE_GROWTH_MS;
 
@@ -186,6 +210,7 @@ class ForestTreeService {
                 tree.stageSince = now;
                 continue;
             }
+            tree.stageSince += delayMs;
 
             const required = growthMs[tree.stage];
             if (!required || now - tree.stageSince < required) continue;
@@ -214,7 +239,8 @@ class ForestTreeService {
             stage: t.stage,
             state: t.state,
             regrowAt: t.regrowAt,
-            choppingBy: t.choppingBy
+            choppingBy: t.choppingBy,
+            golden: t.golden
         }));
     }
 
@@ -273,6 +299,7 @@ class ForestTreeService {
         tree.regrowAt = snapshot.regrowAt;
         tree.choppingBy = snapshot.choppingBy ?? null;
         tree.chopStartedAt = snapshot.chopStartedAt ?? null;
+        tree.golden = snapshot.golden ?? false;
 
         await this.persistTree(treeId);
         return this.getTreePublicState(treeId);
@@ -303,7 +330,8 @@ class ForestTreeService {
             stage: tree.stage,
             regrowAt: tree.regrowAt,
             choppingBy: tree.choppingBy,
-            chopStartedAt: tree.chopStartedAt
+            chopStartedAt: tree.chopStartedAt,
+            golden: tree.golden
         };
 
         tree.state = 'harvested';
@@ -312,6 +340,7 @@ class ForestTreeService {
         tree.stageSince = null;
         tree.choppingBy = null;
         tree.chopStartedAt = null;
+        tree.golden = false;
 
         await this.persistTree(treeId);
 
@@ -327,10 +356,40 @@ class ForestTreeService {
             chopDurationMs: stageCfg.chopDurationMs,
             chopMode: mode,
             woodMultiplier: woodMult,
+            golden: preHarvest.golden,
             preHarvest
         };
     }
 
+    /**
+     * Turn up to `count` random ready trees golden (Golden Trees world event).
+     * @returns {object[]} public states of the trees that changed
+     */
+    setGoldenTrees(count, random = Math.random) {
+        const candidates = Array.from(this.trees.values()).filter(t => t.state === 'ready' && !t.golden);
+        const changed = [];
+        while (changed.length < count && candidates.length) {
+            const [tree] = candidates.splice(Math.floor(random() * candidates.length), 1);
+            tree.golden = true;
+            changed.push(this.getTreePublicState(tree.id));
+        }
+        return changed;
+    }
+
+    /**
+     * Return every golden tree to normal (event over).
+     * @returns {object[]} public states of the trees that changed
+     */
+    clearGoldenTrees() {
+        const changed = [];
+        for (const tree of this.trees.values()) {
+            if (!tree.golden) continue;
+            tree.golden = false;
+            changed.push(this.getTreePublicState(tree.id));
+        }
+        return changed;
+    }
+
     getTreePublicState(treeId) {
         const tree = this.getTree(treeId);
         if (!tree) return null;
@@ -341,7 +400,8 @@ class ForestTreeService {
             stage: tree.stage,
             state: tree.state,
             regrowAt: tree.regrowAt,
-            choppingBy: tree.choppingBy
+            choppingBy: tree.choppingBy,
+            golden: tree.golden
         };
     }
 
@@ -0,0 +1,292 @@
+/**
+ * FriendService - Friend requests, friend list and online presence (server authority).
+ * Accepted friend wallets are cached per online player so room changes can push
+ * `friend_presence` without a database round-trip.
+ */
+
+import Friendship from '../db/models/Friendship.js';
+import User from '../db/models/User.js';
+import { FRIEND_LIMITS, FRIEND_JOIN_OFFSET, friendPairKey } from '../config/friends.js';
+import { getFerryRoute, getRoomRegion, isTravelLobbyRoom } from '../config/travel.js';
+
+export default class FriendService {
+    /**
+     * @param {(playerId: string, payload: object) => void} sendToPlayer
+     * @param {(walletAddress: string) => object | null} getPlayerByWallet - live player state object
+     */
+    constructor(sendToPlayer, getPlayerByWallet) {
+        this.sendToPlayer = sendToPlayer;
+        this.getPlayerByWallet = getPlayerByWallet;
+        this.blockService = null; // Injected later — BlockService depends on this service
+
+        /** walletAddress -> Set of accepted friend wallets (online players only) */
+        this.friendCache = new Map();
+    }
+
+    /**
+     * Inject block service (called after initialization to avoid circular deps)
+     */
+    setBlockService(service) {
+        this.blockService = service;
+    }
+
+    // ==================== QUERIES ====================
+
+    toPresence(walletAddress, fallbackName = null) {
+        const player = this.getPlayerByWallet(walletAddress);
+        return {
+            walletAddress,
+            username: player?.name || fallbackName,
+            online: !!player,
+            room: player?.room || null,
+        };
+    }
+
+    /**
+     * @returns {Promise<{ friends: object[], incoming: object[], outgoing: object[] }>}
+     */
+    async getState(walletAddress) {
+        const docs = await Friendship.findForWallet(walletAddress);
+        const others = docs.map((doc) => doc.otherWallet(walletAddress));
+        const users = others.length > 0
+            ? await User.find({ walletAddress: { $in: others } }, 'walletAddress username')
+            : [];
+        const names = new Map(users.map((u) => [u.walletAddress, u.username]));
+
+        const friends = [];
+        const incoming = [];
+        const outgoing = [];
+        for (const doc of docs) {
+            const other = doc.otherWallet(walletAddress);
+            if (doc.status === 'accepted') {
+                friends.push(this.toPresence(other, names.get(other)));
+            } else {
+                const entry = { walletAddress: other, username: names.get(other) || null, createdAt: doc.createdAt };
+                (doc.recipientWallet === walletAddress ? incoming : outgoing).push(entry);
+            }
+        }
+        friends.sort((a, b) => (b.online - a.online) || String(a.username).localeCompare(String(b.username)));
+
+        return { friends, incoming, outgoing };
+    }
+
+    async areFriends(walletA, walletB) {
+        const cached = this.friendCache.get(walletA);
+        if (cached) return cached.has(walletB);
+        const doc = await Friendship.findBetween(walletA, walletB);
+        return doc?.status === 'accepted';
+    }
+
+    /**
+     * Resolve an offline player by exact username.
+     * @returns {Promise<{ walletAddress: string, username: string } | null>}
+     */
+    async findUserByName(username) {
+        if (typeof username !== 'string' || !username.trim()) return null;
+        const user = await User.findOne({ username: username.trim() });
+        return user ? { walletAddress: user.walletAddress, username: user.username } : null;
+    }
+
+    // ==================== MUTATIONS ====================
+
+    async sendRequest(walletAddress, target) {
+        if (!walletAddress) {
+            return { success: false, error: 'NOT_AUTHENTICATED', message: 'Connect a wallet to add friends' };
+        }
+        if (!target?.walletAddress) {
+            return { success: false, error: 'TARGET_NOT_FOUND', message: 'No player with that name' };
+        }
+        if (target.walletAddress === walletAddress) {
+            return { success: false, error: 'INVALID_TARGET', message: 'You cannot add yourself' };
+        }
+        if (await this.blockService?.isBlockedBetween(walletAddress, target.walletAddress)) {
+            return { success: false, error: 'BLOCKED', message: `You cannot add ${target.username}` };
+        }
+
+        const existing = await Friendship.findBetween(walletAddress, target.walletAddress);
+        if (existing?.status === 'accepted') {
+            return { success: false, error: 'ALREADY_FRIENDS', message: `${target.username} is already your friend` };
+        }
+        if (existing) {
+            // They already asked us — treat the request as an accept
+            if (existing.recipientWallet === walletAddress) {
+                return this.accept(walletAddress, target.walletAddress);
+            }
+            return { success: false, error: 'REQUEST_PENDING', message: `You already sent ${target.username} a request` };
+        }
+
+        if (await this.countFriends(walletAddress) >= FRIEND_LIMITS.MAX_FRIENDS) {
+            return { success: false, error: 'FRIEND_LIMIT', message: `You can have at most ${FRIEND_LIMITS.MAX_FRIENDS} friends` };
+        }
+        const pendingOut = await Friendship.countDocuments({ requesterWallet: walletAddress, status: 'pending' });
+        if (pendingOut >= FRIEND_LIMITS.MAX_PENDING_OUTGOING) {
+            return { success: false, error: 'TOO_MANY_PENDING', message: 'Too many friend requests waiting — try again later' };
+        }
+
+        await Friendship.create({
+            pairKey: friendPairKey(walletAddress, target.walletAddress),
+            requesterWallet: walletAddress,
+            recipientWallet: target.walletAddress,
+        });
+
+        return { success: true, accepted: false };
+    }
+
+    async accept(walletAddress, requesterWallet) {
+        const doc = await Friendship.findBetween(walletAddress, requesterWallet);
+        if (!doc || doc.status !== 'pending' || doc.recipientWallet !== walletAddress) {
+            return { success: false, error: 'REQUEST_NOT_FOUND', message: 'That friend request no longer exists' };
+        }
+        if (await this.countFriends(walletAddress) >= FRIEND_LIMITS.MAX_FRIENDS) {
+            return { success: false, error: 'FRIEND_LIMIT', message: `You can have at most ${FRIEND_LIMITS.MAX_FRIENDS} friends` };
+        }
+
+        doc.status = 'accepted';
+        doc.acceptedAt = new Date();
+        await doc.save();
+
+        this.friendCache.get(walletAddress)?.add(requesterWallet);
+        this.friendCache.get(requesterWallet)?.add(walletAddress);
+
+        return { success: true, accepted: true };
+    }
+
+    /**
+     * Decline an incoming request or cancel an outgoing one.
+     */
+    async decline(walletAddress, otherWallet) {
+        await Friendship.deleteOne({ pairKey: friendPairKey(walletAddress, otherWallet), status: 'pending' });
+        return { success: true };
+    }
+
+    async remove(walletAddress, friendWallet) {
+        const result = await Friendship.deleteOne({ pairKey: friendPairKey(walletAddress, friendWallet), status: 'accepted' });
+        if (!result?.deletedCount) {
+            return { success: false, error: 'NOT_FRIENDS', message: 'That player is not on your friends list' };
+        }
+
+        this.friendCache.get(walletAddress)?.delete(friendWallet);
+        this.friendCache.get(friendWallet)?.delete(walletAddress);
+
+        return { success: true };
+    }
+
+    /**
+     * Drop any friendship or pending request between two wallets (used when one blocks the other).
+     * @returns {Promise<boolean>} true if they were friends
+     */
+    async removePair(walletA, walletB) {
+        const doc = await Friendship.findBetween(walletA, walletB);
+        if (!doc) return false;
+        await Friendship.deleteOne({ pairKey: friendPairKey(walletA, walletB) });
+
+        this.friendCache.get(walletA)?.delete(walletB);
+        this.friendCache.get(walletB)?.delete(walletA);
+
+        return doc.status === 'accepted';
+    }
+
+    async countFriends(walletAddress) {
+        return Friendship.countDocuments({
+            status: 'accepted',
+            $or: [{ requesterWallet: walletAddress }, { recipientWallet: walletAddress }]
+        });
+    }
+
+    // ==================== JOIN FRIEND ====================
+
+    /**
+     * Decide whether `player` may hop straight to `target`'s room.
+     * Quadrants are ferry-only, so a friend across the water returns the route to book instead.
+     * @param {object} player - live player state
+     * @param {object|null} target - live friend player state
+     * @param {{ onVoyage?: boolean }} [opts]
+     */
+    planJoin(player, target, { onVoyage = false } = {}) {
+        if (!target) {
+            return { success: false, error: 'FRIEND_OFFLINE', message: 'Your friend is offline' };
+        }
+        if (onVoyage || isTravelLobbyRoom(player.room)) {
+            return { success: false, error: 'ON_VOYAGE', message: 'You cannot leave mid-voyage' };
+        }
+        if (isTravelLobbyRoom(target.room)) {
+            return { success: false, error: 'FRIEND_TRAVELING', message: `${target.name} is on the ferry — try again when they arrive` };
+        }
+        if (target.room === player.room) {
+            return { success: false, error: 'ALREADY_THERE', message: `You are already in the same room as ${target.name}` };
+        }
+
+        const fromRegion = getRoomRegion(player.room);
+        const toRegion = getRoomRegion(target.room);
+        if (!fromRegion || !toRegion) {
+            return { success: false, error: 'UNREACHABLE', message: `You cannot reach ${target.name} from here` };
+        }
+        if (fromRegion !== toRegion) {
+            const route = getFerryRoute(fromRegion, toRegion);
+            return {
+                success: false,
+                error: 'FERRY_REQUIRED',
+                message: `${target.name} is across the water — take the ferry first`,
+                route: route ? { routeId: route.id, name: route.name, emoji: route.emoji, ticketCost: route.ticketCost } : null,
+            };
+        }
+
+        const base = target.position || {};
+        return {
+            success: true,
+            room: target.room,
+            position: {
+                x: (base.x ?? 0) + FRIEND_JOIN_OFFSET.x,
+                y: base.y ?? 0,
+                z: (base.z ?? 0) + FRIEND_JOIN_OFFSET.z,
+            },
+        };
+    }
+
+    // ==================== ONLINE SYNC ====================
+
+    async sendState(walletAddress) {
+        const player = this.getPlayerByWallet(walletAddress);
+        if (!player) return;
+        this.sendToPlayer(player.id, { type: 'friends_state', ...(await this.getState(walletAddress)) });
+    }
+
+    /**
+     * Cache an authenticated player's friends, send `friends_state`, and tell friends they came online.
+     */
+    async loadPlayer(walletAddress) {
+        const docs = await Friendship.findForWallet(walletAddress);
+        this.friendCache.set(walletAddress, new Set(
+            docs.filter((doc) => doc.status === 'accepted').map((doc) => doc.otherWallet(walletAddress))
+        ));
+        await this.sendState(walletAddress);
+        this.notifyPresence(walletAddress);
+    }
+
+    /**
+     * Tell friends the player went offline and drop the cache entry.
+     */
+    unloadPlayer(walletAddress) {
+        if (!walletAddress || !this.friendCache.has(walletAddress)) return;
+        this.notifyPresence(walletAddress, { online: false, room: null });
+        this.friendCache.delete(walletAddress);
+    }
+
+    /**
+     * Push the player's current presence to every online friend.
+     * @param {string} walletAddress
+     * @param {{ online: boolean, room: string|null }} [override] - used when going offline
+     */
+    notifyPresence(walletAddress, override = null) {
+        const friends = this.friendCache.get(walletAddress);
+        if (!friends || friends.size === 0) return;
+
+        const presence = { ...this.toPresence(walletAddress), ...override };
+        for (const friendWallet of friends) {
+            const friend = this.getPlayerByWallet(friendWallet);
+            if (friend) {
+                this.sendToPlayer(friend.id, { type: 'friend_presence', friend: presence });
+            }
+        }
+    }
+}
@@ -12,8 +12,8 @@ import {
     ROD_UPGRADE_MAX_STEP
 } from '../config/rodUpgrades.js';
 import { getGameItem, isFishItem, getFishRarityLabel, getFishRarityDisplay, getFerryTicketItemForRoute } from '../config/gameItems.js';
-import { getMerchant, merchantAcceptsCategory } from '../config/merchants.js';
-import { getToolPurchasePrerequisite } from '../config/toolTiers.js';
+import { getMerchant, merchantAcceptsCategory, merchantRepairsCategory } from '../config/merchants.js';
+import { getToolPurchasePrerequisite, getGearRepairCost, REPAIR_KIT_ITEM_ID } from '../config/toolTiers.js';
 import {
     MUSHROOM_QUEST_REQUIRED,
     MUSHROOM_QUEST_REWARD_ITEM
@@ -77,6 +77,7 @@ function enrichSlot(slot) {
         const maxDurability = meta.maxDurability ?? gearCfg?.maxDurability ?? 100;
         out.maxDurability = maxDurability;
         out.durability = meta.durability ?? maxDurability;
+        out.repairCost = getGearRepairCost(slot.itemId, out.durability, maxDurability);
     }
     return out;
 }
@@ -310,6 +311,32 @@ class GameInventoryService {
             : (gearCfg?.durabilityLossPerChop ?? 1);
         const loss = amount ?? defaultLoss;
         const nextDurability = (meta.durability ?? maxDurability) - loss;
+        if (nextDurability <= 0 && user.gameInventory?.autoRepair) {
+            const cost = getGearRepairCost(equipped.itemId, 0, maxDurability);
+            const paid = cost && await this._payForGearRepair(walletAddress, slots, equipped.itemId, cost, {
+                useRepairKit: this.countItemInSlots(slots, REPAIR_KIT_ITEM_ID) > 0,
+                auto: true
+            });
+            if (paid?.success) {
+                meta.durability = maxDurability;
+                meta.maxDurability = maxDurability;
+                slot.metadata = meta;
+                this.sanitizeHotbar(slots, hotbar);
+                const updated = await this.persistUserInventory(walletAddress, slots, null, {
+                    'gameInventory.hotbar': hotbar
+                });
+                if (!updated) return { error: 'SAVE_FAILED' };
+                return {
+                    broken: false,
+                    autoRepaired: true,
+                    repair: paid,
+                    durability: maxDurability,
+                    maxDurability,
+                    inventory: this.serializeInventory(updated)
+                };
+            }
+            // Can't afford it — the gear breaks as usual
+        }
         if (nextDurability <= 0) {
             slots[equipped.inventorySlot] = emptySlot();
             hotbar.forEach((ref, i) => {
@@ -483,6 +510,7 @@ class GameInventoryService {
             ),
             nextUpgrade,
             nextRodUpgrade,
+            autoRepair: user.gameInventory?.autoRepair === true,
             fishingProgress: user.fishingProgress || null
         };
     }
@@ -544,6 +572,33 @@ class GameInventoryService {
         return { ok: true };
     }
 
+    /**
+     * Place quantity of itemId into slots in place (stack-first, then empty slots).
+     * New stacks take a copy of metadata. Returns false once the backpack runs out of room;
+     * callers that must not half-place should check canAddItemSlots first.
+     */
+    placeItemInSlots(slots, itemId, quantity, metadata = {}, maxStack = GI.MAX_STACK) {
+        let remaining = quantity;
+        while (remaining > 0) {
+            let slotIdx = this.findStackSlot(slots, itemId, metadata);
+            if (slotIdx === -1) slotIdx = this.findEmptySlot(slots);
+            if (slotIdx === -1) return false;
+
+            const slot = slots[slotIdx];
+            if (!slot.itemId) {
+                slot.itemId = itemId;
+                slot.quantity = 0;
+                slot.metadata = { ...metadata };
+            }
+
+            const space = maxStack - slot.quantity;
+            const add = Math.min(remaining, space);
+            slot.quantity += add;
+            remaining -= add;
+        }
+        return true;
+    }
+
     async canAddItem(walletAddress, itemId, quantity = 1, metadata = {}) {
         const user = await this.ensureInventory(walletAddress);
         if (!user) return { ok: false, error: 'USER_NOT_FOUND' };
@@ -610,7 +665,6 @@ class GameInventoryService {
 
         const unlockedSlots = this.getUnlockedSlots(user);
         const slots = normalizeSlots(user.gameInventory?.slots, unlockedSlots);
-        let remaining = quantity;
         const maxStack = itemDef.maxStack || GI.MAX_STACK;
         const storedMeta = {
             ...metadata,
@@ -623,24 +677,8 @@ class GameInventoryService {
             caughtWithRod: metadata.caughtWithRod
         };
 
-        while (remaining > 0) {
-            let slotIdx = this.findStackSlot(slots, itemId, storedMeta);
-            if (slotIdx === -1) slotIdx = this.findEmptySlot(slots);
-            if (slotIdx === -1) {
-                return { error: 'INVENTORY_FULL', message: 'Backpack is full — upgrade or sell fish' };
-            }
-
-            const slot = slots[slotIdx];
-            if (!slot.itemId) {
-                slot.itemId = itemId;
-                slot.quantity = 0;
-                slot.metadata = storedMeta;
-            }
-
-            const space = maxStack - slot.quantity;
-            const add = Math.min(remaining, space);
-            slot.quantity += add;
-            remaining -= add;
+        if (!this.placeItemInSlots(slots, itemId, quantity, storedMeta, maxStack)) {
+            return { error: 'INVENTORY_FULL', message: 'Backpack is full — upgrade or sell fish' };
         }
 
         const progressPatch = {};
@@ -781,6 +819,71 @@ class GameInventoryService {
         };
     }
 
+    /**
+     * Plan a player-to-player swap without persisting anything.
+     * Each side's items are taken from its own backpack and placed in the other side's; items keep
+     * their metadata (durability, catch value). Offered slots are re-checked against the user doc,
+     * so a stale offer fails instead of trading something that has since moved.
+     * @param {Array<{ user: object, items: Array<{ slotIndex: number, itemId: string, quantity: number }> }>} sides - exactly two
+     * @returns {{ sides: Array<{ slots: Array, hotbar: Array, given: Array, received: Array }> } | { error: string, message: string, walletAddress?: string }}
+     */
+    planTradeSwap(sides) {
+        if (!Array.isArray(sides) || sides.length !== 2) {
+            return { error: 'INVALID_TRADE', message: 'A trade needs two sides' };
+        }
+
+        const planned = sides.map(({ user, items }) => {
+            const slots = normalizeSlots(user.gameInventory?.slots, this.getUnlockedSlots(user));
+            const hotbar = this.normalizeHotbar(user.gameInventory?.hotbar);
+            return { walletAddress: user.walletAddress, slots, hotbar, items: items || [], given: [], received: [] };
+        });
+
+        for (const side of planned) {
+            for (const offer of side.items) {
+                const slot = side.slots[offer.slotIndex];
+                if (!slotHasItem(slot) || slot.itemId !== offer.itemId || slot.quantity < offer.quantity) {
+                    return {
+                        error: 'OFFER_CHANGED',
+                        message: 'An offered item is no longer in the backpack',
+                        walletAddress: side.walletAddress
+                    };
+                }
+                side.given.push({ itemId: slot.itemId, quantity: offer.quantity, metadata: { ...slot.metadata } });
+                slot.quantity -= offer.quantity;
+                if (slot.quantity <= 0) side.slots[offer.slotIndex] = emptySlot();
+            }
+        }
+
+        for (const [index, receiver] of planned.entries()) {
+            const giver = planned[1 - index];
+            for (const item of giver.given) {
+                const def = this.resolveItemDef(item.itemId, item.metadata);
+                const fits = this.canAddItemSlots(receiver.slots, item.itemId, item.quantity, item.metadata);
+                if (!fits.ok || !this.placeItemInSlots(receiver.slots, item.itemId, item.quantity, item.metadata, def?.maxStack || GI.MAX_STACK)) {
+                    return {
+                        error: fits.error || 'INVENTORY_FULL',
+                        message: 'Backpack is full — make space before trading',
+                        walletAddress: receiver.walletAddress
+                    };
+                }
+                receiver.received.push(item);
+            }
+        }
+
+        return {
+            sides: planned.map((side) => {
+                this.sanitizeHotbar(side.slots, side.hotbar);
+                return {
+                    walletAddress: side.walletAddress,
+                    slots: cloneSlots(side.slots),
+                    hotbar: side.hotbar,
+                    given: side.given,
+                    received: side.received
+                };
+            })
+        };
+    }
+
     /**
      * One-time free basic rod near Old Salty (server-authoritative).
      */
@@ -1067,6 +1170,126 @@ class GameInventoryService {
         };
     }
 
+    /**
+     * Charge a repair's gold and take its materials out of `slots` (caller persists the slots).
+     * A Repair Kit, when used, stands in for the materials.
+     * @returns {Promise<{ success: true, goldSpent: number, materialsSpent: Record<string, number>, usedRepairKit: boolean, newBalance: number } | { error: string, message?: string }>}
+     */
+    async _payForGearRepair(walletAddress, slots, itemId, cost, { useRepairKit = false, merchantId = null, auto = false } = {}) {
+        const materials = useRepairKit ? { [REPAIR_KIT_ITEM_ID]: 1 } : cost.materials;
+        for (const [materialId, qty] of Object.entries(materials)) {
+            const have = this.countItemInSlots(slots, materialId);
+            if (have < qty) {
+                return {
+                    error: useRepairKit ? 'NO_REPAIR_KIT' : 'INSUFFICIENT_MATERIALS',
+                    message: `Need ${qty} ${getGameItem(materialId)?.name || materialId} (have ${have})`
+                };
+            }
+        }
+
+        const user = await this.userService.getUser(walletAddress);
+        if (!user || user.coins < cost.goldCost) {
+            return {
+                error: 'INSUFFICIENT_FUNDS',
+                message: `Need ${cost.goldCost}g (you have ${user?.coins || 0}g)`,
+                cost: cost.goldCost
+            };
+        }
+        const itemName = getGameItem(itemId)?.name || itemId;
+        const deduct = await this.userService.addCoins(
+            walletAddress,
+            -cost.goldCost,
+            'gear_repair',
+            { itemId, merchantId, auto, materials },
+            `${auto ? 'Auto-repair' : 'Repair'}: ${itemName}`
+        );
+        if (!deduct.success) return deduct;
+
+        for (const [materialId, qty] of Object.entries(materials)) {
+            let remaining = qty;
+            for (let i = 0; i < slots.length && remaining > 0; i++) {
+                const slot = slots[i];
+                if (slot?.itemId !== materialId) continue;
+                const take = Math.min(remaining, slot.quantity);
+                slot.quantity -= take;
+                remaining -= take;
+                if (slot.quantity <= 0) slots[i] = emptySlot();
+            }
+        }
+
+        return {
+            success: true,
+            goldSpent: cost.goldCost,
+            materialsSpent: materials,
+            usedRepairKit: useRepairKit,
+            newBalance: deduct.newBalance
+        };
+    }
+
+    /**
+     * Repair a worn tool (Copper Clive) or rod (Old Salty) in place — the slot keeps its metadata.
+     * @param {string} walletAddress
+     * @param {string} merchantId
+     * @param {number} inventorySlot - backpack slot holding the gear
+     * @param {{ useRepairKit?: boolean }} [options]
+     */
+    async repairGear(walletAddress, merchantId, inventorySlot, { useRepairKit = false } = {}) {
+        const user = await this.ensureInventory(walletAddress);
+        if (!user) return { error: 'USER_NOT_FOUND' };
+
+        const unlockedSlots = this.getUnlockedSlots(user);
+        const slots = normalizeSlots(user.gameInventory?.slots, unlockedSlots);
+        const index = Number(inventorySlot);
+        const slot = Number.isInteger(index) ? slots[index] : null;
+        if (!slot || !this.isGearSlot(slot)) {
+            return { error: 'INVALID_SLOT', message: 'Pick a tool or rod to repair' };
+        }
+        const def = getGameItem(slot.itemId);
+        if (!merchantRepairsCategory(merchantId, def?.category)) {
+            return {
+                error: 'WRONG_MERCHANT',
+                message: def?.category === 'rod'
+                    ? 'Old Salty repairs fishing rods'
+                    : 'Copper Clive repairs tools'
+            };
+        }
+
+        const { durability, maxDurability } = enrichSlot(slot);
+        const cost = getGearRepairCost(slot.itemId, durability, maxDurability);
+        if (!cost) return { error: 'NOT_DAMAGED', message: `${def?.name || slot.itemId} is already in top shape` };
+
+        const paid = await this._payForGearRepair(walletAddress, slots, slot.itemId, cost, { useRepairKit, merchantId });
+        if (!paid.success) return paid;
+
+        slot.metadata = { ...(slot.metadata || {}), durability: maxDurability, maxDurability };
+        const hotbar = this.normalizeHotbar(user.gameInventory?.hotbar);
+        this.sanitizeHotbar(slots, hotbar);
+        const updated = await this.persistUserInventory(walletAddress, slots, null, {
+            'gameInventory.hotbar': hotbar
+        });
+        if (!updated) return { error: 'SAVE_FAILED' };
+
+        return {
+            success: true,
+            itemId: slot.itemId,
+            itemName: def?.name || slot.itemId,
+            durability: maxDurability,
+            maxDurability,
+            ...paid,
+            inventory: this.serializeInventory(updated)
+        };
+    }
+
+    async setAutoRepair(walletAddress, enabled) {
+        const updated = await User.findOneAndUpdate(
+            { walletAddress },
+            { $set: { 'gameInventory.autoRepair': enabled === true } },
+            { new: true }
+        );
+        if (!updated) return { error: 'USER_NOT_FOUND' };
+        return { success: true, autoRepair: enabled === true, inventory: this.serializeInventory(updated) };
+    }
+
     /** Count total quantity of an item across all backpack slots. */
     countItemInSlots(slots, itemId) {
         let total = 0;
@@ -1808,6 +2031,63 @@ class GameInventoryService {
         return { success: true, inventory: this.serializeInventory(updated) };
     }
 
+    /**
+     * Remove a crafting recipe's inputs in one save — `{ itemId, quantity }` entries and
+     * `{ fishMinTier, quantity }` entries (lowest-tier fish first). Nothing is removed unless all fit.
+     */
+    async removeCraftingInputs(walletAddress, inputs) {
+        const user = await this.ensureInventory(walletAddress);
+        if (!user) return { error: 'USER_NOT_FOUND' };
+
+        const unlockedSlots = this.getUnlockedSlots(user);
+        const slots = normalizeSlots(user.gameInventory?.slots, unlockedSlots);
+
+        for (const entry of inputs) {
+            const indices = [];
+            for (let i = 0; i < slots.length; i++) {
+                const slot = slots[i];
+                if (!slotHasItem(slot)) continue;
+                if (entry.fishMinTier != null) {
+                    const tier = this.fishTier(slot);
+                    if (tier >= entry.fishMinTier) indices.push({ i, tier });
+                } else if (slot.itemId === entry.itemId) {
+                    indices.push({ i, tier: 0 });
+                }
+            }
+            indices.sort((a, b) => a.tier - b.tier || a.i - b.i);
+
+            let remaining = entry.quantity;
+            for (const { i } of indices) {
+                if (remaining <= 0) break;
+                const take = Math.min(remaining, slots[i].quantity);
+                slots[i].quantity -= take;
+                remaining -= take;
+                if (slots[i].quantity <= 0) slots[i] = emptySlot();
+            }
+            if (remaining > 0) {
+                const have = entry.quantity - remaining;
+                const label = entry.fishMinTier != null
+                    ? (entry.fishMinTier > 1 ? `tier ${entry.fishMinTier}+ fish` : 'fish')
+                    : (getGameItem(entry.itemId)?.name || entry.itemId.replace(/_/g, ' '));
+                return {
+                    error: 'NOT_ENOUGH',
+                    message: `Need ${entry.quantity} ${label} (you have ${have}).`,
+                    have,
+                    required: entry.quantity,
+                };
+            }
+        }
+
+        const hotbar = this.normalizeHotbar(user.gameInventory?.hotbar);
+        this.sanitizeHotbar(slots, hotbar);
+        const updated = await this.persistUserInventory(walletAddress, slots, null, {
+            'gameInventory.hotbar': hotbar,
+        });
+        if (!updated) return { error: 'SAVE_FAILED' };
+
+        return { success: true, inventory: this.serializeInventory(updated) };
+    }
+
     async turnInNpcQuestMaterials(walletAddress, { itemId, quantity, rewardType, rewardItemId, goldReward }) {
         const have = await this.countItem(walletAddress, itemId);
         if (have < quantity) {
@@ -0,0 +1,462 @@
+/**
+ * GuildService - Guild membership, roles and invites (server authority).
+ * Online members are kept in sync via `guild_state`; nametag tags via `player_guild`.
+ * Joining claims User.guildId first (one guild per wallet); the member list itself is only
+ * changed with conditional updates so racing requests can't overfill or overwrite it.
+ */
+
+import crypto from 'crypto';
+import Guild from '../db/models/Guild.js';
+import User from '../db/models/User.js';
+import {
+    GUILD_LIMITS,
+    outranks,
+    validateGuildName,
+    validateGuildTag,
+    parseGuildHallRoomId,
+} from '../config/guilds.js';
+
+/** Matches only guilds with room for one more member */
+const HAS_FREE_SLOT = { [`members.${GUILD_LIMITS.MAX_MEMBERS - 1}`]: { $exists: false } };
+
+export default class GuildService {
+    /**
+     * @param {(playerId: string, payload: object) => void} sendToPlayer
+     * @param {(walletAddress: string) => object | null} getPlayerByWallet - live player state object
+     * @param {(roomId: string, payload: object, ...excludeIds: string[]) => void} broadcastToRoom
+     */
+    constructor(sendToPlayer, getPlayerByWallet, broadcastToRoom) {
+        this.sendToPlayer = sendToPlayer;
+        this.getPlayerByWallet = getPlayerByWallet;
+        this.broadcastToRoom = broadcastToRoom;
+    }
+
+    toClientGuild(guild) {
+        if (!guild) return null;
+        return {
+            guildId: guild.guildId,
+            name: guild.name,
+            tag: guild.tag,
+            motd: guild.motd || '',
+            leaderWallet: guild.leaderWallet,
+            maxMembers: GUILD_LIMITS.MAX_MEMBERS,
+            members: guild.members.map((m) => ({
+                walletAddress: m.walletAddress,
+                username: m.username,
+                role: m.role,
+                joinedAt: m.joinedAt,
+                online: !!this.getPlayerByWallet(m.walletAddress),
+            })),
+            invites: guild.invites
+                .filter((inv) => inv.expiresAt > new Date())
+                .map((inv) => ({ username: inv.username, invitedBy: inv.invitedBy, expiresAt: inv.expiresAt })),
+        };
+    }
+
+    async getGuildForWallet(walletAddress) {
+        if (!walletAddress) return null;
+        return Guild.findByMember(walletAddress);
+    }
+
+    async getPendingInvites(walletAddress) {
+        if (!walletAddress) return [];
+        const guilds = await Guild.findInvitesFor(walletAddress);
+        return guilds.map((g) => {
+            const invite = g.getInvite(walletAddress);
+            return {
+                guildId: g.guildId,
+                name: g.name,
+                tag: g.tag,
+                invitedBy: invite?.invitedBy || null,
+                expiresAt: invite?.expiresAt || null,
+            };
+        });
+    }
+
+    // ==================== MEMBERSHIP CLAIMS ====================
+
+    /**
+     * Reserve the wallet's single guild place before it joins or founds a guild.
+     * @returns {Promise<boolean>} false if the wallet already belongs to a guild
+     */
+    async claimMembership(walletAddress, guildId) {
+        const result = await User.updateOne({ walletAddress, guildId: null }, { $set: { guildId } });
+        return result.matchedCount > 0;
+    }
+
+    /**
+     * Give a guild place back. Without a wallet, releases everyone holding that guild.
+     */
+    async releaseMembership(guildId, walletAddress = null) {
+        const filter = walletAddress ? { walletAddress, guildId } : { guildId };
+        await User.updateMany(filter, { $set: { guildId: null } });
+    }
+
+    // ==================== MUTATIONS ====================
+
+    async createGuild(walletAddress, username, name, tag) {
+        if (!walletAddress) {
+            return { success: false, error: 'NOT_AUTHENTICATED', message: 'Connect a wallet to create a guild' };
+        }
+
+        const nameCheck = validateGuildName(name);
+        if (!nameCheck.valid) return { success: false, error: 'INVALID_NAME', message: nameCheck.error };
+        const tagCheck = validateGuildTag(tag);
+        if (!tagCheck.valid) return { success: false, error: 'INVALID_TAG', message: tagCheck.error };
+
+        if (await Guild.findByMember(walletAddress)) {
+            return { success: false, error: 'ALREADY_IN_GUILD', message: 'Leave your current guild first' };
+        }
+        if (await Guild.findOne({ nameLower: nameCheck.value.toLowerCase() })) {
+            return { success: false, error: 'NAME_TAKEN', message: 'That guild name is taken' };
+        }
+        if (await Guild.findOne({ tag: tagCheck.value })) {
+            return { success: false, error: 'TAG_TAKEN', message: 'That guild tag is taken' };
+        }
+
+        const guildId = `guild_${crypto.randomBytes(8).toString('hex')}`;
+        if (!await this.claimMembership(walletAddress, guildId)) {
+            return { success: false, error: 'ALREADY_IN_GUILD', message: 'Leave your current guild first' };
+        }
+
+        let guild;
+        try {
+            guild = await Guild.create({
+                guildId,
+                name: nameCheck.value,
+                nameLower: nameCheck.value.toLowerCase(),
+                tag: tagCheck.value,
+                leaderWallet: walletAddress,
+                members: [{ walletAddress, username, role: 'leader', joinedAt: new Date() }],
+            });
+        } catch (error) {
+            await this.releaseMembership(guildId, walletAddress);
+            // Another guild took the name or tag since the checks above
+            if (error.code === 11000) {
+                return error.keyPattern?.tag
+                    ? { success: false, error: 'TAG_TAKEN', message: 'That guild tag is taken' }
+                    : { success: false, error: 'NAME_TAKEN', message: 'That guild name is taken' };
+            }
+            throw error;
+        }
+
+        // Creating a guild supersedes any invites that were waiting
+        await Guild.updateMany(
+            { 'invites.walletAddress': walletAddress },
+            { $pull: { invites: { walletAddress } } }
+        );
+
+        return { success: true, guild };
+    }
+
+    async invite(actorWallet, actorName, targetWallet, targetName) {
+        const guild = await Guild.findByMember(actorWallet);
+        if (!guild) return { success: false, error: 'NOT_IN_GUILD', message: 'You are not in a guild' };
+
+        const actor = guild.getMember(actorWallet);
+        if (actor.role === 'member') {
+            return { success: false, error: 'NOT_PERMITTED', message: 'Only officers and the leader can invite' };
+        }
+        if (!targetWallet) {
+            return { success: false, error: 'TARGET_NOT_AUTHENTICATED', message: `${targetName || 'That player'} must sign in to join a guild` };
+        }
+        if (targetWallet === actorWallet) {
+            return { success: false, error: 'INVALID_TARGET', message: 'You cannot invite yourself' };
+        }
+        if (guild.members.length >= GUILD_LIMITS.MAX_MEMBERS) {
+            return { success: false, error: 'GUILD_FULL', message: 'Your guild is full' };
+        }
+        if (await Guild.findByMember(targetWallet)) {
+            return { success: false, error: 'TARGET_IN_GUILD', message: `${targetName} is already in a guild` };
+        }
+
+        // Re-inviting replaces the old invite; expired ones go too
+        const now = new Date();
+        await Guild.updateOne(
+            { guildId: guild.guildId },
+            { $pull: { invites: { $or: [{ walletAddress: targetWallet }, { expiresAt: { $lte: now } }] } } }
+        );
+        // Oldest pending invite drops off once the cap is reached
+        const updated = await Guild.findOneAndUpdate(
+            { guildId: guild.guildId, ...HAS_FREE_SLOT },
+            {
+                $push: {
+                    invites: {
+                        $each: [{
+                            walletAddress: targetWallet,
+                            username: targetName,
+                            invitedBy: actorName,
+                            expiresAt: new Date(now.getTime() + GUILD_LIMITS.INVITE_TTL_MS),
+                        }],
+                        $slice: -GUILD_LIMITS.MAX_PENDING_INVITES,
+                    },
+                },
+            },
+            { new: true }
+        );
+        if (!updated) return { success: false, error: 'GUILD_FULL', message: 'Your guild is full' };
+
+        return { success: true, guild: updated };
+    }
+
+    async acceptInvite(walletAddress, username, guildId) {
+        if (await Guild.findByMember(walletAddress)) {
+            return { success: false, error: 'ALREADY_IN_GUILD', message: 'Leave your current guild first' };
+        }
+
+        const guild = await Guild.findOne({ guildId });
+        if (!guild || !guild.getInvite(walletAddress)) {
+            return { success: false, error: 'INVITE_NOT_FOUND', message: 'That invite has expired' };
+        }
+        if (guild.members.length >= GUILD_LIMITS.MAX_MEMBERS) {
+            return { success: false, error: 'GUILD_FULL', message: 'That guild is full' };
+        }
+
+        if (!await this.claimMembership(walletAddress, guildId)) {
+            return { success: false, error: 'ALREADY_IN_GUILD', message: 'Leave your current guild first' };
+        }
+        const joined = await Guild.findOneAndUpdate(
+            {
+                guildId,
+                'members.walletAddress': { $ne: walletAddress },
+                invites: { $elemMatch: { walletAddress, expiresAt: { $gt: new Date() } } },
+                ...HAS_FREE_SLOT,
+            },
+            {
+                $push: { members: { walletAddress, username, role: 'member', joinedAt: new Date() } },
+                $pull: { invites: { walletAddress } },
+            },
+            { new: true }
+        );
+        if (!joined) {
+            await this.releaseMembership(guildId, walletAddress);
+            return { success: false, error: 'INVITE_NOT_FOUND', message: 'That invite is no longer available' };
+        }
+
+        // One guild per wallet — other invites are void
+        await Guild.updateMany(
+            { guildId: { $ne: guildId }, 'invites.walletAddress': walletAddress },
+            { $pull: { invites: { walletAddress } } }
+        );
+
+        return { success: true, guild: joined };
+    }
+
+    async declineInvite(walletAddress, guildId) {
+        await Guild.updateOne(
+            { guildId },
+            { $pull: { invites: { walletAddress } } }
+        );
+        return { success: true };
+    }
+
+    async kick(actorWallet, targetWallet) {
+        const guild = await Guild.findByMember(actorWallet);
+        if (!guild) return { success: false, error: 'NOT_IN_GUILD', message: 'You are not in a guild' };
+
+        const actor = guild.getMember(actorWallet);
+        const target = guild.getMember(targetWallet);
+        if (!target) return { success: false, error: 'NOT_A_MEMBER', message: 'That player is not in your guild' };
+        if (actor.role === 'member' || !outranks(actor.role, target.role)) {
+            return { success: false, error: 'NOT_PERMITTED', message: 'You cannot remove that member' };
+        }
+
+        // Only while the target still holds the role that was checked
+        const updated = await Guild.findOneAndUpdate(
+            { guildId: guild.guildId, members: { $elemMatch: { walletAddress: targetWallet, role: target.role } } },
+            { $pull: { members: { walletAddress: targetWallet } } },
+            { new: true }
+        );
+        if (!updated) return { success: false, error: 'NOT_A_MEMBER', message: 'That player is not in your guild' };
+        await this.releaseMembership(guild.guildId, targetWallet);
+
+        return { success: true, guild: updated, removed: target };
+    }
+
+    /**
+     * Leader promotes member → officer; promoting an officer hands over leadership.
+     */
+    async promote(actorWallet, targetWallet) {
+        const guild = await Guild.findByMember(actorWallet);
+        if (!guild) return { success: false, error: 'NOT_IN_GUILD', message: 'You are not in a guild' };
+
+        const actor = guild.getMember(actorWallet);
+        const target = guild.getMember(targetWallet);
+        if (actor.role !== 'leader') {
+            return { success: false, error: 'NOT_PERMITTED', message: 'Only the leader can promote members' };
+        }
+        if (!target || target.walletAddress === actorWallet) {
+            return { success: false, error: 'NOT_A_MEMBER', message: 'That player is not in your guild' };
+        }
+
+        let updated;
+        if (target.role === 'officer') {
+            updated = await Guild.findOneAndUpdate(
+                { guildId: guild.guildId, leaderWallet: actorWallet, members: { $elemMatch: { walletAddress: targetWallet, role: 'officer' } } },
+                { $set: { leaderWallet: targetWallet, 'members.$[heir].role': 'leader', 'members.$[former].role': 'officer' } },
+                { new: true, arrayFilters: [{ 'heir.walletAddress': targetWallet }, { 'former.walletAddress': actorWallet }] }
+            );
+        } else {
+            const officers = guild.members.filter((m) => m.role === 'officer').length;
+            if (officers >= GUILD_LIMITS.MAX_OFFICERS) {
+                return { success: false, error: 'OFFICER_LIMIT', message: `A guild can have at most ${GUILD_LIMITS.MAX_OFFICERS} officers` };
+            }
+            updated = await Guild.findOneAndUpdate(
+                {
+                    guildId: guild.guildId,
+                    leaderWallet: actorWallet,
+                    members: { $elemMatch: { walletAddress: targetWallet, role: 'member' } },
+                    $expr: {
+                        $lt: [
+                            { $size: { $filter: { input: '$members', cond: { $eq: ['$$this.role', 'officer'] } } } },
+                            GUILD_LIMITS.MAX_OFFICERS,
+                        ],
+                    },
+                },
+                { $set: { 'members.$.role': 'officer' } },
+                { new: true }
+            );
+        }
+        if (!updated) return { success: false, error: 'GUILD_CHANGED', message: 'Your guild changed - try again' };
+
+        return { success: true, guild: updated, target: updated.getMember(targetWallet) };
+    }
+
+    async demote(actorWallet, targetWallet) {
+        const guild = await Guild.findByMember(actorWallet);
+        if (!guild) return { success: false, error: 'NOT_IN_GUILD', message: 'You are not in a guild' };
+
+        const actor = guild.getMember(actorWallet);
+        const target = guild.getMember(targetWallet);
+        if (actor.role !== 'leader') {
+            return { success: false, error: 'NOT_PERMITTED', message: 'Only the leader can demote officers' };
+        }
+        if (!target || target.role !== 'officer') {
+            return { success: false, error: 'NOT_AN_OFFICER', message: 'That player is not an officer' };
+        }
+
+        const updated = await Guild.findOneAndUpdate(
+            { guildId: guild.guildId, leaderWallet: actorWallet, members: { $elemMatch: { walletAddress: targetWallet, role: 'officer' } } },
+            { $set: { 'members.$.role': 'member' } },
+            { new: true }
+        );
+        if (!updated) return { success: false, error: 'GUILD_CHANGED', message: 'Your guild changed - try again' };
+
+        return { success: true, guild: updated, target: updated.getMember(targetWallet) };
+    }
+
+    /**
+     * Leaving as leader passes leadership to the senior officer (else senior member);
+     * the last member leaving disbands the guild.
+     */
+    async leave(walletAddress) {
+        const guild = await Guild.findByMember(walletAddress);
+        if (!guild) return { success: false, error: 'NOT_IN_GUILD', message: 'You are not in a guild' };
+
+        const { guildId } = guild;
+        let updated = await Guild.findOneAndUpdate(
+            { guildId, 'members.walletAddress': walletAddress },
+            { $pull: { members: { walletAddress } } },
+            { new: true }
+        );
+        if (!updated) return { success: false, error: 'NOT_IN_GUILD', message: 'You are not in a guild' };
+        await this.releaseMembership(guildId, walletAddress);
+
+        if (updated.members.length === 0) {
+            // Someone may have accepted an invite in the meantime
+            const { deletedCount } = await Guild.deleteOne({ guildId, members: { $size: 0 } });
+            if (deletedCount > 0) {
+                return { success: true, guild: null, disbanded: true, guildId };
+            }
+            updated = await Guild.findOne({ guildId });
+        }
+
+        if (updated && updated.leaderWallet === walletAddress) {
+            const bySeniority = [...updated.members].sort((a, b) => new Date(a.joinedAt) - new Date(b.joinedAt));
+            const heir = bySeniority.find((m) => m.role === 'officer') || bySeniority[0];
+            updated = await Guild.findOneAndUpdate(
+                { guildId, leaderWallet: walletAddress, 'members.walletAddress': heir.walletAddress },
+                { $set: { leaderWallet: heir.walletAddress, 'members.$.role': 'leader' } },
+                { new: true }
+            ) || updated;
+        }
+
+        return { success: true, guild: updated, disbanded: false, guildId };
+    }
+
+    async disband(actorWallet) {
+        const guild = await Guild.findByMember(actorWallet);
+        if (!guild) return { success: false, error: 'NOT_IN_GUILD', message: 'You are not in a guild' };
+        if (guild.getMember(actorWallet).role !== 'leader') {
+            return { success: false, error: 'NOT_PERMITTED', message: 'Only the leader can disband the guild' };
+        }
+
+        const { deletedCount } = await Guild.deleteOne({ guildId: guild.guildId, leaderWallet: actorWallet });
+        if (!deletedCount) return { success: false, error: 'NOT_PERMITTED', message: 'Only the leader can disband the guild' };
+        await this.releaseMembership(guild.guildId);
+
+        return { success: true, guildId: guild.guildId, formerMembers: guild.members.map((m) => m.walletAddress) };
+    }
+
+    async setMotd(actorWallet, motd) {
+        const guild = await Guild.findByMember(actorWallet);
+        if (!guild) return { success: false, error: 'NOT_IN_GUILD', message: 'You are not in a guild' };
+        if (guild.getMember(actorWallet).role === 'member') {
+            return { success: false, error: 'NOT_PERMITTED', message: 'Only officers and the leader can set the message of the day' };
+        }
+
+        guild.motd = String(motd || '').trim().slice(0, GUILD_LIMITS.MOTD_MAX);
+        await guild.save();
+        return { success: true, guild };
+    }
+
+    // ==================== GUILD HALLS ====================
+
+    /**
+     * @returns {Promise<boolean>} true for non-hall rooms or when the wallet is a member
+     */
+    async canEnterRoom(walletAddress, roomId) {
+        const guildId = parseGuildHallRoomId(roomId);
+        if (!guildId) return true;
+        if (!walletAddress) return false;
+        const guild = await Guild.findByMember(walletAddress);
+        return guild?.guildId === guildId;
+    }
+
+    // ==================== ONLINE SYNC ====================
+
+    /**
+     * Update an online player's guild fields, send them `guild_state`
+     * and announce tag changes to their room for nametag rebuilds.
+     */
+    async syncPlayer(walletAddress, guild) {
+        const player = this.getPlayerByWallet(walletAddress);
+        if (!player) return;
+
+        const member = guild?.getMember(walletAddress) || null;
+        const previousTag = player.guildTag || null;
+        player.guildId = member ? guild.guildId : null;
+        player.guildTag = member ? guild.tag : null;
+        player.guildRole = member?.role || null;
+
+        this.sendToPlayer(player.id, {
+            type: 'guild_state',
+            guild: member ? this.toClientGuild(guild) : null,
+            role: player.guildRole,
+            invites: member ? [] : await this.getPendingInvites(walletAddress),
+        });
+
+        if (previousTag !== player.guildTag && player.room) {
+            this.broadcastToRoom(player.room, {
+                type: 'player_guild',
+                playerId: player.id,
+                guildTag: player.guildTag,
+            });
+        }
+    }
+
+    async syncMembers(guild) {
+        if (!guild) return;
+        await Promise.all(guild.members.map((m) => this.syncPlayer(m.walletAddress, guild)));
+    }
+}
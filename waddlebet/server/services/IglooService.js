@@ -10,6 +10,7 @@ import SolanaTransaction from '../db/models/SolanaTransaction.js';
 import EvmTransaction from '../db/models/EvmTransaction.js';
 import chainPaymentService from './ChainPaymentService.js';
 import { getIglooEconomy } from '../config/iglooEconomy.js';
+import { validateIglooLayout, getIglooInteriorStyle } from '../config/iglooFurniture.js';
 import { getTxExplorerUrl, getExplorerLabel } from '../utils/txExplorer.js';
 
 const GRACE_PERIOD_HOURS = parseInt(process.env.GRACE_PERIOD_HOURS || '12', 10);
@@ -510,6 +511,17 @@ class IglooService {
             return { success: false, error: 'NOT_OWNER', message: 'You do not own this igloo' };
         }
         
+        // Validate the furniture layout up front so a bad layout doesn't half-apply other settings.
+        // `furniture: null` restores the interior's built-in furniture.
+        let furnitureLayout = null;
+        if (settings.interior && settings.interior.furniture !== null) {
+            const layout = validateIglooLayout(settings.interior.furniture, getIglooInteriorStyle(iglooId));
+            if (!layout.valid) {
+                return { success: false, error: layout.error, message: layout.message };
+            }
+            furnitureLayout = layout.furniture;
+        }
+        
         console.log('🏠 [IglooService] Current banner in DB:', JSON.stringify(igloo.banner, null, 2));
         
         // Track if entry fee settings changed (requires reset)
@@ -597,6 +609,16 @@ class IglooService {
             console.log('🏠 [IglooService] Banner after update:', JSON.stringify(igloo.banner, null, 2));
         }
         
+        // Update furniture layout
+        if (settings.interior) {
+            igloo.interior = {
+                theme: igloo.interior?.theme || 'default',
+                customLayout: furnitureLayout !== null,
+                furniture: furnitureLayout || []
+            };
+            igloo.markModified('interior');
+        }
+        
         // Reset entry fees if requirements changed
         if (entryFeeChanged || tokenGateChanged) {
             igloo.resetEntryFees();
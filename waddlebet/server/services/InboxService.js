@@ -8,6 +8,7 @@ const MESSAGE_EXPIRY = {
     challenge: 5 * 60 * 1000,        // 5 minutes for challenges
     challenge_response: 60 * 60 * 1000, // 1 hour for responses
     system: 24 * 60 * 60 * 1000,     // 24 hours for system messages
+    moderation: 7 * 24 * 60 * 60 * 1000, // 7 days for moderator warnings
     default: 24 * 60 * 60 * 1000
 };
 
@@ -19,6 +20,15 @@ class InboxService {
         
         // Secondary index by wallet for persistent users
         this.walletInboxes = new Map(); // walletAddress -> playerId
+
+        this.blockService = null; // Injected later to avoid circular deps
+    }
+
+    /**
+     * Inject block service (called after initialization to avoid circular deps)
+     */
+    setBlockService(service) {
+        this.blockService = service;
     }
 
     /**
@@ -50,8 +60,14 @@ class InboxService {
 
     /**
      * Add a generic message to inbox
+     * Messages whose `data.fromWallet` is blocked by (or has blocked) the recipient are dropped.
+     * @returns {object|null} The stored message, or null if dropped
      */
     addMessage(playerId, walletAddress, type, title, message, data = {}) {
+        if (this.blockService?.isBlockedBetweenCached(walletAddress, data.fromWallet)) {
+            return null;
+        }
+
         const inbox = this.getInbox(playerId);
         const expiry = MESSAGE_EXPIRY[type] || MESSAGE_EXPIRY.default;
 
@@ -76,6 +92,15 @@ class InboxService {
         return msg;
     }
 
+    /**
+     * Add a message for a wallet whether or not its owner is online.
+     * Offline inboxes are keyed by the wallet and migrate to the new session on login.
+     */
+    addMessageForWallet(walletAddress, type, title, message, data = {}) {
+        const playerId = this.walletInboxes.get(walletAddress) || walletAddress;
+        return this.addMessage(playerId, walletAddress, type, title, message, data);
+    }
+
     /**
      * Add a challenge notification
      * @param {string} targetId - Target player ID
@@ -85,8 +110,9 @@ class InboxService {
      * @param {string} gameType - Game type
      * @param {number} wagerAmount - Coin wager amount
      * @param {object} wagerToken - Optional SPL token wager (x402)
+     * @param {string} challengerWallet - Challenger wallet (checked against the target's block list)
      */
-    addChallengeMessage(targetId, targetWallet, challengeId, challengerName, gameType, wagerAmount, wagerToken = null) {
+    addChallengeMessage(targetId, targetWallet, challengeId, challengerName, gameType, wagerAmount, wagerToken = null, challengerWallet = null) {
         const gameNames = {
             'cardJitsu': 'Card Jitsu',
             'ticTacToe': 'Tic Tac Toe',
@@ -119,6 +145,7 @@ class InboxService {
             { 
                 challengeId, 
                 challengerName, 
+                fromWallet: challengerWallet,
                 gameType, 
                 wagerAmount,
                 wagerToken,  // Include token wager info (x402)
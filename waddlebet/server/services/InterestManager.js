@@ -0,0 +1,198 @@
+/**
+ * InterestManager - Spatial interest management and batched position broadcasts.
+ * Each tick the players of a room are bucketed into grid cells. Every player (observer) is
+ * subscribed to the cells around their own; the subscription is recomputed when they cross into a
+ * new cell. Players standing in subscribed cells enter the observer's range with an absolute
+ * position, then only send quantized deltas; they leave once they are past the retain distance
+ * (or out of the room). Everything for one observer goes out as a single `pos_batch`.
+ *
+ * `move` only updates `player.position` — this tick is what other clients see. Server placements
+ * (respawns, /tp) show up the same way on the next tick. The room roster (room_state,
+ * player_joined / player_left) is unchanged and still room-wide.
+ */
+
+import {
+    INTEREST_RADIUS_CELLS,
+    INTEREST_RETAIN_CELLS,
+    POSITION_BATCH_TYPE,
+    quantizePosition,
+    quantizeRotation,
+    rotationDelta,
+    getInterestCell,
+} from '../config/interest.js';
+
+function cellKey(cx, cz) {
+    return `${cx},${cz}`;
+}
+
+/** Quantized [x, y, z, rot] plus [puffleX, puffleZ] when the player has a puffle out */
+function snapshotPlayer(player) {
+    const { x, y = 0, z } = player.position;
+    const rotation = Number.isFinite(player.rotation) ? player.rotation : 0;
+    const values = [quantizePosition(x), quantizePosition(y), quantizePosition(z), quantizeRotation(rotation)];
+    const puffle = player.pufflePosition;
+    if (puffle && Number.isFinite(puffle.x) && Number.isFinite(puffle.z)) {
+        values.push(quantizePosition(puffle.x), quantizePosition(puffle.z));
+    }
+    return values;
+}
+
+/** [id, ...deltas] with trailing zeros trimmed, or null when nothing changed */
+function encodeDelta(id, previous, next) {
+    const deltas = next.map((value, i) => (i === 3 ? rotationDelta(previous[i], value) : value - previous[i]));
+    let length = deltas.length;
+    while (length > 0 && deltas[length - 1] === 0) length--;
+    return length === 0 ? null : [id, ...deltas.slice(0, length)];
+}
+
+export default class InterestManager {
+    /**
+     * @param {Map<string, Set<string>>} rooms - live room membership
+     * @param {(playerId: string) => object | undefined} getPlayer
+     * @param {(playerId: string, message: object) => void} sendToPlayer
+     */
+    constructor(rooms, getPlayer, sendToPlayer) {
+        this.rooms = rooms;
+        this.getPlayer = getPlayer;
+        this.sendToPlayer = sendToPlayer;
+
+        /** observerId -> { room, cell, cells: string[], known: Map<subjectId, number[]> } */
+        this.observers = new Map();
+        /** Players who entered a room but whose room_state / player_joined hasn't gone out yet */
+        this.pending = new Set();
+    }
+
+    /**
+     * Player joined a room (joinRoom). Their client starts with an empty player map, and other
+     * clients dropped them on player_left, so range state on both sides starts over.
+     * They stay out of batches until `announce` — a delta for a player the client doesn't have yet
+     * is dropped, and once known the server would never resend the absolute position.
+     * @param {string} playerId
+     */
+    enterRoom(playerId) {
+        this.observers.delete(playerId);
+        this._forgetSubject(playerId);
+        this.pending.add(playerId);
+    }
+
+    /**
+     * The room roster is out (room_state to the player, player_joined to the room): include the
+     * player in batches from the next tick on.
+     * @param {string} playerId
+     */
+    announce(playerId) {
+        this.pending.delete(playerId);
+    }
+
+    /** Disconnected player */
+    removePlayer(playerId) {
+        this.observers.delete(playerId);
+        this._forgetSubject(playerId);
+        this.pending.delete(playerId);
+    }
+
+    /** Build every room's grid and send each player their batch */
+    tick() {
+        for (const [roomId, memberIds] of this.rooms) {
+            if (memberIds.size < 2) continue;
+            this._tickRoom(roomId, memberIds);
+        }
+    }
+
+    _tickRoom(roomId, memberIds) {
+        /** cell key -> subject ids */
+        const grid = new Map();
+        /** subjectId -> { player, cx, cz, values } */
+        const subjects = new Map();
+
+        for (const id of memberIds) {
+            if (this.pending.has(id)) continue;
+            const player = this.getPlayer(id);
+            if (!player?.position || player.room !== roomId) continue;
+            const { x, z } = player.position;
+            if (!Number.isFinite(x) || !Number.isFinite(z)) continue;
+
+            const { cx, cz } = getInterestCell(x, z);
+            subjects.set(id, { player, cx, cz, values: snapshotPlayer(player) });
+            const key = cellKey(cx, cz);
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(id);
+        }
+
+        for (const [observerId, self] of subjects) {
+            if (self.player.isBot) continue;
+            const observer = this._getObserver(observerId, roomId);
+            this._updateSubscription(observer, self);
+
+            const entered = [];
+            const moved = [];
+            const left = [];
+            const inRange = new Set();
+
+            for (const key of observer.cells) {
+                for (const subjectId of grid.get(key) || []) {
+                    if (subjectId === observerId) continue;
+                    inRange.add(subjectId);
+                }
+            }
+            // Already-known players are kept out to the retain distance
+            for (const [subjectId] of observer.known) {
+                const subject = subjects.get(subjectId);
+                if (subject && Math.max(Math.abs(subject.cx - self.cx), Math.abs(subject.cz - self.cz)) <= INTEREST_RETAIN_CELLS) {
+                    inRange.add(subjectId);
+                } else if (!inRange.has(subjectId)) {
+                    observer.known.delete(subjectId);
+                    left.push(subjectId);
+                }
+            }
+
+            for (const subjectId of inRange) {
+                const { values } = subjects.get(subjectId);
+                const previous = observer.known.get(subjectId);
+                if (!previous || previous.length !== values.length) {
+                    // New in range, or puffle put out / away — send absolute
+                    entered.push([subjectId, ...values]);
+                } else {
+                    const delta = encodeDelta(subjectId, previous, values);
+                    if (delta) moved.push(delta);
+                }
+                observer.known.set(subjectId, values);
+            }
+
+            if (entered.length === 0 && moved.length === 0 && left.length === 0) continue;
+            const batch = { type: POSITION_BATCH_TYPE };
+            if (entered.length > 0) batch.e = entered;
+            if (moved.length > 0) batch.m = moved;
+            if (left.length > 0) batch.l = left;
+            this.sendToPlayer(observerId, batch);
+        }
+    }
+
+    _getObserver(observerId, roomId) {
+        let observer = this.observers.get(observerId);
+        if (!observer || observer.room !== roomId) {
+            observer = { room: roomId, cell: null, cells: [], known: new Map() };
+            this.observers.set(observerId, observer);
+        }
+        return observer;
+    }
+
+    /** Re-subscribe to the surrounding cells when the observer crossed into a new one */
+    _updateSubscription(observer, { cx, cz }) {
+        const key = cellKey(cx, cz);
+        if (observer.cell === key) return;
+        observer.cell = key;
+        observer.cells = [];
+        for (let dx = -INTEREST_RADIUS_CELLS; dx <= INTEREST_RADIUS_CELLS; dx++) {
+            for (let dz = -INTEREST_RADIUS_CELLS; dz <= INTEREST_RADIUS_CELLS; dz++) {
+                observer.cells.push(cellKey(cx + dx, cz + dz));
+            }
+        }
+    }
+
+    _forgetSubject(playerId) {
+        for (const observer of this.observers.values()) {
+            observer.known.delete(playerId);
+        }
+    }
+}
@@ -6,9 +6,15 @@
  * NO marketplace fee - platform revenue comes from Pebbles withdrawal rake
  * 
  * Flow: Buy Pebbles → Trade items → Withdraw Pebbles (platform takes fee on withdrawal)
+ *
+ * Buy orders: a buyer escrows maxPrice × quantity Pebbles for a template. A new listing at or
+ * below the best bid sells straight into it at the bid price; a new order buys the cheapest
+ * matching listings at their asking price. Each unit filled refunds the unused part of its escrow.
  */
 
 import MarketListing from '../db/models/MarketListing.js';
+import MarketBuyOrder from '../db/models/MarketBuyOrder.js';
+import MarketPriceBucket from '../db/models/MarketPriceBucket.js';
 import OwnedCosmetic from '../db/models/OwnedCosmetic.js';
 import CosmeticTemplate from '../db/models/CosmeticTemplate.js';
 import User from '../db/models/User.js';
@@ -18,6 +24,19 @@ import mongoose from 'mongoose';
 const MIN_PRICE = 1;           // Minimum listing price
 const MAX_PRICE = 1000000;     // Maximum listing price (1M pebbles)
 const LISTING_DURATION_DAYS = 7;  // Listings expire after 7 days
+const ORDER_DURATION_DAYS = 7;    // Buy orders expire (and refund) after 7 days
+const MAX_ORDER_QUANTITY = 25;    // Units per buy order
+
+// Chart ranges per bucket size
+const CHART_RANGES = {
+    hour: 48 * 60 * 60 * 1000,       // 48 hourly candles
+    day: 30 * 24 * 60 * 60 * 1000    // 30 daily candles
+};
+const RECENT_SALES_LIMIT = 15;
+const OVERVIEW_CACHE_MS = 60_000;  // Market-wide overview is shared by every open modal
+
+let overviewCache = null;
+let overviewCachedAt = 0;
 
 class MarketplaceService {
     
@@ -117,13 +136,35 @@ class MarketplaceService {
             });
             
             await listing.save({ session });
+            
+            // Sell straight into the best standing bid, at the bid's price
+            let matched = null;
+            const order = seller ? await MarketBuyOrder.findOne({
+                templateId: item.templateId,
+                status: 'active',
+                buyerId: { $ne: walletAddress },
+                maxPrice: { $gte: listing.price },
+                expiresAt: { $gt: new Date() }
+            }).sort({ maxPrice: -1, createdAt: 1 }).session(session) : null;
+            
+            if (order) {
+                const buyer = await User.findOne({ walletAddress: order.buyerId }).session(session);
+                if (buyer) {
+                    matched = await this._fillBuyOrder(order, listing, order.maxPrice, { session, buyer, seller });
+                    await Promise.all([buyer.save({ session }), seller.save({ session }), order.save({ session })]);
+                }
+            }
+            
             await session.commitTransaction();
+            if (matched) await this._recordSales([matched]);
             
-            console.log(`[Market] Listed: ${listing.itemSnapshot.name} #${item.serialNumber} for ${price} Pebbles by ${seller?.username}`);
+            console.log(`[Market] Listed: ${listing.itemSnapshot.name} #${item.serialNumber} for ${price} Pebbles by ${seller?.username}${matched ? ` — filled bid ${matched.orderId} at ${matched.price}` : ''}`);
             
             return {
                 success: true,
                 listing: listing.toObject(),
+                matched,
+                sellerNewPebbles: matched ? seller.pebbles : undefined,
                 wasUnequipped,
                 unequippedCategory: wasUnequipped ? category : null,
                 newCustomization: wasUnequipped ? seller.customization : null
@@ -273,6 +314,7 @@ class MarketplaceService {
             ]);
             
             await session.commitTransaction();
+            await this._recordSales([{ templateId: listing.templateId, price: listing.price, soldAt: listing.soldAt }]);
             
             console.log(`[Market] SOLD: ${listing.itemSnapshot.name} #${listing.itemSnapshot.serialNumber}`);
             console.log(`  Buyer: ${buyer.username} paid ${listing.price} Pebbles`);
@@ -305,6 +347,335 @@ class MarketplaceService {
         }
     }
     
+    /**
+     * Sell one listing into a buy order inside the caller's transaction.
+     * The buyer's escrow already covers maxPrice; anything below it is refunded.
+     * Caller saves buyer, seller and order, and records the sale with _recordSales after commit.
+     * @param {object} order - MarketBuyOrder document
+     * @param {object} listing - MarketListing document (saved here)
+     * @param {number} price - Agreed unit price (≤ order.maxPrice)
+     * @param {object} ctx - { session, buyer, seller } (User documents)
+     * @returns {object|null} - Fill summary, or null if the listed item is gone (listing cancelled)
+     */
+    async _fillBuyOrder(order, listing, price, { session, buyer, seller }) {
+        const transferResult = await OwnedCosmetic.transferOwnership(
+            listing.itemInstanceId,
+            listing.sellerId,
+            order.buyerId,
+            {
+                price,
+                transactionId: listing.listingId,
+                acquisitionType: 'trade'
+            },
+            session
+        );
+        
+        if (!transferResult.success) {
+            if (transferResult.error === 'ITEM_NOT_FOUND') {
+                listing.status = 'cancelled';
+                listing.cancelledAt = new Date();
+                await listing.save({ session });
+                return null;
+            }
+            throw { code: transferResult.error, message: transferResult.message };
+        }
+        
+        const refund = order.maxPrice - price;
+        buyer.pebbles += refund;
+        buyer.pebbleStats.totalSpent = (buyer.pebbleStats.totalSpent || 0) + price;
+        seller.pebbles += price;
+        
+        order.escrowRemaining -= order.maxPrice;
+        order.filledQuantity += 1;
+        order.fills.push({
+            listingId: listing.listingId,
+            itemInstanceId: listing.itemInstanceId,
+            sellerId: listing.sellerId,
+            sellerUsername: listing.sellerUsername,
+            price
+        });
+        if (order.filledQuantity >= order.quantity) {
+            order.status = 'filled';
+            order.closedAt = new Date();
+        }
+        
+        // Record what actually changed hands (a listing can sell above its ask into a higher bid)
+        listing.price = price;
+        listing.status = 'sold';
+        listing.buyerId = order.buyerId;
+        listing.buyerUsername = buyer.username;
+        listing.soldAt = new Date();
+        listing.sellerReceived = price;
+        await listing.save({ session });
+        
+        return {
+            orderId: order.orderId,
+            listingId: listing.listingId,
+            templateId: listing.templateId,
+            itemName: listing.itemSnapshot?.name,
+            rarity: listing.itemSnapshot?.rarity,
+            serialNumber: listing.itemSnapshot?.serialNumber,
+            price,
+            soldAt: listing.soldAt,
+            refund,
+            buyerWallet: order.buyerId,
+            buyerUsername: buyer.username,
+            buyerNewPebbles: buyer.pebbles,
+            sellerWallet: listing.sellerId,
+            sellerUsername: listing.sellerUsername,
+            sellerNewPebbles: seller.pebbles
+        };
+    }
+    
+    /**
+     * Fold committed sales into the price buckets. Runs after the sale's transaction, so chart
+     * upkeep can never abort a purchase; a missed sale is restored by scripts/backfillMarketPrices.js
+     * @param {Array<{ templateId: string, price: number, soldAt: Date }>} sales
+     */
+    async _recordSales(sales) {
+        for (const { templateId, price, soldAt } of sales) {
+            try {
+                await MarketPriceBucket.recordSale(templateId, price, soldAt);
+            } catch (error) {
+                console.error('[Market] Record sale error:', error);
+            }
+        }
+    }
+    
+    /**
+     * Place a buy order: escrow Pebbles and buy any listings already at or below the bid
+     * @param {string} walletAddress - Buyer's wallet
+     * @param {string} templateId - Cosmetic template to buy
+     * @param {number} maxPrice - Highest price per unit, in Pebbles
+     * @param {number} quantity - Units wanted
+     * @returns {object} - { success, order, fills, newPebbleBalance, error }
+     */
+    async placeBuyOrder(walletAddress, templateId, maxPrice, quantity = 1) {
+        if (!maxPrice || maxPrice < MIN_PRICE || maxPrice > MAX_PRICE) {
+            return {
+                success: false,
+                error: 'INVALID_PRICE',
+                message: `Price must be between ${MIN_PRICE} and ${MAX_PRICE} Pebbles`
+            };
+        }
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_ORDER_QUANTITY) {
+            return {
+                success: false,
+                error: 'INVALID_QUANTITY',
+                message: `Quantity must be between 1 and ${MAX_ORDER_QUANTITY}`
+            };
+        }
+        
+        const unitPrice = Math.floor(maxPrice);
+        const session = await mongoose.startSession();
+        session.startTransaction();
+        
+        try {
+            const template = await CosmeticTemplate.findOne({ templateId });
+            if (!template) {
+                throw { code: 'TEMPLATE_NOT_FOUND', message: 'Unknown item' };
+            }
+            
+            const buyer = await User.findOne({ walletAddress }).session(session);
+            if (!buyer) {
+                throw { code: 'BUYER_NOT_FOUND', message: 'Buyer account not found' };
+            }
+            
+            const escrow = unitPrice * quantity;
+            if (buyer.pebbles < escrow) {
+                throw {
+                    code: 'INSUFFICIENT_PEBBLES',
+                    message: `Not enough Pebbles. Need ${escrow}, have ${buyer.pebbles}`
+                };
+            }
+            buyer.pebbles -= escrow;
+            
+            const order = new MarketBuyOrder({
+                orderId: MarketBuyOrder.generateOrderId(),
+                templateId,
+                itemSnapshot: {
+                    name: template.name || 'Unknown Item',
+                    category: template.category || 'unknown',
+                    rarity: template.rarity || 'common',
+                    assetKey: template.assetKey || templateId
+                },
+                buyerId: walletAddress,
+                buyerUsername: buyer.username,
+                maxPrice: unitPrice,
+                quantity,
+                escrowRemaining: escrow,
+                expiresAt: new Date(Date.now() + ORDER_DURATION_DAYS * 24 * 60 * 60 * 1000)
+            });
+            
+            // Buy the cheapest listings already at or below the bid, at their asking price
+            const listings = await MarketListing.find({
+                templateId,
+                status: 'active',
+                sellerId: { $ne: walletAddress },
+                price: { $lte: unitPrice },
+                expiresAt: { $gt: new Date() }
+            }).sort({ price: 1, listedAt: 1 }).limit(quantity).session(session);
+            
+            const fills = [];
+            const sellers = new Map();
+            for (const listing of listings) {
+                if (!sellers.has(listing.sellerId)) {
+                    sellers.set(listing.sellerId, await User.findOne({ walletAddress: listing.sellerId }).session(session));
+                }
+                const seller = sellers.get(listing.sellerId);
+                if (!seller) continue;
+                
+                const fill = await this._fillBuyOrder(order, listing, listing.price, { session, buyer, seller });
+                if (fill) fills.push(fill);
+            }
+            // Later fills see the seller's final balance
+            for (const fill of fills) {
+                fill.sellerNewPebbles = sellers.get(fill.sellerWallet).pebbles;
+                fill.buyerNewPebbles = buyer.pebbles;
+            }
+            
+            await Promise.all([
+                buyer.save({ session }),
+                order.save({ session }),
+                ...[...sellers.values()].filter(Boolean).map(seller => seller.save({ session }))
+            ]);
+            await session.commitTransaction();
+            await this._recordSales(fills);
+            
+            console.log(`[Market] BID: ${buyer.username} wants ${quantity}× ${order.itemSnapshot.name} at ≤${unitPrice} Pebbles (${fills.length} filled now)`);
+            
+            return {
+                success: true,
+                order: order.toObject(),
+                fills,
+                newPebbleBalance: buyer.pebbles
+            };
+            
+        } catch (error) {
+            await session.abortTransaction();
+            console.error('[Market] Buy order error:', error);
+            return {
+                success: false,
+                error: error.code || 'ORDER_FAILED',
+                message: error.message || 'Failed to place buy order'
+            };
+        } finally {
+            session.endSession();
+        }
+    }
+    
+    /**
+     * Close an active buy order and refund its remaining escrow
+     * @param {string} orderId
+     * @param {string|null} walletAddress - Buyer (null for system expiry)
+     * @param {'cancelled'|'expired'} status
+     * @returns {object} - { success, order, refunded, newPebbleBalance, error }
+     */
+    async _closeBuyOrder(orderId, walletAddress, status) {
+        const session = await mongoose.startSession();
+        session.startTransaction();
+        
+        try {
+            const query = { orderId, status: 'active' };
+            if (walletAddress) query.buyerId = walletAddress;
+            const order = await MarketBuyOrder.findOne(query).session(session);
+            if (!order) {
+                throw { code: 'ORDER_NOT_FOUND', message: 'Buy order not found or not yours' };
+            }
+            
+            const buyer = await User.findOne({ walletAddress: order.buyerId }).session(session);
+            const refunded = Math.max(0, order.escrowRemaining);
+            if (buyer && refunded > 0) {
+                buyer.pebbles += refunded;
+                await buyer.save({ session });
+            }
+            
+            order.escrowRemaining = 0;
+            order.status = status;
+            order.closedAt = new Date();
+            await order.save({ session });
+            await session.commitTransaction();
+            
+            console.log(`[Market] Bid ${order.orderId} ${status}: refunded ${refunded} Pebbles to ${order.buyerUsername}`);
+            
+            return {
+                success: true,
+                order: order.toObject(),
+                refunded,
+                newPebbleBalance: buyer?.pebbles
+            };
+            
+        } catch (error) {
+            await session.abortTransaction();
+            console.error('[Market] Close buy order error:', error);
+            return {
+                success: false,
+                error: error.code || 'CANCEL_FAILED',
+                message: error.message || 'Failed to cancel buy order'
+            };
+        } finally {
+            session.endSession();
+        }
+    }
+    
+    /**
+     * Cancel a buy order (buyer only) and refund the unfilled escrow
+     */
+    async cancelBuyOrder(walletAddress, orderId) {
+        return this._closeBuyOrder(orderId, walletAddress, 'cancelled');
+    }
+    
+    /**
+     * Get user's active buy orders
+     */
+    async getUserBuyOrders(walletAddress) {
+        try {
+            return await MarketBuyOrder.getUserOrders(walletAddress, 'active');
+        } catch (error) {
+            console.error('[Market] Get buy orders error:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Order book for a template: asks (listings) and bids (buy orders) grouped by price
+     * @returns {object} - { templateId, asks: [{ price, count }], bids: [{ price, count }], bestAsk, bestBid }
+     */
+    async getOrderBook(templateId) {
+        const group = (rows, priceKey, countOf) => {
+            const levels = new Map();
+            for (const row of rows) {
+                const price = row[priceKey];
+                levels.set(price, (levels.get(price) || 0) + countOf(row));
+            }
+            return [...levels.entries()].map(([price, count]) => ({ price, count }));
+        };
+        
+        try {
+            const now = new Date();
+            const [listings, orders] = await Promise.all([
+                MarketListing.find({ templateId, status: 'active', expiresAt: { $gt: now } })
+                    .sort({ price: 1 }).limit(200).select('price').lean(),
+                MarketBuyOrder.find({ templateId, status: 'active', expiresAt: { $gt: now } })
+                    .sort({ maxPrice: -1 }).limit(200).select('maxPrice quantity filledQuantity').lean()
+            ]);
+            
+            const asks = group(listings, 'price', () => 1);
+            const bids = group(orders, 'maxPrice', order => order.quantity - order.filledQuantity);
+            
+            return {
+                templateId,
+                asks,
+                bids,
+                bestAsk: asks[0]?.price ?? null,
+                bestBid: bids[0]?.price ?? null
+            };
+        } catch (error) {
+            console.error('[Market] Get order book error:', error);
+            return { templateId, asks: [], bids: [], bestAsk: null, bestBid: null };
+        }
+    }
+    
     /**
      * Browse market listings
      */
@@ -390,6 +761,116 @@ class MarketplaceService {
         }
     }
     
+    /**
+     * Price chart and headline numbers for one item
+     * Candles come from MarketPriceBucket (kept up to date on every sale)
+     * @param {string} templateId
+     * @param {'hour'|'day'} interval - Candle size
+     * @returns {object} - { templateId, interval, candles, floorPrice, lastPrice, change24h, volume24h, turnover24h, activeListings, recentSales }
+     */
+    async getItemAnalytics(templateId, interval = 'hour') {
+        const bucket = CHART_RANGES[interval] ? interval : 'hour';
+        const now = Date.now();
+        const dayAgo = now - 24 * 60 * 60 * 1000;
+        
+        try {
+            const [hourly, daily, floorListing, activeListings, recentSales] = await Promise.all([
+                MarketPriceBucket.getSeries(templateId, 'hour', new Date(now - CHART_RANGES.hour)),
+                bucket === 'day' ? MarketPriceBucket.getSeries(templateId, 'day', new Date(now - CHART_RANGES.day)) : null,
+                MarketListing.findOne({ templateId, status: 'active', expiresAt: { $gt: new Date(now) } }).sort({ price: 1 }).select('price').lean(),
+                MarketListing.countDocuments({ templateId, status: 'active', expiresAt: { $gt: new Date(now) } }),
+                MarketListing.find({ templateId, status: 'sold' })
+                    .sort({ soldAt: -1 })
+                    .limit(RECENT_SALES_LIMIT)
+                    .select('-_id listingId price soldAt buyerUsername sellerUsername itemSnapshot.serialNumber itemSnapshot.quality')
+                    .lean()
+            ]);
+            
+            // 24h figures from the hourly buckets; change is against the last close before the window
+            const lastDay = hourly.filter(c => new Date(c.bucketStart).getTime() >= dayAgo);
+            const before = hourly.filter(c => new Date(c.bucketStart).getTime() < dayAgo).pop();
+            const lastPrice = hourly.length ? hourly[hourly.length - 1].close : (recentSales[0]?.price ?? null);
+            const change24h = before && lastDay.length
+                ? Math.round(((lastPrice - before.close) / before.close) * 1000) / 10
+                : null;
+            
+            return {
+                templateId,
+                interval: bucket,
+                candles: bucket === 'day' ? daily : hourly,
+                floorPrice: floorListing?.price ?? null,
+                lastPrice,
+                change24h,
+                volume24h: lastDay.reduce((sum, c) => sum + c.volume, 0),
+                turnover24h: lastDay.reduce((sum, c) => sum + c.turnover, 0),
+                activeListings,
+                recentSales
+            };
+        } catch (error) {
+            console.error('[Market] Get item analytics error:', error);
+            return {
+                templateId,
+                interval: bucket,
+                candles: [],
+                floorPrice: null,
+                lastPrice: null,
+                change24h: null,
+                volume24h: 0,
+                turnover24h: 0,
+                activeListings: 0,
+                recentSales: []
+            };
+        }
+    }
+    
+    /**
+     * Market-wide overview: supply and floor by rarity, latest sales, 24h stats.
+     * Cached briefly - every open marketplace asks for it.
+     * @returns {object} - { supplyByRarity: [{ rarity, listings, floorPrice }], recentSales, activeListings, totalSold24h, volume24h }
+     */
+    async getMarketOverview() {
+        const now = Date.now();
+        if (overviewCache && now - overviewCachedAt < OVERVIEW_CACHE_MS) {
+            return overviewCache;
+        }
+        
+        try {
+            const [supply, recentSales, stats] = await Promise.all([
+                MarketListing.aggregate([
+                    { $match: { status: 'active', expiresAt: { $gt: new Date(now) } } },
+                    {
+                        $group: {
+                            _id: '$itemSnapshot.rarity',
+                            listings: { $sum: 1 },
+                            floorPrice: { $min: '$price' }
+                        }
+                    }
+                ]),
+                MarketListing.find({ status: 'sold' })
+                    .sort({ soldAt: -1 })
+                    .limit(RECENT_SALES_LIMIT)
+                    .select('-_id listingId templateId price soldAt buyerUsername itemSnapshot.name itemSnapshot.rarity itemSnapshot.category itemSnapshot.assetKey itemSnapshot.serialNumber')
+                    .lean(),
+                this.getMarketStats()
+            ]);
+            
+            overviewCache = {
+                ...stats,
+                supplyByRarity: supply.map(row => ({
+                    rarity: row._id || 'common',
+                    listings: row.listings,
+                    floorPrice: row.floorPrice
+                })),
+                recentSales
+            };
+            overviewCachedAt = now;
+            return overviewCache;
+        } catch (error) {
+            console.error('[Market] Get overview error:', error);
+            return overviewCache || { activeListings: 0, totalSold24h: 0, volume24h: 0, supplyByRarity: [], recentSales: [] };
+        }
+    }
+    
     /**
      * Check if user can list an item
      * @returns {object} - { canList, reason }
@@ -425,9 +906,14 @@ class MarketplaceService {
     }
     
     /**
-     * Expire old listings (run periodically)
+     * Expire old listings and buy orders (run periodically).
+     * Expired buy orders refund their unfilled escrow.
+     * @returns {object} - { listings: number, orders: [{ orderId, buyerWallet, itemName, refunded, newPebbleBalance }] }
      */
     async expireOldListings() {
+        let listings = 0;
+        const orders = [];
+        
         try {
             const result = await MarketListing.updateMany(
                 {
@@ -439,15 +925,37 @@ class MarketplaceService {
                 }
             );
             
-            if (result.modifiedCount > 0) {
-                console.log(`[Market] Expired ${result.modifiedCount} old listings`);
+            listings = result.modifiedCount;
+            if (listings > 0) {
+                console.log(`[Market] Expired ${listings} old listings`);
             }
-            
-            return result.modifiedCount;
         } catch (error) {
             console.error('[Market] Expire listings error:', error);
-            return 0;
         }
+        
+        try {
+            const expired = await MarketBuyOrder.find({
+                status: 'active',
+                expiresAt: { $lt: new Date() }
+            }).select('orderId').lean();
+            
+            for (const { orderId } of expired) {
+                const result = await this._closeBuyOrder(orderId, null, 'expired');
+                if (result.success) {
+                    orders.push({
+                        orderId,
+                        buyerWallet: result.order.buyerId,
+                        itemName: result.order.itemSnapshot?.name,
+                        refunded: result.refunded,
+                        newPebbleBalance: result.newPebbleBalance
+                    });
+                }
+            }
+        } catch (error) {
+            console.error('[Market] Expire buy orders error:', error);
+        }
+        
+        return { listings, orders };
     }
 }
 
@@ -3,10 +3,17 @@
  * Server-authoritative match state and wager handling
  * 
  * Enhanced with SPL token wagering support (x402 protocol)
+ *
+ * Every match is dealt from its own seeded RNG and keeps an ordered move log (auto-plays included),
+ * both persisted on the Match record so a finished game can be replayed move by move (buildReplay).
  */
 
+import { randomInt } from 'crypto';
 import { Match as MatchModel } from '../db/models/index.js';
 import { isDBConnected } from '../db/connection.js';
+import { TOURNAMENT_LIMITS } from '../config/tournaments.js';
+import { SIDE_BET_LIMITS, splitSideBetPool } from '../config/sideBets.js';
+import { createSeededRandom } from '../utils/seededRandom.js';
 // NOTE: Token settlement is handled by handleMatchPayout() in server/index.js
 
 // Turn time limit (30 seconds)
@@ -152,9 +159,9 @@ function createUnoDeck() {
 }
 
 // Shuffle array in-place
-function shuffleArray(arr) {
+function shuffleArray(arr, random) {
     for (let i = arr.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [arr[i], arr[j]] = [arr[j], arr[i]];
     }
     return arr;
@@ -165,7 +172,7 @@ const BLACKJACK_SUITS = ['♥', '♦', '♣', '♠'];
 const BLACKJACK_VALUES = ['2','3','4','5','6','7','8','9','10','J','Q','K','A'];
 
 // Create and shuffle a blackjack deck (standard 52 cards)
-function createBlackjackDeck() {
+function createBlackjackDeck(random) {
     const deck = [];
     let uid = 0;
     for (const suit of BLACKJACK_SUITS) {
@@ -173,7 +180,7 @@ function createBlackjackDeck() {
             deck.push({ suit, value, uid: uid++, hidden: false });
         }
     }
-    return shuffleArray(deck);
+    return shuffleArray(deck, random);
 }
 
 // Calculate blackjack hand score
@@ -242,7 +249,7 @@ const BATTLESHIP_SHIPS = [
 ];
 
 // Place ships randomly on a grid
-function placeShipsRandomly() {
+function placeShipsRandomly(random) {
     const grid = Array(BATTLESHIP_GRID_SIZE * BATTLESHIP_GRID_SIZE).fill(null);
     const ships = [];
     
@@ -251,9 +258,9 @@ function placeShipsRandomly() {
         let attempts = 0;
         while (!placed && attempts < 100) {
             attempts++;
-            const horizontal = Math.random() > 0.5;
-            const x = Math.floor(Math.random() * BATTLESHIP_GRID_SIZE);
-            const y = Math.floor(Math.random() * BATTLESHIP_GRID_SIZE);
+            const horizontal = random() > 0.5;
+            const x = Math.floor(random() * BATTLESHIP_GRID_SIZE);
+            const y = Math.floor(random() * BATTLESHIP_GRID_SIZE);
             
             if (horizontal && x + shipTemplate.size > BATTLESHIP_GRID_SIZE) continue;
             if (!horizontal && y + shipTemplate.size > BATTLESHIP_GRID_SIZE) continue;
@@ -306,10 +313,19 @@ class MatchService {
         
         this.nextMatchId = 1;
         
+        this.tournamentService = null; // Injected later to avoid circular deps
+        
         // Turn timer interval
         this.timerInterval = setInterval(() => this.checkTurnTimers(), 1000);
     }
 
+    /**
+     * Inject tournament service (called after initialization to avoid circular deps)
+     */
+    setTournamentService(tournamentService) {
+        this.tournamentService = tournamentService;
+    }
+
     /**
      * Create a match from an accepted challenge
      * Includes wagerToken (x402) if present
@@ -320,6 +336,10 @@ class MatchService {
         const gameType = denormalizeGameType(challenge.gameType);
         const hasTokenWager = challenge.wagerToken?.tokenAddress && challenge.wagerToken?.tokenAmount > 0;
         
+        // Deals, draws, dice and card picks all come from this seed so the game can be replayed
+        const replaySeed = randomInt(0, 0xFFFFFFFF);
+        const random = createSeededRandom(replaySeed);
+        
         const match = {
             id: matchId,
             gameType,
@@ -343,12 +363,16 @@ class MatchService {
             wagerToken: hasTokenWager ? challenge.wagerToken : null,  // x402 token wager
             room: challenge.room,
             status: 'active',
-            state: this._createInitialState(gameType),
+            state: this._createInitialState(gameType, random),
+            random,
+            replaySeed,
+            moveLog: [],  // { side, move, auto, at } in play order
             createdAt: Date.now(),
             endedAt: null,
             winnerId: null,
             winnerWallet: null,
-            settlementStatus: hasTokenWager ? 'pending' : 'none'  // Track token settlement
+            settlementStatus: hasTokenWager ? 'pending' : 'none',  // Track token settlement
+            sideBets: { open: true, settled: false, bets: [] }  // Spectator pari-mutuel pool
         };
         
         // Store in memory
@@ -383,7 +407,8 @@ class MatchService {
                     wagerAmount: challenge.wagerAmount,
                     room: challenge.room,
                     status: 'active',
-                    gameState: match.state
+                    gameState: match.state,
+                    replaySeed
                 };
                 
                 // Add wagerToken and signed payloads if present (x402)
@@ -410,8 +435,9 @@ class MatchService {
     
     /**
      * Create initial game state based on game type
+     * @param {() => number} random - the match's seeded RNG
      */
-    _createInitialState(gameType) {
+    _createInitialState(gameType, random) {
         switch (gameType) {
             case 'tic_tac_toe':
                 return {
@@ -467,21 +493,21 @@ class MatchService {
                 };
             
             case 'uno':
-                return this._createUnoInitialState();
+                return this._createUnoInitialState(random);
             
             case 'blackjack':
-                return this._createBlackjackState();
+                return this._createBlackjackState(random);
             
             case 'battleship':
-                return this._createBattleshipState();
+                return this._createBattleshipState(random);
             
             case 'card_jitsu':
             default:
                 return {
                     round: 1,
                     phase: 'select',
-                    player1Hand: this._generateHand(),
-                    player2Hand: this._generateHand(),
+                    player1Hand: this._generateHand(random),
+                    player2Hand: this._generateHand(random),
                     player1SelectedCard: null,
                     player2SelectedCard: null,
                     player1Wins: { fire: 0, water: 0, snow: 0 },
@@ -492,27 +518,27 @@ class MatchService {
         }
     }
 
-    _generateCard() {
-        const element = CARD_ELEMENTS[Math.floor(Math.random() * 3)];
-        const power = Math.floor(Math.random() * 5) + 1;
-        const emoji = CARD_EMOJIS[element][Math.floor(Math.random() * 5)];
+    _generateCard(random) {
+        const element = CARD_ELEMENTS[Math.floor(random() * 3)];
+        const power = Math.floor(random() * 5) + 1;
+        const emoji = CARD_EMOJIS[element][Math.floor(random() * 5)];
         return {
-            id: `card_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            id: `card_${Math.floor(random() * 0xFFFFFFFF).toString(36)}`,
             element,
             power,
             emoji
         };
     }
 
-    _generateHand() {
-        return Array(5).fill(null).map(() => this._generateCard());
+    _generateHand(random) {
+        return Array(5).fill(null).map(() => this._generateCard(random));
     }
 
     // ========== UNO METHODS ==========
     
-    _createUnoInitialState() {
+    _createUnoInitialState(random) {
         // Create and shuffle deck
-        const deck = shuffleArray(createUnoDeck());
+        const deck = shuffleArray(createUnoDeck(), random);
         
         // Deal 7 cards to each player
         const player1Hand = [];
@@ -699,7 +725,7 @@ class MatchService {
         for (let i = 0; i < count; i++) {
             // Reshuffle if deck is empty
             if (state.deck.length === 0) {
-                this._unoReshuffleDeck(state);
+                this._unoReshuffleDeck(state, match.random);
             }
             
             if (state.deck.length > 0) {
@@ -711,11 +737,11 @@ class MatchService {
         this._notifyMatchState(match);
     }
     
-    _unoReshuffleDeck(state) {
+    _unoReshuffleDeck(state, random) {
         // Keep the top card on discard
         const topCard = state.discard.pop();
         // Shuffle the rest back into deck
-        state.deck = shuffleArray([...state.discard]);
+        state.deck = shuffleArray([...state.discard], random);
         state.discard = [topCard];
     }
     
@@ -759,30 +785,20 @@ class MatchService {
         const state = match.state;
         if (state.phase === 'complete') return;
         
-        const currentPlayer = state.currentTurn;
-        
         if (state.phase === 'selectColor') {
             // Auto-select a random color
-            state.activeColor = UNO_COLORS[Math.floor(Math.random() * UNO_COLORS.length)];
-            state.phase = 'playing';
-            if (state.pendingWildEffect) {
-                this._applyUnoCardEffect(match, state.pendingWildEffect, state.waitingForColor);
-                state.pendingWildEffect = null;
-            }
-            this._unoNextTurn(match);
-            state.waitingForColor = null;
+            const color = UNO_COLORS[Math.floor(Math.random() * UNO_COLORS.length)];
+            this._applyMove(match, match[state.waitingForColor].id, { action: 'selectColor', color }, true);
         } else {
             // Auto-draw a card
-            this._unoDrawCards(match, currentPlayer, 1);
-            state.lastAction = { type: 'draw', player: currentPlayer };
-            this._unoNextTurn(match);
+            this._applyMove(match, match[state.currentTurn].id, { action: 'draw' }, true);
         }
     }
 
     // ========== BLACKJACK METHODS ==========
     
-    _createBlackjackState() {
-        const deck = createBlackjackDeck();
+    _createBlackjackState(random) {
+        const deck = createBlackjackDeck(random);
         
         // Deal initial cards: Player1, Dealer(hidden), Player2, Dealer(visible)
         // P2P mode: Both players play against a shared dealer
@@ -823,10 +839,10 @@ class MatchService {
     
     // ========== BATTLESHIP METHODS ==========
     
-    _createBattleshipState() {
+    _createBattleshipState(random) {
         // Generate random ship placements for both players
-        const player1Setup = placeShipsRandomly();
-        const player2Setup = placeShipsRandomly();
+        const player1Setup = placeShipsRandomly(random);
+        const player2Setup = placeShipsRandomly(random);
         
         return {
             // Each player's ships and grid
@@ -871,7 +887,7 @@ class MatchService {
             if (typeof action === 'object') {
                 if (action.action === 'randomizeFleet') {
                     // Re-randomize this player's ship placement
-                    const newSetup = placeShipsRandomly();
+                    const newSetup = placeShipsRandomly(match.random);
                     if (isPlayer1) {
                         state.player1Ships = newSetup.ships;
                         state.player1Grid = newSetup.grid;
@@ -1251,16 +1267,9 @@ class MatchService {
         // Auto-stand for the current player
         const currentPlayerId = state.phase === 'player1Turn' ? match.player1.id : match.player2.id;
         const playerKey = state.phase === 'player1Turn' ? 'player1' : 'player2';
-        const statusKey = `${playerKey}Status`;
         
         console.log(`⏰ Blackjack auto-stand for ${playerKey}`);
-        
-        if (state[statusKey] === 'playing') {
-            state[statusKey] = 'stand';
-            state.lastAction = { type: 'stand', player: playerKey, timeout: true };
-        }
-        
-        this._blackjackAdvanceTurn(match, state);
+        this._applyMove(match, currentPlayerId, { action: 'stand' }, true);
     }
     
     _handleBattleshipTimeout(match) {
@@ -1271,11 +1280,9 @@ class MatchService {
             const setupElapsed = (Date.now() - state.setupStartedAt) / 1000;
             if (setupElapsed >= BATTLESHIP_SETUP_TIME) {
                 console.log(`⏰ Battleship setup timeout - auto-starting game`);
-                state.player1Ready = true;
-                state.player2Ready = true;
-                state.phase = 'playing';
-                state.currentTurn = 'player1';
-                state.turnStartedAt = Date.now();
+                for (const side of ['player1', 'player2']) {
+                    if (!state[`${side}Ready`]) this._applyMove(match, match[side].id, { action: 'ready' }, true);
+                }
                 return;
             }
         }
@@ -1295,7 +1302,7 @@ class MatchService {
             
             const randomCell = unfiredCells[Math.floor(Math.random() * unfiredCells.length)];
             console.log(`⏰ Battleship auto-fire for ${state.currentTurn}`);
-            this._playBattleship(match, currentPlayerId, { cellIndex: randomCell });
+            this._applyMove(match, currentPlayerId, { cellIndex: randomCell }, true);
         }
     }
     
@@ -1403,6 +1410,31 @@ class MatchService {
         if (!match) return { error: 'MATCH_NOT_FOUND' };
         if (match.status !== 'active') return { error: 'MATCH_NOT_ACTIVE' };
 
+        const result = this._applyMove(match, playerId, cardIndex);
+        // Side betting closes once the first move lands
+        if (!result?.error) this._closeSideBets(match);
+        return result;
+    }
+
+    /**
+     * Play a move and append it to the match's move log. Turn-timer auto-plays go through here
+     * too (auto = true) so the log alone reproduces the game.
+     */
+    _applyMove(match, playerId, move, auto = false) {
+        match.moveAt = Date.now() - match.createdAt;
+        const result = this._playMove(match, playerId, move);
+        if (!result?.error) {
+            match.moveLog.push({
+                side: playerId === match.player1.id ? 'player1' : 'player2',
+                move,
+                auto,
+                at: match.moveAt
+            });
+        }
+        return result;
+    }
+
+    _playMove(match, playerId, cardIndex) {
         if (match.gameType === 'tic_tac_toe') {
             return this._playTicTacToe(match, playerId, cardIndex);
         }
@@ -1601,8 +1633,8 @@ class MatchService {
         if (!isMyTurn) return { error: 'NOT_YOUR_TURN' };
         if (state.phase !== 'roll') return { error: 'NOT_ROLL_PHASE' };
         
-        const d1 = Math.floor(Math.random() * 6) + 1;
-        const d2 = Math.floor(Math.random() * 6) + 1;
+        const d1 = Math.floor(match.random() * 6) + 1;
+        const d2 = Math.floor(match.random() * 6) + 1;
         const total = d1 + d2;
         const isDoubles = d1 === d2;
         
@@ -1761,9 +1793,9 @@ class MatchService {
         const space = MONOPOLY_SPACES[position];
         let rent = space.rent || 0;
         
-        // Calculate game duration in minutes for rent scaling
-        const gameStartTime = state.gameStartTime || match.createdAt || Date.now();
-        const gameDurationMinutes = Math.max(0, (Date.now() - gameStartTime) / (1000 * 60));
+        // Calculate game duration in minutes for rent scaling (clock of the move being applied,
+        // so a replay charges the same rent)
+        const gameDurationMinutes = Math.max(0, match.moveAt / (1000 * 60));
         
         // Rent scaling: starts at 1x, increases gradually up to 3x after 10 minutes
         // Formula: 1 + (gameDurationMinutes / 10) * 2, capped at 3x
@@ -1795,7 +1827,7 @@ class MatchService {
     }
     
     _monopolyHandleCard(match, state, currentPlayer, deck, title) {
-        const card = deck[Math.floor(Math.random() * deck.length)];
+        const card = deck[Math.floor(match.random() * deck.length)];
         const player = state[currentPlayer];
         
         state.currentEvent = { type: title.toLowerCase().replace(' ', ''), title, description: card.text };
@@ -1986,7 +2018,8 @@ class MatchService {
             match.winnerId = p1Won ? match.player1.id : match.player2.id;
             match.winnerWallet = p1Won ? match.player1.wallet : match.player2.wallet;
             match.endedAt = Date.now();
-        } else {
+        } else if (!match.replaying) {
+            // Replays start the next round themselves when the next move arrives
             setTimeout(() => {
                 if (match.status === 'active' || match.state.phase === 'reveal') {
                     this._startNextRound(match);
@@ -2017,11 +2050,11 @@ class MatchService {
     _startNextRound(match) {
         if (match.state.player1SelectedCard !== null) {
             match.state.player1Hand.splice(match.state.player1SelectedCard, 1);
-            match.state.player1Hand.push(this._generateCard());
+            match.state.player1Hand.push(this._generateCard(match.random));
         }
         if (match.state.player2SelectedCard !== null) {
             match.state.player2Hand.splice(match.state.player2SelectedCard, 1);
-            match.state.player2Hand.push(this._generateCard());
+            match.state.player2Hand.push(this._generateCard(match.random));
         }
         
         match.state.round++;
@@ -2031,8 +2064,8 @@ class MatchService {
         match.state.turnStartedAt = Date.now();
         match.state.lastRoundResult = null;
         
-        while (match.state.player1Hand.length < 5) match.state.player1Hand.push(this._generateCard());
-        while (match.state.player2Hand.length < 5) match.state.player2Hand.push(this._generateCard());
+        while (match.state.player1Hand.length < 5) match.state.player1Hand.push(this._generateCard(match.random));
+        while (match.state.player2Hand.length < 5) match.state.player2Hand.push(this._generateCard(match.random));
         
         this._notifyMatchState(match);
     }
@@ -2046,6 +2079,8 @@ class MatchService {
             const elapsed = now - match.state.turnStartedAt;
             if (elapsed < TURN_TIME_LIMIT_MS) continue;
             
+            if (match.tournament && this._countTournamentNoShow(match)) continue;
+            
             if (match.gameType === 'tic_tac_toe') {
                 this._handleTicTacToeTimeout(match);
             } else if (match.gameType === 'connect4') {
@@ -2062,8 +2097,63 @@ class MatchService {
                 this._handleCardJitsuTimeout(match);
             }
             
+            this._closeSideBets(match);
             this._notifyMatchState(match);
+            
+            if (match.status === 'complete') {
+                const winnerId = match.state.winner === 'draw' ? null : match.winnerId;
+                this.settleSideBets(match, winnerId)
+                    .catch(err => console.error('🎲 Side bet settle error:', err));
+                
+                // Nobody else ends a match that an auto-play finished
+                if (match.tournament && this.tournamentService) {
+                    this.tournamentService.settleMatch(match, winnerId, winnerId ? 'win' : 'draw')
+                        .catch(err => console.error('🏆 Tournament match settle error:', err));
+                }
+            }
+        }
+    }
+
+    /**
+     * Sides whose turn timer just expired without them acting
+     * @returns {('player1'|'player2')[]}
+     */
+    _getTimedOutSides(match) {
+        const state = match.state;
+        if (match.gameType === 'card_jitsu') {
+            if (state.phase !== 'select') return [];
+            return ['player1', 'player2'].filter(key => state[`${key}SelectedCard`] === null);
         }
+        if (match.gameType === 'blackjack') {
+            if (state.phase === 'player1Turn') return ['player1'];
+            if (state.phase === 'player2Turn') return ['player2'];
+            return [];
+        }
+        if (match.gameType === 'battleship' && state.phase !== 'playing') return [];
+        return state.currentTurn ? [state.currentTurn] : [];
+    }
+
+    /**
+     * Count a missed turn against each idle side of a tournament match. Once a side has missed
+     * NO_SHOW_TIMEOUTS turns the match is forfeited to the opponent instead of auto-played again.
+     * @returns {boolean} true if the match was forfeited
+     */
+    _countTournamentNoShow(match) {
+        if (!this.tournamentService) return false;
+        
+        const missed = match.tournament.missedTurns;
+        for (const side of this._getTimedOutSides(match)) {
+            missed[side]++;
+        }
+        const noShows = ['player1', 'player2'].filter(side => missed[side] >= TOURNAMENT_LIMITS.NO_SHOW_TIMEOUTS);
+        if (noShows.length === 0) return false;
+        
+        // Both sides absent: the first slot advances, as with repeated draws
+        const winnerKey = noShows.includes('player1') && !noShows.includes('player2') ? 'player2' : 'player1';
+        console.log(`⏰ Tournament no-show: ${match[winnerKey === 'player1' ? 'player2' : 'player1'].name} forfeits`);
+        this.tournamentService.settleMatch(match, match[winnerKey].id, 'no_show')
+            .catch(err => console.error('🏆 Tournament no-show settle error:', err));
+        return true;
     }
 
     _handleTicTacToeTimeout(match) {
@@ -2077,7 +2167,7 @@ class MatchService {
         const currentPlayerId = state.currentTurn === 'player1' ? match.player1.id : match.player2.id;
         
         console.log(`⏰ Auto-play for ${state.currentTurn === 'player1' ? match.player1.name : match.player2.name}`);
-        this._playTicTacToe(match, currentPlayerId, randomCell);
+        this._applyMove(match, currentPlayerId, randomCell, true);
     }
 
     _handleConnect4Timeout(match) {
@@ -2094,22 +2184,18 @@ class MatchService {
         const currentPlayerId = state.currentTurn === 'player1' ? match.player1.id : match.player2.id;
         
         console.log(`⏰ Auto-play for ${state.currentTurn === 'player1' ? match.player1.name : match.player2.name}`);
-        this._playConnect4(match, currentPlayerId, column);
+        this._applyMove(match, currentPlayerId, column, true);
     }
 
     _handleCardJitsuTimeout(match) {
         if (match.state.phase !== 'select') return;
         
-        if (match.state.player1SelectedCard === null) {
-            match.state.player1SelectedCard = 0;
-            console.log(`⏰ Auto-play for ${match.player1.name}`);
-        }
-        if (match.state.player2SelectedCard === null) {
-            match.state.player2SelectedCard = 0;
-            console.log(`⏰ Auto-play for ${match.player2.name}`);
+        for (const side of ['player1', 'player2']) {
+            if (match.state[`${side}SelectedCard`] === null) {
+                console.log(`⏰ Auto-play for ${match[side].name}`);
+                this._applyMove(match, match[side].id, 0, true);
+            }
         }
-        
-        this._resolveRound(match);
     }
     
     _handleMonopolyTimeout(match) {
@@ -2121,19 +2207,18 @@ class MatchService {
         
         // Auto-actions based on phase
         if (state.phase === 'roll') {
-            this._monopolyRoll(match, state, state.currentTurn, true);
-            this._notifyMatchState(match);
+            this._applyMove(match, currentPlayerId, { action: 'roll' }, true);
         } else if (state.phase === 'moving') {
-            this._monopolyCompleteMove(match, state, state.currentTurn, true);
-            this._notifyMatchState(match);
+            this._applyMove(match, currentPlayerId, { action: 'completeMove' }, true);
         } else if (state.phase === 'action' || state.phase === 'end') {
             // Skip buying, just end turn
-            this._monopolyEndTurn(match, state, state.currentTurn, true);
-            this._notifyMatchState(match);
+            this._applyMove(match, currentPlayerId, { action: 'endTurn' }, true);
         }
     }
 
     _notifyMatchState(match) {
+        if (match.replaying) return;
+        
         const state1 = this.getMatchState(match.id, match.player1.id);
         this.sendToPlayer(match.player1.id, { type: 'match_state', matchId: match.id, state: state1 });
         
@@ -2276,7 +2361,13 @@ class MatchService {
     getMatchState(matchId, playerId) {
         const match = this.matches.get(matchId);
         if (!match) return null;
+        return this._getStateView(match, playerId);
+    }
 
+    /**
+     * A player's view of the match (opponent's hidden information stripped)
+     */
+    _getStateView(match, playerId) {
         const isPlayer1 = playerId === match.player1.id;
         const timeRemaining = Math.max(0, Math.ceil(
             (TURN_TIME_LIMIT_MS - (Date.now() - match.state.turnStartedAt)) / 1000
@@ -2482,6 +2573,8 @@ class MatchService {
         match.status = 'void';
         match.endedAt = Date.now();
         
+        await this.settleSideBets(match, null, reason);
+        
         // Clean up mappings
         this.playerMatches.delete(match.player1.id);
         this.playerMatches.delete(match.player2.id);
@@ -2496,7 +2589,8 @@ class MatchService {
                     { 
                         status: 'void',
                         endedAt: match.endedAt,
-                        gameState: null
+                        gameState: null,
+                        moveLog: match.moveLog
                     }
                 );
             } catch (error) {
@@ -2513,6 +2607,7 @@ class MatchService {
             player1Wallet: match.player1.wallet,
             player2Wallet: match.player2.wallet,
             wagerAmount: match.wagerAmount,
+            tournament: match.tournament || null,
             reason
         };
     }
@@ -2558,6 +2653,7 @@ class MatchService {
                         payoutProcessed: true,
                         payoutAmount: match.wagerAmount * 2,
                         gameState: null,
+                        moveLog: match.moveLog,
                         duration: Math.floor((match.endedAt - match.createdAt) / 1000)
                     }
                 );
@@ -2580,6 +2676,238 @@ class MatchService {
         return this.voidMatch(matchId, 'disconnect');
     }
 
+    // ========== REPLAYS ==========
+
+    /**
+     * Load a finished match and replay it from one side's point of view
+     * @param {'player1'|'player2'} side - whose hidden information the frames show
+     */
+    async getReplay(matchId, side = 'player1') {
+        if (typeof matchId !== 'string' || !matchId) return { error: 'MATCH_NOT_FOUND' };
+        if (side !== 'player1' && side !== 'player2') return { error: 'INVALID_SIDE' };
+        // Hands are still secret while the game is on
+        if (this.matches.get(matchId)?.status === 'active') return { error: 'MATCH_IN_PROGRESS' };
+        if (!isDBConnected()) return { error: 'DB_UNAVAILABLE' };
+
+        const record = await MatchModel.findOne({ matchId }).lean();
+        if (!record) return { error: 'MATCH_NOT_FOUND' };
+        if (record.status === 'active') return { error: 'MATCH_IN_PROGRESS' };
+        if (record.replaySeed == null || !record.moveLog) return { error: 'NO_REPLAY' };
+
+        return { success: true, replay: this.buildReplay(record, side) };
+    }
+
+    /**
+     * Re-run a stored match from its seed and move log. Each frame is the state `side` saw right
+     * after that move; frame 0 is the deal. The replayed winner is compared with the recorded one.
+     * @param {object} record - Match document (replaySeed, moveLog, players, result)
+     * @param {'player1'|'player2'} side
+     */
+    buildReplay(record, side = 'player1') {
+        const gameType = denormalizeGameType(record.gameType);
+        const random = createSeededRandom(record.replaySeed);
+        const match = {
+            id: record.matchId,
+            gameType,
+            player1: { id: record.player1.playerId, wallet: record.player1.wallet, name: record.player1.name },
+            player2: { id: record.player2.playerId, wallet: record.player2.wallet, name: record.player2.name },
+            status: 'active',
+            state: this._createInitialState(gameType, random),
+            random,
+            replaying: true,
+            moveAt: 0,
+            winnerId: null,
+            winnerWallet: null
+        };
+        const viewerId = match[side].id;
+
+        const frames = [{ side: null, move: null, auto: false, at: 0, state: this._getStateView(match, viewerId) }];
+        for (const entry of record.moveLog) {
+            // Live card jitsu deals the next round on a 2s timer after the reveal
+            if (gameType === 'card_jitsu' && match.state.phase === 'reveal') {
+                this._startNextRound(match);
+            }
+            match.moveAt = entry.at;
+            const result = this._playMove(match, match[entry.side].id, entry.move);
+            if (result?.error) {
+                console.warn(`🎬 Replay ${record.matchId} diverged at move ${frames.length}: ${result.error}`);
+                break;
+            }
+            frames.push({ side: entry.side, move: entry.move, auto: !!entry.auto, at: entry.at, state: this._getStateView(match, viewerId) });
+        }
+
+        const completed = match.status !== 'active';
+        const recordedWinnerId = record.winnerId || null;
+        return {
+            matchId: record.matchId,
+            gameType,
+            side,
+            player1: { id: match.player1.id, name: match.player1.name },
+            player2: { id: match.player2.id, name: match.player2.name },
+            wagerAmount: record.wagerAmount || 0,
+            wagerToken: record.wagerToken?.tokenAddress ? record.wagerToken : null,
+            status: record.status,
+            startedAt: record.startedAt,
+            endedAt: record.endedAt,
+            frames,
+            moveCount: record.moveLog.length,
+            replayWinnerId: completed ? match.winnerId : null,
+            recordedWinnerId,
+            // null when the game never finished on the board (disconnect / forfeit)
+            verified: completed ? frames.length === record.moveLog.length + 1 && match.winnerId === recordedWinnerId : null
+        };
+    }
+
+    // ========== SPECTATOR SIDE BETS ==========
+
+    /**
+     * Public view of a match's side-bet pool (individual bets stay private)
+     */
+    getSideBetSummary(match) {
+        const pools = { player1: 0, player2: 0 };
+        for (const bet of match.sideBets.bets) {
+            pools[bet.side] += bet.amount;
+        }
+        return { open: match.sideBets.open, pools, bettorCount: match.sideBets.bets.length };
+    }
+
+    _broadcastSideBets(match) {
+        if (!match.room) return;
+        this.broadcastToRoom(match.room, {
+            type: 'match_side_bets',
+            matchId: match.id,
+            sideBets: this.getSideBetSummary(match)
+        });
+    }
+
+    _closeSideBets(match) {
+        if (!match.sideBets.open) return;
+        match.sideBets.open = false;
+        this._broadcastSideBets(match);
+    }
+
+    /**
+     * Back one player of a live match with gold. Open to spectators in the match's room until the
+     * first move; one bet per spectator per match.
+     * @param {string} matchId
+     * @param {{ id: string, walletAddress: string, name: string, room: string }} bettor - live player state
+     * @param {'player1'|'player2'} side
+     * @param {number} amount
+     */
+    async placeSideBet(matchId, bettor, side, amount) {
+        const match = this.matches.get(matchId);
+        if (!match || match.status !== 'active') {
+            return { success: false, error: 'MATCH_NOT_FOUND', message: 'That match is no longer running' };
+        }
+        if (!bettor?.walletAddress) {
+            return { success: false, error: 'NOT_AUTHENTICATED', message: 'Connect your wallet to place side bets' };
+        }
+        if (bettor.id === match.player1.id || bettor.id === match.player2.id
+            || bettor.walletAddress === match.player1.wallet || bettor.walletAddress === match.player2.wallet) {
+            return { success: false, error: 'IN_MATCH', message: 'You cannot bet on your own match' };
+        }
+        if (!match.room || bettor.room !== match.room) {
+            return { success: false, error: 'WRONG_ROOM', message: 'Watch the match in person to bet on it' };
+        }
+        if (side !== 'player1' && side !== 'player2') {
+            return { success: false, error: 'INVALID_SIDE', message: 'Pick a player to back' };
+        }
+        const stake = Number(amount);
+        if (!Number.isInteger(stake) || stake < SIDE_BET_LIMITS.MIN_BET || stake > SIDE_BET_LIMITS.MAX_BET) {
+            return { success: false, error: 'INVALID_AMOUNT', message: `Side bets are ${SIDE_BET_LIMITS.MIN_BET}–${SIDE_BET_LIMITS.MAX_BET} gold` };
+        }
+        const openError = this._getSideBetOpenError(match, bettor.walletAddress);
+        if (openError) return openError;
+
+        const paid = await this.userService.addCoins(
+            bettor.walletAddress,
+            -stake,
+            'side_bet',
+            { matchId },
+            `Side bet on ${match[side].name}`
+        );
+        if (!paid.success) {
+            return { success: false, error: 'INSUFFICIENT_FUNDS', message: `You need ${stake} gold` };
+        }
+
+        // The first move may have landed while we were paying
+        const lateError = this._getSideBetOpenError(match, bettor.walletAddress);
+        if (lateError) {
+            const refund = await this.userService.addCoins(bettor.walletAddress, stake, 'side_bet_refund', { matchId }, 'Side bet refund: betting closed');
+            return { ...lateError, newBalance: refund?.newBalance ?? paid.newBalance };
+        }
+
+        match.sideBets.bets.push({
+            walletAddress: bettor.walletAddress,
+            playerId: bettor.id,
+            name: bettor.name,
+            side,
+            amount: stake
+        });
+        this._broadcastSideBets(match);
+        console.log(`🎲 ${bettor.name} bet ${stake} on ${match[side].name} (${match.player1.name} vs ${match.player2.name})`);
+
+        return { success: true, message: `Bet ${stake} gold on ${match[side].name}`, matchId, side, amount: stake, newBalance: paid.newBalance };
+    }
+
+    _getSideBetOpenError(match, walletAddress) {
+        if (match.status !== 'active' || !match.sideBets.open) {
+            return { success: false, error: 'BETTING_CLOSED', message: 'Betting closed after the first move' };
+        }
+        if (match.sideBets.bets.some(bet => bet.walletAddress === walletAddress)) {
+            return { success: false, error: 'ALREADY_BET', message: 'You already have a bet on this match' };
+        }
+        return null;
+    }
+
+    /**
+     * Pay out (or refund) a match's side-bet pool. Runs once per match.
+     * @param {object} match
+     * @param {string|null} winnerId - null refunds everyone (draw / void)
+     * @param {string} [reason] - refund reason for the transaction log
+     */
+    async settleSideBets(match, winnerId, reason = 'draw') {
+        const sideBets = match?.sideBets;
+        if (!sideBets || sideBets.settled) return;
+        sideBets.settled = true;
+        sideBets.open = false;
+        if (sideBets.bets.length === 0) return;
+
+        const winningSide = winnerId === match.player1.id ? 'player1' : winnerId === match.player2.id ? 'player2' : null;
+        const payouts = winningSide ? splitSideBetPool(sideBets.bets, winningSide) : null;
+        const refundReason = winningSide ? 'nobody backed the winner' : reason;
+
+        for (const bet of sideBets.bets) {
+            try {
+                let outcome;
+                let amount = 0;
+                let result = null;
+                if (!payouts) {
+                    outcome = 'refunded';
+                    amount = bet.amount;
+                    result = await this.userService.addCoins(bet.walletAddress, amount, 'side_bet_refund', { matchId: match.id }, `Side bet refund: ${refundReason}`);
+                } else if (payouts.has(bet)) {
+                    outcome = 'won';
+                    amount = payouts.get(bet);
+                    result = await this.userService.addCoins(bet.walletAddress, amount, 'side_bet_payout', { matchId: match.id }, `Side bet won on ${match[bet.side].name}`);
+                } else {
+                    outcome = 'lost';
+                }
+                this.sendToPlayer(bet.playerId, {
+                    type: 'match_side_bet_settled',
+                    matchId: match.id,
+                    outcome,
+                    stake: bet.amount,
+                    payout: amount,
+                    backedName: match[bet.side].name,
+                    newBalance: result?.newBalance ?? null
+                });
+            } catch (error) {
+                console.error('🎲 Failed to settle side bet:', error.message);
+            }
+        }
+    }
+
     getMatchesInRoom(room) {
         const matches = [];
         for (const [, match] of this.matches) {
@@ -2683,6 +3011,7 @@ class MatchService {
                     gameType: match.gameType,
                     wagerAmount: match.wagerAmount,
                     wagerToken: match.wagerToken || null, // Include token wager info for spectator banners
+                    sideBets: this.getSideBetSummary(match),
                     state: spectatorState
                 });
             }
@@ -0,0 +1,298 @@
+/**
+ * ModerationService - Player reports and the moderator review queue (server authority).
+ * Reports snapshot recent chat between the two players; resolving one can dismiss it,
+ * warn via the inbox, apply a timed chat mute, or a timed ban (User.banExpires / banHistory).
+ * Chat filter violations escalate into automatic mutes via the RateLimiter `chat_violation` tier.
+ */
+
+import PlayerReport from '../db/models/PlayerReport.js';
+import User from '../db/models/User.js';
+import ChatService from './ChatService.js';
+import defaultRateLimiter from '../utils/RateLimiter.js';
+import {
+    REPORT_LIMITS,
+    REPORT_DETAILS_MAX,
+    MODERATION_ACTIONS,
+    MODERATION_LIMITS,
+    isReportReason,
+    getReportReasonLabel,
+} from '../config/moderation.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const AUTO_MUTE_REASON = 'Repeated chat filter violations';
+
+function makeReportId() {
+    return `rpt_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+}
+
+function formatDuration(minutes) {
+    if (minutes % (24 * 60) === 0) {
+        const days = minutes / (24 * 60);
+        return `${days} day${days === 1 ? '' : 's'}`;
+    }
+    if (minutes % 60 === 0) {
+        const hours = minutes / 60;
+        return `${hours} hour${hours === 1 ? '' : 's'}`;
+    }
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+export default class ModerationService {
+    /**
+     * @param {import('./InboxService.js').default} inboxService
+     * @param {(playerId: string, payload: object) => void} sendToPlayer
+     * @param {(walletAddress: string) => object | null} getPlayerByWallet - live player state object
+     * @param {(player: object, banInfo: object) => void} kickBannedPlayer - disconnects a live banned player
+     * @param {import('../utils/RateLimiter.js').RateLimiter} [rateLimiter]
+     */
+    constructor(inboxService, sendToPlayer, getPlayerByWallet, kickBannedPlayer, rateLimiter = defaultRateLimiter) {
+        this.inboxService = inboxService;
+        this.sendToPlayer = sendToPlayer;
+        this.getPlayerByWallet = getPlayerByWallet;
+        this.kickBannedPlayer = kickBannedPlayer;
+        this.rateLimiter = rateLimiter;
+    }
+
+    // ==================== REPORTS ====================
+
+    /**
+     * @param {{ walletAddress: string, name: string, room?: string }} reporter
+     * @param {{ walletAddress: string, name: string } | null} target
+     * @param {string} reason - REPORT_REASONS id
+     * @param {string} [details]
+     */
+    async submitReport(reporter, target, reason, details = '') {
+        if (!reporter?.walletAddress) {
+            return { success: false, error: 'NOT_AUTHENTICATED', message: 'Connect a wallet to report players' };
+        }
+        if (!target?.walletAddress) {
+            return { success: false, error: 'TARGET_NOT_FOUND', message: 'Only signed-in players can be reported — mute guests instead' };
+        }
+        if (target.walletAddress === reporter.walletAddress) {
+            return { success: false, error: 'INVALID_TARGET', message: 'You cannot report yourself' };
+        }
+        if (!isReportReason(reason)) {
+            return { success: false, error: 'INVALID_REASON', message: 'Pick a reason for the report' };
+        }
+
+        const filed = await PlayerReport.countFiledSince(reporter.walletAddress, new Date(Date.now() - HOUR_MS));
+        if (filed >= REPORT_LIMITS.MAX_REPORTS_PER_HOUR) {
+            return { success: false, error: 'RATE_LIMITED', message: 'You have filed too many reports — try again later' };
+        }
+        const duplicate = await PlayerReport.findOne({
+            reporterWallet: reporter.walletAddress,
+            targetWallet: target.walletAddress,
+            status: 'open',
+            createdAt: { $gte: new Date(Date.now() - REPORT_LIMITS.DUPLICATE_WINDOW_MS) }
+        });
+        if (duplicate) {
+            return { success: false, error: 'DUPLICATE_REPORT', message: `You already reported ${target.name} — moderators will review it` };
+        }
+
+        const history = await ChatService.getConversationContext(
+            reporter.walletAddress,
+            target.walletAddress,
+            REPORT_LIMITS.CHAT_CONTEXT_MESSAGES
+        );
+
+        const report = await PlayerReport.create({
+            reportId: makeReportId(),
+            reporterWallet: reporter.walletAddress,
+            reporterName: reporter.name,
+            targetWallet: target.walletAddress,
+            targetName: target.name,
+            reason,
+            details: typeof details === 'string' ? details.trim().slice(0, REPORT_DETAILS_MAX) : '',
+            room: reporter.room || null,
+            chatLog: history.map((doc) => ({
+                channel: doc.channel,
+                senderName: doc.senderName,
+                senderWallet: doc.senderWallet || doc.whisperFrom || null,
+                text: doc.text,
+                roomId: doc.roomId || null,
+                timestamp: doc.timestamp
+            }))
+        });
+
+        return { success: true, reportId: report.reportId };
+    }
+
+    async getQueue(status = 'open') {
+        const docs = await PlayerReport.findQueue(status === 'resolved' ? 'resolved' : 'open', REPORT_LIMITS.QUEUE_PAGE_SIZE);
+        const openCount = await PlayerReport.countDocuments({ status: 'open' });
+        return { reports: docs.map((doc) => doc.toQueueEntry()), openCount };
+    }
+
+    // ==================== REVIEW ====================
+
+    /**
+     * @param {string} reportId
+     * @param {{ walletAddress: string, name: string }} moderator
+     * @param {string} action - dismiss | warn | mute | ban
+     * @param {{ durationMinutes?: number, note?: string }} [opts]
+     */
+    async resolveReport(reportId, moderator, action, { durationMinutes = null, note = '' } = {}) {
+        if (!MODERATION_ACTIONS.includes(action)) {
+            return { success: false, error: 'INVALID_ACTION', message: 'Unknown moderation action' };
+        }
+        const timed = action === 'mute' || action === 'ban';
+        const maxMinutes = action === 'mute' ? MODERATION_LIMITS.MAX_MUTE_MINUTES : MODERATION_LIMITS.MAX_BAN_MINUTES;
+        if (timed && (!Number.isInteger(durationMinutes) || durationMinutes <= 0 || durationMinutes > maxMinutes)) {
+            return { success: false, error: 'INVALID_DURATION', message: `Duration must be 1–${maxMinutes} minutes` };
+        }
+
+        const report = await PlayerReport.findOne({ reportId });
+        if (!report) {
+            return { success: false, error: 'REPORT_NOT_FOUND', message: 'That report no longer exists' };
+        }
+        if (report.status !== 'open') {
+            return { success: false, error: 'ALREADY_RESOLVED', message: 'Another moderator already handled this report' };
+        }
+
+        const cleanNote = typeof note === 'string' ? note.trim().slice(0, MODERATION_LIMITS.NOTE_MAX) : '';
+        const reasonText = cleanNote || getReportReasonLabel(report.reason);
+
+        if (action === 'warn') {
+            this.warn(report.targetWallet, reasonText);
+        } else if (action === 'mute') {
+            await this.mute(report.targetWallet, durationMinutes, reasonText);
+        } else if (action === 'ban') {
+            await this.ban(report.targetWallet, durationMinutes, reasonText, moderator.name);
+        }
+
+        report.status = 'resolved';
+        report.resolution = {
+            action,
+            durationMinutes: timed ? durationMinutes : null,
+            note: cleanNote || null,
+            moderatorWallet: moderator.walletAddress,
+            moderatorName: moderator.name,
+            resolvedAt: new Date()
+        };
+        await report.save();
+
+        return { success: true, report: report.toQueueEntry() };
+    }
+
+    // ==================== ACTIONS ====================
+
+    warn(walletAddress, reasonText) {
+        this.inboxService.addMessageForWallet(
+            walletAddress,
+            'moderation',
+            '⚠️ Moderator warning',
+            `A moderator reviewed a report about you: ${reasonText}. Further reports may lead to a mute or ban.`,
+            { action: 'warn' }
+        );
+        this.pushInbox(walletAddress);
+    }
+
+    async mute(walletAddress, durationMinutes, reasonText) {
+        const until = new Date(Date.now() + durationMinutes * 60 * 1000);
+        await User.updateOne({ walletAddress }, { chatMutedUntil: until, chatMuteReason: reasonText });
+
+        const player = this.getPlayerByWallet(walletAddress);
+        if (player) {
+            player.chatMutedUntil = until;
+            player.chatMuteReason = reasonText;
+            this.sendToPlayer(player.id, { type: 'chat_muted', until: until.getTime(), reason: reasonText });
+        }
+
+        this.inboxService.addMessageForWallet(
+            walletAddress,
+            'moderation',
+            '🔇 Chat muted',
+            `You have been muted for ${formatDuration(durationMinutes)}: ${reasonText}.`,
+            { action: 'mute', until: until.getTime() }
+        );
+        this.pushInbox(walletAddress);
+        return until;
+    }
+
+    async ban(walletAddress, durationMinutes, reasonText, moderatorName) {
+        const user = await User.findOne({ walletAddress });
+        if (!user) return null;
+
+        const expiresAt = new Date(Date.now() + durationMinutes * 60 * 1000);
+        user.isBanned = true;
+        user.banReason = reasonText;
+        user.banExpires = expiresAt;
+        user.banHistory.push({
+            reason: reasonText,
+            bannedAt: new Date(),
+            bannedBy: moderatorName,
+            expiresAt
+        });
+        await user.save();
+
+        const player = this.getPlayerByWallet(walletAddress);
+        if (player) {
+            this.kickBannedPlayer(player, {
+                username: user.username,
+                banReason: reasonText,
+                banExpires: expiresAt,
+                lastIpAddress: user.lastIpAddress
+            });
+        }
+        return expiresAt;
+    }
+
+    pushInbox(walletAddress) {
+        const player = this.getPlayerByWallet(walletAddress);
+        if (!player) return;
+        this.sendToPlayer(player.id, {
+            type: 'inbox_update',
+            messages: this.inboxService.getMessages(player.id),
+            unreadCount: this.inboxService.getUnreadCount(player.id)
+        });
+    }
+
+    // ==================== CHAT MUTES ====================
+
+    /**
+     * Copy an active moderator mute onto a freshly authenticated player.
+     */
+    async loadPlayer(player) {
+        if (!player?.walletAddress) return;
+        const user = await User.findOne({ walletAddress: player.walletAddress }, 'chatMutedUntil chatMuteReason');
+        const active = user?.chatMutedUntil && user.chatMutedUntil > new Date();
+        player.chatMutedUntil = active ? user.chatMutedUntil : null;
+        player.chatMuteReason = active ? user.chatMuteReason : null;
+    }
+
+    /**
+     * Count a chat filter violation; repeat offenders are muted for escalating durations.
+     * Guests are tracked by session id, wallets by address so reconnecting doesn't reset strikes.
+     * @param {object} player - live player state (needs `id`)
+     * @returns {Promise<Date|null>} the new mute expiry when this violation triggered one
+     */
+    async recordChatViolation(player) {
+        const key = player.walletAddress || `guest_${player.id}`;
+        const result = this.rateLimiter.check('chat_violation', key);
+        if (result.allowed) return null;
+
+        const until = new Date(Date.now() + result.retryAfterMs);
+        player.chatMutedUntil = until;
+        player.chatMuteReason = AUTO_MUTE_REASON;
+        if (player.walletAddress) {
+            await User.updateOne(
+                { walletAddress: player.walletAddress },
+                { chatMutedUntil: until, chatMuteReason: AUTO_MUTE_REASON }
+            );
+        }
+        return until;
+    }
+
+    /**
+     * @returns {{ until: Date, reason: string|null } | null} the active mute, if any
+     */
+    getChatMute(player) {
+        if (!player?.chatMutedUntil) return null;
+        if (player.chatMutedUntil <= new Date()) {
+            player.chatMutedUntil = null;
+            player.chatMuteReason = null;
+            return null;
+        }
+        return { until: player.chatMutedUntil, reason: player.chatMuteReason || null };
+    }
+}
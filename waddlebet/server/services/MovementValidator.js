@@ -0,0 +1,223 @@
+/**
+ * MovementValidator - Server check of client `move` samples.
+ * Each sample is compared against the last accepted position: distance over time must fit the
+ * player's movement mode (walk / mount / slide), the point must be inside the room bounds and outside
+ * the coarse static colliders. Rejected samples are answered with the last good position
+ * (`position_correction`, rubber-band) and counted per account for staff review.
+ *
+ * Server-side placements (join, change_room, /tp, travel, snowball respawns) replace the
+ * `player.position` object, which the validator notices and takes as the new baseline. The first
+ * sample after entering a room is where the client spawned: instead of the speed check it has to
+ * land near that baseline or one of the room's entry points (spawns, portal exits).
+ * Telemetry is in memory and resets on restart.
+ */
+
+import {
+    MOVEMENT_LIMITS,
+    MOVEMENT_VIOLATIONS,
+    getMaxMoveSpeed,
+    getRoomBounds,
+    getRoomColliders,
+    getRoomEntryPoints,
+    getSpawnTeleportTarget,
+} from '../config/movement.js';
+
+function isStaff(player) {
+    return player.role === 'admin' || player.role === 'moderator';
+}
+
+function isMounted(player) {
+    const mount = player.appearance?.mount;
+    return !!mount && mount !== 'none' && player.appearance.mountEnabled !== false;
+}
+
+/** @returns {{ x: number, y: number, z: number } | null} */
+function readPosition(position) {
+    if (!position || typeof position !== 'object') return null;
+    const x = Number(position.x);
+    const y = Number(position.y ?? 0);
+    const z = Number(position.z);
+    if (![x, y, z].every(Number.isFinite)) return null;
+    return { x, y, z };
+}
+
+export default class MovementValidator {
+    /**
+     * @param {() => number} [now]
+     */
+    constructor(now = Date.now) {
+        this.now = now;
+        /** playerId -> { room, position, at, correctedAt, entering } — position is the accepted object */
+        this.tracks = new Map();
+        /** account key -> violation counters, least recently flagged first */
+        this.telemetry = new Map();
+    }
+
+    /**
+     * Check a `move` message. On success the caller stores `position` as `player.position`
+     * (the validator keeps that same object as its baseline).
+     * @param {string} playerId
+     * @param {object} player - live player state
+     * @param {{ position: object, mode?: string, teleport?: string }} message
+     * @returns {{ accepted: true, position: { x: number, y: number, z: number } }
+     *   | { accepted: false, reason: string, correction: { x: number, y: number, z: number } | null }}
+     */
+    checkMove(playerId, player, message) {
+        const now = this.now();
+        const position = readPosition(message.position);
+
+        let track = this.tracks.get(playerId);
+        if (!track || track.room !== player.room) {
+            track = this._createTrack(playerId, player.room, now, false);
+        }
+        if (track.position !== player.position) {
+            // Moved by the server since the last sample
+            track.position = player.position || null;
+            track.at = now;
+        }
+
+        const violation = !position
+            ? { reason: 'malformed', detail: 'non-numeric position' }
+            : this._findViolation(player, track, position, message, now);
+
+        if (!violation || (position && isStaff(player))) {
+            track.position = position;
+            track.at = now;
+            track.entering = false;
+            return { accepted: true, position };
+        }
+
+        // The client hasn't seen the last correction yet — drop quietly
+        if (now - track.correctedAt < MOVEMENT_LIMITS.CORRECTION_GRACE_MS) {
+            return { accepted: false, reason: violation.reason, correction: null };
+        }
+        track.correctedAt = now;
+        this._record(playerId, player, violation, message.mode, now);
+        return {
+            accepted: false,
+            reason: violation.reason,
+            correction: track.position ? { ...track.position } : null,
+        };
+    }
+
+    /**
+     * Player joined a room (joinRoom): their next sample is where the client spawned, which has to be
+     * near the server's placement or one of the room's entry points.
+     * @param {string} playerId
+     * @param {string} room
+     */
+    enterRoom(playerId, room) {
+        this._createTrack(playerId, room, this.now(), true);
+    }
+
+    /** Drop a disconnected player's baseline (telemetry is kept per account) */
+    removePlayer(playerId) {
+        this.tracks.delete(playerId);
+    }
+
+    /**
+     * Accounts with movement violations, most violations first.
+     * @param {{ flaggedOnly?: boolean, limit?: number }} [options]
+     */
+    getFlaggedAccounts({ flaggedOnly = false, limit = 50 } = {}) {
+        return [...this.telemetry.values()]
+            .map((entry) => ({
+                ...entry,
+                counts: { ...entry.counts },
+                flagged: entry.total >= MOVEMENT_LIMITS.FLAG_THRESHOLD,
+            }))
+            .filter((entry) => !flaggedOnly || entry.flagged)
+            .sort((a, b) => b.total - a.total || b.lastAt - a.lastAt)
+            .slice(0, limit);
+    }
+
+    _createTrack(playerId, room, now, entering) {
+        const track = { room, position: null, at: now, correctedAt: 0, entering };
+        this.tracks.set(playerId, track);
+        return track;
+    }
+
+    _findViolation(player, track, position, message, now) {
+        const room = player.room;
+
+        if (track.entering) {
+            const entryPoints = track.position ? [track.position, ...getRoomEntryPoints(room)] : getRoomEntryPoints(room);
+            const nearEntry = entryPoints.some((point) =>
+                Math.hypot(position.x - point.x, position.z - point.z) <= MOVEMENT_LIMITS.ROOM_ENTRY_RADIUS
+            );
+            if (!nearEntry && entryPoints.length > 0) {
+                return { reason: 'entry', detail: `(${position.x.toFixed(1)}, ${position.z.toFixed(1)})` };
+            }
+        } else if (track.position) {
+            const distance = Math.hypot(position.x - track.position.x, position.z - track.position.z);
+            const spawn = message.teleport === 'spawn' ? getSpawnTeleportTarget(room) : null;
+            const isSpawnTeleport = spawn
+                && Math.hypot(position.x - spawn.x, position.z - spawn.z) <= MOVEMENT_LIMITS.SPAWN_TELEPORT_RADIUS;
+
+            if (!isSpawnTeleport) {
+                const elapsed = Math.min(now - track.at, MOVEMENT_LIMITS.MAX_SAMPLE_GAP_MS);
+                const maxSpeed = getMaxMoveSpeed({ mounted: isMounted(player), sliding: message.mode === 'slide' });
+                const allowed = maxSpeed * MOVEMENT_LIMITS.SPEED_TOLERANCE * (elapsed / 1000) + MOVEMENT_LIMITS.POSITION_SLACK;
+                if (distance > allowed) {
+                    return {
+                        reason: 'speed',
+                        detail: `${distance.toFixed(1)}u in ${now - track.at}ms (max ${allowed.toFixed(1)}u)`,
+                    };
+                }
+            }
+        }
+
+        const bounds = getRoomBounds(room);
+        const margin = MOVEMENT_LIMITS.BOUNDS_MARGIN;
+        if (bounds && (
+            position.x < bounds.minX - margin || position.x > bounds.maxX + margin ||
+            position.z < bounds.minZ - margin || position.z > bounds.maxZ + margin
+        )) {
+            return { reason: 'bounds', detail: `(${position.x.toFixed(1)}, ${position.z.toFixed(1)})` };
+        }
+
+        const inset = MOVEMENT_LIMITS.COLLIDER_INSET;
+        for (const collider of getRoomColliders(room)) {
+            if (
+                position.y < collider.height &&
+                position.x > collider.minX + inset && position.x < collider.maxX - inset &&
+                position.z > collider.minZ + inset && position.z < collider.maxZ - inset
+            ) {
+                return { reason: 'collider', detail: collider.id };
+            }
+        }
+
+        return null;
+    }
+
+    _record(playerId, player, violation, mode, now) {
+        const key = player.walletAddress || `guest:${playerId}`;
+        const entry = this.telemetry.get(key) || {
+            key,
+            walletAddress: player.walletAddress || null,
+            name: player.name,
+            total: 0,
+            counts: Object.fromEntries(Object.keys(MOVEMENT_VIOLATIONS).map((reason) => [reason, 0])),
+            firstAt: now,
+        };
+        entry.name = player.name || entry.name;
+        entry.total += 1;
+        entry.counts[violation.reason] += 1;
+        entry.lastAt = now;
+        entry.lastRoom = player.room;
+        entry.lastReason = violation.reason;
+        entry.lastDetail = violation.detail;
+        entry.lastMode = typeof mode === 'string' ? mode.slice(0, 16) : null;
+
+        // Re-insert so the map stays ordered by last violation
+        this.telemetry.delete(key);
+        this.telemetry.set(key, entry);
+        if (this.telemetry.size > MOVEMENT_LIMITS.MAX_TRACKED_ACCOUNTS) {
+            this.telemetry.delete(this.telemetry.keys().next().value);
+        }
+
+        if (entry.total === MOVEMENT_LIMITS.FLAG_THRESHOLD) {
+            console.warn(`🚷 Movement flagged: ${entry.name} (${key}) — ${entry.total} violations, last ${violation.reason} in ${player.room}`);
+        }
+    }
+}
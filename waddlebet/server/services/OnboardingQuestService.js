@@ -23,6 +23,14 @@ export default class OnboardingQuestService {
         this.userService = userService;
         this.sendToPlayer = sendToPlayer;
         this.getPlayerByWallet = getPlayerByWallet;
+        this.stampService = null; // Injected later to avoid circular deps
+    }
+
+    /**
+     * Inject stamp service (called after initialization to avoid circular deps)
+     */
+    setStampService(service) {
+        this.stampService = service;
     }
 
     buildStatus(user) {
@@ -169,6 +177,9 @@ export default class OnboardingQuestService {
         };
         await user.save();
 
+        this.stampService?.recordOnboardingComplete(walletAddress)
+            .catch((err) => console.error('[OnboardingQuest] stamp progress:', err.message));
+
         const finalStatus = this.buildStatus(user);
         this.notifyWallet(walletAddress, finalStatus, {
             rewardGranted: true,
@@ -0,0 +1,521 @@
+/**
+ * PuffleRaceService — server-simulated puffle races outside the Pet Shop.
+ * Players enter their active puffle into a room lobby (optionally paying a gold entry into the pot).
+ * When the countdown ends the server generates an obstacle course, simulates every puffle from its
+ * training stats, and broadcasts the full timeline so everyone in the room can watch it play out.
+ * Results update each puffle's `racingStats`; the winner takes the pot. Races with an entry fee
+ * are mirrored to the PuffleRace collection so a restart refunds the entries instead of losing them.
+ */
+
+import { randomUUID } from 'crypto';
+import Puffle from '../db/models/Puffle.js';
+import PuffleRace from '../db/models/PuffleRace.js';
+import { isDBConnected } from '../db/connection.js';
+import {
+    PUFFLE_RACE_ROOM,
+    RACE_SEGMENT_TYPES,
+    PUFFLE_RACE_LIMITS,
+    PUFFLE_RACE_TROPHIES,
+    PUFFLE_RACE_SIMULATION,
+} from '../config/puffleRacing.js';
+
+const STAT_KEYS = ['running', 'swimming', 'flying', 'climbing'];
+
+function pickInt(random, min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * Build a random course. Every segment type appears at least once.
+ * @param {() => number} [random]
+ * @returns {{ type: string, length: number }[]}
+ */
+export function generateRaceCourse(random = Math.random) {
+    const types = Object.keys(RACE_SEGMENT_TYPES);
+    const count = pickInt(random, PUFFLE_RACE_LIMITS.SEGMENTS_MIN, PUFFLE_RACE_LIMITS.SEGMENTS_MAX);
+
+    const picks = [...types];
+    while (picks.length < count) {
+        picks.push(types[Math.floor(random() * types.length)]);
+    }
+    for (let i = picks.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [picks[i], picks[j]] = [picks[j], picks[i]];
+    }
+
+    return picks.map((type) => ({
+        type,
+        length: pickInt(random, PUFFLE_RACE_LIMITS.SEGMENT_LENGTH_MIN, PUFFLE_RACE_LIMITS.SEGMENT_LENGTH_MAX),
+    }));
+}
+
+/**
+ * Blend training stats by a segment's weights
+ * @param {Record<string, number>} trainingStats
+ * @param {Record<string, number>} weights
+ */
+export function getWeightedStat(trainingStats = {}, weights = {}) {
+    return Object.entries(weights).reduce((sum, [stat, weight]) => sum + (trainingStats[stat] || 0) * weight, 0);
+}
+
+/**
+ * Run every racer through the course
+ * @param {{ type: string, length: number }[]} course
+ * @param {{ trainingStats: object, energy?: number }[]} racers
+ * @param {() => number} [random]
+ * @returns {object[]} racers with `splits` (cumulative seconds per segment), `time` and `place`, fastest first
+ */
+export function simulateRace(course, racers, random = Math.random) {
+    const sim = PUFFLE_RACE_SIMULATION;
+
+    const results = racers.map((racer) => {
+        const energy = Math.min(100, Math.max(0, racer.energy ?? 100));
+        const energyFactor = 1 - sim.TIRED_PENALTY * (1 - energy / 100);
+        let elapsed = 0;
+
+        const splits = course.map((segment) => {
+            const stat = getWeightedStat(racer.trainingStats, RACE_SEGMENT_TYPES[segment.type].weights);
+            const skill = Math.sqrt(Math.min(stat, sim.STAT_CAP) / sim.STAT_CAP);
+            const jitter = 1 + (random() * 2 - 1) * sim.JITTER;
+            const speed = (sim.BASE_SPEED + sim.STAT_SPEED * skill) * energyFactor * jitter;
+            elapsed += segment.length / speed;
+            if (random() < sim.STUMBLE_CHANCE * (1 - skill)) {
+                elapsed += sim.STUMBLE_SECONDS;
+            }
+            return Math.round(elapsed * 100) / 100;
+        });
+
+        return { ...racer, splits, time: splits[splits.length - 1] };
+    });
+
+    results.sort((a, b) => a.time - b.time);
+    return results.map((result, index) => ({ ...result, place: index + 1 }));
+}
+
+export default class PuffleRaceService {
+    /**
+     * @param {import('./UserService.js').default} userService
+     * @param {(playerId: string, payload: object) => void} sendToPlayer
+     * @param {(roomId: string, payload: object, excludeId?: string) => void} broadcastToRoom
+     * @param {(walletAddress: string) => object | null} getPlayerByWallet
+     * @param {() => number} [random] - injectable for tests
+     */
+    constructor(userService, sendToPlayer, broadcastToRoom, getPlayerByWallet, random = Math.random) {
+        this.userService = userService;
+        this.sendToPlayer = sendToPlayer;
+        this.broadcastToRoom = broadcastToRoom;
+        this.getPlayerByWallet = getPlayerByWallet;
+        this.random = random;
+
+        /** roomId -> race */
+        this.races = new Map();
+        /** walletAddress -> roomId while entered in a lobby or running race */
+        this.walletRace = new Map();
+    }
+
+    // ==================== STATE ====================
+
+    serializeRace(race) {
+        if (!race) return null;
+        return {
+            id: race.id,
+            phase: race.phase,
+            entryFee: race.entryFee,
+            pot: race.entryFee * race.racers.length,
+            createdAt: race.createdAt,
+            countdownEndsAt: race.countdownEndsAt,
+            racers: race.racers.map((racer) => ({
+                walletAddress: racer.walletAddress,
+                playerName: racer.playerName,
+                puffleName: racer.puffleName,
+                color: racer.color,
+                trainingStats: racer.trainingStats,
+            })),
+            course: race.course,
+            startsAt: race.startsAt,
+            finishesAt: race.finishesAt,
+            results: race.results?.map((result) => ({
+                walletAddress: result.walletAddress,
+                playerName: result.playerName,
+                puffleName: result.puffleName,
+                color: result.color,
+                splits: result.splits,
+                time: result.time,
+                place: result.place,
+            })) || null,
+        };
+    }
+
+    sendStateToPlayer(playerId, roomId) {
+        this.sendToPlayer(playerId, {
+            type: 'puffle_race_state',
+            race: this.serializeRace(this.races.get(roomId)),
+        });
+    }
+
+    broadcastState(roomId) {
+        this.broadcastToRoom(roomId, {
+            type: 'puffle_race_state',
+            race: this.serializeRace(this.races.get(roomId)),
+        });
+    }
+
+    // ==================== LOBBY ====================
+
+    /**
+     * Enter the player's active puffle into the room's race
+     * @param {object} player - live player state (`room`, `walletAddress`, `name`)
+     * @param {number} entryFee - only used when opening a new lobby
+     */
+    async join(player, entryFee = 0) {
+        const walletAddress = player?.walletAddress;
+        if (!walletAddress) {
+            return { success: false, error: 'NOT_AUTHENTICATED', message: 'Connect your wallet to race puffles' };
+        }
+        if (player.room !== PUFFLE_RACE_ROOM) {
+            return { success: false, error: 'WRONG_ROOM', message: 'Races start outside the Pet Shop in town' };
+        }
+        if (this.walletRace.has(walletAddress)) {
+            return { success: false, error: 'ALREADY_JOINED', message: 'Your puffle is already entered' };
+        }
+
+        const existing = this.races.get(player.room);
+        const lobbyError = this.getLobbyError(existing);
+        if (lobbyError) return lobbyError;
+
+        const fee = existing ? existing.entryFee : Math.floor(Number(entryFee) || 0);
+        if (!PUFFLE_RACE_LIMITS.ENTRY_FEES.includes(fee)) {
+            return { success: false, error: 'INVALID_FEE', message: 'Pick one of the listed entry fees' };
+        }
+
+        const puffle = await Puffle.findActiveForOwner(walletAddress);
+        if (!puffle) {
+            return { success: false, error: 'NO_PUFFLE', message: 'Walk with a puffle to enter it in a race' };
+        }
+        if (puffle.isSleeping) {
+            return { success: false, error: 'PUFFLE_RESTING', message: `${puffle.name} is resting` };
+        }
+        if (puffle.energy < PUFFLE_RACE_LIMITS.MIN_ENERGY) {
+            return { success: false, error: 'PUFFLE_TIRED', message: `${puffle.name} is too tired to race` };
+        }
+
+        // Another player may have opened (or started) the lobby while the puffle loaded
+        const current = this.races.get(player.room);
+        const currentError = this.getLobbyError(current);
+        if (currentError) return currentError;
+
+        const race = current || this.createRace(player.room, fee);
+        const cost = race.entryFee;
+        let newBalance = null;
+        if (cost > 0) {
+            const paid = await this.userService.addCoins(
+                walletAddress,
+                -cost,
+                'puffle_race_entry',
+                { matchId: race.id, puffleId: puffle.puffleId },
+                'Puffle race entry'
+            );
+            if (!paid.success) {
+                this.dropEmptyRace(race);
+                return { success: false, error: 'INSUFFICIENT_FUNDS', message: `Entry costs ${cost} gold` };
+            }
+            newBalance = paid.newBalance;
+        }
+
+        // The lobby may have filled or started while we were paying
+        const raceNow = this.races.get(player.room);
+        const lateError = raceNow === race ? this.getLobbyError(race) : { success: false, error: 'RACE_IN_PROGRESS', message: 'That race already started' };
+        if (lateError || this.walletRace.has(walletAddress)) {
+            if (cost > 0) {
+                const refund = await this.refund(walletAddress, cost, race.id, puffle.puffleId);
+                newBalance = refund?.newBalance ?? newBalance;
+            }
+            this.dropEmptyRace(race);
+            return { ...(lateError || { success: false, error: 'ALREADY_JOINED', message: 'Your puffle is already entered' }), newBalance };
+        }
+
+        race.racers.push({
+            walletAddress,
+            playerName: player.name,
+            puffleId: puffle.puffleId,
+            puffleName: puffle.name,
+            color: puffle.color,
+            energy: puffle.energy,
+            trainingStats: Object.fromEntries(STAT_KEYS.map((stat) => [stat, puffle.trainingStats?.[stat] || 0])),
+        });
+        this.walletRace.set(walletAddress, race.roomId);
+        await this.persist(race, 'lobby');
+
+        if (race.racers.length >= PUFFLE_RACE_LIMITS.MIN_RACERS && !race.countdownEndsAt) {
+            race.countdownEndsAt = Date.now() + PUFFLE_RACE_LIMITS.LOBBY_COUNTDOWN_MS;
+        }
+        if (race.racers.length >= PUFFLE_RACE_LIMITS.MAX_RACERS) {
+            this.startRace(race);
+        } else {
+            this.broadcastState(race.roomId);
+        }
+
+        return { success: true, message: `${puffle.name} is entered!`, newBalance };
+    }
+
+    /**
+     * Withdraw from a lobby (refunds the entry)
+     */
+    async leave(walletAddress) {
+        const race = this.races.get(this.walletRace.get(walletAddress));
+        if (!race) {
+            return { success: false, error: 'NOT_ENTERED', message: 'Your puffle is not entered in a race' };
+        }
+        if (race.phase !== 'lobby') {
+            return { success: false, error: 'RACE_IN_PROGRESS', message: 'The race has already started' };
+        }
+
+        const racer = race.racers.find((r) => r.walletAddress === walletAddress);
+        race.racers = race.racers.filter((r) => r.walletAddress !== walletAddress);
+        this.walletRace.delete(walletAddress);
+        if (race.racers.length < PUFFLE_RACE_LIMITS.MIN_RACERS) {
+            race.countdownEndsAt = null;
+        }
+
+        await this.persist(race, race.racers.length > 0 ? 'lobby' : 'cancelled');
+        const refund = race.entryFee > 0
+            ? await this.refund(walletAddress, race.entryFee, race.id, racer?.puffleId)
+            : null;
+
+        if (!this.dropEmptyRace(race)) {
+            this.broadcastState(race.roomId);
+        }
+        return { success: true, message: 'Left the race', newBalance: refund?.newBalance ?? null };
+    }
+
+    /**
+     * Leaving the game withdraws from an unstarted lobby; a running race still finishes.
+     */
+    async handlePlayerDisconnect(walletAddress) {
+        if (!walletAddress) return;
+        const race = this.races.get(this.walletRace.get(walletAddress));
+        if (race?.phase === 'lobby') {
+            await this.leave(walletAddress);
+        }
+    }
+
+    getLobbyError(race) {
+        if (!race) return null;
+        if (race.phase !== 'lobby') {
+            return { success: false, error: 'RACE_IN_PROGRESS', message: 'A race is running — wait for the next one' };
+        }
+        if (race.racers.length >= PUFFLE_RACE_LIMITS.MAX_RACERS) {
+            return { success: false, error: 'RACE_FULL', message: 'This race is full' };
+        }
+        return null;
+    }
+
+    createRace(roomId, entryFee) {
+        const race = {
+            id: randomUUID(),
+            roomId,
+            phase: 'lobby',
+            entryFee,
+            racers: [],
+            createdAt: Date.now(),
+            countdownEndsAt: null,
+            course: null,
+            results: null,
+            startsAt: null,
+            finishesAt: null,
+            removeAt: null,
+            persistChain: Promise.resolve(),
+        };
+        this.races.set(roomId, race);
+        return race;
+    }
+
+    /** @returns {boolean} true if the race was removed */
+    dropEmptyRace(race) {
+        if (race.phase !== 'lobby' || race.racers.length > 0 || this.races.get(race.roomId) !== race) return false;
+        this.races.delete(race.roomId);
+        this.broadcastState(race.roomId);
+        return true;
+    }
+
+    refund(walletAddress, amount, raceId, puffleId) {
+        return this.userService.addCoins(
+            walletAddress,
+            amount,
+            'puffle_race_refund',
+            { matchId: raceId, puffleId },
+            'Puffle race refund'
+        );
+    }
+
+    // ==================== PERSISTENCE ====================
+
+    /**
+     * Save who paid into a race (free races have nothing to refund). The snapshot is taken before
+     * the write, and writes for one race are chained so a slow 'lobby' or 'racing' save can never
+     * land on top of 'complete'.
+     * @param {object} race
+     * @param {'lobby' | 'racing' | 'complete' | 'cancelled'} status
+     * @returns {Promise<void>} settles once this write (and every earlier one) is done
+     */
+    persist(race, status) {
+        if (race.entryFee <= 0 || !isDBConnected()) return race.persistChain;
+        const update = {
+            roomId: race.roomId,
+            entryFee: race.entryFee,
+            status,
+            entrants: race.racers.map(({ walletAddress, puffleId }) => ({ walletAddress, puffleId, paid: race.entryFee })),
+        };
+        if (status === 'complete' || status === 'cancelled') {
+            update.endedAt = new Date();
+        }
+        race.persistChain = race.persistChain.then(async () => {
+            try {
+                await PuffleRace.updateOne({ raceId: race.id }, { $set: update }, { upsert: true });
+            } catch (error) {
+                console.error('🏁 Failed to save puffle race:', error.message);
+            }
+        });
+        return race.persistChain;
+    }
+
+    /**
+     * Refund races left open by a restart. Lobbies and running races only live in memory, so
+     * every paid entrant gets their fee back.
+     */
+    async recoverUnfinished() {
+        const stale = await PuffleRace.findUnfinished();
+        let recovered = 0;
+        for (const doc of stale) {
+            if (this.races.get(doc.roomId)?.id === doc.raceId) continue;
+            for (const entrant of doc.entrants) {
+                if (entrant.paid > 0) {
+                    await this.refund(entrant.walletAddress, entrant.paid, doc.raceId, entrant.puffleId);
+                }
+            }
+            doc.status = 'cancelled';
+            doc.cancelReason = 'Server restarted';
+            doc.endedAt = new Date();
+            await doc.save();
+            recovered++;
+        }
+        return recovered;
+    }
+
+    // ==================== RACE ====================
+
+    async tick(now = Date.now()) {
+        for (const race of [...this.races.values()]) {
+            try {
+                if (race.phase === 'lobby') {
+                    if (race.countdownEndsAt && now >= race.countdownEndsAt) {
+                        this.startRace(race);
+                    } else if (!race.countdownEndsAt && now - race.createdAt >= PUFFLE_RACE_LIMITS.LOBBY_TIMEOUT_MS) {
+                        await this.cancelRace(race, 'Not enough puffles joined');
+                    }
+                } else if (race.phase === 'racing' && now >= race.finishesAt) {
+                    await this.finishRace(race);
+                } else if (race.phase === 'results' && now >= race.removeAt) {
+                    this.races.delete(race.roomId);
+                    this.broadcastState(race.roomId);
+                }
+            } catch (error) {
+                console.error('🏁 Puffle race tick error:', error);
+            }
+        }
+    }
+
+    startRace(race) {
+        race.course = generateRaceCourse(this.random);
+        race.results = simulateRace(race.course, race.racers, this.random);
+        race.phase = 'racing';
+        race.startsAt = Date.now() + PUFFLE_RACE_LIMITS.START_DELAY_MS;
+        race.finishesAt = race.startsAt + Math.ceil(race.results[race.results.length - 1].time * 1000);
+        this.persist(race, 'racing');
+        this.broadcastState(race.roomId);
+    }
+
+    async finishRace(race) {
+        race.phase = 'results';
+        race.removeAt = Date.now() + PUFFLE_RACE_LIMITS.RESULTS_LINGER_MS;
+        const pot = race.entryFee * race.racers.length;
+        // Settled before the payout so a restart can't refund entries on top of it
+        await this.persist(race, 'complete');
+
+        for (const result of race.results) {
+            this.walletRace.delete(result.walletAddress);
+            const trophies = PUFFLE_RACE_TROPHIES[result.place - 1] || 0;
+            let puffleData = null;
+            let newBalance = null;
+            let payout = 0;
+
+            try {
+                const puffle = await Puffle.findOne({ puffleId: result.puffleId, ownerWallet: result.walletAddress });
+                if (puffle) {
+                    puffle.recordRace(result.place, result.time, trophies);
+                    puffle.energy = Math.max(0, puffle.energy - PUFFLE_RACE_LIMITS.ENERGY_COST);
+                    puffle.updateMood();
+                    await puffle.save();
+                    puffleData = puffle.toClientData();
+                }
+            } catch (error) {
+                console.error('🏁 Failed to record puffle race result:', error.message);
+            }
+
+            if (result.place === 1 && pot > 0) {
+                const paid = await this.userService.addCoins(
+                    result.walletAddress,
+                    pot,
+                    'puffle_race_payout',
+                    { matchId: race.id, puffleId: result.puffleId },
+                    `Won puffle race ${race.id}`
+                );
+                if (paid.success) {
+                    payout = pot;
+                    newBalance = paid.newBalance;
+                } else {
+                    console.error(`🏁 Puffle race payout failed for ${result.walletAddress}: ${paid.error}`);
+                }
+            }
+
+            const player = this.getPlayerByWallet(result.walletAddress);
+            if (player) {
+                this.sendToPlayer(player.id, {
+                    type: 'puffle_race_finished',
+                    raceId: race.id,
+                    place: result.place,
+                    racerCount: race.results.length,
+                    time: result.time,
+                    trophies,
+                    payout,
+                    newBalance,
+                    puffle: puffleData,
+                });
+            }
+        }
+
+        this.broadcastState(race.roomId);
+    }
+
+    async cancelRace(race, reason) {
+        this.races.delete(race.roomId);
+        await this.persist(race, 'cancelled');
+        for (const racer of race.racers) {
+            this.walletRace.delete(racer.walletAddress);
+            const refund = race.entryFee > 0
+                ? await this.refund(racer.walletAddress, race.entryFee, race.id, racer.puffleId)
+                : null;
+            const player = this.getPlayerByWallet(racer.walletAddress);
+            if (player) {
+                this.sendToPlayer(player.id, {
+                    type: 'puffle_race_cancelled',
+                    raceId: race.id,
+                    reason,
+                    refunded: race.entryFee,
+                    newBalance: refund?.newBalance ?? null,
+                });
+            }
+        }
+        this.broadcastState(race.roomId);
+    }
+}
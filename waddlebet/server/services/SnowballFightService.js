@@ -0,0 +1,667 @@
+/**
+ * SnowballFightService — opt-in team snowball fights in Snow Forts.
+ * Players join a red or blue team in the room's lobby; once both teams have someone a countdown
+ * starts. During the match every `snowball_throw` from a fighter is simulated on the server and
+ * tested against the other team's live positions, so hits and knockouts are authoritative.
+ * Knocked-out penguins respawn at their fort. Modes: team knockout, capture the flag, king of the hill.
+ * Results are recorded per wallet through StatsService under the `snowball_fight` game type.
+ */
+
+import { randomUUID } from 'crypto';
+import {
+    SNOWBALL_FIGHT_ROOM,
+    SNOWBALL_FIGHT_GAME_TYPE,
+    SNOWBALL_FIGHT_TEAMS,
+    SNOWBALL_FIGHT_TEAM_IDS,
+    SNOWBALL_FIGHT_HILL,
+    SNOWBALL_FIGHT_MODES,
+    DEFAULT_SNOWBALL_FIGHT_MODE,
+    SNOWBALL_FIGHT_LIMITS,
+    SNOWBALL_PHYSICS,
+    SNOWBALL_FIGHT_STATE_BROADCAST_MS,
+    isInSnowballArena,
+    getOpposingTeam,
+} from '../config/snowballFight.js';
+
+function horizontalDistance(a, b) {
+    return Math.hypot(a.x - b.x, a.z - b.z);
+}
+
+/**
+ * Advance a snowball one step and test it against targets
+ * @param {{ x: number, y: number, z: number, vx: number, vy: number, vz: number }} ball - mutated
+ * @param {number} dt - seconds
+ * @param {{ id: string, position: { x: number, y?: number, z: number } }[]} targets
+ * @returns {string | null} id of the target hit this step
+ */
+export function stepSnowball(ball, dt, targets) {
+    ball.x += ball.vx * dt;
+    ball.y += ball.vy * dt;
+    ball.z += ball.vz * dt;
+    ball.vy += SNOWBALL_PHYSICS.GRAVITY * dt;
+
+    for (const target of targets) {
+        const baseY = target.position.y || 0;
+        if (ball.y < baseY || ball.y > baseY + SNOWBALL_PHYSICS.HIT_HEIGHT) continue;
+        if (horizontalDistance(ball, target.position) <= SNOWBALL_PHYSICS.HIT_RADIUS) {
+            return target.id;
+        }
+    }
+    return null;
+}
+
+export default class SnowballFightService {
+    /**
+     * @param {import('./StatsService.js').StatsService} statsService
+     * @param {(playerId: string, payload: object) => void} sendToPlayer
+     * @param {(roomId: string, payload: object, excludeId?: string) => void} broadcastToRoom
+     * @param {(playerId: string) => object | null} getPlayer - live player state (position, room)
+     * @param {() => number} [random] - injectable for tests
+     */
+    constructor(statsService, sendToPlayer, broadcastToRoom, getPlayer, random = Math.random) {
+        this.statsService = statsService;
+        this.sendToPlayer = sendToPlayer;
+        this.broadcastToRoom = broadcastToRoom;
+        this.getPlayer = getPlayer;
+        this.random = random;
+
+        /** roomId -> match */
+        this.matches = new Map();
+        /** playerId -> roomId while on a team */
+        this.playerMatch = new Map();
+    }
+
+    // ==================== STATE ====================
+
+    serializeMatch(match) {
+        if (!match) return null;
+        return {
+            id: match.id,
+            phase: match.phase,
+            mode: match.mode,
+            target: SNOWBALL_FIGHT_MODES[match.mode].target,
+            scores: { ...match.scores },
+            createdAt: match.createdAt,
+            countdownEndsAt: match.countdownEndsAt,
+            startedAt: match.startedAt,
+            endsAt: match.endsAt,
+            winner: match.winner,
+            fighters: [...match.fighters.values()].map((fighter) => ({
+                playerId: fighter.playerId,
+                name: fighter.name,
+                team: fighter.team,
+                alive: fighter.alive,
+                hitsTaken: fighter.hitsTaken,
+                respawnAt: fighter.respawnAt,
+                knockouts: fighter.knockouts,
+                deaths: fighter.deaths,
+                captures: fighter.captures,
+            })),
+            flags: match.flags ? Object.fromEntries(
+                Object.entries(match.flags).map(([team, flag]) => [team, {
+                    state: flag.state,
+                    carrierId: flag.carrierId,
+                    position: flag.position,
+                }])
+            ) : null,
+            hill: match.mode === 'king_of_the_hill' ? { holder: match.hillHolder } : null,
+        };
+    }
+
+    sendStateToPlayer(playerId, roomId) {
+        this.sendToPlayer(playerId, {
+            type: 'snowball_fight_state',
+            match: this.serializeMatch(this.matches.get(roomId)),
+        });
+    }
+
+    broadcastState(roomId) {
+        this.broadcastToRoom(roomId, {
+            type: 'snowball_fight_state',
+            match: this.serializeMatch(this.matches.get(roomId)),
+        });
+    }
+
+    /** Fighter record for a player, or null */
+    getFighter(playerId) {
+        return this.matches.get(this.playerMatch.get(playerId))?.fighters.get(playerId) || null;
+    }
+
+    // ==================== LOBBY ====================
+
+    /**
+     * Join a team in the room's fight. Guests can play; only wallets get stats.
+     * @param {object} player - live player state (`id`, `room`, `name`, `walletAddress`)
+     * @param {{ team?: string, mode?: string }} [options] - `mode` only applies when opening a new lobby
+     */
+    join(player, { team, mode } = {}) {
+        if (player?.room !== SNOWBALL_FIGHT_ROOM) {
+            return { success: false, error: 'WRONG_ROOM', message: 'Snowball fights happen at the Snow Forts' };
+        }
+        if (this.playerMatch.has(player.id)) {
+            return { success: false, error: 'ALREADY_JOINED', message: 'You are already on a team' };
+        }
+        if (team && !SNOWBALL_FIGHT_TEAMS[team]) {
+            return { success: false, error: 'INVALID_TEAM', message: 'Pick the red or blue team' };
+        }
+        if (mode && !SNOWBALL_FIGHT_MODES[mode]) {
+            return { success: false, error: 'INVALID_MODE', message: 'Unknown match mode' };
+        }
+
+        let match = this.matches.get(player.room);
+        if (match?.phase === 'results') {
+            return { success: false, error: 'MATCH_ENDING', message: 'The last match is wrapping up — try again in a moment' };
+        }
+        if (!match) {
+            match = this.createMatch(player.room, mode || DEFAULT_SNOWBALL_FIGHT_MODE);
+        }
+
+        const assigned = this.pickTeam(match, team);
+        if (!assigned) {
+            return { success: false, error: 'MATCH_FULL', message: 'Both teams are full' };
+        }
+
+        const fighter = {
+            playerId: player.id,
+            walletAddress: player.walletAddress || null,
+            name: player.name,
+            team: assigned,
+            alive: true,
+            hitsTaken: 0,
+            respawnAt: null,
+            protectedUntil: 0,
+            lastThrowAt: 0,
+            knockouts: 0,
+            deaths: 0,
+            captures: 0,
+        };
+        match.fighters.set(player.id, fighter);
+        this.playerMatch.set(player.id, match.roomId);
+
+        if (match.phase === 'running') {
+            // Late joiners start at their fort like everyone else did
+            this.respawn(match, fighter, Date.now());
+        } else {
+            this.updateCountdown(match);
+        }
+        this.broadcastState(match.roomId);
+
+        const teamLabel = SNOWBALL_FIGHT_TEAMS[assigned].label;
+        const balanced = team && team !== assigned ? ` (teams were uneven, so you're on ${teamLabel})` : '';
+        return { success: true, team: assigned, message: `Joined ${teamLabel}${balanced}` };
+    }
+
+    /**
+     * Leave the fight. Leaving mid-match forfeits it if your team is left empty.
+     */
+    async leave(playerId) {
+        const match = this.matches.get(this.playerMatch.get(playerId));
+        const fighter = match?.fighters.get(playerId);
+        if (!fighter) {
+            return { success: false, error: 'NOT_JOINED', message: 'You are not in a snowball fight' };
+        }
+
+        this.playerMatch.delete(playerId);
+        match.fighters.delete(playerId);
+        match.projectiles = match.projectiles.filter((ball) => ball.ownerId !== playerId);
+        this.returnCarriedFlag(match, playerId);
+
+        if (match.phase === 'lobby') {
+            if (match.fighters.size === 0) {
+                this.matches.delete(match.roomId);
+            } else {
+                this.updateCountdown(match);
+            }
+        } else if (match.phase === 'running' && this.getTeamSize(match, fighter.team) === 0) {
+            await this.finishMatch(match, getOpposingTeam(fighter.team));
+            return { success: true, message: 'Left the snowball fight' };
+        }
+
+        this.broadcastState(match.roomId);
+        return { success: true, message: 'Left the snowball fight' };
+    }
+
+    /**
+     * Fighters who walk out of the Snow Forts leave their team
+     */
+    async handleRoomChange(playerId, newRoomId) {
+        const roomId = this.playerMatch.get(playerId);
+        if (roomId && roomId !== newRoomId) {
+            await this.leave(playerId);
+        }
+    }
+
+    async handlePlayerDisconnect(playerId) {
+        if (this.playerMatch.has(playerId)) {
+            await this.leave(playerId);
+        }
+    }
+
+    createMatch(roomId, mode) {
+        const match = {
+            id: randomUUID(),
+            roomId,
+            mode,
+            phase: 'lobby',
+            fighters: new Map(),
+            scores: Object.fromEntries(SNOWBALL_FIGHT_TEAM_IDS.map((team) => [team, 0])),
+            projectiles: [],
+            flags: null,
+            hillHolder: null,
+            hillMs: Object.fromEntries(SNOWBALL_FIGHT_TEAM_IDS.map((team) => [team, 0])),
+            createdAt: Date.now(),
+            countdownEndsAt: null,
+            startedAt: null,
+            endsAt: null,
+            removeAt: null,
+            winner: null,
+            lastTickAt: null,
+            lastBroadcastAt: 0,
+        };
+        this.matches.set(roomId, match);
+        return match;
+    }
+
+    getTeamSize(match, team) {
+        let count = 0;
+        for (const fighter of match.fighters.values()) {
+            if (fighter.team === team) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Honour the requested team unless it would leave the teams more than one apart
+     * @returns {string | null} team id, or null when both are full
+     */
+    pickTeam(match, requested) {
+        const sizes = Object.fromEntries(SNOWBALL_FIGHT_TEAM_IDS.map((team) => [team, this.getTeamSize(match, team)]));
+        const open = SNOWBALL_FIGHT_TEAM_IDS.filter((team) => sizes[team] < SNOWBALL_FIGHT_LIMITS.MAX_PLAYERS_PER_TEAM);
+        if (open.length === 0) return null;
+
+        const smallest = open.reduce((best, team) => (sizes[team] < sizes[best] ? team : best), open[0]);
+        if (requested && open.includes(requested) && sizes[requested] <= sizes[smallest]) {
+            return requested;
+        }
+        return smallest;
+    }
+
+    /** Countdown runs while both teams have someone */
+    updateCountdown(match) {
+        const ready = match.fighters.size >= SNOWBALL_FIGHT_LIMITS.MIN_PLAYERS
+            && SNOWBALL_FIGHT_TEAM_IDS.every((team) => this.getTeamSize(match, team) > 0);
+        if (ready && !match.countdownEndsAt) {
+            match.countdownEndsAt = Date.now() + SNOWBALL_FIGHT_LIMITS.LOBBY_COUNTDOWN_MS;
+        } else if (!ready) {
+            match.countdownEndsAt = null;
+        }
+    }
+
+    // ==================== MATCH ====================
+
+    async tick(now = Date.now()) {
+        for (const match of [...this.matches.values()]) {
+            try {
+                if (match.phase === 'lobby') {
+                    if (match.countdownEndsAt && now >= match.countdownEndsAt) {
+                        this.startMatch(match, now);
+                    }
+                } else if (match.phase === 'running') {
+                    await this.tickRunning(match, now);
+                } else if (match.phase === 'results' && now >= match.removeAt) {
+                    this.matches.delete(match.roomId);
+                    this.broadcastState(match.roomId);
+                }
+            } catch (error) {
+                console.error('❄️ Snowball fight tick error:', error);
+            }
+        }
+    }
+
+    startMatch(match, now = Date.now()) {
+        match.phase = 'running';
+        match.startedAt = now;
+        match.endsAt = now + SNOWBALL_FIGHT_LIMITS.MATCH_DURATION_MS;
+        match.lastTickAt = now;
+        match.lastBroadcastAt = now;
+        if (match.mode === 'capture_flag') {
+            match.flags = Object.fromEntries(SNOWBALL_FIGHT_TEAM_IDS.map((team) => [team, this.homeFlag(team)]));
+        }
+        for (const fighter of match.fighters.values()) {
+            this.respawn(match, fighter, now);
+        }
+        this.broadcastState(match.roomId);
+    }
+
+    async tickRunning(match, now) {
+        const dt = Math.max(0, now - (match.lastTickAt ?? now));
+        match.lastTickAt = now;
+        let changed = false;
+
+        for (const fighter of match.fighters.values()) {
+            if (!fighter.alive && now >= fighter.respawnAt) {
+                this.respawn(match, fighter, now);
+                changed = true;
+            }
+        }
+
+        changed = this.stepProjectiles(match, now) || changed;
+        if (match.mode === 'capture_flag') {
+            changed = this.updateFlags(match, now) || changed;
+        } else if (match.mode === 'king_of_the_hill') {
+            changed = this.updateHill(match, dt) || changed;
+        }
+
+        const target = SNOWBALL_FIGHT_MODES[match.mode].target;
+        const leader = SNOWBALL_FIGHT_TEAM_IDS.find((team) => match.scores[team] >= target);
+        if (leader) {
+            await this.finishMatch(match, leader);
+            return;
+        }
+        if (now >= match.endsAt) {
+            const [red, blue] = SNOWBALL_FIGHT_TEAM_IDS.map((team) => match.scores[team]);
+            await this.finishMatch(match, red === blue ? null : (red > blue ? 'red' : 'blue'));
+            return;
+        }
+
+        if (changed || now - match.lastBroadcastAt >= SNOWBALL_FIGHT_STATE_BROADCAST_MS) {
+            match.lastBroadcastAt = now;
+            this.broadcastState(match.roomId);
+        }
+    }
+
+    // ==================== THROWS & HITS ====================
+
+    /**
+     * Track a fighter's throw. The visual broadcast happens regardless; this only decides
+     * whether the ball can hit anyone.
+     * @param {object} player - live player state (`id`, `position`)
+     * @param {{ startX: number, startY: number, startZ: number, velocityX: number, velocityY: number, velocityZ: number }} data
+     * @returns {boolean} true if the ball is in play
+     */
+    handleThrow(player, data, now = Date.now()) {
+        const match = this.matches.get(this.playerMatch.get(player?.id));
+        const fighter = match?.fighters.get(player.id);
+        if (!fighter || match.phase !== 'running' || !fighter.alive) return false;
+        if (now - fighter.lastThrowAt < SNOWBALL_PHYSICS.THROW_COOLDOWN_MS) return false;
+
+        const ball = {
+            x: Number(data?.startX),
+            y: Number(data?.startY),
+            z: Number(data?.startZ),
+            vx: Number(data?.velocityX),
+            vy: Number(data?.velocityY),
+            vz: Number(data?.velocityZ),
+        };
+        if (!Object.values(ball).every(Number.isFinite)) return false;
+        if (Math.hypot(ball.vx, ball.vy, ball.vz) > SNOWBALL_PHYSICS.MAX_SPEED) return false;
+        if (!player.position || horizontalDistance(ball, player.position) > SNOWBALL_PHYSICS.MAX_ORIGIN_OFFSET) return false;
+
+        fighter.lastThrowAt = now;
+        match.projectiles.push({ ...ball, ownerId: player.id, team: fighter.team, launchedAt: now, simulatedTo: now });
+        return true;
+    }
+
+    /** @returns {boolean} true if anything scoreboard-visible changed */
+    stepProjectiles(match, now) {
+        if (match.projectiles.length === 0) return false;
+        const step = SNOWBALL_PHYSICS.STEP_SECONDS;
+        let changed = false;
+
+        const targetsByTeam = Object.fromEntries(SNOWBALL_FIGHT_TEAM_IDS.map((team) => [team, []]));
+        for (const fighter of match.fighters.values()) {
+            if (!fighter.alive || now < fighter.protectedUntil) continue;
+            const player = this.getPlayer(fighter.playerId);
+            if (!player?.position || player.room !== match.roomId) continue;
+            targetsByTeam[fighter.team].push({ id: fighter.playerId, position: player.position });
+        }
+
+        match.projectiles = match.projectiles.filter((ball) => {
+            const targets = targetsByTeam[getOpposingTeam(ball.team)];
+            while (ball.simulatedTo + step * 1000 <= now) {
+                ball.simulatedTo += step * 1000;
+                const hitId = stepSnowball(ball, step, targets);
+                if (hitId) {
+                    changed = this.applyHit(match, ball.ownerId, hitId, now) || changed;
+                    return false;
+                }
+                if (ball.y < 0) return false;
+            }
+            return now - ball.launchedAt < SNOWBALL_PHYSICS.MAX_FLIGHT_MS;
+        });
+        return changed;
+    }
+
+    /** @returns {boolean} true if the hit counted */
+    applyHit(match, throwerId, targetId, now) {
+        const target = match.fighters.get(targetId);
+        if (!target?.alive) return false;
+        const thrower = match.fighters.get(throwerId);
+
+        target.hitsTaken++;
+        const knockedOut = target.hitsTaken >= SNOWBALL_FIGHT_LIMITS.HITS_TO_KNOCKOUT;
+        this.broadcastToRoom(match.roomId, {
+            type: 'snowball_fight_hit',
+            matchId: match.id,
+            throwerId,
+            targetId,
+            hitsTaken: target.hitsTaken,
+            knockedOut,
+        });
+
+        if (knockedOut) {
+            this.knockOut(match, target, thrower, now);
+        }
+        return true;
+    }
+
+    knockOut(match, target, thrower, now) {
+        target.alive = false;
+        target.hitsTaken = 0;
+        target.deaths++;
+        target.respawnAt = now + SNOWBALL_FIGHT_LIMITS.RESPAWN_MS;
+        this.dropCarriedFlag(match, target.playerId, now);
+
+        if (thrower) {
+            thrower.knockouts++;
+            if (match.mode === 'team_knockout') {
+                match.scores[thrower.team]++;
+            }
+        }
+    }
+
+    /**
+     * Put a fighter back at their fort (server position, the player's own client, and the room)
+     */
+    respawn(match, fighter, now) {
+        fighter.alive = true;
+        fighter.hitsTaken = 0;
+        fighter.respawnAt = null;
+        fighter.protectedUntil = now + SNOWBALL_FIGHT_LIMITS.SPAWN_PROTECTION_MS;
+
+        const player = this.getPlayer(fighter.playerId);
+        if (!player || player.room !== match.roomId) return;
+
+        const fort = SNOWBALL_FIGHT_TEAMS[fighter.team].fort;
+        const angle = this.random() * Math.PI * 2;
+        const radius = 1 + this.random() * 2;
+        const position = {
+            x: fort.x + Math.cos(angle) * radius,
+            y: 0,
+            z: fort.z + Math.sin(angle) * radius,
+        };
+        player.position = position;
+
+        // Same-room teleport: no `room`, so the client doesn't reload the zone
+        this.sendToPlayer(fighter.playerId, { type: 'teleport', position });
+        this.broadcastToRoom(match.roomId, {
+            type: 'player_moved',
+            playerId: fighter.playerId,
+            position,
+            rotation: player.rotation,
+            pufflePosition: player.pufflePosition,
+        }, fighter.playerId);
+    }
+
+    // ==================== CAPTURE THE FLAG ====================
+
+    homeFlag(team) {
+        return {
+            state: 'home',
+            carrierId: null,
+            position: { ...SNOWBALL_FIGHT_TEAMS[team].flag },
+            droppedAt: null,
+        };
+    }
+
+    dropCarriedFlag(match, playerId, now) {
+        if (!match.flags) return;
+        for (const flag of Object.values(match.flags)) {
+            if (flag.carrierId !== playerId) continue;
+            const position = this.getPlayer(playerId)?.position;
+            flag.state = 'dropped';
+            flag.carrierId = null;
+            flag.position = position ? { x: position.x, z: position.z } : flag.position;
+            flag.droppedAt = now;
+        }
+    }
+
+    returnCarriedFlag(match, playerId) {
+        if (!match.flags) return;
+        for (const [team, flag] of Object.entries(match.flags)) {
+            if (flag.carrierId === playerId) {
+                match.flags[team] = this.homeFlag(team);
+            }
+        }
+    }
+
+    /** @returns {boolean} true if a flag changed hands */
+    updateFlags(match, now) {
+        let changed = false;
+
+        for (const [team, flag] of Object.entries(match.flags)) {
+            if (flag.state === 'dropped' && now - flag.droppedAt >= SNOWBALL_FIGHT_LIMITS.FLAG_RETURN_MS) {
+                match.flags[team] = this.homeFlag(team);
+                changed = true;
+            }
+        }
+
+        for (const fighter of match.fighters.values()) {
+            if (!fighter.alive) continue;
+            const position = this.getPlayer(fighter.playerId)?.position;
+            if (!position) continue;
+
+            const ownFlag = match.flags[fighter.team];
+            const enemyTeam = getOpposingTeam(fighter.team);
+            const enemyFlag = match.flags[enemyTeam];
+
+            if (enemyFlag.carrierId === fighter.playerId) {
+                if (!isInSnowballArena(position)) {
+                    match.flags[enemyTeam] = this.homeFlag(enemyTeam);
+                    changed = true;
+                    continue;
+                }
+                enemyFlag.position = { x: position.x, z: position.z };
+                const stand = SNOWBALL_FIGHT_TEAMS[fighter.team].flag;
+                if (ownFlag.state === 'home' && horizontalDistance(position, stand) <= SNOWBALL_FIGHT_LIMITS.FLAG_CAPTURE_RADIUS) {
+                    match.flags[enemyTeam] = this.homeFlag(enemyTeam);
+                    match.scores[fighter.team]++;
+                    fighter.captures++;
+                    changed = true;
+                }
+                continue;
+            }
+
+            const nearEnemyFlag = enemyFlag.state !== 'carried'
+                && horizontalDistance(position, enemyFlag.position) <= SNOWBALL_FIGHT_LIMITS.FLAG_PICKUP_RADIUS;
+            if (nearEnemyFlag && now >= fighter.protectedUntil) {
+                enemyFlag.state = 'carried';
+                enemyFlag.carrierId = fighter.playerId;
+                enemyFlag.droppedAt = null;
+                changed = true;
+            } else if (ownFlag.state === 'dropped'
+                && horizontalDistance(position, ownFlag.position) <= SNOWBALL_FIGHT_LIMITS.FLAG_PICKUP_RADIUS) {
+                match.flags[fighter.team] = this.homeFlag(fighter.team);
+                changed = true;
+            }
+        }
+        return changed;
+    }
+
+    // ==================== KING OF THE HILL ====================
+
+    /**
+     * A team scores a point per second it holds the hill with nobody from the other team on it
+     * @returns {boolean} true if the holder or a score changed
+     */
+    updateHill(match, dt) {
+        const present = new Set();
+        for (const fighter of match.fighters.values()) {
+            if (!fighter.alive) continue;
+            const player = this.getPlayer(fighter.playerId);
+            if (player?.room !== match.roomId || !player.position) continue;
+            if (horizontalDistance(player.position, SNOWBALL_FIGHT_HILL) <= SNOWBALL_FIGHT_HILL.radius) {
+                present.add(fighter.team);
+            }
+        }
+
+        const holder = present.size === 1 ? [...present][0] : (present.size > 1 ? 'contested' : null);
+        let changed = holder !== match.hillHolder;
+        match.hillHolder = holder;
+
+        if (SNOWBALL_FIGHT_TEAMS[holder]) {
+            match.hillMs[holder] += dt;
+            const points = Math.floor(match.hillMs[holder] / 1000);
+            if (points !== match.scores[holder]) {
+                match.scores[holder] = points;
+                changed = true;
+            }
+        }
+        return changed;
+    }
+
+    // ==================== RESULTS ====================
+
+    /**
+     * @param {object} match
+     * @param {string | null} winner - team id, null for a draw
+     */
+    async finishMatch(match, winner) {
+        match.phase = 'results';
+        match.winner = winner;
+        match.removeAt = Date.now() + SNOWBALL_FIGHT_LIMITS.RESULTS_LINGER_MS;
+        match.projectiles = [];
+        const isDraw = winner === null;
+        const fighters = [...match.fighters.values()];
+
+        for (const fighter of fighters) {
+            this.playerMatch.delete(fighter.playerId);
+        }
+        this.broadcastState(match.roomId);
+
+        for (const fighter of fighters) {
+            const won = !isDraw && fighter.team === winner;
+            if (fighter.walletAddress) {
+                try {
+                    await this.statsService.recordResult(fighter.walletAddress, SNOWBALL_FIGHT_GAME_TYPE, won, 0, isDraw);
+                } catch (error) {
+                    console.error('❄️ Failed to record snowball fight result:', error.message);
+                }
+            }
+            this.sendToPlayer(fighter.playerId, {
+                type: 'snowball_fight_finished',
+                matchId: match.id,
+                mode: match.mode,
+                team: fighter.team,
+                winner,
+                won,
+                isDraw,
+                scores: { ...match.scores },
+                knockouts: fighter.knockouts,
+                deaths: fighter.deaths,
+                captures: fighter.captures,
+                statsRecorded: !!fighter.walletAddress,
+            });
+        }
+    }
+}
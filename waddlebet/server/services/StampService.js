@@ -0,0 +1,141 @@
+/**
+ * StampService - Server-authoritative stamp book (achievements).
+ * Gameplay services report events as progress counters on `User.stampProgress`; after each
+ * bump the shared registry (src/config/stamps.js) is evaluated and new stamps are pushed onto
+ * `User.stamps`. Rare and legendary stamps are announced to everyone online.
+ */
+
+import User from '../db/models/User.js';
+import {
+    BROADCAST_STAMP_RARITIES,
+    getNewlyEarnedStamps,
+} from '../config/stamps.js';
+
+function toPlainProgress(progress) {
+    if (!progress) return {};
+    return progress instanceof Map ? Object.fromEntries(progress) : { ...progress };
+}
+
+export default class StampService {
+    /**
+     * @param {(playerId: string, payload: object) => void} sendToPlayer
+     * @param {(walletAddress: string) => object | null} getPlayerByWallet - live player state object
+     * @param {(payload: object, ...excludeIds: string[]) => void} broadcastToAll
+     */
+    constructor(sendToPlayer, getPlayerByWallet, broadcastToAll) {
+        this.sendToPlayer = sendToPlayer;
+        this.getPlayerByWallet = getPlayerByWallet;
+        this.broadcastToAll = broadcastToAll;
+    }
+
+    // ==================== EVENTS ====================
+
+    recordFishCatch(walletAddress, fishId, rarity) {
+        return this.record(walletAddress, [`fish:${fishId}`, `fish_rarity:${rarity || 'common'}`]);
+    }
+
+    recordChop(walletAddress, logItemId) {
+        return this.record(walletAddress, [`chop:${logItemId}`]);
+    }
+
+    recordWagerWin(walletAddress, gameType) {
+        return this.record(walletAddress, [`wager_win:${gameType}`]);
+    }
+
+    recordParkourClear(walletAddress, stage) {
+        return this.record(walletAddress, [`parkour:${stage}`]);
+    }
+
+    recordPuffleTricks(walletAddress, trickIds = []) {
+        if (!trickIds.length) return Promise.resolve([]);
+        return this.record(walletAddress, trickIds.map((trickId) => `puffle_trick:${trickId}`));
+    }
+
+    recordOnboardingComplete(walletAddress) {
+        return this.record(walletAddress, ['onboarding:complete']);
+    }
+
+    // ==================== PROGRESS ====================
+
+    /**
+     * Bump progress counters and award any stamps they complete.
+     * @param {string} walletAddress
+     * @param {string[]} keys - progress keys, each incremented by one
+     * @returns {Promise<object[]>} newly awarded registry entries
+     */
+    async record(walletAddress, keys) {
+        if (!walletAddress || !keys.length) return [];
+
+        const inc = {};
+        for (const key of keys) {
+            inc[`stampProgress.${key}`] = (inc[`stampProgress.${key}`] || 0) + 1;
+        }
+        const user = await User.findOneAndUpdate(
+            { walletAddress },
+            { $inc: inc },
+            { new: true, projection: 'username stamps stampProgress', lean: true }
+        );
+        if (!user) return [];
+
+        const candidates = getNewlyEarnedStamps(
+            toPlainProgress(user.stampProgress),
+            (user.stamps || []).map((stamp) => stamp.id),
+            keys
+        );
+        const awarded = [];
+        for (const stamp of candidates) {
+            if (await this.award(walletAddress, stamp)) awarded.push(stamp);
+        }
+        if (awarded.length) {
+            this.announce(walletAddress, user.username, awarded);
+        }
+        return awarded;
+    }
+
+    /**
+     * Push a stamp onto the user once (guarded against concurrent awards)
+     * @returns {Promise<boolean>} true if newly awarded
+     */
+    async award(walletAddress, stamp) {
+        const result = await User.updateOne(
+            { walletAddress, 'stamps.id': { $ne: stamp.id } },
+            {
+                $push: { stamps: { id: stamp.id, name: stamp.name, earnedAt: new Date() } },
+                $inc: { 'stats.unlocks.totalStampsEarned': 1 }
+            }
+        );
+        return result.modifiedCount === 1;
+    }
+
+    announce(walletAddress, username, stamps) {
+        const player = this.getPlayerByWallet(walletAddress);
+        if (player) {
+            for (const stamp of stamps) {
+                this.sendToPlayer(player.id, { type: 'stamp_earned', stampId: stamp.id, earnedAt: Date.now() });
+            }
+        }
+
+        for (const stamp of stamps) {
+            if (!BROADCAST_STAMP_RARITIES.includes(stamp.rarity)) continue;
+            this.broadcastToAll(
+                { type: 'stamp_broadcast', stampId: stamp.id, playerName: player?.name || username },
+                ...(player ? [player.id] : [])
+            );
+        }
+    }
+
+    // ==================== STATE ====================
+
+    async sendState(playerId, walletAddress) {
+        if (!walletAddress) {
+            this.sendToPlayer(playerId, { type: 'stamps_state', stamps: [], progress: {} });
+            return;
+        }
+        const user = await User.findOne({ walletAddress }, 'stamps stampProgress').lean();
+        this.sendToPlayer(playerId, {
+            type: 'stamps_state',
+            stamps: (user?.stamps || []).map((stamp) => ({ id: stamp.id, earnedAt: stamp.earnedAt })),
+            progress: toPlainProgress(user?.stampProgress)
+        });
+    }
+}
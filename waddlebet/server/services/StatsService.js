@@ -16,7 +16,8 @@ const normalizeGameType = (gameType) => {
         'blackjack': 'blackjack',
         'uno': 'uno',
         'monopoly': 'monopoly',
-        'battleship': 'battleship'
+        'battleship': 'battleship',
+        'snowball_fight': 'snowballFight'
     };
     return mapping[gameType] || gameType;
 };
@@ -24,6 +25,7 @@ const normalizeGameType = (gameType) => {
 class StatsService {
     constructor(userService) {
         this.userService = userService;
+        this.stampService = null; // Injected later to avoid circular deps
         
         // In-memory cache for real-time stats (batched to DB periodically)
         this.pendingStats = new Map(); // walletAddress -> { updates }
@@ -62,6 +64,11 @@ class StatsService {
             user.recordGameResult(normalizedType, won, coinsAmount, isDraw);
             await user.save();
 
+            // Wagered wins count toward per-game stamps (solo minigames report 0 coins)
+            if (won && !isDraw && coinsAmount > 0 && this.stampService) {
+                await this.stampService.recordWagerWin(walletAddress, normalizedType);
+            }
+
             // Log the result
             if (isDraw) {
                 console.log(`📊 Stats: ${user.username} drew ${normalizedType}`);
@@ -75,6 +82,13 @@ class StatsService {
         }
     }
 
+    /**
+     * Inject stamp service (called after initialization to avoid circular deps)
+     */
+    setStampService(service) {
+        this.stampService = service;
+    }
+
     /**
      * Get public stats for display (works with wallet or playerId)
      */
@@ -107,6 +121,8 @@ class StatsService {
                     monopolyLosses: 0,
                     battleshipWins: 0,
                     battleshipLosses: 0,
+                    snowballFightWins: 0,
+                    snowballFightLosses: 0,
                     totalWins: 0,
                     totalLosses: 0,
                     isGuest: true
@@ -145,6 +161,10 @@ class StatsService {
                 // Battleship
                 battleshipWins: user.gameStats.battleship?.wins || 0,
                 battleshipLosses: user.gameStats.battleship?.losses || 0,
+                // Snowball Fight
+                snowballFightWins: user.gameStats.snowballFight?.wins || 0,
+                snowballFightLosses: user.gameStats.snowballFight?.losses || 0,
+                snowballFightDraws: user.gameStats.snowballFight?.draws || 0,
                 // Totals
                 totalWins: user.gameStats.overall.totalGamesWon,
                 totalLosses: user.gameStats.overall.totalGamesLost,
@@ -0,0 +1,800 @@
+/**
+ * TournamentService — single-elimination bracket tournaments for the wager minigames.
+ * Tournaments are either player-hosted or created daily from SCHEDULED_TOURNAMENTS. Entry fees
+ * (gold or pebbles) are escrowed on registration and pooled; when registration closes the bracket
+ * is seeded, byes advance automatically, and each pairing is played as a normal no-wager match
+ * through MatchService. Winners advance until the final, then the pool is paid out by placement.
+ */
+
+import { randomUUID } from 'crypto';
+import Tournament from '../db/models/Tournament.js';
+import { isDBConnected } from '../db/connection.js';
+import {
+    TOURNAMENT_GAMES,
+    TOURNAMENT_CURRENCIES,
+    TOURNAMENT_LIMITS,
+    SCHEDULED_TOURNAMENTS,
+    REGISTRATION_LEAD_MS,
+    isTournamentGame,
+    getBracketSize,
+    getRoundName,
+    getPrizeSplit,
+} from '../config/tournaments.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Seed a bracket. Entrants are shuffled, every first-round pairing gets a first slot before any
+ * gets a second, so byes (empty second slots) only ever appear in round one.
+ * @param {string[]} wallets
+ * @param {() => number} [random]
+ * @returns {object[][]} rounds of pairings
+ */
+export function buildBracket(wallets, random = Math.random) {
+    const seeded = [...wallets];
+    for (let i = seeded.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [seeded[i], seeded[j]] = [seeded[j], seeded[i]];
+    }
+
+    const size = getBracketSize(seeded.length);
+    const rounds = [];
+    for (let round = 0, pairings = size / 2; pairings >= 1; round++, pairings /= 2) {
+        rounds.push(Array.from({ length: pairings }, (_, index) => ({
+            key: `${round}-${index}`,
+            player1: round === 0 ? seeded[index] ?? null : null,
+            player2: round === 0 ? seeded[pairings + index] ?? null : null,
+            winner: null,
+            status: 'pending',
+            decidedBy: null,
+            matchId: null,
+            draws: 0,
+            readyAt: null,
+        })));
+    }
+    return rounds;
+}
+
+/**
+ * Finishing place for an entrant knocked out in `round` (0-based): final loser 2nd, semifinal
+ * losers 3rd, quarterfinal losers 5th, ...
+ */
+export function getEliminationPlacement(round, totalRounds) {
+    return 2 ** (totalRounds - 1 - round) + 1;
+}
+
+export default class TournamentService {
+    /**
+     * @param {import('./UserService.js').default} userService
+     * @param {import('./MatchService.js').default} matchService
+     * @param {(playerId: string, payload: object) => void} sendToPlayer
+     * @param {(roomId: string, payload: object, ...excludeIds: string[]) => void} broadcastToRoom
+     * @param {(payload: object) => void} broadcastToAll
+     * @param {(walletAddress: string) => object | null} getPlayerByWallet
+     * @param {() => number} [random] - injectable for tests
+     */
+    constructor(userService, matchService, sendToPlayer, broadcastToRoom, broadcastToAll, getPlayerByWallet, random = Math.random) {
+        this.userService = userService;
+        this.matchService = matchService;
+        this.sendToPlayer = sendToPlayer;
+        this.broadcastToRoom = broadcastToRoom;
+        this.broadcastToAll = broadcastToAll;
+        this.getPlayerByWallet = getPlayerByWallet;
+        this.random = random;
+
+        /** tournamentId -> tournament */
+        this.tournaments = new Map();
+    }
+
+    // ==================== STATE ====================
+
+    serializeTournament(tournament) {
+        return {
+            tournamentId: tournament.tournamentId,
+            name: tournament.name,
+            gameType: tournament.gameType,
+            currency: tournament.currency,
+            entryFee: tournament.entryFee,
+            maxEntrants: tournament.maxEntrants,
+            hostWallet: tournament.hostWallet,
+            hostName: tournament.hostName,
+            scheduled: !!tournament.scheduleId,
+            status: tournament.status,
+            prizePool: tournament.prizePool,
+            cancelReason: tournament.cancelReason,
+            startsAt: tournament.startsAt,
+            startedAt: tournament.startedAt,
+            endedAt: tournament.endedAt,
+            entrants: tournament.entrants.map((entrant) => ({
+                walletAddress: entrant.walletAddress,
+                name: entrant.name,
+                placement: entrant.placement,
+                prize: entrant.prize,
+            })),
+            rounds: tournament.rounds.map((round) => round.map((pairing) => ({
+                key: pairing.key,
+                player1: pairing.player1,
+                player2: pairing.player2,
+                winner: pairing.winner,
+                status: pairing.status,
+                decidedBy: pairing.decidedBy,
+                matchId: pairing.matchId,
+                readyAt: pairing.readyAt,
+            }))),
+        };
+    }
+
+    listTournaments() {
+        return [...this.tournaments.values()]
+            .sort((a, b) => a.startsAt - b.startsAt)
+            .map((tournament) => this.serializeTournament(tournament));
+    }
+
+    broadcastTournament(tournament) {
+        this.broadcastToAll({ type: 'tournament_update', tournament: this.serializeTournament(tournament) });
+    }
+
+    notifyWallet(walletAddress, payload) {
+        const player = this.getPlayerByWallet(walletAddress);
+        if (player) this.sendToPlayer(player.id, payload);
+    }
+
+    getEntrantName(tournament, walletAddress) {
+        return tournament.entrants.find((entrant) => entrant.walletAddress === walletAddress)?.name || 'Unknown';
+    }
+
+    async persist(tournament) {
+        if (!isDBConnected()) return;
+        try {
+            await Tournament.updateOne(
+                { tournamentId: tournament.tournamentId },
+                { $set: { ...tournament } },
+                { upsert: true }
+            );
+        } catch (error) {
+            console.error('🏆 Failed to save tournament:', error.message);
+        }
+    }
+
+    /**
+     * Refund tournaments left unfinished by a restart. Matches don't survive a restart, so a running
+     * bracket can't be resumed — every entrant gets their fee back.
+     */
+    async recoverUnfinished() {
+        const stale = await Tournament.findUnfinished();
+        let recovered = 0;
+        for (const doc of stale) {
+            if (this.tournaments.has(doc.tournamentId)) continue;
+            for (const entrant of doc.entrants) {
+                if (entrant.paid > 0) {
+                    await this.adjustBalance(entrant.walletAddress, doc.currency, entrant.paid, 'tournament_refund', doc.tournamentId, 'Tournament cancelled (server restart)');
+                }
+            }
+            doc.status = 'cancelled';
+            doc.cancelReason = 'Server restarted';
+            doc.endedAt = new Date();
+            await doc.save();
+            recovered++;
+        }
+        return recovered;
+    }
+
+    // ==================== BALANCES ====================
+
+    /**
+     * Entries, refunds and prizes all go through addCoins / addPebbles, so each one is its own
+     * Transaction tagged with the tournament. The pool is not an account of its own (wagers work
+     * the same way), so there is nothing for transferCoins to move prizes out of.
+     * @param {object} [details] - extra relatedData, e.g. the placement a prize is for
+     */
+    adjustBalance(walletAddress, currency, amount, type, tournamentId, reason, details = {}) {
+        const relatedData = { tournamentId, ...details };
+        return currency === 'pebbles'
+            ? this.userService.addPebbles(walletAddress, amount, type, relatedData, reason)
+            : this.userService.addCoins(walletAddress, amount, type, relatedData, reason);
+    }
+
+    async refundEntrant(tournament, entrant, reason) {
+        if (!entrant.paid) return null;
+        const refund = await this.adjustBalance(entrant.walletAddress, tournament.currency, entrant.paid, 'tournament_refund', tournament.tournamentId, reason);
+        tournament.prizePool -= entrant.paid;
+        entrant.paid = 0;
+        return refund;
+    }
+
+    // ==================== REGISTRATION ====================
+
+    /**
+     * Host a tournament. The host is registered (and pays the entry fee) immediately.
+     * @param {object} player - live player state (`id`, `walletAddress`, `name`)
+     * @param {{ name?: string, gameType: string, currency?: string, entryFee?: number, maxEntrants: number, startsInMs: number }} options
+     */
+    async createTournament(player, options = {}) {
+        if (!player?.walletAddress) {
+            return { success: false, error: 'NOT_AUTHENTICATED', message: 'Connect your wallet to host a tournament' };
+        }
+        if (!isTournamentGame(options.gameType)) {
+            return { success: false, error: 'INVALID_GAME', message: 'Pick a tournament game' };
+        }
+        const currency = options.currency || 'gold';
+        if (!TOURNAMENT_CURRENCIES[currency]) {
+            return { success: false, error: 'INVALID_CURRENCY', message: 'Entry fees are paid in gold or pebbles' };
+        }
+        const entryFee = Number(options.entryFee) || 0;
+        if (!Number.isInteger(entryFee) || entryFee < 0 || entryFee > TOURNAMENT_CURRENCIES[currency].maxEntryFee) {
+            return { success: false, error: 'INVALID_FEE', message: `Entry fee must be 0–${TOURNAMENT_CURRENCIES[currency].maxEntryFee} ${TOURNAMENT_CURRENCIES[currency].label.toLowerCase()}` };
+        }
+        const maxEntrants = Number(options.maxEntrants);
+        if (!TOURNAMENT_LIMITS.BRACKET_SIZES.includes(maxEntrants)) {
+            return { success: false, error: 'INVALID_SIZE', message: `Bracket size must be one of ${TOURNAMENT_LIMITS.BRACKET_SIZES.join(', ')}` };
+        }
+        const startsInMs = Number(options.startsInMs);
+        if (!(startsInMs >= TOURNAMENT_LIMITS.MIN_REGISTRATION_MS && startsInMs <= TOURNAMENT_LIMITS.MAX_REGISTRATION_MS)) {
+            return { success: false, error: 'INVALID_START', message: 'Pick a start time between 2 minutes and 24 hours away' };
+        }
+        const name = String(options.name || '').trim().slice(0, TOURNAMENT_LIMITS.NAME_MAX_LENGTH)
+            || `${player.name}'s ${TOURNAMENT_GAMES[options.gameType].label} Cup`;
+
+        const hosted = [...this.tournaments.values()].filter((t) => (
+            t.hostWallet === player.walletAddress && (t.status === 'registration' || t.status === 'running')
+        ));
+        if (hosted.length >= TOURNAMENT_LIMITS.MAX_HOSTED_PER_PLAYER) {
+            return { success: false, error: 'HOST_LIMIT', message: 'You are already hosting a tournament' };
+        }
+
+        const tournament = this.addTournament({
+            name,
+            gameType: options.gameType,
+            currency,
+            entryFee,
+            maxEntrants,
+            hostWallet: player.walletAddress,
+            hostName: player.name,
+            startsAt: new Date(Date.now() + startsInMs),
+        });
+
+        const joined = await this.register(player, tournament.tournamentId);
+        if (!joined.success) {
+            this.tournaments.delete(tournament.tournamentId);
+            return joined;
+        }
+        console.log(`🏆 ${player.name} is hosting "${name}" (${options.gameType}, ${entryFee} ${currency})`);
+        return { ...joined, message: `"${name}" is open for registration`, tournamentId: tournament.tournamentId };
+    }
+
+    addTournament({ name, gameType, currency, entryFee, maxEntrants, hostWallet = null, hostName = null, scheduleId = null, startsAt }) {
+        const tournament = {
+            tournamentId: randomUUID(),
+            name,
+            gameType,
+            currency,
+            entryFee,
+            maxEntrants,
+            hostWallet,
+            hostName,
+            scheduleId,
+            status: 'registration',
+            entrants: [],
+            rounds: [],
+            prizePool: 0,
+            cancelReason: null,
+            startsAt,
+            startedAt: null,
+            endedAt: null,
+            createdAt: new Date(),
+        };
+        this.tournaments.set(tournament.tournamentId, tournament);
+        return tournament;
+    }
+
+    getRegistrationError(tournament, walletAddress) {
+        if (!tournament) {
+            return { success: false, error: 'NOT_FOUND', message: 'Tournament not found' };
+        }
+        if (tournament.status !== 'registration') {
+            return { success: false, error: 'REGISTRATION_CLOSED', message: 'Registration has closed' };
+        }
+        if (tournament.entrants.some((entrant) => entrant.walletAddress === walletAddress)) {
+            return { success: false, error: 'ALREADY_REGISTERED', message: 'You are already registered' };
+        }
+        if (tournament.entrants.length >= tournament.maxEntrants) {
+            return { success: false, error: 'TOURNAMENT_FULL', message: 'This tournament is full' };
+        }
+        return null;
+    }
+
+    async register(player, tournamentId) {
+        const walletAddress = player?.walletAddress;
+        if (!walletAddress) {
+            return { success: false, error: 'NOT_AUTHENTICATED', message: 'Connect your wallet to enter tournaments' };
+        }
+        const tournament = this.tournaments.get(tournamentId);
+        const registrationError = this.getRegistrationError(tournament, walletAddress);
+        if (registrationError) return registrationError;
+
+        const { currency, entryFee } = tournament;
+        let newBalance = null;
+        if (entryFee > 0) {
+            const paid = await this.adjustBalance(walletAddress, currency, -entryFee, 'tournament_entry', tournamentId, `Tournament entry: ${tournament.name}`);
+            if (!paid.success) {
+                return { success: false, error: 'INSUFFICIENT_FUNDS', message: `Entry costs ${entryFee} ${TOURNAMENT_CURRENCIES[currency].label.toLowerCase()}`, currency };
+            }
+            newBalance = paid.newBalance;
+        }
+
+        // Registration may have closed or filled while we were paying
+        const lateError = this.getRegistrationError(tournament, walletAddress);
+        if (lateError) {
+            if (entryFee > 0) {
+                const refund = await this.adjustBalance(walletAddress, currency, entryFee, 'tournament_refund', tournamentId, `Tournament refund: ${tournament.name}`);
+                newBalance = refund?.newBalance ?? newBalance;
+            }
+            return { ...lateError, currency, newBalance };
+        }
+
+        tournament.entrants.push({
+            walletAddress,
+            name: player.name,
+            paid: entryFee,
+            placement: null,
+            prize: 0,
+            joinedAt: new Date(),
+        });
+        tournament.prizePool += entryFee;
+
+        await this.persist(tournament);
+        this.broadcastTournament(tournament);
+        return { success: true, message: `Registered for ${tournament.name}`, currency, newBalance };
+    }
+
+    async unregister(walletAddress, tournamentId) {
+        const tournament = this.tournaments.get(tournamentId);
+        const entrant = tournament?.entrants.find((e) => e.walletAddress === walletAddress);
+        if (!entrant) {
+            return { success: false, error: 'NOT_REGISTERED', message: 'You are not registered for that tournament' };
+        }
+        if (tournament.status !== 'registration') {
+            return { success: false, error: 'REGISTRATION_CLOSED', message: 'The tournament has already started' };
+        }
+        if (tournament.hostWallet === walletAddress) {
+            return { success: false, error: 'HOST_CANNOT_LEAVE', message: 'Cancel the tournament instead' };
+        }
+
+        tournament.entrants = tournament.entrants.filter((e) => e !== entrant);
+        const refund = await this.refundEntrant(tournament, entrant, `Tournament refund: ${tournament.name}`);
+
+        await this.persist(tournament);
+        this.broadcastTournament(tournament);
+        return { success: true, message: `Withdrew from ${tournament.name}`, currency: tournament.currency, newBalance: refund?.newBalance ?? null };
+    }
+
+    getHostedTournament(walletAddress, tournamentId) {
+        const tournament = this.tournaments.get(tournamentId);
+        if (!tournament) {
+            return { error: { success: false, error: 'NOT_FOUND', message: 'Tournament not found' } };
+        }
+        if (!walletAddress || tournament.hostWallet !== walletAddress) {
+            return { error: { success: false, error: 'NOT_HOST', message: 'Only the host can do that' } };
+        }
+        if (tournament.status !== 'registration') {
+            return { error: { success: false, error: 'REGISTRATION_CLOSED', message: 'The tournament has already started' } };
+        }
+        return { tournament };
+    }
+
+    /**
+     * Host closes registration early and starts the bracket
+     */
+    async startEarly(walletAddress, tournamentId) {
+        const { tournament, error } = this.getHostedTournament(walletAddress, tournamentId);
+        if (error) return error;
+        if (tournament.entrants.length < TOURNAMENT_LIMITS.MIN_ENTRANTS) {
+            return { success: false, error: 'NOT_ENOUGH_ENTRANTS', message: `At least ${TOURNAMENT_LIMITS.MIN_ENTRANTS} players are needed` };
+        }
+        await this.startTournament(tournament);
+        return { success: true, message: `${tournament.name} has started` };
+    }
+
+    async cancel(walletAddress, tournamentId) {
+        const { tournament, error } = this.getHostedTournament(walletAddress, tournamentId);
+        if (error) return error;
+        await this.cancelTournament(tournament, 'Cancelled by the host');
+        return { success: true, message: `${tournament.name} was cancelled` };
+    }
+
+    async cancelTournament(tournament, reason) {
+        tournament.status = 'cancelled';
+        tournament.cancelReason = reason;
+        tournament.endedAt = new Date();
+
+        for (const entrant of tournament.entrants) {
+            try {
+                const refund = await this.refundEntrant(tournament, entrant, `Tournament cancelled: ${tournament.name}`);
+                this.notifyWallet(entrant.walletAddress, {
+                    type: 'tournament_notice',
+                    tournamentId: tournament.tournamentId,
+                    message: `${tournament.name} was cancelled: ${reason}`,
+                    currency: tournament.currency,
+                    newBalance: refund?.newBalance ?? null,
+                });
+            } catch (error) {
+                console.error('🏆 Failed to refund tournament entry:', error.message);
+            }
+        }
+
+        console.log(`🏆 Tournament "${tournament.name}" cancelled (${reason})`);
+        await this.persist(tournament);
+        this.broadcastTournament(tournament);
+    }
+
+    // ==================== BRACKET ====================
+
+    async startTournament(tournament, now = Date.now()) {
+        tournament.status = 'running';
+        tournament.startedAt = new Date(now);
+        tournament.rounds = buildBracket(tournament.entrants.map((e) => e.walletAddress), this.random);
+
+        tournament.rounds[0].forEach((pairing, index) => {
+            if (pairing.player2) {
+                this.setPairingReady(tournament, pairing, now);
+            } else {
+                this.decidePairing(tournament, 0, index, pairing.player1, 'bye', now);
+            }
+        });
+
+        console.log(`🏆 Tournament "${tournament.name}" started with ${tournament.entrants.length} players`);
+        await this.persist(tournament);
+        this.broadcastTournament(tournament);
+    }
+
+    setPairingReady(tournament, pairing, now = Date.now()) {
+        pairing.status = 'ready';
+        pairing.matchId = null;
+        pairing.readyAt = now + TOURNAMENT_LIMITS.MATCH_BREAK_MS;
+
+        const roundName = getRoundName(Number(pairing.key.split('-')[0]) + 1, tournament.rounds.length);
+        for (const [wallet, opponent] of [[pairing.player1, pairing.player2], [pairing.player2, pairing.player1]]) {
+            this.notifyWallet(wallet, {
+                type: 'tournament_notice',
+                tournamentId: tournament.tournamentId,
+                message: `${tournament.name} ${roundName}: your match against ${this.getEntrantName(tournament, opponent)} starts shortly`,
+            });
+        }
+    }
+
+    /**
+     * Settle a pairing and move the winner into the next round (or finish the tournament)
+     */
+    decidePairing(tournament, roundIndex, pairingIndex, winner, decidedBy, now = Date.now()) {
+        const pairing = tournament.rounds[roundIndex][pairingIndex];
+        pairing.winner = winner;
+        pairing.decidedBy = decidedBy;
+        pairing.status = 'done';
+
+        const loser = winner === pairing.player1 ? pairing.player2 : pairing.player1;
+        if (loser) {
+            const entrant = tournament.entrants.find((e) => e.walletAddress === loser);
+            if (entrant) entrant.placement = getEliminationPlacement(roundIndex, tournament.rounds.length);
+        }
+
+        const nextRound = tournament.rounds[roundIndex + 1];
+        if (!nextRound) return true;
+
+        const next = nextRound[Math.floor(pairingIndex / 2)];
+        next[pairingIndex % 2 === 0 ? 'player1' : 'player2'] = winner;
+        if (next.player1 && next.player2) {
+            this.setPairingReady(tournament, next, now);
+        }
+        return false;
+    }
+
+    findPairing(tournament, predicate) {
+        for (let roundIndex = 0; roundIndex < tournament.rounds.length; roundIndex++) {
+            const pairingIndex = tournament.rounds[roundIndex].findIndex(predicate);
+            if (pairingIndex !== -1) return { roundIndex, pairingIndex, pairing: tournament.rounds[roundIndex][pairingIndex] };
+        }
+        return null;
+    }
+
+    async startPairingMatch(tournament, pairing) {
+        const p1 = this.getPlayerByWallet(pairing.player1);
+        const p2 = this.getPlayerByWallet(pairing.player2);
+        pairing.status = 'live';
+
+        const sameRoom = p1.room && p1.room === p2.room;
+        const challenge = {
+            id: `${tournament.tournamentId}:${pairing.key}`,
+            gameType: tournament.gameType,
+            challengerId: p1.id,
+            challengerWallet: pairing.player1,
+            challengerName: p1.name,
+            challengerAppearance: p1.appearance,
+            targetId: p2.id,
+            targetWallet: pairing.player2,
+            targetName: p2.name,
+            targetAppearance: p2.appearance,
+            wagerAmount: 0,
+            room: sameRoom ? p1.room : null,
+        };
+
+        let match;
+        try {
+            match = await this.matchService.createMatch(challenge, p1, p2);
+        } catch (error) {
+            console.error('🏆 Failed to start tournament match:', error);
+            this.setPairingReady(tournament, pairing);
+            return;
+        }
+        match.tournament = {
+            tournamentId: tournament.tournamentId,
+            pairingKey: pairing.key,
+            missedTurns: { player1: 0, player2: 0 },
+        };
+        pairing.matchId = match.id;
+
+        const roundName = getRoundName(Number(pairing.key.split('-')[0]) + 1, tournament.rounds.length);
+        for (const [player, yourRole] of [[p1, 'player1'], [p2, 'player2']]) {
+            this.sendToPlayer(player.id, {
+                type: 'match_start',
+                match: {
+                    id: match.id,
+                    gameType: match.gameType,
+                    player1: { id: match.player1.id, name: match.player1.name, appearance: match.player1.appearance },
+                    player2: { id: match.player2.id, name: match.player2.name, appearance: match.player2.appearance },
+                    wagerAmount: 0,
+                    wagerToken: null,
+                    tournament: { tournamentId: tournament.tournamentId, name: tournament.name, roundName },
+                    yourRole,
+                },
+                initialState: this.matchService.getMatchState(match.id, player.id),
+            });
+        }
+
+        if (match.room) {
+            this.broadcastToRoom(match.room, {
+                type: 'match_spectate_start',
+                matchId: match.id,
+                players: [
+                    { id: match.player1.id, name: match.player1.name, position: match.player1.position },
+                    { id: match.player2.id, name: match.player2.name, position: match.player2.position }
+                ],
+                gameType: match.gameType,
+                wagerAmount: 0,
+                sideBets: this.matchService.getSideBetSummary(match)
+            }, match.player1.id, match.player2.id);
+        }
+
+        await this.persist(tournament);
+        this.broadcastTournament(tournament);
+    }
+
+    /**
+     * Record the outcome of a tournament match. Safe to call more than once per match.
+     * @param {{ tournamentId: string }} tournamentRef - `match.tournament`
+     * @param {string} matchId
+     * @param {string|null} winnerWallet - null for a draw (the pairing is replayed)
+     * @param {string} [decidedBy] - 'win' | 'forfeit' | 'disconnect' | 'no_show'
+     */
+    async recordMatchResult(tournamentRef, matchId, winnerWallet, decidedBy = 'win', now = Date.now()) {
+        const tournament = this.tournaments.get(tournamentRef?.tournamentId);
+        if (!tournament || tournament.status !== 'running') return false;
+        const found = this.findPairing(tournament, (p) => p.matchId === matchId && p.status === 'live');
+        if (!found) return false;
+        const { roundIndex, pairingIndex, pairing } = found;
+
+        if (!winnerWallet) {
+            pairing.draws++;
+            if (pairing.draws < TOURNAMENT_LIMITS.MAX_DRAW_REPLAYS) {
+                this.setPairingReady(tournament, pairing, now);
+                await this.persist(tournament);
+                this.broadcastTournament(tournament);
+                return true;
+            }
+            winnerWallet = pairing.player1;
+            decidedBy = 'draws';
+        } else if (winnerWallet !== pairing.player1 && winnerWallet !== pairing.player2) {
+            return false;
+        }
+
+        const finished = this.decidePairing(tournament, roundIndex, pairingIndex, winnerWallet, decidedBy, now);
+        if (finished) {
+            await this.completeTournament(tournament);
+        } else {
+            const loser = winnerWallet === pairing.player1 ? pairing.player2 : pairing.player1;
+            this.notifyWallet(loser, {
+                type: 'tournament_notice',
+                tournamentId: tournament.tournamentId,
+                message: `You were knocked out of ${tournament.name}`,
+            });
+            await this.persist(tournament);
+            this.broadcastTournament(tournament);
+        }
+        return true;
+    }
+
+    /**
+     * End a tournament match the players didn't finish themselves — a no-show forfeit, or a
+     * turn-timer auto-play that completed the game. Human-completed matches go through the normal
+     * match_move / handleMatchPayout path instead.
+     * @param {object} match - MatchService match with `tournament`
+     * @param {string|null} winnerId - player id, or null for a draw
+     * @param {string} reason - 'no_show' | 'win' | 'draw'
+     */
+    async settleMatch(match, winnerId, reason) {
+        if (match.status === 'active') {
+            match.status = 'complete';
+            match.winnerId = winnerId;
+            match.winnerWallet = winnerId === match.player1.id ? match.player1.wallet : winnerId ? match.player2.wallet : null;
+            match.endedAt = Date.now();
+        }
+        await this.matchService.settleSideBets(match, winnerId);
+
+        for (const [key, other] of [['player1', 'player2'], ['player2', 'player1']]) {
+            this.sendToPlayer(match[key].id, {
+                type: 'match_end',
+                matchId: match.id,
+                result: {
+                    winner: winnerId ? (winnerId === match.player1.id ? 'player1' : 'player2') : 'draw',
+                    winnerPlayerId: winnerId,
+                    coinsWon: 0,
+                    reason,
+                    opponentNoShow: reason === 'no_show' && winnerId === match[key].id,
+                    opponentName: match[other].name,
+                },
+            });
+        }
+        if (match.room) {
+            this.broadcastToRoom(match.room, {
+                type: 'match_spectate_end',
+                matchId: match.id,
+                winnerId,
+                winnerName: winnerId ? (winnerId === match.player1.id ? match.player1.name : match.player2.name) : null,
+                isDraw: !winnerId,
+                reason,
+                gameType: match.gameType,
+            }, match.player1.id, match.player2.id);
+        }
+
+        await this.matchService.endMatch(match.id);
+        await this.recordMatchResult(match.tournament, match.id, match.winnerWallet, reason === 'draw' ? 'win' : reason);
+    }
+
+    async completeTournament(tournament) {
+        tournament.status = 'complete';
+        tournament.endedAt = new Date();
+
+        const final = tournament.rounds[tournament.rounds.length - 1][0];
+        const champion = tournament.entrants.find((e) => e.walletAddress === final.winner);
+        if (champion) champion.placement = 1;
+
+        const split = getPrizeSplit(tournament.prizePool, tournament.entrants.length);
+        const prizes = tournament.entrants
+            .map((entrant) => {
+                if (entrant.placement === 1) return [entrant, split.first];
+                if (entrant.placement === 2) return [entrant, split.second];
+                if (entrant.placement === 3) return [entrant, split.semifinal];
+                return [entrant, 0];
+            })
+            .filter(([, amount]) => amount > 0);
+
+        for (const [entrant, amount] of prizes) {
+            try {
+                const paid = await this.adjustBalance(
+                    entrant.walletAddress,
+                    tournament.currency,
+                    amount,
+                    'tournament_prize',
+                    tournament.tournamentId,
+                    `Tournament prize: ${tournament.name} (#${entrant.placement})`,
+                    { placement: entrant.placement }
+                );
+                if (paid.success) entrant.prize = amount;
+                this.notifyWallet(entrant.walletAddress, {
+                    type: 'tournament_notice',
+                    tournamentId: tournament.tournamentId,
+                    message: `You placed #${entrant.placement} in ${tournament.name} and won ${amount} ${TOURNAMENT_CURRENCIES[tournament.currency].label.toLowerCase()}!`,
+                    currency: tournament.currency,
+                    newBalance: paid.newBalance ?? null,
+                });
+            } catch (error) {
+                console.error('🏆 Failed to pay tournament prize:', error.message);
+            }
+        }
+        if (champion && !prizes.some(([entrant]) => entrant === champion)) {
+            this.notifyWallet(champion.walletAddress, {
+                type: 'tournament_notice',
+                tournamentId: tournament.tournamentId,
+                message: `You won ${tournament.name}!`,
+            });
+        }
+
+        console.log(`🏆 Tournament "${tournament.name}" won by ${champion?.name} (pool ${tournament.prizePool} ${tournament.currency})`);
+        await this.persist(tournament);
+        this.broadcastTournament(tournament);
+    }
+
+    // ==================== TICK ====================
+
+    async tick(now = Date.now()) {
+        this.createScheduledTournaments(now);
+
+        for (const tournament of [...this.tournaments.values()]) {
+            try {
+                if (tournament.status === 'registration') {
+                    if (now >= tournament.startsAt.getTime()) {
+                        if (tournament.entrants.length >= TOURNAMENT_LIMITS.MIN_ENTRANTS) {
+                            await this.startTournament(tournament, now);
+                        } else {
+                            await this.cancelTournament(tournament, 'Not enough players registered');
+                        }
+                    }
+                } else if (tournament.status === 'running') {
+                    await this.startReadyPairings(tournament, now);
+                } else if (now - tournament.endedAt.getTime() >= TOURNAMENT_LIMITS.RESULTS_LINGER_MS) {
+                    this.tournaments.delete(tournament.tournamentId);
+                }
+            } catch (error) {
+                console.error('🏆 Tournament tick error:', error);
+            }
+        }
+    }
+
+    /**
+     * Start matches for pairings whose break has ended. A player who is offline or still in another
+     * match gets NO_SHOW_GRACE_MS before the pairing is decided as a walkover.
+     */
+    async startReadyPairings(tournament, now) {
+        for (let roundIndex = 0; roundIndex < tournament.rounds.length; roundIndex++) {
+            const round = tournament.rounds[roundIndex];
+            for (let pairingIndex = 0; pairingIndex < round.length; pairingIndex++) {
+                const pairing = round[pairingIndex];
+                if (pairing.status !== 'ready' || now < pairing.readyAt) continue;
+
+                const present = [pairing.player1, pairing.player2].map((wallet) => (
+                    !!this.getPlayerByWallet(wallet) && !this.matchService.isWalletInMatch(wallet)
+                ));
+                if (present[0] && present[1]) {
+                    await this.startPairingMatch(tournament, pairing);
+                } else if (now - pairing.readyAt >= TOURNAMENT_LIMITS.NO_SHOW_GRACE_MS) {
+                    const winner = present[1] && !present[0] ? pairing.player2 : pairing.player1;
+                    if (this.decidePairing(tournament, roundIndex, pairingIndex, winner, 'walkover', now)) {
+                        await this.completeTournament(tournament);
+                        return;
+                    }
+                    await this.persist(tournament);
+                    this.broadcastTournament(tournament);
+                }
+            }
+        }
+    }
+
+    /**
+     * Open registration for each scheduled tournament REGISTRATION_LEAD_MS before its daily start
+     */
+    createScheduledTournaments(now) {
+        for (const schedule of SCHEDULED_TOURNAMENTS) {
+            const today = new Date(now);
+            today.setUTCHours(schedule.hourUTC, 0, 0, 0);
+            const startsAt = today.getTime() > now ? today.getTime() : today.getTime() + DAY_MS;
+            if (startsAt - now > REGISTRATION_LEAD_MS) continue;
+
+            const exists = [...this.tournaments.values()].some((t) => (
+                t.scheduleId === schedule.scheduleId && t.startsAt.getTime() === startsAt
+            ));
+            if (exists) continue;
+
+            const tournament = this.addTournament({
+                name: schedule.name,
+                gameType: schedule.gameType,
+                currency: schedule.currency,
+                entryFee: schedule.entryFee,
+                maxEntrants: schedule.maxEntrants,
+                scheduleId: schedule.scheduleId,
+                startsAt: new Date(startsAt),
+            });
+            console.log(`🏆 Registration open for "${schedule.name}"`);
+            this.persist(tournament);
+            this.broadcastTournament(tournament);
+        }
+    }
+}
@@ -0,0 +1,401 @@
+/**
+ * TradeService — player-to-player trade window for backpack items and gold.
+ * One player requests a trade with someone in the same room; once accepted both fill their side
+ * with backpack stacks and gold and confirm. Any offer change clears both confirmations. When both
+ * have confirmed, items and gold swap in a single database transaction and each side gets a
+ * `p2p_trade` Transaction entry. Trades live in memory and close on disconnect or room change.
+ *
+ * Messages sent to players: `trade_request` (incoming request), `trade_state` (window contents)
+ * and `trade_closed` (declined, cancelled, timed out or completed).
+ */
+
+import { randomUUID } from 'crypto';
+import mongoose from 'mongoose';
+import { User, Transaction } from '../db/models/index.js';
+import { TRADE_LIMITS, TRADE_CLOSE_REASONS, isTradeableItem } from '../config/trading.js';
+
+class TradeService {
+    /**
+     * @param {import('./GameInventoryService.js').default} gameInventoryService
+     * @param {Function} sendToPlayer - (playerId, message)
+     * @param {Function} getPlayerByWallet - walletAddress -> connected player or null
+     */
+    constructor(gameInventoryService, sendToPlayer, getPlayerByWallet) {
+        this.gameInventoryService = gameInventoryService;
+        this.sendToPlayer = sendToPlayer;
+        this.getPlayerByWallet = getPlayerByWallet;
+
+        /** tradeId -> trade */
+        this.trades = new Map();
+        /** walletAddress -> tradeId while requested or open */
+        this.byWallet = new Map();
+    }
+
+    getTradeForWallet(walletAddress) {
+        return this.trades.get(this.byWallet.get(walletAddress)) || null;
+    }
+
+    /**
+     * Client view of a trade
+     * @param {object} trade
+     */
+    serialize(trade) {
+        return {
+            id: trade.id,
+            status: trade.status,
+            expiresAt: trade.expiresAt,
+            sides: trade.sides.map((side) => ({
+                walletAddress: side.walletAddress,
+                name: side.name,
+                items: side.items.map((item) => ({ ...item })),
+                gold: side.gold,
+                confirmed: side.confirmed,
+            })),
+        };
+    }
+
+    notify(walletAddress, message) {
+        const player = this.getPlayerByWallet(walletAddress);
+        if (player) this.sendToPlayer(player.id, message);
+    }
+
+    broadcastState(trade, error = null) {
+        const state = this.serialize(trade);
+        for (const side of trade.sides) {
+            this.notify(side.walletAddress, { type: 'trade_state', trade: state, error });
+        }
+    }
+
+    getSide(trade, walletAddress) {
+        return trade.sides.find((side) => side.walletAddress === walletAddress) || null;
+    }
+
+    /**
+     * Look up the caller's trade and check it is in one of the given states
+     * @returns {{ trade: object, side: object } | { error: string, message: string }}
+     */
+    resolveTrade(walletAddress, tradeId, statuses) {
+        const trade = this.trades.get(tradeId);
+        const side = trade ? this.getSide(trade, walletAddress) : null;
+        if (!side) return { error: 'TRADE_NOT_FOUND', message: 'That trade is no longer open' };
+        if (!statuses.includes(trade.status)) {
+            return {
+                error: trade.status === 'executing' ? 'TRADE_BUSY' : 'TRADE_NOT_OPEN',
+                message: trade.status === 'executing' ? 'The trade is going through' : 'That trade is not open yet',
+            };
+        }
+        return { trade, side };
+    }
+
+    /**
+     * Ask another player in the same room to trade
+     * @param {{ walletAddress: string, name: string, room: string, isAuthenticated?: boolean }} fromPlayer
+     * @param {{ walletAddress: string, name: string, room: string, isAuthenticated?: boolean } | null} toPlayer
+     */
+    requestTrade(fromPlayer, toPlayer) {
+        if (!fromPlayer?.isAuthenticated || !fromPlayer.walletAddress) {
+            return { error: 'NOT_AUTHENTICATED', message: 'Sign in with a wallet to trade' };
+        }
+        if (!toPlayer?.isAuthenticated || !toPlayer.walletAddress) {
+            return { error: 'TARGET_NOT_AUTHENTICATED', message: 'That player cannot trade' };
+        }
+        if (toPlayer.walletAddress === fromPlayer.walletAddress) {
+            return { error: 'CANNOT_TRADE_SELF', message: 'You cannot trade with yourself' };
+        }
+        if (!fromPlayer.room || fromPlayer.room !== toPlayer.room) {
+            return { error: 'NOT_NEARBY', message: 'You need to be in the same room to trade' };
+        }
+        if (this.byWallet.has(fromPlayer.walletAddress)) {
+            return { error: 'ALREADY_TRADING', message: 'Finish your current trade first' };
+        }
+        if (this.byWallet.has(toPlayer.walletAddress)) {
+            return { error: 'TARGET_BUSY', message: `${toPlayer.name} is already trading` };
+        }
+
+        const now = Date.now();
+        const makeSide = (player) => ({
+            walletAddress: player.walletAddress,
+            name: player.name,
+            items: [],
+            gold: 0,
+            confirmed: false,
+        });
+        const trade = {
+            id: randomUUID(),
+            status: 'requested',
+            room: fromPlayer.room,
+            createdAt: now,
+            expiresAt: now + TRADE_LIMITS.REQUEST_TTL_MS,
+            sides: [makeSide(fromPlayer), makeSide(toPlayer)],
+        };
+        this.trades.set(trade.id, trade);
+        this.byWallet.set(fromPlayer.walletAddress, trade.id);
+        this.byWallet.set(toPlayer.walletAddress, trade.id);
+
+        this.notify(toPlayer.walletAddress, {
+            type: 'trade_request',
+            tradeId: trade.id,
+            fromName: fromPlayer.name,
+            expiresAt: trade.expiresAt,
+        });
+        return { success: true, trade: this.serialize(trade) };
+    }
+
+    /**
+     * Accept or decline an incoming request
+     */
+    respond(walletAddress, tradeId, accept) {
+        const found = this.resolveTrade(walletAddress, tradeId, ['requested']);
+        if (found.error) return found;
+        const { trade, side } = found;
+        if (side !== trade.sides[1]) {
+            return { error: 'NOT_RECIPIENT', message: 'Waiting for the other player to answer' };
+        }
+
+        if (!accept) {
+            this.close(trade, 'declined');
+            return { success: true, declined: true };
+        }
+
+        trade.status = 'open';
+        trade.expiresAt = Date.now() + TRADE_LIMITS.SESSION_TTL_MS;
+        this.broadcastState(trade);
+        return { success: true, trade: this.serialize(trade) };
+    }
+
+    /**
+     * Replace the caller's side of the window. Clears both confirmations.
+     * @param {string} walletAddress
+     * @param {string} tradeId
+     * @param {{ items?: { slotIndex: number, quantity: number }[], gold?: number }} offer
+     */
+    async setOffer(walletAddress, tradeId, { items = [], gold = 0 } = {}) {
+        const found = this.resolveTrade(walletAddress, tradeId, ['open']);
+        if (found.error) return found;
+
+        if (!Array.isArray(items) || items.length > TRADE_LIMITS.MAX_OFFER_SLOTS) {
+            return { error: 'TOO_MANY_ITEMS', message: `You can offer up to ${TRADE_LIMITS.MAX_OFFER_SLOTS} stacks` };
+        }
+        if (!Number.isInteger(gold) || gold < 0 || gold > TRADE_LIMITS.MAX_GOLD) {
+            return { error: 'INVALID_GOLD', message: 'Invalid gold amount' };
+        }
+
+        const user = await this.gameInventoryService.ensureInventory(walletAddress);
+        if (!user) return { error: 'USER_NOT_FOUND' };
+        if ((user.coins || 0) < gold) {
+            return { error: 'INSUFFICIENT_FUNDS', message: `You only have ${user.coins || 0}g` };
+        }
+
+        const inventory = this.gameInventoryService.serializeInventory(user);
+        const seen = new Set();
+        const offered = [];
+        for (const entry of items) {
+            const slotIndex = entry?.slotIndex;
+            const quantity = entry?.quantity;
+            const slot = Number.isInteger(slotIndex) ? inventory.slots[slotIndex] : null;
+            if (!slot?.itemId || seen.has(slotIndex)) {
+                return { error: 'INVALID_SLOT', message: 'That backpack slot cannot be offered' };
+            }
+            if (!isTradeableItem(slot.itemId)) {
+                return { error: 'NOT_TRADEABLE', message: `${slot.name} cannot be traded` };
+            }
+            if (!Number.isInteger(quantity) || quantity < 1 || quantity > slot.quantity) {
+                return { error: 'INVALID_QUANTITY', message: `You have ${slot.quantity} ${slot.name}` };
+            }
+            seen.add(slotIndex);
+            offered.push({
+                slotIndex,
+                itemId: slot.itemId,
+                quantity,
+                name: slot.name,
+                emoji: slot.emoji,
+                durability: slot.durability ?? null,
+                maxDurability: slot.maxDurability ?? null,
+            });
+        }
+
+        // The trade may have closed while the backpack was loading
+        const current = this.resolveTrade(walletAddress, tradeId, ['open']);
+        if (current.error) return current;
+        current.side.items = offered;
+        current.side.gold = gold;
+        current.trade.sides.forEach((side) => { side.confirmed = false; });
+        this.broadcastState(current.trade);
+        return { success: true };
+    }
+
+    /**
+     * Lock in the current offers; the swap runs once both sides have confirmed
+     */
+    async confirm(walletAddress, tradeId) {
+        const found = this.resolveTrade(walletAddress, tradeId, ['open']);
+        if (found.error) return found;
+        const { trade, side } = found;
+        if (trade.sides.every((s) => s.items.length === 0 && s.gold === 0)) {
+            return { error: 'EMPTY_TRADE', message: 'Add something to the trade first' };
+        }
+
+        side.confirmed = true;
+        if (!trade.sides.every((s) => s.confirmed)) {
+            this.broadcastState(trade);
+            return { success: true };
+        }
+        return this.execute(trade);
+    }
+
+    /**
+     * Swap items and gold in one database transaction. On failure the window reopens unconfirmed.
+     * @param {object} trade
+     */
+    async execute(trade) {
+        trade.status = 'executing';
+        this.broadcastState(trade);
+
+        const [sideA, sideB] = trade.sides;
+        const session = await mongoose.startSession();
+        session.startTransaction();
+
+        let users;
+        let plan;
+        try {
+            users = await Promise.all(trade.sides.map((side) => (
+                User.findOne({ walletAddress: side.walletAddress }).session(session)
+            )));
+            if (users.some((user) => !user)) {
+                throw { code: 'USER_NOT_FOUND', message: 'Trader account not found' };
+            }
+            trade.sides.forEach((side, i) => {
+                if ((users[i].coins || 0) < side.gold) {
+                    throw { code: 'INSUFFICIENT_FUNDS', message: `${side.name} no longer has ${side.gold}g` };
+                }
+            });
+
+            plan = this.gameInventoryService.planTradeSwap(trade.sides.map((side, i) => ({
+                user: users[i],
+                items: side.items,
+            })));
+            if (plan.error) {
+                const side = plan.walletAddress ? this.getSide(trade, plan.walletAddress) : null;
+                throw { code: plan.error, message: side ? `${side.name}: ${plan.message}` : plan.message };
+            }
+
+            const before = users.map((user) => user.coins || 0);
+            const after = [before[0] - sideA.gold + sideB.gold, before[1] - sideB.gold + sideA.gold];
+            users.forEach((user, i) => {
+                user.gameInventory.slots = plan.sides[i].slots;
+                user.gameInventory.hotbar = plan.sides[i].hotbar;
+                user.markModified('gameInventory.slots');
+                user.markModified('gameInventory.hotbar');
+                user.coins = after[i];
+            });
+            await Promise.all(users.map((user) => user.save({ session })));
+
+            await Transaction.create(trade.sides.map((side, i) => ({
+                transactionId: Transaction.generateId(),
+                type: 'p2p_trade',
+                fromWallet: side.walletAddress,
+                toWallet: trade.sides[1 - i].walletAddress,
+                amount: side.gold,
+                currency: 'coins',
+                fromBalanceBefore: before[i],
+                fromBalanceAfter: after[i],
+                toBalanceBefore: before[1 - i],
+                toBalanceAfter: after[1 - i],
+                relatedData: {
+                    tradeId: trade.id,
+                    tradeItems: plan.sides[i].given.map(({ itemId, quantity }) => ({ itemId, quantity })),
+                },
+                reason: `Trade with ${trade.sides[1 - i].name}`,
+            })), { session, ordered: true });
+
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            console.error(`🤝 Trade ${trade.id} failed:`, error);
+            if (this.trades.get(trade.id) === trade) {
+                trade.status = 'open';
+                trade.sides.forEach((side) => { side.confirmed = false; });
+                this.broadcastState(trade, error.message || 'Trade failed');
+            }
+            return {
+                error: error.code || 'TRADE_FAILED',
+                message: error.message || 'Trade failed',
+            };
+        } finally {
+            session.endSession();
+        }
+
+        console.log(`🤝 Trade ${trade.id}: ${sideA.name} ⇄ ${sideB.name} (${sideA.items.length} stacks + ${sideA.gold}g for ${sideB.items.length} stacks + ${sideB.gold}g)`);
+        this.close(trade, 'completed', (side, i) => ({
+            inventory: this.gameInventoryService.serializeInventory(users[i]),
+            newBalance: users[i].coins,
+            received: plan.sides[i].received.map(({ itemId, quantity }) => ({ itemId, quantity })),
+            goldReceived: trade.sides[1 - i].gold,
+        }));
+        return { success: true, completed: true };
+    }
+
+    /**
+     * Cancel the caller's trade (request or open window)
+     */
+    cancel(walletAddress, tradeId) {
+        const found = this.resolveTrade(walletAddress, tradeId, ['requested', 'open']);
+        if (found.error) return found;
+        this.close(found.trade, 'cancelled');
+        return { success: true };
+    }
+
+    /**
+     * Remove a trade and tell both sides why
+     * @param {object} trade
+     * @param {keyof typeof TRADE_CLOSE_REASONS} reason
+     * @param {(side: object, index: number) => object} [extra] - per-side fields for the close message
+     */
+    close(trade, reason, extra = null) {
+        this.trades.delete(trade.id);
+        trade.sides.forEach((side, i) => {
+            if (this.byWallet.get(side.walletAddress) === trade.id) {
+                this.byWallet.delete(side.walletAddress);
+            }
+            this.notify(side.walletAddress, {
+                type: 'trade_closed',
+                tradeId: trade.id,
+                reason,
+                message: TRADE_CLOSE_REASONS[reason] || 'Trade closed',
+                completed: reason === 'completed',
+                ...(extra ? extra(side, i) : {}),
+            });
+        });
+    }
+
+    /**
+     * Close whatever trade the wallet is in, unless it is already swapping
+     */
+    closeForWallet(walletAddress, reason) {
+        const trade = this.getTradeForWallet(walletAddress);
+        if (!trade || trade.status === 'executing') return;
+        this.close(trade, reason);
+    }
+
+    handlePlayerDisconnect(walletAddress) {
+        if (!walletAddress) return;
+        this.closeForWallet(walletAddress, 'disconnect');
+    }
+
+    handleRoomChange(walletAddress) {
+        if (!walletAddress) return;
+        this.closeForWallet(walletAddress, 'room_change');
+    }
+
+    /**
+     * Lapse unanswered requests and idle windows
+     */
+    cleanupExpired(now = Date.now()) {
+        for (const trade of [...this.trades.values()]) {
+            if (trade.status === 'executing' || trade.expiresAt > now) continue;
+            this.close(trade, trade.status === 'requested' ? 'expired' : 'timeout');
+        }
+    }
+}
+
+export default TradeService;
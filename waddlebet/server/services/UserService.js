@@ -12,6 +12,7 @@ import {
 } from '../config/goldEconomy.js';
 import { findUserByWallet, canonicalWalletAddress } from '../utils/walletIdentity.js';
 import { SOLANA_CHAIN_ID } from '../config/evm.js';
+import { sanitizeSettingsDocument, mergeSettingsDocuments } from '../config/userSettings.js';
 
 // ========== FREE ITEMS (always available, no gacha needed) ==========
 const FREE_ITEMS = ['none', 'normal', 'beak'];
@@ -30,6 +31,9 @@ const PROMO_EXCLUSIVE_IDS = [
     'penguMount', 'minecraftBoat'
 ];
 
+/** Compare-and-set rounds for a settings sync before giving up (another device kept winning) */
+const SETTINGS_SYNC_ATTEMPTS = 5;
+
 class UserService {
     /**
      * One-time gold balance haircut when economy version bumps.
@@ -228,6 +232,45 @@ class UserService {
         return { success: true, newBalance: user.coins };
     }
 
+    /**
+     * Add pebbles to user (only called by server, never by client)
+     * @param {string} walletAddress - User's wallet
+     * @param {number} amount - Amount to add (positive or negative)
+     * @param {string} type - Transaction type
+     * @param {object} relatedData - Related entity IDs
+     * @param {string} reason - Human-readable reason
+     */
+    async addPebbles(walletAddress, amount, type, relatedData = {}, reason = '') {
+        const user = await this.getUser(walletAddress);
+        if (!user) {
+            return { success: false, error: 'USER_NOT_FOUND' };
+        }
+
+        const balanceBefore = user.pebbles;
+        const result = user.addPebbles(amount, type);
+        if (!result.success) {
+            return { success: false, error: 'INSUFFICIENT_PEBBLES', balance: user.pebbles };
+        }
+
+        await user.save();
+
+        await Transaction.record({
+            type,
+            fromWallet: amount < 0 ? walletAddress : null,
+            toWallet: amount > 0 ? walletAddress : null,
+            amount: Math.abs(amount),
+            currency: 'pebbles',
+            fromBalanceBefore: amount < 0 ? balanceBefore : null,
+            fromBalanceAfter: amount < 0 ? user.pebbles : null,
+            toBalanceBefore: amount > 0 ? balanceBefore : null,
+            toBalanceAfter: amount > 0 ? user.pebbles : null,
+            relatedData,
+            reason
+        });
+
+        return { success: true, newBalance: user.pebbles };
+    }
+
     /**
      * Transfer coins between users (for wagers)
      */
@@ -992,6 +1035,40 @@ class UserService {
         };
     }
     
+    /**
+     * Merge a client's settings document into the account's (last write wins per key).
+     * The write is a compare-and-set on `settings.syncRevision`: if another device synced between
+     * the read and the write, re-read and merge again so neither side's newer keys are lost.
+     * 
+     * @param {string} walletAddress - User's wallet
+     * @param {object} incoming - { v, values, updatedAt } from the client, validated here
+     * @returns {Promise<object>} Result with the merged document
+     */
+    async syncSettings(walletAddress, incoming) {
+        const clientDocument = sanitizeSettingsDocument(incoming);
+        
+        for (let attempt = 0; attempt < SETTINGS_SYNC_ATTEMPTS; attempt++) {
+            // lean: pre-sync accounts may still hold settings.keybinds, which the schema no longer lists
+            const user = await User.findOne({ walletAddress }, { settings: 1 }).lean();
+            if (!user) return { success: false, error: 'USER_NOT_FOUND' };
+            
+            const stored = sanitizeSettingsDocument(user.settings?.sync || user.settings);
+            const merged = mergeSettingsDocuments(stored, clientDocument);
+            // null also matches accounts that never synced (no revision yet)
+            const revision = user.settings?.syncRevision ?? null;
+            
+            const result = await User.updateOne(
+                { walletAddress, 'settings.syncRevision': revision },
+                { $set: { 'settings.sync': merged, 'settings.syncRevision': (revision || 0) + 1 } }
+            );
+            if (result.matchedCount > 0) {
+                return { success: true, settings: merged };
+            }
+        }
+        
+        return { success: false, error: 'SYNC_CONFLICT' };
+    }
+    
     /**
      * Reset customization to defaults (clear button)
      * 
@@ -1139,7 +1216,7 @@ class UserService {
                 sortField = { coins: -1 };
         }
 
-        const users = await User.find({})
+        const users = await User.find({ isGuest: { $ne: true } })
             .select('walletAddress username coins gameStats.cardJitsu.wins gameStats.connect4.wins gameStats.ticTacToe.wins gameStats.overall customization')
             .sort(sortField)
             .limit(limit);
@@ -0,0 +1,118 @@
+/**
+ * WeatherService — server-driven weather per overworld room, layered on the day/night cycle.
+ * Each room rolls its own state (clear, light snow, blizzard, fog, aurora) for a few minutes at a
+ * time and broadcasts `weather_update` on change. Clients only render it; gameplay modifiers
+ * (blizzard rare-fish bonus, fog tree growth) are read from here by FishingService and the
+ * forest regrowth tick.
+ */
+
+import {
+    WEATHER_ROOMS,
+    WEATHER_STATES,
+    DEFAULT_WEATHER,
+    WEATHER_DURATION_MS,
+    isNightTime,
+    getWeatherState,
+} from '../config/weather.js';
+
+/**
+ * Pick the next weather state. Never repeats the current state; aurora only at night.
+ * @param {string|null} currentId
+ * @param {number} worldTime - 0..1 (0 = midnight)
+ * @param {() => number} [random]
+ * @returns {string}
+ */
+export function rollNextWeather(currentId, worldTime, random = Math.random) {
+    const night = isNightTime(worldTime);
+    const options = Object.values(WEATHER_STATES)
+        .filter((state) => state.id !== currentId && (!state.nightOnly || night));
+    if (!options.length) return DEFAULT_WEATHER;
+
+    const total = options.reduce((sum, state) => sum + state.weight, 0);
+    let roll = random() * total;
+    for (const state of options) {
+        roll -= state.weight;
+        if (roll <= 0) return state.id;
+    }
+    return options[options.length - 1].id;
+}
+
+export default class WeatherService {
+    /**
+     * @param {(roomId: string, msg: object) => void} broadcastToRoomAll
+     * @param {() => number} getWorldTime - current day/night time (0..1)
+     * @param {() => number} [random]
+     */
+    constructor(broadcastToRoomAll, getWorldTime, random = Math.random) {
+        this.broadcastToRoomAll = broadcastToRoomAll;
+        this.getWorldTime = getWorldTime;
+        this.random = random;
+
+        /** roomId -> { state, since, until } */
+        this.rooms = new Map();
+        const now = Date.now();
+        for (const roomId of WEATHER_ROOMS) {
+            this.rooms.set(roomId, {
+                state: rollNextWeather(null, this.getWorldTime(), this.random),
+                since: now,
+                until: now + this._rollDurationMs(),
+            });
+        }
+    }
+
+    _rollDurationMs() {
+        const { MIN, MAX } = WEATHER_DURATION_MS;
+        return Math.round(MIN + this.random() * (MAX - MIN));
+    }
+
+    /**
+     * Advance every room whose weather ran out (or whose aurora met the sunrise).
+     * @param {number} [now]
+     * @returns {string[]} rooms whose weather changed
+     */
+    tick(now = Date.now()) {
+        const worldTime = this.getWorldTime();
+        const changed = [];
+
+        for (const [roomId, entry] of this.rooms) {
+            const expired = now >= entry.until;
+            const sunrise = getWeatherState(entry.state).nightOnly && !isNightTime(worldTime);
+            if (!expired && !sunrise) continue;
+
+            entry.state = rollNextWeather(entry.state, worldTime, this.random);
+            entry.since = now;
+            entry.until = now + this._rollDurationMs();
+            changed.push(roomId);
+
+            this.broadcastToRoomAll?.(roomId, {
+                type: 'weather_update',
+                room: roomId,
+                weather: this.getWeather(roomId),
+            });
+        }
+
+        return changed;
+    }
+
+    /**
+     * Public weather for a room, or null for rooms without weather (interiors)
+     * @param {string} roomId
+     */
+    getWeather(roomId) {
+        const entry = this.rooms.get(roomId);
+        if (!entry) return null;
+        return { state: entry.state, since: entry.since, until: entry.until };
+    }
+
+    /** Extra catchTierBias for fishing in this room (blizzards) */
+    getFishingTierBiasBonus(roomId) {
+        const entry = this.rooms.get(roomId);
+        return entry ? getWeatherState(entry.state).fishingTierBiasBonus || 0 : 0;
+    }
+
+    /** Forest growth speed multiplier for this room (fog < 1) */
+    getTreeGrowthRate(roomId) {
+        const entry = this.rooms.get(roomId);
+        return entry ? getWeatherState(entry.state).treeGrowthRate ?? 1 : 1;
+    }
+}
@@ -40,13 +40,29 @@ class WoodcuttingService {
 
         this.sendToPlayer = sendToPlayer;
 
+        this.stampService = null; // Injected later to avoid circular deps
+
+        this.worldEventService = null; // Injected later (Golden Trees contribution)
+
         /** @type {Map<string, object>} */
 
         this.sessions = new Map();
 
     }
 
+    /**
+     * Inject stamp service (called after initialization to avoid circular deps)
+     */
+    setStampService(service) {
+        this.stampService = service;
+    }
 
+    /**
+     * Inject world event service (chops count toward running events)
+     */
+    setWorldEventService(service) {
+        this.worldEventService = service;
+    }
 
     _getAxeConfig(itemId) {
 
@@ -529,6 +545,10 @@ class WoodcuttingService {
         let inventory = addResult.inventory;
         if (damageResult.inventory) inventory = damageResult.inventory;
 
+        this.stampService?.recordChop(walletAddress, harvest.logItemId)
+            .catch((err) => console.error('[WOODCUTTING] stamp progress:', err.message));
+        this.worldEventService?.recordActivity(walletAddress, harvest.golden ? 'golden_tree_chop' : 'tree_chop', 'forest_trails');
+
         return {
             success: true,
             treeId: session.treeId,
@@ -545,6 +565,9 @@ class WoodcuttingService {
             inventoryAdded: true,
             inventory,
             axeBroken: damageResult.broken === true,
+            axeAutoRepaired: damageResult.autoRepaired === true,
+            axeRepairGold: damageResult.repair?.goldSpent ?? null,
+            newBalance: damageResult.repair?.newBalance,
             axeDurability: damageResult.durability,
             axeMaxDurability: damageResult.maxDurability,
             woodMultiplier: harvest.woodMultiplier,
@@ -0,0 +1,578 @@
+/**
+ * WorldEventService — server-scheduled live world events (Fish Frenzy, Golden Trees, Snowball War).
+ * Definitions come from the WorldEventDefinition collection (reloaded every minute, defaults when
+ * empty) and run in UTC-aligned windows. While an event runs, gameplay services report activity
+ * through recordActivity(); contribution is tracked per wallet, and when the window closes every
+ * participant is paid the best reward tier they reached (gold and/or an untradable cosmetic).
+ * Start, results and "starting soon" notices go out on the announcement chat channel.
+ */
+
+import { isDBConnected } from '../db/connection.js';
+import WorldEventDefinition from '../db/models/WorldEventDefinition.js';
+import WorldEventRun from '../db/models/WorldEventRun.js';
+import CosmeticTemplate from '../db/models/CosmeticTemplate.js';
+import OwnedCosmetic from '../db/models/OwnedCosmetic.js';
+import {
+    DEFAULT_WORLD_EVENTS,
+    WORLD_EVENT_LIMITS,
+    validateWorldEventDefinition,
+    resolveWorldEvent,
+    getCurrentWindowStart,
+    getNextWindowStart,
+    getRewardTier,
+} from '../config/worldEvents.js';
+
+const MINUTE_MS = 60 * 1000;
+
+function formatMinutes(ms) {
+    const minutes = Math.max(1, Math.round(ms / MINUTE_MS));
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+export default class WorldEventService {
+    /**
+     * @param {Object} deps
+     * @param {import('./UserService.js').default} deps.userService
+     * @param {(message: object) => Promise<unknown>} deps.publishChatMessage
+     * @param {(payload: object) => void} deps.broadcastToAll
+     * @param {(roomId: string, payload: object) => void} deps.broadcastToRoomAll
+     * @param {(playerId: string, payload: object) => void} deps.sendToPlayer
+     * @param {(walletAddress: string) => object | null} deps.getPlayerByWallet
+     * @param {import('./ForestTreeService.js').default} [deps.forestTreeService] - golden trees
+     * @param {() => number} [deps.random] - injectable for tests
+     */
+    constructor({
+        userService,
+        publishChatMessage,
+        broadcastToAll,
+        broadcastToRoomAll,
+        sendToPlayer,
+        getPlayerByWallet,
+        forestTreeService = null,
+        random = Math.random,
+    }) {
+        this.userService = userService;
+        this.publishChatMessage = publishChatMessage;
+        this.broadcastToAll = broadcastToAll;
+        this.broadcastToRoomAll = broadcastToRoomAll;
+        this.sendToPlayer = sendToPlayer;
+        this.getPlayerByWallet = getPlayerByWallet;
+        this.forestTreeService = forestTreeService;
+        this.random = random;
+
+        /** Resolved, enabled definitions */
+        this.definitions = DEFAULT_WORLD_EVENTS.map(resolveWorldEvent);
+        this.definitionsLoadedAt = 0;
+
+        /** eventId -> running event */
+        this.runs = new Map();
+        /** runIds already finished (never restarted inside the same window) */
+        this.finishedRunIds = new Set();
+        /** runIds whose "starting soon" notice went out */
+        this.announcedRunIds = new Set();
+    }
+
+    // ==================== DEFINITIONS ====================
+
+    /**
+     * Re-read definitions from the database. Invalid ones are skipped with a warning; an empty
+     * collection (or no database) falls back to DEFAULT_WORLD_EVENTS.
+     * @returns {Promise<number>} enabled definitions loaded
+     */
+    async loadDefinitions(now = Date.now()) {
+        this.definitionsLoadedAt = now;
+        if (!isDBConnected()) return this.definitions.length;
+
+        try {
+            const docs = await WorldEventDefinition.find({}).lean();
+            const source = docs.length ? docs : DEFAULT_WORLD_EVENTS;
+            const definitions = [];
+            for (const def of source) {
+                if (def.enabled === false) continue;
+                const error = validateWorldEventDefinition(def);
+                if (error) {
+                    console.warn(`🎉 Skipping world event "${def.eventId}": ${error}`);
+                    continue;
+                }
+                definitions.push(resolveWorldEvent(def));
+            }
+            this.definitions = definitions;
+        } catch (error) {
+            console.error('🎉 Failed to load world event definitions:', error.message);
+        }
+        return this.definitions.length;
+    }
+
+    getDefinition(eventId) {
+        return this.definitions.find((def) => def.eventId === eventId) || null;
+    }
+
+    // ==================== SCHEDULE ====================
+
+    /**
+     * Start due events, finish expired ones, post "starting soon" notices, save progress.
+     * @param {number} [now]
+     */
+    async tick(now = Date.now()) {
+        if (now - this.definitionsLoadedAt >= WORLD_EVENT_LIMITS.DEFINITION_RELOAD_MS) {
+            await this.loadDefinitions(now);
+        }
+
+        for (const run of [...this.runs.values()]) {
+            // Disabling or deleting a running event ends it early (rewards still pay out)
+            if (now >= run.endsAt || !this.getDefinition(run.eventId)) {
+                await this.finishRun(run, now);
+            }
+        }
+
+        for (const def of this.definitions) {
+            if (this.runs.has(def.eventId)) continue;
+
+            const startsAt = getCurrentWindowStart(def, now);
+            const endsAt = startsAt + def.durationMinutes * MINUTE_MS;
+            const runId = `${def.eventId}:${startsAt}`;
+            if (now < endsAt && !this.finishedRunIds.has(runId)) {
+                await this.startRun(def, startsAt, now);
+                continue;
+            }
+
+            const nextStart = getNextWindowStart(def, now);
+            const nextRunId = `${def.eventId}:${nextStart}`;
+            if (nextStart - now <= WORLD_EVENT_LIMITS.ANNOUNCE_LEAD_MS && !this.announcedRunIds.has(nextRunId)) {
+                this.announcedRunIds.add(nextRunId);
+                this.announce(`${def.emoji} ${def.name} starts in ${formatMinutes(nextStart - now)}! ${def.description}`, {
+                    worldEvent: def.eventId,
+                    startsAt: nextStart,
+                });
+            }
+        }
+
+        for (const run of this.runs.values()) {
+            if (run.dirty) await this.persistRun(run);
+        }
+    }
+
+    /**
+     * Begin (or resume after a restart) the run for a scheduled window.
+     */
+    async startRun(def, startsAt, now = Date.now()) {
+        const runId = `${def.eventId}:${startsAt}`;
+        const run = {
+            runId,
+            eventId: def.eventId,
+            def,
+            startsAt,
+            endsAt: startsAt + def.durationMinutes * MINUTE_MS,
+            /** walletAddress -> { walletAddress, name, contribution, lastScoredAt } */
+            participants: new Map(),
+            goldenTreeIds: [],
+            dirty: false,
+        };
+
+        let resumed = false;
+        if (isDBConnected()) {
+            try {
+                const saved = await WorldEventRun.findOne({ runId });
+                // A run that was paying out is finished by recoverUnfinished(), not resumed
+                if (saved && saved.status !== 'active') {
+                    this.finishedRunIds.add(runId);
+                    return null;
+                }
+                if (saved) {
+                    resumed = true;
+                    for (const p of saved.participants) {
+                        run.participants.set(p.walletAddress, this.restoreParticipant(p));
+                    }
+                } else {
+                    run.dirty = true;
+                }
+            } catch (error) {
+                console.error('🎉 Failed to load world event run:', error.message);
+            }
+        }
+
+        this.runs.set(def.eventId, run);
+
+        if (def.type === 'golden_tree' && this.forestTreeService) {
+            const trees = this.forestTreeService.setGoldenTrees(def.params.goldenTreeCount, this.random);
+            run.goldenTreeIds = trees.map((tree) => tree.id);
+            if (trees.length) {
+                this.broadcastToRoomAll?.('forest_trails', { type: 'forest_trees_update', trees });
+            }
+        }
+
+        if (!resumed) {
+            this.announce(`${def.emoji} ${def.name} has begun! ${def.description} Ends in ${formatMinutes(run.endsAt - now)}.`, {
+                worldEvent: def.eventId,
+                endsAt: run.endsAt,
+            });
+        }
+        this.broadcastToAll?.({ type: 'world_event_started', event: this.serializeRun(run) });
+        console.log(`🎉 World event ${resumed ? 'resumed' : 'started'}: ${def.name} (${runId})`);
+        return run;
+    }
+
+    /**
+     * Close a run: pay every participant their best tier, announce the top contributors.
+     * The owed tiers are saved (status 'paying') before anything is paid and each participant is
+     * claimed before their payout, so finishing the same run again - after a crash mid-payout -
+     * only pays whoever was not reached yet.
+     * @param {object} run
+     * @param {number} [now]
+     * @param {{ quiet?: boolean }} [options] - quiet skips the chat announcement and broadcast
+     */
+    async finishRun(run, now = Date.now(), { quiet = false } = {}) {
+        this.runs.delete(run.eventId);
+        this.finishedRunIds.add(run.runId);
+        const { def } = run;
+
+        if (run.goldenTreeIds.length && this.forestTreeService) {
+            const trees = this.forestTreeService.clearGoldenTrees();
+            if (trees.length) {
+                this.broadcastToRoomAll?.('forest_trails', { type: 'forest_trees_update', trees });
+            }
+        }
+
+        const ranked = [...run.participants.values()].sort((a, b) => b.contribution - a.contribution);
+        for (const participant of ranked) {
+            participant.tier = getRewardTier(def.rewardTiers, participant.contribution)?.label || null;
+        }
+        await this.persistRun(run, { status: 'paying' });
+
+        for (const participant of ranked) {
+            const tier = getRewardTier(def.rewardTiers, participant.contribution);
+            if (!tier || participant.paid) continue;
+            if (!await this.claimReward(run, participant)) continue;
+            try {
+                await this.payReward(run, participant, tier);
+            } catch (error) {
+                console.error('🎉 Failed to pay world event reward:', error.message);
+            }
+        }
+
+        await this.persistRun(run, { status: 'completed', completedAt: new Date(now) });
+        console.log(`🎉 World event ended: ${def.name} (${ranked.length} participants)`);
+        if (quiet) return;
+
+        const leaderboard = ranked.slice(0, WORLD_EVENT_LIMITS.LEADERBOARD_SIZE).map((p, index) => ({
+            rank: index + 1,
+            name: p.name,
+            contribution: p.contribution,
+        }));
+        const results = leaderboard.length
+            ? `Top contributors: ${leaderboard.map((entry) => `${entry.rank}. ${entry.name} (${entry.contribution})`).join(', ')}.`
+            : 'Nobody took part this time.';
+        this.announce(`${def.emoji} ${def.name} is over! ${results}`, { worldEvent: def.eventId });
+
+        this.broadcastToAll?.({
+            type: 'world_event_ended',
+            eventId: run.eventId,
+            runId: run.runId,
+            leaderboard,
+            participants: ranked.length,
+        });
+    }
+
+    /**
+     * Mark a participant paid before their reward goes out. A crash between the claim and the
+     * payment loses that one reward instead of paying it twice on replay.
+     * @returns {Promise<boolean>} false if someone already claimed it
+     */
+    async claimReward(run, participant) {
+        participant.paid = true;
+        if (!isDBConnected()) return true;
+        try {
+            const result = await WorldEventRun.updateOne(
+                { runId: run.runId, participants: { $elemMatch: { walletAddress: participant.walletAddress, paid: false } } },
+                { $set: { 'participants.$.paid': true } }
+            );
+            return result.modifiedCount > 0;
+        } catch (error) {
+            console.error('🎉 Failed to claim world event reward:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Pay out runs the last shutdown left behind: windows that closed while the server was down,
+     * and runs stopped part-way through their payout. Expects definitions to be loaded.
+     * @returns {Promise<number>} runs finished
+     */
+    async recoverUnfinished(now = Date.now()) {
+        if (!isDBConnected()) return 0;
+
+        const docs = await WorldEventRun.find({
+            $or: [
+                { status: 'paying' },
+                { status: 'active', endsAt: { $lte: new Date(now) } },
+            ],
+        });
+        let recovered = 0;
+        for (const doc of docs) {
+            if ([...this.runs.values()].some((run) => run.runId === doc.runId)) continue;
+
+            const def = this.getDefinition(doc.eventId);
+            if (!def) {
+                console.warn(`🎉 World event run ${doc.runId} has no definition - closing it unpaid`);
+            }
+            const run = {
+                runId: doc.runId,
+                eventId: doc.eventId,
+                def: def || { eventId: doc.eventId, type: doc.type, name: doc.name, emoji: '🎉', rewardTiers: [] },
+                startsAt: doc.startsAt.getTime(),
+                endsAt: doc.endsAt.getTime(),
+                participants: new Map(doc.participants.map((p) => [p.walletAddress, this.restoreParticipant(p)])),
+                goldenTreeIds: [],
+                dirty: false,
+            };
+            await this.finishRun(run, now, { quiet: true });
+            recovered++;
+        }
+        return recovered;
+    }
+
+    /** In-memory participant from a saved run */
+    restoreParticipant(p) {
+        return {
+            walletAddress: p.walletAddress,
+            name: p.name,
+            contribution: p.contribution,
+            lastScoredAt: 0,
+            paid: p.paid || false,
+            goldAwarded: p.goldAwarded || 0,
+            cosmeticAwarded: p.cosmeticAwarded || null,
+        };
+    }
+
+    async payReward(run, participant, tier) {
+        const { walletAddress } = participant;
+        let newBalance = null;
+
+        if (tier.gold > 0) {
+            const paid = await this.userService.addCoins(
+                walletAddress,
+                tier.gold,
+                'world_event_reward',
+                { eventId: run.eventId, runId: run.runId, tier: tier.label },
+                `World event reward: ${run.def.name} (${tier.label})`
+            );
+            if (paid.success) {
+                participant.goldAwarded = tier.gold;
+                newBalance = paid.newBalance ?? null;
+            }
+        }
+
+        if (tier.cosmeticAssetKey) {
+            const granted = await this.grantCosmetic(walletAddress, tier.cosmeticAssetKey);
+            if (granted) participant.cosmeticAwarded = tier.cosmeticAssetKey;
+        }
+
+        const player = this.getPlayerByWallet(walletAddress);
+        if (!player) return;
+        this.sendToPlayer(player.id, {
+            type: 'world_event_reward',
+            eventId: run.eventId,
+            name: run.def.name,
+            emoji: run.def.emoji,
+            contribution: participant.contribution,
+            tier: tier.label,
+            gold: participant.goldAwarded || 0,
+            cosmetic: participant.cosmeticAwarded || null,
+        });
+        if (newBalance !== null) {
+            this.sendToPlayer(player.id, { type: 'coins_update', coins: newBalance, isAuthenticated: true });
+        }
+    }
+
+    /**
+     * Untradable copy of a cosmetic, once per player (same rules as promo cosmetics)
+     * @returns {Promise<boolean>} whether a new copy was created
+     */
+    async grantCosmetic(walletAddress, assetKey) {
+        if (!isDBConnected()) return false;
+
+        const template = await CosmeticTemplate.findOne({ assetKey });
+        if (!template) {
+            console.warn(`🎉 World event cosmetic "${assetKey}" has no template`);
+            return false;
+        }
+
+        const existing = await OwnedCosmetic.findOne({
+            ownerId: walletAddress,
+            templateId: template.templateId,
+            convertedToGold: false
+        });
+        if (existing) return false;
+
+        const { serialNumber } = await OwnedCosmetic.getNextSerialAtomic(template.templateId);
+        await new OwnedCosmetic({
+            instanceId: OwnedCosmetic.generateInstanceId(),
+            templateId: template.templateId,
+            ownerId: walletAddress,
+            serialNumber,
+            quality: 'worn',
+            isHolographic: false,
+            isFirstEdition: false,
+            mintedBy: 'WORLD_EVENT',
+            acquisitionMethod: 'world_event',
+            tradable: false,
+            ownershipHistory: [{
+                walletAddress,
+                acquiredAt: new Date(),
+                acquiredFrom: 'WORLD_EVENT',
+                acquisitionType: 'mint',
+                price: 0
+            }],
+            totalTrades: 0
+        }).save();
+        return true;
+    }
+
+    /**
+     * @param {object} run
+     * @param {{ status?: 'active' | 'paying' | 'completed', completedAt?: Date | null }} [options]
+     */
+    async persistRun(run, { status = 'active', completedAt = null } = {}) {
+        run.dirty = false;
+        if (!isDBConnected()) return;
+        try {
+            await WorldEventRun.updateOne(
+                { runId: run.runId },
+                {
+                    $set: {
+                        eventId: run.eventId,
+                        type: run.def.type,
+                        name: run.def.name,
+                        startsAt: new Date(run.startsAt),
+                        endsAt: new Date(run.endsAt),
+                        status,
+                        completedAt,
+                        participants: [...run.participants.values()].map((p) => ({
+                            walletAddress: p.walletAddress,
+                            name: p.name,
+                            contribution: p.contribution,
+                            tier: p.tier || null,
+                            goldAwarded: p.goldAwarded || 0,
+                            cosmeticAwarded: p.cosmeticAwarded || null,
+                            paid: p.paid || false,
+                        })),
+                    }
+                },
+                { upsert: true }
+            );
+        } catch (error) {
+            console.error('🎉 Failed to save world event run:', error.message);
+        }
+    }
+
+    announce(text, metadata = {}) {
+        Promise.resolve(this.publishChatMessage?.({
+            channel: 'announcement',
+            scopeKey: 'announcements',
+            senderId: 'world_events',
+            senderName: '📢 Announcements',
+            text,
+            metadata,
+        })).catch((error) => console.error('🎉 World event announcement failed:', error.message));
+    }
+
+    // ==================== CONTRIBUTION ====================
+
+    /**
+     * Score a gameplay action for every running event that counts it. Guests don't take part.
+     * @param {string|null} walletAddress
+     * @param {string} activity - one of WORLD_EVENT_ACTIVITIES
+     * @param {string} roomId - where it happened
+     * @param {number} [now]
+     * @returns {number} points added
+     */
+    recordActivity(walletAddress, activity, roomId, now = Date.now()) {
+        if (!walletAddress) return 0;
+
+        let added = 0;
+        for (const run of this.runs.values()) {
+            const { def } = run;
+            const points = def.points[activity];
+            if (!points || now >= run.endsAt) continue;
+            if (def.rooms && !def.rooms.includes(roomId)) continue;
+
+            let participant = run.participants.get(walletAddress);
+            const cooldownMs = activity === 'snowball_throw' ? def.params.throwCooldownMs || 0 : 0;
+            if (participant && cooldownMs && now - participant.lastScoredAt < cooldownMs) continue;
+
+            if (!participant) {
+                participant = {
+                    walletAddress,
+                    name: this.getPlayerByWallet(walletAddress)?.name || 'Penguin',
+                    contribution: 0,
+                    lastScoredAt: 0,
+                };
+                run.participants.set(walletAddress, participant);
+            }
+            participant.contribution += points;
+            participant.lastScoredAt = now;
+            run.dirty = true;
+            added += points;
+
+            const player = this.getPlayerByWallet(walletAddress);
+            if (player) {
+                const tier = getRewardTier(def.rewardTiers, participant.contribution);
+                const nextTier = def.rewardTiers.find((t) => t.minContribution > participant.contribution) || null;
+                this.sendToPlayer(player.id, {
+                    type: 'world_event_progress',
+                    eventId: run.eventId,
+                    runId: run.runId,
+                    contribution: participant.contribution,
+                    tier: tier?.label || null,
+                    nextTier: nextTier ? { label: nextTier.label, minContribution: nextTier.minContribution } : null,
+                });
+            }
+        }
+        return added;
+    }
+
+    // ==================== QUERIES ====================
+
+    /** Extra catchTierBias while a Fish Frenzy covers this room */
+    getFishingTierBiasBonus(roomId) {
+        let bonus = 0;
+        for (const run of this.runs.values()) {
+            if (run.def.type !== 'fish_frenzy') continue;
+            if (run.def.rooms && !run.def.rooms.includes(roomId)) continue;
+            bonus += run.def.params.tierBiasBonus || 0;
+        }
+        return bonus;
+    }
+
+    /**
+     * Client view of a run (contribution filled in for `walletAddress`)
+     */
+    serializeRun(run, walletAddress = null) {
+        const { def } = run;
+        const participant = walletAddress ? run.participants.get(walletAddress) : null;
+        return {
+            runId: run.runId,
+            eventId: run.eventId,
+            type: def.type,
+            name: def.name,
+            emoji: def.emoji,
+            description: def.description,
+            rooms: def.rooms,
+            startsAt: run.startsAt,
+            endsAt: run.endsAt,
+            rewardTiers: def.rewardTiers.map((tier) => ({
+                label: tier.label,
+                minContribution: tier.minContribution,
+                gold: tier.gold || 0,
+                cosmeticAssetKey: tier.cosmeticAssetKey || null,
+            })),
+            participants: run.participants.size,
+            contribution: participant?.contribution || 0,
+        };
+    }
+
+    /** Running events, as sent on join */
+    getActiveEvents(walletAddress = null) {
+        return [...this.runs.values()].map((run) => this.serializeRun(run, walletAddress));
+    }
+}
@@ -28,3 +28,12 @@ export { default as ChatService, MAX_MESSAGES_PER_SCOPE } from './ChatService.js
 export { default as TravelService } from './TravelService.js';
 export { default as OnboardingQuestService } from './OnboardingQuestService.js';
 export { default as NpcDailyOrderService } from './NpcDailyOrderService.js';
+export { default as GuildService } from './GuildService.js';
+export { default as FriendService } from './FriendService.js';
+export { default as BlockService } from './BlockService.js';
+export { default as ModerationService } from './ModerationService.js';
+export { default as StampService } from './StampService.js';
+export { default as PuffleRaceService } from './PuffleRaceService.js';
+export { default as ArcadeScoreService } from './ArcadeScoreService.js';
+export { default as TournamentService } from './TournamentService.js';
+export { default as CraftingService } from './CraftingService.js';
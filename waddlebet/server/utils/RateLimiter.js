@@ -6,9 +6,10 @@
  * - RPC calls (Solana balance checks)
  * - Payment processing
  * - Database writes
+ * - Chat (filter violations escalate into auto-mutes)
  * 
  * FEATURE FLAG: Set ENABLE_RATE_LIMITING=true in .env to enable
- * Default: DISABLED (safe deployment)
+ * Default: DISABLED (safe deployment). Types marked `alwaysEnabled` ignore the flag.
  */
 
 // ==================== FEATURE FLAG ====================
@@ -42,6 +43,25 @@ const RATE_LIMITS = {
         windowMs: 60 * 1000,
         maxRequests: 100,
         blockDurationMs: 5 * 60 * 1000
+    },
+    
+    // New guest accounts per IP (each one is a saved User row + starting bonus)
+    guest_account: {
+        windowMs: 60 * 60 * 1000,  // 1 hour window
+        maxRequests: 10,           // shared IPs (schools, cafés) still get a few
+        blockDurationMs: 60 * 60 * 1000,
+        alwaysEnabled: true        // in-memory only, so safe without the feature flag
+    },
+    
+    // Chat filter violations (blocked links/addresses, repeats, profanity).
+    // The block is the auto-mute: each repeat offence within strikeDecayMs steps up escalationMs.
+    chat_violation: {
+        windowMs: 10 * 60 * 1000,  // 10 minute window
+        maxRequests: 2,            // third violation in the window mutes
+        blockDurationMs: 5 * 60 * 1000,
+        escalationMs: [5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000, 24 * 60 * 60 * 1000],
+        strikeDecayMs: 24 * 60 * 60 * 1000,
+        alwaysEnabled: true        // in-memory only, so safe without the feature flag
     }
 };
 
@@ -52,10 +72,9 @@ class RateLimiter {
         // In-memory tracking: { key: { count, windowStart, blockedUntil } }
         this.tracking = new Map();
         
-        // Cleanup old entries every 5 minutes (only if enabled)
-        if (this.enabled) {
-            this.cleanupInterval = setInterval(() => this.cleanup(), 5 * 60 * 1000);
-        }
+        // Cleanup old entries every 5 minutes (always-enabled types track even when the flag is off)
+        this.cleanupInterval = setInterval(() => this.cleanup(), 5 * 60 * 1000);
+        this.cleanupInterval.unref?.();
         
         if (this.enabled) {
             console.log('🚦 RateLimiter initialized (ENABLED)');
@@ -80,12 +99,13 @@ class RateLimiter {
      * @returns {Object} { allowed: boolean, remaining: number, retryAfterMs: number }
      */
     check(type, identifier) {
+        const config = RATE_LIMITS[type];
+        
         // If rate limiting is disabled, always allow
-        if (!this.enabled) {
+        if (!this.enabled && !config?.alwaysEnabled) {
             return { allowed: true, remaining: 999, disabled: true };
         }
         
-        const config = RATE_LIMITS[type];
         if (!config) {
             console.warn(`⚠️ Unknown rate limit type: ${type}`);
             return { allowed: true, remaining: 999 };
@@ -108,28 +128,33 @@ class RateLimiter {
             };
         }
         
-        // Reset window if expired
-        if (!entry || now - entry.windowStart > config.windowMs) {
+        // Reset window if expired (escalating types also start fresh once a block has been served)
+        const servedBlock = config.escalationMs && entry?.blockedUntil && now >= entry.blockedUntil;
+        if (!entry || now - entry.windowStart > config.windowMs || servedBlock) {
             entry = {
                 count: 0,
                 windowStart: now,
-                blockedUntil: null
+                blockedUntil: null,
+                strikes: entry?.strikes || 0,
+                lastStrikeAt: entry?.lastStrikeAt || null
             };
         }
         
         // Check if would exceed limit
         if (entry.count >= config.maxRequests) {
             // Block the user
-            entry.blockedUntil = now + config.blockDurationMs;
+            const blockDurationMs = this._nextBlockDuration(config, entry, now);
+            entry.blockedUntil = now + blockDurationMs;
             this.tracking.set(key, entry);
             
-            console.warn(`🚫 Rate limit EXCEEDED [${type}]: ${identifier.slice(0, 8)}... - blocking for ${config.blockDurationMs / 1000}s`);
+            console.warn(`🚫 Rate limit EXCEEDED [${type}]: ${identifier.slice(0, 8)}... - blocking for ${blockDurationMs / 1000}s`);
             
             return {
                 allowed: false,
                 remaining: 0,
-                retryAfterMs: config.blockDurationMs,
-                blocked: true
+                retryAfterMs: blockDurationMs,
+                blocked: true,
+                strikes: entry.strikes || 0
             };
         }
         
@@ -152,6 +177,22 @@ class RateLimiter {
         };
     }
     
+    /**
+     * Block length for a limit breach. Types with `escalationMs` step through it per strike;
+     * strikes reset once `strikeDecayMs` passes without a new one.
+     */
+    _nextBlockDuration(config, entry, now) {
+        if (!config.escalationMs) return config.blockDurationMs;
+        
+        if (entry.lastStrikeAt && now - entry.lastStrikeAt > config.strikeDecayMs) {
+            entry.strikes = 0;
+        }
+        const step = Math.min(entry.strikes || 0, config.escalationMs.length - 1);
+        entry.strikes = (entry.strikes || 0) + 1;
+        entry.lastStrikeAt = now;
+        return config.escalationMs[step];
+    }
+    
     /**
      * Record a request (same as check but always increments)
      * Use this after a successful operation to track it
@@ -216,6 +257,7 @@ class RateLimiter {
             windowMs: config.windowMs,
             blocked: entry.blockedUntil && now < entry.blockedUntil,
             blockedUntil: entry.blockedUntil,
+            strikes: entry.strikes || 0,
             remainingBlockMs: entry.blockedUntil ? Math.max(0, entry.blockedUntil - now) : 0
         };
     }
@@ -231,8 +273,12 @@ class RateLimiter {
             // Remove if window expired AND not blocked
             const isExpired = now - entry.windowStart > 60 * 60 * 1000; // 1 hour
             const isUnblocked = !entry.blockedUntil || now > entry.blockedUntil;
+            // Escalation strikes outlive the window until they decay
+            const [type] = key.split(':');
+            const decayMs = RATE_LIMITS[type]?.strikeDecayMs;
+            const hasLiveStrikes = decayMs && entry.lastStrikeAt && now - entry.lastStrikeAt <= decayMs;
             
-            if (isExpired && isUnblocked) {
+            if (isExpired && isUnblocked && !hasLiveStrikes) {
                 this.tracking.delete(key);
                 cleaned++;
             }
@@ -0,0 +1,156 @@
+/**
+ * Chat Filter Pipeline
+ *
+ * Runs every outgoing chat/whisper line through an ordered list of filters before it is
+ * persisted or broadcast. A filter is `{ name, apply(text, ctx), forget?(key) }` where
+ * `apply` returns null to pass, `{ action: 'mask', text, code }` to rewrite the line, or
+ * `{ action: 'block', code }` to drop it. `ctx` is `{ key, isStaff, now }`.
+ *
+ * Every non-null result is a violation; the caller feeds those into the RateLimiter
+ * `chat_violation` tier for auto-mute escalation.
+ */
+
+import { MASKED_WORDS, BLOCKED_PATTERNS, REPEAT_LIMITS } from '../config/chatFilter.js';
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Normalize a line for repeat comparison: case, spacing and trailing punctuation don't make it new.
+ */
+export function normalizeChatText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[\s\p{P}]+/gu, ' ')
+        .trim();
+}
+
+// ==================== FILTERS ====================
+
+/**
+ * Mask listed words with asterisks. Stretched spellings ("shiiit") are caught too.
+ * @param {string[]} words
+ */
+export function createWordMaskFilter(words = MASKED_WORDS) {
+    const alternatives = words
+        .filter(Boolean)
+        .map((word) => [...word].map((ch) => `${escapeRegExp(ch)}+`).join(''));
+    const regex = alternatives.length ? new RegExp(`\\b(?:${alternatives.join('|')})\\b`, 'gi') : null;
+
+    return {
+        name: 'words',
+        apply(text) {
+            if (!regex) return null;
+            regex.lastIndex = 0;
+            if (!regex.test(text)) return null;
+            regex.lastIndex = 0;
+            return { action: 'mask', code: 'profanity', text: text.replace(regex, (match) => '*'.repeat(match.length)) };
+        }
+    };
+}
+
+/**
+ * Drop lines matching blocked patterns (links, wallet addresses, seed-phrase phishing).
+ * @param {{ code: string, pattern: RegExp, staffExempt?: boolean }[]} patterns
+ */
+export function createPatternFilter(patterns = BLOCKED_PATTERNS) {
+    return {
+        name: 'patterns',
+        apply(text, ctx) {
+            for (const { code, pattern, staffExempt } of patterns) {
+                if (staffExempt && ctx.isStaff) continue;
+                if (pattern.test(text)) return { action: 'block', code };
+            }
+            return null;
+        }
+    };
+}
+
+/**
+ * Drop a line once the same sender has posted it MAX_REPEATS times inside WINDOW_MS.
+ * Keeps a short per-sender history; call `forget(key)` on disconnect.
+ */
+export function createRepeatFilter(limits = REPEAT_LIMITS) {
+    /** @type {Map<string, { text: string, at: number }[]>} */
+    const history = new Map();
+
+    return {
+        name: 'repeat',
+        apply(text, ctx) {
+            const normalized = normalizeChatText(text);
+            if (!normalized || !ctx.key) return null;
+
+            const recent = (history.get(ctx.key) || []).filter((entry) => ctx.now - entry.at <= limits.WINDOW_MS);
+            const repeats = recent.filter((entry) => entry.text === normalized).length;
+            if (repeats >= limits.MAX_REPEATS) {
+                history.set(ctx.key, recent);
+                return { action: 'block', code: 'repeat' };
+            }
+
+            recent.push({ text: normalized, at: ctx.now });
+            history.set(ctx.key, recent.slice(-limits.HISTORY_SIZE));
+            return null;
+        },
+        forget(key) {
+            history.delete(key);
+        }
+    };
+}
+
+// ==================== PIPELINE ====================
+
+export class ChatFilter {
+    /**
+     * @param {Array<{ name: string, apply: Function, forget?: Function }>} [filters] - run in order;
+     *   blocking filters should come before the repeat filter so dropped lines aren't remembered
+     */
+    constructor(filters = [createPatternFilter(), createRepeatFilter(), createWordMaskFilter()]) {
+        this.filters = [...filters];
+    }
+
+    /**
+     * Append a filter to the end of the pipeline
+     */
+    use(filter) {
+        this.filters.push(filter);
+        return this;
+    }
+
+    /**
+     * @param {string} text
+     * @param {{ key?: string, isStaff?: boolean, now?: number }} [ctx]
+     * @returns {{ allowed: boolean, text: string, violations: string[], blockedBy: string|null }}
+     */
+    check(text, { key = null, isStaff = false, now = Date.now() } = {}) {
+        const ctx = { key, isStaff, now };
+        const violations = [];
+        let current = text;
+
+        for (const filter of this.filters) {
+            const result = filter.apply(current, ctx);
+            if (!result) continue;
+            violations.push(result.code);
+            if (result.action === 'block') {
+                return { allowed: false, text: current, violations, blockedBy: result.code };
+            }
+            if (result.action === 'mask') {
+                current = result.text;
+            }
+        }
+
+        return { allowed: true, text: current, violations, blockedBy: null };
+    }
+
+    /**
+     * Drop per-sender state (call when a player disconnects)
+     */
+    forget(key) {
+        for (const filter of this.filters) {
+            filter.forget?.(key);
+        }
+    }
+}
+
+const chatFilter = new ChatFilter();
+export default chatFilter;
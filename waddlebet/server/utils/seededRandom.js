@@ -0,0 +1,6 @@
+/**
+ * Seeded PRNG for server-side replays (arcade runs, match move logs).
+ * Shared with the client via src/utils/seededRandom.js so both sides draw the same numbers.
+ */
+
+export { createSeededRandom } from '../../src/utils/seededRandom.js';
@@ -10,6 +10,7 @@ import P2PMonopoly from './minigames/P2PMonopoly';
 import P2PUno from './minigames/P2PUno';
 import P2PBlackjack from './minigames/P2PBlackjack';
 import P2PBattleship from './minigames/P2PBattleship';
+import MatchReplayViewer from './components/MatchReplayViewer';
 import GameManager from './engine/GameManager';
 import { getResumeRoom } from './utils/playerSession';
 import { MultiplayerProvider, useMultiplayer } from './multiplayer';
@@ -22,8 +23,10 @@ import { formatSupportDiagnostics } from './utils/browserCapabilities';
 import ProfileMenu from './components/ProfileMenu';
 import WagerModal from './components/WagerModal';
 import Inbox from './components/Inbox';
+import TradeWindow from './components/TradeWindow';
 import Notification from './components/Notification';
 import GuestModeWarning from './components/GuestModeWarning';
+import GuestMergeModal from './components/GuestMergeModal';
 import IglooSettingsPanel from './components/IglooSettingsPanel';
 import IglooRentalModal from './components/IglooRentalModal';
 import IglooEntryModal from './components/IglooEntryModal';
@@ -31,6 +34,7 @@ import IglooDetailsPanel from './components/IglooDetailsPanel';
 import IglooRequirementsPanel from './components/IglooRequirementsPanel';
 import TipNotification from './components/TipNotification';
 import GiftNotification from './components/GiftNotification';
+import StampNotification from './components/StampNotification';
 import LoadingScreen from './components/LoadingScreen';
 import ChatLog from './components/ChatLog';
 import AudioBootstrap from './components/AudioBootstrap';
@@ -101,7 +105,7 @@ const AppContent = () => {
     const [currentRoom, setCurrentRoom] = useState(null); // null = designer
     
     // Get auth state and user data from multiplayer context
-    const { isAuthenticated, userData, isRestoringSession, walletAddress, mobileChatOpen, worldGameplayOverlay } = useMultiplayer();
+    const { isAuthenticated, userData, isRestoringSession, walletAddress, mobileChatOpen, worldGameplayOverlay, stampToast, clearStampToast } = useMultiplayer();
     const [isMobile, setIsMobile] = useState(() =>
         typeof window !== 'undefined' && window.innerWidth < 768
     );
@@ -473,12 +477,16 @@ const AppContent = () => {
                 </div>
             )}
             
+            {/* Match replays - read-only P2P game driven by replay frames */}
+            {inGameWorld && !isInMatch && <MatchReplayViewer />}
+            
             {/* Challenge UI Overlays - show when in game world */}
             {inGameWorld && (
                 <>
                     {!isInMatch && <ProfileMenu />}
                     {!isInMatch && <WagerModal />}
                     {!isInMatch && <Inbox />}
+                    {!isInMatch && <TradeWindow />}
                     {/* Match spectator banners are rendered in 3D above the players in VoxelWorld */}
                 </>
             )}
@@ -505,9 +513,21 @@ const AppContent = () => {
                 />
             )}
             
+            {/* Stamp Earned Notification (own stamps + rare stamps earned by others) */}
+            {stampToast && (
+                <StampNotification
+                    key={`${stampToast.stampId}:${stampToast.playerName || ''}`}
+                    toast={stampToast}
+                    onClose={clearStampToast}
+                />
+            )}
+            
             {/* Guest Mode Warning (shows when not authenticated) */}
             {inGameWorld && <GuestModeWarning onRequestAuth={handleRequestAuth} />}
 
+            {/* Guest → wallet progress merge offer (after the first wallet connect) */}
+            <GuestMergeModal />
+
             {/* Unified chat — same panel in world + all minigames */}
             {inGameWorld && <GlobalChat minigameMode={chatOverlayMode} />}
             <MobileChatOpener visible={showMobileChatOpener} />
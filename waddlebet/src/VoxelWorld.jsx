@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { VOXEL_SIZE, PALETTE } from './constants';
 import { ASSETS } from './assets/index';
 import { IconSend } from './Icons';
@@ -8,6 +8,8 @@ import Portal from './components/Portal';
 import IglooPortal from './components/IglooPortal';
 import BannerZoomOverlay from './components/BannerZoomOverlay';
 import IglooRentalGuide from './components/IglooRentalGuide';
+import IglooFurnitureEditor from './components/IglooFurnitureEditor';
+import CraftingBenchModal from './components/CraftingBenchModal';
 import GachaDropRatesGuide from './components/GachaDropRatesGuide';
 import PufflePanel from './components/PufflePanel';
 import VirtualJoystick from './components/VirtualJoystick';
@@ -18,6 +20,7 @@ import EmoteWheel from './components/EmoteWheel';
 import GameManager from './engine/GameManager';
 import { GOLD_SLOT_BET, GOLD_SLOT_BET_MIN, GOLD_SLOT_BET_MAX, clampGoldSlotBet } from './config/goldSlots';
 import { PVE_BJ_MIN_BET, PVE_BJ_MAX_BET } from './config/goldEconomy';
+import { CRAFTING_BENCH, isPlayerNearCraftingBench } from './config/crafting';
 import Puffle from './engine/Puffle';
 import { createPenguinBuilder, cacheAnimatedParts, animateCosmeticsFromCache, playerHasAnimatedCosmetics } from './engine/PenguinBuilder';
 import TownCenter from './rooms/TownCenter';
@@ -28,6 +31,7 @@ import Nightclub from './rooms/Nightclub';
 import CasinoRoom from './rooms/CasinoRoom';
 import { generateIglooInterior } from './rooms/BaseRoom';
 import { generateSKNYIglooInterior } from './rooms/SKNYIglooInterior';
+import IglooFurnitureLayer from './rooms/IglooFurnitureLayer';
 import { useMultiplayer } from './multiplayer';
 import { useChallenge } from './challenge';
 import { useIgloo } from './igloo';
@@ -37,9 +41,10 @@ import { useLanguage } from './i18n';
 import { getCharacterMeshBaseY } from './characters';
 import { getCrossChainIglooDenialMessage, isEvmWalletAddress } from './utils/tokenAddress.js';
 import { getEffectiveChainId } from './hooks/useChainEconomy.js';
-import { EMOTE_WHEEL_ITEMS, LOOPING_EMOTES, EMOTE_EMOJI_MAP, createChatSprite, updateAIAgents, updateMatchBanners, updatePveBanners, cleanupPveBanners, createIglooOccupancySprite, updateIglooOccupancySprite, animateMesh, updateDayNightCycle, calculateNightFactor, SnowfallSystem, WizardTrailSystem, GakeCandleTrailSystem, MountTrailSystem, LocalizedParticleSystem, CameraController, lerp, lerpRotation, calculateLerpFactor, SlotMachineSystem, GoldLobbySlotSystem, JackpotCelebration, IceFishingSystem, createMountainBackground, performanceManager, PERFORMANCE_PRESETS } from './systems';
+import { useSettingsSync } from './hooks/useSettingsSync';
+import { EMOTE_WHEEL_ITEMS, LOOPING_EMOTES, EMOTE_EMOJI_MAP, createChatSprite, shouldShowChatBubble, updateAIAgents, updateMatchBanners, updatePveBanners, cleanupPveBanners, createIglooOccupancySprite, updateIglooOccupancySprite, animateMesh, updateDayNightCycle, calculateNightFactor, SnowfallSystem, WeatherSystem, WizardTrailSystem, GakeCandleTrailSystem, MountTrailSystem, LocalizedParticleSystem, CameraController, lerp, lerpRotation, calculateLerpFactor, SlotMachineSystem, GoldLobbySlotSystem, JackpotCelebration, IceFishingSystem, createMountainBackground, performanceManager, PERFORMANCE_PRESETS } from './systems';
 import { getHoleStockRows, getHoleStockSignature, formatRegrowEta, getHoleStatusById } from './utils/fishingHoleStock';
-import { playSfx, stopTravelHum, setMusicEnergy, DEFAULT_MUSIC_VOLUME, DEFAULT_SFX_VOLUME, normalizeMusicVolume, updateProximityAmbient, stopProximityAmbient, handleRemotePlayerSfx } from './audio';
+import { playSfx, stopTravelHum, setMusicEnergy, setMusicWeather, DEFAULT_MUSIC_VOLUME, DEFAULT_SFX_VOLUME, normalizeMusicVolume, updateProximityAmbient, stopProximityAmbient, handleRemotePlayerSfx } from './audio';
 import { 
     CITY_SIZE, 
     BUILDING_SCALE, 
@@ -62,7 +67,7 @@ import {
     NAME_HEIGHT_PENGUIN,
     NAME_HEIGHT_MARCUS,
     NAME_HEIGHT_WHALE,
-    ROOM_PORTALS,
+    getRoomPortals,
     WORLD_SPAWN,
     WORLD_SPAWN_ROOM,
     getNightclubSpawnPosition,
@@ -92,6 +97,7 @@ import NpcDialogueModal from './components/NpcDialogueModal';
 import TravelDialogueModal from './components/TravelDialogueModal';
 import TravelLobbyHUD from './components/TravelLobbyHUD';
 import { isTravelLobbyRoom, TRAVEL_LOBBY_CAMERA, clampTravelLobbyPosition } from './config/travelConfig';
+import { usesIglooInterior } from './config/guilds';
 import TravelLobbyRoom from './rooms/TravelLobbyRoom';
 import WoodcuttingSystem from './systems/WoodcuttingSystem';
 import ManualChopController from './systems/ManualChopController';
@@ -102,6 +108,8 @@ import WorldDropManager from './systems/WorldDropManager';
 import { WORLD_DROP_PICKUP_RADIUS, isGoldWorldDrop } from './config/worldDrops';
 import { getOverworldMountainConfig, OVERWORLD_CENTER_SPAWN, isOverworldRoom } from './config/overworldConfig';
 import { resolveOverworldSpawn, escapeOverworldSpawnCollision } from './config/overworldSpawn';
+import { isWeatherRoom, getWeatherState } from './config/weather';
+import { MOVEMENT_BASE_SPEED } from './config/movement';
 import { loadSnowFortsQuadrant, loadForestQuadrant } from './world/overworldLoader';
 import { HARVESTABLE_MUSHROOMS, MUSHROOM_INTERACTION_RADIUS, MUSHROOM_HARVEST_MS } from './config/harvestableMushrooms';
 import { FORAGEABLE_LOGS, WORM_FORAGE_RADIUS, WORM_FORAGE_CHANNEL_MS } from './config/forageableLogs';
@@ -112,6 +120,8 @@ import { updateHeldGameItem, removeHeldGameItem } from './items/HeldGameItemBuil
 import { getActiveHotbarEntry, ownsAnyRod } from './utils/gameHotbar';
 import { canFitItemInBackpack } from './utils/inventoryCapacity';
 import StarterRodPickup from './systems/StarterRodPickup';
+import SnowballFightArena from './systems/SnowballFightArena';
+import { getInputManager } from './systems/InputManager';
 import GameInventoryModal from './components/GameInventoryModal';
 import { resolveNametagStyle, isStyledNametag, getNametagParticleEffect } from './config/whaleNametagTiers.js';
 import { drawNametagToCanvas } from './utils/nametagCanvas.js';
@@ -163,6 +173,11 @@ function animateNametagSprite(sprite, time, isStyled) {
     sprite.material.opacity = 0.88 + Math.sin(time * 2.8 + phase) * 0.12;
 }
 
+/** Key event is the (rebindable) interact key — E by default */
+function isInteractKey(e) {
+    return getInputManager().matchesAction('interact', e);
+}
+
 function syncRemotePlayerHeldItem(meshData, playerData, buildPartMerged) {
     if (!meshData?.mesh || !buildPartMerged) return;
     const entry = playerData?.heldHotbarItem;
@@ -200,7 +215,7 @@ const VoxelWorld = ({
     onWorldReady = null // First frame rendered (for entry loading screen)
 }) => {
     // Language context for translations
-    const { t } = useLanguage();
+    const { t, language, setLanguage } = useLanguage();
     
     const mountRef = useRef(null);
     const sceneRef = useRef(null);
@@ -221,6 +236,7 @@ const VoxelWorld = ({
     const nightclubRef = useRef(null); // Nightclub room instance
     const casinoRoomRef = useRef(null); // CasinoRoom room instance
     const sknyIglooInteriorRef = useRef(null); // SKNY GANG igloo interior (with update function)
+    const iglooFurnitureRef = useRef(null); // IglooFurnitureLayer for the igloo interior we're in
     const roomDataRef = useRef(null); // Store room data (including beach ball) for multiplayer sync
     const raycasterRef = useRef(null); // For player click detection
     const mouseRef = useRef({ x: 0, y: 0 }); // Mouse position for raycasting
@@ -256,6 +272,8 @@ const VoxelWorld = ({
     const jackpotCelebrationRef = useRef(null); // Jackpot celebration effects (disco ball, confetti, lasers)
     const iceFishingSystemRef = useRef(null); // Ice fishing interaction system
     const starterRodPickupRef = useRef(null);
+    const snowballFightArenaRef = useRef(null);
+    const snowballFightRef = useRef(null); // latest snowball_fight_state for arena markers on zone build
     const starterRodLockRef = useRef(false);
     const [starterRodInteraction, setStarterRodInteraction] = useState(null);
     const woodcuttingSystemRef = useRef(null);
@@ -353,19 +371,27 @@ const VoxelWorld = ({
             }
         };
 
+        const applyWeatherQuality = () => {
+            const snowBudget = performanceManager.getSnowParticleCount(window._isMobileGPU);
+            snowfallSystemRef.current?.setParticleBudget(snowBudget);
+            weatherSystemRef.current?.setEffectsLevel(performanceManager.getWeatherEffectsLevel());
+        };
+
         const handlePresetChange = (e) => {
             const { settings } = e.detail;
             console.log(`🎮 Performance preset changed to: ${settings.name}`);
             applyLiveTuning();
+            applyWeatherQuality();
             
             if (snowfallSystemRef.current && settings.snowParticles) {
-                console.log(`❄️ Snow particles will update: ${settings.snowParticles}`);
+                console.log(`❄️ Snow particles updated: ${settings.snowParticles}`);
             }
         };
 
         const handleEmergencyDowngrade = (e) => {
             console.warn(`🎮 Auto-tuned performance: ${e.detail.from} → ${e.detail.to} (${e.detail.avgFps} FPS)`);
             applyLiveTuning();
+            applyWeatherQuality();
         };
 
         const handleLowEndActivated = () => applyLowEnd();
@@ -408,13 +434,15 @@ const VoxelWorld = ({
         playerName,
         playerCount,
         totalPlayerCount,     // Total players online (all rooms)
-        playerList,           // Triggers mesh creation/removal
+        inRangePlayerList,    // Players within interest range — triggers mesh creation/removal
         playersDataRef,       // Real-time position data (no re-renders)
         connectionError,      // Error if connection rejected
         joinRoom: mpJoinRoom,
         sendPosition,
         sendChat: mpSendChat,
         sendClearAfk: mpSendClearAfk,
+        syncSettings: mpSyncSettings,
+        syncedSettings,
         sendEmoteBubble: mpSendEmoteBubble,
         sendEmote: mpSendEmote,
         changeRoom: mpChangeRoom,
@@ -430,7 +458,9 @@ const VoxelWorld = ({
         setMobileChatOpen,
         setWorldGameplayOverlay,
         worldTimeRef: serverWorldTimeRef, // Server-synchronized world time
+        weatherRef: serverWeatherRef,     // Server weather for the current room
         isAuthenticated, // For determining persistence mode
+        canSaveProgress, // Wallet or guest account — gathering, backpack and puffles persist
         isRestoringSession,
         walletAddress, // User's wallet address for igloo ownership checks
         // Slot machine
@@ -455,6 +485,8 @@ const VoxelWorld = ({
         gameInventory,
         upgradeBackpack,
         upgradeRod,
+        repairGear,
+        setAutoRepair,
         buyFromMerchant,
         claimStarterRod,
         fetchGameInventory,
@@ -495,11 +527,14 @@ const VoxelWorld = ({
         bookTravel,
         leaveTravel,
         getPlayersData,
+        guild,
+        snowballFight,
         // Raw send for PvE activity messages
         send: mpSend
     } = useMultiplayer();
     
     const userDataRef = useRef(userData);
+    const localGuildTagRef = useRef(null);
     const isAuthenticatedRef = useRef(isAuthenticated);
     useEffect(() => {
         userDataRef.current = userData;
@@ -536,8 +571,8 @@ const VoxelWorld = ({
     }, [penguinData]);
 
     useEffect(() => {
-        playerListRef.current = playerList;
-    }, [playerList]);
+        inRangePlayerListRef.current = inRangePlayerList;
+    }, [inRangePlayerList]);
 
     // Allow a fresh join message after disconnect/reconnect
     const wasDisconnectedRef = useRef(false);
@@ -692,9 +727,31 @@ const VoxelWorld = ({
     // Check if player is inside their own igloo (for HUD settings button)
     const isInsideOwnedIgloo = room?.startsWith('igloo') && isIglooOwner(room);
     
+    // Igloo furniture: the owner's unsaved draft previews in 3D while the editor is open
+    const [showFurnitureEditor, setShowFurnitureEditor] = useState(false);
+    const [iglooLayoutDraft, setIglooLayoutDraft] = useState(null);
+    const savedIglooInterior = igloos.find((igloo) => igloo.iglooId === room)?.interior;
+    const shownIglooInterior = useMemo(
+        () => (iglooLayoutDraft ? { customLayout: true, furniture: iglooLayoutDraft } : savedIglooInterior || null),
+        [iglooLayoutDraft, savedIglooInterior]
+    );
+    const shownIglooInteriorRef = useRef(shownIglooInterior);
+    shownIglooInteriorRef.current = shownIglooInterior;
+    
+    useEffect(() => {
+        iglooFurnitureRef.current?.apply(shownIglooInterior);
+    }, [shownIglooInterior]);
+    
+    useEffect(() => {
+        setShowFurnitureEditor(false);
+        setIglooLayoutDraft(null);
+        setShowCraftingBench(false);
+    }, [room]);
+    
     // Refs for other player meshes and state
     const otherPlayerMeshesRef = useRef(new Map()); // playerId -> { mesh, bubble, puffle }
     const lastPositionSentRef = useRef({ x: 0, y: 0, z: 0, rot: 0, time: 0 });
+    const pendingTeleportRef = useRef(null); // Client-side teleport the next position update announces ('spawn')
     const buildPenguinMeshRef = useRef(null); // Will be set in useEffect
     const buildPartMergedRef = useRef(null);
     const hasSentJoinRef = useRef(false); // One join per connection — room changes use change_room
@@ -719,7 +776,7 @@ const VoxelWorld = ({
         }
     }, [gameInventory?.activeHotbar, gameInventory?.hotbar, meshBuilderReady]);
     const meshSyncMissRef = useRef(new Map()); // playerId -> consecutive missing-appearance polls
-    const playerListRef = useRef(playerList);
+    const inRangePlayerListRef = useRef(inRangePlayerList);
     const lastMissingMeshCheckRef = useRef(0);
     const meshSyncBumpScheduledRef = useRef(false);
     
@@ -779,7 +836,7 @@ const VoxelWorld = ({
     const [emoteWheelOpen, setEmoteWheelOpen] = useState(false);
     const [emoteWheelSelection, setEmoteWheelSelection] = useState(-1);
     const emoteSelectionRef = useRef(-1); // Sticky selection - persists until changed
-    const emoteWheelKeyHeld = useRef(false); // Track if T is currently held
+    const emoteWheelKeyHeld = useRef(false); // Track if the emote wheel key is currently held
     const emoteRef = useRef({ type: null, startTime: 0 });
     const [showPetShop, setShowPetShop] = useState(false);
     const playerPuffleRef = useRef(null);
@@ -863,6 +920,8 @@ const VoxelWorld = ({
     const [logForageInteraction, setLogForageInteraction] = useState(null);
     const [worldDropInteraction, setWorldDropInteraction] = useState(null);
     const [scavengeInteraction, setScavengeInteraction] = useState(null);
+    const [craftingBenchInteraction, setCraftingBenchInteraction] = useState(false);
+    const [showCraftingBench, setShowCraftingBench] = useState(false);
     const scavengeLockRef = useRef(false);
     const scavengeCooldownsRef = useRef(scavengeCooldowns);
     useEffect(() => {
@@ -870,15 +929,15 @@ const VoxelWorld = ({
     }, [scavengeCooldowns]);
 
     useEffect(() => {
-        if (room === 'snow_forts' && isAuthenticated) {
+        if (room === 'snow_forts' && canSaveProgress) {
             fetchScavengeStatus?.();
         }
-    }, [room, isAuthenticated, fetchScavengeStatus]);
+    }, [room, canSaveProgress, fetchScavengeStatus]);
     useEffect(() => {
-        if (room === 'forest_trails' && isAuthenticated) {
+        if (room === 'forest_trails' && canSaveProgress) {
             fetchWormForageStatus?.();
         }
-    }, [room, isAuthenticated, fetchWormForageStatus]);
+    }, [room, canSaveProgress, fetchWormForageStatus]);
 
     const wormForageCooldownsRef = useRef(wormForageCooldowns);
     useEffect(() => {
@@ -1092,6 +1151,8 @@ const VoxelWorld = ({
     
     // Snowfall system ref
     const snowfallSystemRef = useRef(null);
+    // Weather system ref (overworld rooms only)
+    const weatherSystemRef = useRef(null);
     
     // Persist settings (audio is applied synchronously in SettingsMenu.syncSettings)
     useEffect(() => {
@@ -1164,6 +1225,23 @@ const VoxelWorld = ({
             });
         }
     }, [gameSettings]);
+
+    // Control bindings: InputManager follows settings.keybinds
+    useEffect(() => {
+        getInputManager().setBindings(gameSettings.keybinds);
+    }, [gameSettings.keybinds]);
+
+    // Signed-in players keep their settings (keybinds, audio, nametag, language...) on the account
+    useSettingsSync({
+        settings: gameSettings,
+        setSettings: setGameSettings,
+        language,
+        setLanguage,
+        isAuthenticated,
+        syncedSettings,
+        syncSettings: mpSyncSettings,
+    });
+
     const mobileControlsRef = useRef({ forward: false, back: false, left: false, right: false });
     const pinchRef = useRef({ startDist: 0, active: false });
     
@@ -1403,8 +1481,17 @@ const VoxelWorld = ({
         // Apple (Mac + iOS) + Android: use reduced particles for performance
         const snowfallSystem = new SnowfallSystem(THREE, scene, { isMobileGPU: needsOptimization });
         snowfallSystem.create({ x: posRef.current?.x || 50, z: posRef.current?.z || 50 });
+        snowfallSystem.setParticleBudget(performanceManager.getSnowParticleCount(needsOptimization));
         snowfallSystemRef.current = snowfallSystem;
         
+        // ==================== WEATHER (server-driven, overworld only) ====================
+        if (isWeatherRoom(room)) {
+            weatherSystemRef.current = new WeatherSystem(THREE, scene, {
+                snowfall: snowfallSystem,
+                effectsLevel: performanceManager.getWeatherEffectsLevel(),
+            });
+        }
+        
         // --- ICY ICEBERG ISLAND GENERATION ---
         // Built in chunks (async) — yields between heavy phases keep the page responsive
         const generateCity = async () => {
@@ -1865,6 +1952,11 @@ const VoxelWorld = ({
                 }
                 starterRodPickupRef.current.init(scene, THREE, buildPartMergedRef.current);
             }
+            if (!snowballFightArenaRef.current) {
+                snowballFightArenaRef.current = new SnowballFightArena();
+            }
+            snowballFightArenaRef.current.init(scene, THREE);
+            snowballFightArenaRef.current.setMatch(snowballFightRef.current);
             roomData = {
                 name: 'snow_forts',
                 furniture: [
@@ -1955,8 +2047,8 @@ const VoxelWorld = ({
         } else if (isTravelLobbyRoom(room)) {
             travelLobbyRef.current = new TravelLobbyRoom(THREE, myTravelVoyage);
             roomData = travelLobbyRef.current.spawn(scene);
-        } else if (room.startsWith('igloo')) {
-            // igloo3 is SKNY GANG nightclub-themed igloo
+        } else if (usesIglooInterior(room)) {
+            // igloo3 is SKNY GANG nightclub-themed igloo; guild halls use the standard interior
             if (room === 'igloo3') {
                 roomData = generateSKNYIglooInterior(THREE, scene);
                 // Store update function for SKNY interior animations
@@ -1964,6 +2056,8 @@ const VoxelWorld = ({
             } else {
                 roomData = generateIglooInterior(THREE, scene);
             }
+            iglooFurnitureRef.current = new IglooFurnitureLayer(THREE, scene, roomData);
+            iglooFurnitureRef.current.apply(shownIglooInteriorRef.current);
             mapRef.current = roomData.map;
             // Request ball sync from server when entering igloo
             if (mpRequestBallSync) {
@@ -2999,23 +3093,20 @@ const VoxelWorld = ({
                 return;
             }
 
-            // Enter / Slash always open chat — including during arcade and other overlays
-            if (e.code === 'Enter' || (e.code === 'Slash' && !e.shiftKey)) {
+            // Chat key / Slash always open chat — including during arcade and other overlays
+            const input = getInputManager();
+            if (input.matchesAction('chat', e) || (e.code === 'Slash' && !e.shiftKey)) {
                 const chatInput = document.getElementById('chat-input-field');
                 if (chatInput) {
                     if (activeElement === chatInput) {
-                        if (e.code === 'Enter') {
-                            return;
-                        }
-                        if (e.code === 'Slash') {
-                            return;
-                        }
+                        return;
                     }
                     if (isInputFocused && activeElement !== chatInput) {
                         return;
                     }
                     chatInput.focus();
-                    if (e.code === 'Slash' && !e.shiftKey) {
+                    // Don't type the key itself into the chat box
+                    if (e.code !== 'Enter') {
                         e.preventDefault();
                     }
                     return;
@@ -3037,7 +3128,7 @@ const VoxelWorld = ({
             
             keysRef.current[e.code] = true;
             
-            if (['KeyW', 'KeyS', 'KeyA', 'KeyD', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.code)) {
+            if (input.isMovementKey(e.code) || ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.code)) {
                 if (emoteRef.current.type) {
                     emoteRef.current.type = null;
                     // Notify server that emote ended (important for continuous emotes like Sit/Breakdance)
@@ -3053,8 +3144,8 @@ const VoxelWorld = ({
 
             // NOTE: E key for portal entry is handled in a separate useEffect (search: "Handle E key for portal entry")
             // This ensures proper dependency tracking and avoids duplicate handlers
-            if(e.code === 'KeyT') {
-                // Only open once when T is first pressed (not on repeat)
+            if(input.matchesAction('emoteWheel', e)) {
+                // Only open once when the key is first pressed (not on repeat)
                 if (!emoteWheelKeyHeld.current) {
                     emoteWheelKeyHeld.current = true;
                     setEmoteWheelOpen(true);
@@ -3085,7 +3176,7 @@ const VoxelWorld = ({
             }
             
             // Snowball throwing mode - check configured keybind
-            const snowballKey = gameSettingsRef.current?.keybinds?.snowballThrow || 'ShiftLeft';
+            const snowballKey = input.getBinding('snowballThrow');
             if (e.code === snowballKey || e.code === 'ShiftRight' && snowballKey === 'ShiftLeft') {
                 isSnowballModeRef.current = true;
                 setIsSnowballMode(true);
@@ -3095,7 +3186,8 @@ const VoxelWorld = ({
             keysRef.current[e.code] = false;
             
             // Release snowball mode
-            const snowballKey = gameSettingsRef.current?.keybinds?.snowballThrow || 'ShiftLeft';
+            const input = getInputManager();
+            const snowballKey = input.getBinding('snowballThrow');
             if (e.code === snowballKey || e.code === 'ShiftRight' || e.code === 'ShiftLeft') {
                 isSnowballModeRef.current = false;
                 setIsSnowballMode(false);
@@ -3106,8 +3198,8 @@ const VoxelWorld = ({
                 return;
             }
             
-            if(e.code === 'KeyT') {
-                // T released - close wheel and play selection if any
+            if(input.matchesAction('emoteWheel', e)) {
+                // Emote wheel key released - close wheel and play selection if any
                 emoteWheelKeyHeld.current = false;
                 
                 const idx = emoteSelectionRef.current;
@@ -3115,7 +3207,7 @@ const VoxelWorld = ({
                     triggerEmote(EMOTE_WHEEL_ITEMS[idx].id);
                 }
                 
-                // Always close the wheel on T release
+                // Always close the wheel on release
                 setEmoteWheelOpen(false);
                 setEmoteWheelSelection(-1);
                 emoteSelectionRef.current = -1;
@@ -3153,7 +3245,7 @@ const VoxelWorld = ({
         
         // OPTIMIZATION: Pre-calculate constants
         const MAX_DELTA = 0.1;
-        const BASE_SPEED = 10;
+        const BASE_SPEED = MOVEMENT_BASE_SPEED;
         const TERMINAL_VELOCITY = -25;
         
         // OPTIMIZATION: Cache reusable Vector3 objects to avoid GC pressure
@@ -3419,12 +3511,14 @@ const VoxelWorld = ({
             const inMatch = isInMatchRef.current;
             const inArcade = arcadeGameActiveRef.current;
             const inManualChop = manualChopActiveRef.current;
-            // WASD for player movement, Arrow keys for camera rotation
-            const keyForward = !inMatch && !inArcade && !inManualChop && keysRef.current['KeyW'];
-            const keyBack = !inMatch && !inArcade && !inManualChop && keysRef.current['KeyS'];
-            const keyLeft = !inMatch && !inArcade && !inManualChop && keysRef.current['KeyA'];
-            const keyRight = !inMatch && !inArcade && !inManualChop && keysRef.current['KeyD'];
-            const keyJump = !inMatch && !inArcade && !inManualChop && keysRef.current['Space'];
+            // Bound movement keys (WASD by default) move the player, Arrow keys rotate the camera
+            const input = getInputManager();
+            const bindings = input.bindings;
+            const keyForward = !inMatch && !inArcade && !inManualChop && keysRef.current[bindings.moveForward];
+            const keyBack = !inMatch && !inArcade && !inManualChop && keysRef.current[bindings.moveBack];
+            const keyLeft = !inMatch && !inArcade && !inManualChop && keysRef.current[bindings.moveLeft];
+            const keyRight = !inMatch && !inArcade && !inManualChop && keysRef.current[bindings.moveRight];
+            const keyJump = !inMatch && !inArcade && !inManualChop && keysRef.current[bindings.jump];
             
             // Arrow keys rotate camera (horizontal only)
             const arrowLeft = !inMatch && !inArcade && !inManualChop && keysRef.current['ArrowLeft'];
@@ -3438,8 +3532,13 @@ const VoxelWorld = ({
             const mobileRight = mobile.right;
             const mobileJump = mobile.jump || jumpRequestedRef.current;
             
-            // Check joystick input (new PUBG-style controls)
-            const joystick = joystickInputRef.current;
+            // Check joystick input (new PUBG-style controls) — a gamepad's left stick drives the
+            // same camera-relative movement while the touch joystick is idle
+            const pad = input.pollGamepad();
+            const touchJoystick = joystickInputRef.current;
+            const padMoving = !inArcade && (pad.move.x !== 0 || pad.move.y !== 0);
+            const touchIdle = Math.abs(touchJoystick.x) <= 0.1 && Math.abs(touchJoystick.y) <= 0.1;
+            const joystick = padMoving && touchIdle ? pad.move : touchJoystick;
             const joystickForward = !inMatch && !inManualChop && joystick.y > 0.1;
             const joystickBack = !inMatch && !inManualChop && joystick.y < -0.1;
             const joystickMagnitude = Math.sqrt(joystick.x * joystick.x + joystick.y * joystick.y);
@@ -3454,6 +3553,21 @@ const VoxelWorld = ({
                 camController.applyArrowKeyRotation(arrowDir);
             }
             
+            // Gamepad right stick: picks an emote while the wheel is held, otherwise turns the camera
+            if (emoteWheelKeyHeld.current) {
+                if (Math.hypot(pad.camera.x, pad.camera.y) > 0.5) {
+                    let angle = Math.atan2(pad.camera.x, -pad.camera.y) * (180 / Math.PI);
+                    if (angle < 0) angle += 360;
+                    const stickIndex = Math.floor(angle / (360 / EMOTE_WHEEL_ITEMS.length)) % EMOTE_WHEEL_ITEMS.length;
+                    if (stickIndex !== emoteSelectionRef.current) {
+                        emoteSelectionRef.current = stickIndex;
+                        setEmoteWheelSelection(stickIndex);
+                    }
+                }
+            } else if (camController && !inMatch && !inArcade && !inManualChop) {
+                camController.applyGamepadRotation(pad.camera.x, pad.camera.y, delta, camSensitivity * 2);
+            }
+            
             // Touch/mouse camera rotation
             const camDelta = cameraRotationRef.current;
             if (camDelta.deltaX !== 0 || camDelta.deltaY !== 0) {
@@ -3847,7 +3961,7 @@ const VoxelWorld = ({
                         }
                     }
                 }
-            } else if (roomRef.current.startsWith('igloo') && roomData && roomData.bounds) {
+            } else if (usesIglooInterior(roomRef.current) && roomData && roomData.bounds) {
                 // Igloos use CIRCULAR bounds to match dome shape
                 const b = roomData.bounds;
                 const playerRadius = 0.8;
@@ -4371,13 +4485,13 @@ const VoxelWorld = ({
             }
             
             // Update position (use clamped finalX/finalZ for all rooms)
-            if (roomRef.current === 'dojo' || roomRef.current.startsWith('igloo')) {
+            if (roomRef.current === 'dojo' || usesIglooInterior(roomRef.current)) {
                 // Dojo/Igloo: always use clamped position
                 posRef.current.x = finalX;
                 posRef.current.z = finalZ;
                 
                 // Check igloo furniture proximity for interaction
-                if (roomRef.current.startsWith('igloo') && roomData && roomData.furniture) {
+                if (usesIglooInterior(roomRef.current) && roomData && roomData.furniture) {
                     let nearInteraction = null;
                     
                     // Check furniture (couches, bar stools)
@@ -5864,10 +5978,10 @@ const VoxelWorld = ({
             const lerpFactor = calculateLerpFactor(delta, 10);
             const yLerpFactor = calculateLerpFactor(delta, 15);
             
-            // Backstop: remote players in the room but missing a mesh (e.g. builder-ready race)
+            // Backstop: remote players in range but missing a mesh (e.g. builder-ready race)
             if (time - lastMissingMeshCheckRef.current > 1) {
                 lastMissingMeshCheckRef.current = time;
-                for (const id of playerListRef.current) {
+                for (const id of inRangePlayerListRef.current) {
                     if (id === playerId) continue;
                     if (otherMeshes.has(id)) continue;
                     const missingData = playersData.get(id);
@@ -6871,8 +6985,8 @@ const VoxelWorld = ({
                     );
                 }
                 
-                // Handle chat bubbles for other players
-                if (playerData.chatMessage && playerData.chatTime) {
+                // Handle chat bubbles for other players (muted players never get one)
+                if (playerData.chatMessage && playerData.chatTime && shouldShowChatBubble(playerData.name)) {
                     const bubbleAge = Date.now() - playerData.chatTime;
                     const isAfkBubble = playerData.isAfkBubble;
                     
@@ -7037,6 +7151,11 @@ const VoxelWorld = ({
             if (roomRef.current === 'snow_forts' && starterRodPickupRef.current) {
                 starterRodPickupRef.current.update(time);
             }
+            if (roomRef.current === 'snow_forts' && snowballFightArenaRef.current) {
+                snowballFightArenaRef.current.update(time, (id) => (
+                    id === playerId ? posRef.current : otherPlayerMeshesRef.current.get(id)?.mesh?.position || null
+                ));
+            }
             
             // Animate nightclub interior (dance floor, stage lights, speakers, disco ball)
             if (nightclubRef.current && roomRef.current === 'nightclub') {
@@ -7164,6 +7283,23 @@ const VoxelWorld = ({
                 }
             }
 
+            // ==================== WEATHER (layered on day/night) ====================
+            if (weatherSystemRef.current) {
+                const weather = serverWeatherRef?.current;
+                if (weather?.room === room && weatherSystemRef.current.setWeather(weather.state)) {
+                    setMusicWeather(getWeatherState(weather.state).music);
+                }
+                weatherSystemRef.current.update(time, delta, posRef.current);
+                // Town re-bases on the lighting day/night just wrote; other zones keep their own
+                if (frameCount % 3 === 0) {
+                    weatherSystemRef.current.applyLighting({
+                        sunLight: sunLightRef.current,
+                        ambientLight: ambientLightRef.current,
+                        fresh: room === 'town',
+                    });
+                }
+            }
+
             // Tighten shadow frustum around player — huge ±100 shadow maps tank town FPS
             if (room === 'town' && sunLightRef.current && frameCount % 2 === 0) {
                 const shadowCam = sunLightRef.current.shadow.camera;
@@ -7180,7 +7316,7 @@ const VoxelWorld = ({
             }
             
             // ==================== SNOWFALL UPDATE ====================
-            if ((room === 'town' || room === 'snow_forts') && snowfallSystemRef.current && gameSettingsRef.current.snowEnabled !== false) {
+            if (isWeatherRoom(room) && snowfallSystemRef.current && gameSettingsRef.current.snowEnabled !== false) {
                 const serverTime = serverWorldTimeRef?.current ?? 0.35;
                 if (frameCount % 2 === 0) {
                     snowfallSystemRef.current.update(time, delta, posRef.current, serverTime);
@@ -7591,6 +7727,11 @@ const VoxelWorld = ({
                 nightclubRef.current.dispose();
                 nightclubRef.current = null;
             }
+            // Cleanup igloo furniture layout
+            if (iglooFurnitureRef.current) {
+                iglooFurnitureRef.current.dispose();
+                iglooFurnitureRef.current = null;
+            }
             // Cleanup CasinoRoom
             if (casinoRoomRef.current) {
                 casinoRoomRef.current.cleanup();
@@ -7602,6 +7743,12 @@ const VoxelWorld = ({
                 bannerData.sprite.material.dispose();
             }
             matchBannersRef.current.clear();
+            // Cleanup Weather system (before the snowfall it drives)
+            if (weatherSystemRef.current) {
+                weatherSystemRef.current.dispose();
+                weatherSystemRef.current = null;
+                setMusicWeather(null);
+            }
             // Cleanup Snowfall system
             if (snowfallSystemRef.current) {
                 snowfallSystemRef.current.dispose();
@@ -7667,6 +7814,8 @@ const VoxelWorld = ({
             }
             starterRodPickupRef.current?.dispose();
             starterRodPickupRef.current = null;
+            snowballFightArenaRef.current?.dispose();
+            snowballFightArenaRef.current = null;
             if (goldLobbySlotSystemRef.current) {
                 goldLobbySlotSystemRef.current = null;
             }
@@ -7779,7 +7928,8 @@ const VoxelWorld = ({
             if (arcadeGameActiveRef.current) return;
             if (isTypingTarget(document.activeElement)) return;
 
-            if (e.code === 'Tab') {
+            const input = getInputManager();
+            if (input.matchesAction('backpack', e)) {
                 e.preventDefault();
                 if (showNpcBackpackRef.current) {
                     setShowNpcBackpack(false);
@@ -7790,7 +7940,7 @@ const VoxelWorld = ({
                 return;
             }
 
-            if (e.code === 'KeyC') {
+            if (input.matchesAction('sit', e)) {
                 e.preventDefault();
                 if (seatedRef.current) return;
                 if (emoteRef.current?.type === 'Sit') {
@@ -7801,7 +7951,7 @@ const VoxelWorld = ({
                 return;
             }
 
-            if (e.code === 'KeyZ') {
+            if (input.matchesAction('mount', e)) {
                 e.preventDefault();
                 setGameSettings((prev) => ({
                     ...prev,
@@ -9081,7 +9231,7 @@ const VoxelWorld = ({
 
     const checkPortals = () => {
         const playerPos = posRef.current;
-        const portals = ROOM_PORTALS[room] || [];
+        const portals = getRoomPortals(room);
         
         // Town portal positions are offsets - add center coordinates
         const centerX = CENTER_X;
@@ -9420,7 +9570,7 @@ const VoxelWorld = ({
             playerPos.x,
             playerPos.z,
             playerCoins,
-            isAuthenticated,
+            canSaveProgress,
             gameInventory,
             {
                 isMounted,
@@ -9446,7 +9596,7 @@ const VoxelWorld = ({
     };
 
     const shouldShowStarterRod = () => {
-        if (room !== 'snow_forts' || !isAuthenticated) return false;
+        if (room !== 'snow_forts' || !canSaveProgress) return false;
         if (ownsAnyRod(gameInventory)) return false;
         return !userData?.fishingProgress?.starterRodClaimed;
     };
@@ -9554,7 +9704,7 @@ const VoxelWorld = ({
             playerPos.x,
             playerPos.z,
             gameInventory,
-            isAuthenticated,
+            canSaveProgress,
             isMounted
         );
         if (interaction) {
@@ -9726,6 +9876,12 @@ const VoxelWorld = ({
         }
     };
     
+    // Woodworking bench beside the ranger cabin (forest)
+    const checkCraftingBench = () => {
+        const near = isPlayerNearCraftingBench(room, posRef.current);
+        if (near !== craftingBenchInteraction) setCraftingBenchInteraction(near);
+    };
+    
     // Check world merchant NPC proximity (town + snow forts)
     const checkWorldNpcs = () => {
         if ((room !== 'town' && room !== 'snow_forts' && room !== 'forest_trails') || !worldNpcManagerRef.current) {
@@ -9798,16 +9954,22 @@ const VoxelWorld = ({
             checkLogForageSpots();
             checkWorldDropSpots();
             checkScavengeSpots();
+            checkCraftingBench();
             checkWorldNpcs();
             checkLordFishnu();
             checkArcadeMachines();
         }, 200);
         return () => clearInterval(interval);
-    }, [nearbyPortal, room, slotInteraction, goldSlotInteraction, goldSlotBet, blackjackInteraction, blackjackGameActive, fishingInteraction, fishingHoles, woodcuttingInteraction, woodChopProgress, mushroomInteraction, mushroomHarvestProgress, logForageInteraction, worldDropInteraction, scavengeInteraction, scavengeCooldowns, wormForageCooldowns, lordFishnuInteraction, arcadeInteraction, showPetShop, userData?.coins, userData?.fishingProgress?.starterRodClaimed, isAuthenticated, gameInventory, starterRodInteraction, mushroomClusters, worldDrops, nearbyNpcInteraction, nearbyTravelNpcInteraction, travelRouteStatuses, isMobile]);
+    }, [nearbyPortal, room, slotInteraction, goldSlotInteraction, goldSlotBet, blackjackInteraction, blackjackGameActive, fishingInteraction, fishingHoles, woodcuttingInteraction, woodChopProgress, mushroomInteraction, mushroomHarvestProgress, logForageInteraction, worldDropInteraction, scavengeInteraction, scavengeCooldowns, wormForageCooldowns, craftingBenchInteraction, lordFishnuInteraction, arcadeInteraction, showPetShop, userData?.coins, userData?.fishingProgress?.starterRodClaimed, isAuthenticated, canSaveProgress, gameInventory, starterRodInteraction, mushroomClusters, worldDrops, nearbyNpcInteraction, nearbyTravelNpcInteraction, travelRouteStatuses, isMobile]);
+
+    useEffect(() => {
+        snowballFightRef.current = snowballFight;
+        snowballFightArenaRef.current?.setMatch(snowballFight);
+    }, [snowballFight]);
 
     useEffect(() => {
         starterRodPickupRef.current?.setVisible(shouldShowStarterRod());
-    }, [room, isAuthenticated, userData?.fishingProgress?.starterRodClaimed, gameInventory]);
+    }, [room, canSaveProgress, userData?.fishingProgress?.starterRodClaimed, gameInventory]);
     
     // Handle portal entry
     const handlePortalEnter = () => {
@@ -9974,7 +10136,7 @@ const VoxelWorld = ({
     // Handle E key for portal entry
     useEffect(() => {
         const handleKeyPress = (e) => {
-            if (e.code === 'KeyE' && nearbyPortal && !emoteWheelOpen) {
+            if (isInteractKey(e) && nearbyPortal && !emoteWheelOpen) {
                 if (nearbyPortal.targetRoom || nearbyPortal.minigame || nearbyPortal.teleportToRoof || nearbyPortal.action) {
                     handlePortalEnter();
                 }
@@ -10106,7 +10268,7 @@ const VoxelWorld = ({
     
     useEffect(() => {
         const handleSlotKeyPress = (e) => {
-            if (e.code === 'KeyE') {
+            if (isInteractKey(e)) {
                 if (goldSlotInteractionRef.current?.canSpin && room === 'snow_forts'
                     && !nearbyPortal && !emoteWheelOpen && !goldSlotSpinning && !goldSpinLockRef.current) {
                     handleGoldSlotSpin();
@@ -10608,6 +10770,15 @@ const VoxelWorld = ({
         if (actionId === 'upgrade_rod') {
             return upgradeRod?.('fish_buyer');
         }
+        if (actionId === 'repair_gear' && npcDef?.merchantId && meta?.inventorySlot != null) {
+            const r = await repairGear?.(npcDef.merchantId, meta.inventorySlot, meta.useRepairKit === true);
+            if (r && !r.error) playSfx('merchant_buy');
+            return r;
+        }
+        if (actionId === 'toggle_auto_repair') {
+            setAutoRepair?.(meta?.enabled === true);
+            return { success: true };
+        }
         if (actionId === 'buy_basic_axe') {
             const merchantId = npcDef?.merchantId || 'supply_merchant';
             const r = await buyFromMerchant?.(merchantId, 'basic_axe');
@@ -10678,7 +10849,7 @@ const VoxelWorld = ({
             return { success: true, message: result.message || 'Timber order complete!' };
         }
         return null;
-    }, [upgradeBackpack, upgradeRod, buyFromMerchant, fetchGameInventory, turnInMushroomQuest, turnInNpcQuest, acceptNpcQuest, fetchDailyQuestStatus]);
+    }, [upgradeBackpack, upgradeRod, repairGear, setAutoRepair, buyFromMerchant, fetchGameInventory, turnInMushroomQuest, turnInNpcQuest, acceptNpcQuest, fetchDailyQuestStatus]);
     
     // Handle arcade game close (PvE Battleship)
     const handleArcadeGameClose = useCallback(() => {
@@ -10687,7 +10858,7 @@ const VoxelWorld = ({
     }, []);
     
     const handleStarterRodClaim = useCallback(async () => {
-        if (starterRodLockRef.current || !isAuthenticated) return;
+        if (starterRodLockRef.current || !canSaveProgress) return;
         const interaction = starterRodInteraction;
         if (!interaction?.canPickup) return;
         starterRodLockRef.current = true;
@@ -10702,12 +10873,12 @@ const VoxelWorld = ({
         starterRodPickupRef.current?.setVisible(false);
         setStarterRodInteraction(null);
         fetchGameInventory?.();
-    }, [starterRodInteraction, isAuthenticated, claimStarterRod, fetchGameInventory]);
+    }, [starterRodInteraction, canSaveProgress, claimStarterRod, fetchGameInventory]);
 
     // E key handler for fishing (town) and woodcutting (forest)
     useEffect(() => {
         const handleFishingKeyPress = (e) => {
-            if (e.code !== 'KeyE' || emoteWheelOpen) return;
+            if (!isInteractKey(e) || emoteWheelOpen) return;
             if (room === 'town' || room === 'snow_forts') {
                 if (room === 'snow_forts' && starterRodInteraction?.canPickup && !nearbyPortal) {
                     handleStarterRodClaim();
@@ -10733,6 +10904,10 @@ const VoxelWorld = ({
                     handleLogForageAction();
                     return;
                 }
+                if (craftingBenchInteraction && !nearbyPortal && !showCraftingBench) {
+                    setShowCraftingBench(true);
+                    return;
+                }
             }
             if ((room === 'snow_forts' || room === 'town') && scavengeInteraction?.canScavenge && !nearbyPortal && !emoteWheelOpen && !scavengeLockRef.current) {
                 handleScavengeAction();
@@ -10744,12 +10919,12 @@ const VoxelWorld = ({
         };
         window.addEventListener('keydown', handleFishingKeyPress);
         return () => window.removeEventListener('keydown', handleFishingKeyPress);
-    }, [nearbyPortal, emoteWheelOpen, room, handleFishingAction, handleWoodChopAction, handleMushroomHarvest, handleLogForageAction, handleScavengeAction, handleWorldDropPickup, handleStarterRodClaim, woodChopProgress, mushroomInteraction, mushroomHarvestProgress, logForageInteraction, worldDropInteraction, scavengeInteraction, starterRodInteraction, fishingGameActive]);
+    }, [nearbyPortal, emoteWheelOpen, room, handleFishingAction, handleWoodChopAction, handleMushroomHarvest, handleLogForageAction, handleScavengeAction, handleWorldDropPickup, handleStarterRodClaim, woodChopProgress, mushroomInteraction, mushroomHarvestProgress, logForageInteraction, worldDropInteraction, scavengeInteraction, starterRodInteraction, fishingGameActive, craftingBenchInteraction, showCraftingBench]);
     
     // E key handler for arcade machines (Battleship PvE)
     useEffect(() => {
         const handleArcadeKeyPress = (e) => {
-            if (e.code === 'KeyE' && room === 'town') {
+            if (isInteractKey(e) && room === 'town') {
                 if (arcadeInteraction && !nearbyPortal && !emoteWheelOpen && !arcadeGameActive) {
                     setArcadeGameType(arcadeInteraction.gameType || 'battleship');
                     setArcadeGameActive(true);
@@ -10791,7 +10966,7 @@ const VoxelWorld = ({
     // E key handler for world NPCs + Lord Fishnu
     useEffect(() => {
         const handleNpcKeyPress = (e) => {
-            if (e.code !== 'KeyE' || emoteWheelOpen) return;
+            if (!isInteractKey(e) || emoteWheelOpen) return;
 
             const travelNpc = nearbyTravelNpcInteractionRef.current;
             if (travelNpc && ['town', 'snow_forts', 'forest_trails'].includes(room)
@@ -10950,7 +11125,7 @@ const VoxelWorld = ({
             }
             
             // Lighthouse deck — E to descend (position check; UI uses nearbyInteraction)
-            if (e.code === 'KeyE' && roomRef.current === 'town') {
+            if (isInteractKey(e) && roomRef.current === 'town') {
                 const playerY = posRef.current.y;
                 const playerX = posRef.current.x;
                 const playerZ = posRef.current.z;
@@ -10973,7 +11148,7 @@ const VoxelWorld = ({
                 }
             }
             
-            if (e.code === 'KeyE' && nearbyInteraction && !nearbyPortal && !nearbyNpcInteractionRef.current) {
+            if (isInteractKey(e) && nearbyInteraction && !nearbyPortal && !nearbyNpcInteractionRef.current) {
                 // Let slot handlers consume E when a spin is available
                 if (goldSlotInteractionRef.current?.canSpin && roomRef.current === 'snow_forts') return;
                 if (slotInteractionRef.current?.canSpin && roomRef.current === 'casino_game_room') return;
@@ -11275,6 +11450,7 @@ const VoxelWorld = ({
                     posRef.current.y = 0;
                     posRef.current.z = spawnZ;
                     velRef.current = { x: 0, y: 0, z: 0 };
+                    pendingTeleportRef.current = 'spawn';
                     
                     if (playerRef.current) {
                         playerRef.current.position.set(spawnX, 0, spawnZ);
@@ -11404,8 +11580,10 @@ const VoxelWorld = ({
         if (!THREE) return null;
 
         let resolvedStyle = 'default';
+        let guildTag = null;
         if (typeof styleOrPlayerData === 'object' && styleOrPlayerData !== null) {
             resolvedStyle = resolveNametagStyle(styleOrPlayerData);
+            guildTag = styleOrPlayerData.guildTag || null;
         } else {
             const manual = styleOrPlayerData;
             if (manual === 'tier' || manual === 'auto' || manual === 'whale') {
@@ -11424,7 +11602,7 @@ const VoxelWorld = ({
         canvas.width = 512;
         canvas.height = 128;
         const ctx = canvas.getContext('2d');
-        drawNametagToCanvas(ctx, name, resolvedStyle);
+        drawNametagToCanvas(ctx, name, resolvedStyle, { guildTag });
 
         const texture = new THREE.CanvasTexture(canvas);
         const material = new THREE.SpriteMaterial({
@@ -11501,6 +11679,7 @@ const VoxelWorld = ({
                 appearance: { nametagStyle: newStyle },
                 cpNametagTier: userDataRef.current?.cpNametagTier,
                 day1NametagUnlocked: userDataRef.current?.day1NametagUnlocked,
+                guildTag: localGuildTagRef.current,
                 isAuthenticated,
                 walletAddress: walletAddress || userDataRef.current?.walletAddress,
             };
@@ -11565,6 +11744,26 @@ const VoxelWorld = ({
 
         window.dispatchEvent(new CustomEvent('nametagChanged', { detail: { style: 'tier' } }));
     }, [userData?.cpNametagTier, isAuthenticated, playerName]);
+
+    // Rebuild local nametag when guild membership changes the [TAG] badge
+    const prevGuildTagRef = useRef(undefined);
+    useEffect(() => {
+        const guildTag = guild?.tag || null;
+        localGuildTagRef.current = guildTag;
+        if (!playerRef.current || !playerName) return;
+        if (prevGuildTagRef.current === guildTag) return;
+        const hadPreviousTag = prevGuildTagRef.current !== undefined;
+        prevGuildTagRef.current = guildTag;
+        if (!hadPreviousTag && !guildTag) return;
+
+        let style = 'tier';
+        try {
+            const settings = JSON.parse(localStorage.getItem('game_settings') || '{}');
+            style = settings.nametagStyle || 'tier';
+        } catch { /* use default */ }
+
+        window.dispatchEvent(new CustomEvent('nametagChanged', { detail: { style } }));
+    }, [guild?.tag, playerName]);
     
     // Join room once per connection when world + mesh builder are ready (room changes use change_room)
     useEffect(() => {
@@ -11619,6 +11818,7 @@ const VoxelWorld = ({
                 appearance: { nametagStyle },
                 cpNametagTier: userDataRef.current?.cpNametagTier,
                 day1NametagUnlocked: userDataRef.current?.day1NametagUnlocked,
+                guildTag: localGuildTagRef.current,
                 isAuthenticated,
                 walletAddress: walletAddress || userDataRef.current?.walletAddress,
             };
@@ -11651,8 +11851,16 @@ const VoxelWorld = ({
             // Only send if moved significantly (including Y for jumps)
             if (distSq > 0.05 || dRot > 0.1 || yChanged) {
                 const pufflePos = playerPuffleRef.current?.position || null;
+                // Movement mode sets the server's speed cap (it checks the mount itself)
+                const mounted = !!playerRef.current?.userData?.mountData?.speedBoost && mountEnabledRef.current;
+                const sliding = (mountTrailSystemRef.current?.getFrictionMultiplier() ?? 1) < 1;
+                const movement = { mode: sliding ? 'slide' : mounted ? 'mount' : 'walk' };
+                if (pendingTeleportRef.current) {
+                    movement.teleport = pendingTeleportRef.current;
+                    pendingTeleportRef.current = null;
+                }
                 // Send full 3D position including Y for jump sync
-                sendPosition({ x: pos.x, y: pos.y, z: pos.z }, rot, pufflePos);
+                sendPosition({ x: pos.x, y: pos.y, z: pos.z }, rot, pufflePos, null, movement);
                 lastPositionSentRef.current = { x: pos.x, y: pos.y, z: pos.z, rot, time: Date.now() };
             }
             
@@ -11670,6 +11878,9 @@ const VoxelWorld = ({
         if (!registerCallbacks) return;
         
         registerCallbacks({
+            onPuffleList: (puffles) => {
+                setOwnedPuffles(puffles.map(p => Puffle.fromJSON(p)));
+            },
             onBallUpdate: (x, z, vx, vz) => {
                 // Update local ball from server
                 const rd = roomDataRef.current;
@@ -11877,8 +12088,11 @@ const VoxelWorld = ({
                 }
             },
             // Ice Fishing callbacks - simple catch bubble display
-            onFishingStarted: () => {
+            onFishingStarted: (data) => {
                 // Fishing started - minigame overlay handles display
+                if (data?.rodAutoRepaired) {
+                    setActiveBubble(`🔧 Your rod wore out — auto-repaired for ${data.rodRepairGold}g.`);
+                }
             },
             onPlayerCaughtFish: (data) => {
                 if (iceFishingSystemRef.current) {
@@ -11918,7 +12132,9 @@ const VoxelWorld = ({
                     setActiveBubble(
                         data.axeBroken
                             ? `Chopped ${label}! Your axe broke — buy a new one from Clive.`
-                            : `Chopped ${label}!`
+                            : data.axeAutoRepaired
+                                ? `Chopped ${label}! Your axe wore out — auto-repaired for ${data.axeRepairGold}g.`
+                                : `Chopped ${label}!`
                     );
                 }
             },
@@ -11998,7 +12214,9 @@ const VoxelWorld = ({
                     setActiveBubble(
                         data.axeBroken
                             ? `Chopped ${label}! Your axe broke — buy a new one from Clive.`
-                            : `Chopped ${label}!`
+                            : data.axeAutoRepaired
+                                ? `Chopped ${label}! Your axe wore out — auto-repaired for ${data.axeRepairGold}g.`
+                                : `Chopped ${label}!`
                     );
                 }
             },
@@ -12038,7 +12256,8 @@ const VoxelWorld = ({
                         tree.state,
                         tree.regrowAt,
                         tree.choppingBy || null,
-                        tree.stage
+                        tree.stage,
+                        tree.golden ?? null
                     );
                 }
             },
@@ -12103,10 +12322,10 @@ const VoxelWorld = ({
         const meshes = otherPlayerMeshesRef.current;
         const playersData = playersDataRef.current;
         
-        // Current player IDs from server
-        const currentPlayerIds = new Set(playerList);
+        // Players within interest range (the rest of the room has no mesh)
+        const currentPlayerIds = new Set(inRangePlayerList);
         
-        // Remove meshes for players who left
+        // Remove meshes for players who left the room or went out of range
         for (const [id, data] of meshes) {
             if (!currentPlayerIds.has(id)) {
                 if (data.mesh) {
@@ -12133,8 +12352,8 @@ const VoxelWorld = ({
             }
         }
         
-        // Create meshes for new players
-        for (const id of playerList) {
+        // Create meshes for players entering range
+        for (const id of inRangePlayerList) {
             if (meshes.has(id)) continue; // Already has mesh
             
             const playerData = playersData.get(id);
@@ -12250,7 +12469,7 @@ const VoxelWorld = ({
             playerData.needsMeshRebuild = false;
             console.log(`🐧 Created mesh for ${playerData.name}, emote: ${playerData.emote}, seatedOnFurniture: ${playerData.seatedOnFurniture}`);
         }
-    }, [playerList, createNameSprite, createPvpLabelSprite, meshBuilderReady, meshSyncVersion]);
+    }, [inRangePlayerList, createNameSprite, createPvpLabelSprite, meshBuilderReady, meshSyncVersion]);
     
     // Notify server after world spawn is ready (posRef is stale if sent before initWorld finishes)
     useEffect(() => {
@@ -12647,11 +12866,27 @@ const VoxelWorld = ({
                 currentRoom={room}
                 isInsideOwnedIgloo={isInsideOwnedIgloo}
                 onOpenIglooSettings={() => openSettingsPanel(room)}
+                onOpenIglooFurniture={() => setShowFurnitureEditor(true)}
              />
              
+             <CraftingBenchModal
+                isOpen={showCraftingBench}
+                onClose={() => setShowCraftingBench(false)}
+             />
+             
+             {isInsideOwnedIgloo && (
+                <IglooFurnitureEditor
+                    isOpen={showFurnitureEditor}
+                    onClose={() => setShowFurnitureEditor(false)}
+                    iglooId={room}
+                    interior={savedIglooInterior}
+                    onDraftChange={setIglooLayoutDraft}
+                />
+             )}
+             
              {/* Door/Portal Prompt - Use IglooPortal for igloos, regular Portal otherwise */}
              {/* Always get fresh iglooData from context to ensure real-time updates */}
-             {nearbyPortal && (ROOM_PORTALS[room] || []).some((p) => p.id === nearbyPortal.id) && nearbyPortal?.isIgloo ? (
+             {nearbyPortal && getRoomPortals(room).some((p) => p.id === nearbyPortal.id) && nearbyPortal?.isIgloo ? (
                 <IglooPortal
                     portal={nearbyPortal}
                     iglooData={getIgloo(nearbyPortal.targetRoom)}
@@ -12663,7 +12898,7 @@ const VoxelWorld = ({
                     isAuthenticated={isAuthenticated}
                     userClearance={userClearance?.[nearbyPortal?.targetRoom]}
                 />
-             ) : nearbyPortal && (ROOM_PORTALS[room] || []).some((p) => p.id === nearbyPortal.id) ? (
+             ) : nearbyPortal && getRoomPortals(room).some((p) => p.id === nearbyPortal.id) ? (
                 <Portal 
                     name={nearbyPortal?.name}
                     emoji={nearbyPortal?.emoji}
@@ -13114,6 +13349,24 @@ const VoxelWorld = ({
                 </div>
              )}
 
+             {craftingBenchInteraction && room === 'forest_trails' && !showCraftingBench && !nearbyPortal && !woodcuttingInteraction && !mushroomInteraction && !logForageInteraction && !fishingGameActive && (
+                <div className={`world-interaction-prompt absolute bg-black/80 backdrop-blur-sm rounded-xl border border-amber-500/40 text-center z-20 ${
+                    isMobile ? 'bottom-[170px] left-1/2 -translate-x-1/2 p-3' : 'bottom-24 left-1/2 -translate-x-1/2 p-4'
+                }`}>
+                    <div className="text-3xl mb-1">🪚</div>
+                    <p className="retro-text mb-2 text-sm text-amber-200">
+                        {isMobile ? `Tap to use the ${CRAFTING_BENCH.name}` : `Press E to use the ${CRAFTING_BENCH.name}`}
+                    </p>
+                    <button
+                        type="button"
+                        className="w-full px-6 py-2 font-bold rounded-lg retro-text text-sm transition-all bg-gradient-to-b from-amber-400 to-orange-700 text-black hover:from-amber-300 hover:to-orange-600 active:scale-95"
+                        onClick={() => setShowCraftingBench(true)}
+                    >
+                        Craft
+                    </button>
+                </div>
+             )}
+
              {(mushroomInteraction || mushroomHarvestProgress) && room === 'forest_trails' && !nearbyPortal && !woodcuttingInteraction && !woodChopProgress && !fishingGameActive && (
                 <div className={`world-interaction-prompt absolute bg-black/80 backdrop-blur-sm rounded-xl border border-purple-500/40 text-center z-20 ${
                     isMobile ? 'bottom-[170px] left-1/2 -translate-x-1/2 p-3 w-[min(100vw-2rem,280px)]' : 'bottom-24 left-1/2 -translate-x-1/2 p-4'
@@ -13818,6 +14071,10 @@ const VoxelWorld = ({
                              <span className="text-white/70 text-[10px]">Intensity:</span>
                              <span className="text-cyan-300 text-[10px]">{((snowfallSystemRef.current?.getIntensity() || 0.5) * 100).toFixed(0)}%</span>
                          </div>
+                         <div className="flex justify-between items-center">
+                             <span className="text-white/70 text-[10px]">Weather:</span>
+                             <span className="text-cyan-300 text-[10px]">{weatherSystemRef.current ? getWeatherState(weatherSystemRef.current.getStateId()).label : 'None (indoors)'}</span>
+                         </div>
                      </div>
                      
                      {/* Collision Debug Controls */}
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import {
+    DEFAULT_CONTROL_BINDINGS,
+    normalizeControlBindings,
+    rebindControl,
+    isBindableKey,
+    getKeyDisplayName,
+} from '../config/controls';
+import InputManager from '../systems/InputManager';
+
+describe('normalizeControlBindings', () => {
+    it('fills missing actions with defaults and drops unknown ones', () => {
+        const bindings = normalizeControlBindings({ jump: 'KeyJ', fly: 'KeyF' });
+        expect(bindings).toEqual({ ...DEFAULT_CONTROL_BINDINGS, jump: 'KeyJ' });
+    });
+
+    it('keeps a duplicated key on the first action only', () => {
+        const bindings = normalizeControlBindings({ moveForward: 'KeyE' });
+        expect(bindings.moveForward).toBe('KeyE');
+        // interact's default is taken, so it ends up unbound rather than sharing
+        expect(bindings.interact).toBeNull();
+    });
+
+    it('rejects reserved and malformed keys', () => {
+        const bindings = normalizeControlBindings({ jump: 'Escape', sit: 'Digit1', mount: '<script>' });
+        expect(bindings.jump).toBe('Space');
+        expect(bindings.sit).toBe('KeyC');
+        expect(bindings.mount).toBe('KeyZ');
+        expect(isBindableKey('ArrowUp')).toBe(false);
+        expect(isBindableKey('KeyQ')).toBe(true);
+    });
+});
+
+describe('rebindControl', () => {
+    it('swaps keys with the action that held the new key', () => {
+        const bindings = rebindControl(DEFAULT_CONTROL_BINDINGS, 'jump', 'KeyE');
+        expect(bindings.jump).toBe('KeyE');
+        expect(bindings.interact).toBe('Space');
+    });
+
+    it('ignores reserved keys', () => {
+        expect(rebindControl(DEFAULT_CONTROL_BINDINGS, 'jump', 'Slash')).toEqual(DEFAULT_CONTROL_BINDINGS);
+    });
+});
+
+describe('InputManager bindings', () => {
+    it('matches actions against the current bindings', () => {
+        const input = new InputManager();
+        input.setBindings({ moveForward: 'KeyI', interact: 'KeyF' });
+
+        expect(input.matchesAction('interact', { code: 'KeyF' })).toBe(true);
+        expect(input.matchesAction('interact', 'KeyE')).toBe(false);
+        expect(input.isMovementKey('KeyI')).toBe(true);
+        expect(input.isMovementKey('KeyW')).toBe(false);
+    });
+
+    it('uses bound keys for the movement vector', () => {
+        const input = new InputManager();
+        input.setBindings({ moveForward: 'KeyI' });
+        input.keys.KeyI = true;
+
+        expect(input.getMovementVector().z).toBe(-1);
+    });
+});
+
+describe('getKeyDisplayName', () => {
+    it('shortens key codes', () => {
+        expect(getKeyDisplayName('KeyT')).toBe('T');
+        expect(getKeyDisplayName('ShiftLeft')).toBe('Left Shift');
+        expect(getKeyDisplayName(null)).toBe('—');
+    });
+});
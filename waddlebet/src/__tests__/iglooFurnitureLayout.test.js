@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { getPlacementProblem } from '../config/iglooFurniture.js';
+import { createLayoutCollisionSystem } from '../rooms/IglooFurnitureLayer.js';
+import { getEditorPlacementProblem } from '../components/IglooFurnitureEditor.jsx';
+
+describe('igloo furniture placement', () => {
+    const couch = { id: 'couch_1', type: 'couch', x: 4, z: 4, rotation: 0 };
+
+    it('lets pieces sit flush but not overlap', () => {
+        const collisions = createLayoutCollisionSystem('default', [couch]);
+        // Couch covers world x -9..-4, z -9..-7
+        expect(collisions.findBoxOverlap(-3, -8, { x: 2, z: 2 })).toBeNull();
+        expect(collisions.findBoxOverlap(-4.5, -8, { x: 2, z: 2 })?.data.pieceId).toBe('couch_1');
+    });
+
+    it('walks over rugs', () => {
+        const collisions = createLayoutCollisionSystem('default', [{ id: 'rug_1', type: 'rug', x: 10, z: 10, rotation: 0 }]);
+        expect(collisions.findBoxOverlap(-1, -1, { x: 1, z: 1 })).toBeNull();
+    });
+
+    it('agrees with the server-side layout rules', () => {
+        const cases = [
+            [{ id: 'a', type: 'armchair', x: 5, z: 4, rotation: 0 }, [couch], 'default'],
+            [{ id: 'a', type: 'plant', x: 0, z: 0, rotation: 0 }, [], 'default'],
+            [{ id: 'a', type: 'tv', x: 12, z: 22, rotation: 0 }, [], 'default'],
+            [{ id: 'a', type: 'lamp', x: 12, z: 2, rotation: 0 }, [], 'skny'],
+            [{ id: 'a', type: 'couch', x: 8, z: 14, rotation: 1 }, [couch], 'default'],
+        ];
+        for (const [piece, others, style] of cases) {
+            expect(getEditorPlacementProblem(piece, others, style)).toBe(getPlacementProblem(piece, others, style));
+        }
+        expect(getEditorPlacementProblem(cases[3][0], [], 'skny')).toBe('Floor Lamp would block the bar');
+    });
+});
@@ -0,0 +1,33 @@
+import { describe, it, expect, vi } from 'vitest';
+import { MUTED_PLAYERS_EVENT, getMutedPlayers, isPlayerMuted, setPlayerMuted } from '../utils/mutedPlayers';
+import { shouldShowChatBubble } from '../systems/ChatBubbleSystem';
+
+describe('mutedPlayers', () => {
+    it('mutes case-insensitively, persists and notifies listeners', () => {
+        const listener = vi.fn();
+        window.addEventListener(MUTED_PLAYERS_EVENT, listener);
+
+        setPlayerMuted('Pinga', true);
+        expect(isPlayerMuted('pinga')).toBe(true);
+        expect(isPlayerMuted(' PINGA ')).toBe(true);
+        expect(shouldShowChatBubble('Pinga')).toBe(false);
+        expect(JSON.parse(localStorage.getItem('muted_players'))).toContain('pinga');
+        expect(listener).toHaveBeenCalledTimes(1);
+
+        // No-op when the state does not change
+        setPlayerMuted('pinga', true);
+        expect(listener).toHaveBeenCalledTimes(1);
+
+        setPlayerMuted('Pinga', false);
+        expect(getMutedPlayers()).not.toContain('pinga');
+        expect(shouldShowChatBubble('Pinga')).toBe(true);
+
+        window.removeEventListener(MUTED_PLAYERS_EVENT, listener);
+    });
+
+    it('ignores empty names', () => {
+        setPlayerMuted('', true);
+        expect(isPlayerMuted('')).toBe(false);
+        expect(isPlayerMuted(null)).toBe(false);
+    });
+});
@@ -0,0 +1,19 @@
+import { describe, it, expect } from 'vitest';
+import { getRaceProgress } from '../config/puffleRacing.js';
+
+describe('getRaceProgress', () => {
+    const course = [{ type: 'track', length: 10 }, { type: 'pond', length: 30 }];
+    const splits = [2, 8];
+
+    it('is zero before the gun and one after the finish', () => {
+        expect(getRaceProgress(course, splits, -1)).toBe(0);
+        expect(getRaceProgress(course, splits, 8)).toBe(1);
+        expect(getRaceProgress(course, splits, Infinity)).toBe(1);
+    });
+
+    it('interpolates within each segment at that segment\'s pace', () => {
+        expect(getRaceProgress(course, splits, 1)).toBeCloseTo(5 / 40);
+        expect(getRaceProgress(course, splits, 2)).toBeCloseTo(10 / 40);
+        expect(getRaceProgress(course, splits, 5)).toBeCloseTo(25 / 40);
+    });
+});
@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { exportSettingsBlob, parseSettingsBlob, pickSyncedSettings } from '../config/userSettings';
+import { diffSyncedSettings } from '../utils/settingsSync';
+
+describe('settings export / import', () => {
+    it('round-trips synced settings and leaves device-only ones out', () => {
+        const blob = exportSettingsBlob({ musicVolume: 0.5, leftHanded: true, showFps: true, language: 'fr' });
+        expect(parseSettingsBlob(blob)).toEqual({ musicVolume: 0.5, leftHanded: true, language: 'fr' });
+    });
+
+    it('rejects text that is not an export', () => {
+        expect(parseSettingsBlob('not json')).toBeNull();
+        expect(parseSettingsBlob(JSON.stringify({ settings: { leftHanded: true } }))).toBeNull();
+    });
+});
+
+describe('diffSyncedSettings', () => {
+    it('lists changed synced keys, comparing keybinds by value', () => {
+        const before = pickSyncedSettings({ snowEnabled: true, keybinds: { jump: 'Space' } });
+        const after = pickSyncedSettings({ snowEnabled: false, keybinds: { jump: 'Space' }, showFps: true });
+        expect(diffSyncedSettings(before, after)).toEqual(['snowEnabled']);
+    });
+});
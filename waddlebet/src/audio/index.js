@@ -30,6 +30,7 @@ export {
     setTrackPreference,
     setMusicEnergy,
     resetMusicEnergy,
+    setMusicWeather,
 } from './music';
 export { playSfx, playManualChopSound, playManualFallSound, stopTravelHum } from './sfx';
 export { updateProximityAmbient, stopProximityAmbient } from './proximityAmbient';
@@ -37,6 +37,10 @@ let lastRoom = '';
 let userTrackPref = 'auto';
 let musicEnergy = 0;
 let musicEnergyTarget = 0;
+/** Weather mood multipliers ({ tempo, melody, pad } from config/weather.js), null = none */
+let weatherMood = null;
+/** activeTrack with the weather mood applied — what the scheduler plays */
+let playingTrack = activeTrack;
 
 export function setMusicEnergy(target) {
     musicEnergyTarget = Math.max(0, Math.min(1, target ?? 0));
@@ -47,6 +51,26 @@ export function resetMusicEnergy() {
     musicEnergyTarget = 0;
 }
 
+function applyWeatherMood() {
+    playingTrack = weatherMood
+        ? {
+            ...activeTrack,
+            tempo: activeTrack.tempo * weatherMood.tempo,
+            melodyChance: Math.min(1, activeTrack.melodyChance * weatherMood.melody),
+            padVol: activeTrack.padVol * weatherMood.pad,
+        }
+        : activeTrack;
+}
+
+/**
+ * Colour the current track with the room's weather (blizzards rush, fog thins the melody).
+ * @param {{ tempo: number, melody: number, pad: number } | null} mood - null indoors
+ */
+export function setMusicWeather(mood) {
+    weatherMood = mood || null;
+    applyWeatherMood();
+}
+
 export function trackIdForRoom(room) {
     if (!room) return MENU_TRACK_ID;
     if (room.startsWith('travel:')) return 0;
@@ -108,6 +132,7 @@ export function switchTrack(trackId, force = false) {
     disconnectTrackMaster();
     currentTrackId = clamped;
     activeTrack = MUSIC_TRACKS[clamped] || MUSIC_TRACKS[0];
+    applyWeatherMood();
     if (musicOn && (wasPlaying || force)) startMusic();
 }
 
@@ -161,10 +186,10 @@ function schedulerTick() {
     const ctx = getAudioContext();
     if (!ctx || !trackMaster || !musicOn) return;
     musicEnergy += (musicEnergyTarget - musicEnergy) * 0.1;
-    const step = 60 / activeTrack.tempo / 2;
-    const energy = activeTrack.pattern === 'club' ? musicEnergy : 0;
+    const step = 60 / playingTrack.tempo / 2;
+    const energy = playingTrack.pattern === 'club' ? musicEnergy : 0;
     while (nextTime < ctx.currentTime + LOOKAHEAD_S) {
-        scheduleTrackStep(ctx, trackMaster, stepIdx, nextTime, step, activeTrack, energy);
+        scheduleTrackStep(ctx, trackMaster, stepIdx, nextTime, step, playingTrack, energy);
         stepIdx = (stepIdx + 1) % (BAR * 4);
         nextTime += step;
     }
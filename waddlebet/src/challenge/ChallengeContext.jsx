@@ -49,10 +49,23 @@ export function ChallengeProvider({ children }) {
     // Spectating state (P2P matches)
     const [activeMatches, setActiveMatches] = useState([]); // Matches in current room
     const [spectatingMatch, setSpectatingMatch] = useState({}); // matchId -> match state
+    const [mySideBets, setMySideBets] = useState({}); // matchId -> { side, amount } for bets we placed
     
     // PvE Activity Spectating state (fishing, blackjack vs dealer, etc.)
     const [activePveActivities, setActivePveActivities] = useState({}); // playerId -> activity state
     
+    // Match replay viewer: { matchId, side, loading, error, replay }
+    const [matchReplay, setMatchReplay] = useState(null);
+    // Shared replay link (?replay=MATCH_ID), opened once connected
+    const [sharedReplayId, setSharedReplayId] = useState(() => {
+        const params = new URLSearchParams(window.location.search);
+        const matchId = params.get('replay');
+        if (!matchId) return null;
+        params.delete('replay');
+        window.history.replaceState({}, '', params.toString() ? `?${params.toString()}` : window.location.pathname);
+        return matchId;
+    });
+    
     // Refs for cleanup of timeouts
     const matchEndTimeoutRef = useRef(null);
     const danceTimeoutRef = useRef(null);
@@ -219,7 +232,10 @@ export function ChallengeProvider({ children }) {
                         updateUserCoins(message.coins);
                     }
                     
-                    showNotification(`🎮 Match started against ${message.match.yourRole === 'player1' ? message.match.player2.name : message.match.player1.name}!`, 'success');
+                    const opponentName = message.match.yourRole === 'player1' ? message.match.player2.name : message.match.player1.name;
+                    showNotification(message.match.tournament
+                        ? `🏆 ${message.match.tournament.name} ${message.match.tournament.roundName} against ${opponentName}!`
+                        : `🎮 Match started against ${opponentName}!`, 'success');
                     break;
                     
                 case 'match_state':
@@ -327,11 +343,57 @@ export function ChallengeProvider({ children }) {
                             matchId: message.matchId,
                             players: message.players,
                             gameType: message.gameType,
-                            wagerAmount: message.wagerAmount
+                            wagerAmount: message.wagerAmount,
+                            sideBets: message.sideBets || null
                         }];
                     });
                     break;
                     
+                case 'match_side_bets':
+                    setActiveMatches(prev => prev.map(m => (
+                        m.matchId === message.matchId ? { ...m, sideBets: message.sideBets } : m
+                    )));
+                    break;
+                    
+                case 'match_side_bet_result':
+                    if (message.success) {
+                        setMySideBets(prev => ({
+                            ...prev,
+                            [message.matchId]: { side: message.side, amount: message.amount }
+                        }));
+                        showNotification(`🎲 ${message.message}`, 'success');
+                    } else {
+                        showNotification(`❌ ${message.message || 'Bet failed'}`, 'error');
+                    }
+                    if (message.newBalance !== null && message.newBalance !== undefined) {
+                        updateUserCoins(message.newBalance);
+                    }
+                    break;
+                    
+                case 'match_replay':
+                    setMatchReplay(prev => prev?.matchId === message.matchId
+                        ? { ...prev, loading: false, error: message.error, replay: message.replay }
+                        : prev);
+                    break;
+                    
+                case 'match_side_bet_settled':
+                    setMySideBets(prev => {
+                        const next = { ...prev };
+                        delete next[message.matchId];
+                        return next;
+                    });
+                    if (message.outcome === 'won') {
+                        showNotification(`🎲 ${message.backedName} won! Your side bet paid ${message.payout} gold`, 'success');
+                    } else if (message.outcome === 'refunded') {
+                        showNotification(`🎲 Side bet of ${message.payout} gold refunded`, 'info');
+                    } else {
+                        showNotification(`🎲 ${message.backedName} lost — your ${message.stake} gold side bet is gone`, 'info');
+                    }
+                    if (message.newBalance !== null && message.newBalance !== undefined) {
+                        updateUserCoins(message.newBalance);
+                    }
+                    break;
+                    
                 case 'match_spectate':
                     setSpectatingMatch(prev => ({
                         ...(prev || {}),
@@ -794,6 +856,41 @@ export function ChallengeProvider({ children }) {
         });
     }, [activeMatch, send]);
     
+    // Back a player in someone else's match (pari-mutuel, gold only)
+    const placeSideBet = useCallback((matchId, side, amount) => {
+        send({
+            type: 'match_side_bet',
+            matchId,
+            side,
+            amount
+        });
+    }, [send]);
+    
+    // Load a finished match's replay, seen from one player's side
+    const openReplay = useCallback((matchId, side = 'player1') => {
+        if (!matchId) return;
+        setMatchReplay(prev => ({
+            matchId,
+            side,
+            loading: true,
+            error: null,
+            // Keep the current frames up while switching sides
+            replay: prev?.matchId === matchId ? prev.replay : null
+        }));
+        send({ type: 'match_replay_get', matchId, side });
+    }, [send]);
+    
+    const closeReplay = useCallback(() => {
+        setMatchReplay(null);
+    }, []);
+    
+    // Open a shared replay link once the socket is up
+    useEffect(() => {
+        if (!connected || !sharedReplayId) return;
+        openReplay(sharedReplayId);
+        setSharedReplayId(null);
+    }, [connected, sharedReplayId, openReplay]);
+    
     // Forfeit match
     const forfeitMatch = useCallback(() => {
         if (!activeMatch) return;
@@ -849,7 +946,9 @@ export function ChallengeProvider({ children }) {
         isInMatch,
         activeMatches,
         spectatingMatch,
+        mySideBets, // matchId -> { side, amount } for side bets we have riding
         activePveActivities, // PvE activity spectating (fishing, blackjack, etc.)
+        matchReplay, // Replay viewer (finished matches, read-only)
         showInbox,
         showWagerModal,
         wagerGameType,
@@ -869,8 +968,11 @@ export function ChallengeProvider({ children }) {
         cancelChallenge,
         deleteInboxMessage,
         playCard,
+        placeSideBet,
         forfeitMatch,
         clearMatch,
+        openReplay,
+        closeReplay,
         syncCoins,
         toggleInbox,
         setShowInbox,
@@ -879,12 +981,12 @@ export function ChallengeProvider({ children }) {
         clearDance
     }), [
         inbox, unreadCount, selectedPlayer, selectedPlayerStats, activeMatch, matchState,
-        matchResult, isInMatch, activeMatches, spectatingMatch, activePveActivities,
+        matchResult, isInMatch, activeMatches, spectatingMatch, mySideBets, activePveActivities, matchReplay,
         showInbox, showWagerModal, wagerGameType, notification, pendingChallenges,
         shouldDance, isSigningWager,
         selectPlayer, clearSelectedPlayer, openWagerModal, closeWagerModal,
         sendChallenge, acceptChallenge, denyChallenge, cancelChallenge, deleteInboxMessage,
-        playCard, forfeitMatch, clearMatch, syncCoins, toggleInbox, showNotification,
+        playCard, placeSideBet, forfeitMatch, clearMatch, openReplay, closeReplay, syncCoins, toggleInbox, showNotification,
         updateLocalPosition, clearDance
     ]);
     
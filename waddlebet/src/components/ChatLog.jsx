@@ -5,6 +5,7 @@
 import React, { useState, useEffect, useLayoutEffect, useRef, useCallback, useMemo } from 'react';
 import { useMultiplayer } from '../multiplayer';
 import { useLanguage } from '../i18n';
+import { useMutedPlayers } from '../hooks';
 import { CHAT_TAB_CONFIG, getStaffChatTag, resolveMessageStaffRole } from '../utils/chatChannels';
 import {
     buildCommandInput,
@@ -52,9 +53,11 @@ const ChatLog = ({ isMobile = false, isOpen = true, onClose, minigameMode = fals
         hasWhisperActivity,
         activeChatTab,
         setActiveChatTab,
-        registerChatBubbleCallback
+        registerChatBubbleCallback,
+        guild
     } = useMultiplayer();
     const { t } = useLanguage();
+    const { mutedPlayers, isMuted } = useMutedPlayers();
 
     const [isActive, setIsActive] = useState(false);
     const [isMinimized, setIsMinimized] = useState(() => {
@@ -82,8 +85,17 @@ const ChatLog = ({ isMobile = false, isOpen = true, onClose, minigameMode = fals
     }, [hasWhisperActivity]);
 
     const activeTabConfig = CHAT_TAB_CONFIG.find((tab) => tab.id === activeChatTab) || CHAT_TAB_CONFIG[1];
-    const activeMessages = chatByChannel[activeChatTab] || [];
-    const canWrite = activeTabConfig.writable && !activeTabConfig.comingSoon;
+    // Muted players' lines are hidden locally; system lines and your own whispers always show
+    const activeMessages = useMemo(() => {
+        const messages = chatByChannel[activeChatTab] || [];
+        if (mutedPlayers.length === 0) return messages;
+        return messages.filter((msg) =>
+            msg.type === 'system' || msg.type === 'whisperOut' || msg.fromMe
+            || !isMuted(msg.type === 'whisperIn' ? (msg.fromName || msg.name) : msg.name)
+        );
+    }, [chatByChannel, activeChatTab, mutedPlayers, isMuted]);
+    const needsGuild = !!activeTabConfig.requiresGuild && !guild;
+    const canWrite = activeTabConfig.writable && !needsGuild;
     const enterPlaceholder = activeChatTab === 'local'
         ? t('chat.placeholderLocal')
         : `[${t('chat.enterToChat')}]`;
@@ -378,7 +390,7 @@ const ChatLog = ({ isMobile = false, isOpen = true, onClose, minigameMode = fals
             return;
         }
 
-        const channel = activeChatTab === 'global' ? 'global' : 'room';
+        const channel = activeChatTab === 'global' || activeChatTab === 'guild' ? activeChatTab : 'room';
         sendChat(text, channel);
         finishSendInput();
     };
@@ -485,7 +497,7 @@ const ChatLog = ({ isMobile = false, isOpen = true, onClose, minigameMode = fals
     const renderMessage = (msg, idx) => {
         const isPlayerLine = msg.type === 'local'
             || msg.type === 'afk'
-            || ((msg.channel === 'global' || msg.channel === 'room') && msg.playerId && msg.playerId !== 'system')
+            || (['global', 'room', 'guild'].includes(msg.channel) && msg.playerId && msg.playerId !== 'system')
             || (!msg.type && !msg.channel);
         const isSystemLine = !isPlayerLine
             && (msg.type === 'system' || ['casino', 'announcement', 'market'].includes(msg.channel));
@@ -657,7 +669,7 @@ const ChatLog = ({ isMobile = false, isOpen = true, onClose, minigameMode = fals
                             type="button"
                             onClick={() => setActiveChatTab(tab.id)}
                             className={`rs-chat-tab${isActiveTab ? ' rs-chat-tab--active' : ''}${unread ? ' rs-chat-tab--unread' : ''}`}
-                            title={tab.comingSoon ? t('chat.tab.comingSoon') : t(tab.labelKey)}
+                            title={t(tab.labelKey)}
                             aria-label={t(tab.labelKey)}
                         >
                             <span className="rs-chat-tab-icon" aria-hidden="true">{tab.icon}</span>
@@ -671,8 +683,8 @@ const ChatLog = ({ isMobile = false, isOpen = true, onClose, minigameMode = fals
                 className={`rs-chat-messages chat-scroll chat-messages overflow-y-auto overflow-x-hidden overscroll-contain${isMobile ? ' flex-1 min-h-0' : ''}`}
             >
                 <div className="px-2 py-1.5 space-y-0.5">
-                    {activeTabConfig.comingSoon ? (
-                        <div className="rs-chat-empty">{t('chat.tab.comingSoon')}</div>
+                    {needsGuild && activeMessages.length === 0 ? (
+                        <div className="rs-chat-empty">{t('chat.guild.noGuild')}</div>
                     ) : activeMessages.length === 0 ? (
                         <div className="rs-chat-empty">{t('chat.noMessages')}</div>
                     ) : (
@@ -0,0 +1,206 @@
+/**
+ * CraftingBenchModal — Woodworking Bench recipes, the craft on the bench and crafting level.
+ * The server owns the inputs, timer and XP; this only shows what the backpack can afford.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { useMultiplayer } from '../multiplayer';
+import { useEscapeKey } from '../hooks';
+import {
+    CRAFTING_BENCH,
+    CRAFTING_RECIPES,
+    getCraftingRecipe,
+    getCraftingItemLabel,
+} from '../config/crafting';
+
+const CATEGORY_LABELS = {
+    furniture: '🪑 Furniture',
+    decor: '🏮 Decor',
+    bait: '🪱 Bait',
+    repair: '🔧 Repair',
+};
+
+function formatDuration(ms) {
+    const seconds = Math.max(0, Math.ceil(ms / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+/** How many of a recipe input the backpack holds */
+function countInput(slots, input) {
+    return slots.reduce((sum, slot) => {
+        if (!slot?.itemId || !(slot.quantity > 0)) return sum;
+        if (input.fishMinTier != null) {
+            return slot.category === 'fish' && (Number(slot.tier) || 1) >= input.fishMinTier ? sum + slot.quantity : sum;
+        }
+        return slot.itemId === input.itemId ? sum + slot.quantity : sum;
+    }, 0);
+}
+
+export default function CraftingBenchModal({ isOpen, onClose }) {
+    const { gameInventory, craftingStatus, fetchCraftingStatus, startCraft, collectCraft, isAuthenticated } = useMultiplayer();
+    const [now, setNow] = useState(() => Date.now());
+    const [pending, setPending] = useState(false);
+    const [feedback, setFeedback] = useState(null);
+
+    useEscapeKey(onClose, isOpen);
+
+    useEffect(() => {
+        if (!isOpen) return undefined;
+        fetchCraftingStatus();
+        setFeedback(null);
+        const timer = setInterval(() => setNow(Date.now()), 500);
+        return () => clearInterval(timer);
+    }, [isOpen, fetchCraftingStatus]);
+
+    const slots = gameInventory?.slots || [];
+    const recipeRows = useMemo(() => CRAFTING_RECIPES.map((recipe) => ({
+        recipe,
+        inputs: recipe.inputs.map((input) => ({ ...input, have: countInput(slots, input) })),
+    })), [slots]);
+
+    if (!isOpen) return null;
+
+    const level = craftingStatus?.skillLevel || 1;
+    const skillXp = craftingStatus?.skillXp || 0;
+    const nextLevelXp = craftingStatus?.nextLevelXp ?? null;
+    const active = craftingStatus?.activeCraft || null;
+    const activeRecipe = active ? getCraftingRecipe(active.recipeId) : null;
+    const remainingMs = active ? active.readyAt - now : 0;
+    const activeProgress = active ? Math.min(1, (now - active.startedAt) / Math.max(1, active.readyAt - active.startedAt)) : 0;
+
+    const run = async (request) => {
+        setPending(true);
+        const result = await request();
+        setPending(false);
+        if (result?.success && result.action === 'collect') {
+            const label = getCraftingItemLabel({ itemId: result.itemId });
+            setFeedback({
+                ok: true,
+                text: `${label.emoji} ${result.quantity > 1 ? `${result.quantity}× ` : ''}${label.name} crafted · +${result.xpGained} XP${result.leveledUp ? ' · Level up!' : ''}`,
+            });
+        } else if (result?.success) {
+            setFeedback({ ok: true, text: 'Crafting started' });
+        } else {
+            setFeedback({ ok: false, text: result?.message || 'Something went wrong' });
+        }
+    };
+
+    return createPortal(
+        <div className="fixed inset-0 z-[220] flex items-center justify-center bg-black/70 backdrop-blur-sm p-4" data-no-camera="true">
+            <div className="w-full max-w-2xl max-h-[85vh] flex flex-col rounded-2xl border-2 border-amber-500/40 bg-gradient-to-b from-slate-900 to-slate-950 shadow-2xl overflow-hidden">
+                <div className="px-4 py-3 border-b border-amber-500/20 flex items-center justify-between">
+                    <div>
+                        <h2 className="text-amber-300 font-bold retro-text text-sm">🪚 {CRAFTING_BENCH.name}</h2>
+                        <p className="text-gray-400 text-xs mt-0.5">Turn logs, fish and mushrooms into furniture and gear</p>
+                    </div>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="text-gray-400 hover:text-white text-xl leading-none px-2"
+                        aria-label="Close"
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div className="px-4 pt-3">
+                    <div className="flex items-center justify-between text-[11px]">
+                        <span className="text-white font-bold">Crafting level {level}</span>
+                        <span className="text-gray-400">
+                            {nextLevelXp != null ? `${skillXp} / ${nextLevelXp} XP` : `${skillXp} XP · max level`}
+                        </span>
+                    </div>
+                    <div className="h-1.5 rounded-full bg-black/40 mt-1 overflow-hidden">
+                        <div
+                            className="h-full bg-amber-500"
+                            style={{ width: `${nextLevelXp != null ? Math.min(100, (skillXp / nextLevelXp) * 100) : 100}%` }}
+                        />
+                    </div>
+                </div>
+
+                {activeRecipe && (
+                    <div className="mx-4 mt-3 rounded-lg border border-amber-400/40 bg-amber-500/10 px-3 py-2">
+                        <div className="flex items-center justify-between gap-2">
+                            <div className="text-sm text-white font-bold truncate">
+                                {getCraftingItemLabel(activeRecipe.output).emoji} {getCraftingItemLabel(activeRecipe.output).name}
+                                {activeRecipe.output.quantity > 1 && ` ×${activeRecipe.output.quantity}`}
+                            </div>
+                            {remainingMs > 0 ? (
+                                <span className="text-[11px] text-amber-200 whitespace-nowrap">Ready in {formatDuration(remainingMs)}</span>
+                            ) : (
+                                <button
+                                    type="button"
+                                    disabled={pending}
+                                    onClick={() => run(collectCraft)}
+                                    className="bg-emerald-600 hover:bg-emerald-500 disabled:opacity-40 text-white text-[11px] font-bold rounded px-2 py-1"
+                                >
+                                    Collect
+                                </button>
+                            )}
+                        </div>
+                        <div className="h-1 rounded-full bg-black/40 mt-1.5 overflow-hidden">
+                            <div className="h-full bg-emerald-500 transition-[width] duration-500" style={{ width: `${activeProgress * 100}%` }} />
+                        </div>
+                    </div>
+                )}
+
+                {feedback && (
+                    <p className={`mx-4 mt-2 text-[11px] ${feedback.ok ? 'text-emerald-300' : 'text-red-300'}`}>{feedback.text}</p>
+                )}
+
+                <div className="p-4 overflow-y-auto overscroll-contain flex flex-col gap-2">
+                    {!isAuthenticated && (
+                        <p className="text-gray-400 text-xs">Sign in with a wallet to craft.</p>
+                    )}
+                    {recipeRows.map(({ recipe, inputs }) => {
+                        const output = getCraftingItemLabel(recipe.output);
+                        const locked = level < recipe.minLevel;
+                        const affordable = inputs.every((input) => input.have >= input.quantity);
+                        return (
+                            <div
+                                key={recipe.id}
+                                className={`rounded-lg border px-3 py-2 ${locked ? 'border-white/5 bg-black/30 opacity-60' : 'border-white/10 bg-white/5'}`}
+                            >
+                                <div className="flex items-center justify-between gap-2">
+                                    <div className="min-w-0">
+                                        <div className="text-sm text-white font-bold truncate">
+                                            {output.emoji} {output.name}{recipe.output.quantity > 1 && ` ×${recipe.output.quantity}`}
+                                        </div>
+                                        <div className="text-[10px] text-gray-400">
+                                            {CATEGORY_LABELS[recipe.category] || recipe.category} · {formatDuration(recipe.durationMs)} · +{recipe.xp} XP
+                                        </div>
+                                    </div>
+                                    <button
+                                        type="button"
+                                        disabled={!isAuthenticated || pending || locked || !affordable || !!active}
+                                        onClick={() => run(() => startCraft(recipe.id))}
+                                        className="bg-amber-600 hover:bg-amber-500 disabled:opacity-40 text-white text-[11px] font-bold rounded px-2 py-1 whitespace-nowrap"
+                                    >
+                                        {locked ? `Level ${recipe.minLevel}` : 'Craft'}
+                                    </button>
+                                </div>
+                                <div className="flex flex-wrap gap-1.5 mt-1.5">
+                                    {inputs.map((input) => {
+                                        const label = getCraftingItemLabel(input);
+                                        const enough = input.have >= input.quantity;
+                                        return (
+                                            <span
+                                                key={input.itemId || `fish_${input.fishMinTier}`}
+                                                className={`rounded px-2 py-0.5 text-[11px] bg-black/30 ${enough ? 'text-white' : 'text-red-300'}`}
+                                            >
+                                                {label.emoji} {label.name} {Math.min(input.have, input.quantity)}/{input.quantity}
+                                            </span>
+                                        );
+                                    })}
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+        </div>,
+        document.body
+    );
+}
@@ -0,0 +1,185 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { useMultiplayer } from '../multiplayer';
+import { useLanguage } from '../i18n';
+import { getRoomLabel } from '../utils/roomLabels';
+
+const BUTTON = 'px-2 py-1 rounded-md text-[11px] font-bold border transition-colors disabled:opacity-40 disabled:cursor-not-allowed';
+
+/**
+ * FriendsModal — friend list with live presence, requests, and "join friend".
+ * State comes from `friends_state` / `friend_presence`; actions are `friend_*` messages.
+ */
+export default function FriendsModal({ isOpen, onClose }) {
+    const {
+        friends,
+        friendRequests,
+        isAuthenticated,
+        send,
+        addMessageHandler,
+        removeMessageHandler,
+    } = useMultiplayer();
+    const { t } = useLanguage();
+    const [targetName, setTargetName] = useState('');
+    const [status, setStatus] = useState(null);
+    const onCloseRef = useRef(onClose);
+    onCloseRef.current = onClose;
+
+    useEffect(() => {
+        if (!isOpen) return undefined;
+        send({ type: 'friend_get_state' });
+        setStatus(null);
+
+        const handler = (message) => {
+            if (message.type !== 'friend_result') return;
+            setStatus({ ok: message.success, text: message.message || (message.success ? 'Done' : 'Something went wrong') });
+            if (message.action === 'join' && message.success) {
+                onCloseRef.current?.();
+            }
+        };
+        addMessageHandler(handler);
+        return () => removeMessageHandler(handler);
+    }, [isOpen, send, addMessageHandler, removeMessageHandler]);
+
+    if (!isOpen) return null;
+
+    const handleRequest = (e) => {
+        e.preventDefault();
+        if (!targetName.trim()) return;
+        send({ type: 'friend_request', targetName: targetName.trim() });
+        setTargetName('');
+    };
+
+    const act = (type, walletAddress) => send({ type, walletAddress });
+    const onlineCount = friends.filter((f) => f.online).length;
+
+    return createPortal(
+        <div className="fixed inset-0 z-[220] flex items-center justify-center bg-black/70 backdrop-blur-sm p-4" data-no-camera="true">
+            <div className="w-full max-w-md max-h-[85vh] flex flex-col rounded-2xl border-2 border-sky-500/40 bg-gradient-to-b from-slate-900 to-slate-950 shadow-2xl overflow-hidden">
+                <div className="px-4 py-3 border-b border-sky-500/20 flex items-center justify-between">
+                    <div>
+                        <h2 className="text-sky-300 font-bold retro-text text-sm">Friends</h2>
+                        <p className="text-gray-400 text-xs mt-0.5">{onlineCount}/{friends.length} online</p>
+                    </div>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="text-gray-400 hover:text-white text-xl leading-none px-2"
+                        aria-label="Close"
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div className="p-4 space-y-4 overflow-y-auto overscroll-contain">
+                    {!isAuthenticated ? (
+                        <p className="text-gray-400 text-xs">Sign in with a wallet to add friends.</p>
+                    ) : (
+                        <>
+                            {status && (
+                                <div className={`text-xs rounded-lg px-3 py-2 ${status.ok ? 'bg-green-900/40 text-green-300' : 'bg-red-900/40 text-red-300'}`}>
+                                    {status.text}
+                                </div>
+                            )}
+
+                            <form onSubmit={handleRequest} className="flex gap-2">
+                                <input
+                                    value={targetName}
+                                    onChange={(e) => setTargetName(e.target.value)}
+                                    maxLength={20}
+                                    placeholder="Add friend by username"
+                                    className="flex-1 bg-black/40 border border-white/10 rounded-lg px-3 py-1.5 text-xs text-white"
+                                />
+                                <button type="submit" className={`${BUTTON} bg-sky-600 text-white border-sky-400`}>
+                                    Add
+                                </button>
+                            </form>
+
+                            {friendRequests.incoming.length > 0 && (
+                                <div className="space-y-1">
+                                    <h3 className="text-xs font-bold text-white/70 uppercase tracking-wide">Requests</h3>
+                                    {friendRequests.incoming.map((req) => (
+                                        <div key={req.walletAddress} className="flex items-center gap-2 bg-white/5 rounded-lg px-3 py-1.5">
+                                            <span className="flex-1 min-w-0 text-sm text-white truncate">{req.username || req.walletAddress.slice(0, 6)}</span>
+                                            <button
+                                                type="button"
+                                                className={`${BUTTON} bg-sky-600 text-white border-sky-400`}
+                                                onClick={() => act('friend_accept', req.walletAddress)}
+                                            >
+                                                Accept
+                                            </button>
+                                            <button
+                                                type="button"
+                                                className={`${BUTTON} bg-gray-800 text-gray-300 border-gray-600`}
+                                                onClick={() => act('friend_decline', req.walletAddress)}
+                                            >
+                                                Decline
+                                            </button>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+
+                            <div className="space-y-1">
+                                {friends.length === 0 && (
+                                    <p className="text-gray-500 text-xs text-center py-4">No friends yet — add someone by their username.</p>
+                                )}
+                                {friends.map((f) => (
+                                    <div key={f.walletAddress} className="flex items-center gap-2 bg-white/5 rounded-lg px-3 py-1.5">
+                                        <span className={`w-1.5 h-1.5 rounded-full shrink-0 ${f.online ? 'bg-green-400' : 'bg-gray-600'}`} />
+                                        <div className="flex-1 min-w-0">
+                                            <div className="text-sm text-white truncate">{f.username || f.walletAddress.slice(0, 6)}</div>
+                                            {f.online && f.room && (
+                                                <div className="text-[10px] text-gray-400 truncate">{getRoomLabel(f.room, t, { emoji: true })}</div>
+                                            )}
+                                        </div>
+                                        {f.online && (
+                                            <button
+                                                type="button"
+                                                className={`${BUTTON} bg-sky-600 text-white border-sky-400`}
+                                                onClick={() => act('friend_join', f.walletAddress)}
+                                            >
+                                                Join
+                                            </button>
+                                        )}
+                                        <button
+                                            type="button"
+                                            title="Remove friend"
+                                            className={`${BUTTON} bg-red-950/60 text-red-300 border-red-800`}
+                                            onClick={() => {
+                                                if (window.confirm(`Remove ${f.username || 'this player'} from your friends?`)) {
+                                                    act('friend_remove', f.walletAddress);
+                                                }
+                                            }}
+                                        >
+                                            ✕
+                                        </button>
+                                    </div>
+                                ))}
+                            </div>
+
+                            {friendRequests.outgoing.length > 0 && (
+                                <div className="space-y-1">
+                                    <h3 className="text-xs font-bold text-white/70 uppercase tracking-wide">Sent</h3>
+                                    {friendRequests.outgoing.map((req) => (
+                                        <div key={req.walletAddress} className="flex items-center gap-2 bg-white/5 rounded-lg px-3 py-1.5">
+                                            <span className="flex-1 min-w-0 text-xs text-gray-300 truncate">{req.username || req.walletAddress.slice(0, 6)}</span>
+                                            <button
+                                                type="button"
+                                                className={`${BUTTON} bg-gray-800 text-gray-300 border-gray-600`}
+                                                onClick={() => act('friend_decline', req.walletAddress)}
+                                            >
+                                                Cancel
+                                            </button>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>,
+        document.body
+    );
+}
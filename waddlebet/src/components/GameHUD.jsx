@@ -11,8 +11,17 @@ import MarketplaceModal from './MarketplaceModal';
 import TutorialModal, { shouldShowTutorial } from './TutorialModal';
 import OnboardingQuestHUD from './OnboardingQuestHUD';
 import DailyQuestHUD from './DailyQuestHUD';
+import WorldEventHUD from './WorldEventHUD';
+import SnowballFightHUD from './SnowballFightHUD';
 import DailyBonusModal from './DailyBonusModal';
 import DropGoldModal from './DropGoldModal';
+import GuildModal from './GuildModal';
+import FriendsModal from './FriendsModal';
+import ModeratorQueueModal from './ModeratorQueueModal';
+import StampBookModal from './StampBookModal';
+import TournamentsModal from './TournamentsModal';
+import PuffleRaceSpectator from './PuffleRaceSpectator';
+import { SideBetsContainer } from './MatchSpectator';
 import { playSfx } from '../audio';
 import ServerPopulationPopup from './ServerPopulationPopup';
 import { useMultiplayer } from '../multiplayer';
@@ -37,6 +46,7 @@ const GameHUD = ({
     currentRoom,
     isInsideOwnedIgloo = false,
     onOpenIglooSettings,
+    onOpenIglooFurniture,
 }) => {
     const [coins, setCoins] = useState(0);
     const [showStatsModal, setShowStatsModal] = useState(false);
@@ -48,6 +58,11 @@ const GameHUD = ({
     const [showTutorial, setShowTutorial] = useState(false);
     const [forceTutorial, setForceTutorial] = useState(false);
     const [showDailyBonus, setShowDailyBonus] = useState(false);
+    const [showGuild, setShowGuild] = useState(false);
+    const [showFriends, setShowFriends] = useState(false);
+    const [showModeration, setShowModeration] = useState(false);
+    const [showStamps, setShowStamps] = useState(false);
+    const [showTournaments, setShowTournaments] = useState(false);
     const [mobileServerPopOpen, setMobileServerPopOpen] = useState(false);
     const [showDropGold, setShowDropGold] = useState(false);
     const [droppingGold, setDroppingGold] = useState(false);
@@ -176,7 +191,13 @@ const GameHUD = ({
                 onOpenSettingsGuide={onOpenSettingsGuide}
                 onOpenStats={() => setShowStatsModal(true)}
                 onOpenDailyBonus={() => setShowDailyBonus(true)}
+                onOpenGuild={() => setShowGuild(true)}
+                onOpenFriends={() => setShowFriends(true)}
+                onOpenStamps={() => setShowStamps(true)}
+                onOpenTournaments={() => setShowTournaments(true)}
+                onOpenModeration={() => setShowModeration(true)}
                 onOpenIglooSettings={onOpenIglooSettings}
+                onOpenIglooFurniture={onOpenIglooFurniture}
                 isInsideOwnedIgloo={isInsideOwnedIgloo}
                 showInbox={showInbox}
                 onRequestAuth={onRequestAuth}
@@ -199,6 +220,10 @@ const GameHUD = ({
                 </div>
             )}
 
+            <PuffleRaceSpectator />
+            <SnowballFightHUD currentRoom={currentRoom} />
+            <SideBetsContainer />
+
             {isAuthenticated && (
                 <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-30 pointer-events-none">
                     <GameHotbar />
@@ -219,6 +244,11 @@ const GameHUD = ({
                 forceShow={forceTutorial}
             />
             <DailyBonusModal isOpen={showDailyBonus} onClose={() => setShowDailyBonus(false)} />
+            <GuildModal isOpen={showGuild} onClose={() => setShowGuild(false)} />
+            <FriendsModal isOpen={showFriends} onClose={() => setShowFriends(false)} />
+            <ModeratorQueueModal isOpen={showModeration} onClose={() => setShowModeration(false)} />
+            <StampBookModal isOpen={showStamps} onClose={() => setShowStamps(false)} />
+            <TournamentsModal isOpen={showTournaments} onClose={() => setShowTournaments(false)} />
             <DropGoldModal
                 isOpen={showDropGold}
                 onClose={() => {
@@ -233,6 +263,7 @@ const GameHUD = ({
 
             <OnboardingQuestHUD isMobile={isMobile} isPortrait={isPortrait} />
             <DailyQuestHUD isMobile={isMobile} isPortrait={isPortrait} />
+            <WorldEventHUD currentRoom={currentRoom} isMobile={isMobile} isPortrait={isPortrait} />
         </>
     );
 };
@@ -6,6 +6,13 @@ import React, { useCallback, useEffect } from 'react';
 import { useMultiplayer } from '../multiplayer';
 import { HOTBAR_SIZE, playHotbarEquipSound } from '../utils/gameHotbar';
 
+/** At or below this share of max durability a tool/rod shows a repair warning. */
+const LOW_DURABILITY_RATIO = 0.2;
+
+function isLowDurability(durability, maxDurability) {
+    return maxDurability > 0 && durability != null && durability / maxDurability <= LOW_DURABILITY_RATIO;
+}
+
 function DurabilityBar({ durability, maxDurability }) {
     if (maxDurability == null || durability == null) return null;
     const pct = Math.max(0, Math.min(100, (durability / maxDurability) * 100));
@@ -26,13 +33,17 @@ function isTypingTarget(target) {
 export default function GameHotbar({ className = '', inventoryMode = false, suppressClickRef = null }) {
     const {
         gameInventory,
-        isAuthenticated,
+        canSaveProgress,
         setGameHotbarSlot,
         setActiveHotbarSlot
     } = useMultiplayer();
 
     const hotbar = gameInventory?.hotbar || [];
     const activeHotbar = gameInventory?.activeHotbar ?? 0;
+    const autoRepair = gameInventory?.autoRepair === true;
+    const activeEntry = hotbar[activeHotbar];
+    const activeWorn = Boolean(activeEntry?.itemId)
+        && isLowDurability(activeEntry.durability ?? activeEntry.metadata?.durability, activeEntry.maxDurability ?? activeEntry.metadata?.maxDurability);
 
     const selectHotbarSlot = useCallback((index) => {
         const entry = hotbar[index];
@@ -59,7 +70,7 @@ export default function GameHotbar({ className = '', inventoryMode = false, supp
     }, [setGameHotbarSlot]);
 
     useEffect(() => {
-        if (!isAuthenticated) return undefined;
+        if (!canSaveProgress) return undefined;
 
         const onKeyDown = (e) => {
             if (e.repeat || isTypingTarget(e.target)) return;
@@ -70,23 +81,38 @@ export default function GameHotbar({ className = '', inventoryMode = false, supp
             }
         };
 
+        // Gamepad bumpers (InputManager.pollGamepad) step through the slots
+        const onCycle = (e) => {
+            const direction = e.detail?.direction === -1 ? -1 : 1;
+            selectHotbarSlot((activeHotbar + direction + HOTBAR_SIZE) % HOTBAR_SIZE);
+        };
+
         window.addEventListener('keydown', onKeyDown);
-        return () => window.removeEventListener('keydown', onKeyDown);
-    }, [isAuthenticated, selectHotbarSlot]);
+        window.addEventListener('cycleHotbarSlot', onCycle);
+        return () => {
+            window.removeEventListener('keydown', onKeyDown);
+            window.removeEventListener('cycleHotbarSlot', onCycle);
+        };
+    }, [canSaveProgress, activeHotbar, selectHotbarSlot]);
 
-    if (!isAuthenticated) return null;
+    if (!canSaveProgress) return null;
 
     return (
-        <div
-            className={`flex items-center justify-center gap-1.5 pointer-events-auto ${className}`}
-            aria-label="Hand hotbar"
-        >
+        <div className={`relative flex items-center justify-center gap-1.5 pointer-events-auto ${className}`} aria-label="Hand hotbar">
+            {activeWorn && !inventoryMode && (
+                <div className="absolute -top-7 left-1/2 -translate-x-1/2 whitespace-nowrap rounded-md bg-black/75 border border-red-500/50 px-2 py-0.5 text-[10px] font-bold text-red-300 pointer-events-none">
+                    ⚠️ {activeEntry.name} is nearly worn out — {autoRepair
+                        ? 'auto-repair is on'
+                        : activeEntry.category === 'rod' ? 'repair it at Old Salty' : 'repair it at Copper Clive'}
+                </div>
+            )}
             {Array.from({ length: HOTBAR_SIZE }, (_, index) => {
                 const entry = hotbar[index];
                 const hasItem = Boolean(entry?.itemId) && Number(entry?.quantity) > 0;
                 const isActive = activeHotbar === index;
                 const durability = entry?.durability ?? entry?.metadata?.durability;
                 const maxDurability = entry?.maxDurability ?? entry?.metadata?.maxDurability;
+                const worn = hasItem && isLowDurability(durability, maxDurability);
                 const slotLabel = index + 1;
 
                 return (
@@ -108,7 +134,8 @@ export default function GameHotbar({ className = '', inventoryMode = false, supp
                             'hotbar-slot relative w-11 h-11 sm:w-12 sm:h-12 rounded-lg border-2 transition-all touch-manipulation',
                             'bg-slate-900/80 backdrop-blur-sm',
                             isActive ? 'border-cyan-400 shadow-[0_0_10px_rgba(34,211,238,0.45)] scale-105' : 'border-slate-600/70 hover:border-slate-400/80 active:scale-95',
-                            !hasItem ? 'border-dashed opacity-80' : ''
+                            !hasItem ? 'border-dashed opacity-80' : '',
+                            worn && !isActive ? 'border-red-500/80' : ''
                         ].join(' ')}
                     >
                         <span className={`absolute top-0.5 left-1 text-[9px] font-bold pointer-events-none ${isActive ? 'text-cyan-300' : 'text-slate-500'}`}>
@@ -120,6 +147,9 @@ export default function GameHotbar({ className = '', inventoryMode = false, supp
                                     {entry.emoji || '📦'}
                                 </span>
                                 <DurabilityBar durability={durability} maxDurability={maxDurability} />
+                                {worn && (
+                                    <span className="absolute top-0 right-0.5 text-[10px] leading-none pointer-events-none" aria-label="Low durability">⚠️</span>
+                                )}
                             </>
                         ) : null}
                     </button>
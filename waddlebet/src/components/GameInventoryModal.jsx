@@ -36,7 +36,8 @@ export default function GameInventoryModal({ isOpen, onClose, sellMerchantId = n
         sellAtMerchant,
         sellBatchAtMerchant,
         dropWorldItem,
-        isAuthenticated
+        isAuthenticated,
+        canSaveProgress
     } = useMultiplayer();
 
     const canSell = Boolean(sellMerchantId && getMerchant(sellMerchantId));
@@ -84,10 +85,10 @@ export default function GameInventoryModal({ isOpen, onClose, sellMerchantId = n
     useEscapeKey(onClose, isOpen);
 
     useEffect(() => {
-        if (isOpen && isAuthenticated) {
+        if (isOpen && canSaveProgress) {
             fetchGameInventory?.();
         }
-    }, [isOpen, isAuthenticated, fetchGameInventory]);
+    }, [isOpen, canSaveProgress, fetchGameInventory]);
 
     useEffect(() => {
         const updateLayout = () => {
@@ -0,0 +1,91 @@
+/**
+ * GuestMergeModal - One-time offer after the first wallet connect to move guest progress
+ * (gold, backpack, puffles, Getting Started quest) into the wallet account
+ */
+
+import React from 'react';
+import { createPortal } from 'react-dom';
+import { useMultiplayer } from '../multiplayer/MultiplayerContext';
+import { useLanguage } from '../i18n';
+
+export default function GuestMergeModal() {
+    const { guestMergeOffer, acceptGuestMerge, declineGuestMerge, dismissGuestMergeOffer } = useMultiplayer();
+    const { t } = useLanguage();
+
+    if (!guestMergeOffer) return null;
+
+    const { available, summary, pending, result } = guestMergeOffer;
+    const finished = !!result || !available;
+    const error = result ? result.error : (available ? null : guestMergeOffer.reason);
+
+    let message = t('guest.mergeBody');
+    if (result?.success) {
+        message = t('guest.mergeDone');
+    } else if (error === 'ACCOUNT_HAS_PROGRESS') {
+        message = t('guest.mergeAccountHasProgress');
+    } else if (error) {
+        message = t('guest.mergeFailed');
+    }
+
+    const summaryRows = summary ? [
+        ['🪙', t('guest.mergeGold').replace('{n}', summary.coins.toLocaleString())],
+        ['🎒', t('guest.mergeItems').replace('{n}', summary.items)],
+        ['🐾', t('guest.mergePuffles').replace('{n}', summary.puffles)],
+        ['📜', t('guest.mergeQuestSteps').replace('{n}', summary.questSteps)],
+    ] : [];
+
+    return createPortal(
+        <div className="fixed inset-0 z-[220] flex items-center justify-center bg-black/70 backdrop-blur-sm p-4">
+            <div className="w-full max-w-sm rounded-2xl border-2 border-purple-500/40 bg-gradient-to-b from-slate-900 to-slate-950 shadow-2xl overflow-hidden">
+                <div className="px-4 py-3 border-b border-purple-500/20">
+                    <h2 className="text-purple-300 font-bold retro-text text-sm">{t('guest.mergeTitle')}</h2>
+                </div>
+
+                <div className="p-4 space-y-4">
+                    <p className="text-gray-300 text-xs">{message}</p>
+
+                    {summaryRows.length > 0 && !result && (
+                        <ul className="space-y-1.5 rounded-lg bg-black/30 border border-purple-500/20 p-3">
+                            {summaryRows.map(([icon, label]) => (
+                                <li key={icon} className="flex items-center gap-2 text-xs text-purple-100">
+                                    <span>{icon}</span>
+                                    {label}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    {finished ? (
+                        <button
+                            type="button"
+                            onClick={dismissGuestMergeOffer}
+                            className="w-full py-3 rounded-lg font-bold retro-text text-sm border-b-4 bg-purple-600 hover:bg-purple-500 text-white border-purple-800 active:scale-95 transition-all"
+                        >
+                            {t('guest.mergeClose')}
+                        </button>
+                    ) : (
+                        <div className="grid grid-cols-2 gap-2">
+                            <button
+                                type="button"
+                                disabled={pending}
+                                onClick={declineGuestMerge}
+                                className="py-3 rounded-lg font-bold retro-text text-xs border-b-4 bg-gray-700 hover:bg-gray-600 text-gray-200 border-gray-800 disabled:opacity-50 transition-all"
+                            >
+                                {t('guest.mergeDecline')}
+                            </button>
+                            <button
+                                type="button"
+                                disabled={pending}
+                                onClick={acceptGuestMerge}
+                                className="py-3 rounded-lg font-bold retro-text text-xs border-b-4 bg-purple-600 hover:bg-purple-500 text-white border-purple-800 disabled:opacity-50 active:scale-95 transition-all"
+                            >
+                                {pending ? t('guest.mergeWorking') : t('guest.mergeAccept')}
+                            </button>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>,
+        document.body
+    );
+}
@@ -1,6 +1,7 @@
 /**
  * GuestModeWarning - Persistent warning banner for guest users
- * Explains limitations and encourages wallet connection
+ * Explains limitations and encourages wallet connection; with a guest account (guest_session)
+ * it says what is kept and that connecting a wallet brings it along
  */
 
 import React, { useState } from 'react';
@@ -8,7 +9,7 @@ import { useMultiplayer } from '../multiplayer/MultiplayerContext';
 import { useLanguage } from '../i18n';
 
 function GuestModeWarning({ onRequestAuth }) {
-    const { isAuthenticated, isRestoringSession } = useMultiplayer();
+    const { isAuthenticated, isRestoringSession, guestSession } = useMultiplayer();
     const { t } = useLanguage();
     const [dismissed, setDismissed] = useState(false);
     
@@ -44,27 +45,48 @@ function GuestModeWarning({ onRequestAuth }) {
                 {/* Content */}
                 <div className="p-4">
                     <p className="text-amber-100/90 text-sm mb-4">
-                        {t('guest.warning')}
+                        {guestSession ? t('guest.savedWarning') : t('guest.warning')}
                     </p>
                     
-                    <ul className="space-y-2 mb-4">
-                        <li className="flex items-center gap-2 text-sm text-amber-200/80">
-                            <span className="text-red-400">✗</span>
-                            {t('guest.noCoins')}
-                        </li>
-                        <li className="flex items-center gap-2 text-sm text-amber-200/80">
-                            <span className="text-red-400">✗</span>
-                            {t('guest.noWager')}
-                        </li>
-                        <li className="flex items-center gap-2 text-sm text-amber-200/80">
-                            <span className="text-red-400">✗</span>
-                            {t('guest.noSave')}
-                        </li>
-                        <li className="flex items-center gap-2 text-sm text-amber-200/80">
-                            <span className="text-red-400">✗</span>
-                            {t('guest.noCustomization')}
-                        </li>
-                    </ul>
+                    {guestSession ? (
+                        <ul className="space-y-2 mb-4">
+                            <li className="flex items-center gap-2 text-sm text-amber-200/80">
+                                <span className="text-green-400">✓</span>
+                                {t('guest.savedProgress')}
+                            </li>
+                            <li className="flex items-center gap-2 text-sm text-amber-200/80">
+                                <span className="text-green-400">✓</span>
+                                {t('guest.mergeLater')}
+                            </li>
+                            <li className="flex items-center gap-2 text-sm text-amber-200/80">
+                                <span className="text-red-400">✗</span>
+                                {t('guest.noTrade')}
+                            </li>
+                            <li className="flex items-center gap-2 text-sm text-amber-200/80">
+                                <span className="text-red-400">✗</span>
+                                {t('guest.noWager')}
+                            </li>
+                        </ul>
+                    ) : (
+                        <ul className="space-y-2 mb-4">
+                            <li className="flex items-center gap-2 text-sm text-amber-200/80">
+                                <span className="text-red-400">✗</span>
+                                {t('guest.noCoins')}
+                            </li>
+                            <li className="flex items-center gap-2 text-sm text-amber-200/80">
+                                <span className="text-red-400">✗</span>
+                                {t('guest.noWager')}
+                            </li>
+                            <li className="flex items-center gap-2 text-sm text-amber-200/80">
+                                <span className="text-red-400">✗</span>
+                                {t('guest.noSave')}
+                            </li>
+                            <li className="flex items-center gap-2 text-sm text-amber-200/80">
+                                <span className="text-red-400">✗</span>
+                                {t('guest.noCustomization')}
+                            </li>
+                        </ul>
+                    )}
                     
                     {/* CTA Button */}
                     <button
@@ -0,0 +1,307 @@
+import React, { useEffect, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { useMultiplayer } from '../multiplayer';
+import { GUILD_LIMITS, isGuildHallRoom } from '../config/guilds';
+
+const ROLE_BADGE = {
+    leader: { label: 'Leader', className: 'text-amber-300' },
+    officer: { label: 'Officer', className: 'text-violet-300' },
+    member: { label: 'Member', className: 'text-gray-400' },
+};
+
+const BUTTON = 'px-2 py-1 rounded-md text-[11px] font-bold border transition-colors disabled:opacity-40 disabled:cursor-not-allowed';
+
+/**
+ * GuildModal — create / manage guild membership and enter the guild hall.
+ * State comes from `guild_state`; actions are fire-and-forget `guild_*` messages.
+ */
+export default function GuildModal({ isOpen, onClose }) {
+    const {
+        guild,
+        guildRole,
+        guildInvites,
+        walletAddress,
+        serverRoom,
+        send,
+        addMessageHandler,
+        removeMessageHandler,
+    } = useMultiplayer();
+    const [name, setName] = useState('');
+    const [tag, setTag] = useState('');
+    const [inviteName, setInviteName] = useState('');
+    const [motd, setMotd] = useState('');
+    const [status, setStatus] = useState(null);
+
+    useEffect(() => {
+        if (!isOpen) return undefined;
+        send({ type: 'guild_get_state' });
+        setStatus(null);
+
+        const handler = (message) => {
+            if (message.type !== 'guild_result') return;
+            setStatus({ ok: message.success, text: message.message || (message.success ? 'Done' : 'Something went wrong') });
+        };
+        addMessageHandler(handler);
+        return () => removeMessageHandler(handler);
+    }, [isOpen, send, addMessageHandler, removeMessageHandler]);
+
+    useEffect(() => {
+        setMotd(guild?.motd || '');
+    }, [guild?.motd]);
+
+    if (!isOpen) return null;
+
+    const isLeader = guildRole === 'leader';
+    const canManage = guildRole === 'leader' || guildRole === 'officer';
+    const inHall = isGuildHallRoom(serverRoom);
+
+    const handleCreate = (e) => {
+        e.preventDefault();
+        send({ type: 'guild_create', name, tag });
+    };
+
+    const handleInvite = (e) => {
+        e.preventDefault();
+        if (!inviteName.trim()) return;
+        send({ type: 'guild_invite', targetName: inviteName.trim() });
+        setInviteName('');
+    };
+
+    const memberAction = (type, targetWallet) => send({ type, targetWallet });
+
+    const sortedMembers = guild
+        ? [...guild.members].sort((a, b) => {
+            const rank = { leader: 0, officer: 1, member: 2 };
+            if (rank[a.role] !== rank[b.role]) return rank[a.role] - rank[b.role];
+            if (a.online !== b.online) return a.online ? -1 : 1;
+            return a.username.localeCompare(b.username);
+        })
+        : [];
+
+    return createPortal(
+        <div className="fixed inset-0 z-[220] flex items-center justify-center bg-black/70 backdrop-blur-sm p-4" data-no-camera="true">
+            <div className="w-full max-w-md max-h-[85vh] flex flex-col rounded-2xl border-2 border-violet-500/40 bg-gradient-to-b from-slate-900 to-slate-950 shadow-2xl overflow-hidden">
+                <div className="px-4 py-3 border-b border-violet-500/20 flex items-center justify-between">
+                    <div>
+                        <h2 className="text-violet-300 font-bold retro-text text-sm">
+                            {guild ? `[${guild.tag}] ${guild.name}` : 'Guilds'}
+                        </h2>
+                        {guild && (
+                            <p className="text-gray-400 text-xs mt-0.5">
+                                {guild.members.length}/{guild.maxMembers} members
+                            </p>
+                        )}
+                    </div>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="text-gray-400 hover:text-white text-xl leading-none px-2"
+                        aria-label="Close"
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div className="p-4 space-y-4 overflow-y-auto overscroll-contain">
+                    {status && (
+                        <div className={`text-xs rounded-lg px-3 py-2 ${status.ok ? 'bg-green-900/40 text-green-300' : 'bg-red-900/40 text-red-300'}`}>
+                            {status.text}
+                        </div>
+                    )}
+
+                    {!guild && (
+                        <>
+                            {guildInvites.length > 0 && (
+                                <div className="space-y-2">
+                                    <h3 className="text-xs font-bold text-white/70 uppercase tracking-wide">Invites</h3>
+                                    {guildInvites.map((inv) => (
+                                        <div key={inv.guildId} className="flex items-center gap-2 bg-white/5 rounded-lg px-3 py-2">
+                                            <div className="flex-1 min-w-0">
+                                                <div className="text-sm text-white truncate">[{inv.tag}] {inv.name}</div>
+                                                {inv.invitedBy && <div className="text-[10px] text-gray-400">from {inv.invitedBy}</div>}
+                                            </div>
+                                            <button
+                                                type="button"
+                                                className={`${BUTTON} bg-violet-600 text-white border-violet-400`}
+                                                onClick={() => send({ type: 'guild_accept_invite', guildId: inv.guildId })}
+                                            >
+                                                Join
+                                            </button>
+                                            <button
+                                                type="button"
+                                                className={`${BUTTON} bg-gray-800 text-gray-300 border-gray-600`}
+                                                onClick={() => send({ type: 'guild_decline_invite', guildId: inv.guildId })}
+                                            >
+                                                Decline
+                                            </button>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+
+                            {walletAddress ? (
+                                <form onSubmit={handleCreate} className="space-y-2">
+                                    <h3 className="text-xs font-bold text-white/70 uppercase tracking-wide">Create a guild</h3>
+                                    <input
+                                        value={name}
+                                        onChange={(e) => setName(e.target.value)}
+                                        maxLength={GUILD_LIMITS.NAME_MAX}
+                                        placeholder={`Name (${GUILD_LIMITS.NAME_MIN}-${GUILD_LIMITS.NAME_MAX} characters)`}
+                                        className="w-full bg-black/40 border border-white/10 rounded-lg px-3 py-2 text-sm text-white"
+                                    />
+                                    <input
+                                        value={tag}
+                                        onChange={(e) => setTag(e.target.value.toUpperCase())}
+                                        maxLength={GUILD_LIMITS.TAG_MAX}
+                                        placeholder={`Tag (${GUILD_LIMITS.TAG_MIN}-${GUILD_LIMITS.TAG_MAX} letters/numbers)`}
+                                        className="w-full bg-black/40 border border-white/10 rounded-lg px-3 py-2 text-sm text-white font-mono"
+                                    />
+                                    <button
+                                        type="submit"
+                                        disabled={name.trim().length < GUILD_LIMITS.NAME_MIN || tag.trim().length < GUILD_LIMITS.TAG_MIN}
+                                        className={`${BUTTON} w-full py-2 bg-violet-600 text-white border-violet-400`}
+                                    >
+                                        Create guild
+                                    </button>
+                                </form>
+                            ) : (
+                                <p className="text-gray-400 text-xs">Sign in with a wallet to create or join a guild.</p>
+                            )}
+                        </>
+                    )}
+
+                    {guild && (
+                        <>
+                            {canManage ? (
+                                <div className="flex gap-2">
+                                    <input
+                                        value={motd}
+                                        onChange={(e) => setMotd(e.target.value)}
+                                        maxLength={GUILD_LIMITS.MOTD_MAX}
+                                        placeholder="Message of the day"
+                                        className="flex-1 bg-black/40 border border-white/10 rounded-lg px-3 py-1.5 text-xs text-white"
+                                    />
+                                    <button
+                                        type="button"
+                                        disabled={motd === (guild.motd || '')}
+                                        className={`${BUTTON} bg-gray-800 text-violet-200 border-violet-500/40`}
+                                        onClick={() => send({ type: 'guild_set_motd', motd })}
+                                    >
+                                        Save
+                                    </button>
+                                </div>
+                            ) : guild.motd ? (
+                                <p className="text-xs text-violet-200 bg-violet-950/40 rounded-lg px-3 py-2">{guild.motd}</p>
+                            ) : null}
+
+                            <div className="flex gap-2">
+                                {inHall ? (
+                                    <button
+                                        type="button"
+                                        className={`${BUTTON} flex-1 py-2 bg-gray-800 text-white border-gray-600`}
+                                        onClick={() => { send({ type: 'guild_hall_leave' }); onClose?.(); }}
+                                    >
+                                        🚪 Leave hall
+                                    </button>
+                                ) : (
+                                    <button
+                                        type="button"
+                                        className={`${BUTTON} flex-1 py-2 bg-violet-600 text-white border-violet-400`}
+                                        onClick={() => { send({ type: 'guild_hall_enter' }); onClose?.(); }}
+                                    >
+                                        ⚔️ Enter guild hall
+                                    </button>
+                                )}
+                            </div>
+
+                            {canManage && (
+                                <form onSubmit={handleInvite} className="flex gap-2">
+                                    <input
+                                        value={inviteName}
+                                        onChange={(e) => setInviteName(e.target.value)}
+                                        placeholder="Invite online player by name"
+                                        className="flex-1 bg-black/40 border border-white/10 rounded-lg px-3 py-1.5 text-xs text-white"
+                                    />
+                                    <button type="submit" className={`${BUTTON} bg-violet-600 text-white border-violet-400`}>
+                                        Invite
+                                    </button>
+                                </form>
+                            )}
+
+                            <div className="space-y-1">
+                                {sortedMembers.map((m) => {
+                                    const badge = ROLE_BADGE[m.role] || ROLE_BADGE.member;
+                                    const isSelf = m.walletAddress === walletAddress;
+                                    const canKick = !isSelf && canManage && (isLeader || m.role === 'member');
+                                    return (
+                                        <div key={m.walletAddress} className="flex items-center gap-2 bg-white/5 rounded-lg px-3 py-1.5">
+                                            <span className={`w-1.5 h-1.5 rounded-full ${m.online ? 'bg-green-400' : 'bg-gray-600'}`} />
+                                            <span className="flex-1 min-w-0 text-sm text-white truncate">{m.username}</span>
+                                            <span className={`text-[10px] font-bold ${badge.className}`}>{badge.label}</span>
+                                            {isLeader && !isSelf && (
+                                                <>
+                                                    <button
+                                                        type="button"
+                                                        title={m.role === 'officer' ? 'Make leader' : 'Promote to officer'}
+                                                        className={`${BUTTON} bg-gray-800 text-amber-200 border-gray-600`}
+                                                        onClick={() => memberAction('guild_promote', m.walletAddress)}
+                                                    >
+                                                        ▲
+                                                    </button>
+                                                    {m.role === 'officer' && (
+                                                        <button
+                                                            type="button"
+                                                            title="Demote to member"
+                                                            className={`${BUTTON} bg-gray-800 text-gray-300 border-gray-600`}
+                                                            onClick={() => memberAction('guild_demote', m.walletAddress)}
+                                                        >
+                                                            ▼
+                                                        </button>
+                                                    )}
+                                                </>
+                                            )}
+                                            {canKick && (
+                                                <button
+                                                    type="button"
+                                                    title="Remove from guild"
+                                                    className={`${BUTTON} bg-red-950/60 text-red-300 border-red-800`}
+                                                    onClick={() => memberAction('guild_kick', m.walletAddress)}
+                                                >
+                                                    ✕
+                                                </button>
+                                            )}
+                                        </div>
+                                    );
+                                })}
+                            </div>
+
+                            <div className="flex gap-2 pt-2 border-t border-white/10">
+                                <button
+                                    type="button"
+                                    className={`${BUTTON} flex-1 py-2 bg-gray-800 text-red-300 border-red-900`}
+                                    onClick={() => send({ type: 'guild_leave' })}
+                                >
+                                    Leave guild
+                                </button>
+                                {isLeader && (
+                                    <button
+                                        type="button"
+                                        className={`${BUTTON} flex-1 py-2 bg-red-900/60 text-red-200 border-red-700`}
+                                        onClick={() => {
+                                            if (window.confirm(`Disband [${guild.tag}] ${guild.name}? This cannot be undone.`)) {
+                                                send({ type: 'guild_disband' });
+                                            }
+                                        }}
+                                    >
+                                        Disband
+                                    </button>
+                                )}
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>,
+        document.body
+    );
+}
@@ -8,6 +8,7 @@ import { useMultiplayer } from '../multiplayer/MultiplayerContext';
 import { useChallenge } from '../challenge';
 import { useLanguage } from '../i18n';
 import GameHudButton from './GameHudButton';
+import { isStaffRole } from '../utils/chatCommands';
 
 const MENU_ITEM =
     'w-full flex items-center gap-2.5 px-3 py-2 text-left text-sm text-white/90 hover:bg-white/10 transition-colors';
@@ -16,7 +17,13 @@ function HudSystemMenu({
     onOpenSettings,
     onOpenStats,
     onOpenDailyBonus,
+    onOpenGuild,
+    onOpenFriends,
+    onOpenStamps,
+    onOpenTournaments,
+    onOpenModeration,
     onOpenIglooSettings,
+    onOpenIglooFurniture,
     onOpenChangelog,
     onOpenSettingsGuide,
     isInsideOwnedIgloo,
@@ -264,6 +271,66 @@ function HudSystemMenu({
                     <span>{t('hud.fullStats')}</span>
                 </GameHudButton>
 
+                {onOpenFriends && (
+                    <GameHudButton
+                        type="button"
+                        role="menuitem"
+                        className={MENU_ITEM}
+                        onClick={closeAnd(onOpenFriends)}
+                    >
+                        <span>👥</span>
+                        <span>{t('hud.friends')}</span>
+                    </GameHudButton>
+                )}
+
+                {onOpenStamps && (
+                    <GameHudButton
+                        type="button"
+                        role="menuitem"
+                        className={MENU_ITEM}
+                        onClick={closeAnd(onOpenStamps)}
+                    >
+                        <span>🏅</span>
+                        <span>{t('hud.stamps')}</span>
+                    </GameHudButton>
+                )}
+
+                {onOpenTournaments && (
+                    <GameHudButton
+                        type="button"
+                        role="menuitem"
+                        className={MENU_ITEM}
+                        onClick={closeAnd(onOpenTournaments)}
+                    >
+                        <span>🏆</span>
+                        <span>{t('hud.tournaments')}</span>
+                    </GameHudButton>
+                )}
+
+                {onOpenGuild && (
+                    <GameHudButton
+                        type="button"
+                        role="menuitem"
+                        className={MENU_ITEM}
+                        onClick={closeAnd(onOpenGuild)}
+                    >
+                        <span>⚔️</span>
+                        <span>{t('hud.guild')}</span>
+                    </GameHudButton>
+                )}
+
+                {onOpenModeration && isStaffRole(userData) && (
+                    <GameHudButton
+                        type="button"
+                        role="menuitem"
+                        className={MENU_ITEM}
+                        onClick={closeAnd(onOpenModeration)}
+                    >
+                        <span>🚩</span>
+                        <span>{t('hud.moderation')}</span>
+                    </GameHudButton>
+                )}
+
                 {isInsideOwnedIgloo && onOpenIglooSettings && (
                     <GameHudButton
                         type="button"
@@ -275,6 +342,18 @@ function HudSystemMenu({
                         <span>{t('hud.iglooSettings')}</span>
                     </GameHudButton>
                 )}
+
+                {isInsideOwnedIgloo && onOpenIglooFurniture && (
+                    <GameHudButton
+                        type="button"
+                        role="menuitem"
+                        className={MENU_ITEM}
+                        onClick={closeAnd(onOpenIglooFurniture)}
+                    >
+                        <span>🛋️</span>
+                        <span>{t('hud.iglooFurniture')}</span>
+                    </GameHudButton>
+                )}
             </div>
 
             <div className="border-t border-white/10 py-1">
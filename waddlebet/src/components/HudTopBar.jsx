@@ -34,7 +34,13 @@ function HudTopBar({
     onOpenSettingsGuide,
     onOpenStats,
     onOpenDailyBonus,
+    onOpenGuild,
+    onOpenFriends,
+    onOpenStamps,
+    onOpenTournaments,
+    onOpenModeration,
     onOpenIglooSettings,
+    onOpenIglooFurniture,
     isInsideOwnedIgloo,
     showInbox,
     onRequestAuth,
@@ -174,7 +180,13 @@ function HudTopBar({
                     onOpenSettingsGuide={onOpenSettingsGuide}
                     onOpenStats={onOpenStats}
                     onOpenDailyBonus={onOpenDailyBonus}
+                    onOpenGuild={onOpenGuild}
+                    onOpenFriends={onOpenFriends}
+                    onOpenStamps={onOpenStamps}
+                    onOpenTournaments={onOpenTournaments}
+                    onOpenModeration={onOpenModeration}
                     onOpenIglooSettings={onOpenIglooSettings}
+                    onOpenIglooFurniture={onOpenIglooFurniture}
                     isInsideOwnedIgloo={isInsideOwnedIgloo}
                     showInbox={showInbox}
                     onRequestAuth={onRequestAuth}
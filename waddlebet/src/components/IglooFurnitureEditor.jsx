@@ -0,0 +1,308 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { useIgloo } from '../igloo';
+import {
+    IGLOO_FURNITURE_CATALOG,
+    IGLOO_INTERIOR_FIXTURES,
+    IGLOO_LAYOUT_LIMITS,
+    getFurnitureFootprint,
+    getIglooInteriorStyle,
+    isFootprintOnFloor
+} from '../config/iglooFurniture';
+import { createLayoutCollisionSystem } from '../rooms/IglooFurnitureLayer';
+
+const CELL_PX = 12;
+const GRID_PX = IGLOO_LAYOUT_LIMITS.GRID_CELLS * CELL_PX;
+const HALF_SPAN = (IGLOO_LAYOUT_LIMITS.GRID_CELLS * IGLOO_LAYOUT_LIMITS.CELL_SIZE) / 2;
+const BUTTON = 'px-2.5 py-1 rounded-md text-[11px] font-bold border transition-colors disabled:opacity-40';
+
+/** World-space rect -> top-down pixel box on the editor grid */
+const toPixels = (rect) => ({
+    left: (rect.minX + HALF_SPAN) * CELL_PX,
+    top: (rect.minZ + HALF_SPAN) * CELL_PX,
+    width: (rect.maxX - rect.minX) * CELL_PX,
+    height: (rect.maxZ - rect.minZ) * CELL_PX,
+});
+
+const toCssColor = (hex) => `#${hex.toString(16).padStart(6, '0')}`;
+
+// Which edge of a piece is its front, by quarter turn (0 faces +Z, the door)
+const FRONT_EDGE = ['bottom', 'right', 'top', 'left'];
+
+/**
+ * Why a piece can't go where it is (null when it fits). Fittings and other solid pieces are checked
+ * through a CollisionSystem; the server runs the same rules in validateIglooLayout.
+ */
+export function getEditorPlacementProblem(piece, pieces, style) {
+    const item = IGLOO_FURNITURE_CATALOG[piece.type];
+    const rect = getFurnitureFootprint(piece);
+    if (!isFootprintOnFloor(rect)) return `${item.name} does not fit there`;
+    if (!item.solid) return null;
+
+    const collisions = createLayoutCollisionSystem(style, pieces.filter((other) => other.id !== piece.id));
+    const hit = collisions.findBoxOverlap(rect.centerX, rect.centerZ, { x: rect.width, z: rect.depth });
+    if (!hit) return null;
+    if (hit.data.fixture) {
+        return hit.data.name === 'entrance' ? 'Keep the entrance clear' : `${item.name} would block the ${hit.data.name.replace(/_/g, ' ')}`;
+    }
+    return `${item.name} overlaps the ${hit.data.name.toLowerCase()}`;
+}
+
+let nextPieceSerial = 0;
+const newPieceId = (type) => `${type}_${Date.now().toString(36)}${(nextPieceSerial++).toString(36)}`;
+
+/**
+ * IglooFurnitureEditor — owner-only furniture placement for the igloo you're standing in.
+ * Works on a top-down grid while the 3D room previews the draft (via onDraftChange); saving goes
+ * through igloo_update_settings and the server re-validates the layout.
+ */
+export default function IglooFurnitureEditor({ isOpen, onClose, iglooId, interior, onDraftChange }) {
+    const { updateSettings } = useIgloo();
+    const style = getIglooInteriorStyle(iglooId);
+    const [pieces, setPieces] = useState([]);
+    const [selectedType, setSelectedType] = useState('couch');
+    const [rotation, setRotation] = useState(0);
+    const [selectedId, setSelectedId] = useState(null);
+    const [hoverCell, setHoverCell] = useState(null);
+    const [error, setError] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    // Start from the saved layout each time the editor opens
+    useEffect(() => {
+        if (!isOpen) return;
+        setPieces(interior?.customLayout ? (interior.furniture || []).map((piece) => ({ ...piece })) : []);
+        setSelectedId(null);
+        setError(null);
+        setSaving(false);
+    }, [isOpen]); // eslint-disable-line react-hooks/exhaustive-deps -- only reset on open, not on every broadcast
+
+    useEffect(() => {
+        onDraftChange?.(isOpen ? pieces : null);
+    }, [isOpen, pieces, onDraftChange]);
+
+    useEffect(() => () => onDraftChange?.(null), [onDraftChange]);
+
+    // Save results arrive as igloo_settings_result
+    useEffect(() => {
+        if (!isOpen || !saving) return undefined;
+        const ws = window.__multiplayerWs;
+        if (!ws) return undefined;
+        const handleMessage = (event) => {
+            try {
+                const msg = JSON.parse(event.data);
+                if (msg.type !== 'igloo_settings_result') return;
+                setSaving(false);
+                if (msg.success) {
+                    onClose();
+                } else {
+                    setError(msg.message || msg.error || 'Could not save the layout');
+                }
+            } catch {
+                // ignore
+            }
+        };
+        ws.addEventListener('message', handleMessage);
+        return () => ws.removeEventListener('message', handleMessage);
+    }, [isOpen, saving, onClose]);
+
+    const selected = pieces.find((piece) => piece.id === selectedId) || null;
+
+    // Ghost footprint under the cursor: moving the selected piece, or placing a new one
+    const ghost = useMemo(() => {
+        if (!hoverCell) return null;
+        const type = selected ? selected.type : selectedType;
+        const turns = selected ? selected.rotation : rotation;
+        const item = IGLOO_FURNITURE_CATALOG[type];
+        const width = turns % 2 ? item.depth : item.width;
+        const depth = turns % 2 ? item.width : item.depth;
+        const piece = {
+            id: selected?.id || '__ghost__',
+            type,
+            rotation: turns,
+            x: hoverCell.x - Math.floor(width / 2),
+            z: hoverCell.z - Math.floor(depth / 2),
+        };
+        return { piece, problem: getEditorPlacementProblem(piece, pieces, style) };
+    }, [hoverCell, selected, selectedType, rotation, pieces, style]);
+
+    if (!isOpen) return null;
+
+    const placeGhost = () => {
+        if (!ghost) return;
+        if (ghost.problem) {
+            setError(ghost.problem);
+            return;
+        }
+        if (selected) {
+            setPieces((prev) => prev.map((piece) => (piece.id === selected.id ? { ...ghost.piece, id: piece.id } : piece)));
+            setSelectedId(null);
+        } else {
+            if (pieces.length >= IGLOO_LAYOUT_LIMITS.MAX_PIECES) {
+                setError(`An igloo holds at most ${IGLOO_LAYOUT_LIMITS.MAX_PIECES} pieces of furniture`);
+                return;
+            }
+            setPieces((prev) => [...prev, { ...ghost.piece, id: newPieceId(ghost.piece.type) }]);
+        }
+        setError(null);
+    };
+
+    const rotate = () => {
+        if (!selected) {
+            setRotation((turns) => (turns + 1) % 4);
+            return;
+        }
+        const turned = { ...selected, rotation: (selected.rotation + 1) % 4 };
+        const problem = getEditorPlacementProblem(turned, pieces, style);
+        if (problem) {
+            setError(problem);
+            return;
+        }
+        setPieces((prev) => prev.map((piece) => (piece.id === selected.id ? turned : piece)));
+        setError(null);
+    };
+
+    const remove = () => {
+        setPieces((prev) => prev.filter((piece) => piece.id !== selectedId));
+        setSelectedId(null);
+        setError(null);
+    };
+
+    const save = (furniture) => {
+        setSaving(true);
+        setError(null);
+        updateSettings(iglooId, { interior: { furniture } });
+    };
+
+    const handleGridMove = (event) => {
+        const bounds = event.currentTarget.getBoundingClientRect();
+        const x = Math.floor((event.clientX - bounds.left) / CELL_PX);
+        const z = Math.floor((event.clientY - bounds.top) / CELL_PX);
+        if (x !== hoverCell?.x || z !== hoverCell?.z) setHoverCell({ x, z });
+    };
+
+    const fixtures = IGLOO_INTERIOR_FIXTURES[style] || IGLOO_INTERIOR_FIXTURES.default;
+
+    return createPortal(
+        <div className="fixed right-3 top-16 z-[220] w-[min(94vw,360px)] max-h-[85vh] flex flex-col rounded-2xl border-2 border-amber-500/40 bg-gradient-to-b from-slate-900 to-slate-950 shadow-2xl overflow-hidden" data-no-camera="true">
+            <div className="px-4 py-3 border-b border-amber-500/20 flex items-center justify-between">
+                <div>
+                    <h2 className="text-amber-300 font-bold retro-text text-sm">Arrange Furniture</h2>
+                    <p className="text-gray-400 text-xs mt-0.5">{pieces.length}/{IGLOO_LAYOUT_LIMITS.MAX_PIECES} pieces • door at the bottom</p>
+                </div>
+                <button
+                    type="button"
+                    onClick={onClose}
+                    className="text-gray-400 hover:text-white text-xl leading-none px-2"
+                    aria-label="Close"
+                >
+                    ×
+                </button>
+            </div>
+
+            <div className="p-3 overflow-y-auto overscroll-contain">
+                <div className="grid grid-cols-5 gap-1 mb-3">
+                    {Object.entries(IGLOO_FURNITURE_CATALOG).map(([type, item]) => (
+                        <button
+                            key={type}
+                            type="button"
+                            title={item.name}
+                            onClick={() => { setSelectedType(type); setSelectedId(null); }}
+                            className={`rounded-md border py-1 text-lg ${!selected && selectedType === type ? 'bg-amber-600/40 border-amber-400' : 'bg-gray-800 border-gray-600 hover:border-gray-400'}`}
+                        >
+                            {item.emoji}
+                        </button>
+                    ))}
+                </div>
+
+                <div
+                    className="relative mx-auto rounded-full bg-sky-200/10 border border-white/10 cursor-crosshair"
+                    style={{ width: GRID_PX, height: GRID_PX }}
+                    onMouseMove={handleGridMove}
+                    onMouseLeave={() => setHoverCell(null)}
+                    onClick={placeGhost}
+                >
+                    <div
+                        className="absolute inset-0 rounded-full pointer-events-none"
+                        style={{
+                            backgroundImage: 'linear-gradient(rgba(255,255,255,0.06) 1px, transparent 1px), linear-gradient(90deg, rgba(255,255,255,0.06) 1px, transparent 1px)',
+                            backgroundSize: `${CELL_PX}px ${CELL_PX}px`,
+                        }}
+                    />
+                    {fixtures.map((fixture) => (
+                        <div
+                            key={fixture.name}
+                            className="absolute rounded-sm bg-gray-600/60 border border-gray-400/40 text-[8px] text-gray-200 flex items-center justify-center pointer-events-none overflow-hidden"
+                            style={toPixels(fixture)}
+                        >
+                            {fixture.name === 'entrance' ? '🚪' : fixture.name.replace(/_/g, ' ')}
+                        </div>
+                    ))}
+                    {pieces.map((piece) => {
+                        const item = IGLOO_FURNITURE_CATALOG[piece.type];
+                        const isSelected = piece.id === selectedId;
+                        return (
+                            <button
+                                key={piece.id}
+                                type="button"
+                                title={item.name}
+                                onClick={(event) => { event.stopPropagation(); setSelectedId(isSelected ? null : piece.id); setError(null); }}
+                                className={`absolute rounded-sm flex items-center justify-center text-xs ${item.solid ? '' : 'opacity-60'} ${isSelected ? 'ring-2 ring-amber-300 z-10' : ''}`}
+                                style={{
+                                    ...toPixels(getFurnitureFootprint(piece)),
+                                    backgroundColor: `${toCssColor(item.color)}cc`,
+                                    [`border${FRONT_EDGE[piece.rotation].replace(/^./, (c) => c.toUpperCase())}`]: '2px solid #fde68a',
+                                }}
+                            >
+                                {item.emoji}
+                            </button>
+                        );
+                    })}
+                    {ghost && (
+                        <div
+                            className={`absolute rounded-sm pointer-events-none border-2 ${ghost.problem ? 'border-red-500 bg-red-500/20' : 'border-green-400 bg-green-400/20'}`}
+                            style={toPixels(getFurnitureFootprint(ghost.piece))}
+                        />
+                    )}
+                </div>
+
+                <div className="flex flex-wrap items-center gap-1.5 mt-3">
+                    <button type="button" onClick={rotate} className={`${BUTTON} bg-gray-800 text-gray-200 border-gray-600`}>
+                        ↻ Rotate
+                    </button>
+                    <button type="button" onClick={remove} disabled={!selected} className={`${BUTTON} bg-gray-800 text-red-300 border-gray-600`}>
+                        🗑 Remove
+                    </button>
+                    <span className="text-[11px] text-gray-400 ml-1 truncate">
+                        {selected ? `Moving ${IGLOO_FURNITURE_CATALOG[selected.type].name} — click a spot` : `Placing ${IGLOO_FURNITURE_CATALOG[selectedType].name}`}
+                    </span>
+                </div>
+
+                {error && <p className="text-red-400 text-xs mt-2">❌ {error}</p>}
+            </div>
+
+            <div className="px-3 py-2 border-t border-white/10 flex items-center gap-1.5">
+                <button
+                    type="button"
+                    disabled={saving}
+                    onClick={() => save(null)}
+                    className={`${BUTTON} bg-gray-800 text-gray-300 border-gray-600`}
+                >
+                    Restore default
+                </button>
+                <div className="flex-1" />
+                <button type="button" onClick={onClose} className={`${BUTTON} bg-gray-800 text-gray-300 border-gray-600`}>
+                    Cancel
+                </button>
+                <button
+                    type="button"
+                    disabled={saving}
+                    onClick={() => save(pieces)}
+                    className={`${BUTTON} bg-amber-600 text-white border-amber-400`}
+                >
+                    {saving ? 'Saving…' : 'Save layout'}
+                </button>
+            </div>
+        </div>,
+        document.body
+    );
+}
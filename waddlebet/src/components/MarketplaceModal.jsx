@@ -9,6 +9,8 @@
  * - View price history
  * - Manage your own listings
  * - Sell items from inventory
+ * - Order book and buy orders (bids that fill automatically)
+ * - Price charts per item and a market-wide analytics tab
  */
 
 import React, { useState, useEffect, useRef, useCallback } from 'react';
@@ -67,6 +69,8 @@ const SORT_OPTIONS = [
 const TABS = [
     { id: 'browse', label: '🏪 Browse', desc: 'Find items' },
     { id: 'myListings', label: '📋 My Listings', desc: 'Manage sales' },
+    { id: 'myOrders', label: '🧾 Buy Orders', desc: 'Standing bids' },
+    { id: 'analytics', label: '📈 Analytics', desc: 'Market trends' },
     { id: 'history', label: '📊 History', desc: 'Transactions' }
 ];
 
@@ -133,6 +137,11 @@ const TOOLTIPS = {
         desc: 'Unique number showing mint order.',
         info: 'Lower serials are more valuable! Serial #1 is the first ever minted of this item.'
     },
+    orderBook: {
+        title: 'Order Book',
+        desc: 'Open listings (asks) and buy orders (bids) for this item.',
+        info: 'A buy order holds max price × quantity Pebbles. Listings at or below your bid fill it automatically at the cheaper price; the difference and any unfilled units are refunded.'
+    },
     pebbles: {
         title: 'What are Pebbles?',
         desc: 'In-game premium currency for trading.',
@@ -409,7 +418,220 @@ const ListingCard = ({ listing, onClick, isOwn = false }) => {
 };
 
 // Listing Detail Panel
-const ListingDetailPanel = ({ listing, onBuy, onCancel, onClose, isOwn, buying, canceling, userPebbles }) => {
+const CHART_INTERVALS = [
+    { id: 'hour', label: '1H', span: '48h' },
+    { id: 'day', label: '1D', span: '30d' }
+];
+
+// Same palette as the Casino TV token chart
+const CANDLE_UP = '#00ff88';
+const CANDLE_DOWN = '#ff4466';
+
+// Candlestick chart with volume bars underneath (SVG, sized for the detail panel)
+const PriceChart = ({ candles, width = 272, height = 140 }) => {
+    if (!candles?.length) {
+        return (
+            <div className="flex items-center justify-center text-white/30 text-xs" style={{ height }}>
+                No sales in this range yet
+            </div>
+        );
+    }
+    
+    const volumeHeight = 28;
+    const priceHeight = height - volumeHeight - 4;
+    const slot = width / Math.max(candles.length, 12);
+    const bodyWidth = Math.max(slot * 0.65, 2);
+    
+    let minP = Math.min(...candles.map(c => c.low));
+    let maxP = Math.max(...candles.map(c => c.high));
+    const pad = (maxP - minP || maxP * 0.1 || 1) * 0.1;
+    minP -= pad;
+    maxP += pad;
+    const scaleY = (p) => priceHeight - ((p - minP) / (maxP - minP)) * priceHeight;
+    const maxVolume = Math.max(...candles.map(c => c.volume), 1);
+    
+    return (
+        <svg width={width} height={height} className="block">
+            {[0.25, 0.5, 0.75].map(f => (
+                <line key={f} x1={0} x2={width} y1={priceHeight * f} y2={priceHeight * f} stroke="rgba(255,255,255,0.06)" />
+            ))}
+            {candles.map((c, i) => {
+                const x = i * slot + (slot - bodyWidth) / 2;
+                const color = c.close >= c.open ? CANDLE_UP : CANDLE_DOWN;
+                const bodyTop = Math.min(scaleY(c.open), scaleY(c.close));
+                const bodyHeight = Math.max(Math.abs(scaleY(c.close) - scaleY(c.open)), 2);
+                const barHeight = (c.volume / maxVolume) * volumeHeight;
+                return (
+                    <g key={new Date(c.bucketStart).getTime()}>
+                        <title>
+                            {`${new Date(c.bucketStart).toLocaleString()}\nO ${c.open} H ${c.high} L ${c.low} C ${c.close}\n${c.volume} sold`}
+                        </title>
+                        <rect x={x + bodyWidth / 2 - 0.5} y={scaleY(c.high)} width={1} height={Math.max(scaleY(c.low) - scaleY(c.high), 1)} fill={color} />
+                        <rect x={x} y={bodyTop} width={bodyWidth} height={bodyHeight} fill={color} />
+                        <rect x={x} y={height - barHeight} width={bodyWidth} height={barHeight} fill={color} opacity={0.35} />
+                    </g>
+                );
+            })}
+            <text x={width - 2} y={10} textAnchor="end" fontSize="9" fill="rgba(255,255,255,0.4)">{Math.round(maxP).toLocaleString()}</text>
+            <text x={width - 2} y={priceHeight - 2} textAnchor="end" fontSize="9" fill="rgba(255,255,255,0.4)">{Math.max(0, Math.round(minP)).toLocaleString()}</text>
+        </svg>
+    );
+};
+
+// Price history section of the detail panel
+const ItemAnalyticsPanel = ({ analytics, interval, onIntervalChange }) => {
+    const change = analytics?.change24h;
+    
+    return (
+        <div className="mt-4 p-3 bg-white/5 rounded-lg">
+            <div className="flex items-center justify-between mb-2">
+                <span className="text-white/60 text-xs">PRICE HISTORY</span>
+                <div className="flex gap-1">
+                    {CHART_INTERVALS.map(opt => (
+                        <button
+                            key={opt.id}
+                            onClick={() => onIntervalChange(opt.id)}
+                            title={`${opt.label} candles, last ${opt.span}`}
+                            className={`px-1.5 py-0.5 rounded text-[10px] font-bold ${
+                                interval === opt.id ? 'bg-cyan-600 text-white' : 'bg-white/10 text-white/50 hover:text-white'
+                            }`}
+                        >
+                            {opt.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            
+            {!analytics ? (
+                <div className="flex items-center justify-center h-[140px]">
+                    <Spinner className="text-white/40" />
+                </div>
+            ) : (
+                <>
+                    <PriceChart candles={analytics.candles} />
+                    <div className="grid grid-cols-2 gap-x-3 gap-y-1 mt-2 text-xs">
+                        <div className="flex justify-between">
+                            <span className="text-white/50">Floor</span>
+                            <span className="text-amber-400">{analytics.floorPrice?.toLocaleString() ?? '—'}</span>
+                        </div>
+                        <div className="flex justify-between">
+                            <span className="text-white/50">Last</span>
+                            <span className="text-white">{analytics.lastPrice?.toLocaleString() ?? '—'}</span>
+                        </div>
+                        <div className="flex justify-between">
+                            <span className="text-white/50">24h</span>
+                            <span className={change == null ? 'text-white/40' : change >= 0 ? 'text-green-400' : 'text-red-400'}>
+                                {change == null ? '—' : `${change >= 0 ? '+' : ''}${change}%`}
+                            </span>
+                        </div>
+                        <div className="flex justify-between">
+                            <span className="text-white/50">24h Vol</span>
+                            <span className="text-white">{analytics.volume24h}</span>
+                        </div>
+                    </div>
+                    {analytics.recentSales?.length > 0 && (
+                        <div className="mt-3 pt-2 border-t border-white/10">
+                            <div className="text-[10px] text-white/40 mb-1">RECENT SALES</div>
+                            {analytics.recentSales.slice(0, 5).map(sale => (
+                                <div key={sale.listingId} className="flex justify-between text-[11px]">
+                                    <span className="text-white/60 truncate">
+                                        #{sale.itemSnapshot?.serialNumber} · {new Date(sale.soldAt).toLocaleDateString()}
+                                    </span>
+                                    <span className="text-amber-400 font-mono">{sale.price?.toLocaleString()}</span>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+const ORDER_BOOK_DEPTH = 5;
+const MAX_ORDER_QUANTITY = 25;
+
+// Order book for one template: cheapest asks, highest bids, and a form to place a bid
+const OrderBookPanel = ({ orderBook, onPlaceOrder, placingOrder, userPebbles }) => {
+    const [bidPrice, setBidPrice] = useState('');
+    const [quantity, setQuantity] = useState('1');
+    
+    const numPrice = parseInt(bidPrice) || 0;
+    const numQuantity = parseInt(quantity) || 0;
+    const escrow = numPrice * numQuantity;
+    const isValid = numPrice >= 1 && numQuantity >= 1 && numQuantity <= MAX_ORDER_QUANTITY;
+    const canAfford = userPebbles >= escrow;
+    
+    const renderLevels = (levels, color, emptyText) => levels.length === 0 ? (
+        <div className="text-white/30 text-xs py-1">{emptyText}</div>
+    ) : levels.slice(0, ORDER_BOOK_DEPTH).map(level => (
+        <div key={level.price} className="flex justify-between text-xs font-mono">
+            <span className={color}>{level.price.toLocaleString()}</span>
+            <span className="text-white/60">×{level.count}</span>
+        </div>
+    ));
+    
+    return (
+        <div className="mt-4 p-3 bg-white/5 rounded-lg">
+            <div className="flex items-center justify-between mb-2">
+                <InfoTooltip content={TOOLTIPS.orderBook.info}>
+                    <span className="text-white/60 text-xs">ORDER BOOK</span>
+                </InfoTooltip>
+                {!orderBook && <Spinner className="text-white/40 text-xs" />}
+            </div>
+            {orderBook && (
+                <div className="grid grid-cols-2 gap-3">
+                    <div>
+                        <div className="text-[10px] text-white/40 mb-1">ASKS</div>
+                        {renderLevels(orderBook.asks, 'text-red-400', 'No listings')}
+                    </div>
+                    <div>
+                        <div className="text-[10px] text-white/40 mb-1">BIDS</div>
+                        {renderLevels(orderBook.bids, 'text-green-400', 'No bids')}
+                    </div>
+                </div>
+            )}
+            
+            {onPlaceOrder && (
+                <div className="mt-3 pt-3 border-t border-white/10 space-y-2">
+                    <div className="text-white/60 text-xs">PLACE BUY ORDER</div>
+                    <div className="flex gap-2">
+                        <input
+                            type="number"
+                            min={1}
+                            value={bidPrice}
+                            onChange={(e) => setBidPrice(e.target.value)}
+                            placeholder={orderBook?.bestBid ? `> ${orderBook.bestBid}` : 'Max price'}
+                            className="flex-1 min-w-0 bg-black/50 border border-white/20 rounded px-2 py-1 text-sm text-white"
+                        />
+                        <input
+                            type="number"
+                            min={1}
+                            max={MAX_ORDER_QUANTITY}
+                            value={quantity}
+                            onChange={(e) => setQuantity(e.target.value)}
+                            className="w-14 bg-black/50 border border-white/20 rounded px-2 py-1 text-sm text-white"
+                            aria-label="Quantity"
+                        />
+                    </div>
+                    <button
+                        onClick={() => onPlaceOrder(numPrice, numQuantity)}
+                        disabled={placingOrder || !isValid || !canAfford}
+                        className="w-full py-2 rounded-lg text-sm font-bold bg-cyan-600 hover:bg-cyan-500 text-white disabled:opacity-50"
+                    >
+                        {placingOrder
+                            ? 'Placing...'
+                            : isValid && !canAfford
+                                ? '❌ Not Enough Pebbles'
+                                : `Bid${isValid ? ` · escrow ${escrow.toLocaleString()} 🪨` : ''}`}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const ListingDetailPanel = ({ listing, onBuy, onCancel, onClose, isOwn, buying, canceling, userPebbles, orderBook, onPlaceOrder, placingOrder, analytics, chartInterval, onChartIntervalChange }) => {
     const rarity = RARITY_CONFIG[listing.itemSnapshot?.rarity] || RARITY_CONFIG.common;
     const quality = QUALITY_CONFIG[listing.itemSnapshot?.quality] || QUALITY_CONFIG.standard;
     const canAfford = userPebbles >= listing.price;
@@ -515,6 +737,25 @@ const ListingDetailPanel = ({ listing, onBuy, onCancel, onClose, isOwn, buying,
                         {listing.price?.toLocaleString()}
                     </div>
                 </div>
+                
+                {/* Price History */}
+                {onChartIntervalChange && (
+                    <ItemAnalyticsPanel
+                        analytics={analytics}
+                        interval={chartInterval}
+                        onIntervalChange={onChartIntervalChange}
+                    />
+                )}
+                
+                {/* Order Book */}
+                {orderBook !== undefined && (
+                    <OrderBookPanel
+                        orderBook={orderBook}
+                        onPlaceOrder={isOwn ? null : onPlaceOrder}
+                        placingOrder={placingOrder}
+                        userPebbles={userPebbles}
+                    />
+                )}
             </div>
             
             {/* Actions */}
@@ -678,6 +919,24 @@ const MarketplaceModal = ({ isOpen, onClose }) => {
     const [buying, setBuying] = useState(false);
     const [canceling, setCanceling] = useState(false);
     
+    // Order book for the selected listing's template (null while loading)
+    const [orderBook, setOrderBook] = useState(null);
+    const [placingOrder, setPlacingOrder] = useState(false);
+    const orderBookTemplateRef = useRef(null);
+    
+    // Price chart for the selected listing's template (null while loading)
+    const [analytics, setAnalytics] = useState(null);
+    const [chartInterval, setChartInterval] = useState('hour');
+    const analyticsKeyRef = useRef(null);
+    
+    // Market-wide analytics tab
+    const [overview, setOverview] = useState(null);
+    
+    // Buy orders state
+    const [myOrders, setMyOrders] = useState([]);
+    const [myOrdersLoading, setMyOrdersLoading] = useState(false);
+    const [cancelingOrderId, setCancelingOrderId] = useState(null);
+    
     // My Listings state
     const [myListings, setMyListings] = useState([]);
     const [myListingsLoading, setMyListingsLoading] = useState(false);
@@ -769,6 +1028,59 @@ const MarketplaceModal = ({ isOpen, onClose }) => {
             onMarketStats: (data) => {
                 setStats(data);
             },
+            onMarketItemAnalytics: (data) => {
+                if (`${data.templateId}:${data.interval}` === analyticsKeyRef.current) setAnalytics(data);
+            },
+            onMarketOverview: (data) => {
+                setOverview(data);
+            },
+            onMarketOrderBook: (data) => {
+                if (data.templateId === orderBookTemplateRef.current) setOrderBook(data);
+            },
+            onMarketOrderBookChanged: (data) => {
+                if (data.templateId === orderBookTemplateRef.current) {
+                    send?.({ type: 'market_order_book', templateId: data.templateId });
+                }
+            },
+            onMarketOrderResult: (data) => {
+                setPlacingOrder(false);
+                if (data.success) {
+                    const filled = data.fills?.length || 0;
+                    const name = data.order?.itemSnapshot?.name || 'item';
+                    setMessage({
+                        type: 'success',
+                        text: filled > 0
+                            ? `Bought ${filled}× ${name} instantly${data.order.status === 'active' ? ' - rest of the order is open' : ''}!`
+                            : `Buy order placed for ${data.order?.quantity}× ${name}`
+                    });
+                    fetchMyOrders();
+                } else {
+                    setMessage({ type: 'error', text: data.message || 'Failed to place buy order' });
+                }
+                setTimeout(() => setMessage(null), 3000);
+            },
+            onMarketMyOrders: (data) => {
+                setMyOrders(data.orders || []);
+                setMyOrdersLoading(false);
+            },
+            onMarketOrderClosed: (data) => {
+                setCancelingOrderId(null);
+                if (data.success === false) {
+                    setMessage({ type: 'error', text: data.message || 'Failed to cancel buy order' });
+                } else {
+                    setMyOrders(prev => prev.filter(o => o.orderId !== data.orderId));
+                    setMessage({
+                        type: 'info',
+                        text: `Buy order ${data.reason === 'expired' ? 'expired' : 'cancelled'} - ${(data.refunded || 0).toLocaleString()} Pebbles refunded`
+                    });
+                }
+                setTimeout(() => setMessage(null), 3000);
+            },
+            onMarketOrderFilled: (data) => {
+                setMessage({ type: 'success', text: `Buy order filled: ${data.itemName} for ${data.price?.toLocaleString()} 🪨` });
+                setTimeout(() => setMessage(null), 4000);
+                fetchMyOrders();
+            },
             onInventoryData: (data) => {
                 setInventory(data.items || []);
                 setInventoryLoading(false);
@@ -784,6 +1096,9 @@ const MarketplaceModal = ({ isOpen, onClose }) => {
                         return [data.listing, ...prev].slice(0, 50);
                     });
                     setTotal(prev => prev + 1);
+                    if (data.listing.templateId === orderBookTemplateRef.current) {
+                        send?.({ type: 'market_order_book', templateId: data.listing.templateId });
+                    }
                 }
             },
             onMarketListingRemoved: (data) => {
@@ -838,6 +1153,11 @@ const MarketplaceModal = ({ isOpen, onClose }) => {
         send?.({ type: 'market_my_listings' });
     }, [send]);
     
+    const fetchMyOrders = useCallback(() => {
+        setMyOrdersLoading(true);
+        send?.({ type: 'market_my_orders' });
+    }, [send]);
+    
     const fetchHistory = useCallback(() => {
         setHistoryLoading(true);
         send?.({ type: 'market_sales_history' });
@@ -873,10 +1193,31 @@ const MarketplaceModal = ({ isOpen, onClose }) => {
             if (isAuthenticated) {
                 fetchInventory();
             }
+        } else if (activeTab === 'myOrders') {
+            fetchMyOrders();
+        } else if (activeTab === 'analytics') {
+            send?.({ type: 'market_overview' });
         } else if (activeTab === 'history') {
             fetchHistory();
         }
-    }, [activeTab, isOpen, fetchMyListings, fetchHistory, fetchInventory, isAuthenticated]);
+    }, [activeTab, isOpen, fetchMyListings, fetchMyOrders, fetchHistory, fetchInventory, isAuthenticated, send]);
+    
+    // Load the order book for whatever item is selected
+    const selectedTemplateId = selectedListing?.templateId || null;
+    useEffect(() => {
+        orderBookTemplateRef.current = isOpen ? selectedTemplateId : null;
+        setOrderBook(null);
+        if (!isOpen || !selectedTemplateId) return;
+        send?.({ type: 'market_order_book', templateId: selectedTemplateId });
+    }, [isOpen, selectedTemplateId, send]);
+    
+    // ...and its price chart at the chosen candle size
+    useEffect(() => {
+        analyticsKeyRef.current = isOpen && selectedTemplateId ? `${selectedTemplateId}:${chartInterval}` : null;
+        setAnalytics(null);
+        if (!analyticsKeyRef.current) return;
+        send?.({ type: 'market_item_analytics', templateId: selectedTemplateId, interval: chartInterval });
+    }, [isOpen, selectedTemplateId, chartInterval, send]);
     
     // Refetch on filter change - use page 1 override to avoid stale closure
     useEffect(() => {
@@ -898,12 +1239,27 @@ const MarketplaceModal = ({ isOpen, onClose }) => {
         send?.({ type: 'market_cancel_listing', listingId: selectedListing.listingId });
     };
     
+    const handlePlaceOrder = (price, quantity) => {
+        if (!selectedListing || placingOrder) return;
+        setPlacingOrder(true);
+        send?.({ type: 'market_place_order', templateId: selectedListing.templateId, maxPrice: price, quantity });
+    };
+    
+    const handleCancelOrder = (orderId) => {
+        if (cancelingOrderId) return;
+        setCancelingOrderId(orderId);
+        send?.({ type: 'market_cancel_order', orderId });
+    };
+    
     const handleSell = (price) => {
         if (!sellItem || selling) return;
         setSelling(true);
         send?.({ type: 'market_list_item', itemInstanceId: sellItem.instanceId, price });
     };
     
+    // Longest bar in the supply-by-rarity chart
+    const maxSupply = Math.max(...(overview?.supplyByRarity || []).map(s => s.listings), 1);
+    
     // Check if listing is user's own
     const isOwnListing = (listing) => listing.sellerId === walletAddress;
     
@@ -1158,6 +1514,12 @@ const MarketplaceModal = ({ isOpen, onClose }) => {
                                     buying={buying}
                                     canceling={canceling}
                                     userPebbles={userData?.pebbles || 0}
+                                    orderBook={orderBook}
+                                    onPlaceOrder={isAuthenticated ? handlePlaceOrder : null}
+                                    placingOrder={placingOrder}
+                                    analytics={analytics}
+                                    chartInterval={chartInterval}
+                                    onChartIntervalChange={setChartInterval}
                                 />
                             )}
                         </>
@@ -1291,6 +1653,153 @@ const MarketplaceModal = ({ isOpen, onClose }) => {
                         </div>
                     )}
                     
+                    {/* ==================== BUY ORDERS TAB ==================== */}
+                    {activeTab === 'myOrders' && (
+                        <div className="flex-1 overflow-y-auto p-4">
+                            <h3 className="text-lg font-bold text-white mb-1">
+                                🧾 Your Buy Orders ({myOrders.length})
+                            </h3>
+                            <p className="text-xs text-white/50 mb-3">
+                                Pick any listing in Browse to bid on that item. Unfilled orders expire after 7 days and refund automatically.
+                            </p>
+                            
+                            {myOrdersLoading ? (
+                                <div className="flex items-center justify-center h-32">
+                                    <Spinner className="text-4xl text-cyan-400" />
+                                </div>
+                            ) : myOrders.length === 0 ? (
+                                <div className="bg-black/30 rounded-lg p-6 text-center text-white/50">
+                                    <span className="text-4xl mb-2 block">📭</span>
+                                    <p>You have no open buy orders</p>
+                                </div>
+                            ) : (
+                                <div className="space-y-2">
+                                    {myOrders.map(order => {
+                                        const r = RARITY_CONFIG[order.itemSnapshot?.rarity] || RARITY_CONFIG.common;
+                                        return (
+                                            <div key={order.orderId} className="flex items-center gap-3 bg-black/30 rounded-lg p-3">
+                                                <div className={`w-12 h-12 rounded-lg border-2 ${r.border} bg-gradient-to-br ${r.bg} overflow-hidden flex-shrink-0`}>
+                                                    <CosmeticThumbnail
+                                                        templateId={order.templateId}
+                                                        category={order.itemSnapshot?.category}
+                                                        assetKey={order.itemSnapshot?.assetKey}
+                                                        rarity={order.itemSnapshot?.rarity}
+                                                        size={44}
+                                                    />
+                                                </div>
+                                                <div className="flex-1 min-w-0">
+                                                    <div className="text-white font-medium truncate">{order.itemSnapshot?.name}</div>
+                                                    <div className="text-xs text-white/50">
+                                                        {order.filledQuantity}/{order.quantity} filled · expires {new Date(order.expiresAt).toLocaleDateString()}
+                                                    </div>
+                                                </div>
+                                                <div className="text-right">
+                                                    <div className="text-amber-400 font-bold flex items-center gap-1 justify-end">
+                                                        <PebbleIcon size={14} />
+                                                        ≤ {order.maxPrice?.toLocaleString()}
+                                                    </div>
+                                                    <div className="text-[10px] text-white/40">{order.escrowRemaining?.toLocaleString()} held</div>
+                                                </div>
+                                                <button
+                                                    onClick={() => handleCancelOrder(order.orderId)}
+                                                    disabled={cancelingOrderId !== null}
+                                                    className="px-3 py-1.5 rounded bg-red-600 hover:bg-red-500 text-white text-xs font-bold disabled:opacity-50"
+                                                >
+                                                    {cancelingOrderId === order.orderId ? 'Canceling...' : 'Cancel'}
+                                                </button>
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                            )}
+                        </div>
+                    )}
+                    
+                    {/* ==================== ANALYTICS TAB ==================== */}
+                    {activeTab === 'analytics' && (
+                        <div className="flex-1 overflow-y-auto p-4">
+                            {!overview ? (
+                                <div className="flex items-center justify-center h-32">
+                                    <Spinner className="text-4xl text-cyan-400" />
+                                </div>
+                            ) : (
+                                <div className="grid md:grid-cols-2 gap-6">
+                                    {/* Supply by rarity */}
+                                    <div>
+                                        <h3 className="text-lg font-bold text-white mb-1">📦 Supply by Rarity</h3>
+                                        <p className="text-xs text-white/50 mb-3">
+                                            {overview.activeListings?.toLocaleString()} listed · {overview.totalSold24h} sold in 24h · {overview.volume24h?.toLocaleString()} 🪨 volume
+                                        </p>
+                                        <div className="space-y-2">
+                                            {RARITIES.filter(r => r.id !== 'all').map(r => {
+                                                const row = overview.supplyByRarity?.find(s => s.rarity === r.id);
+                                                const config = RARITY_CONFIG[r.id] || RARITY_CONFIG.common;
+                                                return (
+                                                    <div key={r.id} className="bg-black/30 rounded-lg p-2">
+                                                        <div className="flex justify-between text-sm mb-1">
+                                                            <span style={{ color: config.color }}>{config.emoji} {config.label}</span>
+                                                            <span className="text-white/70">
+                                                                {row?.listings || 0} listed
+                                                                {row && <span className="text-amber-400 ml-2">floor {row.floorPrice?.toLocaleString()} 🪨</span>}
+                                                            </span>
+                                                        </div>
+                                                        <div className="h-1.5 bg-white/10 rounded">
+                                                            <div
+                                                                className="h-full rounded"
+                                                                style={{ width: `${((row?.listings || 0) / maxSupply) * 100}%`, backgroundColor: config.color }}
+                                                            />
+                                                        </div>
+                                                    </div>
+                                                );
+                                            })}
+                                        </div>
+                                    </div>
+                                    
+                                    {/* Recent sales */}
+                                    <div>
+                                        <h3 className="text-lg font-bold text-green-400 mb-3">💰 Recent Sales</h3>
+                                        {overview.recentSales?.length === 0 ? (
+                                            <div className="bg-black/30 rounded-lg p-4 text-white/50 text-sm text-center">
+                                                No sales yet
+                                            </div>
+                                        ) : (
+                                            <div className="space-y-2">
+                                                {overview.recentSales.map(sale => {
+                                                    const r = RARITY_CONFIG[sale.itemSnapshot?.rarity] || RARITY_CONFIG.common;
+                                                    return (
+                                                        <div key={sale.listingId} className="flex items-center gap-3 bg-black/30 rounded-lg p-2">
+                                                            <div className={`w-10 h-10 rounded border ${r.border} bg-gradient-to-br ${r.bg} overflow-hidden flex-shrink-0`}>
+                                                                <CosmeticThumbnail
+                                                                    templateId={sale.templateId}
+                                                                    category={sale.itemSnapshot?.category}
+                                                                    assetKey={sale.itemSnapshot?.assetKey}
+                                                                    rarity={sale.itemSnapshot?.rarity}
+                                                                    size={36}
+                                                                />
+                                                            </div>
+                                                            <div className="flex-1 min-w-0">
+                                                                <div className="text-white text-sm truncate">
+                                                                    {sale.itemSnapshot?.name} <span className="text-white/40">#{sale.itemSnapshot?.serialNumber}</span>
+                                                                </div>
+                                                                <div className="text-xs text-white/50">
+                                                                    @{sale.buyerUsername} · {new Date(sale.soldAt).toLocaleString()}
+                                                                </div>
+                                                            </div>
+                                                            <div className="text-amber-400 font-bold flex items-center gap-1">
+                                                                <PebbleIcon size={14} />
+                                                                {sale.price?.toLocaleString()}
+                                                            </div>
+                                                        </div>
+                                                    );
+                                                })}
+                                            </div>
+                                        )}
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                    )}
+                    
                     {/* ==================== HISTORY TAB ==================== */}
                     {activeTab === 'history' && (
                         <div className="flex-1 overflow-y-auto p-4">
@@ -0,0 +1,252 @@
+/**
+ * MatchReplayViewer - Step through a finished P2P match move by move
+ * Renders the regular P2P game component read-only: it gets a challenge context whose match state is
+ * the current replay frame and whose actions do nothing. Frames come from the server (`match_replay`),
+ * which re-runs the match from its seed and move log. Shareable as ?replay=MATCH_ID.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import ChallengeContext from '../challenge/ChallengeContext';
+import { useChallenge } from '../challenge';
+import P2PCardJitsu from '../minigames/P2PCardJitsu';
+import P2PTicTacToe from '../minigames/P2PTicTacToe';
+import P2PConnect4 from '../minigames/P2PConnect4';
+import P2PMonopoly from '../minigames/P2PMonopoly';
+import P2PUno from '../minigames/P2PUno';
+import P2PBlackjack from '../minigames/P2PBlackjack';
+import P2PBattleship from '../minigames/P2PBattleship';
+
+const GAME_COMPONENTS = {
+    card_jitsu: P2PCardJitsu,
+    tic_tac_toe: P2PTicTacToe,
+    connect4: P2PConnect4,
+    monopoly: P2PMonopoly,
+    uno: P2PUno,
+    blackjack: P2PBlackjack,
+    battleship: P2PBattleship,
+};
+
+const REPLAY_ERRORS = {
+    MATCH_NOT_FOUND: 'Match not found.',
+    MATCH_IN_PROGRESS: 'This match is still being played.',
+    NO_REPLAY: 'No replay was recorded for this match.',
+    INVALID_SIDE: 'Unknown player side.',
+};
+
+const AUTOPLAY_MS = 1200;
+
+const ACTION_LABELS = {
+    roll: 'rolls the dice',
+    completeMove: 'moves',
+    buy: 'buys the property',
+    endTurn: 'ends the turn',
+    play: 'plays a card',
+    draw: 'draws a card',
+    callUno: 'calls UNO!',
+    hit: 'hits',
+    stand: 'stands',
+    double: 'doubles down',
+    ready: 'is ready',
+    randomizeFleet: 'reshuffles the fleet',
+};
+
+const noop = () => {};
+
+function describeMove(gameType, move) {
+    if (typeof move === 'number') {
+        if (gameType === 'tic_tac_toe') return `takes square ${move + 1}`;
+        if (gameType === 'connect4') return `drops in column ${move + 1}`;
+        if (gameType === 'card_jitsu') return `plays card ${move + 1}`;
+        return `plays ${move}`;
+    }
+    if (move?.cellIndex !== undefined) {
+        return `fires at ${'ABCDEFGHIJ'[move.cellIndex % 10]}${Math.floor(move.cellIndex / 10) + 1}`;
+    }
+    if (move?.action === 'selectColor') return `picks ${move.color}`;
+    return ACTION_LABELS[move?.action] || move?.action || 'moves';
+}
+
+function formatClock(ms) {
+    const seconds = Math.floor((ms || 0) / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function ResultBadge({ replay }) {
+    if (replay.verified === true) {
+        return <span className="text-green-300">✅ Recorded result matches the moves</span>;
+    }
+    if (replay.verified === false) {
+        return <span className="text-red-300">⚠️ Replayed result differs from the recorded one</span>;
+    }
+    return <span className="text-white/60">🚫 Match ended before the game did ({replay.status})</span>;
+}
+
+const MatchReplayViewer = () => {
+    const challenge = useChallenge();
+    const { matchReplay, openReplay, closeReplay, showNotification } = challenge;
+    const replay = matchReplay?.replay || null;
+    const [frameIndex, setFrameIndex] = useState(0);
+    const [playing, setPlaying] = useState(false);
+
+    const frameCount = replay?.frames.length || 0;
+    const lastFrame = Math.max(0, frameCount - 1);
+    const index = Math.min(frameIndex, lastFrame);
+    const frame = replay?.frames[index] || null;
+
+    // New match: back to the deal (switching sides keeps the position)
+    useEffect(() => {
+        setFrameIndex(0);
+        setPlaying(false);
+    }, [replay?.matchId]);
+
+    useEffect(() => {
+        if (!playing) return undefined;
+        if (index >= lastFrame) {
+            setPlaying(false);
+            return undefined;
+        }
+        const timer = setTimeout(() => setFrameIndex(index + 1), AUTOPLAY_MS);
+        return () => clearTimeout(timer);
+    }, [playing, index, lastFrame]);
+
+    // The game component reads everything from the challenge context, so hand it a frozen one
+    const replayContext = useMemo(() => {
+        if (!replay || !frame) return null;
+        const isFinalFrame = index === lastFrame && replay.replayWinnerId !== null;
+        return {
+            ...challenge,
+            activeMatch: {
+                id: replay.matchId,
+                matchId: replay.matchId,
+                gameType: replay.gameType,
+                player1: replay.player1,
+                player2: replay.player2,
+                wagerAmount: replay.wagerAmount,
+                wagerToken: replay.wagerToken,
+                yourRole: replay.side,
+                isReplay: true,
+            },
+            matchState: frame.state,
+            matchResult: isFinalFrame ? { winnerPlayerId: replay.replayWinnerId } : null,
+            playCard: noop,
+            forfeitMatch: noop,
+            clearMatch: closeReplay,
+        };
+    }, [challenge, replay, frame, index, lastFrame, closeReplay]);
+
+    if (!matchReplay) return null;
+
+    if (!replay) {
+        return (
+            <div className="fixed inset-0 z-[70] flex items-center justify-center bg-black/60">
+                <div className="bg-gradient-to-br from-slate-900 to-indigo-950 border border-white/20 rounded-2xl px-5 py-4 text-center max-w-xs">
+                    <p className="text-white font-bold mb-1">🎬 Match Replay</p>
+                    <p className="text-white/70 text-sm mb-3">
+                        {matchReplay.loading
+                            ? 'Loading replay...'
+                            : REPLAY_ERRORS[matchReplay.error] || 'Replays are unavailable right now.'}
+                    </p>
+                    <button
+                        onClick={closeReplay}
+                        className="px-4 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-white text-sm"
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
+    const GameComponent = GAME_COMPONENTS[replay.gameType];
+    const mover = frame.side ? replay[frame.side].name : null;
+
+    const copyShareLink = () => {
+        const url = `${window.location.origin}/?replay=${encodeURIComponent(replay.matchId)}`;
+        navigator.clipboard?.writeText(url)
+            .then(() => showNotification('🔗 Replay link copied', 'success'))
+            .catch(() => showNotification(url, 'info'));
+    };
+
+    const step = (delta) => {
+        setPlaying(false);
+        setFrameIndex(Math.max(0, Math.min(lastFrame, index + delta)));
+    };
+
+    return (
+        <>
+            {GameComponent && (
+                <div className="absolute inset-0 z-40">
+                    <ChallengeContext.Provider value={replayContext}>
+                        <GameComponent onMatchEnd={closeReplay} />
+                    </ChallengeContext.Provider>
+                </div>
+            )}
+
+            {/* Read-only: swallow clicks on the game underneath */}
+            <div className="fixed inset-0 z-[60]" />
+
+            <div className="fixed bottom-3 left-1/2 -translate-x-1/2 z-[70] w-[min(94vw,460px)] bg-gradient-to-br from-slate-900/95 to-indigo-950/95 backdrop-blur-xl border border-white/20 rounded-2xl shadow-2xl px-3 py-2">
+                <div className="flex items-center justify-between gap-2">
+                    <span className="text-white text-xs font-bold truncate">
+                        🎬 {replay.player1.name} vs {replay.player2.name}
+                    </span>
+                    <button onClick={closeReplay} className="text-white/60 hover:text-white text-sm leading-none">✕</button>
+                </div>
+
+                <p className="text-[11px] text-white/80 mt-1 h-4 truncate">
+                    {frame.side
+                        ? <>Move {index}/{lastFrame} · {formatClock(frame.at)} · <span className="font-bold">{mover}</span> {describeMove(replay.gameType, frame.move)}{frame.auto ? ' (timed out)' : ''}</>
+                        : `The deal · ${lastFrame} moves`}
+                </p>
+
+                <input
+                    type="range"
+                    min={0}
+                    max={lastFrame}
+                    value={index}
+                    onChange={(e) => { setPlaying(false); setFrameIndex(Number(e.target.value)); }}
+                    className="w-full mt-1"
+                />
+
+                <div className="flex items-center justify-between gap-2 mt-1">
+                    <div className="flex gap-1">
+                        <button onClick={() => step(-lastFrame)} className="px-2 py-1 rounded bg-white/10 hover:bg-white/20 text-white text-xs">⏮</button>
+                        <button onClick={() => step(-1)} className="px-2 py-1 rounded bg-white/10 hover:bg-white/20 text-white text-xs">‹</button>
+                        <button
+                            onClick={() => {
+                                if (index >= lastFrame) setFrameIndex(0);
+                                setPlaying(prev => !prev);
+                            }}
+                            className="px-3 py-1 rounded bg-indigo-500/60 hover:bg-indigo-500/80 text-white text-xs font-bold"
+                        >
+                            {playing ? '⏸' : '▶'}
+                        </button>
+                        <button onClick={() => step(1)} className="px-2 py-1 rounded bg-white/10 hover:bg-white/20 text-white text-xs">›</button>
+                    </div>
+                    <div className="flex gap-1">
+                        {['player1', 'player2'].map((side) => (
+                            <button
+                                key={side}
+                                onClick={() => side !== replay.side && openReplay(replay.matchId, side)}
+                                disabled={matchReplay.loading}
+                                className={`px-2 py-1 rounded text-[10px] truncate max-w-[90px] ${
+                                    side === replay.side ? 'bg-white/25 text-white font-bold' : 'bg-white/5 text-white/60 hover:bg-white/15'
+                                }`}
+                                title="See the match through this player's eyes"
+                            >
+                                👁 {replay[side].name}
+                            </button>
+                        ))}
+                        <button onClick={copyShareLink} className="px-2 py-1 rounded bg-white/10 hover:bg-white/20 text-white text-[10px]">🔗 Share</button>
+                    </div>
+                </div>
+
+                <p className="text-[10px] mt-1">
+                    <ResultBadge replay={replay} />
+                </p>
+            </div>
+        </>
+    );
+};
+
+export default MatchReplayViewer;
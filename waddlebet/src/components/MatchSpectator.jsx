@@ -2,10 +2,13 @@
  * MatchSpectator - Displays live match scoreboard for spectators
  * Shows as a floating panel at the top of the screen
  * Supports: Card Jitsu, Tic Tac Toe
+ * Also hosts the side-bet panel for backing players in matches nearby
  */
 
-import React from 'react';
+import React, { useState } from 'react';
 import { useChallenge } from '../challenge';
+import { useMultiplayer } from '../multiplayer';
+import { SIDE_BET_LIMITS, getSideBetOdds } from '../config/sideBets';
 
 /**
  * Card Jitsu spectator display
@@ -768,4 +771,111 @@ export const MatchSpectatorsContainer = () => {
     );
 };
 
+/**
+ * Side-bet card for one match - back either player until the first move closes the pool
+ */
+const SideBetCard = ({ match, myBet, amount, onBet }) => {
+    const { sideBets, players } = match;
+    const pools = sideBets?.pools || { player1: 0, player2: 0 };
+    const odds = getSideBetOdds(pools);
+    const canBet = sideBets?.open && !myBet;
+    
+    const renderSide = (side, index) => (
+        <button
+            key={side}
+            disabled={!canBet}
+            onClick={() => onBet(match.matchId, side)}
+            className={`flex-1 rounded-lg px-2 py-1.5 text-center border transition-colors ${
+                myBet?.side === side
+                    ? 'bg-green-500/30 border-green-400/70'
+                    : canBet
+                        ? 'bg-black/30 border-white/10 hover:border-yellow-400/60'
+                        : 'bg-black/20 border-white/5 opacity-60'
+            }`}
+        >
+            <p className="text-white font-bold text-xs truncate">{players[index]?.name || `Player ${index + 1}`}</p>
+            <p className="text-yellow-400 text-[10px] font-bold">
+                {odds[side] ? `${odds[side].toFixed(2)}x` : 'no bets'} • 💰 {pools[side]}
+            </p>
+        </button>
+    );
+    
+    return (
+        <div className="bg-gradient-to-br from-purple-900/95 to-indigo-900/95 backdrop-blur-xl rounded-2xl border-2 border-purple-400/50 shadow-2xl px-3 py-2 animate-fade-in">
+            <div className="flex items-center justify-between mb-1.5">
+                <span className="text-yellow-400 text-[10px] font-bold">🎲 SIDE BETS</span>
+                <span className={`text-[10px] ${sideBets?.open ? 'text-green-400' : 'text-white/50'}`}>
+                    {sideBets?.open ? 'Open until first move' : 'Closed'}
+                </span>
+            </div>
+            <div className="flex gap-2">
+                {renderSide('player1', 0)}
+                {renderSide('player2', 1)}
+            </div>
+            <p className="text-white/60 text-[10px] text-center mt-1.5">
+                {myBet
+                    ? `Your bet: ${myBet.amount} on ${match.players[myBet.side === 'player1' ? 0 : 1]?.name}`
+                    : canBet ? `Tap a player to bet ${amount} gold` : 'Betting closed'}
+            </p>
+        </div>
+    );
+};
+
+/**
+ * SideBetsContainer - Pari-mutuel gold bets on matches being played nearby
+ * Lists matches still open for betting plus any we have money riding on.
+ */
+export const SideBetsContainer = () => {
+    const { activeMatches, mySideBets, placeSideBet, isInMatch } = useChallenge();
+    const { walletAddress } = useMultiplayer();
+    const [amount, setAmount] = useState(SIDE_BET_LIMITS.QUICK_AMOUNTS[0]);
+    const [collapsed, setCollapsed] = useState(false);
+    
+    if (isInMatch || !walletAddress) return null;
+    
+    const bettable = activeMatches.filter(match =>
+        match.players?.length >= 2 && (match.sideBets?.open || mySideBets[match.matchId])
+    );
+    if (bettable.length === 0) return null;
+    
+    if (collapsed) {
+        return (
+            <button
+                onClick={() => setCollapsed(false)}
+                className="fixed top-28 left-3 z-30 bg-purple-900/90 border border-purple-400/50 rounded-full px-3 py-1 text-xs text-white font-bold"
+            >
+                🎲 Side bets ({bettable.length})
+            </button>
+        );
+    }
+    
+    return (
+        <div className="fixed top-28 left-3 z-30 w-[min(80vw,260px)] flex flex-col gap-2">
+            <div className="flex items-center gap-1 bg-black/50 rounded-full px-2 py-1">
+                {SIDE_BET_LIMITS.QUICK_AMOUNTS.map(quick => (
+                    <button
+                        key={quick}
+                        onClick={() => setAmount(quick)}
+                        className={`flex-1 rounded-full text-[10px] font-bold py-0.5 ${
+                            amount === quick ? 'bg-yellow-400 text-black' : 'text-white/70 hover:text-white'
+                        }`}
+                    >
+                        {quick}
+                    </button>
+                ))}
+                <button onClick={() => setCollapsed(true)} className="text-white/60 hover:text-white text-sm leading-none px-1">–</button>
+            </div>
+            {bettable.map(match => (
+                <SideBetCard
+                    key={match.matchId}
+                    match={match}
+                    myBet={mySideBets[match.matchId]}
+                    amount={amount}
+                    onBet={(matchId, side) => placeSideBet(matchId, side, amount)}
+                />
+            ))}
+        </div>
+    );
+};
+
 export default MatchSpectatorBubble;
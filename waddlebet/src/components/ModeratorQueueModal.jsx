@@ -0,0 +1,250 @@
+import React, { useEffect, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { useMultiplayer } from '../multiplayer';
+import { getRoomLabel } from '../utils/roomLabels';
+import { MUTE_DURATIONS, BAN_DURATIONS, getReportReasonLabel } from '../config/moderation';
+import { MOVEMENT_VIOLATIONS } from '../config/movement';
+
+const BUTTON = 'px-2 py-1 rounded-md text-[11px] font-bold border transition-colors disabled:opacity-40 disabled:cursor-not-allowed';
+
+function formatTime(value) {
+    return value ? new Date(value).toLocaleString() : '';
+}
+
+/**
+ * One report in the queue: reason, reporter note, chat snapshot and resolve actions.
+ */
+function ReportCard({ report, onResolve }) {
+    const [note, setNote] = useState('');
+    const [muteMinutes, setMuteMinutes] = useState(MUTE_DURATIONS[1].minutes);
+    const [banMinutes, setBanMinutes] = useState(BAN_DURATIONS[0].minutes);
+    const [showChat, setShowChat] = useState(false);
+    const resolve = (action, durationMinutes = null) => onResolve(report.reportId, action, durationMinutes, note);
+
+    return (
+        <li className="rounded-lg bg-white/5 border border-white/10 p-3 space-y-2">
+            <div className="flex items-start justify-between gap-2">
+                <div className="min-w-0">
+                    <p className="text-white text-sm font-semibold truncate">
+                        {report.targetName}
+                        <span className="text-red-300 font-normal text-xs"> · {getReportReasonLabel(report.reason)}</span>
+                    </p>
+                    <p className="text-gray-400 text-[11px]">
+                        by {report.reporterName} · {formatTime(report.createdAt)}
+                        {report.room ? ` · ${getRoomLabel(report.room)}` : ''}
+                    </p>
+                </div>
+                <button
+                    type="button"
+                    onClick={() => setShowChat((v) => !v)}
+                    className={`${BUTTON} shrink-0 bg-gray-800 text-white/80 border-white/10 hover:bg-gray-700`}
+                >
+                    💬 {report.chatLog.length}
+                </button>
+            </div>
+
+            {report.details && <p className="text-gray-300 text-xs italic">“{report.details}”</p>}
+
+            {showChat && (
+                <div className="max-h-40 overflow-y-auto rounded-md bg-black/40 p-2 space-y-0.5">
+                    {report.chatLog.length === 0 ? (
+                        <p className="text-gray-500 text-[11px]">No recent chat between these players.</p>
+                    ) : report.chatLog.map((line, i) => (
+                        <p key={i} className={`text-[11px] ${line.senderName === report.targetName ? 'text-amber-200' : 'text-gray-300'}`}>
+                            <span className="text-gray-500">[{line.channel}] </span>
+                            <span className="font-semibold">{line.senderName}:</span> {line.text}
+                        </p>
+                    ))}
+                </div>
+            )}
+
+            {report.status === 'resolved' ? (
+                <p className="text-gray-400 text-[11px]">
+                    {report.resolution?.action}
+                    {report.resolution?.durationMinutes ? ` (${report.resolution.durationMinutes} min)` : ''}
+                    {' '}by {report.resolution?.moderatorName} · {formatTime(report.resolution?.resolvedAt)}
+                    {report.resolution?.note ? ` — ${report.resolution.note}` : ''}
+                </p>
+            ) : (
+                <>
+                    <input
+                        value={note}
+                        onChange={(e) => setNote(e.target.value)}
+                        maxLength={300}
+                        placeholder="Note shown to the player (optional)"
+                        className="w-full bg-black/40 border border-white/10 rounded-md px-2 py-1 text-xs text-white placeholder-gray-500"
+                    />
+                    <div className="flex flex-wrap items-center gap-1.5">
+                        <button type="button" onClick={() => resolve('dismiss')} className={`${BUTTON} bg-gray-800 text-white/80 border-white/10 hover:bg-gray-700`}>
+                            Dismiss
+                        </button>
+                        <button type="button" onClick={() => resolve('warn')} className={`${BUTTON} bg-amber-700/40 text-amber-200 border-amber-500/40 hover:bg-amber-700/60`}>
+                            ⚠️ Warn
+                        </button>
+                        <span className="flex items-center gap-1">
+                            <select
+                                value={muteMinutes}
+                                onChange={(e) => setMuteMinutes(Number(e.target.value))}
+                                className="bg-black/40 border border-white/10 rounded-md text-[11px] text-white px-1 py-1"
+                            >
+                                {MUTE_DURATIONS.map((d) => <option key={d.minutes} value={d.minutes}>{d.label}</option>)}
+                            </select>
+                            <button type="button" onClick={() => resolve('mute', muteMinutes)} className={`${BUTTON} bg-sky-700/40 text-sky-200 border-sky-500/40 hover:bg-sky-700/60`}>
+                                🔇 Mute
+                            </button>
+                        </span>
+                        <span className="flex items-center gap-1">
+                            <select
+                                value={banMinutes}
+                                onChange={(e) => setBanMinutes(Number(e.target.value))}
+                                className="bg-black/40 border border-white/10 rounded-md text-[11px] text-white px-1 py-1"
+                            >
+                                {BAN_DURATIONS.map((d) => <option key={d.minutes} value={d.minutes}>{d.label}</option>)}
+                            </select>
+                            <button
+                                type="button"
+                                onClick={() => {
+                                    if (window.confirm(`Ban ${report.targetName}? They will be disconnected immediately.`)) {
+                                        resolve('ban', banMinutes);
+                                    }
+                                }}
+                                className={`${BUTTON} bg-red-700/40 text-red-200 border-red-500/40 hover:bg-red-700/60`}
+                            >
+                                ⛔ Ban
+                            </button>
+                        </span>
+                    </div>
+                </>
+            )}
+        </li>
+    );
+}
+
+/**
+ * Accounts the server movement check rejected samples from (`mod_movement_flags`).
+ */
+function MovementFlagList({ accounts }) {
+    if (accounts.length === 0) {
+        return <p className="text-gray-400 text-xs">No movement violations since the server started.</p>;
+    }
+    return (
+        <ul className="space-y-2">
+            {accounts.map((account) => (
+                <li key={account.key} className="rounded-lg bg-white/5 border border-white/10 p-3">
+                    <div className="flex items-start justify-between gap-2">
+                        <div className="min-w-0">
+                            <p className="text-white text-sm font-semibold truncate">
+                                {account.name}
+                                {account.flagged && <span className="text-red-300 font-normal text-xs"> · 🚩 flagged</span>}
+                            </p>
+                            <p className="text-gray-400 text-[11px] truncate">{account.walletAddress || 'Guest'}</p>
+                        </div>
+                        <span className="shrink-0 text-white/80 text-xs font-bold">{account.total}×</span>
+                    </div>
+                    <p className="text-gray-300 text-[11px] mt-1">
+                        {Object.entries(account.counts)
+                            .filter(([, count]) => count > 0)
+                            .map(([reason, count]) => `${MOVEMENT_VIOLATIONS[reason] || reason} ×${count}`)
+                            .join(' · ')}
+                    </p>
+                    <p className="text-gray-500 text-[11px]">
+                        Last: {account.lastDetail} ({account.lastMode || 'walk'})
+                        {account.lastRoom ? ` · ${getRoomLabel(account.lastRoom)}` : ''} · {formatTime(account.lastAt)}
+                    </p>
+                </li>
+            ))}
+        </ul>
+    );
+}
+
+/**
+ * ModeratorQueueModal — staff-only review of `report_player` submissions and movement flags.
+ * Reads `mod_queue` / `mod_movement_flags`; resolves with `mod_resolve_report` (the server re-checks the role).
+ */
+export default function ModeratorQueueModal({ isOpen, onClose }) {
+    const { send, addMessageHandler, removeMessageHandler } = useMultiplayer();
+    const [tab, setTab] = useState('open');
+    const [reports, setReports] = useState([]);
+    const [movementFlags, setMovementFlags] = useState([]);
+    const [openCount, setOpenCount] = useState(0);
+    const [status, setStatus] = useState(null);
+
+    useEffect(() => {
+        if (!isOpen) return undefined;
+        setStatus(null);
+
+        const handler = (message) => {
+            if (message.type === 'mod_movement_flags') {
+                setMovementFlags(message.accounts || []);
+            } else if (message.type === 'mod_queue') {
+                setReports(message.status === tab ? message.reports || [] : []);
+                setOpenCount(message.openCount || 0);
+            } else if (message.type === 'mod_result') {
+                setStatus({ ok: message.success, text: message.message || (message.success ? 'Done' : 'Something went wrong') });
+            }
+        };
+        addMessageHandler(handler);
+        send(tab === 'movement' ? { type: 'mod_get_movement_flags' } : { type: 'mod_get_queue', status: tab });
+        return () => removeMessageHandler(handler);
+    }, [isOpen, tab, send, addMessageHandler, removeMessageHandler]);
+
+    if (!isOpen) return null;
+
+    const handleResolve = (reportId, action, durationMinutes, note) => {
+        send({ type: 'mod_resolve_report', reportId, action, durationMinutes, note, status: tab });
+    };
+
+    return createPortal(
+        <div className="fixed inset-0 z-[220] flex items-center justify-center bg-black/70 backdrop-blur-sm p-4" data-no-camera="true">
+            <div className="w-full max-w-lg max-h-[85vh] flex flex-col rounded-2xl border-2 border-red-500/40 bg-gradient-to-b from-slate-900 to-slate-950 shadow-2xl overflow-hidden">
+                <div className="px-4 py-3 border-b border-red-500/20 flex items-center justify-between">
+                    <div>
+                        <h2 className="text-red-300 font-bold retro-text text-sm">Moderation</h2>
+                        <p className="text-gray-400 text-xs mt-0.5">{openCount} open report{openCount === 1 ? '' : 's'}</p>
+                    </div>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="text-gray-400 hover:text-white text-xl leading-none px-2"
+                        aria-label="Close"
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div className="px-4 pt-3 flex gap-1.5">
+                    {['open', 'resolved', 'movement'].map((id) => (
+                        <button
+                            key={id}
+                            type="button"
+                            onClick={() => setTab(id)}
+                            className={`${BUTTON} capitalize ${tab === id ? 'bg-red-600/40 text-white border-red-400/50' : 'bg-gray-800 text-white/70 border-white/10 hover:bg-gray-700'}`}
+                        >
+                            {id}
+                        </button>
+                    ))}
+                </div>
+
+                <div className="p-4 space-y-3 overflow-y-auto overscroll-contain">
+                    {status && (
+                        <div className={`text-xs rounded-lg px-3 py-2 ${status.ok ? 'bg-green-900/40 text-green-300' : 'bg-red-900/40 text-red-300'}`}>
+                            {status.text}
+                        </div>
+                    )}
+                    {tab === 'movement' ? (
+                        <MovementFlagList accounts={movementFlags} />
+                    ) : reports.length === 0 ? (
+                        <p className="text-gray-400 text-xs">{tab === 'open' ? 'The queue is empty.' : 'No resolved reports yet.'}</p>
+                    ) : (
+                        <ul className="space-y-2">
+                            {reports.map((report) => (
+                                <ReportCard key={report.reportId} report={report} onResolve={handleResolve} />
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </div>
+        </div>,
+        document.body
+    );
+}
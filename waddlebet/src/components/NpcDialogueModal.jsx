@@ -7,7 +7,7 @@ import { createPortal } from 'react-dom';
 import { useEscapeKey } from '../hooks';
 import { getMerchant } from '../config/merchants';
 import { getNpcDisplayName, getNpcTitle } from '../config/worldNpcs';
-import { getToolPurchasePrerequisite, STARTER_TOOL_IDS } from '../config/toolTiers';
+import { getToolPurchasePrerequisite, STARTER_TOOL_IDS, REPAIR_KIT_ITEM_ID } from '../config/toolTiers';
 import { WOOD_LABELS } from '../config/economy';
 import NpcSpeechBox, { npcPitchFromId } from './NpcSpeechBox';
 import TraderOfferCanvas from './TraderOfferCanvas';
@@ -94,7 +94,7 @@ const MERCHANT_THEMES = {
     }
 };
 
-function resolveActionState(action, { hasSellableFish, hasSellableWood, ownedToolIds, nextUpgrade, nextRodUpgrade, coins, merchant, mushroomCount = 0, woodCounts = {}, itemCounts = {}, dailyOrders = [] }) {
+function resolveActionState(action, { hasSellableFish, hasSellableWood, ownedToolIds, nextUpgrade, nextRodUpgrade, coins, merchant, mushroomCount = 0, woodCounts = {}, itemCounts = {}, dailyOrders = [], wornGear = {}, autoRepair = false }) {
     let disabled = Boolean(action.disabled);
     let label = action.label;
     let sublabel = null;
@@ -283,6 +283,40 @@ function resolveActionState(action, { hasSellableFish, hasSellableWood, ownedToo
             }
         }
     }
+    if (action.requiresRepair) {
+        const gear = wornGear[action.requiresRepair];
+        if (!gear) {
+            disabled = true;
+            sublabel = action.requiresRepair === 'rod' ? 'No worn rods in your backpack' : 'No worn tools in your backpack';
+        } else {
+            const { goldCost, materials } = gear.repairCost;
+            const useKit = (itemCounts[REPAIR_KIT_ITEM_ID] ?? 0) > 0;
+            label = `Repair ${gear.name}`;
+            costBadge = `${goldCost.toLocaleString()}g + ${useKit ? '🧰' : '🪵'}`;
+            const parts = useKit
+                ? ['🧰 Repair Kit']
+                : Object.entries(materials).map(([itemId, qty]) => `${WOOD_LABELS[itemId] || itemId} ${itemCounts[itemId] ?? 0}/${qty}`);
+            sublabel = `${gear.durability}/${gear.maxDurability} durability · ${parts.join(', ')}`;
+            if (!useKit) {
+                for (const [itemId, qty] of Object.entries(materials)) {
+                    if ((itemCounts[itemId] ?? 0) < qty) {
+                        disabled = true;
+                        sublabel = `Need ${qty} ${WOOD_LABELS[itemId] || itemId} (have ${itemCounts[itemId] ?? 0}) — or a Repair Kit`;
+                        break;
+                    }
+                }
+            }
+            if (!disabled && coins < goldCost) {
+                disabled = true;
+                sublabel = `Need ${goldCost.toLocaleString()}g (you have ${coins.toLocaleString()}g)`;
+            }
+        }
+    }
+    if (action.requiresAutoRepairToggle) {
+        label = `Auto-repair: ${autoRepair ? 'ON' : 'OFF'}`;
+        costBadge = autoRepair ? 'ON' : 'OFF';
+        sublabel = 'Worn-out gear repairs itself for gold + materials instead of breaking';
+    }
     if (action.requiresMushrooms && action.id === 'quest_mushroom_ticket') {
         const required = 5;
         costBadge = `${required}🍄`;
@@ -377,7 +411,8 @@ function getActionCategory(action) {
     if (action.loreText) return 'info';
     if (action.requiresDailyOrder || action.requiresMushrooms || action.id?.startsWith('quest_')) return 'tasks';
     if (action.requiresMerchantRecipe) return 'deals';
-    if (action.requiresBuyTool || action.requiresUpgrade || action.requiresRodUpgrade || action.id === 'buy_basic_axe') {
+    if (action.requiresBuyTool || action.requiresUpgrade || action.requiresRodUpgrade || action.requiresRepair
+        || action.requiresAutoRepairToggle || action.id === 'buy_basic_axe') {
         return 'gear';
     }
     if (action.id === 'open_backpack') return 'sell';
@@ -487,6 +522,19 @@ export default function NpcDialogueModal({
         return counts;
     }, [gameInventory]);
 
+    // Most-worn repairable tool / rod, keyed by category, with its backpack slot index
+    const wornGear = useMemo(() => {
+        const worst = {};
+        (gameInventory?.slots || []).forEach((slot, index) => {
+            if (!slot?.repairCost) return;
+            const ratio = slot.durability / slot.maxDurability;
+            if (!worst[slot.category] || ratio < worst[slot.category].ratio) {
+                worst[slot.category] = { ...slot, index, ratio };
+            }
+        });
+        return worst;
+    }, [gameInventory]);
+
     const fishTotal = useMemo(() => (
         (gameInventory?.slots || [])
             .filter((s) => s?.itemId && s.quantity > 0 && s.category === 'fish')
@@ -528,9 +576,12 @@ export default function NpcDialogueModal({
         woodCounts,
         itemCounts,
         dailyOrders: resolvedDailyOrders,
+        wornGear,
+        autoRepair: gameInventory?.autoRepair === true,
     }), [
         hasSellableFish, hasSellableWood, ownedToolIds, nextUpgrade, nextRodUpgrade,
         coins, merchant, mushroomCount, woodCounts, itemCounts, resolvedDailyOrders,
+        wornGear, gameInventory?.autoRepair,
     ]);
 
     const resolvedActions = useMemo(() => (
@@ -686,6 +737,32 @@ export default function NpcDialogueModal({
             }
             return;
         }
+        if (action.requiresRepair) {
+            const gear = wornGear[action.requiresRepair];
+            if (!gear) return;
+            setPendingAction(action.id);
+            const result = await onAction?.('repair_gear', npcDef, {
+                inventorySlot: gear.index,
+                useRepairKit: (itemCounts[REPAIR_KIT_ITEM_ID] ?? 0) > 0,
+            });
+            setPendingAction(null);
+            if (result?.itemName) {
+                setActionFeedback(`🔧 ${result.itemName} is good as new — ${result.maxDurability}/${result.maxDurability}!`);
+            } else if (result?.message) {
+                setActionFeedback(result.message);
+            } else if (result?.error) {
+                setActionFeedback(result.message || result.error);
+            }
+            return;
+        }
+        if (action.requiresAutoRepairToggle) {
+            const enabled = !(gameInventory?.autoRepair === true);
+            onAction?.('toggle_auto_repair', npcDef, { enabled });
+            setActionFeedback(enabled
+                ? "♻️ Auto-repair on — I'll patch your gear up before it snaps, for the usual fee."
+                : '♻️ Auto-repair off — worn-out gear will break.');
+            return;
+        }
         if (action.requiresMerchantRecipe && action.itemId) {
             setPendingAction(action.id);
             const result = await onAction?.('merchant_recipe', npcDef, { itemId: action.itemId });
@@ -738,7 +815,7 @@ export default function NpcDialogueModal({
             return;
         }
         onAction?.(action.id, npcDef);
-    }, [npcDef, onAction, onClose, dailyOrders]);
+    }, [npcDef, onAction, onClose, dailyOrders, wornGear, itemCounts, gameInventory?.autoRepair]);
 
     if (!isOpen || !npcDef) return null;
 
@@ -10,7 +10,7 @@ const STORAGE_KEY = 'waddlebet_onboarding_quest_collapsed';
  * Collapsible on mobile; persists collapse preference in localStorage.
  */
 export default function OnboardingQuestHUD({ isMobile = false, isPortrait = false }) {
-    const { isAuthenticated, onboardingQuest } = useMultiplayer();
+    const { canSaveProgress, onboardingQuest } = useMultiplayer();
     const [collapsed, setCollapsed] = useState(() => {
         if (typeof window === 'undefined') return false;
         return window.localStorage.getItem(STORAGE_KEY) === '1';
@@ -19,7 +19,7 @@ export default function OnboardingQuestHUD({ isMobile = false, isPortrait = fals
     const [showRewardBanner, setShowRewardBanner] = useState(false);
 
     const status = onboardingQuest;
-    const visible = isAuthenticated && status && !status.rewardClaimed;
+    const visible = canSaveProgress && status && !status.rewardClaimed;
 
     useEffect(() => {
         if (!status?.justCompletedStepId) return;
@@ -1,18 +1,19 @@
 /**
  * ProfileMenu - Displays player profile when clicking on another player
- * Shows name, penguin preview, stats, challenge button, and tip button
+ * Shows name, penguin preview, stats, challenge button, tip button, and mute/block/report actions
  * Responsive design for desktop, portrait mobile, and landscape mobile
  */
 
 import React, { useState, useRef, useCallback } from 'react';
 import { useChallenge } from '../challenge';
 import { useMultiplayer } from '../multiplayer/MultiplayerContext';
-import { useDeviceDetection, useClickOutside, useEscapeKey, useChainEconomy } from '../hooks';
+import { useDeviceDetection, useClickOutside, useEscapeKey, useChainEconomy, useMutedPlayers } from '../hooks';
 import { useLanguage } from '../i18n';
 import TippingPanel from './TippingPanel';
 import GiftPanel from './GiftPanel';
 import PenguinPreview3D from './PenguinPreview3D';
 import { getPlayerProfileStatusLabels } from '../config/whaleNametagTiers';
+import { REPORT_REASONS, REPORT_DETAILS_MAX } from '../config/moderation';
 
 const WAGER_BOT_ID = 'dev_bot_wager';
 
@@ -31,6 +32,106 @@ const ProfileStatusRow = ({ player, isPracticeBot }) => {
     );
 };
 
+/**
+ * Inline report form — the server snapshots recent chat between both players for moderators.
+ */
+const ReportForm = ({ player, compact, onDone }) => {
+    const { send } = useMultiplayer();
+    const [reason, setReason] = useState(REPORT_REASONS[0].id);
+    const [details, setDetails] = useState('');
+    const fieldClass = `w-full bg-black/40 border border-white/10 rounded-lg px-2 py-1 text-white ${compact ? 'text-[10px]' : 'text-xs'}`;
+
+    const submit = (e) => {
+        e.preventDefault();
+        send({ type: 'report_player', targetPlayerId: player.id, reason, details: details.trim() });
+        onDone();
+    };
+
+    return (
+        <form onSubmit={submit} className="mt-1.5 space-y-1.5">
+            <select value={reason} onChange={(e) => setReason(e.target.value)} className={fieldClass}>
+                {REPORT_REASONS.map((r) => <option key={r.id} value={r.id}>{r.label}</option>)}
+            </select>
+            <textarea
+                value={details}
+                onChange={(e) => setDetails(e.target.value)}
+                maxLength={REPORT_DETAILS_MAX}
+                rows={compact ? 2 : 3}
+                placeholder="What happened? (optional)"
+                className={`${fieldClass} resize-none`}
+            />
+            <div className="flex gap-1.5">
+                <button type="button" onClick={onDone} className="flex-1 py-1 rounded-lg text-[10px] font-bold border bg-gray-800 text-white/70 border-white/10 hover:bg-gray-700">
+                    Cancel
+                </button>
+                <button type="submit" className="flex-1 py-1 rounded-lg text-[10px] font-bold border bg-red-700/50 text-red-100 border-red-500/50 hover:bg-red-700/70">
+                    🚩 Send report
+                </button>
+            </div>
+        </form>
+    );
+};
+
+/**
+ * Mute hides a player's chat locally (works on guests); block and report are server-side and need both wallets.
+ */
+const SafetyActions = ({ player, compact = false }) => {
+    const { send, isAuthenticated, blockedPlayers } = useMultiplayer();
+    const { isMuted, setMuted } = useMutedPlayers();
+    const muted = isMuted(player.name);
+    const blockedEntry = blockedPlayers.find(
+        (entry) => entry.username?.toLowerCase() === player.name?.toLowerCase()
+    );
+    const canBlock = isAuthenticated && (player.isAuthenticated || !!blockedEntry);
+    const canReport = isAuthenticated && player.isAuthenticated;
+    const [reporting, setReporting] = useState(false);
+
+    const toggleBlock = () => {
+        if (blockedEntry) {
+            send({ type: 'block_remove', walletAddress: blockedEntry.walletAddress });
+        } else if (window.confirm(`Block ${player.name}? They won't be able to whisper, challenge, gift or tip you, and you won't see each other's chat.`)) {
+            send({ type: 'block_add', targetPlayerId: player.id });
+        }
+    };
+
+    const buttonClass = compact
+        ? 'flex-1 px-2 py-1 rounded-lg text-[10px] font-bold border transition-colors'
+        : 'flex-1 py-1.5 rounded-xl text-xs font-bold border transition-colors';
+
+    return (
+        <>
+            <div className={`flex gap-1.5 ${compact ? '' : 'mt-2'}`}>
+                <button
+                    type="button"
+                    onClick={() => setMuted(player.name, !muted)}
+                    className={`${buttonClass} ${muted ? 'bg-amber-600/30 text-amber-200 border-amber-500/50' : 'bg-gray-800 text-white/70 border-white/10 hover:bg-gray-700'}`}
+                >
+                    {muted ? '🔈 Unmute' : '🔇 Mute'}
+                </button>
+                {canBlock && (
+                    <button
+                        type="button"
+                        onClick={toggleBlock}
+                        className={`${buttonClass} ${blockedEntry ? 'bg-red-600/30 text-red-200 border-red-500/50' : 'bg-gray-800 text-red-300/80 border-white/10 hover:bg-red-950/60'}`}
+                    >
+                        {blockedEntry ? '✅ Unblock' : '🚫 Block'}
+                    </button>
+                )}
+                {canReport && (
+                    <button
+                        type="button"
+                        onClick={() => setReporting((v) => !v)}
+                        className={`${buttonClass} ${reporting ? 'bg-red-600/30 text-red-200 border-red-500/50' : 'bg-gray-800 text-red-300/80 border-white/10 hover:bg-red-950/60'}`}
+                    >
+                        🚩 Report
+                    </button>
+                )}
+            </div>
+            {reporting && <ReportForm player={player} compact={compact} onDone={() => setReporting(false)} />}
+        </>
+    );
+};
+
 const ProfileMenu = () => {
     const {
         selectedPlayer,
@@ -42,7 +143,7 @@ const ProfileMenu = () => {
     } = useChallenge();
     
     // Get user data from multiplayer context for server-authoritative coin balance
-    const { userData, isAuthenticated } = useMultiplayer();
+    const { userData, isAuthenticated, requestTrade, trade } = useMultiplayer();
     const { t } = useLanguage();
     const { canSplGift, canUsePebblesRail } = useChainEconomy();
     const [showGameDropdown, setShowGameDropdown] = useState(false);
@@ -82,6 +183,14 @@ const ProfileMenu = () => {
         setShowGameDropdown(!showGameDropdown);
     };
     
+    // Backpack trades need both players signed in; the server also checks they share a room
+    const canTrade = isAuthenticated && selectedPlayer?.isAuthenticated && !isPracticeBot && !trade;
+
+    const handleTradeClick = () => {
+        requestTrade(selectedPlayer.id);
+        clearSelectedPlayer();
+    };
+
     const handleGameSelect = (gameType) => {
         setShowGameDropdown(false);
         if (isPracticeBot) {
@@ -228,6 +337,15 @@ const ProfileMenu = () => {
                                                 <span>Gift ▼</span>
                                             </button>
                                         )}
+                                        {canTrade && (
+                                            <button
+                                                onClick={handleTradeClick}
+                                                className="px-3 py-2 rounded-lg font-bold text-white text-xs flex items-center justify-center gap-1.5 transition-all bg-gradient-to-r from-amber-500 to-yellow-600 active:scale-95"
+                                            >
+                                                <span>🤝</span>
+                                                <span>Trade</span>
+                                            </button>
+                                        )}
                                     </>
                                 ) : (
                                     <>
@@ -252,6 +370,9 @@ const ProfileMenu = () => {
                                 {isInMatch && (
                                     <p className="text-white/40 text-[9px] text-center">In match</p>
                                 )}
+                                {!isPracticeBot && !showGameDropdown && (
+                                    <SafetyActions player={selectedPlayer} compact />
+                                )}
                             </div>
                         )}
                     </div>
@@ -441,6 +562,12 @@ const ProfileMenu = () => {
                                 {stats?.monopolyWins ?? 0}W / {stats?.monopolyLosses ?? 0}L
                             </span>
                         </div>
+                        <div className="flex items-center justify-between text-[11px] sm:text-xs">
+                            <span className="text-white/60">❄️ Snowball Fight</span>
+                            <span className="text-sky-300 font-bold">
+                                {stats?.snowballFightWins ?? 0}W / {stats?.snowballFightLosses ?? 0}L
+                            </span>
+                        </div>
                     </div>
                     </>
                     )}
@@ -545,6 +672,17 @@ const ProfileMenu = () => {
                         </div>
                     )}
                     
+                    {/* Trade Button - swap backpack items and gold */}
+                    {canTrade && (
+                        <button
+                            onClick={handleTradeClick}
+                            className="w-full mt-2 py-2 sm:py-2.5 rounded-xl font-bold text-white text-sm flex items-center justify-center gap-2 transition-all bg-gradient-to-r from-amber-500 to-yellow-600 hover:from-amber-400 hover:to-yellow-500 active:from-amber-600 active:to-yellow-700 active:scale-95"
+                        >
+                            <span>🤝</span>
+                            <span>Trade Items</span>
+                        </button>
+                    )}
+                    
                     {/* USDC Tip Button - Coming Soon */}
                     {isAuthenticated && selectedPlayer?.isAuthenticated && (
                         <button
@@ -557,6 +695,8 @@ const ProfileMenu = () => {
                         </button>
                     )}
                     
+                    {!isPracticeBot && <SafetyActions player={selectedPlayer} />}
+                    
                     {/* Your coins indicator */}
                     <div className="mt-2.5 pt-2 border-t border-white/10">
                         <div className="flex items-center justify-between text-[11px] sm:text-xs">
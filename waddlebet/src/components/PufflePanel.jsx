@@ -6,6 +6,7 @@ import { useMultiplayer } from '../multiplayer';
 import PuffleTrainingGame from '../minigames/PuffleTrainingGame';
 import PuffleCanvasPreview from './PuffleCanvasPreview';
 import PuffleShopTabs from './PuffleShopTabs';
+import PuffleRaceTab from './PuffleRaceTab';
 
 /**
  * PufflePanel - Enhanced Puffle management
@@ -23,7 +24,7 @@ const PufflePanel = ({
     includeShop = false,
     disableTricks = false,
 }) => {
-    const [tab, setTab] = useState('inventory'); // 'shop' | 'inventory' | 'training' | 'tricks'
+    const [tab, setTab] = useState('inventory'); // 'shop' | 'inventory' | 'training' | 'tricks' | 'race'
     const [name, setName] = useState('Fluffy');
     const [selectedColor, setSelectedColor] = useState('blue');
     const [, forceUpdate] = useState(0);
@@ -34,7 +35,7 @@ const PufflePanel = ({
     const [restStatus, setRestStatus] = useState(null);
     
     // Server-authoritative puffle adoption
-    const { adoptPuffle, puffleAdopting, isAuthenticated, send, syncPuffleState, equipPuffleAccessory, unequipPuffleAccessory, equipPuffleToy } = useMultiplayer();
+    const { adoptPuffle, puffleAdopting, canSaveProgress, send, syncPuffleState, equipPuffleAccessory, unequipPuffleAccessory, equipPuffleToy } = useMultiplayer();
     
     // Use shared hooks for click outside and escape key
     useClickOutside(panelRef, onClose, true);
@@ -97,7 +98,7 @@ const PufflePanel = ({
         }
         
         // For authenticated users, use server
-        if (isAuthenticated) {
+        if (canSaveProgress) {
             setFeedback({ type: 'info', message: 'Adopting...' });
             
             const result = await adoptPuffle(color, name);
@@ -177,7 +178,7 @@ const PufflePanel = ({
             setFeedback({ type: 'success', message: `${equippedPuffle.name} is resting... 💤${hoursMsg}` });
             
             // Send to server
-            if (isAuthenticated && send) {
+            if (canSaveProgress && send) {
                 send({ type: 'puffle_rest', puffleId: equippedPuffle.puffleId });
             }
         } else {
@@ -203,7 +204,7 @@ const PufflePanel = ({
             });
             
             // Send to server
-            if (isAuthenticated && send) {
+            if (canSaveProgress && send) {
                 send({ type: 'puffle_stop_rest', puffleId: equippedPuffle.puffleId });
             }
         }
@@ -298,6 +299,16 @@ const PufflePanel = ({
                     >
                         💪 Train
                     </button>
+                    <button 
+                        onClick={() => setTab('race')}
+                        className={`flex-1 py-1.5 rounded-lg retro-text text-[10px] transition-all ${
+                            tab === 'race' 
+                                ? 'bg-purple-600 text-white' 
+                                : 'bg-black/30 text-white/60 hover:bg-black/50'
+                        }`}
+                    >
+                        🏁 Race
+                    </button>
                     {!disableTricks && (
                     <button 
                         onClick={() => setTab('tricks')}
@@ -923,6 +934,11 @@ const PufflePanel = ({
                                                 <div className="text-white/50 text-[9px]">🏆 Trophies</div>
                                             </div>
                                         </div>
+                                        {equippedPuffle.racingStats?.bestTime != null && (
+                                            <div className="text-white/50 text-[10px] text-center mt-2">
+                                                ⏱️ Best time: {equippedPuffle.racingStats.bestTime.toFixed(2)}s
+                                            </div>
+                                        )}
                                     </div>
                                 </>
                             ) : (
@@ -934,6 +950,11 @@ const PufflePanel = ({
                         </div>
                     )}
                     
+                    {/* Race Tab */}
+                    {tab === 'race' && (
+                        <PuffleRaceTab equippedPuffle={equippedPuffle} />
+                    )}
+                    
                     {/* Tricks Tab */}
                     {tab === 'tricks' && (
                         <div className="space-y-3">
@@ -0,0 +1,117 @@
+/**
+ * PuffleRaceSpectator - Live puffle race board for everyone in the room
+ * Plays back the server's simulated timeline (splits per segment) in real time,
+ * then shows the podium until the server clears the race.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useMultiplayer } from '../multiplayer';
+import Puffle from '../engine/Puffle';
+import { RACE_SEGMENT_TYPES, getRaceProgress } from '../config/puffleRacing';
+
+const PLACE_MEDALS = ['🥇', '🥈', '🥉'];
+
+const PuffleRaceSpectator = () => {
+    const { puffleRace, walletAddress } = useMultiplayer();
+    const [now, setNow] = useState(() => Date.now());
+    const [collapsed, setCollapsed] = useState(false);
+
+    const live = puffleRace?.phase === 'racing' || puffleRace?.phase === 'results';
+
+    useEffect(() => {
+        if (puffleRace?.phase !== 'racing') return undefined;
+        const interval = setInterval(() => setNow(Date.now()), 100);
+        return () => clearInterval(interval);
+    }, [puffleRace?.phase]);
+
+    useEffect(() => {
+        if (puffleRace?.phase === 'racing') setCollapsed(false);
+    }, [puffleRace?.id, puffleRace?.phase]);
+
+    if (!live || !puffleRace.course || !puffleRace.results) return null;
+
+    const { course, results } = puffleRace;
+    const totalLength = course.reduce((sum, segment) => sum + segment.length, 0);
+    const finished = puffleRace.phase === 'results';
+    const elapsed = finished ? Infinity : (now - puffleRace.startsAt) / 1000;
+    const countdown = !finished && elapsed < 0 ? Math.ceil(-elapsed) : null;
+
+    if (collapsed) {
+        return (
+            <button
+                onClick={() => setCollapsed(false)}
+                className="fixed top-16 left-1/2 -translate-x-1/2 z-30 bg-purple-900/90 border border-purple-400/50 rounded-full px-3 py-1 text-xs text-white font-bold"
+            >
+                🏁 {finished ? 'Race results' : 'Puffle race live'}
+            </button>
+        );
+    }
+
+    return (
+        <div className="fixed top-16 left-1/2 -translate-x-1/2 z-30 w-[min(92vw,420px)]">
+            <div className="bg-gradient-to-br from-purple-900/95 to-indigo-900/95 backdrop-blur-xl rounded-2xl border-2 border-purple-400/50 shadow-2xl px-4 py-3 animate-fade-in">
+                <div className="flex items-center justify-between mb-2">
+                    <span className="text-yellow-400 text-xs font-bold">🏁 PUFFLE RACE</span>
+                    <div className="flex items-center gap-2">
+                        {puffleRace.pot > 0 && <span className="text-yellow-400 text-xs font-bold">💰 {puffleRace.pot}</span>}
+                        <button onClick={() => setCollapsed(true)} className="text-white/60 hover:text-white text-sm leading-none">–</button>
+                    </div>
+                </div>
+
+                {/* Course strip */}
+                <div className="flex h-4 rounded overflow-hidden mb-2">
+                    {course.map((segment, i) => {
+                        const type = RACE_SEGMENT_TYPES[segment.type];
+                        return (
+                            <div
+                                key={i}
+                                className="flex items-center justify-center text-[9px]"
+                                style={{ width: `${(segment.length / totalLength) * 100}%`, background: `${type.color}66` }}
+                                title={type.label}
+                            >
+                                {type.icon}
+                            </div>
+                        );
+                    })}
+                </div>
+
+                {/* Lanes */}
+                <div className="space-y-1">
+                    {results.map((racer) => {
+                        const progress = countdown != null ? 0 : getRaceProgress(course, racer.splits, elapsed);
+                        const done = progress >= 1;
+                        const colorHex = Puffle.COLORS[racer.color]?.hex || '#ffffff';
+                        const isMine = racer.walletAddress === walletAddress;
+                        return (
+                            <div key={racer.walletAddress} className="flex items-center gap-2">
+                                <span className={`w-16 truncate text-[10px] ${isMine ? 'text-yellow-300 font-bold' : 'text-white/80'}`}>
+                                    {racer.puffleName}
+                                </span>
+                                <div className="relative flex-1 h-3 bg-black/40 rounded-full">
+                                    <div
+                                        className="absolute top-1/2 -translate-y-1/2 w-3 h-3 rounded-full border border-white/70"
+                                        style={{ left: `calc(${progress * 100}% - ${progress * 12}px)`, background: colorHex }}
+                                    />
+                                </div>
+                                <span className="w-12 text-right text-[10px] text-white/70">
+                                    {done ? `${PLACE_MEDALS[racer.place - 1] || `#${racer.place}`} ${racer.time.toFixed(1)}s` : ''}
+                                </span>
+                            </div>
+                        );
+                    })}
+                </div>
+
+                {countdown != null && (
+                    <p className="text-center text-white font-bold text-sm mt-2">Starting in {countdown}…</p>
+                )}
+                {finished && (
+                    <p className="text-center text-white/80 text-xs mt-2">
+                        🏆 {results[0].puffleName} ({results[0].playerName}) wins{puffleRace.pot > 0 ? ` ${puffleRace.pot} gold` : ''}!
+                    </p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default PuffleRaceSpectator;
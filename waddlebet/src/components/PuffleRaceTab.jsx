@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from 'react';
+import { useMultiplayer } from '../multiplayer';
+import { PUFFLE_RACE_ROOM, PUFFLE_RACE_LIMITS, RACE_SEGMENT_TYPES } from '../config/puffleRacing';
+
+const STAT_ICONS = { running: '🏃', swimming: '🏊', flying: '✈️', climbing: '🧗' };
+
+/**
+ * PuffleRaceTab - Race lobby inside the Puffle panel
+ * Enter your walking puffle into the town race; the race itself plays on the spectator board.
+ */
+const PuffleRaceTab = ({ equippedPuffle }) => {
+    const { puffleRace, joinPuffleRace, leavePuffleRace, isAuthenticated, walletAddress, serverRoom } = useMultiplayer();
+    const [entryFee, setEntryFee] = useState(PUFFLE_RACE_LIMITS.ENTRY_FEES[0]);
+    const [now, setNow] = useState(() => Date.now());
+
+    useEffect(() => {
+        if (!puffleRace?.countdownEndsAt) return undefined;
+        const interval = setInterval(() => setNow(Date.now()), 500);
+        return () => clearInterval(interval);
+    }, [puffleRace?.countdownEndsAt]);
+
+    const inRaceRoom = serverRoom === PUFFLE_RACE_ROOM;
+    const lobby = puffleRace?.phase === 'lobby' ? puffleRace : null;
+    const entered = !!puffleRace?.racers?.some((r) => r.walletAddress === walletAddress);
+    const countdown = lobby?.countdownEndsAt ? Math.max(0, Math.ceil((lobby.countdownEndsAt - now) / 1000)) : null;
+    const tooTired = (equippedPuffle?.energy ?? 0) < PUFFLE_RACE_LIMITS.MIN_ENERGY;
+
+    return (
+        <div className="space-y-3">
+            <div className="bg-black/20 rounded-lg p-3">
+                <div className="text-white/80 text-xs font-bold mb-2">🏁 Course Segments</div>
+                <div className="grid grid-cols-2 gap-2">
+                    {Object.entries(RACE_SEGMENT_TYPES).map(([id, segment]) => (
+                        <div key={id} className="bg-black/30 rounded-lg p-2">
+                            <div className="text-xs font-bold" style={{ color: segment.color }}>
+                                {segment.icon} {segment.label}
+                            </div>
+                            <div className="text-white/50 text-[10px]">
+                                {Object.entries(segment.weights)
+                                    .map(([stat, weight]) => `${STAT_ICONS[stat]} ${Math.round(weight * 100)}%`)
+                                    .join(' · ')}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+                <p className="text-white/40 text-[10px] mt-2">
+                    Courses are random — train every stat to win consistently.
+                </p>
+            </div>
+
+            <div className="bg-black/20 rounded-lg p-3 space-y-2">
+                <div className="text-white/80 text-xs font-bold">🐾 Town Race</div>
+
+                {!isAuthenticated ? (
+                    <p className="text-white/50 text-xs">Connect your wallet to race puffles.</p>
+                ) : !inRaceRoom ? (
+                    <p className="text-white/50 text-xs">Races start outside the Pet Shop in town.</p>
+                ) : puffleRace && !lobby ? (
+                    <p className="text-white/60 text-xs">
+                        {puffleRace.phase === 'racing' ? 'A race is running — watch it on the race board!' : 'Race finished — the next lobby opens shortly.'}
+                    </p>
+                ) : (
+                    <>
+                        {lobby && (
+                            <div className="space-y-1">
+                                <div className="flex justify-between text-[11px] text-white/60">
+                                    <span>
+                                        {lobby.racers.length}/{PUFFLE_RACE_LIMITS.MAX_RACERS} racers
+                                        {lobby.entryFee > 0 ? ` · ${lobby.entryFee}g entry` : ' · free entry'}
+                                    </span>
+                                    {lobby.pot > 0 && <span className="text-yellow-400">Pot: {lobby.pot}g</span>}
+                                </div>
+                                {lobby.racers.map((racer) => (
+                                    <div key={racer.walletAddress} className="flex justify-between bg-black/30 rounded px-2 py-1 text-xs text-white">
+                                        <span className="truncate">{racer.puffleName}</span>
+                                        <span className="text-white/40 truncate ml-2">{racer.playerName}</span>
+                                    </div>
+                                ))}
+                                <p className="text-[11px] text-white/50">
+                                    {countdown != null
+                                        ? `Starting in ${countdown}s`
+                                        : `Waiting for ${PUFFLE_RACE_LIMITS.MIN_RACERS - lobby.racers.length} more racer(s)`}
+                                </p>
+                            </div>
+                        )}
+
+                        {!lobby && (
+                            <div className="flex gap-1">
+                                {PUFFLE_RACE_LIMITS.ENTRY_FEES.map((fee) => (
+                                    <button
+                                        key={fee}
+                                        onClick={() => setEntryFee(fee)}
+                                        className={`flex-1 py-1 rounded-lg text-[10px] ${
+                                            entryFee === fee ? 'bg-yellow-600 text-white' : 'bg-black/30 text-white/60 hover:bg-black/50'
+                                        }`}
+                                    >
+                                        {fee > 0 ? `${fee}g` : 'Free'}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+
+                        {entered ? (
+                            <button
+                                onClick={leavePuffleRace}
+                                className="w-full py-2 rounded-lg bg-red-600/80 hover:bg-red-600 text-white text-xs font-bold"
+                            >
+                                Leave Race{lobby?.entryFee > 0 ? ` (refund ${lobby.entryFee}g)` : ''}
+                            </button>
+                        ) : (
+                            <button
+                                onClick={() => joinPuffleRace(lobby ? lobby.entryFee : entryFee)}
+                                disabled={!equippedPuffle || tooTired || lobby?.racers.length >= PUFFLE_RACE_LIMITS.MAX_RACERS}
+                                className="w-full py-2 rounded-lg bg-green-600 hover:bg-green-500 text-white text-xs font-bold disabled:opacity-40 disabled:cursor-not-allowed"
+                            >
+                                {!equippedPuffle
+                                    ? 'Walk with a puffle to race'
+                                    : tooTired
+                                        ? `${equippedPuffle.name} is too tired`
+                                        : lobby ? `Enter ${equippedPuffle.name}` : 'Open a Race'}
+                            </button>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default PuffleRaceTab;
@@ -69,7 +69,7 @@ const PuffleShopModal = ({ equippedPuffle, onClose, onPurchase }) => {
     const [coins, setCoins] = useState(() => GameManager.getInstance().getCoins());
     const panelRef = useRef(null);
     
-    const { isAuthenticated, send, syncPuffleState, equipPuffleAccessory, unequipPuffleAccessory } = useMultiplayer();
+    const { canSaveProgress, send, syncPuffleState, equipPuffleAccessory, unequipPuffleAccessory } = useMultiplayer();
     
     useClickOutside(panelRef, onClose, true);
     useEscapeKey(onClose, true);
@@ -89,7 +89,7 @@ const PuffleShopModal = ({ equippedPuffle, onClose, onPurchase }) => {
     }, []);
     
     const handleBuyFood = (foodType, addToInventory = false) => {
-        if (!isAuthenticated) {
+        if (!canSaveProgress) {
             setFeedback({ type: 'error', message: 'Login to purchase!' });
             setTimeout(() => setFeedback(null), 2000);
             return;
@@ -142,7 +142,7 @@ const PuffleShopModal = ({ equippedPuffle, onClose, onPurchase }) => {
     };
     
     const handleBuyToy = (toyType) => {
-        if (!isAuthenticated) {
+        if (!canSaveProgress) {
             setFeedback({ type: 'error', message: 'Login to purchase!' });
             setTimeout(() => setFeedback(null), 2000);
             return;
@@ -182,7 +182,7 @@ const PuffleShopModal = ({ equippedPuffle, onClose, onPurchase }) => {
     };
     
     const handleBuyAccessory = (category, itemId) => {
-        if (!isAuthenticated) {
+        if (!canSaveProgress) {
             setFeedback({ type: 'error', message: 'Login to purchase!' });
             setTimeout(() => setFeedback(null), 2000);
             return;
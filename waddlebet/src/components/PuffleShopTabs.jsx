@@ -49,10 +49,10 @@ const getAccessoryDescription = (category, itemId) => {
  */
 export default function PuffleShopTabs({ equippedPuffle, coins, onPurchase, feedback, setFeedback }) {
     const [tab, setTab] = useState('food');
-    const { isAuthenticated, send, equipPuffleAccessory, unequipPuffleAccessory } = useMultiplayer();
+    const { canSaveProgress, send, equipPuffleAccessory, unequipPuffleAccessory } = useMultiplayer();
 
     const handleBuyFood = (foodType, addToInventory = false) => {
-        if (!isAuthenticated) {
+        if (!canSaveProgress) {
             setFeedback({ type: 'error', message: 'Login to purchase!' });
             setTimeout(() => setFeedback(null), 2000);
             return;
@@ -82,7 +82,7 @@ export default function PuffleShopTabs({ equippedPuffle, coins, onPurchase, feed
     };
 
     const handleBuyToy = (toyType) => {
-        if (!isAuthenticated || !equippedPuffle) {
+        if (!canSaveProgress || !equippedPuffle) {
             setFeedback({ type: 'error', message: 'Equip a puffle first!' });
             setTimeout(() => setFeedback(null), 2000);
             return;
@@ -105,7 +105,7 @@ export default function PuffleShopTabs({ equippedPuffle, coins, onPurchase, feed
     };
 
     const handleBuyAccessory = (category, itemId) => {
-        if (!isAuthenticated || !equippedPuffle) {
+        if (!canSaveProgress || !equippedPuffle) {
             setFeedback({ type: 'error', message: 'Equip a puffle first!' });
             setTimeout(() => setFeedback(null), 2000);
             return;
@@ -13,47 +13,20 @@ import LanguageToggle from './LanguageToggle';
 import TokenomicsModal from './TokenomicsModal';
 import EconomyGuideModal from './EconomyGuideModal';
 import { applyGameSettings, MUSIC_TRACKS, DEFAULT_MUSIC_VOLUME } from '../audio';
+import {
+    CONTROL_ACTIONS,
+    DEFAULT_CONTROL_BINDINGS,
+    normalizeControlBindings,
+    rebindControl,
+    isBindableKey,
+    getKeyDisplayName,
+} from '../config/controls.js';
+import { exportSettingsBlob, parseSettingsBlob } from '../config/userSettings.js';
 
 const WHITEPAPER_URL = 'https://whitepaper.waddle.bet';
 
-// Default keybinds
-const DEFAULT_KEYBINDS = {
-    snowballThrow: 'ShiftLeft',
-    emoteWheel: 'KeyT',
-    chat: 'Enter',
-    jump: 'Space'
-};
-
-// Friendly key names for display
-const KEY_DISPLAY_NAMES = {
-    'ShiftLeft': 'Left Shift',
-    'ShiftRight': 'Right Shift',
-    'ControlLeft': 'Left Ctrl',
-    'ControlRight': 'Right Ctrl',
-    'AltLeft': 'Left Alt',
-    'AltRight': 'Right Alt',
-    'Space': 'Space',
-    'Enter': 'Enter',
-    'KeyT': 'T',
-    'KeyE': 'E',
-    'KeyQ': 'Q',
-    'KeyR': 'R',
-    'KeyF': 'F',
-    'KeyG': 'G',
-    'Tab': 'Tab',
-    'CapsLock': 'Caps Lock',
-    'Backquote': '`',
-};
-
-const getKeyDisplayName = (code) => {
-    if (KEY_DISPLAY_NAMES[code]) return KEY_DISPLAY_NAMES[code];
-    if (code.startsWith('Key')) return code.slice(3);
-    if (code.startsWith('Digit')) return code.slice(5);
-    return code;
-};
-
 const SettingsMenu = ({ isOpen, onClose, settings, onSettingsChange, onOpenChangelog, isAuthenticated, day1NametagUnlocked = false, launchAction = null, launchTab = null, onLaunchConsumed }) => {
-    const { t } = useLanguage();
+    const { t, language, setLanguage } = useLanguage();
     const menuRef = useRef(null);
     const [activeTab, setActiveTab] = useState('general');
     const [rebindingKey, setRebindingKey] = useState(null); // Which keybind is being rebound
@@ -115,17 +88,19 @@ const SettingsMenu = ({ isOpen, onClose, settings, onSettingsChange, onOpenChang
                 return;
             }
             
-            // Set the new keybind
-            const newKeybinds = { ...settings.keybinds, [rebindingKey]: e.code };
-            onSettingsChange({ ...settings, keybinds: newKeybinds });
+            // Reserved keys (arrows, digits, Slash...) keep listening
+            if (!isBindableKey(e.code)) return;
+            
+            // Set the new keybind — an action already on this key takes the old one
+            saveKeybinds(rebindControl(settings.keybinds, rebindingKey, e.code));
             setRebindingKey(null);
         };
         
-        window.addEventListener('keydown', handleKeyDown);
-        return () => window.removeEventListener('keydown', handleKeyDown);
+        window.addEventListener('keydown', handleKeyDown, true);
+        return () => window.removeEventListener('keydown', handleKeyDown, true);
     }, [rebindingKey, settings, onSettingsChange]);
     
-    const keybinds = settings.keybinds || DEFAULT_KEYBINDS;
+    const keybinds = normalizeControlBindings(settings.keybinds);
     
     const syncSettings = (next) => {
         try {
@@ -135,6 +110,37 @@ const SettingsMenu = ({ isOpen, onClose, settings, onSettingsChange, onOpenChang
         onSettingsChange(next);
     };
 
+    const saveKeybinds = (next) => {
+        syncSettings({ ...settings, keybinds: next });
+    };
+
+    // Guests move settings by hand (signed-in players sync through the account)
+    const handleExportSettings = async () => {
+        const blob = exportSettingsBlob({ ...settings, language });
+        try {
+            await navigator.clipboard.writeText(blob);
+            alert(t('settings.backupCopied'));
+        } catch {
+            window.prompt(t('settings.backupExport'), blob);
+        }
+    };
+
+    const handleImportSettings = () => {
+        const text = window.prompt(t('settings.backupPaste'));
+        if (!text) return;
+        const imported = parseSettingsBlob(text);
+        if (!imported) {
+            alert(t('settings.backupInvalid'));
+            return;
+        }
+        const { language: importedLanguage, ...importedSettings } = imported;
+        syncSettings({ ...settings, ...importedSettings });
+        if (importedLanguage) setLanguage(importedLanguage);
+        if (importedSettings.nametagStyle) {
+            window.dispatchEvent(new CustomEvent('nametagChanged', { detail: { style: importedSettings.nametagStyle } }));
+        }
+    };
+
     // Day 1 path is closed
     useEffect(() => {
         if (!isAuthenticated || day1NametagUnlocked) return;
@@ -231,7 +237,7 @@ const SettingsMenu = ({ isOpen, onClose, settings, onSettingsChange, onOpenChang
     
     // Keybind Button component
     const KeybindButton = ({ action, label }) => {
-        const currentKey = keybinds[action] || DEFAULT_KEYBINDS[action];
+        const currentKey = keybinds[action];
         const isRebinding = rebindingKey === action;
         
         return (
@@ -480,37 +486,77 @@ const SettingsMenu = ({ isOpen, onClose, settings, onSettingsChange, onOpenChang
                                     </button>
                                 </div>
                             </div>
+                            
+                            {/* Settings backup */}
+                            <div className="py-3">
+                                <div className="flex items-center gap-3 mb-3">
+                                    <span className="text-lg">☁️</span>
+                                    <div>
+                                        <div className="text-white text-sm font-medium">{t('settings.backupTitle')}</div>
+                                        <div className="text-white/40 text-xs">
+                                            {isAuthenticated ? t('settings.backupSynced') : t('settings.backupGuest')}
+                                        </div>
+                                    </div>
+                                </div>
+                                {!isAuthenticated && (
+                                    <div className="grid grid-cols-2 gap-2">
+                                        <button
+                                            type="button"
+                                            onClick={handleExportSettings}
+                                            className="p-2 rounded-xl border border-white/10 bg-white/5 hover:border-white/20 text-white text-xs font-bold transition-all"
+                                        >
+                                            📤 {t('settings.backupExport')}
+                                        </button>
+                                        <button
+                                            type="button"
+                                            onClick={handleImportSettings}
+                                            className="p-2 rounded-xl border border-white/10 bg-white/5 hover:border-white/20 text-white text-xs font-bold transition-all"
+                                        >
+                                            📥 {t('settings.backupImport')}
+                                        </button>
+                                    </div>
+                                )}
+                            </div>
                         </>
                     )}
                     
                     {/* Controls Tab */}
                     {activeTab === 'controls' && (
                         <>
-                            {/* Quick Reference */}
+                            {/* Rebindable actions */}
                             <div className="bg-gradient-to-br from-cyan-500/10 to-blue-500/10 rounded-2xl p-4 border border-cyan-500/20 mb-4">
-                                <div className="text-cyan-400 text-sm font-bold mb-3 flex items-center gap-2">
-                                    <span>📖</span> {t('settings.quickControls')}
+                                <div className="flex items-center justify-between mb-1">
+                                    <div className="text-cyan-400 text-sm font-bold flex items-center gap-2">
+                                        <span>⌨️</span> {t('settings.quickControls')}
+                                    </div>
+                                    <button
+                                        onClick={() => saveKeybinds({ ...DEFAULT_CONTROL_BINDINGS })}
+                                        className="text-[11px] text-white/50 hover:text-white px-2 py-1 rounded-lg bg-white/5 hover:bg-white/10 transition-colors"
+                                    >
+                                        {t('settings.ctrlResetDefaults')}
+                                    </button>
+                                </div>
+                                <div className="text-white/40 text-xs mb-3">{t('settings.ctrlRebindHint')}</div>
+                                <div className="space-y-1.5">
+                                    {CONTROL_ACTIONS.filter((action) => action.id !== 'snowballThrow').map((action) => (
+                                        <div key={action.id} className="flex items-center justify-between text-xs">
+                                            <span className="text-white/60">{t(action.labelKey)}</span>
+                                            <KeybindButton action={action.id} label={t(action.labelKey)} />
+                                        </div>
+                                    ))}
                                 </div>
+                            </div>
+                            
+                            {/* Fixed controls */}
+                            <div className="bg-white/5 rounded-2xl p-4 border border-white/10 mb-4">
                                 <div className="grid grid-cols-2 gap-x-6 gap-y-2 text-xs">
-                                    <div className="flex justify-between">
-                                        <span className="text-white/50">{t('settings.ctrlMove')}</span>
-                                        <span className="text-white/80 font-mono">WASD</span>
-                                    </div>
                                     <div className="flex justify-between">
                                         <span className="text-white/50">{t('settings.ctrlCamera')}</span>
-                                        <span className="text-white/80 font-mono">Mouse</span>
-                                    </div>
-                                    <div className="flex justify-between">
-                                        <span className="text-white/50">{t('settings.ctrlJump')}</span>
-                                        <span className="text-white/80 font-mono">Space</span>
-                                    </div>
-                                    <div className="flex justify-between">
-                                        <span className="text-white/50">{t('settings.ctrlChat')}</span>
-                                        <span className="text-white/80 font-mono">Enter</span>
+                                        <span className="text-white/80 font-mono">Mouse / ←→</span>
                                     </div>
                                     <div className="flex justify-between">
                                         <span className="text-white/50">{t('settings.ctrlEmotes')}</span>
-                                        <span className="text-white/80 font-mono">{t('settings.ctrlEmotesHold')}</span>
+                                        <span className="text-white/80 font-mono">{t('settings.ctrlEmotesHold').replace('{key}', getKeyDisplayName(keybinds.emoteWheel))}</span>
                                     </div>
                                     <div className="flex justify-between">
                                         <span className="text-white/50">{t('settings.ctrlWhisper')}</span>
@@ -524,17 +570,54 @@ const SettingsMenu = ({ isOpen, onClose, settings, onSettingsChange, onOpenChang
                                         <span className="text-white/50">{t('settings.ctrlUnstuck')}</span>
                                         <span className="text-white/80 font-mono">/spawn</span>
                                     </div>
+                                </div>
+                            </div>
+                            
+                            {/* Gamepad */}
+                            <div className="bg-white/5 rounded-2xl p-4 border border-white/10 mb-4">
+                                <div className="text-white text-sm font-bold mb-2 flex items-center gap-2">
+                                    <span>🎮</span> {t('settings.ctrlGamepad')}
+                                </div>
+                                <div className="grid grid-cols-2 gap-x-6 gap-y-2 text-xs">
                                     <div className="flex justify-between">
-                                        <span className="text-white/50">{t('settings.ctrlBackpack')}</span>
-                                        <span className="text-white/80 font-mono">Tab</span>
+                                        <span className="text-white/50">{t('settings.ctrlMove')}</span>
+                                        <span className="text-white/80 font-mono">L-Stick</span>
+                                    </div>
+                                    <div className="flex justify-between">
+                                        <span className="text-white/50">{t('settings.ctrlCamera')}</span>
+                                        <span className="text-white/80 font-mono">R-Stick</span>
+                                    </div>
+                                    <div className="flex justify-between">
+                                        <span className="text-white/50">{t('settings.ctrlJump')}</span>
+                                        <span className="text-white/80 font-mono">A</span>
                                     </div>
                                     <div className="flex justify-between">
                                         <span className="text-white/50">{t('settings.ctrlSit')}</span>
-                                        <span className="text-white/80 font-mono">C</span>
+                                        <span className="text-white/80 font-mono">B</span>
+                                    </div>
+                                    <div className="flex justify-between">
+                                        <span className="text-white/50">{t('settings.ctrlInteract')}</span>
+                                        <span className="text-white/80 font-mono">X</span>
+                                    </div>
+                                    <div className="flex justify-between">
+                                        <span className="text-white/50">{t('settings.ctrlEmotes')}</span>
+                                        <span className="text-white/80 font-mono">Y + R-Stick</span>
+                                    </div>
+                                    <div className="flex justify-between">
+                                        <span className="text-white/50">{t('settings.ctrlGamepadHotbar')}</span>
+                                        <span className="text-white/80 font-mono">LB / RB</span>
                                     </div>
                                     <div className="flex justify-between">
                                         <span className="text-white/50">{t('settings.ctrlMount')}</span>
-                                        <span className="text-white/80 font-mono">Z</span>
+                                        <span className="text-white/80 font-mono">L3</span>
+                                    </div>
+                                    <div className="flex justify-between">
+                                        <span className="text-white/50">{t('settings.ctrlBackpack')}</span>
+                                        <span className="text-white/80 font-mono">View</span>
+                                    </div>
+                                    <div className="flex justify-between">
+                                        <span className="text-white/50">{t('settings.ctrlChat')}</span>
+                                        <span className="text-white/80 font-mono">Menu</span>
                                     </div>
                                 </div>
                             </div>
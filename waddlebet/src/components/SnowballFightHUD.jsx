@@ -0,0 +1,245 @@
+/**
+ * SnowballFightHUD - Team snowball fights in Snow Forts
+ * Join panel (mode + team) while no match is running, then a live scoreboard with the clock,
+ * your hits / knockout respawn timer, flag or hill status, and the result banner.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useMultiplayer } from '../multiplayer';
+import {
+    SNOWBALL_FIGHT_ROOM,
+    SNOWBALL_FIGHT_TEAMS,
+    SNOWBALL_FIGHT_TEAM_IDS,
+    SNOWBALL_FIGHT_MODES,
+    SNOWBALL_FIGHT_LIMITS,
+    DEFAULT_SNOWBALL_FIGHT_MODE,
+    getSnowballFightMode,
+} from '../config/snowballFight';
+
+function formatClock(ms) {
+    const seconds = Math.max(0, Math.ceil(ms / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function TeamRoster({ match, team, playerId }) {
+    const info = SNOWBALL_FIGHT_TEAMS[team];
+    const fighters = match.fighters.filter((fighter) => fighter.team === team);
+    return (
+        <div className="flex-1 min-w-0">
+            <div className="text-[10px] font-bold mb-0.5" style={{ color: info.color }}>
+                {info.emoji} {info.label} ({fighters.length})
+            </div>
+            {fighters.map((fighter) => (
+                <div
+                    key={fighter.playerId}
+                    className={`text-[10px] truncate ${fighter.playerId === playerId ? 'text-yellow-300 font-bold' : 'text-white/80'} ${fighter.alive ? '' : 'opacity-50'}`}
+                >
+                    {fighter.name}
+                    {match.phase !== 'lobby' && <span className="text-white/50"> · {fighter.knockouts} KO</span>}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+function ObjectiveStatus({ match }) {
+    if (match.flags) {
+        return (
+            <div className="flex justify-center gap-3 text-[10px] text-white/80 mt-1">
+                {SNOWBALL_FIGHT_TEAM_IDS.map((team) => {
+                    const flag = match.flags[team];
+                    const carrier = flag.carrierId && match.fighters.find((f) => f.playerId === flag.carrierId);
+                    const status = flag.state === 'home' ? 'home'
+                        : flag.state === 'dropped' ? 'dropped'
+                        : `taken by ${carrier?.name || '?'}`;
+                    return (
+                        <span key={team}>
+                            🚩 <span style={{ color: SNOWBALL_FIGHT_TEAMS[team].color }}>{team}</span> {status}
+                        </span>
+                    );
+                })}
+            </div>
+        );
+    }
+    if (match.hill) {
+        const holder = match.hill.holder;
+        const label = !holder ? 'Hill is empty'
+            : holder === 'contested' ? 'Hill contested!'
+            : `${SNOWBALL_FIGHT_TEAMS[holder].label} holds the hill`;
+        return <div className="text-center text-[10px] text-white/80 mt-1">👑 {label}</div>;
+    }
+    return null;
+}
+
+const SnowballFightHUD = ({ currentRoom }) => {
+    const { snowballFight: match, playerId, joinSnowballFight, leaveSnowballFight } = useMultiplayer();
+    const [now, setNow] = useState(() => Date.now());
+    const [open, setOpen] = useState(false);
+    const [mode, setMode] = useState(DEFAULT_SNOWBALL_FIGHT_MODE);
+
+    const inRoom = currentRoom === SNOWBALL_FIGHT_ROOM;
+    const me = match?.fighters.find((fighter) => fighter.playerId === playerId) || null;
+    const ticking = inRoom && (match?.countdownEndsAt || match?.phase === 'running');
+
+    useEffect(() => {
+        if (!ticking) return undefined;
+        const interval = setInterval(() => setNow(Date.now()), 250);
+        return () => clearInterval(interval);
+    }, [ticking]);
+
+    useEffect(() => {
+        if (me) setOpen(false);
+    }, [me]);
+
+    if (!inRoom) return null;
+
+    // Not on a team: a small button that opens the join panel
+    if (!me && match?.phase !== 'running' && match?.phase !== 'results') {
+        if (!open) {
+            return (
+                <button
+                    onClick={() => setOpen(true)}
+                    className="fixed top-28 left-3 z-20 bg-sky-900/90 border border-sky-300/50 rounded-full px-3 py-1 text-xs text-white font-bold shadow-lg"
+                >
+                    ❄️ Snowball Fight{match ? ` · ${match.fighters.length} waiting` : ''}
+                </button>
+            );
+        }
+
+        const lobbyMode = getSnowballFightMode(match?.mode || mode);
+        return (
+            <div className="fixed top-28 left-3 z-20 w-64 bg-gradient-to-br from-sky-900/95 to-indigo-900/95 backdrop-blur-xl rounded-2xl border-2 border-sky-300/50 shadow-2xl px-3 py-2 animate-fade-in">
+                <div className="flex items-center justify-between mb-1.5">
+                    <span className="text-white text-xs font-bold">❄️ SNOWBALL FIGHT</span>
+                    <button onClick={() => setOpen(false)} className="text-white/60 hover:text-white text-sm leading-none">✕</button>
+                </div>
+
+                {match ? (
+                    <p className="text-[10px] text-white/80 mb-1.5">
+                        {lobbyMode.emoji} <span className="font-bold">{lobbyMode.label}</span> lobby open — {lobbyMode.description}
+                    </p>
+                ) : (
+                    <div className="space-y-1 mb-1.5">
+                        {Object.values(SNOWBALL_FIGHT_MODES).map((option) => (
+                            <button
+                                key={option.id}
+                                onClick={() => setMode(option.id)}
+                                className={`w-full text-left rounded-lg px-2 py-1 text-[10px] border ${
+                                    mode === option.id ? 'bg-sky-500/30 border-sky-300 text-white' : 'bg-black/20 border-white/10 text-white/70'
+                                }`}
+                            >
+                                <span className="font-bold">{option.emoji} {option.label}</span>
+                                <span className="block text-white/60">{option.description}</span>
+                            </button>
+                        ))}
+                    </div>
+                )}
+
+                <div className="flex gap-1.5">
+                    {SNOWBALL_FIGHT_TEAM_IDS.map((team) => {
+                        const info = SNOWBALL_FIGHT_TEAMS[team];
+                        const count = match?.fighters.filter((fighter) => fighter.team === team).length || 0;
+                        return (
+                            <button
+                                key={team}
+                                onClick={() => joinSnowballFight(team, match ? undefined : mode)}
+                                className="flex-1 rounded-lg py-1.5 text-xs font-bold text-white active:scale-95 transition-transform"
+                                style={{ background: info.color }}
+                            >
+                                {info.emoji} {info.label.split(' ')[0]} ({count})
+                            </button>
+                        );
+                    })}
+                </div>
+                <p className="text-[9px] text-white/50 mt-1.5">
+                    {SNOWBALL_FIGHT_LIMITS.HITS_TO_KNOCKOUT} hits knock a penguin out. Starts once both teams have a player.
+                </p>
+            </div>
+        );
+    }
+
+    if (!match) return null;
+
+    const modeInfo = getSnowballFightMode(match.mode);
+    const finished = match.phase === 'results';
+    const clock = match.phase === 'running' ? formatClock(match.endsAt - now) : null;
+    const countdown = match.phase === 'lobby' && match.countdownEndsAt
+        ? Math.max(0, Math.ceil((match.countdownEndsAt - now) / 1000))
+        : null;
+    const respawnIn = me && !me.alive && me.respawnAt ? Math.max(0, Math.ceil((me.respawnAt - now) / 1000)) : null;
+
+    return (
+        <div className="fixed top-16 left-1/2 -translate-x-1/2 z-30 w-[min(92vw,360px)]">
+            <div className="bg-gradient-to-br from-sky-900/95 to-indigo-900/95 backdrop-blur-xl rounded-2xl border-2 border-sky-300/50 shadow-2xl px-3 py-2 animate-fade-in">
+                <div className="flex items-center justify-between">
+                    <span className="text-white text-[10px] font-bold">{modeInfo.emoji} {modeInfo.label.toUpperCase()}</span>
+                    <span className="text-white/70 text-[10px]">
+                        {clock ?? (countdown != null ? `Starts in ${countdown}s` : finished ? 'Final' : 'Waiting for players')}
+                    </span>
+                </div>
+
+                {match.phase !== 'lobby' && (
+                    <div className="flex items-center justify-center gap-3 my-1">
+                        <span className="text-2xl font-bold tabular-nums" style={{ color: SNOWBALL_FIGHT_TEAMS.red.color }}>{match.scores.red}</span>
+                        <span className="text-white/50 text-[10px]">first to {match.target} {modeInfo.scoreLabel}</span>
+                        <span className="text-2xl font-bold tabular-nums" style={{ color: SNOWBALL_FIGHT_TEAMS.blue.color }}>{match.scores.blue}</span>
+                    </div>
+                )}
+
+                {match.phase === 'running' && <ObjectiveStatus match={match} />}
+
+                {finished && (
+                    <p className="text-center text-white font-bold text-sm my-1">
+                        {match.winner ? `${SNOWBALL_FIGHT_TEAMS[match.winner].emoji} ${SNOWBALL_FIGHT_TEAMS[match.winner].label} wins!` : "It's a draw!"}
+                    </p>
+                )}
+
+                {(match.phase === 'lobby' || finished) && (
+                    <div className="flex gap-2 mt-1">
+                        {SNOWBALL_FIGHT_TEAM_IDS.map((team) => (
+                            <TeamRoster key={team} match={match} team={team} playerId={playerId} />
+                        ))}
+                    </div>
+                )}
+
+                {me && match.phase === 'running' && (
+                    <div className="text-center text-[11px] mt-1">
+                        {respawnIn != null ? (
+                            <span className="text-red-300 font-bold">Knocked out — respawning in {respawnIn}s</span>
+                        ) : (
+                            <span className="text-white/80">
+                                Hits taken {me.hitsTaken}/{SNOWBALL_FIGHT_LIMITS.HITS_TO_KNOCKOUT} · {me.knockouts} KO
+                            </span>
+                        )}
+                    </div>
+                )}
+
+                {!me && match.phase === 'running' && (
+                    <div className="flex gap-1.5 mt-1.5">
+                        {SNOWBALL_FIGHT_TEAM_IDS.map((team) => (
+                            <button
+                                key={team}
+                                onClick={() => joinSnowballFight(team)}
+                                className="flex-1 rounded-lg py-1 text-[10px] font-bold text-white"
+                                style={{ background: SNOWBALL_FIGHT_TEAMS[team].color }}
+                            >
+                                Join {SNOWBALL_FIGHT_TEAMS[team].label}
+                            </button>
+                        ))}
+                    </div>
+                )}
+
+                {me && !finished && (
+                    <button
+                        onClick={leaveSnowballFight}
+                        className="w-full mt-1.5 rounded-lg py-1 text-[10px] font-bold text-white/80 bg-black/30 hover:bg-black/50"
+                    >
+                        Leave {match.phase === 'running' ? 'match' : 'lobby'}
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SnowballFightHUD;
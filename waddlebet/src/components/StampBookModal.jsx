@@ -0,0 +1,104 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { useMultiplayer } from '../multiplayer';
+import { STAMPS, STAMP_CATEGORIES, STAMP_RARITIES, getStampProgress } from '../config/stamps';
+
+const TAB = 'px-2.5 py-1 rounded-md text-[11px] font-bold border transition-colors whitespace-nowrap';
+
+/**
+ * StampBookModal — earned and locked stamps per category with progress toward each.
+ * State comes from `stamps_state` / `stamp_earned`; the server awards stamps, this only displays them.
+ */
+export default function StampBookModal({ isOpen, onClose }) {
+    const { stamps, stampProgress, isAuthenticated, fetchStamps } = useMultiplayer();
+    const [category, setCategory] = useState(STAMP_CATEGORIES[0].id);
+
+    useEffect(() => {
+        if (isOpen) fetchStamps();
+    }, [isOpen, fetchStamps]);
+
+    const earnedAt = useMemo(() => new Map(stamps.map((s) => [s.id, s.earnedAt])), [stamps]);
+
+    if (!isOpen) return null;
+
+    const earnedCount = STAMPS.filter((stamp) => earnedAt.has(stamp.id)).length;
+    const visible = STAMPS.filter((stamp) => stamp.category === category);
+
+    return createPortal(
+        <div className="fixed inset-0 z-[220] flex items-center justify-center bg-black/70 backdrop-blur-sm p-4" data-no-camera="true">
+            <div className="w-full max-w-lg max-h-[85vh] flex flex-col rounded-2xl border-2 border-amber-500/40 bg-gradient-to-b from-slate-900 to-slate-950 shadow-2xl overflow-hidden">
+                <div className="px-4 py-3 border-b border-amber-500/20 flex items-center justify-between">
+                    <div>
+                        <h2 className="text-amber-300 font-bold retro-text text-sm">Stamp Book</h2>
+                        <p className="text-gray-400 text-xs mt-0.5">{earnedCount}/{STAMPS.length} stamps earned</p>
+                    </div>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="text-gray-400 hover:text-white text-xl leading-none px-2"
+                        aria-label="Close"
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div className="px-4 pt-3 flex gap-1.5 overflow-x-auto">
+                    {STAMP_CATEGORIES.map((c) => (
+                        <button
+                            key={c.id}
+                            type="button"
+                            onClick={() => setCategory(c.id)}
+                            className={`${TAB} ${category === c.id ? 'bg-amber-600 text-white border-amber-400' : 'bg-gray-800 text-gray-300 border-gray-600'}`}
+                        >
+                            {c.icon} {c.label}
+                        </button>
+                    ))}
+                </div>
+
+                <div className="p-4 overflow-y-auto overscroll-contain">
+                    {!isAuthenticated ? (
+                        <p className="text-gray-400 text-xs">Sign in with a wallet to collect stamps.</p>
+                    ) : (
+                        <div className="grid grid-cols-2 gap-2">
+                            {visible.map((stamp) => {
+                                const earned = earnedAt.has(stamp.id);
+                                const rarity = STAMP_RARITIES[stamp.rarity];
+                                const { current, target } = getStampProgress(stamp.criteria, stampProgress);
+                                const pct = Math.min(100, Math.round((current / target) * 100));
+                                return (
+                                    <div
+                                        key={stamp.id}
+                                        className={`rounded-lg border px-3 py-2 ${earned ? 'bg-white/10' : 'bg-white/5 opacity-70'}`}
+                                        style={{ borderColor: earned ? rarity.color : 'rgba(255,255,255,0.1)' }}
+                                    >
+                                        <div className="flex items-center gap-2">
+                                            <span className={`text-2xl ${earned ? '' : 'grayscale'}`}>{stamp.icon}</span>
+                                            <div className="min-w-0">
+                                                <div className="text-sm text-white font-bold truncate">{stamp.name}</div>
+                                                <div className="text-[10px] font-bold uppercase" style={{ color: rarity.color }}>{rarity.label}</div>
+                                            </div>
+                                        </div>
+                                        <p className="text-[11px] text-gray-400 mt-1">{stamp.description}</p>
+                                        {earned ? (
+                                            <p className="text-[10px] text-green-400 mt-1">
+                                                Earned {earnedAt.get(stamp.id) ? new Date(earnedAt.get(stamp.id)).toLocaleDateString() : ''}
+                                            </p>
+                                        ) : (
+                                            <div className="mt-1.5">
+                                                <div className="h-1.5 rounded-full bg-black/40 overflow-hidden">
+                                                    <div className="h-full bg-amber-500" style={{ width: `${pct}%` }} />
+                                                </div>
+                                                <p className="text-[10px] text-gray-500 mt-0.5">{Math.min(current, target)}/{target}</p>
+                                            </div>
+                                        )}
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>,
+        document.body
+    );
+}
@@ -0,0 +1,107 @@
+/**
+ * StampNotification - Shows stamp toasts
+ * Appears when you earn a stamp, or when another player earns a rare one
+ */
+
+import React, { useState, useEffect } from 'react';
+import { getStamp, STAMP_RARITIES } from '../config/stamps';
+
+const StampNotification = ({ toast, onClose }) => {
+    const [isVisible, setIsVisible] = useState(false);
+
+    useEffect(() => {
+        // Animate in
+        setTimeout(() => setIsVisible(true), 50);
+
+        // Auto dismiss after 5 seconds
+        const timeout = setTimeout(() => {
+            setIsVisible(false);
+            setTimeout(onClose, 300);
+        }, 5000);
+
+        return () => clearTimeout(timeout);
+    }, [onClose]);
+
+    const stamp = toast ? getStamp(toast.stampId) : null;
+    if (!stamp) return null;
+
+    const rarity = STAMP_RARITIES[stamp.rarity];
+
+    return (
+        <div style={{
+            ...styles.container,
+            borderColor: rarity.color,
+            transform: isVisible ? 'translateX(0)' : 'translateX(120%)',
+            opacity: isVisible ? 1 : 0
+        }}>
+            <div style={styles.icon}>{stamp.icon}</div>
+            <div style={styles.content}>
+                <div style={{ ...styles.title, color: rarity.color }}>
+                    {toast.playerName ? `${rarity.label} Stamp Earned` : 'Stamp Earned!'}
+                </div>
+                <div style={styles.name}>
+                    {stamp.name}
+                </div>
+                <div style={styles.detail}>
+                    {toast.playerName ? `by ${toast.playerName}` : stamp.description}
+                </div>
+            </div>
+            <button style={styles.closeBtn} onClick={() => {
+                setIsVisible(false);
+                setTimeout(onClose, 300);
+            }}>✕</button>
+        </div>
+    );
+};
+
+const styles = {
+    container: {
+        position: 'fixed',
+        top: '180px',
+        right: '20px',
+        background: 'linear-gradient(145deg, #1a1a2e 0%, #16213e 100%)',
+        borderRadius: '12px',
+        border: '1px solid',
+        padding: '16px 20px',
+        display: 'flex',
+        alignItems: 'flex-start',
+        gap: '12px',
+        boxShadow: '0 10px 30px rgba(0, 0, 0, 0.4)',
+        zIndex: 9999,
+        transition: 'all 0.3s ease-out',
+        minWidth: '260px',
+    },
+    icon: {
+        fontSize: '28px',
+    },
+    content: {
+        flex: 1,
+    },
+    title: {
+        fontSize: '12px',
+        fontWeight: 'bold',
+        textTransform: 'uppercase',
+        letterSpacing: '1px',
+        marginBottom: '4px',
+    },
+    name: {
+        fontSize: '18px',
+        fontWeight: 'bold',
+        color: '#fff',
+        marginBottom: '2px',
+    },
+    detail: {
+        fontSize: '13px',
+        color: '#888',
+    },
+    closeBtn: {
+        background: 'none',
+        border: 'none',
+        color: '#666',
+        fontSize: '16px',
+        cursor: 'pointer',
+        padding: '0',
+    }
+};
+
+export default StampNotification;
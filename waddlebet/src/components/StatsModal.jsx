@@ -5,7 +5,9 @@
 
 import React, { useState, useEffect, useCallback } from 'react';
 import { useMultiplayer } from '../multiplayer/MultiplayerContext';
+import { useChallenge } from '../challenge';
 import { getTxExplorerUrl, getExplorerLabelForTx } from '../utils/txExplorer.js';
+import { ARCADE_SCORE_GAMES, ARCADE_LEADERBOARD_PERIODS } from '../config/arcadeScores.js';
 
 // Chain-aware explorer link (Solscan for Solana, Blockscout for EVM)
 const getExplorerLink = (txOrAddress, chainId, type = 'tx') => {
@@ -291,8 +293,109 @@ const TransactionsTab = ({ transactions }) => {
     );
 };
 
+// Per-game arcade leaderboards (verified runs only)
+const LeaderboardsTab = ({ walletAddress }) => {
+    const [gameId, setGameId] = useState(Object.keys(ARCADE_SCORE_GAMES)[0]);
+    const [period, setPeriod] = useState('daily');
+    const [entries, setEntries] = useState(null);
+    
+    useEffect(() => {
+        const ws = window.__multiplayerWs;
+        if (!ws) return undefined;
+        
+        setEntries(null);
+        const handleMessage = (event) => {
+            try {
+                const msg = JSON.parse(event.data);
+                if (msg.type === 'arcade_leaderboard' && msg.gameId === gameId && msg.period === period) {
+                    setEntries(msg.entries || []);
+                }
+            } catch (e) {
+                // Ignore non-JSON messages
+            }
+        };
+        
+        ws.addEventListener('message', handleMessage);
+        ws.send(JSON.stringify({ type: 'arcade_leaderboard_get', gameId, period }));
+        return () => ws.removeEventListener('message', handleMessage);
+    }, [gameId, period]);
+    
+    return (
+        <div className="space-y-3">
+            <div className="bg-black/30 rounded-xl p-3 border border-white/10 space-y-3">
+                {/* Game Pills */}
+                <div className="flex flex-wrap gap-1.5">
+                    {Object.entries(ARCADE_SCORE_GAMES).map(([id, game]) => (
+                        <button
+                            key={id}
+                            onClick={() => setGameId(id)}
+                            className={`px-2.5 py-1 rounded-full text-xs font-medium transition-colors flex items-center gap-1 ${
+                                gameId === id
+                                    ? 'bg-cyan-500/30 text-cyan-300 border border-cyan-500/50'
+                                    : 'bg-white/5 text-white/60 hover:bg-white/10 hover:text-white/80 border border-transparent'
+                            }`}
+                        >
+                            <span>{game.icon}</span>
+                            <span>{game.label}</span>
+                        </button>
+                    ))}
+                </div>
+                
+                {/* Period Toggle */}
+                <div className="flex bg-black/30 rounded-lg p-0.5 w-fit">
+                    {ARCADE_LEADERBOARD_PERIODS.map(p => (
+                        <button
+                            key={p.id}
+                            onClick={() => setPeriod(p.id)}
+                            className={`px-2.5 py-1 rounded-md text-xs font-medium transition-colors ${
+                                period === p.id ? 'bg-white/10 text-white' : 'text-white/50 hover:text-white/70'
+                            }`}
+                        >
+                            {p.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            
+            {/* Rankings */}
+            <div className="space-y-1.5">
+                {entries === null ? (
+                    <p className="text-center text-white/40 text-sm py-8">Loading leaderboard...</p>
+                ) : entries.length === 0 ? (
+                    <div className="text-center py-8">
+                        <span className="text-4xl mb-2 block">{ARCADE_SCORE_GAMES[gameId].icon}</span>
+                        <p className="text-white/50 text-sm">No verified scores yet — be the first!</p>
+                    </div>
+                ) : (
+                    entries.map(entry => {
+                        const isMe = entry.walletAddress === walletAddress;
+                        return (
+                            <div
+                                key={entry.walletAddress}
+                                className={`flex items-center gap-3 rounded-lg px-3 py-2 border ${
+                                    isMe ? 'bg-cyan-500/15 border-cyan-500/40' : 'bg-black/30 border-white/5'
+                                }`}
+                            >
+                                <span className="w-8 text-center font-bold text-white/70">
+                                    {['🥇', '🥈', '🥉'][entry.rank - 1] || `#${entry.rank}`}
+                                </span>
+                                <span className={`flex-1 truncate text-sm ${isMe ? 'text-cyan-300 font-bold' : 'text-white'}`}>
+                                    {entry.username}
+                                </span>
+                                <span className="text-white/30 text-xs">{formatDate(entry.achievedAt)}</span>
+                                <span className="text-yellow-400 font-bold text-sm w-16 text-right">{entry.score}</span>
+                            </div>
+                        );
+                    })
+                )}
+            </div>
+        </div>
+    );
+};
+
 const StatsModal = ({ isOpen, onClose }) => {
     const { isAuthenticated, walletAddress } = useMultiplayer();
+    const { openReplay } = useChallenge();
     const [activeTab, setActiveTab] = useState('overview');
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
@@ -405,7 +508,8 @@ const StatsModal = ({ isOpen, onClose }) => {
                     {[
                         { id: 'overview', label: 'Overview', icon: '📈' },
                         { id: 'matches', label: 'Match History', icon: '🎮' },
-                        { id: 'transactions', label: 'Transactions', icon: '💰' }
+                        { id: 'transactions', label: 'Transactions', icon: '💰' },
+                        { id: 'leaderboards', label: 'Leaderboards', icon: '🏆' }
                     ].map(tab => (
                         <button
                             key={tab.id}
@@ -610,6 +714,16 @@ const StatsModal = ({ isOpen, onClose }) => {
                                                         ⏱️ {formatDuration(match.duration)}
                                                     </p>
                                                 )}
+                                                
+                                                {/* Move-by-move replay */}
+                                                {match.hasReplay && openReplay && (
+                                                    <button
+                                                        onClick={() => { openReplay(match.matchId, match.side); onClose(); }}
+                                                        className="mt-2 flex items-center gap-1 text-xs text-indigo-300 hover:text-indigo-200"
+                                                    >
+                                                        🎬 Watch Replay
+                                                    </button>
+                                                )}
                                             </div>
                                         ))
                                     )}
@@ -620,6 +734,11 @@ const StatsModal = ({ isOpen, onClose }) => {
                             {activeTab === 'transactions' && (
                                 <TransactionsTab transactions={transactions} />
                             )}
+                            
+                            {/* Leaderboards Tab */}
+                            {activeTab === 'leaderboards' && (
+                                <LeaderboardsTab walletAddress={walletAddress} />
+                            )}
                         </>
                     )}
                 </div>
@@ -0,0 +1,314 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { useMultiplayer } from '../multiplayer';
+import {
+    TOURNAMENT_GAMES,
+    TOURNAMENT_CURRENCIES,
+    TOURNAMENT_LIMITS,
+    getRoundName,
+} from '../config/tournaments';
+
+const TAB = 'px-2.5 py-1 rounded-md text-[11px] font-bold border transition-colors whitespace-nowrap';
+const INPUT = 'w-full bg-black/40 border border-white/15 rounded px-2 py-1.5 text-xs text-white';
+const START_OPTIONS = [
+    { label: '5 min', ms: 5 * 60 * 1000 },
+    { label: '15 min', ms: 15 * 60 * 1000 },
+    { label: '1 hour', ms: 60 * 60 * 1000 },
+    { label: '6 hours', ms: 6 * 60 * 60 * 1000 },
+];
+const STATUS_LABELS = {
+    registration: 'Registration open',
+    running: 'In progress',
+    complete: 'Finished',
+    cancelled: 'Cancelled',
+};
+
+function formatCountdown(ms) {
+    if (ms <= 0) return 'now';
+    const minutes = Math.ceil(ms / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function Bracket({ tournament, walletAddress }) {
+    const names = useMemo(
+        () => new Map(tournament.entrants.map((e) => [e.walletAddress, e.name])),
+        [tournament.entrants]
+    );
+    const slot = (pairing, wallet) => {
+        if (!wallet) return <span className="text-gray-600 italic">{pairing.decidedBy === 'bye' ? 'bye' : 'TBD'}</span>;
+        const won = pairing.winner === wallet;
+        const lost = pairing.winner && !won;
+        return (
+            <span className={`truncate ${won ? 'text-emerald-300 font-bold' : lost ? 'text-gray-500 line-through' : 'text-white'} ${wallet === walletAddress ? 'underline' : ''}`}>
+                {names.get(wallet) || 'Unknown'}
+            </span>
+        );
+    };
+
+    return (
+        <div className="flex gap-3 overflow-x-auto pb-2">
+            {tournament.rounds.map((round, roundIndex) => (
+                <div key={roundIndex} className="flex flex-col justify-around gap-2 min-w-[130px]">
+                    <div className="text-[10px] text-amber-300 font-bold uppercase">
+                        {getRoundName(roundIndex + 1, tournament.rounds.length)}
+                    </div>
+                    {round.map((pairing) => (
+                        <div
+                            key={pairing.key}
+                            className={`rounded border px-2 py-1 text-[11px] flex flex-col gap-0.5 ${pairing.status === 'live' ? 'border-red-400/60 bg-red-500/10' : 'border-white/10 bg-black/30'}`}
+                        >
+                            {slot(pairing, pairing.player1)}
+                            {slot(pairing, pairing.player2)}
+                            {pairing.status === 'live' && <span className="text-[9px] text-red-300 font-bold">● LIVE</span>}
+                            {pairing.decidedBy && !['win', 'bye'].includes(pairing.decidedBy) && (
+                                <span className="text-[9px] text-gray-400">{pairing.decidedBy.replace('_', ' ')}</span>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+function CreateForm({ onCreate }) {
+    const [name, setName] = useState('');
+    const [gameType, setGameType] = useState(Object.keys(TOURNAMENT_GAMES)[0]);
+    const [currency, setCurrency] = useState('gold');
+    const [entryFee, setEntryFee] = useState(0);
+    const [maxEntrants, setMaxEntrants] = useState(8);
+    const [startsInMs, setStartsInMs] = useState(START_OPTIONS[1].ms);
+    const maxFee = TOURNAMENT_CURRENCIES[currency].maxEntryFee;
+
+    const submit = (e) => {
+        e.preventDefault();
+        onCreate({
+            name: name.trim(),
+            gameType,
+            currency,
+            entryFee: Math.min(maxFee, Math.max(0, Math.floor(Number(entryFee) || 0))),
+            maxEntrants,
+            startsInMs,
+        });
+    };
+
+    return (
+        <form onSubmit={submit} className="flex flex-col gap-2">
+            <input
+                className={INPUT}
+                value={name}
+                maxLength={TOURNAMENT_LIMITS.NAME_MAX_LENGTH}
+                placeholder="Tournament name (optional)"
+                onChange={(e) => setName(e.target.value)}
+            />
+            <div className="grid grid-cols-2 gap-2">
+                <select className={INPUT} value={gameType} onChange={(e) => setGameType(e.target.value)}>
+                    {Object.entries(TOURNAMENT_GAMES).map(([id, game]) => (
+                        <option key={id} value={id}>{game.icon} {game.label}</option>
+                    ))}
+                </select>
+                <select className={INPUT} value={maxEntrants} onChange={(e) => setMaxEntrants(Number(e.target.value))}>
+                    {TOURNAMENT_LIMITS.BRACKET_SIZES.map((size) => (
+                        <option key={size} value={size}>Up to {size} players</option>
+                    ))}
+                </select>
+                <select className={INPUT} value={currency} onChange={(e) => setCurrency(e.target.value)}>
+                    {Object.entries(TOURNAMENT_CURRENCIES).map(([id, c]) => (
+                        <option key={id} value={id}>{c.icon} {c.label}</option>
+                    ))}
+                </select>
+                <input
+                    className={INPUT}
+                    type="number"
+                    min={0}
+                    max={maxFee}
+                    value={entryFee}
+                    onChange={(e) => setEntryFee(e.target.value)}
+                    aria-label="Entry fee"
+                />
+            </div>
+            <div className="flex gap-1.5 flex-wrap">
+                {START_OPTIONS.map((option) => (
+                    <button
+                        key={option.ms}
+                        type="button"
+                        onClick={() => setStartsInMs(option.ms)}
+                        className={`${TAB} ${startsInMs === option.ms ? 'bg-amber-600 text-white border-amber-400' : 'bg-gray-800 text-gray-300 border-gray-600'}`}
+                    >
+                        Starts in {option.label}
+                    </button>
+                ))}
+            </div>
+            <p className="text-[10px] text-gray-400">
+                You pay the entry fee too. All fees form the prize pool; the winner and runner-up are paid when the final ends.
+            </p>
+            <button type="submit" className="bg-amber-600 hover:bg-amber-500 text-white text-xs font-bold rounded py-2">
+                Host tournament
+            </button>
+        </form>
+    );
+}
+
+/**
+ * TournamentsModal — bracket tournament lobby: open and running tournaments, hosting, and a live
+ * bracket view. Everything is server-driven (`tournament_list` / `tournament_update`); matches start
+ * automatically through the normal match flow when a pairing is called.
+ */
+export default function TournamentsModal({ isOpen, onClose }) {
+    const {
+        tournaments, fetchTournaments, createTournament, joinTournament, leaveTournament,
+        startTournament, cancelTournament, isAuthenticated, walletAddress,
+    } = useMultiplayer();
+    const [tab, setTab] = useState('browse');
+    const [selectedId, setSelectedId] = useState(null);
+    const [now, setNow] = useState(() => Date.now());
+
+    useEffect(() => {
+        if (!isOpen) return undefined;
+        fetchTournaments();
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [isOpen, fetchTournaments]);
+
+    if (!isOpen) return null;
+
+    const selected = tournaments.find((t) => t.tournamentId === selectedId) || null;
+
+    const handleCreate = (options) => {
+        createTournament(options);
+        setTab('browse');
+    };
+
+    const renderCard = (t) => {
+        const game = TOURNAMENT_GAMES[t.gameType];
+        const currency = TOURNAMENT_CURRENCIES[t.currency];
+        const entered = t.entrants.some((e) => e.walletAddress === walletAddress);
+        const isHost = t.hostWallet && t.hostWallet === walletAddress;
+        const startsIn = new Date(t.startsAt).getTime() - now;
+        return (
+            <div key={t.tournamentId} className="rounded-lg border border-white/10 bg-white/5 px-3 py-2">
+                <button type="button" className="w-full text-left" onClick={() => setSelectedId(t.tournamentId)}>
+                    <div className="flex items-center justify-between gap-2">
+                        <div className="text-sm text-white font-bold truncate">{game?.icon} {t.name}</div>
+                        <div className="text-[10px] text-gray-400 whitespace-nowrap">{STATUS_LABELS[t.status]}</div>
+                    </div>
+                    <div className="text-[11px] text-gray-300 mt-0.5">
+                        {game?.label} · {t.entrants.length}/{t.maxEntrants} players ·{' '}
+                        {t.entryFee > 0 ? `${t.entryFee} ${currency.icon} entry · pool ${t.prizePool}` : 'free entry'}
+                        {t.status === 'registration' && ` · starts in ${formatCountdown(startsIn)}`}
+                    </div>
+                    <div className="text-[10px] text-gray-500">{t.scheduled ? 'Daily tournament' : `Hosted by ${t.hostName}`}</div>
+                </button>
+                {t.status === 'registration' && isAuthenticated && (
+                    <div className="flex gap-1.5 mt-2">
+                        {!entered && (
+                            <button type="button" onClick={() => joinTournament(t.tournamentId)} className="bg-emerald-600 hover:bg-emerald-500 text-white text-[11px] font-bold rounded px-2 py-1">
+                                Register{t.entryFee > 0 ? ` (${t.entryFee} ${currency.icon})` : ''}
+                            </button>
+                        )}
+                        {entered && !isHost && (
+                            <button type="button" onClick={() => leaveTournament(t.tournamentId)} className="bg-gray-700 hover:bg-gray-600 text-white text-[11px] font-bold rounded px-2 py-1">
+                                Withdraw
+                            </button>
+                        )}
+                        {isHost && (
+                            <>
+                                <button
+                                    type="button"
+                                    disabled={t.entrants.length < TOURNAMENT_LIMITS.MIN_ENTRANTS}
+                                    onClick={() => startTournament(t.tournamentId)}
+                                    className="bg-amber-600 hover:bg-amber-500 disabled:opacity-40 text-white text-[11px] font-bold rounded px-2 py-1"
+                                >
+                                    Start now
+                                </button>
+                                <button type="button" onClick={() => cancelTournament(t.tournamentId)} className="bg-red-700 hover:bg-red-600 text-white text-[11px] font-bold rounded px-2 py-1">
+                                    Cancel
+                                </button>
+                            </>
+                        )}
+                    </div>
+                )}
+            </div>
+        );
+    };
+
+    return createPortal(
+        <div className="fixed inset-0 z-[220] flex items-center justify-center bg-black/70 backdrop-blur-sm p-4" data-no-camera="true">
+            <div className="w-full max-w-2xl max-h-[85vh] flex flex-col rounded-2xl border-2 border-amber-500/40 bg-gradient-to-b from-slate-900 to-slate-950 shadow-2xl overflow-hidden">
+                <div className="px-4 py-3 border-b border-amber-500/20 flex items-center justify-between">
+                    <div>
+                        <h2 className="text-amber-300 font-bold retro-text text-sm">Tournaments</h2>
+                        <p className="text-gray-400 text-xs mt-0.5">Single elimination · {TOURNAMENT_LIMITS.MIN_ENTRANTS}–{TOURNAMENT_LIMITS.MAX_ENTRANTS} players</p>
+                    </div>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="text-gray-400 hover:text-white text-xl leading-none px-2"
+                        aria-label="Close"
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div className="px-4 pt-3 flex gap-1.5">
+                    {[['browse', '🏆 Browse'], ['host', '➕ Host']].map(([id, label]) => (
+                        <button
+                            key={id}
+                            type="button"
+                            onClick={() => { setTab(id); setSelectedId(null); }}
+                            className={`${TAB} ${tab === id ? 'bg-amber-600 text-white border-amber-400' : 'bg-gray-800 text-gray-300 border-gray-600'}`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+
+                <div className="p-4 overflow-y-auto overscroll-contain">
+                    {tab === 'host' ? (
+                        isAuthenticated
+                            ? <CreateForm onCreate={handleCreate} />
+                            : <p className="text-gray-400 text-xs">Sign in with a wallet to host tournaments.</p>
+                    ) : selected ? (
+                        <div className="flex flex-col gap-3">
+                            <button type="button" onClick={() => setSelectedId(null)} className="self-start text-[11px] text-gray-400 hover:text-white">
+                                ← All tournaments
+                            </button>
+                            {renderCard(selected)}
+                            {selected.rounds.length > 0 ? (
+                                <Bracket tournament={selected} walletAddress={walletAddress} />
+                            ) : (
+                                <div className="flex flex-wrap gap-1.5">
+                                    {selected.entrants.map((e) => (
+                                        <span key={e.walletAddress} className="bg-black/30 rounded px-2 py-0.5 text-[11px] text-white">{e.name}</span>
+                                    ))}
+                                </div>
+                            )}
+                            {selected.status === 'complete' && (
+                                <div className="flex flex-col gap-1">
+                                    {[...selected.entrants]
+                                        .filter((e) => e.placement && e.placement <= 3)
+                                        .sort((a, b) => a.placement - b.placement)
+                                        .map((e) => (
+                                            <div key={e.walletAddress} className="flex justify-between bg-black/30 rounded px-2 py-1 text-xs text-white">
+                                                <span>#{e.placement} {e.name}</span>
+                                                {e.prize > 0 && <span className="text-amber-300">+{e.prize} {TOURNAMENT_CURRENCIES[selected.currency].icon}</span>}
+                                            </div>
+                                        ))}
+                                </div>
+                            )}
+                            {selected.status === 'cancelled' && selected.cancelReason && (
+                                <p className="text-xs text-gray-400">{selected.cancelReason}. Entry fees were refunded.</p>
+                            )}
+                        </div>
+                    ) : tournaments.length === 0 ? (
+                        <p className="text-gray-400 text-xs">No tournaments right now. Host one, or check back for the daily cups.</p>
+                    ) : (
+                        <div className="flex flex-col gap-2">{tournaments.map(renderCard)}</div>
+                    )}
+                </div>
+            </div>
+        </div>,
+        document.body
+    );
+}
@@ -0,0 +1,269 @@
+/**
+ * TradeWindow — player-to-player trade for backpack items and gold.
+ * Shows the incoming request prompt, the "waiting for answer" card and the two-sided window.
+ * The server owns both offers; every change clears both confirmations and the swap only
+ * happens once both players have confirmed (see server/services/TradeService.js).
+ */
+
+import React, { useEffect, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { useMultiplayer } from '../multiplayer';
+import { TRADE_LIMITS, isTradeableItem } from '../config/trading';
+
+function OfferList({ items, gold, emptyText, onQuantityChange, onRemove }) {
+    if (!items.length && !gold) {
+        return <p className="text-gray-500 text-xs py-3 text-center">{emptyText}</p>;
+    }
+    return (
+        <div className="flex flex-col gap-1">
+            {items.map((item) => (
+                <div key={item.slotIndex} className="flex items-center gap-2 rounded bg-black/30 px-2 py-1 text-[11px] text-white">
+                    <span>{item.emoji || '📦'}</span>
+                    <span className="flex-1 truncate">
+                        {item.name}
+                        {item.maxDurability != null && (
+                            <span className="text-gray-400"> · {item.durability}/{item.maxDurability}</span>
+                        )}
+                    </span>
+                    {onQuantityChange ? (
+                        <input
+                            type="number"
+                            min={1}
+                            defaultValue={item.quantity}
+                            key={`${item.slotIndex}_${item.quantity}`}
+                            onBlur={(e) => onQuantityChange(item.slotIndex, Math.floor(Number(e.target.value)))}
+                            onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+                            className="w-12 bg-black/40 border border-white/10 rounded px-1 text-right"
+                        />
+                    ) : (
+                        <span className="text-gray-300">×{item.quantity}</span>
+                    )}
+                    {onRemove && (
+                        <button
+                            type="button"
+                            onClick={() => onRemove(item.slotIndex)}
+                            className="text-gray-400 hover:text-red-300 px-1"
+                            aria-label={`Remove ${item.name}`}
+                        >
+                            ×
+                        </button>
+                    )}
+                </div>
+            ))}
+            {gold > 0 && (
+                <div className="rounded bg-yellow-500/10 px-2 py-1 text-[11px] text-yellow-300 font-bold">🪙 {gold} gold</div>
+            )}
+        </div>
+    );
+}
+
+export default function TradeWindow() {
+    const {
+        trade,
+        incomingTrade,
+        tradeError,
+        respondToTrade,
+        setTradeOffer,
+        confirmTrade,
+        cancelTrade,
+        gameInventory,
+        fetchGameInventory,
+        walletAddress,
+        userData,
+    } = useMultiplayer();
+
+    const mySide = trade?.sides.find((side) => side.walletAddress === walletAddress) || null;
+    const theirSide = trade?.sides.find((side) => side.walletAddress !== walletAddress) || null;
+    const [goldDraft, setGoldDraft] = useState('0');
+
+    const isOpen = trade?.status === 'open';
+
+    useEffect(() => {
+        setGoldDraft(String(mySide?.gold ?? 0));
+    }, [trade?.id, mySide?.gold]);
+
+    useEffect(() => {
+        if (isOpen) fetchGameInventory();
+    }, [isOpen, fetchGameInventory]);
+
+    if (incomingTrade && !trade) {
+        return createPortal(
+            <div className="fixed bottom-24 left-1/2 -translate-x-1/2 z-[230] rounded-xl border border-amber-500/40 bg-slate-900/95 px-4 py-3 shadow-2xl" data-no-camera="true">
+                <p className="text-white text-sm font-bold">🤝 {incomingTrade.fromName} wants to trade</p>
+                <div className="flex gap-2 mt-2">
+                    <button
+                        type="button"
+                        onClick={() => respondToTrade(incomingTrade.tradeId, true)}
+                        className="flex-1 bg-emerald-600 hover:bg-emerald-500 text-white text-xs font-bold rounded px-3 py-1.5"
+                    >
+                        Accept
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => respondToTrade(incomingTrade.tradeId, false)}
+                        className="flex-1 bg-gray-700 hover:bg-gray-600 text-white text-xs font-bold rounded px-3 py-1.5"
+                    >
+                        Decline
+                    </button>
+                </div>
+            </div>,
+            document.body
+        );
+    }
+
+    if (!trade || !mySide || !theirSide) return null;
+
+    if (trade.status === 'requested') {
+        return createPortal(
+            <div className="fixed bottom-24 left-1/2 -translate-x-1/2 z-[230] rounded-xl border border-amber-500/40 bg-slate-900/95 px-4 py-3 shadow-2xl flex items-center gap-3" data-no-camera="true">
+                <p className="text-white text-sm">🤝 Waiting for {theirSide.name}…</p>
+                <button
+                    type="button"
+                    onClick={() => cancelTrade(trade.id)}
+                    className="bg-gray-700 hover:bg-gray-600 text-white text-xs font-bold rounded px-3 py-1.5"
+                >
+                    Cancel
+                </button>
+            </div>,
+            document.body
+        );
+    }
+
+    const executing = trade.status === 'executing';
+    const offeredSlots = new Set(mySide.items.map((item) => item.slotIndex));
+    const backpack = (gameInventory?.slots || [])
+        .map((slot, slotIndex) => ({ ...slot, slotIndex }))
+        .filter((slot) => slot.itemId && isTradeableItem(slot.itemId) && !offeredSlots.has(slot.slotIndex));
+    const canAddMore = mySide.items.length < TRADE_LIMITS.MAX_OFFER_SLOTS;
+
+    const sendOffer = (items, gold = mySide.gold) => {
+        setTradeOffer(trade.id, items.map(({ slotIndex, quantity }) => ({ slotIndex, quantity })), gold);
+    };
+    const addSlot = (slot) => {
+        if (!canAddMore || executing) return;
+        sendOffer([...mySide.items, { slotIndex: slot.slotIndex, quantity: slot.quantity }]);
+    };
+    const removeSlot = (slotIndex) => {
+        sendOffer(mySide.items.filter((item) => item.slotIndex !== slotIndex));
+    };
+    const changeQuantity = (slotIndex, quantity) => {
+        const current = mySide.items.find((item) => item.slotIndex === slotIndex);
+        if (!current || !(quantity > 0) || quantity === current.quantity) return;
+        sendOffer(mySide.items.map((item) => (item.slotIndex === slotIndex ? { ...item, quantity } : item)));
+    };
+    const commitGold = () => {
+        const gold = Math.max(0, Math.floor(Number(goldDraft) || 0));
+        if (gold === mySide.gold) {
+            setGoldDraft(String(gold));
+            return;
+        }
+        sendOffer(mySide.items, gold);
+    };
+
+    return createPortal(
+        <div className="fixed inset-0 z-[220] flex items-center justify-center bg-black/70 backdrop-blur-sm p-4" data-no-camera="true">
+            <div className="w-full max-w-2xl max-h-[85vh] flex flex-col rounded-2xl border-2 border-amber-500/40 bg-gradient-to-b from-slate-900 to-slate-950 shadow-2xl overflow-hidden">
+                <div className="px-4 py-3 border-b border-amber-500/20 flex items-center justify-between">
+                    <div>
+                        <h2 className="text-amber-300 font-bold retro-text text-sm">🤝 Trade with {theirSide.name}</h2>
+                        <p className="text-gray-400 text-xs mt-0.5">Changing an offer clears both confirmations</p>
+                    </div>
+                    <button
+                        type="button"
+                        disabled={executing}
+                        onClick={() => cancelTrade(trade.id)}
+                        className="text-gray-400 hover:text-white disabled:opacity-40 text-xl leading-none px-2"
+                        aria-label="Cancel trade"
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div className="p-4 overflow-y-auto overscroll-contain grid grid-cols-1 sm:grid-cols-2 gap-3">
+                    <div className={`rounded-lg border px-3 py-2 ${mySide.confirmed ? 'border-emerald-400/60 bg-emerald-500/10' : 'border-white/10 bg-white/5'}`}>
+                        <div className="flex items-center justify-between mb-2">
+                            <span className="text-white text-xs font-bold">Your offer</span>
+                            {mySide.confirmed && <span className="text-emerald-300 text-[10px] font-bold">✓ Confirmed</span>}
+                        </div>
+                        <OfferList
+                            items={mySide.items}
+                            gold={mySide.gold}
+                            emptyText="Pick items from your backpack below"
+                            onQuantityChange={executing ? null : changeQuantity}
+                            onRemove={executing ? null : removeSlot}
+                        />
+                        <label className="flex items-center gap-2 mt-2 text-[11px] text-gray-300">
+                            🪙 Gold
+                            <input
+                                type="number"
+                                min={0}
+                                max={Math.min(TRADE_LIMITS.MAX_GOLD, userData?.coins ?? 0)}
+                                value={goldDraft}
+                                disabled={executing}
+                                onChange={(e) => setGoldDraft(e.target.value)}
+                                onBlur={commitGold}
+                                onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+                                className="w-24 bg-black/40 border border-white/10 rounded px-1 text-right text-white"
+                            />
+                            <span className="text-gray-500">of {userData?.coins ?? 0}</span>
+                        </label>
+                    </div>
+
+                    <div className={`rounded-lg border px-3 py-2 ${theirSide.confirmed ? 'border-emerald-400/60 bg-emerald-500/10' : 'border-white/10 bg-white/5'}`}>
+                        <div className="flex items-center justify-between mb-2">
+                            <span className="text-white text-xs font-bold">{theirSide.name}&apos;s offer</span>
+                            {theirSide.confirmed && <span className="text-emerald-300 text-[10px] font-bold">✓ Confirmed</span>}
+                        </div>
+                        <OfferList items={theirSide.items} gold={theirSide.gold} emptyText="Nothing offered yet" />
+                    </div>
+
+                    <div className="sm:col-span-2">
+                        <div className="text-[11px] text-gray-400 mb-1">
+                            Backpack · {mySide.items.length}/{TRADE_LIMITS.MAX_OFFER_SLOTS} stacks offered
+                        </div>
+                        {backpack.length === 0 ? (
+                            <p className="text-gray-500 text-xs">Nothing else to offer</p>
+                        ) : (
+                            <div className="flex flex-wrap gap-1.5">
+                                {backpack.map((slot) => (
+                                    <button
+                                        key={slot.slotIndex}
+                                        type="button"
+                                        disabled={!canAddMore || executing}
+                                        onClick={() => addSlot(slot)}
+                                        title={slot.name}
+                                        className="rounded bg-black/30 hover:bg-white/10 disabled:opacity-40 px-2 py-1 text-[11px] text-white"
+                                    >
+                                        {slot.emoji} {slot.name} ×{slot.quantity}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                </div>
+
+                {tradeError && <p className="mx-4 mb-2 text-[11px] text-red-300">{tradeError}</p>}
+
+                <div className="px-4 py-3 border-t border-amber-500/20 flex items-center justify-end gap-2">
+                    <button
+                        type="button"
+                        disabled={executing}
+                        onClick={() => cancelTrade(trade.id)}
+                        className="bg-gray-700 hover:bg-gray-600 disabled:opacity-40 text-white text-xs font-bold rounded px-3 py-1.5"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        type="button"
+                        disabled={executing || mySide.confirmed}
+                        onClick={() => confirmTrade(trade.id)}
+                        className="bg-emerald-600 hover:bg-emerald-500 disabled:opacity-40 text-white text-xs font-bold rounded px-3 py-1.5"
+                    >
+                        {executing ? 'Trading…' : mySide.confirmed ? `Waiting for ${theirSide.name}` : 'Confirm trade'}
+                    </button>
+                </div>
+            </div>
+        </div>,
+        document.body
+    );
+}
@@ -0,0 +1,91 @@
+/**
+ * WorldEventHUD — live world event banner (Fish Frenzy, Golden Trees, Snowball War).
+ * Shows time left, where the event runs, and the player's contribution toward the next reward tier.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useMultiplayer } from '../multiplayer';
+import { useLanguage } from '../i18n';
+import { getRoomLabel } from '../utils/roomLabels';
+
+function formatTimeLeft(endsAt) {
+    const seconds = Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+    const m = Math.floor(seconds / 60);
+    const s = seconds % 60;
+    return `${m}:${String(s).padStart(2, '0')}`;
+}
+
+function EventCard({ event, currentRoom, isAuthenticated, t }) {
+    const tiers = event.rewardTiers || [];
+    const reached = [...tiers].reverse().find((tier) => event.contribution >= tier.minContribution) || null;
+    const next = tiers.find((tier) => tier.minContribution > event.contribution) || null;
+    const progressPct = next ? Math.min(100, (event.contribution / next.minContribution) * 100) : 100;
+    const elsewhere = event.rooms?.length && !event.rooms.includes(currentRoom);
+
+    return (
+        <div className="bg-black/75 border border-yellow-400/40 rounded-xl shadow-xl backdrop-blur-md px-3 py-2">
+            <div className="flex items-center justify-between gap-2">
+                <div className="text-yellow-100 retro-text text-xs font-bold truncate">
+                    {event.emoji} {event.name}
+                </div>
+                <div className="text-yellow-300 font-mono text-xs tabular-nums shrink-0">
+                    {formatTimeLeft(event.endsAt)}
+                </div>
+            </div>
+            {elsewhere && (
+                <div className="text-[10px] text-sky-200/70 mt-0.5">
+                    {event.rooms.map((roomId) => getRoomLabel(roomId, t, { emoji: true })).join(', ')}
+                </div>
+            )}
+            {isAuthenticated ? (
+                <>
+                    <div className="flex items-center justify-between text-[10px] text-white/70 mt-1">
+                        <span>Score {event.contribution}{reached ? ` · ${reached.label}` : ''}</span>
+                        {next && <span>{next.label} at {next.minContribution}</span>}
+                    </div>
+                    <div className="h-1 rounded-full bg-white/10 mt-1 overflow-hidden">
+                        <div
+                            className="h-full bg-gradient-to-r from-yellow-400 to-amber-300 transition-all duration-300"
+                            style={{ width: `${progressPct}%` }}
+                        />
+                    </div>
+                </>
+            ) : (
+                <div className="text-[10px] text-white/50 mt-1">Log in to earn event rewards</div>
+            )}
+        </div>
+    );
+}
+
+export default function WorldEventHUD({ currentRoom, isMobile = false, isPortrait = false }) {
+    const { worldEvents, isAuthenticated } = useMultiplayer();
+    const { t } = useLanguage();
+    const [, setTick] = useState(0);
+    const active = worldEvents?.filter((event) => event.endsAt > Date.now()) || [];
+
+    useEffect(() => {
+        if (!worldEvents?.length) return undefined;
+        const id = setInterval(() => setTick((n) => n + 1), 1000);
+        return () => clearInterval(id);
+    }, [worldEvents?.length]);
+
+    if (!active.length) return null;
+
+    const anchorClass = isMobile && isPortrait
+        ? 'top-24 right-2 w-44'
+        : 'top-16 right-3 w-56';
+
+    return (
+        <div className={`fixed z-20 pointer-events-none flex flex-col gap-1.5 ${anchorClass}`}>
+            {active.map((event) => (
+                <EventCard
+                    key={event.runId}
+                    event={event}
+                    currentRoom={currentRoom}
+                    isAuthenticated={isAuthenticated}
+                    t={t}
+                />
+            ))}
+        </div>
+    );
+}
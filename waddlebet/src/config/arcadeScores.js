@@ -0,0 +1,175 @@
+/**
+ * Arcade score verification — shared by the server (server/services/ArcadeScoreService.js)
+ * and the solo arcade games that submit scores.
+ *
+ * Every scored run belongs to a server-issued session. Snake runs are replayed move by move from
+ * the session seed and the submitted input log; the other games stream score checkpoints while
+ * playing and the server bounds how fast the score may grow between them.
+ */
+
+import { createSeededRandom } from '../utils/seededRandom.js';
+
+export const ARCADE_SCORE_GAMES = {
+    snake: {
+        label: 'Snake',
+        icon: '🐍',
+        validation: 'replay',
+    },
+    flappy_penguin: {
+        label: 'Flappy Penguin',
+        icon: '🐧',
+        validation: 'checkpoints',
+        // One pipe every 90 frames — 0.67/s at 60Hz, 2.67/s on 240Hz screens
+        maxPointsPerSecond: 3,
+        burstPoints: 2,
+    },
+    thin_ice: {
+        label: 'Thin Ice',
+        icon: '🧊',
+        validation: 'checkpoints',
+        maxPointsPerSecond: 250,
+        // Level-complete bonus lands in one step
+        burstPoints: 3000,
+    },
+    avalanche_run: {
+        label: 'Avalanche Run',
+        icon: '🏔️',
+        validation: 'checkpoints',
+        // Top slide speed is ~470 distance points/s before fish
+        maxPointsPerSecond: 700,
+        burstPoints: 300,
+    },
+};
+
+export const ARCADE_LEADERBOARD_PERIODS = [
+    { id: 'daily', label: 'Today' },
+    { id: 'weekly', label: 'This Week' },
+    { id: 'allTime', label: 'All Time' },
+];
+
+export const ARCADE_SCORE_LIMITS = {
+    /** Client throttle for live score checkpoints */
+    CHECKPOINT_INTERVAL_MS: 2000,
+    /** Sessions not submitted within this window are discarded */
+    SESSION_TTL_MS: 2 * 60 * 60 * 1000,
+    MAX_CHECKPOINTS: 4000,
+    MAX_SNAKE_INPUTS: 20000,
+    MAX_SNAKE_TICKS: 100000,
+    /** Replayed game time may run at most this much faster than the server clock saw */
+    REPLAY_CLOCK_TOLERANCE: 0.8,
+    LEADERBOARD_SIZE: 25,
+};
+
+export function isArcadeScoreGame(gameId) {
+    return Object.prototype.hasOwnProperty.call(ARCADE_SCORE_GAMES, gameId);
+}
+
+// ==================== SNAKE ====================
+
+export const SNAKE_RULES = {
+    GRID_SIZE: 22,
+    INITIAL_SPEED: 140,
+    SPEED_INCREASE: 4,
+    MIN_SPEED: 55,
+    FOOD_POINTS: 10,
+    START: { x: 11, y: 11 },
+};
+
+export const SNAKE_DIRECTIONS = {
+    U: { x: 0, y: -1 },
+    D: { x: 0, y: 1 },
+    L: { x: -1, y: 0 },
+    R: { x: 1, y: 0 },
+};
+
+export function getSnakeDirectionCode(dir) {
+    return Object.keys(SNAKE_DIRECTIONS).find((code) => (
+        SNAKE_DIRECTIONS[code].x === dir.x && SNAKE_DIRECTIONS[code].y === dir.y
+    )) || null;
+}
+
+/**
+ * Place food on a free cell using the run's seeded random
+ */
+export function spawnSnakeFood(random, snake) {
+    let food;
+    do {
+        food = {
+            x: Math.floor(random() * SNAKE_RULES.GRID_SIZE),
+            y: Math.floor(random() * SNAKE_RULES.GRID_SIZE),
+        };
+    } while (snake.some((seg) => seg.x === food.x && seg.y === food.y));
+    return food;
+}
+
+/**
+ * Replay a Snake run from its seed and input log.
+ * Inputs are `[move, code]` pairs: the direction that takes effect on that move (0-based, ascending).
+ * A valid run ends with a collision on the last move.
+ * @returns {{ valid: boolean, error?: string, score: number, moves: number, durationMs: number }}
+ */
+export function replaySnakeRun(seed, inputs, maxMoves = ARCADE_SCORE_LIMITS.MAX_SNAKE_TICKS) {
+    const random = createSeededRandom(seed);
+    const snake = [{ ...SNAKE_RULES.START }];
+    let dir = SNAKE_DIRECTIONS.R;
+    let speed = SNAKE_RULES.INITIAL_SPEED;
+    let food = spawnSnakeFood(random, snake);
+    let score = 0;
+    let durationMs = 0;
+    let nextInput = 0;
+
+    for (let move = 0; move < maxMoves; move++) {
+        // The first move fires on the first frame; each later one waits the current speed
+        if (move > 0) durationMs += speed;
+
+        const input = inputs[nextInput];
+        if (input && input[0] === move) {
+            const next = SNAKE_DIRECTIONS[input[1]];
+            if (!next || (next.x === -dir.x && next.y === -dir.y)) {
+                return { valid: false, error: 'BAD_INPUT', score, moves: move, durationMs };
+            }
+            dir = next;
+            nextInput++;
+        } else if (input && input[0] < move) {
+            return { valid: false, error: 'BAD_INPUT', score, moves: move, durationMs };
+        }
+
+        const head = snake[0];
+        const newHead = { x: head.x + dir.x, y: head.y + dir.y };
+        const hitWall = newHead.x < 0 || newHead.x >= SNAKE_RULES.GRID_SIZE
+            || newHead.y < 0 || newHead.y >= SNAKE_RULES.GRID_SIZE;
+        if (hitWall || snake.some((seg) => seg.x === newHead.x && seg.y === newHead.y)) {
+            const leftover = nextInput < inputs.length;
+            return { valid: !leftover, error: leftover ? 'BAD_INPUT' : undefined, score, moves: move + 1, durationMs };
+        }
+
+        snake.unshift(newHead);
+        if (newHead.x === food.x && newHead.y === food.y) {
+            score += SNAKE_RULES.FOOD_POINTS;
+            speed = Math.max(SNAKE_RULES.MIN_SPEED, speed - SNAKE_RULES.SPEED_INCREASE);
+            food = spawnSnakeFood(random, snake);
+        } else {
+            snake.pop();
+        }
+    }
+
+    return { valid: false, error: 'TOO_LONG', score, moves: maxMoves, durationMs };
+}
+
+/**
+ * Start of the leaderboard window for a period (UTC days, weeks start Monday)
+ * @returns {Date|null} null for all-time
+ */
+export function getLeaderboardPeriodStart(period, now = Date.now()) {
+    const date = new Date(now);
+    date.setUTCHours(0, 0, 0, 0);
+    switch (period) {
+        case 'daily':
+            return date;
+        case 'weekly':
+            date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+            return date;
+        default:
+            return null;
+    }
+}
@@ -0,0 +1,134 @@
+/**
+ * Control actions and their default keyboard / gamepad bindings — shared by the client
+ * (InputManager, SettingsMenu) and the server (server/config/controls.js validates saved bindings).
+ * Keyboard bindings are `KeyboardEvent.code` values stored in `settings.keybinds`.
+ */
+
+/** Rebindable actions, in the order SettingsMenu lists them */
+export const CONTROL_ACTIONS = [
+    { id: 'moveForward', labelKey: 'settings.ctrlMoveForward', defaultKey: 'KeyW' },
+    { id: 'moveBack', labelKey: 'settings.ctrlMoveBack', defaultKey: 'KeyS' },
+    { id: 'moveLeft', labelKey: 'settings.ctrlMoveLeft', defaultKey: 'KeyA' },
+    { id: 'moveRight', labelKey: 'settings.ctrlMoveRight', defaultKey: 'KeyD' },
+    { id: 'jump', labelKey: 'settings.ctrlJump', defaultKey: 'Space' },
+    { id: 'sit', labelKey: 'settings.ctrlSit', defaultKey: 'KeyC' },
+    { id: 'emoteWheel', labelKey: 'settings.ctrlEmotes', defaultKey: 'KeyT' },
+    { id: 'chat', labelKey: 'settings.ctrlChat', defaultKey: 'Enter' },
+    { id: 'backpack', labelKey: 'settings.ctrlBackpack', defaultKey: 'Tab' },
+    { id: 'mount', labelKey: 'settings.ctrlMount', defaultKey: 'KeyZ' },
+    { id: 'interact', labelKey: 'settings.ctrlInteract', defaultKey: 'KeyE' },
+    { id: 'snowballThrow', labelKey: 'settings.snowballTitle', defaultKey: 'ShiftLeft' },
+];
+
+export const CONTROL_ACTION_IDS = CONTROL_ACTIONS.map((action) => action.id);
+
+export const MOVEMENT_ACTIONS = ['moveForward', 'moveBack', 'moveLeft', 'moveRight'];
+
+export const DEFAULT_CONTROL_BINDINGS = Object.fromEntries(
+    CONTROL_ACTIONS.map((action) => [action.id, action.defaultKey])
+);
+
+/**
+ * Keys that can't be bound: Escape closes menus, arrows turn the camera, digits pick hotbar
+ * slots, Slash always opens chat and F3/F4 are the dev panels.
+ */
+export const RESERVED_KEYS = [
+    'Escape', 'Slash', 'F3', 'F4',
+    'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
+    'Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6', 'Digit7', 'Digit8', 'Digit9',
+];
+
+const KEY_CODE_PATTERN = /^[A-Za-z][A-Za-z0-9]{0,23}$/;
+
+export function isBindableKey(code) {
+    return typeof code === 'string' && KEY_CODE_PATTERN.test(code) && !RESERVED_KEYS.includes(code);
+}
+
+/**
+ * Full action -> key map from saved (possibly partial or stale) bindings. Unknown actions and
+ * invalid keys are dropped; a key bound twice stays with the first action in CONTROL_ACTIONS order
+ * and the later one falls back to its default (or is left unbound if that's taken too).
+ * @param {object} [saved]
+ * @returns {Record<string, string | null>}
+ */
+export function normalizeControlBindings(saved) {
+    const source = saved && typeof saved === 'object' ? saved : {};
+    const used = new Set();
+    const bindings = {};
+    for (const { id, defaultKey } of CONTROL_ACTIONS) {
+        const candidates = [source[id], defaultKey];
+        const key = candidates.find((code) => isBindableKey(code) && !used.has(code)) || null;
+        if (key) used.add(key);
+        bindings[id] = key;
+    }
+    return bindings;
+}
+
+/**
+ * Bind `action` to `code`; an action already using that key takes over the old key (swap).
+ * @returns {Record<string, string | null>}
+ */
+export function rebindControl(bindings, action, code) {
+    const next = { ...normalizeControlBindings(bindings) };
+    if (!CONTROL_ACTION_IDS.includes(action) || !isBindableKey(code)) return next;
+    const previous = next[action];
+    for (const id of CONTROL_ACTION_IDS) {
+        if (id !== action && next[id] === code) next[id] = previous;
+    }
+    next[action] = code;
+    return next;
+}
+
+/**
+ * Gamepad (standard mapping) buttons that act as an action's bound key.
+ * A = jump, B = sit, X = interact, Y (hold) = emote wheel with the right stick,
+ * L3 = mount, View/Back = backpack, Menu/Start = chat.
+ */
+export const GAMEPAD_ACTION_BUTTONS = {
+    jump: 0,
+    sit: 1,
+    interact: 2,
+    emoteWheel: 3,
+    mount: 10,
+    backpack: 8,
+    chat: 9,
+};
+
+/** Bumpers cycle the hand hotbar */
+export const GAMEPAD_HOTBAR_BUTTONS = { previous: 4, next: 5 };
+
+/** Stick travel ignored around center */
+export const GAMEPAD_DEADZONE = 0.2;
+
+// Friendly key names for display
+const KEY_DISPLAY_NAMES = {
+    'ShiftLeft': 'Left Shift',
+    'ShiftRight': 'Right Shift',
+    'ControlLeft': 'Left Ctrl',
+    'ControlRight': 'Right Ctrl',
+    'AltLeft': 'Left Alt',
+    'AltRight': 'Right Alt',
+    'Space': 'Space',
+    'Enter': 'Enter',
+    'Tab': 'Tab',
+    'CapsLock': 'Caps Lock',
+    'Backquote': '`',
+    'Backslash': '\\',
+    'BracketLeft': '[',
+    'BracketRight': ']',
+    'Semicolon': ';',
+    'Quote': "'",
+    'Comma': ',',
+    'Period': '.',
+    'Minus': '-',
+    'Equal': '=',
+};
+
+export function getKeyDisplayName(code) {
+    if (!code) return '—';
+    if (KEY_DISPLAY_NAMES[code]) return KEY_DISPLAY_NAMES[code];
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`;
+    return code;
+}
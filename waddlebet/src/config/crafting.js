@@ -0,0 +1,156 @@
+/**
+ * Woodworking bench — shared by the server (server/services/CraftingService.js) and the bench UI.
+ *
+ * A recipe consumes backpack items and, after `durationMs`, yields its output to collect at the
+ * bench. Inputs are either `{ itemId, quantity }` or `{ fishMinTier, quantity }` (any fish at or
+ * above that depth tier, lowest tiers used first). Crafted items are registered in the server item
+ * catalog from CRAFTED_ITEMS.
+ */
+
+/** Keep in sync with the Workbench prop placement in ForestTrailsZone (east wall of the ranger cabin). */
+export const CRAFTING_BENCH = {
+    id: 'whiskerwood_bench',
+    name: 'Woodworking Bench',
+    room: 'forest_trails',
+    localX: 135,
+    localZ: 51,
+    interactionRadius: 3.5,
+};
+
+/** Total crafting XP needed to reach each level (index 0 = level 1). */
+export const CRAFTING_LEVEL_XP = [0, 60, 180, 400, 800];
+
+/** @type {Record<string, { id: string, name: string, emoji: string, category: string, npcValue: number, maxStack: number, tier: number }>} */
+export const CRAFTED_ITEMS = {
+    pine_stool: { id: 'pine_stool', name: 'Pine Stool', emoji: '🪑', category: 'furniture', npcValue: 16, maxStack: 32, tier: 1 },
+    birch_chair: { id: 'birch_chair', name: 'Birch Chair', emoji: '🪑', category: 'furniture', npcValue: 42, maxStack: 32, tier: 2 },
+    oak_table: { id: 'oak_table', name: 'Oak Table', emoji: '🟫', category: 'furniture', npcValue: 95, maxStack: 32, tier: 3 },
+    ironwood_chest: { id: 'ironwood_chest', name: 'Ironwood Chest', emoji: '🧰', category: 'furniture', npcValue: 150, maxStack: 32, tier: 4 },
+    mushroom_lantern: { id: 'mushroom_lantern', name: 'Mushroom Lantern', emoji: '🏮', category: 'decor', npcValue: 24, maxStack: 32, tier: 1 },
+    fish_plaque: { id: 'fish_plaque', name: 'Mounted Fish Plaque', emoji: '🖼️', category: 'decor', npcValue: 70, maxStack: 32, tier: 3 },
+    tool_repair_kit: { id: 'tool_repair_kit', name: 'Repair Kit', emoji: '🧰', category: 'repair_kit', npcValue: 12, maxStack: 32, tier: 2 },
+};
+
+/** Names for the raw materials recipes use (the bench shows them before you own any). */
+const MATERIAL_LABELS = {
+    pine_log: { name: 'Pine Log', emoji: '🪵' },
+    birch_log: { name: 'Birch Log', emoji: '🪵' },
+    oak_log: { name: 'Oak Log', emoji: '🪵' },
+    ironwood_log: { name: 'Ironwood Log', emoji: '🪵' },
+    forest_mushroom: { name: 'Forest Mushroom', emoji: '🍄' },
+    iron_ore: { name: 'Iron Ore', emoji: '🪨' },
+    charcoal: { name: 'Charcoal', emoji: '⬛' },
+    worm: { name: 'Worm Bait', emoji: '🪱' },
+};
+
+export const CRAFTING_RECIPES = [
+    {
+        id: 'pine_stool',
+        category: 'furniture',
+        inputs: [{ itemId: 'pine_log', quantity: 4 }],
+        output: { itemId: 'pine_stool', quantity: 1 },
+        durationMs: 20 * 1000,
+        xp: 12,
+        minLevel: 1,
+    },
+    {
+        id: 'bait_bundle',
+        category: 'bait',
+        inputs: [{ fishMinTier: 1, quantity: 1 }, { itemId: 'forest_mushroom', quantity: 1 }],
+        output: { itemId: 'worm', quantity: 6 },
+        durationMs: 15 * 1000,
+        xp: 8,
+        minLevel: 1,
+    },
+    {
+        id: 'mushroom_lantern',
+        category: 'decor',
+        inputs: [{ itemId: 'forest_mushroom', quantity: 2 }, { itemId: 'pine_log', quantity: 2 }],
+        output: { itemId: 'mushroom_lantern', quantity: 1 },
+        durationMs: 30 * 1000,
+        xp: 15,
+        minLevel: 1,
+    },
+    {
+        id: 'tool_repair_kit',
+        category: 'repair',
+        inputs: [{ itemId: 'birch_log', quantity: 2 }, { itemId: 'iron_ore', quantity: 1 }],
+        output: { itemId: 'tool_repair_kit', quantity: 1 },
+        durationMs: 45 * 1000,
+        xp: 20,
+        minLevel: 2,
+    },
+    {
+        id: 'birch_chair',
+        category: 'furniture',
+        inputs: [{ itemId: 'birch_log', quantity: 5 }, { itemId: 'pine_log', quantity: 2 }],
+        output: { itemId: 'birch_chair', quantity: 1 },
+        durationMs: 60 * 1000,
+        xp: 30,
+        minLevel: 2,
+    },
+    {
+        id: 'fish_plaque',
+        category: 'decor',
+        inputs: [{ fishMinTier: 3, quantity: 1 }, { itemId: 'oak_log', quantity: 2 }],
+        output: { itemId: 'fish_plaque', quantity: 1 },
+        durationMs: 90 * 1000,
+        xp: 45,
+        minLevel: 3,
+    },
+    {
+        id: 'oak_table',
+        category: 'furniture',
+        inputs: [{ itemId: 'oak_log', quantity: 6 }, { itemId: 'birch_log', quantity: 2 }],
+        output: { itemId: 'oak_table', quantity: 1 },
+        durationMs: 2 * 60 * 1000,
+        xp: 60,
+        minLevel: 3,
+    },
+    {
+        id: 'ironwood_chest',
+        category: 'furniture',
+        inputs: [{ itemId: 'ironwood_log', quantity: 5 }, { itemId: 'oak_log', quantity: 2 }, { itemId: 'iron_ore', quantity: 1 }],
+        output: { itemId: 'ironwood_chest', quantity: 1 },
+        durationMs: 3 * 60 * 1000,
+        xp: 90,
+        minLevel: 4,
+    },
+];
+
+const RECIPES_BY_ID = new Map(CRAFTING_RECIPES.map((recipe) => [recipe.id, recipe]));
+
+export function getCraftingRecipe(recipeId) {
+    return RECIPES_BY_ID.get(recipeId) || null;
+}
+
+export function getCraftingLevel(skillXp = 0) {
+    let level = 1;
+    for (let i = 1; i < CRAFTING_LEVEL_XP.length; i++) {
+        if (skillXp >= CRAFTING_LEVEL_XP[i]) level = i + 1;
+    }
+    return level;
+}
+
+/** XP needed for the next level, or null at the cap */
+export function getNextCraftingLevelXp(skillXp = 0) {
+    return CRAFTING_LEVEL_XP[getCraftingLevel(skillXp)] ?? null;
+}
+
+/** Display name + emoji for a recipe input or output */
+export function getCraftingItemLabel(input) {
+    if (input.fishMinTier != null) {
+        return { name: input.fishMinTier > 1 ? `Fish (tier ${input.fishMinTier}+)` : 'Any fish', emoji: '🐟' };
+    }
+    const item = CRAFTED_ITEMS[input.itemId] || MATERIAL_LABELS[input.itemId];
+    return item ? { name: item.name, emoji: item.emoji } : { name: input.itemId.replace(/_/g, ' '), emoji: '📦' };
+}
+
+export function isPlayerNearCraftingBench(room, position) {
+    if (room !== CRAFTING_BENCH.room || !position) return false;
+    const dx = (position.x ?? 0) - CRAFTING_BENCH.localX;
+    const dz = (position.z ?? 0) - CRAFTING_BENCH.localZ;
+    return Math.sqrt(dx * dx + dz * dz) <= CRAFTING_BENCH.interactionRadius;
+}
+
+export default CRAFTING_RECIPES;
@@ -0,0 +1,24 @@
+/**
+ * Guild client config — keep in sync with server/config/guilds.js.
+ */
+
+export const GUILD_LIMITS = {
+    MAX_MEMBERS: 50,
+    NAME_MIN: 3,
+    NAME_MAX: 24,
+    TAG_MIN: 2,
+    TAG_MAX: 5,
+    MOTD_MAX: 140,
+};
+
+/** Guild hall room ids are `guild_hall:<guildId>` (members-only interior). */
+export const GUILD_HALL_PREFIX = 'guild_hall:';
+
+export function isGuildHallRoom(roomId) {
+    return typeof roomId === 'string' && roomId.startsWith(GUILD_HALL_PREFIX);
+}
+
+/** Guild halls reuse the igloo interior scene, bounds and furniture. */
+export function usesIglooInterior(roomId) {
+    return typeof roomId === 'string' && (roomId.startsWith('igloo') || isGuildHallRoom(roomId));
+}
@@ -0,0 +1,162 @@
+/**
+ * Igloo furniture layouts — shared by the server (validation in IglooService.updateSettings) and the
+ * in-igloo furniture editor / renderer.
+ *
+ * Furniture sits on a square grid of 1-unit cells laid over the round igloo floor. A piece is stored as
+ * `{ id, type, x, z, rotation }` where x/z is the grid cell of its footprint's min corner and rotation
+ * is a quarter-turn count (0 = facing the door, +Z). Solid pieces may not overlap each other or the
+ * interior's fixed fittings; rugs are walkable and can sit under anything.
+ */
+
+export const IGLOO_LAYOUT_LIMITS = {
+    GRID_CELLS: 26,        // Grid spans world -13..13 on both axes
+    CELL_SIZE: 1,
+    FLOOR_RADIUS: 12.5,    // Every corner of a footprint must stay inside this radius
+    MAX_PIECES: 30,
+    MAX_ID_LENGTH: 32,
+};
+
+/**
+ * Placeable furniture. width/depth are grid cells at rotation 0 (depth runs along Z, the front faces +Z).
+ * `seat` pieces become sittable furniture using the same data shape as the built-in interiors.
+ */
+export const IGLOO_FURNITURE_CATALOG = {
+    couch: { name: 'Couch', emoji: '🛋️', width: 5, depth: 2, height: 1.8, solid: true, color: 0x2E4A62,
+        seat: { seatHeight: 0.95, snapPoints: [{ x: -1.5, z: 0 }, { x: 0, z: 0 }, { x: 1.5, z: 0 }], interactionRadius: 3 } },
+    armchair: { name: 'Armchair', emoji: '🪑', width: 2, depth: 2, height: 1.4, solid: true, color: 0xC0392B,
+        seat: { seatHeight: 0.8, snapPoints: [{ x: 0, z: 0 }], interactionRadius: 2 } },
+    beanbag: { name: 'Beanbag', emoji: '🫘', width: 2, depth: 2, height: 0.8, solid: true, color: 0x9B59B6,
+        seat: { seatHeight: 0.6, snapPoints: [{ x: 0, z: 0 }], interactionRadius: 1.8 } },
+    coffee_table: { name: 'Coffee Table', emoji: '🟫', width: 3, depth: 2, height: 0.8, solid: true, color: 0x5D4037 },
+    tv: { name: 'TV', emoji: '📺', width: 3, depth: 1, height: 2.8, solid: true, color: 0x2C3E50 },
+    bookshelf: { name: 'Bookshelf', emoji: '📚', width: 3, depth: 1, height: 3, solid: true, color: 0x654321 },
+    plant: { name: 'Plant', emoji: '🪴', width: 1, depth: 1, height: 1.3, solid: true, color: 0x228B22 },
+    lamp: { name: 'Floor Lamp', emoji: '💡', width: 1, depth: 1, height: 2.2, solid: true, color: 0xFFD27F },
+    rug: { name: 'Rug', emoji: '🟥', width: 4, depth: 3, height: 0, solid: false, color: 0x8E2C2C },
+};
+
+/**
+ * Fixed fittings each interior keeps regardless of layout (world-space rects). The entrance keeps the
+ * spawn point and exit clear.
+ */
+const ENTRANCE = { name: 'entrance', minX: -2.5, maxX: 2.5, minZ: 8, maxZ: 13 };
+
+export const IGLOO_INTERIOR_FIXTURES = {
+    default: [ENTRANCE],
+    skny: [
+        ENTRANCE,
+        { name: 'bar', minX: -4, maxX: 4, minZ: -12, maxZ: -8 },
+        { name: 'dj_booth', minX: -3, maxX: 3, minZ: 5, maxZ: 9 },
+        { name: 'speaker_fl', minX: -7, maxX: -5, minZ: 9, maxZ: 11 },
+        { name: 'speaker_fr', minX: 5, maxX: 7, minZ: 9, maxZ: 11 },
+        { name: 'speaker_l', minX: -9, maxX: -7, minZ: -1, maxZ: 1 },
+        { name: 'speaker_r', minX: 7, maxX: 9, minZ: -1, maxZ: 1 },
+        { name: 'couch_l', minX: -10, maxX: -6, minZ: -10, maxZ: -6 },
+        { name: 'couch_r', minX: 6, maxX: 10, minZ: -10, maxZ: -6 },
+    ],
+};
+
+/**
+ * Which interior an igloo room uses (igloo3 is the SKNY GANG nightclub)
+ */
+export function getIglooInteriorStyle(iglooId) {
+    return iglooId === 'igloo3' ? 'skny' : 'default';
+}
+
+/**
+ * World-space footprint of a placed piece
+ * @param {{ type: string, x: number, z: number, rotation?: number }} piece
+ */
+export function getFurnitureFootprint(piece) {
+    const item = IGLOO_FURNITURE_CATALOG[piece.type];
+    const turned = (piece.rotation || 0) % 2 === 1;
+    const width = (turned ? item.depth : item.width) * IGLOO_LAYOUT_LIMITS.CELL_SIZE;
+    const depth = (turned ? item.width : item.depth) * IGLOO_LAYOUT_LIMITS.CELL_SIZE;
+    const origin = -(IGLOO_LAYOUT_LIMITS.GRID_CELLS * IGLOO_LAYOUT_LIMITS.CELL_SIZE) / 2;
+    const minX = origin + piece.x * IGLOO_LAYOUT_LIMITS.CELL_SIZE;
+    const minZ = origin + piece.z * IGLOO_LAYOUT_LIMITS.CELL_SIZE;
+    return {
+        width,
+        depth,
+        minX,
+        maxX: minX + width,
+        minZ,
+        maxZ: minZ + depth,
+        centerX: minX + width / 2,
+        centerZ: minZ + depth / 2,
+    };
+}
+
+function rectsOverlap(a, b) {
+    return a.minX < b.maxX && a.maxX > b.minX && a.minZ < b.maxZ && a.maxZ > b.minZ;
+}
+
+/**
+ * Whether a footprint (from getFurnitureFootprint) lies entirely on the round igloo floor
+ */
+export function isFootprintOnFloor(rect) {
+    const r = IGLOO_LAYOUT_LIMITS.FLOOR_RADIUS;
+    const farX = Math.max(Math.abs(rect.minX), Math.abs(rect.maxX));
+    const farZ = Math.max(Math.abs(rect.minZ), Math.abs(rect.maxZ));
+    return farX * farX + farZ * farZ <= r * r;
+}
+
+/**
+ * Why a piece cannot go where it is, given the pieces already placed (null when it fits)
+ * @param {object} piece
+ * @param {object[]} others - other pieces in the layout
+ * @param {string} style - interior style from getIglooInteriorStyle
+ */
+export function getPlacementProblem(piece, others, style = 'default') {
+    const item = IGLOO_FURNITURE_CATALOG[piece.type];
+    if (!item) return 'Unknown furniture';
+    const rect = getFurnitureFootprint(piece);
+    if (!isFootprintOnFloor(rect)) return `${item.name} does not fit there`;
+    if (!item.solid) return null;
+
+    const fixture = (IGLOO_INTERIOR_FIXTURES[style] || IGLOO_INTERIOR_FIXTURES.default).find((f) => rectsOverlap(rect, f));
+    if (fixture) return fixture.name === 'entrance' ? 'Keep the entrance clear' : `${item.name} would block the ${fixture.name.replace(/_/g, ' ')}`;
+
+    const blocker = others.find((other) =>
+        other !== piece && other.id !== piece.id && IGLOO_FURNITURE_CATALOG[other.type]?.solid
+        && rectsOverlap(rect, getFurnitureFootprint(other)));
+    if (blocker) return `${item.name} overlaps the ${IGLOO_FURNITURE_CATALOG[blocker.type].name.toLowerCase()}`;
+    return null;
+}
+
+/**
+ * Validate and normalize a furniture layout
+ * @param {unknown} furniture
+ * @param {string} style - interior style from getIglooInteriorStyle
+ * @returns {{ valid: true, furniture: object[] } | { valid: false, error: string, message: string }}
+ */
+export function validateIglooLayout(furniture, style = 'default') {
+    const invalid = (message) => ({ valid: false, error: 'INVALID_LAYOUT', message });
+    if (!Array.isArray(furniture)) return invalid('Layout must be a list of furniture');
+    if (furniture.length > IGLOO_LAYOUT_LIMITS.MAX_PIECES) {
+        return invalid(`An igloo holds at most ${IGLOO_LAYOUT_LIMITS.MAX_PIECES} pieces of furniture`);
+    }
+
+    const pieces = [];
+    const ids = new Set();
+    for (const raw of furniture) {
+        if (!raw || typeof raw !== 'object') return invalid('Malformed furniture entry');
+        const { id, type, x, z } = raw;
+        const rotation = raw.rotation ?? 0;
+        if (typeof id !== 'string' || !id || id.length > IGLOO_LAYOUT_LIMITS.MAX_ID_LENGTH || ids.has(id)) {
+            return invalid('Every piece needs a unique id');
+        }
+        if (!IGLOO_FURNITURE_CATALOG[type]) return invalid(`Unknown furniture type: ${type}`);
+        const inGrid = (n) => Number.isInteger(n) && n >= 0 && n < IGLOO_LAYOUT_LIMITS.GRID_CELLS;
+        if (!inGrid(x) || !inGrid(z)) return invalid('Furniture must sit on the floor grid');
+        if (![0, 1, 2, 3].includes(rotation)) return invalid('Furniture can only turn in quarter turns');
+        ids.add(id);
+        pieces.push({ id, type, x, z, rotation });
+    }
+
+    for (const piece of pieces) {
+        const problem = getPlacementProblem(piece, pieces, style);
+        if (problem) return invalid(problem);
+    }
+    return { valid: true, furniture: pieces };
+}
@@ -27,6 +27,7 @@ export {
     AI_CONVERSATIONS,
     ROOM_SPAWNS,
     ROOM_PORTALS,
+    getRoomPortals,
     WORLD_SPAWN,
     WORLD_SPAWN_OFFSET,
     WORLD_SPAWN_ROOM,
@@ -0,0 +1,71 @@
+/**
+ * Interest management and position batching — shared by client (MultiplayerSync batch decoding)
+ * and server (InterestManager). server/config/interest.js re-exports this.
+ *
+ * Rooms are split into square grid cells. Each player subscribes to the cells around their own and
+ * only receives positions of players standing in them. Positions go out on a fixed tick as one
+ * `pos_batch` per client, quantized to integers and sent as deltas from the last value that client saw.
+ */
+
+/** Grid cell edge, world units (overworld quadrants are 220×220) */
+export const INTEREST_CELL_SIZE = 32;
+
+/** Cells subscribed around the player's own cell (2 → a 5×5 block, 160u across) */
+export const INTEREST_RADIUS_CELLS = 2;
+
+/** A player already in range stays until this many cells away, so walking along a cell edge doesn't flicker */
+export const INTEREST_RETAIN_CELLS = 3;
+
+/** Server position tick — matches the client's 10 Hz `move` rate */
+export const POSITION_BATCH_TICK_MS = 100;
+
+/** Position quantum, world units */
+export const POSITION_QUANTUM = 0.05;
+
+/** Rotation steps per full turn */
+export const ROTATION_STEPS = 1024;
+
+/**
+ * `pos_batch` message layout:
+ * - e: entered range — [id, x, y, z, rot, puffleX?, puffleZ?] absolute quantized values
+ * - m: moved — [id, dx, dy, dz, dRot, dPuffleX?, dPuffleZ?] deltas, trailing zeros trimmed
+ * - l: left range — ids
+ */
+export const POSITION_BATCH_TYPE = 'pos_batch';
+
+export function quantizePosition(value) {
+    return Math.round(value / POSITION_QUANTUM);
+}
+
+export function dequantizePosition(quantized) {
+    return quantized * POSITION_QUANTUM;
+}
+
+/** @returns {number} 0..ROTATION_STEPS-1 */
+export function quantizeRotation(radians) {
+    const steps = Math.round((radians / (Math.PI * 2)) * ROTATION_STEPS) % ROTATION_STEPS;
+    return steps < 0 ? steps + ROTATION_STEPS : steps;
+}
+
+export function dequantizeRotation(quantized) {
+    return (quantized / ROTATION_STEPS) * Math.PI * 2;
+}
+
+/** Shortest signed rotation delta in steps, so a turn past 0 doesn't spin the long way */
+export function rotationDelta(from, to) {
+    const half = ROTATION_STEPS / 2;
+    return ((to - from + half) % ROTATION_STEPS + ROTATION_STEPS) % ROTATION_STEPS - half;
+}
+
+/** Add a rotation delta to a quantized rotation, wrapping into 0..ROTATION_STEPS-1 */
+export function applyRotationDelta(quantized, delta) {
+    return ((quantized + delta) % ROTATION_STEPS + ROTATION_STEPS) % ROTATION_STEPS;
+}
+
+/** @returns {{ cx: number, cz: number }} */
+export function getInterestCell(x, z) {
+    return {
+        cx: Math.floor(x / INTEREST_CELL_SIZE),
+        cz: Math.floor(z / INTEREST_CELL_SIZE),
+    };
+}
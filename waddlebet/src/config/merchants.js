@@ -16,6 +16,8 @@ export const MERCHANTS = {
         title: 'Fish Buyer',
         emoji: '🧓',
         acceptsCategories: ['fish'],
+        /** Gear categories this merchant repairs (see getGearRepairCost in toolTiers.js). */
+        repairsCategories: ['rod'],
         npcSellRatio: 1.0,
         sells: [
             {
@@ -43,7 +45,8 @@ export const MERCHANTS = {
         name: 'Copper Clive',
         title: 'Supply & Gear',
         emoji: '🔧',
-        acceptsCategories: ['wood', 'tool', 'rod'],
+        acceptsCategories: ['wood', 'tool', 'rod', 'furniture', 'decor'],
+        repairsCategories: ['tool'],
         npcSellRatio: 1.0,
         sells: [
             {
@@ -84,6 +87,11 @@ export function merchantAcceptsCategory(merchantId, category) {
     return merchant?.acceptsCategories?.includes(category) ?? false;
 }
 
+export function merchantRepairsCategory(merchantId, category) {
+    const merchant = getMerchant(merchantId);
+    return merchant?.repairsCategories?.includes(category) ?? false;
+}
+
 /** Whether this backpack slot can be sold to the given merchant. */
 export function merchantAcceptsSlot(slot, merchantId) {
     if (!slot?.itemId || Number(slot.quantity) <= 0) return false;
@@ -99,6 +107,8 @@ export function getMerchantAcceptsLabel(merchantId) {
         forage: 'mushrooms & forage',
         tool: 'tools',
         rod: 'rods',
+        furniture: 'furniture',
+        decor: 'decor',
     };
     const categories = getMerchant(merchantId)?.acceptsCategories || [];
     return categories.map((c) => labels[c] || c).join(', ');
@@ -0,0 +1,42 @@
+/**
+ * Player reports & moderator actions — shared by the report dialog, the moderator queue
+ * and the server (server/config/moderation.js imports this file).
+ */
+
+export const REPORT_REASONS = [
+    { id: 'harassment', label: 'Harassment or bullying' },
+    { id: 'hate_speech', label: 'Hate speech' },
+    { id: 'spam', label: 'Spam or flooding' },
+    { id: 'scam', label: 'Scam or phishing' },
+    { id: 'inappropriate_name', label: 'Inappropriate name' },
+    { id: 'cheating', label: 'Cheating or exploits' },
+    { id: 'other', label: 'Other' },
+];
+
+export const REPORT_DETAILS_MAX = 300;
+
+/** Actions a moderator can take on an open report */
+export const MODERATION_ACTIONS = ['dismiss', 'warn', 'mute', 'ban'];
+
+/** Duration presets offered in the queue (minutes) */
+export const MUTE_DURATIONS = [
+    { minutes: 15, label: '15 min' },
+    { minutes: 60, label: '1 hour' },
+    { minutes: 24 * 60, label: '1 day' },
+    { minutes: 7 * 24 * 60, label: '7 days' },
+];
+
+export const BAN_DURATIONS = [
+    { minutes: 24 * 60, label: '1 day' },
+    { minutes: 3 * 24 * 60, label: '3 days' },
+    { minutes: 7 * 24 * 60, label: '7 days' },
+    { minutes: 30 * 24 * 60, label: '30 days' },
+];
+
+export function isReportReason(reason) {
+    return REPORT_REASONS.some((r) => r.id === reason);
+}
+
+export function getReportReasonLabel(reason) {
+    return REPORT_REASONS.find((r) => r.id === reason)?.label || reason;
+}
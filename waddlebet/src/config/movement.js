@@ -0,0 +1,41 @@
+/**
+ * Player movement speeds — shared by client (VoxelWorld movement) and server (MovementValidator).
+ * server/config/movement.js re-exports this and adds the validation tolerances and colliders.
+ */
+
+/** Ground speed on foot, world units per second */
+export const MOVEMENT_BASE_SPEED = 10;
+
+/**
+ * Movement modes and their speed multiplier over MOVEMENT_BASE_SPEED.
+ * - mount: fastest mount speedBoost in assets/mounts.js (jetpack / 1.4)
+ * - slide: icy trail momentum, applied on top of walk or mount
+ */
+export const MOVEMENT_MODES = {
+    walk: { id: 'walk', label: 'Walking', speedMultiplier: 1 },
+    mount: { id: 'mount', label: 'Mounted', speedMultiplier: 1.4 },
+    slide: { id: 'slide', label: 'Sliding', speedMultiplier: 1.25 },
+};
+
+export const MOVEMENT_MODE_IDS = Object.keys(MOVEMENT_MODES);
+
+/** Why the server rejected a position sample (moderator movement flags) */
+export const MOVEMENT_VIOLATIONS = {
+    malformed: 'Malformed position',
+    speed: 'Too fast',
+    bounds: 'Out of bounds',
+    collider: 'Inside a building',
+    entry: 'Off the room entry',
+};
+
+/**
+ * Fastest legitimate ground speed for a player.
+ * @param {{ mounted?: boolean, sliding?: boolean }} state
+ * @returns {number} world units per second
+ */
+export function getMaxMoveSpeed({ mounted = false, sliding = false } = {}) {
+    let speed = MOVEMENT_BASE_SPEED;
+    if (mounted) speed *= MOVEMENT_MODES.mount.speedMultiplier;
+    if (sliding) speed *= MOVEMENT_MODES.slide.speedMultiplier;
+    return speed;
+}
@@ -0,0 +1,85 @@
+/**
+ * Puffle racing — shared by the server race simulator (server/services/PuffleRaceService.js)
+ * and the race lobby / spectator UI.
+ *
+ * A course is a list of segments. Each segment type weights the four Duck Life training stats,
+ * so a swim-heavy course favours puffles trained in the pond.
+ */
+
+export const PUFFLE_RACE_ROOM = 'town';
+
+export const RACE_SEGMENT_TYPES = {
+    track: {
+        label: 'Track',
+        icon: '🏃',
+        color: '#f59e0b',
+        weights: { running: 0.8, climbing: 0.2 },
+    },
+    pond: {
+        label: 'Pond',
+        icon: '🌊',
+        color: '#3b82f6',
+        weights: { swimming: 0.75, running: 0.25 },
+    },
+    gap: {
+        label: 'Gap',
+        icon: '🪽',
+        color: '#a855f7',
+        weights: { flying: 0.7, climbing: 0.3 },
+    },
+    wall: {
+        label: 'Wall',
+        icon: '🧗',
+        color: '#22c55e',
+        weights: { climbing: 0.7, flying: 0.3 },
+    },
+};
+
+export const PUFFLE_RACE_LIMITS = {
+    MIN_RACERS: 2,
+    MAX_RACERS: 6,
+    /** Gold entry options; the first racer picks one for the lobby (0 = friendly race) */
+    ENTRY_FEES: [0, 25, 100, 250],
+    /** Countdown once MIN_RACERS have joined */
+    LOBBY_COUNTDOWN_MS: 30 * 1000,
+    /** Lobbies that never reach MIN_RACERS are cancelled and refunded */
+    LOBBY_TIMEOUT_MS: 3 * 60 * 1000,
+    /** Gap between `puffle_race_started` and the starting gun so spectators can load the course */
+    START_DELAY_MS: 3 * 1000,
+    /** Results stay on the spectator board this long after the last finisher */
+    RESULTS_LINGER_MS: 12 * 1000,
+    MIN_ENERGY: 20,
+    ENERGY_COST: 20,
+    SEGMENTS_MIN: 5,
+    SEGMENTS_MAX: 8,
+    SEGMENT_LENGTH_MIN: 12,
+    SEGMENT_LENGTH_MAX: 24,
+};
+
+/** Trophies awarded by finishing place (index 0 = 1st) */
+export const PUFFLE_RACE_TROPHIES = [3, 2, 1];
+
+/**
+ * Distance covered along the course at `elapsed` seconds, interpolated from a racer's splits
+ * @param {{ length: number }[]} segments
+ * @param {number[]} splits - cumulative seconds at the end of each segment
+ * @param {number} elapsed
+ * @returns {number} 0..1 of the course
+ */
+export function getRaceProgress(segments, splits, elapsed) {
+    const total = segments.reduce((sum, segment) => sum + segment.length, 0);
+    if (!total || elapsed <= 0) return 0;
+
+    let covered = 0;
+    let segmentStart = 0;
+    for (let i = 0; i < segments.length; i++) {
+        const segmentEnd = splits[i];
+        if (elapsed < segmentEnd) {
+            const fraction = (elapsed - segmentStart) / (segmentEnd - segmentStart || 1);
+            return (covered + segments[i].length * fraction) / total;
+        }
+        covered += segments[i].length;
+        segmentStart = segmentEnd;
+    }
+    return 1;
+}
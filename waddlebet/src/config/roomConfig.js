@@ -3,6 +3,8 @@
  * Extracted from VoxelWorld.jsx for maintainability
  */
 
+import { isGuildHallRoom } from './guilds.js';
+
 // City/Map dimensions
 export const CITY_SIZE = 55;  // 55 * 4 = 220 units
 export const BUILDING_SCALE = 4;
@@ -356,6 +358,8 @@ export const ROOM_PORTALS = {
     igloo8: [{ id: 'igloo8-exit', name: 'EXIT', emoji: '🚪', description: 'Return to Town', targetRoom: 'town', position: { x: 0, z: 13.5 }, doorRadius: 3, exitSpawnPos: { x: -40, z: -28 } }],
     igloo9: [{ id: 'igloo9-exit', name: 'EXIT', emoji: '🚪', description: 'Return to Town', targetRoom: 'town', position: { x: 0, z: 13.5 }, doorRadius: 3, exitSpawnPos: { x: 40, z: -28 } }],
     igloo10: [{ id: 'igloo10-exit', name: 'EXIT', emoji: '🚪', description: 'Return to Town', targetRoom: 'town', position: { x: 0, z: 13.5 }, doorRadius: 3, exitSpawnPos: { x: 70, z: -28 } }],
+    // Shared by every `guild_hall:<guildId>` room — see getRoomPortals()
+    guild_hall: [{ id: 'guild-hall-exit', name: 'EXIT', emoji: '🚪', description: 'Return to Town', targetRoom: 'town', position: { x: 0, z: 13.5 }, doorRadius: 3, exitSpawnPos: { ...WORLD_SPAWN_OFFSET } }],
     dojo: [
         { 
             id: 'dojo-exit', 
@@ -391,6 +395,29 @@ export const ROOM_PORTALS = {
     ]
 };
 
+// ==================== ROOM BOUNDS ====================
+// Walkable area per room in local coords. Overworld quadrants are the full 220×220 map;
+// the casino floor matches CasinoRoom.ROOM_WIDTH/ROOM_DEPTH. Rooms not listed are unbounded.
+const MAP_SIZE = CITY_SIZE * BUILDING_SCALE; // 220
+
+export const ROOM_BOUNDS = {
+    town: { minX: 0, maxX: MAP_SIZE, minZ: 0, maxZ: MAP_SIZE },
+    snow_forts: { minX: 0, maxX: MAP_SIZE, minZ: 0, maxZ: MAP_SIZE },
+    forest_trails: { minX: 0, maxX: MAP_SIZE, minZ: 0, maxZ: MAP_SIZE },
+    casino_game_room: { minX: 0, maxX: 80, minZ: 0, maxZ: 90 },
+};
+
+/** @returns {{ minX: number, maxX: number, minZ: number, maxZ: number } | null} */
+export function getRoomBounds(roomId) {
+    return ROOM_BOUNDS[roomId] || null;
+}
+
+/** Portals for a room id; guild halls share one layout regardless of guildId. */
+export function getRoomPortals(roomId) {
+    if (isGuildHallRoom(roomId)) return ROOM_PORTALS.guild_hall;
+    return ROOM_PORTALS[roomId] || [];
+}
+
 // ==================== IGLOO BANNER STYLES ====================
 // MapleStory-style Igloo Banner Styles
 export const IGLOO_BANNER_STYLES = [
@@ -0,0 +1,46 @@
+/**
+ * Spectator side bets — shared by the server (server/services/MatchService.js) and the match
+ * banners / side-bet panel.
+ *
+ * Pari-mutuel: spectators back either player with gold while the match has not had its first move.
+ * When the match ends the whole pool is split between the backers of the winner in proportion to
+ * their stakes. Draws, voided matches and pools with no winning backers are refunded in full.
+ */
+
+export const SIDE_BET_LIMITS = {
+    MIN_BET: 10,
+    MAX_BET: 5000,
+    QUICK_AMOUNTS: [10, 50, 100, 500],
+};
+
+/**
+ * Payout multiplier for each side if it won right now (null when nobody has backed it)
+ * @param {{ player1: number, player2: number }} pools
+ */
+export function getSideBetOdds(pools = {}) {
+    const p1 = pools.player1 || 0;
+    const p2 = pools.player2 || 0;
+    const total = p1 + p2;
+    return {
+        player1: p1 > 0 ? total / p1 : null,
+        player2: p2 > 0 ? total / p2 : null,
+    };
+}
+
+/**
+ * Split the pool between the backers of the winning side. Rounding leftovers go to the largest stake.
+ * @param {{ walletAddress: string, side: string, amount: number }[]} bets
+ * @param {'player1'|'player2'} winningSide
+ * @returns {Map<object, number>|null} bet -> payout, or null if the pool should be refunded
+ */
+export function splitSideBetPool(bets, winningSide) {
+    const total = bets.reduce((sum, bet) => sum + bet.amount, 0);
+    const winners = bets.filter((bet) => bet.side === winningSide).sort((a, b) => b.amount - a.amount);
+    const winningPool = winners.reduce((sum, bet) => sum + bet.amount, 0);
+    if (winningPool === 0) return null;
+
+    const payouts = new Map(winners.map((bet) => [bet, Math.floor((total * bet.amount) / winningPool)]));
+    const dust = total - [...payouts.values()].reduce((sum, amount) => sum + amount, 0);
+    payouts.set(winners[0], payouts.get(winners[0]) + dust);
+    return payouts;
+}
@@ -0,0 +1,121 @@
+/**
+ * Team snowball fights in the Snow Forts arena — shared by server (SnowballFightService) and
+ * client (scoreboard HUD, flag / hill markers). server/config/snowballFight.js re-exports this and
+ * adds the hit-detection physics.
+ *
+ * Coordinates are Snow Forts room coordinates (the forts sit at the north end, walls at x=40 / x=100).
+ */
+
+export const SNOWBALL_FIGHT_ROOM = 'snow_forts';
+
+/** Stats game type passed to StatsService.recordResult */
+export const SNOWBALL_FIGHT_GAME_TYPE = 'snowball_fight';
+
+export const SNOWBALL_FIGHT_TEAMS = {
+    red: {
+        id: 'red',
+        label: 'Red Team',
+        emoji: '🔴',
+        color: '#E5484D',
+        fort: { x: 30, z: 16 },
+        flag: { x: 30, z: 12 },
+    },
+    blue: {
+        id: 'blue',
+        label: 'Blue Team',
+        emoji: '🔵',
+        color: '#3E8EED',
+        fort: { x: 110, z: 16 },
+        flag: { x: 110, z: 12 },
+    },
+};
+
+export const SNOWBALL_FIGHT_TEAM_IDS = Object.keys(SNOWBALL_FIGHT_TEAMS);
+
+/** Arena the fight is played in; leaving it drops a carried flag and doesn't count for the hill */
+export const SNOWBALL_FIGHT_ARENA = {
+    minX: 12,
+    maxX: 128,
+    minZ: 2,
+    maxZ: 62,
+};
+
+/** King of the Hill zone between the forts */
+export const SNOWBALL_FIGHT_HILL = { x: 70, z: 24, radius: 7 };
+
+/**
+ * Match variants.
+ * - team_knockout: first team to `target` knockouts
+ * - capture_flag: steal the enemy flag, bring it to your fort while yours is home
+ * - king_of_the_hill: hold the hill alone to score 1 point per second
+ * The team ahead when time runs out wins; level scores are a draw.
+ */
+export const SNOWBALL_FIGHT_MODES = {
+    team_knockout: {
+        id: 'team_knockout',
+        label: 'Team Knockout',
+        emoji: '❄️',
+        description: 'Knock out the other team. First to the target wins.',
+        target: 10,
+        scoreLabel: 'KOs',
+    },
+    capture_flag: {
+        id: 'capture_flag',
+        label: 'Capture the Flag',
+        emoji: '🚩',
+        description: 'Grab the enemy flag and carry it back to your fort.',
+        target: 3,
+        scoreLabel: 'Caps',
+    },
+    king_of_the_hill: {
+        id: 'king_of_the_hill',
+        label: 'King of the Hill',
+        emoji: '👑',
+        description: 'Hold the hill between the forts with nobody from the other team on it.',
+        target: 60,
+        scoreLabel: 'Pts',
+    },
+};
+
+export const DEFAULT_SNOWBALL_FIGHT_MODE = 'team_knockout';
+
+export const SNOWBALL_FIGHT_LIMITS = {
+    /** Need someone on each team to start */
+    MIN_PLAYERS: 2,
+    MAX_PLAYERS_PER_TEAM: 6,
+    /** Countdown once both teams have a player */
+    LOBBY_COUNTDOWN_MS: 20 * 1000,
+    MATCH_DURATION_MS: 4 * 60 * 1000,
+    /** Results stay on the scoreboard before the arena resets */
+    RESULTS_LINGER_MS: 12 * 1000,
+    HITS_TO_KNOCKOUT: 3,
+    RESPAWN_MS: 4000,
+    /** Spawn protection after respawning */
+    SPAWN_PROTECTION_MS: 2000,
+    /** Walk within this of a flag to pick it up / return it */
+    FLAG_PICKUP_RADIUS: 2.5,
+    /** Reach this close to your own flag stand to capture */
+    FLAG_CAPTURE_RADIUS: 4,
+    /** A dropped flag goes home on its own after this */
+    FLAG_RETURN_MS: 15 * 1000,
+};
+
+/**
+ * Whether a position is inside the arena
+ * @param {{ x: number, z: number }} position
+ */
+export function isInSnowballArena(position) {
+    if (!position) return false;
+    const { minX, maxX, minZ, maxZ } = SNOWBALL_FIGHT_ARENA;
+    return position.x >= minX && position.x <= maxX && position.z >= minZ && position.z <= maxZ;
+}
+
+export function getSnowballFightMode(modeId) {
+    return SNOWBALL_FIGHT_MODES[modeId] || SNOWBALL_FIGHT_MODES[DEFAULT_SNOWBALL_FIGHT_MODE];
+}
+
+export function getOpposingTeam(teamId) {
+    return teamId === 'red' ? 'blue' : 'red';
+}
+
+export default SNOWBALL_FIGHT_MODES;
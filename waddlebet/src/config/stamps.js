@@ -0,0 +1,150 @@
+/**
+ * Stamp book — achievement registry shared by the stamp book UI and the server
+ * (server/services/StampService.js evaluates it against User.stampProgress).
+ *
+ * Progress keys are `<kind>:<id>` counters bumped by server events:
+ *   fish:<fishId>, fish_rarity:<rarity>, chop:<logItemId>, wager_win:<gameType>,
+ *   parkour:<stage>, puffle_trick:<trickId>, onboarding:complete
+ *
+ * Criteria (one per stamp):
+ *   { key, min }        — a single counter reaches `min`
+ *   { prefix, total }   — counters under `prefix` sum to `total`
+ *   { prefix, distinct} — `distinct` different counters under `prefix` are non-zero
+ */
+
+export const STAMP_CATEGORIES = [
+    { id: 'fishing', label: 'Fishing', icon: '🎣' },
+    { id: 'woodcutting', label: 'Woodcutting', icon: '🪓' },
+    { id: 'wagers', label: 'Wagers', icon: '🏆' },
+    { id: 'parkour', label: 'Parkour', icon: '🧗' },
+    { id: 'puffles', label: 'Puffles', icon: '🐾' },
+    { id: 'milestones', label: 'Milestones', icon: '⭐' },
+];
+
+export const STAMP_RARITIES = {
+    common: { label: 'Common', color: '#94a3b8' },
+    uncommon: { label: 'Uncommon', color: '#22c55e' },
+    rare: { label: 'Rare', color: '#3b82f6' },
+    legendary: { label: 'Legendary', color: '#f59e0b' },
+};
+
+/** Earning one of these is announced to everyone online */
+export const BROADCAST_STAMP_RARITIES = ['rare', 'legendary'];
+
+const WAGER_GAMES = [
+    { id: 'cardJitsu', label: 'Card Jitsu', icon: '🥋' },
+    { id: 'ticTacToe', label: 'Tic Tac Toe', icon: '❌' },
+    { id: 'connect4', label: 'Connect 4', icon: '🔴' },
+    { id: 'pong', label: 'Pong', icon: '🏓' },
+    { id: 'blackjack', label: 'Blackjack', icon: '🃏' },
+    { id: 'uno', label: 'Uno', icon: '🎴' },
+    { id: 'monopoly', label: 'Monopoly', icon: '🎩' },
+    { id: 'battleship', label: 'Battleship', icon: '🚢' },
+];
+
+const PARKOUR_STAGES = [
+    { stage: 1, label: 'Blue', rarity: 'common' },
+    { stage: 2, label: 'Purple', rarity: 'common' },
+    { stage: 3, label: 'Green', rarity: 'uncommon' },
+    { stage: 4, label: 'Orange', rarity: 'uncommon' },
+    { stage: 5, label: 'Red', rarity: 'rare' },
+];
+
+export const STAMPS = [
+    // ==================== FISHING ====================
+    { id: 'fish_first_catch', category: 'fishing', rarity: 'common', icon: '🐟', name: 'First Catch', description: 'Catch your first fish', criteria: { prefix: 'fish:', total: 1 } },
+    { id: 'fish_hundred', category: 'fishing', rarity: 'uncommon', icon: '🪣', name: 'Full Bucket', description: 'Catch 100 fish', criteria: { prefix: 'fish:', total: 100 } },
+    { id: 'fish_species_10', category: 'fishing', rarity: 'uncommon', icon: '📘', name: 'Field Guide', description: 'Catch 10 different species', criteria: { prefix: 'fish:', distinct: 10 } },
+    { id: 'fish_species_20', category: 'fishing', rarity: 'rare', icon: '📗', name: 'Marine Biologist', description: 'Catch 20 different species', criteria: { prefix: 'fish:', distinct: 20 } },
+    { id: 'fish_species_35', category: 'fishing', rarity: 'legendary', icon: '📕', name: 'Master Angler', description: 'Catch 35 different species', criteria: { prefix: 'fish:', distinct: 35 } },
+    { id: 'fish_epic', category: 'fishing', rarity: 'rare', icon: '🦑', name: 'Deep Diver', description: 'Catch an epic fish', criteria: { key: 'fish_rarity:epic', min: 1 } },
+    { id: 'fish_legendary', category: 'fishing', rarity: 'legendary', icon: '🐉', name: 'Legend of the Deep', description: 'Catch a legendary fish', criteria: { key: 'fish_rarity:legendary', min: 1 } },
+    { id: 'fish_megalodon', category: 'fishing', rarity: 'legendary', icon: '🦈', name: 'Jaws', description: 'Catch a Megalodon', criteria: { key: 'fish:megalodon', min: 1 } },
+    { id: 'fish_kraken', category: 'fishing', rarity: 'legendary', icon: '🦑', name: 'Release the Kraken', description: 'Catch a Kraken', criteria: { key: 'fish:kraken', min: 1 } },
+
+    // ==================== WOODCUTTING ====================
+    { id: 'chop_first', category: 'woodcutting', rarity: 'common', icon: '🪓', name: 'Timber!', description: 'Chop your first tree', criteria: { prefix: 'chop:', total: 1 } },
+    { id: 'chop_pine_25', category: 'woodcutting', rarity: 'common', icon: '🌲', name: 'Pine Feller', description: 'Chop 25 pine trees', criteria: { key: 'chop:pine_log', min: 25 } },
+    { id: 'chop_birch_25', category: 'woodcutting', rarity: 'common', icon: '🌳', name: 'Birch Feller', description: 'Chop 25 birch trees', criteria: { key: 'chop:birch_log', min: 25 } },
+    { id: 'chop_oak_25', category: 'woodcutting', rarity: 'uncommon', icon: '🌳', name: 'Oak Feller', description: 'Chop 25 oak trees', criteria: { key: 'chop:oak_log', min: 25 } },
+    { id: 'chop_ironwood_10', category: 'woodcutting', rarity: 'rare', icon: '🪵', name: 'Ironwood Breaker', description: 'Chop 10 ironwood trees', criteria: { key: 'chop:ironwood_log', min: 10 } },
+    { id: 'chop_all_species', category: 'woodcutting', rarity: 'uncommon', icon: '🗺️', name: 'Know Your Woods', description: 'Chop every tree species', criteria: { prefix: 'chop:', distinct: 4 } },
+    { id: 'chop_500', category: 'woodcutting', rarity: 'rare', icon: '🏔️', name: 'Lumberjack', description: 'Chop 500 trees', criteria: { prefix: 'chop:', total: 500 } },
+
+    // ==================== WAGERS ====================
+    { id: 'wager_first_win', category: 'wagers', rarity: 'common', icon: '🥇', name: 'High Roller', description: 'Win your first wager', criteria: { prefix: 'wager_win:', total: 1 } },
+    ...WAGER_GAMES.map((game) => ({
+        id: `wager_win_${game.id}`,
+        category: 'wagers',
+        rarity: 'common',
+        icon: game.icon,
+        name: `${game.label} Winner`,
+        description: `Win a ${game.label} wager`,
+        criteria: { key: `wager_win:${game.id}`, min: 1 },
+    })),
+    { id: 'wager_all_rounder', category: 'wagers', rarity: 'rare', icon: '🎲', name: 'All-Rounder', description: 'Win wagers in 5 different games', criteria: { prefix: 'wager_win:', distinct: 5 } },
+    { id: 'wager_100_wins', category: 'wagers', rarity: 'legendary', icon: '👑', name: 'Undisputed', description: 'Win 100 wagers', criteria: { prefix: 'wager_win:', total: 100 } },
+
+    // ==================== PARKOUR ====================
+    ...PARKOUR_STAGES.map(({ stage, label, rarity }) => ({
+        id: `parkour_stage_${stage}`,
+        category: 'parkour',
+        rarity,
+        icon: '🧗',
+        name: `${label} Climber`,
+        description: `Clear parkour stage ${stage} (${label})`,
+        criteria: { key: `parkour:${stage}`, min: 1 },
+    })),
+
+    // ==================== PUFFLES ====================
+    { id: 'puffle_trick_spin', category: 'puffles', rarity: 'common', icon: '🌀', name: 'Spin Doctor', description: 'Teach a puffle to spin', criteria: { key: 'puffle_trick:spin', min: 1 } },
+    { id: 'puffle_trick_backflip', category: 'puffles', rarity: 'uncommon', icon: '🤸', name: 'Backflipper', description: 'Teach a puffle to backflip', criteria: { key: 'puffle_trick:backflip', min: 1 } },
+    { id: 'puffle_trick_juggle', category: 'puffles', rarity: 'rare', icon: '🤹', name: 'Juggler', description: 'Teach a puffle to juggle', criteria: { key: 'puffle_trick:juggle', min: 1 } },
+    { id: 'puffle_trick_firework', category: 'puffles', rarity: 'legendary', icon: '🎆', name: 'Showstopper', description: 'Teach a puffle the firework trick', criteria: { key: 'puffle_trick:firework', min: 1 } },
+    { id: 'puffle_all_tricks', category: 'puffles', rarity: 'rare', icon: '🎪', name: 'Puffle Circus', description: 'Unlock all six puffle tricks', criteria: { prefix: 'puffle_trick:', distinct: 6 } },
+
+    // ==================== MILESTONES ====================
+    { id: 'onboarding_complete', category: 'milestones', rarity: 'common', icon: '🧭', name: 'Settled In', description: 'Finish the onboarding quest', criteria: { key: 'onboarding:complete', min: 1 } },
+];
+
+const STAMPS_BY_ID = new Map(STAMPS.map((stamp) => [stamp.id, stamp]));
+
+export function getStamp(stampId) {
+    return STAMPS_BY_ID.get(stampId) || null;
+}
+
+/**
+ * Current value and target for a stamp's criteria
+ * @param {{ key?: string, prefix?: string, min?: number, total?: number, distinct?: number }} criteria
+ * @param {Record<string, number>} progress
+ * @returns {{ current: number, target: number }}
+ */
+export function getStampProgress(criteria, progress = {}) {
+    if (criteria.key) {
+        return { current: progress[criteria.key] || 0, target: criteria.min };
+    }
+    const entries = Object.entries(progress).filter(([key, value]) => key.startsWith(criteria.prefix) && value > 0);
+    if (criteria.distinct) {
+        return { current: entries.length, target: criteria.distinct };
+    }
+    return { current: entries.reduce((sum, [, value]) => sum + value, 0), target: criteria.total };
+}
+
+/**
+ * Stamps whose criteria are met but are not yet in `earnedIds`
+ * @param {Record<string, number>} progress
+ * @param {Iterable<string>} earnedIds
+ * @param {string[]} [touchedKeys] - only consider stamps these counters can affect
+ */
+export function getNewlyEarnedStamps(progress, earnedIds, touchedKeys = null) {
+    const earned = new Set(earnedIds);
+    return STAMPS.filter((stamp) => {
+        if (earned.has(stamp.id)) return false;
+        const { key, prefix } = stamp.criteria;
+        if (touchedKeys && !touchedKeys.some((touched) => (key ? touched === key : touched.startsWith(prefix)))) {
+            return false;
+        }
+        const { current, target } = getStampProgress(stamp.criteria, progress);
+        return current >= target;
+    });
+}
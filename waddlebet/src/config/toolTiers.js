@@ -43,4 +43,7 @@ export function getToolPurchasePrerequisite(itemId, ownsTool) {
     };
 }
 
+/** Crafted at the woodworking bench — replaces a repair's materials at Clive / Salty. */
+export const REPAIR_KIT_ITEM_ID = 'tool_repair_kit';
+
 export default TOOL_UPGRADE_CHAINS;
@@ -0,0 +1,74 @@
+/**
+ * Bracket tournaments — shared by the server (server/services/TournamentService.js) and the
+ * tournament lobby / bracket UI.
+ *
+ * Single elimination. The bracket is padded to the next power of two; byes only occur in round one
+ * and always go to the first slot of a pairing. Matches run through the normal match system with no
+ * wager — the entry fees form the prize pool instead.
+ */
+
+export const TOURNAMENT_GAMES = {
+    card_jitsu: { label: 'Card Jitsu', icon: '⚔️' },
+    connect4: { label: 'Connect 4', icon: '🔴' },
+    tic_tac_toe: { label: 'Tic Tac Toe', icon: '⭕' },
+    uno: { label: 'UNO', icon: '🃏' },
+    battleship: { label: 'Battleship', icon: '🚢' },
+    blackjack: { label: 'Blackjack', icon: '🎰' },
+};
+
+export const TOURNAMENT_CURRENCIES = {
+    gold: { label: 'Gold', icon: '💰', maxEntryFee: 10000 },
+    pebbles: { label: 'Pebbles', icon: '🪨', maxEntryFee: 1000 },
+};
+
+export const TOURNAMENT_LIMITS = {
+    MIN_ENTRANTS: 4,
+    MAX_ENTRANTS: 64,
+    BRACKET_SIZES: [4, 8, 16, 32, 64],
+    NAME_MAX_LENGTH: 40,
+    /** Player-hosted tournaments open registration for at least this long */
+    MIN_REGISTRATION_MS: 2 * 60 * 1000,
+    MAX_REGISTRATION_MS: 24 * 60 * 60 * 1000,
+    /** Pause between a pairing filling and its match starting */
+    MATCH_BREAK_MS: 10 * 1000,
+    /** How long a ready pairing waits for an offline or busy player before a walkover */
+    NO_SHOW_GRACE_MS: 2 * 60 * 1000,
+    /** Missed turn timers in a single tournament match before it is forfeited */
+    NO_SHOW_TIMEOUTS: 3,
+    /** Drawn tournament matches are replayed; after this many the first slot advances */
+    MAX_DRAW_REPLAYS: 3,
+    MAX_HOSTED_PER_PLAYER: 1,
+    /** Finished and cancelled tournaments stay listed this long */
+    RESULTS_LINGER_MS: 60 * 60 * 1000,
+};
+
+export function isTournamentGame(gameType) {
+    return Object.prototype.hasOwnProperty.call(TOURNAMENT_GAMES, gameType);
+}
+
+/** Smallest bracket that fits `count` entrants */
+export function getBracketSize(count) {
+    return TOURNAMENT_LIMITS.BRACKET_SIZES.find((size) => size >= count) || TOURNAMENT_LIMITS.MAX_ENTRANTS;
+}
+
+export function getRoundName(round, totalRounds) {
+    const fromEnd = totalRounds - round;
+    if (fromEnd === 0) return 'Final';
+    if (fromEnd === 1) return 'Semifinals';
+    if (fromEnd === 2) return 'Quarterfinals';
+    return `Round ${round}`;
+}
+
+/**
+ * Split the prize pool. Small brackets pay the top two; 16+ also pay both semifinal losers.
+ * Rounding leftovers go to the winner.
+ * @returns {{ first: number, second: number, semifinal: number }} per-player amounts
+ */
+export function getPrizeSplit(prizePool, entrantCount) {
+    const shares = entrantCount >= 16
+        ? { second: 0.25, semifinal: 0.075 }
+        : { second: 0.3, semifinal: 0 };
+    const second = Math.floor(prizePool * shares.second);
+    const semifinal = Math.floor(prizePool * shares.semifinal);
+    return { first: prizePool - second - semifinal * 2, second, semifinal };
+}
@@ -0,0 +1,37 @@
+/**
+ * Player-to-player trade window — shared by the server (server/services/TradeService.js) and the
+ * trade UI.
+ *
+ * Flow: one player requests a trade with someone in the same room → both fill their side with
+ * backpack slots and gold → both confirm → the server swaps everything in one database transaction.
+ * Changing either offer clears both confirmations.
+ */
+
+export const TRADE_LIMITS = {
+    /** Backpack stacks each side can put up */
+    MAX_OFFER_SLOTS: 8,
+    MAX_GOLD: 1000000,
+    /** Unanswered requests lapse after this long */
+    REQUEST_TTL_MS: 30 * 1000,
+    /** Open trade windows close themselves after this long */
+    SESSION_TTL_MS: 10 * 60 * 1000,
+};
+
+/** Free one-time pickups stay with the player who claimed them. */
+export const UNTRADEABLE_ITEM_IDS = new Set(['basic_axe', 'basic_rod']);
+
+export function isTradeableItem(itemId) {
+    return Boolean(itemId) && !UNTRADEABLE_ITEM_IDS.has(itemId);
+}
+
+export const TRADE_CLOSE_REASONS = {
+    declined: 'Trade declined',
+    cancelled: 'Trade cancelled',
+    expired: 'Trade request expired',
+    timeout: 'Trade window timed out',
+    disconnect: 'The other player left',
+    room_change: 'Trade cancelled — a player left the room',
+    completed: 'Trade complete',
+};
+
+export default TRADE_LIMITS;
@@ -0,0 +1,163 @@
+/**
+ * Account-synced user settings — shared by the client (useSettingsSync, SettingsMenu export/import)
+ * and the server (server/config/userSettings.js, UserService.syncSettings).
+ *
+ * A settings document is `{ v, values, updatedAt }`: `updatedAt[key]` is when that key was last
+ * changed (ms). Two documents merge key by key, newest change wins, so editing music on one device
+ * and the nametag on another keeps both. Device-only keys never leave the device.
+ */
+
+import { normalizeControlBindings } from './controls.js';
+
+/** Bump with a step in migrateSettingsDocument when a key changes shape */
+export const SETTINGS_SCHEMA_VERSION = 1;
+
+/** Export blob marker, so random JSON files are rejected on import */
+export const SETTINGS_EXPORT_FORMAT = 'waddlebet-settings';
+
+const isBoolean = (value) => typeof value === 'boolean';
+const inRange = (min, max) => (value) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+const oneOf = (options) => (value) => options.includes(value);
+
+/**
+ * Synced keys and their validators. Keybinds are normalized rather than validated, so a stale
+ * or partial map still syncs.
+ */
+export const SYNCED_SETTINGS = {
+    musicEnabled: isBoolean,
+    sfxEnabled: isBoolean,
+    musicVolume: inRange(0, 1),
+    sfxVolume: inRange(0, 1),
+    musicTrack: (value) => typeof value === 'string' && /^[a-z0-9_-]{1,32}$/i.test(value),
+    leftHanded: isBoolean,
+    cameraSensitivity: inRange(0.1, 1),
+    snowEnabled: isBoolean,
+    mountEnabled: isBoolean,
+    greenCandlesEnabled: isBoolean,
+    nametagStyle: oneOf(['default', 'tier', 'day1']),
+    language: (value) => typeof value === 'string' && /^[a-z]{2}$/.test(value),
+    keybinds: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+};
+
+export const SYNCED_SETTING_KEYS = Object.keys(SYNCED_SETTINGS);
+
+/** Per-device keys: graphics quality depends on the hardware, the FPS counter on the screen */
+export const DEVICE_ONLY_SETTINGS = ['performancePreset', 'showFps'];
+
+/** Keys that were updated in the last few ms are not worth a round trip on their own */
+export const SETTINGS_SYNC_DEBOUNCE_MS = 1000;
+
+/**
+ * Clean value for a synced key, or undefined when the key is unknown or the value invalid.
+ * @param {string} key
+ * @param {*} value
+ */
+export function sanitizeSettingValue(key, value) {
+    const isValid = SYNCED_SETTINGS[key];
+    if (!isValid || !isValid(value)) return undefined;
+    return key === 'keybinds' ? normalizeControlBindings(value) : value;
+}
+
+/**
+ * Synced keys picked out of a flat settings object (game settings + language)
+ * @param {object} settings
+ * @returns {Record<string, *>}
+ */
+export function pickSyncedSettings(settings = {}) {
+    const values = {};
+    for (const key of SYNCED_SETTING_KEYS) {
+        const value = sanitizeSettingValue(key, settings[key]);
+        if (value !== undefined) values[key] = value;
+    }
+    return values;
+}
+
+/**
+ * Validated document at the current version. Unknown keys, invalid values and timestamps from
+ * the future (past `now`) are dropped or clamped, so one bad clock can't win every merge.
+ * @param {object} doc
+ * @param {number} [now]
+ */
+export function sanitizeSettingsDocument(doc, now = Date.now()) {
+    const migrated = migrateSettingsDocument(doc);
+    const values = {};
+    const updatedAt = {};
+    for (const key of SYNCED_SETTING_KEYS) {
+        const value = sanitizeSettingValue(key, migrated.values[key]);
+        if (value === undefined) continue;
+        values[key] = value;
+        const stamp = Number(migrated.updatedAt[key]);
+        updatedAt[key] = Number.isFinite(stamp) && stamp > 0 ? Math.min(stamp, now) : 0;
+    }
+    return { v: SETTINGS_SCHEMA_VERSION, values, updatedAt };
+}
+
+/**
+ * Bring an older document up to SETTINGS_SCHEMA_VERSION.
+ * v0 is the pre-sync account settings: only `keybinds` carries over (never changed = time 0).
+ * @param {object} doc
+ */
+export function migrateSettingsDocument(doc) {
+    if (!doc || typeof doc !== 'object') {
+        return { v: SETTINGS_SCHEMA_VERSION, values: {}, updatedAt: {} };
+    }
+    if (!doc.v) {
+        const values = {};
+        if (doc.keybinds) values.keybinds = doc.keybinds;
+        return { v: SETTINGS_SCHEMA_VERSION, values, updatedAt: {} };
+    }
+    return {
+        v: SETTINGS_SCHEMA_VERSION,
+        values: doc.values && typeof doc.values === 'object' ? doc.values : {},
+        updatedAt: doc.updatedAt && typeof doc.updatedAt === 'object' ? doc.updatedAt : {},
+    };
+}
+
+/**
+ * Last-write-wins per key. On a tie the base (stored) value stays.
+ * @param {object} base - stored document
+ * @param {object} incoming - newer edits
+ * @returns {object} merged document
+ */
+export function mergeSettingsDocuments(base, incoming) {
+    const merged = {
+        v: SETTINGS_SCHEMA_VERSION,
+        values: { ...base.values },
+        updatedAt: { ...base.updatedAt },
+    };
+    for (const key of Object.keys(incoming.values)) {
+        const incomingAt = incoming.updatedAt[key] || 0;
+        if (key in merged.values && incomingAt <= (merged.updatedAt[key] || 0)) continue;
+        merged.values[key] = incoming.values[key];
+        merged.updatedAt[key] = incomingAt;
+    }
+    return merged;
+}
+
+/**
+ * JSON blob for guests to move their settings by hand. Device-only keys stay behind.
+ * @param {object} values - synced values (pickSyncedSettings)
+ */
+export function exportSettingsBlob(values) {
+    return JSON.stringify({
+        format: SETTINGS_EXPORT_FORMAT,
+        v: SETTINGS_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        settings: pickSyncedSettings(values),
+    }, null, 2);
+}
+
+/**
+ * Synced values from an exported blob, or null when the text isn't one
+ * @param {string} text
+ */
+export function parseSettingsBlob(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch {
+        return null;
+    }
+    if (parsed?.format !== SETTINGS_EXPORT_FORMAT || !parsed.settings) return null;
+    return pickSyncedSettings(parsed.settings);
+}
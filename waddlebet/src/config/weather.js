@@ -0,0 +1,116 @@
+/**
+ * Overworld weather — shared by server (WeatherService rolls and gameplay hooks) and
+ * client (WeatherSystem visuals, music mood). server/config/weather.js re-exports this.
+ */
+
+import { OVERWORLD_ROOMS } from './overworldConfig.js';
+
+/** Rooms that have weather (indoor rooms never do). */
+export const WEATHER_ROOMS = OVERWORLD_ROOMS;
+
+/**
+ * Weather states.
+ * - snow: density is the share of the quality tier's snow particle budget in use
+ * - fog: scene fog near/far in world units (clear matches the mountain backdrop's 120/400)
+ * - light: multipliers on the day/night sun & ambient intensities; skyTint blends the sky/fog color
+ * - music: multipliers on the room track (see audio/music.js)
+ * - fishingTierBiasBonus: added to the rod's catchTierBias (rarer fish)
+ * - treeGrowthRate: forest regrowth speed (1 = normal)
+ */
+export const WEATHER_STATES = {
+    clear: {
+        id: 'clear',
+        label: 'Clear Skies',
+        emoji: '☀️',
+        weight: 35,
+        snow: { density: 0.2, fallSpeed: 1, wind: 1 },
+        fog: { near: 120, far: 400 },
+        light: { sun: 1, ambient: 1, skyTint: null, tintAmount: 0 },
+        music: { tempo: 1, melody: 1, pad: 1 },
+        fishingTierBiasBonus: 0,
+        treeGrowthRate: 1,
+    },
+    light_snow: {
+        id: 'light_snow',
+        label: 'Light Snow',
+        emoji: '🌨️',
+        weight: 35,
+        snow: { density: 0.6, fallSpeed: 1, wind: 1 },
+        fog: { near: 70, far: 260 },
+        light: { sun: 0.9, ambient: 0.95, skyTint: '#C4D4DE', tintAmount: 0.2 },
+        music: { tempo: 1, melody: 0.9, pad: 1.1 },
+        fishingTierBiasBonus: 0,
+        treeGrowthRate: 1,
+    },
+    blizzard: {
+        id: 'blizzard',
+        label: 'Blizzard',
+        emoji: '❄️',
+        weight: 10,
+        snow: { density: 1, fallSpeed: 1.8, wind: 3.5 },
+        fog: { near: 15, far: 70 },
+        light: { sun: 0.55, ambient: 0.85, skyTint: '#B8C4CC', tintAmount: 0.55 },
+        music: { tempo: 1.1, melody: 0.6, pad: 1.4 },
+        fishingTierBiasBonus: 0.6,
+        treeGrowthRate: 1,
+        announcement: 'A blizzard rolls in — rare fish are biting!',
+    },
+    fog: {
+        id: 'fog',
+        label: 'Fog',
+        emoji: '🌫️',
+        weight: 15,
+        snow: { density: 0.1, fallSpeed: 0.6, wind: 0.3 },
+        fog: { near: 8, far: 55 },
+        light: { sun: 0.6, ambient: 0.9, skyTint: '#C9D2D8', tintAmount: 0.6 },
+        music: { tempo: 0.85, melody: 0.5, pad: 1.5 },
+        fishingTierBiasBonus: 0,
+        treeGrowthRate: 0.5,
+        announcement: 'Fog settles in — the forest grows back slowly.',
+    },
+    aurora: {
+        id: 'aurora',
+        label: 'Aurora Night',
+        emoji: '🌌',
+        weight: 20,
+        nightOnly: true,
+        snow: { density: 0.05, fallSpeed: 0.8, wind: 0.5 },
+        fog: { near: 120, far: 400 },
+        light: { sun: 0.9, ambient: 1.05, skyTint: '#2E5C6E', tintAmount: 0.25 },
+        music: { tempo: 0.9, melody: 1.2, pad: 1.3 },
+        fishingTierBiasBonus: 0,
+        treeGrowthRate: 1,
+        aurora: true,
+        announcement: 'The aurora lights up the night sky.',
+    },
+};
+
+export const DEFAULT_WEATHER = 'clear';
+
+/** How long one weather state lasts before the next roll. */
+export const WEATHER_DURATION_MS = {
+    MIN: 6 * 60 * 1000,
+    MAX: 14 * 60 * 1000,
+};
+
+/** Seconds the client takes to blend from one state's visuals to the next. */
+export const WEATHER_BLEND_SECONDS = 8;
+
+/**
+ * Night per the day/night cycle (world time 0 = midnight, 0.5 = noon; 75% daylight).
+ * @param {number} worldTime - 0..1
+ */
+export function isNightTime(worldTime) {
+    const t = ((Number(worldTime) || 0) % 1 + 1) % 1;
+    return t < 0.125 || t > 0.875;
+}
+
+export function getWeatherState(id) {
+    return WEATHER_STATES[id] || WEATHER_STATES[DEFAULT_WEATHER];
+}
+
+export function isWeatherRoom(roomId) {
+    return WEATHER_ROOMS.includes(roomId);
+}
+
+export default WEATHER_STATES;
@@ -65,6 +65,8 @@ export const WORLD_NPCS = [
             { id: 'buy_worm_bait', label: 'Worm bait pack', requiresMerchantRecipe: true, itemId: 'worm' },
             { id: 'open_backpack', label: 'Emergency sell catch', icon: '🐟', requiresFish: true },
             { id: 'upgrade_rod', label: 'Upgrade fishing rod', icon: '🎣', requiresRodUpgrade: true },
+            { id: 'repair_rod', label: 'Repair fishing rod', icon: '🔧', requiresRepair: 'rod' },
+            { id: 'toggle_auto_repair', label: 'Auto-repair', icon: '♻️', requiresAutoRepairToggle: true },
             { id: 'lore_fishing', label: 'Tips for fishing', icon: '🎣', loreText: 'Pick up the free rod by my shack, equip it, then fish any ice hole — check the stock before you cast! Holes run out of rare fish and regrow over time, so roam between holes for legendaries. Search mossy fallen logs in the forest for worms, or buy bait here for 1g per 5. Emergency fish sells pay pennies.' },
             { id: 'close', label: 'See you later, Salty', icon: '👋' }
         ],
@@ -102,6 +104,8 @@ export const WORLD_NPCS = [
             { id: 'buy_iron_axe', label: 'Buy Iron Axe', icon: '⛏️', requiresBuyTool: true, itemId: 'iron_axe' },
             { id: 'buy_steel_axe', label: 'Buy Steel Axe', icon: '🪓', requiresBuyTool: true, itemId: 'steel_axe' },
             { id: 'buy_master_axe', label: 'Buy Master Axe', icon: '👑', requiresBuyTool: true, itemId: 'master_axe' },
+            { id: 'repair_tool', label: 'Repair axe', icon: '🔧', requiresRepair: 'tool' },
+            { id: 'toggle_auto_repair', label: 'Auto-repair', icon: '♻️', requiresAutoRepairToggle: true },
             { id: 'open_backpack', label: 'Sell timber / organize', icon: '🪵' },
             { id: 'lore_tools', label: 'Forest trails', loreText: 'Head south through Snow Forts into the Forest Trails. A loaner axe is yours on arrival — chop pines and bring logs to me. Mint full bundles here when your pack is stuffed; sell singles on the trail for pocket change only.' },
             { id: 'close', label: 'Thanks, Clive', icon: '👋' }
@@ -136,7 +140,7 @@ export const WORLD_NPCS = [
             { id: 'open_backpack', label: 'Sell timber & mushrooms', icon: '🪵' },
             { id: 'quest_mushroom_ticket', label: 'Trade mushrooms for ferry ticket', icon: '🎫', requiresMushrooms: true },
             { id: 'lore_quests', label: 'Forest quests & XP', icon: '📜', loreText: 'Gather forest mushrooms from trail clusters (they grow back slowly). Bring 5 to me for a ferry ticket to Town — then fish and chop for gold, or challenge players to wagers!' },
-            { id: 'lore_crafting', label: 'Crafting orders', icon: '🪚', loreText: 'The workshop wing is still being stocked. Soon you\'ll turn pine and oak into planks, furniture, and camp gear — higher value than raw logs. Save rare ironwood for those recipes.' },
+            { id: 'lore_crafting', label: 'Crafting orders', icon: '🪚', loreText: 'The woodworking bench is round the east side of my cabin. Turn pine and oak into furniture, lanterns, bait and repair kits — worth more than raw logs, and every craft earns crafting XP. Save rare ironwood for the chest recipe.' },
             { id: 'lore_town_prices', label: 'Better prices in town?', icon: '🏘️', loreText: 'Copper Clive in town pays full catalog gold for timber. I buy at 65% — convenience tax for not hiking back. Every sale still earns woodcutting XP either way.' },
             { id: 'close', label: 'Stay safe on the trails', icon: '👋' }
         ],
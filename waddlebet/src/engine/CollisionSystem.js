@@ -395,6 +395,38 @@ class CollisionSystem {
         return { x: x, z: z, collided: true, collider: collision };
     }
 
+    /**
+     * Find a blocking collider whose footprint overlaps a box (used to test a placement before committing it)
+     * Touching edges don't count as overlap, so boxes can sit flush against each other.
+     * @param {number} x - Box center X
+     * @param {number} z - Box center Z
+     * @param {{ x: number, z: number }} size - Box width (X) and depth (Z)
+     * @param {number} rotation - Box rotation in radians
+     * @returns {Object|null} First overlapping collider, or null
+     */
+    findBoxOverlap(x, z, size, rotation = 0) {
+        const EPSILON = 0.001;
+        const box = this._getColliderBounds({ x, z, rotation, shape: { type: 'box', size } });
+        const candidates = new Set();
+        this._getOverlappingCells({ x, z, rotation, shape: { type: 'box', size } }).forEach(key => {
+            this.grid.get(key)?.forEach(id => candidates.add(id));
+        });
+
+        for (const id of candidates) {
+            const collider = this.colliders.get(id);
+            if (!collider || collider.type === CollisionSystem.TYPES.NONE || collider.type === CollisionSystem.TYPES.TRIGGER) {
+                continue;
+            }
+            const bounds = this._getColliderBounds(collider);
+            if (box.minX < bounds.maxX - EPSILON && box.maxX > bounds.minX + EPSILON &&
+                box.minZ < bounds.maxZ - EPSILON && box.maxZ > bounds.minZ + EPSILON) {
+                return collider;
+            }
+        }
+
+        return null;
+    }
+
     /**
      * Get all colliders near a point
      * @param {number} x - Center X
@@ -6,6 +6,8 @@ export { useClickOutside } from './useClickOutside';
 export { useEscapeKey } from './useEscapeKey';
 export { useDeviceDetection } from './useDeviceDetection';
 export { useLocalStorage } from './useLocalStorage';
+export { useSettingsSync } from './useSettingsSync';
 export { useChainEconomy } from './useChainEconomy.js';
 export { useTokenValidation, TOKEN_VALIDATION_STATE } from './useTokenValidation';
 
+export { useMutedPlayers } from './useMutedPlayers';
@@ -0,0 +1,25 @@
+import { useState, useEffect, useCallback } from 'react';
+import { MUTED_PLAYERS_EVENT, getMutedPlayers, setPlayerMuted } from '../utils/mutedPlayers';
+
+/**
+ * Hook that re-renders when the local mute list changes
+ * @returns {{ mutedPlayers: string[], isMuted: Function, setMuted: Function }}
+ */
+export const useMutedPlayers = () => {
+    const [mutedPlayers, setMutedPlayers] = useState(getMutedPlayers);
+
+    useEffect(() => {
+        const handleChange = () => setMutedPlayers(getMutedPlayers());
+        window.addEventListener(MUTED_PLAYERS_EVENT, handleChange);
+        return () => window.removeEventListener(MUTED_PLAYERS_EVENT, handleChange);
+    }, []);
+
+    const isMuted = useCallback(
+        (name) => typeof name === 'string' && mutedPlayers.includes(name.trim().toLowerCase()),
+        [mutedPlayers]
+    );
+
+    return { mutedPlayers, isMuted, setMuted: setPlayerMuted };
+};
+
+export default useMutedPlayers;
@@ -0,0 +1,128 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { applyGameSettings } from '../audio';
+import {
+    SETTINGS_SCHEMA_VERSION,
+    SETTINGS_SYNC_DEBOUNCE_MS,
+    pickSyncedSettings,
+} from '../config/userSettings';
+import { loadSettingsTimestamps, saveSettingsTimestamps, diffSyncedSettings } from '../utils/settingsSync';
+
+/**
+ * Keeps the synced part of game settings (+ language) in step with the account.
+ * Local edits are stamped per key and sent in batches; on sign-in the whole local document goes
+ * up, and whatever the server's merge (last write wins per key) says back is applied here.
+ * Guests only get the local timestamps.
+ *
+ * @param {object} options
+ * @param {object} options.settings - game settings (VoxelWorld gameSettings)
+ * @param {Function} options.setSettings
+ * @param {string} options.language
+ * @param {Function} options.setLanguage
+ * @param {boolean} options.isAuthenticated
+ * @param {object|null} options.syncedSettings - last settings_synced document
+ * @param {Function} options.syncSettings - sends a settings_sync document
+ */
+export const useSettingsSync = ({
+    settings,
+    setSettings,
+    language,
+    setLanguage,
+    isAuthenticated,
+    syncedSettings,
+    syncSettings,
+}) => {
+    const values = useMemo(() => pickSyncedSettings({ ...settings, language }), [settings, language]);
+
+    const valuesRef = useRef(values);
+    const settingsRef = useRef(settings);
+    const updatedAtRef = useRef(null);
+    if (updatedAtRef.current === null) updatedAtRef.current = loadSettingsTimestamps();
+    const pendingKeysRef = useRef(new Set());
+    const flushTimerRef = useRef(null);
+    const syncingRef = useRef(false);
+    const syncSettingsRef = useRef(syncSettings);
+
+    settingsRef.current = settings;
+    syncSettingsRef.current = syncSettings;
+
+    const buildDocument = (keys) => {
+        const doc = { v: SETTINGS_SCHEMA_VERSION, values: {}, updatedAt: {} };
+        for (const key of keys) {
+            if (!(key in valuesRef.current)) continue;
+            doc.values[key] = valuesRef.current[key];
+            doc.updatedAt[key] = updatedAtRef.current[key] || 0;
+        }
+        return doc;
+    };
+
+    const flushPending = () => {
+        clearTimeout(flushTimerRef.current);
+        flushTimerRef.current = null;
+        const keys = [...pendingKeysRef.current];
+        pendingKeysRef.current.clear();
+        if (!syncingRef.current || keys.length === 0) return;
+        syncSettingsRef.current?.(buildDocument(keys));
+    };
+
+    // Stamp local edits
+    useEffect(() => {
+        const changed = diffSyncedSettings(valuesRef.current, values);
+        valuesRef.current = values;
+        if (changed.length === 0) return;
+
+        const now = Date.now();
+        for (const key of changed) {
+            updatedAtRef.current[key] = now;
+            pendingKeysRef.current.add(key);
+        }
+        saveSettingsTimestamps(updatedAtRef.current);
+
+        clearTimeout(flushTimerRef.current);
+        flushTimerRef.current = setTimeout(flushPending, SETTINGS_SYNC_DEBOUNCE_MS);
+    }, [values]);
+
+    // Signing in sends everything; the reply (settings_synced) carries the merged result
+    useEffect(() => {
+        syncingRef.current = isAuthenticated;
+        if (!isAuthenticated) return;
+        pendingKeysRef.current.clear();
+        syncSettingsRef.current?.(buildDocument(Object.keys(valuesRef.current)));
+    }, [isAuthenticated]);
+
+    // Apply the account's values, except keys edited here since the last send
+    useEffect(() => {
+        if (!syncedSettings?.values) return;
+        const incoming = pickSyncedSettings(syncedSettings.values);
+        const changed = diffSyncedSettings(valuesRef.current, incoming)
+            .filter((key) => key in incoming && !pendingKeysRef.current.has(key));
+
+        for (const key of Object.keys(incoming)) {
+            if (pendingKeysRef.current.has(key)) continue;
+            updatedAtRef.current[key] = syncedSettings.updatedAt?.[key] || 0;
+        }
+        saveSettingsTimestamps(updatedAtRef.current);
+        if (changed.length === 0) return;
+
+        const applied = Object.fromEntries(changed.map((key) => [key, incoming[key]]));
+        valuesRef.current = { ...valuesRef.current, ...applied };
+
+        const { language: nextLanguage, ...gameValues } = applied;
+        if (nextLanguage) setLanguage(nextLanguage);
+        if (Object.keys(gameValues).length === 0) return;
+
+        const next = { ...settingsRef.current, ...gameValues };
+        try {
+            localStorage.setItem('game_settings', JSON.stringify(next));
+        } catch { /* ignore quota errors */ }
+        applyGameSettings(next);
+        setSettings(next);
+        if ('nametagStyle' in gameValues) {
+            window.dispatchEvent(new CustomEvent('nametagChanged', { detail: { style: gameValues.nametagStyle } }));
+        }
+    }, [syncedSettings]);
+
+    // Don't lose the last edit on unmount
+    useEffect(() => () => flushPending(), []);
+};
+
+export default useSettingsSync;
@@ -168,6 +168,18 @@ export default {
         ru: 'Настройки иглу',
         ar: 'إعدادات الإيغلو',
     },
+    'hud.iglooFurniture': {
+        en: 'Arrange Furniture',
+        zh: '布置家具',
+        es: 'Colocar muebles',
+        pt: 'Organizar móveis',
+        ko: '가구 배치',
+        ja: '家具の配置',
+        fr: 'Disposer les meubles',
+        de: 'Möbel einrichten',
+        ru: 'Расставить мебель',
+        ar: 'ترتيب الأثاث',
+    },
     'hud.puffles': {
         en: 'Puffles',
         zh: 'Puffles',
@@ -204,6 +216,66 @@ export default {
         ru: 'Полная статистика',
         ar: 'إحصائيات كاملة',
     },
+    'hud.friends': {
+        en: 'Friends',
+        zh: '好友',
+        es: 'Amigos',
+        pt: 'Amigos',
+        ko: '친구',
+        ja: 'フレンド',
+        fr: 'Amis',
+        de: 'Freunde',
+        ru: 'Друзья',
+        ar: 'الأصدقاء',
+    },
+    'hud.moderation': {
+        en: 'Moderation',
+        zh: '管理审核',
+        es: 'Moderación',
+        pt: 'Moderação',
+        ko: '관리',
+        ja: 'モデレーション',
+        fr: 'Modération',
+        de: 'Moderation',
+        ru: 'Модерация',
+        ar: 'الإشراف',
+    },
+    'hud.stamps': {
+        en: 'Stamp Book',
+        zh: '邮票册',
+        es: 'Álbum de sellos',
+        pt: 'Álbum de selos',
+        ko: '스탬프 북',
+        ja: 'スタンプ帳',
+        fr: 'Carnet de timbres',
+        de: 'Stempelbuch',
+        ru: 'Книга марок',
+        ar: 'كتاب الطوابع',
+    },
+    'hud.tournaments': {
+        en: 'Tournaments',
+        zh: '锦标赛',
+        es: 'Torneos',
+        pt: 'Torneios',
+        ko: '토너먼트',
+        ja: 'トーナメント',
+        fr: 'Tournois',
+        de: 'Turniere',
+        ru: 'Турниры',
+        ar: 'البطولات',
+    },
+    'hud.guild': {
+        en: 'Guild',
+        zh: '公会',
+        es: 'Gremio',
+        pt: 'Guilda',
+        ko: '길드',
+        ja: 'ギルド',
+        fr: 'Guilde',
+        de: 'Gilde',
+        ru: 'Гильдия',
+        ar: 'النقابة',
+    },
     'hud.inRoomOnline': {
         en: 'In Room / Online Total',
         zh: '房间内 / 在线总数',
@@ -239,6 +239,210 @@ export default {
         ru: 'Бесплатное подключение • Безопасная верификация подписи',
         ar: 'مجاني للاتصال • التحقق الآمن من التوقيع',
     },
+    'guest.savedWarning': {
+        en: "You're playing as a guest. Your progress is kept for this browser:",
+        zh: '您正在以访客身份游玩。您的进度会保存在此浏览器中：',
+        es: 'Estás jugando como invitado. Tu progreso se guarda en este navegador:',
+        pt: 'Você está jogando como convidado. Seu progresso fica salvo neste navegador:',
+        ko: '게스트로 플레이 중입니다. 진행 상황은 이 브라우저에 저장됩니다:',
+        ja: 'ゲストとしてプレイ中です。進行状況はこのブラウザに保存されます：',
+        fr: "Vous jouez en tant qu'invité. Votre progression est conservée sur ce navigateur :",
+        de: 'Du spielst als Gast. Dein Fortschritt bleibt in diesem Browser erhalten:',
+        ru: 'Вы играете как гость. Ваш прогресс сохраняется в этом браузере:',
+        ar: 'أنت تلعب كضيف. يتم حفظ تقدمك في هذا المتصفح:',
+    },
+    'guest.savedProgress': {
+        en: 'Gold, backpack, puffles and quest progress are saved',
+        zh: '金币、背包、帕夫和任务进度都会保存',
+        es: 'El oro, la mochila, los puffles y el progreso de misiones se guardan',
+        pt: 'Ouro, mochila, puffles e progresso de missões são salvos',
+        ko: '골드, 가방, 퍼플, 퀘스트 진행이 저장됩니다',
+        ja: 'ゴールド、バックパック、パフル、クエストの進行が保存されます',
+        fr: "L'or, le sac, les puffles et la progression des quêtes sont sauvegardés",
+        de: 'Gold, Rucksack, Puffles und Quest-Fortschritt werden gespeichert',
+        ru: 'Золото, рюкзак, пафлы и прогресс заданий сохраняются',
+        ar: 'يتم حفظ الذهب والحقيبة والبافل وتقدم المهام',
+    },
+    'guest.mergeLater': {
+        en: 'Connect a wallet later to keep it all',
+        zh: '稍后连接钱包即可全部保留',
+        es: 'Conecta una billetera más tarde para conservarlo todo',
+        pt: 'Conecte uma carteira depois para manter tudo',
+        ko: '나중에 지갑을 연결하면 모두 유지됩니다',
+        ja: '後でウォレットを接続すればすべて引き継げます',
+        fr: 'Connectez un portefeuille plus tard pour tout garder',
+        de: 'Verbinde später eine Wallet, um alles zu behalten',
+        ru: 'Подключите кошелёк позже, чтобы всё сохранить',
+        ar: 'اربط محفظة لاحقًا للاحتفاظ بكل شيء',
+    },
+    'guest.noTrade': {
+        en: 'Trading, drops and tips need a wallet',
+        zh: '交易、掉落和打赏需要钱包',
+        es: 'Intercambios, soltar objetos y propinas requieren billetera',
+        pt: 'Trocas, itens no chão e gorjetas exigem carteira',
+        ko: '거래, 아이템 떨어뜨리기, 팁은 지갑이 필요합니다',
+        ja: 'トレード・ドロップ・チップにはウォレットが必要です',
+        fr: 'Échanges, dépôts au sol et pourboires nécessitent un portefeuille',
+        de: 'Handel, Ablegen und Trinkgeld brauchen eine Wallet',
+        ru: 'Для обмена, выбрасывания и чаевых нужен кошелёк',
+        ar: 'التداول والإسقاط والإكراميات تتطلب محفظة',
+    },
+    'guest.mergeTitle': {
+        en: 'Bring your guest progress?',
+        zh: '要带上访客进度吗？',
+        es: '¿Traer tu progreso de invitado?',
+        pt: 'Trazer seu progresso de convidado?',
+        ko: '게스트 진행 상황을 가져올까요?',
+        ja: 'ゲストの進行状況を引き継ぎますか？',
+        fr: 'Récupérer votre progression invité ?',
+        de: 'Gast-Fortschritt übernehmen?',
+        ru: 'Перенести прогресс гостя?',
+        ar: 'هل تريد نقل تقدمك كضيف؟',
+    },
+    'guest.mergeBody': {
+        en: 'This wallet is new here. You can move what you earned as a guest into it — this only works once.',
+        zh: '此钱包是新账户。您可以将访客期间获得的内容转入其中——仅限一次。',
+        es: 'Esta billetera es nueva aquí. Puedes pasar lo que ganaste como invitado — solo una vez.',
+        pt: 'Esta carteira é nova aqui. Você pode mover o que ganhou como convidado — só uma vez.',
+        ko: '이 지갑은 처음입니다. 게스트로 얻은 것을 옮길 수 있습니다 — 한 번만 가능합니다.',
+        ja: 'このウォレットは新規です。ゲストで得たものを移せます（1回のみ）。',
+        fr: 'Ce portefeuille est nouveau ici. Vous pouvez y transférer ce que vous avez gagné en invité — une seule fois.',
+        de: 'Diese Wallet ist neu hier. Du kannst alles aus deiner Gastzeit übertragen — nur einmal.',
+        ru: 'Этот кошелёк здесь впервые. Можно перенести всё, что вы получили как гость, — только один раз.',
+        ar: 'هذه المحفظة جديدة هنا. يمكنك نقل ما كسبته كضيف إليها — مرة واحدة فقط.',
+    },
+    'guest.mergeGold': {
+        en: '{n} gold',
+        zh: '{n} 金币',
+        es: '{n} de oro',
+        pt: '{n} de ouro',
+        ko: '골드 {n}',
+        ja: '{n} ゴールド',
+        fr: '{n} or',
+        de: '{n} Gold',
+        ru: '{n} золота',
+        ar: '{n} ذهب',
+    },
+    'guest.mergeItems': {
+        en: '{n} backpack stacks',
+        zh: '{n} 组背包物品',
+        es: '{n} espacios de mochila',
+        pt: '{n} espaços da mochila',
+        ko: '가방 칸 {n}개',
+        ja: 'バックパック {n} 枠',
+        fr: '{n} emplacements de sac',
+        de: '{n} Rucksackplätze',
+        ru: '{n} ячеек рюкзака',
+        ar: '{n} خانات في الحقيبة',
+    },
+    'guest.mergePuffles': {
+        en: '{n} puffles',
+        zh: '{n} 只帕夫',
+        es: '{n} puffles',
+        pt: '{n} puffles',
+        ko: '퍼플 {n}마리',
+        ja: 'パフル {n} 匹',
+        fr: '{n} puffles',
+        de: '{n} Puffles',
+        ru: '{n} пафлов',
+        ar: '{n} بافل',
+    },
+    'guest.mergeQuestSteps': {
+        en: '{n} quest steps done',
+        zh: '已完成 {n} 个任务步骤',
+        es: '{n} pasos de misión completados',
+        pt: '{n} etapas de missão concluídas',
+        ko: '퀘스트 {n}단계 완료',
+        ja: 'クエスト {n} ステップ完了',
+        fr: '{n} étapes de quête terminées',
+        de: '{n} Quest-Schritte erledigt',
+        ru: 'Выполнено шагов задания: {n}',
+        ar: '{n} خطوات مهمة مكتملة',
+    },
+    'guest.mergeAccept': {
+        en: 'Bring it over',
+        zh: '转入',
+        es: 'Traerlo',
+        pt: 'Trazer',
+        ko: '가져오기',
+        ja: '引き継ぐ',
+        fr: 'Transférer',
+        de: 'Übernehmen',
+        ru: 'Перенести',
+        ar: 'انقله',
+    },
+    'guest.mergeDecline': {
+        en: 'Start fresh',
+        zh: '重新开始',
+        es: 'Empezar de cero',
+        pt: 'Começar do zero',
+        ko: '새로 시작',
+        ja: '最初から始める',
+        fr: 'Repartir de zéro',
+        de: 'Neu anfangen',
+        ru: 'Начать заново',
+        ar: 'ابدأ من جديد',
+    },
+    'guest.mergeWorking': {
+        en: 'Moving…',
+        zh: '转移中…',
+        es: 'Moviendo…',
+        pt: 'Movendo…',
+        ko: '옮기는 중…',
+        ja: '移動中…',
+        fr: 'Transfert…',
+        de: 'Wird übertragen…',
+        ru: 'Перенос…',
+        ar: 'جارٍ النقل…',
+    },
+    'guest.mergeDone': {
+        en: 'Done — your guest progress is now on this wallet.',
+        zh: '完成——您的访客进度已转入此钱包。',
+        es: 'Listo: tu progreso de invitado ahora está en esta billetera.',
+        pt: 'Pronto — seu progresso de convidado agora está nesta carteira.',
+        ko: '완료 — 게스트 진행 상황이 이 지갑으로 옮겨졌습니다.',
+        ja: '完了 — ゲストの進行状況はこのウォレットに移りました。',
+        fr: 'Terminé — votre progression invité est maintenant sur ce portefeuille.',
+        de: 'Fertig — dein Gast-Fortschritt liegt jetzt auf dieser Wallet.',
+        ru: 'Готово — прогресс гостя теперь на этом кошельке.',
+        ar: 'تم — أصبح تقدمك كضيف على هذه المحفظة.',
+    },
+    'guest.mergeAccountHasProgress': {
+        en: 'This wallet already has progress, so your guest progress stays on the guest account.',
+        zh: '此钱包已有进度，因此访客进度将保留在访客账户中。',
+        es: 'Esta billetera ya tiene progreso, así que tu progreso de invitado se queda en la cuenta de invitado.',
+        pt: 'Esta carteira já tem progresso, então seu progresso de convidado fica na conta de convidado.',
+        ko: '이 지갑에는 이미 진행 상황이 있어 게스트 진행 상황은 게스트 계정에 남습니다.',
+        ja: 'このウォレットには既に進行状況があるため、ゲストの進行状況はゲストアカウントに残ります。',
+        fr: 'Ce portefeuille a déjà une progression ; votre progression invité reste sur le compte invité.',
+        de: 'Diese Wallet hat bereits Fortschritt, daher bleibt dein Gast-Fortschritt auf dem Gastkonto.',
+        ru: 'У этого кошелька уже есть прогресс, поэтому прогресс гостя остаётся на гостевом аккаунте.',
+        ar: 'هذه المحفظة لديها تقدم بالفعل، لذا يبقى تقدمك كضيف في حساب الضيف.',
+    },
+    'guest.mergeFailed': {
+        en: "Your guest progress couldn't be moved.",
+        zh: '无法转移您的访客进度。',
+        es: 'No se pudo mover tu progreso de invitado.',
+        pt: 'Não foi possível mover seu progresso de convidado.',
+        ko: '게스트 진행 상황을 옮기지 못했습니다.',
+        ja: 'ゲストの進行状況を移せませんでした。',
+        fr: "Votre progression invité n'a pas pu être transférée.",
+        de: 'Dein Gast-Fortschritt konnte nicht übertragen werden.',
+        ru: 'Не удалось перенести прогресс гостя.',
+        ar: 'تعذر نقل تقدمك كضيف.',
+    },
+    'guest.mergeClose': {
+        en: 'OK',
+        zh: '好的',
+        es: 'OK',
+        pt: 'OK',
+        ko: '확인',
+        ja: 'OK',
+        fr: 'OK',
+        de: 'OK',
+        ru: 'ОК',
+        ar: 'حسنًا',
+    },
     'wallet.connected': {
         en: 'Connected',
         zh: '已连接',
@@ -396,8 +600,38 @@ export default {
     'chat.tab.casino': { en: 'Casino', zh: '赌场', es: 'Casino', pt: 'Cassino', ko: '카지노', ja: 'カジノ', fr: 'Casino', de: 'Casino', ru: 'Казино', ar: 'كازينو' },
     'chat.tab.announcement': { en: 'News', zh: '公告', es: 'Anuncios', pt: 'Anúncios', ko: '공지', ja: 'お知らせ', fr: 'Annonces', de: 'News', ru: 'Новости', ar: 'إعلانات' },
     'chat.tab.market': { en: 'Market', zh: '市场', es: 'Mercado', pt: 'Mercado', ko: '마켓', ja: 'マーケット', fr: 'Marché', de: 'Markt', ru: 'Рынок', ar: 'السوق' },
-    'chat.tab.comingSoon': {
-        en: 'Guild chat coming soon', zh: '公会聊天即将推出', es: 'Chat de gremio próximamente', pt: 'Chat de guilda em breve', ko: '길드 채팅 곧 출시', ja: 'ギルドチャットは近日公開', fr: 'Chat de guilde bientôt', de: 'Gilden-Chat kommt bald', ru: 'Чат гильдии скоро', ar: 'دردشة النقابة قريباً',
+    'chat.guild.noGuild': {
+        en: 'Join or create a guild to use guild chat', zh: '加入或创建公会以使用公会聊天', es: 'Únete o crea un gremio para usar el chat de gremio', pt: 'Entre ou crie uma guilda para usar o chat da guilda', ko: '길드 채팅을 사용하려면 길드에 가입하거나 만드세요', ja: 'ギルドチャットを使うにはギルドに参加または作成してください', fr: 'Rejoignez ou créez une guilde pour utiliser le chat de guilde', de: 'Tritt einer Gilde bei oder gründe eine, um den Gilden-Chat zu nutzen', ru: 'Вступите в гильдию или создайте её, чтобы пользоваться чатом гильдии', ar: 'انضم إلى نقابة أو أنشئ واحدة لاستخدام دردشة النقابة',
+    },
+    'chat.filter.link': {
+        en: '🚫 Links are not allowed in chat — your message was not sent.', zh: '🚫 聊天中不允许发送链接，消息未发送。', es: '🚫 No se permiten enlaces en el chat: tu mensaje no se envió.', pt: '🚫 Links não são permitidos no chat — sua mensagem não foi enviada.', ko: '🚫 채팅에 링크를 보낼 수 없습니다. 메시지가 전송되지 않았습니다.', ja: '🚫 チャットにリンクは送信できません。メッセージは送信されませんでした。', fr: '🚫 Les liens sont interdits dans le chat — message non envoyé.', de: '🚫 Links sind im Chat nicht erlaubt – deine Nachricht wurde nicht gesendet.', ru: '🚫 Ссылки в чате запрещены — сообщение не отправлено.', ar: '🚫 الروابط غير مسموح بها في الدردشة — لم يتم إرسال رسالتك.',
+    },
+    'chat.filter.wallet_address': {
+        en: '🚫 Wallet addresses cannot be posted in chat — your message was not sent.', zh: '🚫 聊天中不能发布钱包地址，消息未发送。', es: '🚫 No se pueden publicar direcciones de billetera en el chat: tu mensaje no se envió.', pt: '🚫 Endereços de carteira não podem ser enviados no chat — sua mensagem não foi enviada.', ko: '🚫 채팅에 지갑 주소를 올릴 수 없습니다. 메시지가 전송되지 않았습니다.', ja: '🚫 チャットにウォレットアドレスは投稿できません。メッセージは送信されませんでした。', fr: '🚫 Les adresses de portefeuille sont interdites dans le chat — message non envoyé.', de: '🚫 Wallet-Adressen dürfen nicht im Chat gepostet werden – deine Nachricht wurde nicht gesendet.', ru: '🚫 Адреса кошельков нельзя публиковать в чате — сообщение не отправлено.', ar: '🚫 لا يمكن نشر عناوين المحافظ في الدردشة — لم يتم إرسال رسالتك.',
+    },
+    'chat.filter.phishing': {
+        en: '🚫 Messages about seed phrases or private keys are blocked. Never share them — staff will never ask.', zh: '🚫 涉及助记词或私钥的消息已被拦截。切勿分享，工作人员绝不会索要。', es: '🚫 Los mensajes sobre frases semilla o claves privadas están bloqueados. Nunca las compartas: el equipo nunca te las pedirá.', pt: '🚫 Mensagens sobre frases-semente ou chaves privadas são bloqueadas. Nunca as compartilhe — a equipe nunca vai pedir.', ko: '🚫 시드 문구나 개인 키에 관한 메시지는 차단됩니다. 절대 공유하지 마세요 — 운영진은 절대 요청하지 않습니다.', ja: '🚫 シードフレーズや秘密鍵に関するメッセージはブロックされます。絶対に共有しないでください。スタッフが尋ねることはありません。', fr: '🚫 Les messages parlant de phrase de récupération ou de clé privée sont bloqués. Ne les partagez jamais — l’équipe ne les demandera jamais.', de: '🚫 Nachrichten über Seed-Phrasen oder private Schlüssel werden blockiert. Teile sie nie – das Team fragt nie danach.', ru: '🚫 Сообщения о сид-фразах и приватных ключах блокируются. Никогда не делитесь ими — модераторы их не спрашивают.', ar: '🚫 الرسائل المتعلقة بعبارات الاسترداد أو المفاتيح الخاصة محظورة. لا تشاركها أبدًا — لن يطلبها الفريق أبدًا.',
+    },
+    'chat.filter.repeat': {
+        en: '🚫 You already sent that — please do not repeat messages.', zh: '🚫 你已经发送过这条消息，请勿重复发送。', es: '🚫 Ya enviaste eso: no repitas mensajes.', pt: '🚫 Você já enviou isso — não repita mensagens.', ko: '🚫 이미 보낸 메시지입니다. 같은 메시지를 반복하지 마세요.', ja: '🚫 同じメッセージを既に送信しています。繰り返し送信しないでください。', fr: '🚫 Vous avez déjà envoyé ce message — évitez les répétitions.', de: '🚫 Das hast du schon gesendet – bitte wiederhole keine Nachrichten.', ru: '🚫 Вы уже отправили это — не повторяйте сообщения.', ar: '🚫 لقد أرسلت ذلك بالفعل — يرجى عدم تكرار الرسائل.',
+    },
+    'chat.filter.profanity': {
+        en: '🚫 Please keep chat friendly.', zh: '🚫 请保持聊天友善。', es: '🚫 Mantén el chat amistoso.', pt: '🚫 Mantenha o chat amigável.', ko: '🚫 채팅 예절을 지켜 주세요.', ja: '🚫 チャットではマナーを守りましょう。', fr: '🚫 Restez courtois dans le chat.', de: '🚫 Bitte bleib im Chat freundlich.', ru: '🚫 Пожалуйста, общайтесь вежливо.', ar: '🚫 يرجى الحفاظ على دردشة ودية.',
+    },
+    'chat.filter.blocked': {
+        en: '🚫 Your message was blocked by the chat filter.', zh: '🚫 你的消息被聊天过滤器拦截。', es: '🚫 El filtro de chat bloqueó tu mensaje.', pt: '🚫 Sua mensagem foi bloqueada pelo filtro de chat.', ko: '🚫 채팅 필터에 의해 메시지가 차단되었습니다.', ja: '🚫 メッセージはチャットフィルターによりブロックされました。', fr: '🚫 Votre message a été bloqué par le filtre du chat.', de: '🚫 Deine Nachricht wurde vom Chatfilter blockiert.', ru: '🚫 Сообщение заблокировано фильтром чата.', ar: '🚫 تم حظر رسالتك بواسطة مرشح الدردشة.',
+    },
+    'chat.filter.autoMuted': {
+        en: 'Too many filtered messages — you are muted until {time}.', zh: '被过滤的消息过多，你已被禁言至 {time}。', es: 'Demasiados mensajes filtrados: estás silenciado hasta {time}.', pt: 'Muitas mensagens filtradas — você está silenciado até {time}.', ko: '필터된 메시지가 너무 많아 {time}까지 채팅이 금지됩니다.', ja: 'フィルターされたメッセージが多すぎます。{time} までミュートされます。', fr: 'Trop de messages filtrés — vous êtes réduit au silence jusqu’au {time}.', de: 'Zu viele gefilterte Nachrichten – du bist bis {time} stummgeschaltet.', ru: 'Слишком много отфильтрованных сообщений — чат заблокирован до {time}.', ar: 'رسائل مفلترة كثيرة جدًا — تم كتمك حتى {time}.',
+    },
+    'chat.muted': {
+        en: '🔇 Your chat is muted until {time}.', zh: '🔇 你已被禁言至 {time}。', es: '🔇 Tu chat está silenciado hasta {time}.', pt: '🔇 Seu chat está silenciado até {time}.', ko: '🔇 {time}까지 채팅이 금지되었습니다.', ja: '🔇 {time} までチャットがミュートされています。', fr: '🔇 Votre chat est coupé jusqu’au {time}.', de: '🔇 Dein Chat ist bis {time} stummgeschaltet.', ru: '🔇 Ваш чат заблокирован до {time}.', ar: '🔇 دردشتك مكتومة حتى {time}.',
+    },
+    'chat.mutedReason': {
+        en: 'Reason: {reason}', zh: '原因：{reason}', es: 'Motivo: {reason}', pt: 'Motivo: {reason}', ko: '사유: {reason}', ja: '理由: {reason}', fr: 'Raison : {reason}', de: 'Grund: {reason}', ru: 'Причина: {reason}', ar: 'السبب: {reason}',
+    },
+    'stamps.earned': {
+        en: 'Stamp earned: {name}!', zh: '获得邮票：{name}！', es: '¡Sello conseguido: {name}!', pt: 'Selo conquistado: {name}!', ko: '스탬프 획득: {name}!', ja: 'スタンプ獲得：{name}！', fr: 'Timbre obtenu : {name} !', de: 'Stempel erhalten: {name}!', ru: 'Получена марка: {name}!', ar: 'حصلت على طابع: {name}!',
     },
     'chat.commandSuggestions': {
         en: 'Command suggestions', zh: '命令建议', es: 'Sugerencias de comandos', pt: 'Sugestões de comandos', ko: '명령어 제안', ja: 'コマンド候補', fr: 'Suggestions de commandes', de: 'Befehlsvorschläge', ru: 'Подсказки команд', ar: 'اقتراحات الأوامر',
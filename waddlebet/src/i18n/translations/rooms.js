@@ -119,6 +119,18 @@ export default {
         ru: 'Ледяной паром',
         ar: 'عبّارة الجليد',
     },
+    'room.guildHall': {
+        en: 'Guild Hall',
+        zh: '公会大厅',
+        es: 'Salón del Gremio',
+        pt: 'Salão da Guilda',
+        ko: '길드 홀',
+        ja: 'ギルドホール',
+        fr: 'Hall de Guilde',
+        de: 'Gildenhalle',
+        ru: 'Зал гильдии',
+        ar: 'قاعة النقابة',
+    },
     'character.doginal': {
         en: 'Doginal Colors',
         zh: '狗狗颜色',
@@ -122,6 +122,30 @@ export default {
     'settings.nametagDefault': {
         en: 'DEFAULT', zh: '默认', es: 'DEFECTO', pt: 'PADRÃO', ko: '기본', ja: 'デフォルト', fr: 'DÉFAUT', de: 'STANDARD', ru: 'ПО УМОЛЧ.', ar: 'افتراضي',
     },
+    'settings.backupTitle': {
+        en: 'Settings Sync', zh: '设置同步', es: 'Sincronizar ajustes', pt: 'Sincronizar configurações', ko: '설정 동기화', ja: '設定の同期', fr: 'Synchro des paramètres', de: 'Einstellungen synchronisieren', ru: 'Синхронизация настроек', ar: 'مزامنة الإعدادات',
+    },
+    'settings.backupSynced': {
+        en: 'Saved to your account — follows you to every device', zh: '已保存到账户，所有设备通用', es: 'Guardado en tu cuenta, en todos tus dispositivos', pt: 'Salvo na sua conta, em todos os dispositivos', ko: '계정에 저장 — 모든 기기에 적용', ja: 'アカウントに保存、全端末で共通', fr: 'Enregistré sur votre compte, sur tous vos appareils', de: 'Im Konto gespeichert – auf allen Geräten', ru: 'Сохранено в аккаунте — на всех устройствах', ar: 'محفوظة في حسابك لكل أجهزتك',
+    },
+    'settings.backupGuest': {
+        en: 'Copy your settings to move them to another browser', zh: '复制设置以在其他浏览器使用', es: 'Copia tus ajustes para otro navegador', pt: 'Copie suas configurações para outro navegador', ko: '설정을 복사해 다른 브라우저로 옮기기', ja: '設定をコピーして別のブラウザへ', fr: 'Copiez vos paramètres vers un autre navigateur', de: 'Einstellungen kopieren und in anderem Browser nutzen', ru: 'Скопируйте настройки в другой браузер', ar: 'انسخ إعداداتك لمتصفح آخر',
+    },
+    'settings.backupExport': {
+        en: 'Export', zh: '导出', es: 'Exportar', pt: 'Exportar', ko: '내보내기', ja: 'エクスポート', fr: 'Exporter', de: 'Exportieren', ru: 'Экспорт', ar: 'تصدير',
+    },
+    'settings.backupImport': {
+        en: 'Import', zh: '导入', es: 'Importar', pt: 'Importar', ko: '가져오기', ja: 'インポート', fr: 'Importer', de: 'Importieren', ru: 'Импорт', ar: 'استيراد',
+    },
+    'settings.backupCopied': {
+        en: 'Settings copied to clipboard', zh: '设置已复制到剪贴板', es: 'Ajustes copiados', pt: 'Configurações copiadas', ko: '설정이 복사되었습니다', ja: '設定をコピーしました', fr: 'Paramètres copiés', de: 'Einstellungen kopiert', ru: 'Настройки скопированы', ar: 'تم نسخ الإعدادات',
+    },
+    'settings.backupPaste': {
+        en: 'Paste exported settings', zh: '粘贴导出的设置', es: 'Pega los ajustes exportados', pt: 'Cole as configurações exportadas', ko: '내보낸 설정 붙여넣기', ja: 'エクスポートした設定を貼り付け', fr: 'Collez les paramètres exportés', de: 'Exportierte Einstellungen einfügen', ru: 'Вставьте экспортированные настройки', ar: 'الصق الإعدادات المصدرة',
+    },
+    'settings.backupInvalid': {
+        en: 'Not an exported settings file', zh: '这不是导出的设置', es: 'No son ajustes exportados', pt: 'Não são configurações exportadas', ko: '내보낸 설정이 아닙니다', ja: 'エクスポートした設定ではありません', fr: 'Ce ne sont pas des paramètres exportés', de: 'Keine exportierten Einstellungen', ru: 'Это не экспорт настроек', ar: 'ليست إعدادات مصدرة',
+    },
     'settings.quickControls': {
         en: 'Quick Controls', zh: '快捷操作', es: 'Controles rápidos', pt: 'Controles rápidos', ko: '빠른 조작', ja: 'クイック操作', fr: 'Contrôles rapides', de: 'Schnellsteuerung', ru: 'Быстрые клавиши', ar: 'عناصر سريعة',
     },
@@ -141,7 +165,7 @@ export default {
         en: 'Emotes', zh: '表情', es: 'Emotes', pt: 'Emotes', ko: '이모트', ja: 'エモート', fr: 'Émotes', de: 'Emotes', ru: 'Эмоции', ar: 'تعبيرات',
     },
     'settings.ctrlEmotesHold': {
-        en: 'Hold T', zh: '长按 T', es: 'Mantén T', pt: 'Segure T', ko: 'T 길게', ja: 'T長押し', fr: 'Maintenir T', de: 'T halten', ru: 'Удержать T', ar: 'اضغط T',
+        en: 'Hold {key}', zh: '长按 {key}', es: 'Mantén {key}', pt: 'Segure {key}', ko: '{key} 길게', ja: '{key}長押し', fr: 'Maintenir {key}', de: '{key} halten', ru: 'Удержать {key}', ar: 'اضغط {key}',
     },
     'settings.ctrlWhisper': {
         en: 'Whisper', zh: '私聊', es: 'Susurro', pt: 'Sussurro', ko: '귓속말', ja: 'ささやき', fr: 'Chuchoter', de: 'Flüstern', ru: 'Шёпот', ar: 'همس',
@@ -161,6 +185,33 @@ export default {
     'settings.ctrlMount': {
         en: 'Mount toggle', zh: '坐骑开关', es: 'Montura', pt: 'Montaria', ko: '탈것', ja: 'マウント', fr: 'Monture', de: 'Reittier', ru: 'Маунт', ar: 'الركوب',
     },
+    'settings.ctrlMoveForward': {
+        en: 'Move forward', zh: '前进', es: 'Avanzar', pt: 'Avançar', ko: '앞으로', ja: '前進', fr: 'Avancer', de: 'Vorwärts', ru: 'Вперёд', ar: 'تقدم',
+    },
+    'settings.ctrlMoveBack': {
+        en: 'Move back', zh: '后退', es: 'Retroceder', pt: 'Recuar', ko: '뒤로', ja: '後退', fr: 'Reculer', de: 'Rückwärts', ru: 'Назад', ar: 'تراجع',
+    },
+    'settings.ctrlMoveLeft': {
+        en: 'Move left', zh: '向左', es: 'Izquierda', pt: 'Esquerda', ko: '왼쪽', ja: '左', fr: 'Gauche', de: 'Links', ru: 'Влево', ar: 'يسار',
+    },
+    'settings.ctrlMoveRight': {
+        en: 'Move right', zh: '向右', es: 'Derecha', pt: 'Direita', ko: '오른쪽', ja: '右', fr: 'Droite', de: 'Rechts', ru: 'Вправо', ar: 'يمين',
+    },
+    'settings.ctrlInteract': {
+        en: 'Interact', zh: '互动', es: 'Interactuar', pt: 'Interagir', ko: '상호작용', ja: 'インタラクト', fr: 'Interagir', de: 'Interagieren', ru: 'Действие', ar: 'تفاعل',
+    },
+    'settings.ctrlRebindHint': {
+        en: 'Click a key to rebind it', zh: '点击按键以重新绑定', es: 'Haz clic en una tecla para cambiarla', pt: 'Clique numa tecla para alterá-la', ko: '키를 클릭해 변경', ja: 'キーをクリックして変更', fr: 'Cliquez sur une touche pour la modifier', de: 'Taste anklicken zum Ändern', ru: 'Нажмите на клавишу, чтобы изменить', ar: 'انقر على مفتاح لتغييره',
+    },
+    'settings.ctrlResetDefaults': {
+        en: 'Reset defaults', zh: '恢复默认', es: 'Restablecer', pt: 'Restaurar padrão', ko: '기본값 복원', ja: 'デフォルトに戻す', fr: 'Par défaut', de: 'Zurücksetzen', ru: 'Сбросить', ar: 'استعادة الافتراضي',
+    },
+    'settings.ctrlGamepad': {
+        en: 'Gamepad', zh: '手柄', es: 'Mando', pt: 'Controle', ko: '게임패드', ja: 'ゲームパッド', fr: 'Manette', de: 'Gamepad', ru: 'Геймпад', ar: 'يد التحكم',
+    },
+    'settings.ctrlGamepadHotbar': {
+        en: 'Hotbar slot', zh: '快捷栏', es: 'Barra rápida', pt: 'Barra rápida', ko: '핫바 슬롯', ja: 'ホットバー', fr: 'Barre rapide', de: 'Schnellleiste', ru: 'Панель быстрого доступа', ar: 'الشريط السريع',
+    },
     'settings.snowballTitle': {
         en: 'Snowball Throw', zh: '扔雪球', es: 'Lanzar bola de nieve', pt: 'Lançar bola de neve', ko: '눈덩이 던지기', ja: '雪玉を投げる', fr: 'Lancer boule de neige', de: 'Schneeball werfen', ru: 'Бросок снежка', ar: 'رمي كرة الثلج',
     },
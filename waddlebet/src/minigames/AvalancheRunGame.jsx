@@ -12,6 +12,7 @@
  */
 
 import React, { useEffect, useRef, useState, useCallback } from 'react';
+import { useMultiplayer } from '../multiplayer';
 
 // Game constants
 const GAME_WIDTH = 400;
@@ -43,6 +44,7 @@ const POWERUPS = {
 };
 
 const AvalancheRunGame = ({ onClose }) => {
+    const { startArcadeSession, sendArcadeCheckpoint, submitArcadeScore } = useMultiplayer();
     const canvasRef = useRef(null);
     const animationRef = useRef(null);
     const lastTimeRef = useRef(0);
@@ -111,6 +113,15 @@ const AvalancheRunGame = ({ onClose }) => {
         gameStateRef.current = gameState;
     }, [gameState]);
     
+    // Scored runs: stream the score while playing, submit it on game over
+    useEffect(() => {
+        if (gameState === 'playing') sendArcadeCheckpoint('avalanche_run', displayScore);
+    }, [gameState, displayScore, sendArcadeCheckpoint]);
+    
+    useEffect(() => {
+        if (gameState === 'gameover') submitArcadeScore('avalanche_run', scoreRef.current);
+    }, [gameState, submitArcadeScore]);
+    
     // Initialize snow particles
     useEffect(() => {
         const particles = [];
@@ -151,8 +162,9 @@ const AvalancheRunGame = ({ onClose }) => {
         lastTimeRef.current = performance.now();
         setDisplayScore(0);
         setFishCollected(0);
+        startArcadeSession('avalanche_run');
         setGameState('playing');
-    }, []);
+    }, [startArcadeSession]);
     
     // Move to lane
     const moveToLane = useCallback((lane) => {
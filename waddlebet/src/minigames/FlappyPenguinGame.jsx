@@ -4,6 +4,7 @@
  */
 
 import React, { useEffect, useRef, useState, useCallback } from 'react';
+import { useMultiplayer } from '../multiplayer';
 
 // Game constants
 const GAME_WIDTH = 400;
@@ -16,6 +17,7 @@ const PIPE_SPEED = 3.5;
 const PIPE_SPAWN_RATE = 90;
 
 const FlappyPenguinGame = ({ onClose }) => {
+    const { startArcadeSession, sendArcadeCheckpoint, submitArcadeScore } = useMultiplayer();
     const canvasRef = useRef(null);
     const animationRef = useRef(null);
     const [gameState, setGameState] = useState('ready');
@@ -37,6 +39,15 @@ const FlappyPenguinGame = ({ onClose }) => {
         gameStateRef.current = gameState;
     }, [gameState]);
     
+    // Scored runs: stream the score while playing, submit it on game over
+    useEffect(() => {
+        if (gameState === 'playing') sendArcadeCheckpoint('flappy_penguin', score);
+    }, [gameState, score, sendArcadeCheckpoint]);
+    
+    useEffect(() => {
+        if (gameState === 'gameover') submitArcadeScore('flappy_penguin', scoreRef.current);
+    }, [gameState, submitArcadeScore]);
+    
     // Spawn particles for effects
     const spawnParticles = useCallback((x, y, color, count = 5) => {
         for (let i = 0; i < count; i++) {
@@ -464,6 +475,7 @@ const FlappyPenguinGame = ({ onClose }) => {
     const handleFlap = useCallback(() => {
         if (gameStateRef.current === 'ready') {
             resetGame();
+            startArcadeSession('flappy_penguin');
             setGameState('playing');
         } else if (gameStateRef.current === 'playing') {
             penguinRef.current.velocity = FLAP_STRENGTH;
@@ -471,7 +483,7 @@ const FlappyPenguinGame = ({ onClose }) => {
             resetGame();
             setGameState('ready');
         }
-    }, [resetGame]);
+    }, [resetGame, startArcadeSession]);
     
     useEffect(() => {
         const handleKeyDown = (e) => {
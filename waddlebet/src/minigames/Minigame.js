@@ -63,7 +63,8 @@ class Minigame {
             GameManager.getInstance().incrementStat('gamesWon');
         }
 
-        if (this.serverSend && GameManager.getInstance().isAuthenticatedMode()) {
+        // Guests too — the server only counts it for wallet or guest accounts
+        if (this.serverSend) {
             this.serverSend({
                 type: 'minigame_complete',
                 gameId: this.id,
@@ -1,19 +1,21 @@
 /**
  * SnakeGame - High quality Snake game with penguin/arctic theme
  * Polished canvas-based arcade game with detailed visuals
+ * Signed-in runs use a server seed for food and submit their input log for replay verification.
  */
 
 import React, { useEffect, useRef, useState, useCallback } from 'react';
+import { useMultiplayer } from '../multiplayer';
+import { SNAKE_RULES, spawnSnakeFood, getSnakeDirectionCode } from '../config/arcadeScores';
+import { createSeededRandom } from '../utils/seededRandom';
 
 // Game constants
 const GAME_SIZE = 440;
-const GRID_SIZE = 22;
+const { GRID_SIZE, INITIAL_SPEED, SPEED_INCREASE, MIN_SPEED, FOOD_POINTS } = SNAKE_RULES;
 const CELL_SIZE = GAME_SIZE / GRID_SIZE;
-const INITIAL_SPEED = 140;
-const SPEED_INCREASE = 4;
-const MIN_SPEED = 55;
 
 const SnakeGame = ({ onClose }) => {
+    const { arcadeSession, startArcadeSession, submitArcadeScore } = useMultiplayer();
     const canvasRef = useRef(null);
     const animationRef = useRef(null);
     const lastMoveRef = useRef(0);
@@ -35,22 +37,36 @@ const SnakeGame = ({ onClose }) => {
     const frameRef = useRef(0);
     const particlesRef = useRef([]);
     const trailRef = useRef([]);
+    // Current run: session it belongs to, food RNG and the direction changes per move
+    const runRef = useRef({ sessionId: null, random: Math.random, inputs: [], move: 0 });
+    const arcadeSessionRef = useRef(arcadeSession);
     
     useEffect(() => {
         gameStateRef.current = gameState;
     }, [gameState]);
     
-    // Spawn food at random position
+    useEffect(() => {
+        arcadeSessionRef.current = arcadeSession;
+    }, [arcadeSession]);
+    
+    // Fetch a seed up front so the first run can start instantly
+    useEffect(() => {
+        startArcadeSession('snake');
+    }, [startArcadeSession]);
+    
+    // Submit finished runs, then fetch the seed for the next one
+    useEffect(() => {
+        if (gameState !== 'gameover') return;
+        const run = runRef.current;
+        if (run.sessionId && arcadeSessionRef.current?.sessionId === run.sessionId) {
+            submitArcadeScore('snake', scoreRef.current, { inputs: run.inputs });
+        }
+        startArcadeSession('snake');
+    }, [gameState, startArcadeSession, submitArcadeScore]);
+    
+    // Spawn food on a free cell (seeded for scored runs)
     const spawnFood = useCallback(() => {
-        const snake = snakeRef.current;
-        let newFood;
-        do {
-            newFood = {
-                x: Math.floor(Math.random() * GRID_SIZE),
-                y: Math.floor(Math.random() * GRID_SIZE)
-            };
-        } while (snake.some(seg => seg.x === newFood.x && seg.y === newFood.y));
-        foodRef.current = newFood;
+        foodRef.current = spawnSnakeFood(runRef.current.random, snakeRef.current);
     }, []);
     
     // Spawn particles
@@ -142,6 +158,12 @@ const SnakeGame = ({ onClose }) => {
             if (timestamp - lastMoveRef.current >= speedRef.current) {
                 lastMoveRef.current = timestamp;
                 
+                const run = runRef.current;
+                const nextCode = getSnakeDirectionCode(nextDirectionRef.current);
+                if (nextCode !== getSnakeDirectionCode(directionRef.current)) {
+                    run.inputs.push([run.move, nextCode]);
+                }
+                run.move++;
                 directionRef.current = nextDirectionRef.current;
                 
                 const snake = snakeRef.current;
@@ -191,7 +213,7 @@ const SnakeGame = ({ onClose }) => {
                 // Food collision
                 const food = foodRef.current;
                 if (newHead.x === food.x && newHead.y === food.y) {
-                    scoreRef.current += 10;
+                    scoreRef.current += FOOD_POINTS;
                     setScore(scoreRef.current);
                     speedRef.current = Math.max(MIN_SPEED, speedRef.current - SPEED_INCREASE);
                     spawnParticles(food.x, food.y, '#FFD700', 12);
@@ -537,7 +559,14 @@ const SnakeGame = ({ onClose }) => {
     
     // Reset game
     const resetGame = useCallback(() => {
-        snakeRef.current = [{ x: 11, y: 11 }];
+        const session = arcadeSessionRef.current?.gameId === 'snake' ? arcadeSessionRef.current : null;
+        runRef.current = {
+            sessionId: session?.sessionId || null,
+            random: session ? createSeededRandom(session.seed) : Math.random,
+            inputs: [],
+            move: 0
+        };
+        snakeRef.current = [{ ...SNAKE_RULES.START }];
         directionRef.current = { x: 1, y: 0 };
         nextDirectionRef.current = { x: 1, y: 0 };
         speedRef.current = INITIAL_SPEED;
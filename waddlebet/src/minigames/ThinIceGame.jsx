@@ -11,6 +11,7 @@
  */
 
 import React, { useEffect, useRef, useState, useCallback } from 'react';
+import { useMultiplayer } from '../multiplayer';
 
 // Game constants
 const TILE_SIZE = 44;
@@ -261,8 +262,11 @@ const LEVELS = [
 ];
 
 const ThinIceGame = ({ onClose }) => {
+    const { startArcadeSession, sendArcadeCheckpoint, submitArcadeScore } = useMultiplayer();
     const canvasRef = useRef(null);
     const animationRef = useRef(null);
+    const scoreRef = useRef(0);
+    const submitScoreRef = useRef(submitArcadeScore);
     
     // Game state
     const [currentLevel, setCurrentLevel] = useState(0);
@@ -290,6 +294,24 @@ const ThinIceGame = ({ onClose }) => {
         return () => window.removeEventListener('resize', checkMobile);
     }, []);
     
+    useEffect(() => {
+        scoreRef.current = score;
+        submitScoreRef.current = submitArcadeScore;
+        if (gameState === 'playing' || gameState === 'won') sendArcadeCheckpoint('thin_ice', score);
+    }, [score, gameState, submitArcadeScore, sendArcadeCheckpoint]);
+    
+    // A scored run lasts from opening the game (or PLAY AGAIN) until every level is cleared or the game closes
+    useEffect(() => {
+        startArcadeSession('thin_ice');
+        return () => {
+            if (scoreRef.current > 0) submitScoreRef.current('thin_ice', scoreRef.current);
+        };
+    }, [startArcadeSession]);
+    
+    useEffect(() => {
+        if (gameState === 'complete') submitArcadeScore('thin_ice', scoreRef.current);
+    }, [gameState, submitArcadeScore]);
+    
     // Initialize level
     const initLevel = useCallback((levelIndex) => {
         const level = LEVELS[levelIndex];
@@ -851,6 +873,7 @@ const ThinIceGame = ({ onClose }) => {
                         <button
                             onClick={() => {
                                 setScore(0);
+                                startArcadeSession('thin_ice');
                                 setCurrentLevel(0);
                                 initLevel(0);
                             }}
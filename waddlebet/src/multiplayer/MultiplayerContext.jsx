@@ -14,9 +14,16 @@ import {
     readStoredSession,
     buildAuthRestoreMessage,
     clearStoredSession,
-    persistSessionCredentials
+    persistSessionCredentials,
+    buildGuestSessionMessage,
+    GUEST_SESSION_STORAGE_KEY
 } from './sessionRestore.js';
 import { clampGoldSlotBet } from '../config/goldEconomy.js';
+import { getStamp } from '../config/stamps.js';
+import { ARCADE_SCORE_GAMES, ARCADE_SCORE_LIMITS } from '../config/arcadeScores.js';
+import { getWeatherState } from '../config/weather.js';
+import { applyPositionBatch } from '../systems/MultiplayerSync.js';
+import { useLanguage } from '../i18n';
 
 const MultiplayerContext = createContext(null);
 
@@ -48,6 +55,10 @@ export function MultiplayerProvider({ children }) {
     const reconnectTimeoutRef = useRef(null);
     const pingIntervalRef = useRef(null);
     const walletRef = useRef(PhantomWallet.getInstance());
+    // Server notices (chat filter, mutes) are translated when they arrive
+    const { t } = useLanguage();
+    const tRef = useRef(t);
+    tRef.current = t;
     
     // Connection state
     const [connected, setConnected] = useState(false);
@@ -66,6 +77,13 @@ export function MultiplayerProvider({ children }) {
     const [walletAddress, setWalletAddress] = useState(() => localStorage.getItem('wallet_address'));
     const [authToken, setAuthToken] = useState(() => localStorage.getItem('auth_token'));
     const [userData, setUserData] = useState(null);
+    // Account settings document after the last sync (settings_synced) — applied by useSettingsSync
+    const [syncedSettings, setSyncedSettings] = useState(null);
+    // Guest account (guest_session) — progress is saved server-side until a wallet connects
+    const [guestSession, setGuestSession] = useState(null);
+    // guest_merge_offer after a wallet connect: { available, reason, summary, pending, result }
+    const [guestMergeOffer, setGuestMergeOffer] = useState(null);
+    const canSaveProgress = isAuthenticated || !!guestSession;
     const [isNewUser, setIsNewUser] = useState(false);
     const [authError, setAuthError] = useState(null);
     const [isAuthenticating, setIsAuthenticating] = useState(false);
@@ -77,6 +95,8 @@ export function MultiplayerProvider({ children }) {
     
     // ==================== PLAYER STATE ====================
     const [playerList, setPlayerList] = useState([]);
+    // Players within interest range (server pos_batch) — the ones that get meshes
+    const [inRangePlayerList, setInRangePlayerList] = useState([]);
     const playersDataRef = useRef(new Map());
     const getPlayersData = useCallback(() => playersDataRef.current, []);
     const [playerCount, setPlayerCount] = useState(0);
@@ -214,6 +234,8 @@ export function MultiplayerProvider({ children }) {
     
     // World time
     const worldTimeRef = useRef(0.35);
+    // Current room's weather ({ room, state, since, until } or null indoors) — read by the render loop
+    const weatherRef = useRef(null);
     
     // Promo code state
     const [promoLoading, setPromoLoading] = useState(false);
@@ -244,6 +266,28 @@ export function MultiplayerProvider({ children }) {
     const [wormForageCooldowns, setWormForageCooldowns] = useState({});
     const [backpackError, setBackpackError] = useState(null);
     const [onboardingQuest, setOnboardingQuest] = useState(null);
+    const [guild, setGuild] = useState(null);
+    const [guildRole, setGuildRole] = useState(null);
+    const [guildInvites, setGuildInvites] = useState([]);
+    const guildIdRef = useRef(null);
+    const [friends, setFriends] = useState([]);
+    const friendsRef = useRef([]);
+    const [friendRequests, setFriendRequests] = useState({ incoming: [], outgoing: [] });
+    const [blockedPlayers, setBlockedPlayers] = useState([]);
+    const [stamps, setStamps] = useState([]);
+    const [stampProgress, setStampProgress] = useState({});
+    const [stampToast, setStampToast] = useState(null);
+    const [puffleRace, setPuffleRace] = useState(null);
+    const [snowballFight, setSnowballFight] = useState(null);
+    const [arcadeSession, setArcadeSession] = useState(null);
+    const [tournaments, setTournaments] = useState([]);
+    const [worldEvents, setWorldEvents] = useState([]);
+    const [craftingStatus, setCraftingStatus] = useState(null);
+    const [trade, setTrade] = useState(null);
+    const [incomingTrade, setIncomingTrade] = useState(null);
+    const [tradeError, setTradeError] = useState(null);
+    const arcadeSessionRef = useRef(null);
+    const arcadeCheckpointAtRef = useRef(0);
     const [dailyQuestStatus, setDailyQuestStatus] = useState(null);
     const [dailyBonusStatus, setDailyBonusStatus] = useState(null);
     const [forestTrees, setForestTrees] = useState([]);
@@ -265,6 +309,7 @@ export function MultiplayerProvider({ children }) {
     const manualChopSessionIdRef = useRef(null);
     const backpackUpgradeCallbackRef = useRef(null);
     const rodUpgradeCallbackRef = useRef(null);
+    const gearRepairCallbackRef = useRef(null);
     const hotbarSetCallbackRef = useRef(null);
     const mushroomHarvestCallbackRef = useRef(null);
     const wormForageCallbackRef = useRef(null);
@@ -272,6 +317,7 @@ export function MultiplayerProvider({ children }) {
     const worldPickupCallbackRef = useRef(null);
     const scavengeCallbackRef = useRef(null);
     const npcQuestCallbackRef = useRef(null);
+    const craftingCallbackRef = useRef(null);
     const dailyBonusClaimCallbackRef = useRef(null);
     const callbacksRef = useRef({
         onPlayerJoined: null,
@@ -364,6 +410,12 @@ export function MultiplayerProvider({ children }) {
         return true;
     }, []);
 
+    /** Open (or resume) a guest account for a connection without a wallet session */
+    const requestGuestSession = useCallback((ws) => {
+        if (!ws || ws.readyState !== WebSocket.OPEN) return;
+        ws.send(JSON.stringify(buildGuestSessionMessage(localStorage)));
+    }, []);
+
     const sendKeepalivePing = useCallback((ws) => {
         if (ws?.readyState === WebSocket.OPEN) {
             try {
@@ -408,7 +460,9 @@ export function MultiplayerProvider({ children }) {
                 clearInterval(pingIntervalRef.current);
                 pingIntervalRef.current = setInterval(() => sendKeepalivePing(ws), 10000);
 
-                attemptSessionRestore(ws);
+                if (!attemptSessionRestore(ws) && !isAuthenticatingRef.current) {
+                    requestGuestSession(ws);
+                }
             };
             
             ws.onmessage = (event) => {
@@ -425,6 +479,7 @@ export function MultiplayerProvider({ children }) {
                 setConnected(false);
                 setPlayerId(null);
                 playerIdRef.current = null;
+                setGuestSession(null);
                 // Keep auth state — stored token will be restored on reconnect
                 clearInterval(pingIntervalRef.current);
                 pingIntervalRef.current = null;
@@ -448,7 +503,7 @@ export function MultiplayerProvider({ children }) {
             clearTimeout(reconnectTimeoutRef.current);
             reconnectTimeoutRef.current = setTimeout(connect, 5000);
         }
-    }, [attemptSessionRestore, sendKeepalivePing]);
+    }, [attemptSessionRestore, requestGuestSession, sendKeepalivePing]);
 
     const waitForOpenSocket = useCallback((timeoutMs = 8000) => {
         return new Promise((resolve) => {
@@ -491,6 +546,17 @@ export function MultiplayerProvider({ children }) {
         });
     }, []);
     
+    // Marketplace purchases land in the wardrobe before the next inventory sync
+    const addOwnedGachaCosmetic = useCallback((templateId) => {
+        setUserData(prev => {
+            if (!prev) return prev;
+            const existingGacha = prev.gachaOwnedCosmetics || [];
+            if (existingGacha.includes(templateId)) return prev;
+            console.log(`🏪 Added ${templateId} to gachaOwnedCosmetics after market purchase`);
+            return { ...prev, gachaOwnedCosmetics: [...existingGacha, templateId] };
+        });
+    }, []);
+    
     // ==================== MESSAGE HANDLER ====================
     const handleMessage = useCallback((message) => {
         // Dispatch to all subscribed handlers first
@@ -524,6 +590,7 @@ export function MultiplayerProvider({ children }) {
                     console.log(`🔗 Referral applied successfully!`);
                 }
                 setIsAuthenticated(true);
+                setGuestSession(null);
                 setWalletAddress(message.user.walletAddress);
                 setAuthToken(message.token);
                 setUserData({
@@ -531,6 +598,7 @@ export function MultiplayerProvider({ children }) {
                     cpBalance: message.cpBalance ?? 0,
                     cpNametagTier: message.cpNametagTier || 'standard',
                 });
+                setStamps((message.user.stamps || []).map((stamp) => ({ id: stamp.id, earnedAt: stamp.earnedAt })));
                 setIsNewUser(message.isNewUser);
                 setAuthError(null);
                 setIsAuthenticating(false);
@@ -582,11 +650,32 @@ export function MultiplayerProvider({ children }) {
                     clearStoredSession(localStorage);
                     setWalletAddress(null);
                     setAuthToken(null);
+                    requestGuestSession(wsRef.current);
                 }
                 
                 callbacksRef.current.onAuthFailure?.(message.error, message.message);
                 break;
 
+            case 'guest_session':
+                localStorage.setItem(GUEST_SESSION_STORAGE_KEY, message.token);
+                setGuestSession({ resumed: !!message.resumed });
+                if (wsRef.current?.readyState === WebSocket.OPEN) {
+                    wsRef.current.send(JSON.stringify({ type: 'puffle_list' }));
+                }
+                break;
+
+            case 'guest_merge_offer':
+                // Nothing worth offering — the guest never got past the starting state
+                setGuestMergeOffer(message.reason === 'NO_GUEST_PROGRESS' ? null : message);
+                break;
+
+            case 'guest_merge_result':
+                if (message.success) {
+                    localStorage.removeItem(GUEST_SESSION_STORAGE_KEY);
+                }
+                setGuestMergeOffer(prev => prev ? { ...prev, pending: false, result: message } : prev);
+                break;
+
             case 'session_replaced':
                 console.warn('🔐 Session replaced by a newer connection — reconnecting');
                 break;
@@ -598,11 +687,25 @@ export function MultiplayerProvider({ children }) {
                 setUserData(null);
                 setGameInventory(null);
                 setBackpackError(null);
+                setGuild(null);
+                setGuildRole(null);
+                setGuildInvites([]);
+                guildIdRef.current = null;
+                setFriends([]);
+                friendsRef.current = [];
+                setFriendRequests({ incoming: [], outgoing: [] });
+                setBlockedPlayers([]);
+                setStamps([]);
+                setStampProgress({});
+                arcadeSessionRef.current = null;
+                setArcadeSession(null);
+                setGuestMergeOffer(null);
                 localStorage.removeItem('auth_token');
                 localStorage.removeItem('wallet_address');
                 localStorage.removeItem('session_timestamp');
                 localStorage.removeItem('wallet_chain_id');
                 GameManager.getInstance().clearServerData();
+                requestGuestSession(wsRef.current);
                 break;
                 
             // Note: auth_restored is handled by auth_success with restored: true flag
@@ -804,15 +907,7 @@ export function MultiplayerProvider({ children }) {
                 // CRITICAL: Update gachaOwnedCosmetics after market purchase
                 // This ensures the wardrobe knows the user owns the item immediately
                 if (message.success && message.item?.templateId) {
-                    setUserData(prev => {
-                        if (!prev) return prev;
-                        const existingGacha = prev.gachaOwnedCosmetics || [];
-                        if (!existingGacha.includes(message.item.templateId)) {
-                            console.log(`🏪 Added ${message.item.templateId} to gachaOwnedCosmetics after market purchase`);
-                            return { ...prev, gachaOwnedCosmetics: [...existingGacha, message.item.templateId] };
-                        }
-                        return prev;
-                    });
+                    addOwnedGachaCosmetic(message.item.templateId);
                 }
                 callbacksRef.current.onMarketBuyResult?.(message);
                 break;
@@ -841,6 +936,14 @@ export function MultiplayerProvider({ children }) {
                 callbacksRef.current.onMarketStats?.(message);
                 break;
                 
+            case 'market_item_analytics':
+                callbacksRef.current.onMarketItemAnalytics?.(message);
+                break;
+                
+            case 'market_overview':
+                callbacksRef.current.onMarketOverview?.(message);
+                break;
+                
             case 'market_can_list':
                 callbacksRef.current.onMarketCanList?.(message);
                 break;
@@ -905,6 +1008,57 @@ export function MultiplayerProvider({ children }) {
                 }
                 break;
                 
+            // Buy orders (bids)
+            case 'market_order_result':
+                // Units bought on placement are owned right away
+                if (message.success && message.fills?.length && message.order?.templateId) {
+                    addOwnedGachaCosmetic(message.order.templateId);
+                }
+                callbacksRef.current.onMarketOrderResult?.(message);
+                break;
+                
+            case 'market_order_closed':
+                callbacksRef.current.onMarketOrderClosed?.(message);
+                if (message.reason === 'expired' && message.refunded > 0) {
+                    ingestChatMessage({
+                        id: `bid_expired_${message.orderId}`,
+                        channel: 'market',
+                        playerId: 'system',
+                        name: '🏪 Market',
+                        text: `Your buy order for ${message.itemName || 'an item'} expired. ${message.refunded.toLocaleString()} Pebbles refunded.`,
+                        timestamp: Date.now(),
+                        isSystem: true
+                    });
+                }
+                break;
+                
+            case 'market_my_orders':
+                callbacksRef.current.onMarketMyOrders?.(message);
+                break;
+                
+            case 'market_order_book':
+                callbacksRef.current.onMarketOrderBook?.(message);
+                break;
+                
+            case 'market_order_book_changed':
+                callbacksRef.current.onMarketOrderBookChanged?.(message);
+                break;
+                
+            case 'market_order_filled':
+                // Buyer notification - a seller listed into their bid
+                if (message.templateId) addOwnedGachaCosmetic(message.templateId);
+                callbacksRef.current.onMarketOrderFilled?.(message);
+                ingestChatMessage({
+                    id: `bid_filled_${Date.now()}`,
+                    channel: 'market',
+                    playerId: 'system',
+                    name: '🏪 BOUGHT',
+                    text: `Your buy order filled: ${message.itemName} for ${message.price?.toLocaleString()} Pebbles from ${message.sellerUsername}!`,
+                    timestamp: Date.now(),
+                    isSystem: true
+                });
+                break;
+                
             case 'username_changed':
                 // Username successfully changed
                 console.log(`📝 Username changed: ${message.oldUsername} → ${message.newUsername}`);
@@ -1262,6 +1416,26 @@ export function MultiplayerProvider({ children }) {
                 break;
             }
 
+            case 'gear_repair_result': {
+                if (message.inventory) setGameInventory(message.inventory);
+                if (message.newBalance != null) {
+                    setUserData(prev => prev ? { ...prev, coins: message.newBalance } : prev);
+                }
+                if (gearRepairCallbackRef.current) {
+                    gearRepairCallbackRef.current(message);
+                    gearRepairCallbackRef.current = null;
+                }
+                break;
+            }
+
+            case 'gear_repair_error': {
+                if (gearRepairCallbackRef.current) {
+                    gearRepairCallbackRef.current({ error: message.error, message: message.message, cost: message.cost });
+                    gearRepairCallbackRef.current = null;
+                }
+                break;
+            }
+
             case 'merchant_sell_result':
             case 'fish_sell_result': {
                 if (message.inventory) setGameInventory(message.inventory);
@@ -1803,6 +1977,11 @@ export function MultiplayerProvider({ children }) {
                 break;
             }
             
+            case 'puffle_list':
+                // Guest session start / guest merge — wallet sign-in brings puffles with the user data
+                callbacksRef.current.onPuffleList?.(message.puffles || []);
+                break;
+
             case 'puffle_adopt_failed': {
                 setPuffleAdopting(false);
                 const result = { 
@@ -1879,6 +2058,10 @@ export function MultiplayerProvider({ children }) {
                         authPlayer.needsNametagRebuild = true;
                     }
                     authPlayer.cpNametagTier = authTier;
+                    if ((authPlayer.guildTag || null) !== (message.guildTag || null)) {
+                        authPlayer.needsNametagRebuild = true;
+                    }
+                    authPlayer.guildTag = message.guildTag || null;
                     authPlayer.needsMeshRebuild = true;
                 }
                 break;
@@ -1895,6 +2078,7 @@ export function MultiplayerProvider({ children }) {
                 if (message.worldTime !== undefined) {
                     worldTimeRef.current = message.worldTime;
                 }
+                weatherRef.current = message.weather ? { ...message.weather, room: message.room } : null;
                 
                 // Sync coins from server
                 if (message.coins !== undefined) {
@@ -1917,6 +2101,7 @@ export function MultiplayerProvider({ children }) {
                 if (isRoomChange) {
                     console.log(`🔄 Room change detected: ${previousRoom} -> ${message.room}, clearing player data`);
                     playersDataRef.current.clear();
+                    setInRangePlayerList([]);
                 } else {
                     console.log(`🔄 Room state update in same room (${message.room}), merging player data instead of clearing`);
                     // Merge player data instead of clearing - update existing players, add new ones, remove ones not in list
@@ -1929,6 +2114,7 @@ export function MultiplayerProvider({ children }) {
                             playersDataRef.current.delete(id);
                         }
                     }
+                    setInRangePlayerList(prev => prev.filter(id => newPlayerIds.has(id)));
                 }
                 
                 const ids = [];
@@ -1937,7 +2123,8 @@ export function MultiplayerProvider({ children }) {
                     const existingPlayer = playersDataRef.current.get(p.id);
                     const incomingAppearance = p.appearance || existingPlayer?.appearance;
                     const cosmeticsChanged = appearanceCosmeticsChanged(existingPlayer?.appearance, p.appearance);
-                    const tierChanged = existingPlayer?.cpNametagTier !== (p.cpNametagTier || 'standard');
+                    const tierChanged = existingPlayer?.cpNametagTier !== (p.cpNametagTier || 'standard')
+                        || (existingPlayer?.guildTag || null) !== (p.guildTag || null);
                     const playerData = {
                         id: p.id,
                         name: p.name,
@@ -1960,11 +2147,14 @@ export function MultiplayerProvider({ children }) {
                         isPracticeBot: p.isPracticeBot || p.isBot || existingPlayer?.isPracticeBot || false,
                         cpBalance: p.cpBalance ?? existingPlayer?.cpBalance ?? 0,
                         cpNametagTier: p.cpNametagTier || existingPlayer?.cpNametagTier || 'standard',
+                        guildTag: p.guildTag || null,
                         heldHotbarItem: p.heldHotbarItem ?? existingPlayer?.heldHotbarItem ?? null,
                         needsHeldItemUpdate: true,
                         needsMesh: existingPlayer ? (existingPlayer.needsMesh || cosmeticsChanged) : true,
                         needsMeshRebuild: (existingPlayer?.needsMeshRebuild || false) || cosmeticsChanged,
                         needsNametagRebuild: tierChanged || existingPlayer?.needsNametagRebuild || false,
+                        inRange: existingPlayer?.inRange || false,
+                        netState: existingPlayer?.netState || null,
                     };
                     playersDataRef.current.set(p.id, playerData);
                     ids.push(p.id);
@@ -2000,6 +2190,10 @@ export function MultiplayerProvider({ children }) {
                         existingJoined.needsNametagRebuild = true;
                     }
                     existingJoined.cpNametagTier = joinedTier;
+                    if ((existingJoined.guildTag || null) !== (message.player.guildTag || null)) {
+                        existingJoined.needsNametagRebuild = true;
+                    }
+                    existingJoined.guildTag = message.player.guildTag || null;
                     existingJoined.heldHotbarItem = message.player.heldHotbarItem ?? null;
                     existingJoined.needsHeldItemUpdate = true;
                     existingJoined.needsMesh = true;
@@ -2029,9 +2223,11 @@ export function MultiplayerProvider({ children }) {
                         role: message.player.role || null,
                         cpBalance: message.player.cpBalance ?? 0,
                         cpNametagTier: message.player.cpNametagTier || 'standard',
+                        guildTag: message.player.guildTag || null,
                         heldHotbarItem: message.player.heldHotbarItem || null,
                         needsHeldItemUpdate: true,
-                        needsMesh: true
+                        needsMesh: true,
+                        inRange: false
                     };
                     playersDataRef.current.set(message.player.id, joinedPlayerData);
                     setPlayerList(prev => prev.includes(message.player.id) ? prev : [...prev, message.player.id]);
@@ -2044,6 +2240,7 @@ export function MultiplayerProvider({ children }) {
                 console.log(`👋 Player ${message.playerId} left`);
                 playersDataRef.current.delete(message.playerId);
                 setPlayerList(prev => prev.filter(id => id !== message.playerId));
+                setInRangePlayerList(prev => prev.filter(id => id !== message.playerId));
                 setPlayerCount(prev => Math.max(0, prev - 1));
                 callbacksRef.current.onPlayerLeft?.(message.playerId);
                 break;
@@ -2058,6 +2255,31 @@ export function MultiplayerProvider({ children }) {
                 }));
                 break;
                 
+            case 'settings_synced':
+                setSyncedSettings(message.settings);
+                break;
+
+            case 'position_correction':
+                // Server rejected our last move (speed / bounds / collider) — snap back like a same-room teleport
+                window.dispatchEvent(new CustomEvent('teleport', {
+                    detail: { position: message.position }
+                }));
+                break;
+
+            case 'pos_batch': {
+                // Batched quantized positions of players near us (server interest management)
+                const { entered, left } = applyPositionBatch(playersDataRef.current, message);
+                if (entered.length > 0 || left.length > 0) {
+                    const leftIds = new Set(left);
+                    setInRangePlayerList(prev => [
+                        ...prev.filter(id => !leftIds.has(id)),
+                        ...entered.filter(id => !prev.includes(id)),
+                    ]);
+                }
+                break;
+            }
+
+            // Server placements outside the position tick (e.g. snowball fight respawns)
             case 'player_moved':
                 const movingPlayer = playersDataRef.current.get(message.playerId);
                 if (movingPlayer) {
@@ -2174,6 +2396,320 @@ export function MultiplayerProvider({ children }) {
                 }
                 break;
 
+            // ==================== GUILDS ====================
+            case 'guild_state': {
+                const nextGuildId = message.guild?.guildId || null;
+                const guildChanged = guildIdRef.current !== nextGuildId;
+                guildIdRef.current = nextGuildId;
+                setGuild(message.guild || null);
+                setGuildRole(message.role || null);
+                setGuildInvites(Array.isArray(message.invites) ? message.invites : []);
+                // Joined or left mid-session — reload so the guild tab shows the right scope
+                if (guildChanged && wsRef.current?.readyState === WebSocket.OPEN) {
+                    wsRef.current.send(JSON.stringify({ type: 'get_chat_history' }));
+                }
+                break;
+            }
+
+            case 'guild_invite':
+                setGuildInvites((prev) => [
+                    ...prev.filter((inv) => inv.guildId !== message.guildId),
+                    { guildId: message.guildId, name: message.name, tag: message.tag, invitedBy: message.invitedBy },
+                ]);
+                addLocalChatMessage(`⚔️ ${message.invitedBy} invited you to join [${message.tag}] ${message.name}. Open Guild from the menu to respond.`);
+                break;
+
+            case 'player_guild': {
+                const guildPlayer = playersDataRef.current.get(message.playerId);
+                if (guildPlayer && (guildPlayer.guildTag || null) !== (message.guildTag || null)) {
+                    guildPlayer.guildTag = message.guildTag || null;
+                    guildPlayer.needsNametagRebuild = true;
+                }
+                break;
+            }
+
+            // ==================== FRIENDS ====================
+            case 'friends_state':
+                friendsRef.current = Array.isArray(message.friends) ? message.friends : [];
+                setFriends(friendsRef.current);
+                setFriendRequests({
+                    incoming: Array.isArray(message.incoming) ? message.incoming : [],
+                    outgoing: Array.isArray(message.outgoing) ? message.outgoing : [],
+                });
+                break;
+
+            case 'friend_presence': {
+                const presence = message.friend;
+                if (!presence?.walletAddress) break;
+                const previous = friendsRef.current.find((f) => f.walletAddress === presence.walletAddress);
+                if (!previous) break;
+                if (previous.online !== presence.online) {
+                    addLocalChatMessage(`👥 ${presence.username || previous.username} is now ${presence.online ? 'online' : 'offline'}.`);
+                }
+                friendsRef.current = friendsRef.current
+                    .map((f) => (f.walletAddress === presence.walletAddress ? { ...f, ...presence } : f))
+                    .sort((a, b) => (b.online - a.online) || String(a.username).localeCompare(String(b.username)));
+                setFriends(friendsRef.current);
+                break;
+            }
+
+            case 'friend_request':
+                addLocalChatMessage(`👥 ${message.username} sent you a friend request. Open Friends from the menu to respond.`);
+                break;
+
+            // ==================== BLOCK LIST ====================
+            case 'block_state':
+                setBlockedPlayers(Array.isArray(message.blocked) ? message.blocked : []);
+                break;
+
+            case 'block_result':
+                if (message.message) {
+                    addLocalChatMessage(`${message.success ? '🚫' : '❌'} ${message.message}`);
+                }
+                break;
+
+            // ==================== MODERATION ====================
+            case 'report_result':
+                if (message.message) {
+                    addLocalChatMessage(`${message.success ? '🚩' : '❌'} ${message.message}`);
+                }
+                break;
+
+            case 'chat_muted': {
+                const until = new Date(message.until || Date.now()).toLocaleString();
+                const reason = message.reason ? ` ${tRef.current('chat.mutedReason').replace('{reason}', message.reason)}` : '';
+                addLocalChatMessage(`${tRef.current('chat.muted').replace('{time}', until)}${reason}`);
+                break;
+            }
+
+            case 'chat_filtered': {
+                const notice = tRef.current(`chat.filter.${message.code}`, tRef.current('chat.filter.blocked'));
+                const muted = message.mutedUntil
+                    ? ` ${tRef.current('chat.filter.autoMuted').replace('{time}', new Date(message.mutedUntil).toLocaleString())}`
+                    : '';
+                addLocalChatMessage(`${notice}${muted}`);
+                break;
+            }
+
+            // ==================== STAMPS ====================
+            case 'stamps_state':
+                setStamps(Array.isArray(message.stamps) ? message.stamps : []);
+                setStampProgress(message.progress || {});
+                break;
+
+            case 'stamp_earned': {
+                const stamp = getStamp(message.stampId);
+                if (!stamp) break;
+                setStamps((prev) => (prev.some((s) => s.id === stamp.id)
+                    ? prev
+                    : [...prev, { id: stamp.id, earnedAt: message.earnedAt }]));
+                addLocalChatMessage(`${stamp.icon} ${tRef.current('stamps.earned').replace('{name}', stamp.name)}`);
+                setStampToast({ stampId: stamp.id, playerName: null });
+                break;
+            }
+
+            case 'stamp_broadcast':
+                if (getStamp(message.stampId)) {
+                    setStampToast({ stampId: message.stampId, playerName: message.playerName || 'A penguin' });
+                }
+                break;
+
+            // ==================== PUFFLE RACING ====================
+            case 'puffle_race_state':
+                setPuffleRace(message.race || null);
+                break;
+
+            case 'puffle_race_result':
+                if (message.newBalance != null) {
+                    GameManager.getInstance().setCoinsFromServer(message.newBalance);
+                    setUserData((prev) => (prev ? { ...prev, coins: message.newBalance } : prev));
+                }
+                if (message.message) {
+                    addLocalChatMessage(`${message.success ? '🏁' : '❌'} ${message.message}`);
+                }
+                break;
+
+            case 'puffle_race_finished': {
+                if (message.newBalance != null) {
+                    GameManager.getInstance().setCoinsFromServer(message.newBalance);
+                    setUserData((prev) => (prev ? { ...prev, coins: message.newBalance } : prev));
+                }
+                if (message.puffle) {
+                    callbacksRef.current.onPuffleUpdated?.(message.puffle);
+                }
+                const prize = message.payout > 0 ? ` and won ${message.payout} gold` : '';
+                const trophies = message.trophies > 0 ? ` (+${message.trophies} 🏆)` : '';
+                addLocalChatMessage(`🏁 Your puffle finished #${message.place} of ${message.racerCount} in ${message.time.toFixed(2)}s${trophies}${prize}!`);
+                break;
+            }
+
+            case 'puffle_race_cancelled':
+                if (message.newBalance != null) {
+                    GameManager.getInstance().setCoinsFromServer(message.newBalance);
+                    setUserData((prev) => (prev ? { ...prev, coins: message.newBalance } : prev));
+                }
+                addLocalChatMessage(`🏁 Puffle race cancelled: ${message.reason}.${message.refunded > 0 ? ` ${message.refunded} gold refunded.` : ''}`);
+                break;
+
+            // ==================== SNOWBALL FIGHT ====================
+            case 'snowball_fight_state':
+                setSnowballFight(message.match || null);
+                break;
+
+            case 'snowball_fight_result':
+                if (message.message) {
+                    addLocalChatMessage(`${message.success ? '❄️' : '❌'} ${message.message}`);
+                }
+                break;
+
+            case 'snowball_fight_hit':
+                if (message.knockedOut && message.targetId === playerIdRef.current) {
+                    addLocalChatMessage('❄️ You were knocked out! Respawning at your fort...');
+                } else if (message.knockedOut && message.throwerId === playerIdRef.current) {
+                    addLocalChatMessage('❄️ Knockout!');
+                }
+                break;
+
+            case 'snowball_fight_finished': {
+                const outcome = message.isDraw ? 'ended in a draw' : (message.won ? 'was won by your team' : 'was lost');
+                const tally = `${message.knockouts} KO${message.knockouts === 1 ? '' : 's'}${message.captures > 0 ? `, ${message.captures} capture${message.captures === 1 ? '' : 's'}` : ''}`;
+                addLocalChatMessage(`❄️ The snowball fight ${outcome} (${tally}).${message.statsRecorded ? '' : ' Log in to track your record.'}`);
+                break;
+            }
+
+            // ==================== TOURNAMENTS ====================
+            case 'tournament_list':
+                setTournaments(message.tournaments || []);
+                break;
+
+            case 'tournament_update':
+                if (message.tournament) {
+                    setTournaments((prev) => {
+                        const others = prev.filter((t) => t.tournamentId !== message.tournament.tournamentId);
+                        return [...others, message.tournament].sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+                    });
+                }
+                break;
+
+            case 'tournament_result':
+            case 'tournament_notice':
+                if (message.newBalance != null) {
+                    if (message.currency === 'pebbles') {
+                        setUserData((prev) => (prev ? { ...prev, pebbles: message.newBalance } : prev));
+                    } else {
+                        GameManager.getInstance().setCoinsFromServer(message.newBalance);
+                        setUserData((prev) => (prev ? { ...prev, coins: message.newBalance } : prev));
+                    }
+                }
+                if (message.message) {
+                    const icon = message.type === 'tournament_result' && !message.success ? '❌' : '🏆';
+                    addLocalChatMessage(`${icon} ${message.message}`);
+                }
+                break;
+
+            // ==================== WORLD EVENTS ====================
+            case 'world_events':
+                setWorldEvents(message.events || []);
+                break;
+
+            case 'world_event_started':
+                if (message.event) {
+                    setWorldEvents((prev) => {
+                        const existing = prev.find((e) => e.runId === message.event.runId);
+                        const others = prev.filter((e) => e.eventId !== message.event.eventId);
+                        return [...others, { ...message.event, contribution: existing?.contribution ?? 0 }];
+                    });
+                }
+                break;
+
+            case 'world_event_ended':
+                setWorldEvents((prev) => prev.filter((e) => e.runId !== message.runId));
+                break;
+
+            case 'world_event_progress':
+                setWorldEvents((prev) => prev.map((e) => (
+                    e.runId === message.runId ? { ...e, contribution: message.contribution } : e
+                )));
+                break;
+
+            case 'world_event_reward': {
+                const prizes = [
+                    message.gold > 0 ? `${message.gold} gold` : null,
+                    message.cosmetic ? 'an event cosmetic' : null,
+                ].filter(Boolean).join(' and ');
+                addLocalChatMessage(`${message.emoji || '🎉'} ${message.name}: ${message.tier} tier with ${message.contribution} points — you earned ${prizes}!`);
+                break;
+            }
+
+            // ==================== ARCADE SCORES ====================
+            case 'arcade_session': {
+                const session = message.success
+                    ? { sessionId: message.sessionId, gameId: message.gameId, seed: message.seed }
+                    : null;
+                arcadeSessionRef.current = session;
+                setArcadeSession(session);
+                break;
+            }
+
+            case 'arcade_score_result': {
+                const game = ARCADE_SCORE_GAMES[message.gameId];
+                if (message.success) {
+                    const best = message.isPersonalBest ? ' — new personal best!' : ` (best ${message.personalBest})`;
+                    addLocalChatMessage(`🕹️ ${game?.label || 'Arcade'} score ${message.score} verified${best}`);
+                } else if (message.message) {
+                    addLocalChatMessage(`❌ ${message.message}`);
+                }
+                break;
+            }
+
+            // ==================== CRAFTING ====================
+            case 'crafting_status':
+                setCraftingStatus(message.status || null);
+                break;
+
+            case 'crafting_result': {
+                if (message.inventory) setGameInventory(message.inventory);
+                if (message.status) setCraftingStatus(message.status);
+                if (craftingCallbackRef.current) {
+                    craftingCallbackRef.current(message);
+                    craftingCallbackRef.current = null;
+                }
+                break;
+            }
+
+            // ==================== TRADING ====================
+            case 'trade_request':
+                setIncomingTrade({ tradeId: message.tradeId, fromName: message.fromName, expiresAt: message.expiresAt });
+                addLocalChatMessage(`🤝 ${message.fromName} wants to trade with you`);
+                break;
+
+            case 'trade_state':
+                if (message.trade) {
+                    setTrade(message.trade);
+                    setTradeError(message.error || null);
+                    setIncomingTrade((prev) => (prev?.tradeId === message.trade.id && message.trade.status !== 'requested' ? null : prev));
+                }
+                break;
+
+            case 'trade_closed':
+                setTrade((prev) => (prev?.id === message.tradeId ? null : prev));
+                setIncomingTrade((prev) => (prev?.tradeId === message.tradeId ? null : prev));
+                setTradeError(null);
+                if (message.inventory) setGameInventory(message.inventory);
+                if (message.newBalance != null) {
+                    GameManager.getInstance().setCoinsFromServer(message.newBalance);
+                    setUserData((prev) => (prev ? { ...prev, coins: message.newBalance } : prev));
+                }
+                addLocalChatMessage(`${message.completed ? '🤝' : '❌'} ${message.message}`);
+                break;
+
+            case 'trade_error':
+                setTradeError(message.message || message.error);
+                if (message.action === 'request') {
+                    addLocalChatMessage(`❌ ${message.message || 'Could not start a trade'}`);
+                }
+                break;
+
             case 'parkour_warp':
                 window.dispatchEvent(new CustomEvent('chatCommand', { detail: { command: message.stage } }));
                 break;
@@ -2405,6 +2941,25 @@ export function MultiplayerProvider({ children }) {
             case 'pong':
                 break;
             
+            case 'weather_update': {
+                if (message.room !== serverRoomRef.current) break;
+                weatherRef.current = message.weather ? { ...message.weather, room: message.room } : null;
+                const weatherState = getWeatherState(message.weather?.state);
+                if (weatherState.announcement) {
+                    ingestChatMessage({
+                        id: `weather_${message.room}_${message.weather.since}`,
+                        channel: 'local',
+                        playerId: 'system',
+                        name: `${weatherState.emoji} Weather`,
+                        text: weatherState.announcement,
+                        timestamp: Date.now(),
+                        isSystem: true,
+                        localOnly: true
+                    });
+                }
+                break;
+            }
+
             case 'world_time':
                 worldTimeRef.current = message.time;
                 if (message.totalPlayers !== undefined) {
@@ -2504,7 +3059,7 @@ export function MultiplayerProvider({ children }) {
                 setConnectionError({ code: message.code, message: message.message });
                 break;
         }
-    }, [dispatchToHandlers]);
+    }, [dispatchToHandlers, requestGuestSession]);
     
     // Send message to server — returns false if socket is not open
     const send = useCallback((message) => {
@@ -2662,6 +3217,7 @@ export function MultiplayerProvider({ children }) {
         setWalletAddress(null);
         setAuthToken(null);
         setUserData(null);
+        setSyncedSettings(null);
         setOnboardingQuest(null);
         
         // Clear ALL auth-related localStorage - prevents session restore with old wallet
@@ -2686,12 +3242,14 @@ export function MultiplayerProvider({ children }) {
     }, [send, playerName]);
     
     // Send position update
-    const sendPosition = useCallback((position, rotation, pufflePosition = null, trailPoints = null) => {
+    // movement: { mode: 'walk' | 'mount' | 'slide', teleport?: 'spawn' } — read by the server movement check
+    const sendPosition = useCallback((position, rotation, pufflePosition = null, trailPoints = null, movement = null) => {
         const msg = {
             type: 'move',
             position,
             rotation,
-            pufflePosition
+            pufflePosition,
+            ...movement
         };
         if (trailPoints?.length > 0) {
             msg.trailPoints = trailPoints;
@@ -2711,6 +3269,25 @@ export function MultiplayerProvider({ children }) {
         send({ type: 'afk_clear' });
     }, [send]);
 
+    /** Merge a settings document ({ v, values, updatedAt }) into the account (no-op server side for guests) */
+    const syncSettings = useCallback((settings) => {
+        send({ type: 'settings_sync', settings });
+    }, [send]);
+
+    const acceptGuestMerge = useCallback(() => {
+        setGuestMergeOffer(prev => prev ? { ...prev, pending: true } : prev);
+        send({ type: 'guest_merge_accept' });
+    }, [send]);
+
+    const declineGuestMerge = useCallback(() => {
+        setGuestMergeOffer(null);
+        send({ type: 'guest_merge_decline' });
+    }, [send]);
+
+    const dismissGuestMergeOffer = useCallback(() => {
+        setGuestMergeOffer(null);
+    }, []);
+
     const registerChatBubbleCallback = useCallback((callback) => {
         chatBubbleCallbacksRef.current.add(callback);
         return () => {
@@ -2795,7 +3372,7 @@ export function MultiplayerProvider({ children }) {
                 return;
             }
             
-            if (!isAuthenticated) {
+            if (!canSaveProgress) {
                 resolve({ success: false, error: 'AUTH_REQUIRED', message: 'You must be logged in to adopt puffles' });
                 return;
             }
@@ -2814,7 +3391,7 @@ export function MultiplayerProvider({ children }) {
                 }
             }, 10000);
         });
-    }, [connected, isAuthenticated, send]);
+    }, [connected, canSaveProgress, send]);
     
     const sendBallKick = useCallback((x, z, vx, vz) => {
         send({ type: 'ball_kick', x, z, vx, vz });
@@ -3031,8 +3608,8 @@ export function MultiplayerProvider({ children }) {
             
             fishingCallbackRef.current = resolve;
             
-            const guestCoins = !isAuthenticated ? GameManager.getInstance().getCoins() : 0;
-            const isDemo = !isAuthenticated;
+            const guestCoins = !canSaveProgress ? GameManager.getInstance().getCoins() : 0;
+            const isDemo = !canSaveProgress;
             send({ type: 'fishing_start', spotId, guestCoins, isDemo });
             
             setTimeout(() => {
@@ -3043,7 +3620,7 @@ export function MultiplayerProvider({ children }) {
                 }
             }, 10000);
         });
-    }, [connected, isAuthenticated, send]);
+    }, [connected, canSaveProgress, send]);
     
     /**
      * Attempt to catch a fish (during bite phase - legacy method)
@@ -3100,22 +3677,168 @@ export function MultiplayerProvider({ children }) {
         setFishingResult(null);
     }, []);
 
+    const fetchStamps = useCallback(() => {
+        if (!connected || !isAuthenticated) return;
+        send({ type: 'stamps_get_state' });
+    }, [connected, isAuthenticated, send]);
+
+    const clearStampToast = useCallback(() => {
+        setStampToast(null);
+    }, []);
+
+    const joinPuffleRace = useCallback((entryFee = 0) => {
+        if (!connected || !isAuthenticated) return;
+        send({ type: 'puffle_race_join', entryFee });
+    }, [connected, isAuthenticated, send]);
+
+    const leavePuffleRace = useCallback(() => {
+        if (!connected) return;
+        send({ type: 'puffle_race_leave' });
+    }, [connected, send]);
+
+    /** Join a snowball fight team; `mode` only applies when opening a new lobby */
+    const joinSnowballFight = useCallback((team, mode) => {
+        if (!connected) return;
+        send({ type: 'snowball_fight_join', team, mode });
+    }, [connected, send]);
+
+    const leaveSnowballFight = useCallback(() => {
+        if (!connected) return;
+        send({ type: 'snowball_fight_leave' });
+    }, [connected, send]);
+
+    const fetchTournaments = useCallback(() => {
+        if (!connected) return;
+        send({ type: 'tournament_list_get' });
+    }, [connected, send]);
+
+    /** Host a tournament: { name, gameType, currency, entryFee, maxEntrants, startsInMs } */
+    const createTournament = useCallback((options) => {
+        if (!connected || !isAuthenticated) return;
+        send({ type: 'tournament_create', ...options });
+    }, [connected, isAuthenticated, send]);
+
+    const joinTournament = useCallback((tournamentId) => {
+        if (!connected || !isAuthenticated) return;
+        send({ type: 'tournament_join', tournamentId });
+    }, [connected, isAuthenticated, send]);
+
+    const leaveTournament = useCallback((tournamentId) => {
+        if (!connected) return;
+        send({ type: 'tournament_leave', tournamentId });
+    }, [connected, send]);
+
+    const startTournament = useCallback((tournamentId) => {
+        if (!connected) return;
+        send({ type: 'tournament_start', tournamentId });
+    }, [connected, send]);
+
+    const cancelTournament = useCallback((tournamentId) => {
+        if (!connected) return;
+        send({ type: 'tournament_cancel', tournamentId });
+    }, [connected, send]);
+
+    /** Ask the server for a scored run (seed + session id); guests play unscored */
+    const startArcadeSession = useCallback((gameId) => {
+        arcadeSessionRef.current = null;
+        setArcadeSession(null);
+        arcadeCheckpointAtRef.current = 0;
+        if (!connected || !isAuthenticated) return;
+        send({ type: 'arcade_session_start', gameId });
+    }, [connected, isAuthenticated, send]);
+
+    /** Stream the live score (throttled) so the server can bound how fast it grows */
+    const sendArcadeCheckpoint = useCallback((gameId, score) => {
+        const session = arcadeSessionRef.current;
+        if (!session || session.gameId !== gameId) return;
+        const now = Date.now();
+        if (now - arcadeCheckpointAtRef.current < ARCADE_SCORE_LIMITS.CHECKPOINT_INTERVAL_MS) return;
+        arcadeCheckpointAtRef.current = now;
+        send({ type: 'arcade_score_checkpoint', sessionId: session.sessionId, score });
+    }, [send]);
+
+    /** Submit the final score of the current session; `extra` carries replay data (e.g. snake inputs) */
+    const submitArcadeScore = useCallback((gameId, score, extra = {}) => {
+        const session = arcadeSessionRef.current;
+        if (!session || session.gameId !== gameId) return false;
+        arcadeSessionRef.current = null;
+        setArcadeSession(null);
+        send({ type: 'arcade_score_submit', sessionId: session.sessionId, gameId, score, ...extra });
+        return true;
+    }, [send]);
+
+    const fetchCraftingStatus = useCallback(() => {
+        if (!connected || !isAuthenticated) return;
+        send({ type: 'crafting_get_status' });
+    }, [connected, isAuthenticated, send]);
+
+    /** Start (`crafting_start`) or collect (`crafting_collect`) at the woodworking bench */
+    const sendCraftingRequest = useCallback((payload) => {
+        if (!connected) return Promise.resolve({ error: 'NOT_CONNECTED' });
+        return new Promise((resolve) => {
+            craftingCallbackRef.current = resolve;
+            send(payload);
+            setTimeout(() => {
+                if (craftingCallbackRef.current === resolve) {
+                    craftingCallbackRef.current = null;
+                    resolve({ error: 'TIMEOUT', message: 'Request timed out' });
+                }
+            }, 10000);
+        });
+    }, [connected, send]);
+
+    const startCraft = useCallback((recipeId) => (
+        sendCraftingRequest({ type: 'crafting_start', recipeId })
+    ), [sendCraftingRequest]);
+
+    const collectCraft = useCallback(() => (
+        sendCraftingRequest({ type: 'crafting_collect' })
+    ), [sendCraftingRequest]);
+
+    const requestTrade = useCallback((targetPlayerId) => {
+        if (!connected || !isAuthenticated) return;
+        setTradeError(null);
+        send({ type: 'trade_request', targetPlayerId });
+    }, [connected, isAuthenticated, send]);
+
+    const respondToTrade = useCallback((tradeId, accept) => {
+        if (!connected) return;
+        send({ type: 'trade_respond', tradeId, accept });
+        if (!accept) setIncomingTrade(null);
+    }, [connected, send]);
+
+    /** Replace our side of the window: items = [{ slotIndex, quantity }] */
+    const setTradeOffer = useCallback((tradeId, items, gold) => {
+        if (!connected) return;
+        send({ type: 'trade_set_offer', tradeId, items, gold });
+    }, [connected, send]);
+
+    const confirmTrade = useCallback((tradeId) => {
+        if (!connected) return;
+        send({ type: 'trade_confirm', tradeId });
+    }, [connected, send]);
+
+    const cancelTrade = useCallback((tradeId) => {
+        if (!connected) return;
+        send({ type: 'trade_cancel', tradeId });
+    }, [connected, send]);
+
     const fetchGameInventory = useCallback(() => {
         if (!connected) return;
-        if (!isAuthenticated) {
+        if (!canSaveProgress) {
             setBackpackError('Connect your wallet to use the backpack');
             return;
         }
         send({ type: 'game_inventory_get' });
-    }, [connected, isAuthenticated, send]);
+    }, [connected, canSaveProgress, send]);
 
     useEffect(() => {
-        if (connected && isAuthenticated) {
+        if (connected && canSaveProgress) {
             send({ type: 'game_inventory_get' });
             send({ type: 'forest_trees_get' });
             send({ type: 'mushrooms_get' });
         }
-    }, [connected, isAuthenticated, send]);
+    }, [connected, canSaveProgress, send]);
 
     const moveGameInventorySlot = useCallback((fromSlot, toSlot, quantity = null) => {
         if (!connected) return;
@@ -3123,7 +3846,7 @@ export function MultiplayerProvider({ children }) {
     }, [connected, send]);
 
     const setGameHotbarSlot = useCallback((hotbarIndex, inventorySlot) => {
-        if (!connected || !isAuthenticated) return Promise.resolve({ error: 'NOT_CONNECTED' });
+        if (!connected || !canSaveProgress) return Promise.resolve({ error: 'NOT_CONNECTED' });
         return new Promise((resolve) => {
             hotbarSetCallbackRef.current = resolve;
             const sent = send({
@@ -3143,15 +3866,15 @@ export function MultiplayerProvider({ children }) {
                 }
             }, 8000);
         });
-    }, [connected, isAuthenticated, send]);
+    }, [connected, canSaveProgress, send]);
 
     const setActiveHotbarSlot = useCallback((hotbarIndex) => {
-        if (!connected || !isAuthenticated) return;
+        if (!connected || !canSaveProgress) return;
         const index = Number(hotbarIndex);
         if (!Number.isFinite(index)) return;
         setGameInventory(prev => prev ? { ...prev, activeHotbar: index } : prev);
         send({ type: 'game_inventory_set_active_hotbar', hotbarIndex: index });
-    }, [connected, isAuthenticated, send]);
+    }, [connected, canSaveProgress, send]);
 
     const fetchForestTrees = useCallback(() => {
         if (!connected) return;
@@ -3361,6 +4084,27 @@ export function MultiplayerProvider({ children }) {
         });
     }, [connected, send]);
 
+    /** Repair the tool/rod in a backpack slot at Copper Clive (tools) or Old Salty (rods) */
+    const repairGear = useCallback((merchantId, inventorySlot, useRepairKit = false) => {
+        if (!connected) return Promise.resolve({ error: 'NOT_CONNECTED' });
+        return new Promise((resolve) => {
+            gearRepairCallbackRef.current = resolve;
+            send({ type: 'gear_repair', merchantId, inventorySlot, useRepairKit });
+            setTimeout(() => {
+                if (gearRepairCallbackRef.current === resolve) {
+                    gearRepairCallbackRef.current = null;
+                    resolve({ error: 'TIMEOUT', message: 'Request timed out' });
+                }
+            }, 10000);
+        });
+    }, [connected, send]);
+
+    const setAutoRepair = useCallback((enabled) => {
+        if (!connected) return;
+        setGameInventory(prev => prev ? { ...prev, autoRepair: enabled } : prev);
+        send({ type: 'gear_auto_repair_set', enabled });
+    }, [connected, send]);
+
     const buyFromMerchant = useCallback((merchantId, itemId) => {
         if (!connected) return Promise.resolve({ error: 'NOT_CONNECTED' });
         return new Promise((resolve) => {
@@ -3620,9 +4364,11 @@ export function MultiplayerProvider({ children }) {
         totalPlayerCount,
         serverPopulation,
         playerList,
+        inRangePlayerList,
         getPlayersData,
         playersDataRef,
         worldTimeRef,
+        weatherRef,
         chatByChannel,
         chatMessages: chatByChannel.room,
         unreadChatTabs,
@@ -3650,10 +4396,16 @@ export function MultiplayerProvider({ children }) {
         authError,
         isAuthenticating,
         isRestoringSession,
+        guestSession,
+        canSaveProgress,
+        guestMergeOffer,
         
         // Auth Actions
         connectWallet,
         disconnectWallet,
+        acceptGuestMerge,
+        declineGuestMerge,
+        dismissGuestMergeOffer,
         
         // Promo Code Actions
         redeemPromoCode,
@@ -3709,6 +4461,47 @@ export function MultiplayerProvider({ children }) {
         scavengeCooldowns,
         fetchScavengeStatus,
         onboardingQuest,
+        guild,
+        guildRole,
+        guildInvites,
+        friends,
+        friendRequests,
+        blockedPlayers,
+        stamps,
+        stampProgress,
+        stampToast,
+        fetchStamps,
+        clearStampToast,
+        puffleRace,
+        joinPuffleRace,
+        leavePuffleRace,
+        snowballFight,
+        joinSnowballFight,
+        leaveSnowballFight,
+        arcadeSession,
+        startArcadeSession,
+        sendArcadeCheckpoint,
+        submitArcadeScore,
+        tournaments,
+        fetchTournaments,
+        createTournament,
+        worldEvents,
+        craftingStatus,
+        fetchCraftingStatus,
+        startCraft,
+        collectCraft,
+        trade,
+        incomingTrade,
+        tradeError,
+        requestTrade,
+        respondToTrade,
+        setTradeOffer,
+        confirmTrade,
+        cancelTrade,
+        joinTournament,
+        leaveTournament,
+        startTournament,
+        cancelTournament,
         dailyQuestStatus,
         dailyBonusStatus,
         fetchDailyQuestStatus,
@@ -3724,6 +4517,8 @@ export function MultiplayerProvider({ children }) {
         claimStarterRod,
         upgradeBackpack,
         upgradeRod,
+        repairGear,
+        setAutoRepair,
         startWoodChop,
         completeWoodChop,
         cancelWoodChop,
@@ -3751,6 +4546,8 @@ export function MultiplayerProvider({ children }) {
         sendChat,
         sendAfk,
         sendClearAfk,
+        syncSettings,
+        syncedSettings,
         sendEmoteBubble,
         sendEmote,
         stopEmote,
@@ -3786,23 +4583,33 @@ export function MultiplayerProvider({ children }) {
         addMessageHandler,
         removeMessageHandler
     }), [
-        connected, playerId, playerName, playerCount, totalPlayerCount, serverPopulation, playerList,
+        connected, playerId, playerName, playerCount, totalPlayerCount, serverPopulation, playerList, inRangePlayerList,
         getPlayersData, chatByChannel, unreadChatTabs, hasWhisperActivity,
         mobileChatOpen, setMobileChatOpen, worldGameplayOverlay, setWorldGameplayOverlay,
         activeChatTab, setActiveChatTab,
         markChatTabRead, registerChatBubbleCallback, addLocalChatMessage, addPlayerLocalMessage,
         serverRoom, connectionError,
         isAuthenticated, walletAddress, authToken, userData, isNewUser, authError,
-        isAuthenticating, isRestoringSession,
-        connectWallet, disconnectWallet,
+        isAuthenticating, isRestoringSession, guestSession, canSaveProgress, guestMergeOffer,
+        connectWallet, disconnectWallet, acceptGuestMerge, declineGuestMerge, dismissGuestMergeOffer,
         redeemPromoCode, promoLoading, promoResult, clearPromoResult,
         spinSlot, slotSpinning, slotResult, clearSlotResult, activeSlotSpins,
         spinGoldSlot, goldSlotSpinning, goldSlotResult, clearGoldSlotResult, syncGoldSlots, activeGoldSlotSpins,
         startFishing, attemptCatch, cancelFishing, fishingActive, fishingResult, clearFishingResult,
-        gameInventory, backpackError, fetchGameInventory, moveGameInventorySlot, setGameHotbarSlot, setActiveHotbarSlot, fetchForestTrees, forestTrees, fetchFishingHoles, fishingHoles, fetchMushrooms, mushroomClusters, fetchWorldDrops, worldDrops, dropWorldItem, dropWorldGold, pickupWorldDrop, harvestMushroom, forageLogWorms, wormForageCooldowns, fetchWormForageStatus, scavengeSpot, onboardingQuest, turnInMushroomQuest, sellAtMerchant, sellBatchAtMerchant, sellFishAtNpc, buyFromMerchant, claimStarterRod, upgradeBackpack, startWoodChop, completeWoodChop, cancelWoodChop, startManualChop, sendManualChopHit, completeManualChop, cancelManualChop,
+        gameInventory, backpackError, fetchGameInventory, moveGameInventorySlot, setGameHotbarSlot, setActiveHotbarSlot, fetchForestTrees, forestTrees, fetchFishingHoles, fishingHoles, fetchMushrooms, mushroomClusters, fetchWorldDrops, worldDrops, dropWorldItem, dropWorldGold, pickupWorldDrop, harvestMushroom, forageLogWorms, wormForageCooldowns, fetchWormForageStatus, scavengeSpot, onboardingQuest, turnInMushroomQuest, sellAtMerchant, sellBatchAtMerchant, sellFishAtNpc, buyFromMerchant, claimStarterRod, upgradeBackpack, repairGear, setAutoRepair, startWoodChop, completeWoodChop, cancelWoodChop, startManualChop, sendManualChopHit, completeManualChop, cancelManualChop,
         roomTravelVoyages, myTravelVoyage, travelPending, fetchTravelState, bookTravel, leaveTravel,
+        guild, guildRole, guildInvites,
+        friends, friendRequests, blockedPlayers,
+        stamps, stampProgress, stampToast, fetchStamps, clearStampToast,
+        puffleRace, joinPuffleRace, leavePuffleRace,
+        snowballFight, joinSnowballFight, leaveSnowballFight,
+        arcadeSession, startArcadeSession, sendArcadeCheckpoint, submitArcadeScore,
+        tournaments, fetchTournaments, createTournament, joinTournament, leaveTournament, startTournament, cancelTournament,
+        worldEvents,
+        craftingStatus, fetchCraftingStatus, startCraft, collectCraft,
+        trade, incomingTrade, tradeError, requestTrade, respondToTrade, setTradeOffer, confirmTrade, cancelTrade,
         adoptPuffle, puffleAdopting,
-        setName, joinRoom, sendPosition, sendChat, sendAfk, sendClearAfk, sendEmoteBubble, sendEmote, stopEmote,
+        setName, joinRoom, sendPosition, sendChat, sendAfk, sendClearAfk, syncSettings, syncedSettings, sendEmoteBubble, sendEmote, stopEmote,
         markChatTabRead, registerChatBubbleCallback, addLocalChatMessage,
         changeRoom, updateAppearance, updatePuffle, sendPuffleEmote, syncPuffleState,
         equipPuffleAccessory, unequipPuffleAccessory, equipPuffleToy,
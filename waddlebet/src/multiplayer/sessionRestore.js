@@ -4,6 +4,7 @@ import { SOLANA_CHAIN_ID } from '../config/evm.js';
 
 export const SESSION_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
 export const WALLET_CHAIN_STORAGE_KEY = 'wallet_chain_id';
+export const GUEST_SESSION_STORAGE_KEY = 'guest_session_token';
 
 export function hasStoredSession(storage) {
     return !!(storage.getItem('auth_token') && storage.getItem('wallet_address'));
@@ -47,3 +48,8 @@ export function persistSessionCredentials(storage, { token, walletAddress, chain
     storage.setItem(WALLET_CHAIN_STORAGE_KEY, chainId);
     storage.setItem('session_timestamp', Date.now().toString());
 }
+
+/** Start a guest account, or resume the stored one with its progress */
+export function buildGuestSessionMessage(storage) {
+    return { type: 'guest_session', token: storage.getItem(GUEST_SESSION_STORAGE_KEY) || null };
+}
@@ -26,6 +26,7 @@ import Crate from './Crate';
 import StreetSign from './StreetSign';
 import WoodenPost from './WoodenPost';
 import Lighthouse from './Lighthouse';
+import Workbench from './Workbench';
 
 /**
  * Available prop types
@@ -55,6 +56,7 @@ export const PROP_TYPES = {
     STREET_SIGN: 'streetSign',
     WOODEN_POST: 'woodenPost',
     LIGHTHOUSE: 'lighthouse',
+    WORKBENCH: 'workbench',
 };
 
 /**
@@ -84,6 +86,7 @@ const propClasses = {
     [PROP_TYPES.STREET_SIGN]: StreetSign,
     [PROP_TYPES.WOODEN_POST]: WoodenPost,
     [PROP_TYPES.LIGHTHOUSE]: Lighthouse,
+    [PROP_TYPES.WORKBENCH]: Workbench,
 };
 
 /**
@@ -0,0 +1,101 @@
+/**
+ * Workbench - Woodworking bench with a vise, saw and a stack of logs
+ * Players craft furniture and gear here (see config/crafting.js)
+ */
+
+import BaseProp from './BaseProp';
+import { PropColors } from './PropColors';
+import { getMaterialManager } from './PropMaterials';
+
+class Workbench extends BaseProp {
+    /**
+     * @param {THREE} THREE - Three.js library
+     */
+    constructor(THREE) {
+        super(THREE);
+        this.matManager = getMaterialManager(THREE);
+        this.width = 3;
+        this.depth = 1.4;
+        this.topHeight = 1.1;
+    }
+
+    spawn(scene, x, y, z) {
+        const THREE = this.THREE;
+        const group = this.createGroup(scene);
+        group.name = 'workbench';
+        group.position.set(x, y, z);
+
+        const topMat = this.matManager.get(PropColors.plankLight, { roughness: 0.85 });
+        const legMat = this.matManager.get(PropColors.plankDark, { roughness: 0.9 });
+        const metalMat = this.matManager.get(PropColors.metalMedium, { roughness: 0.5, metalness: 0.6 });
+        const barkMat = this.matManager.get(PropColors.barkMedium, { roughness: 0.95 });
+        const snowMat = this.matManager.get(PropColors.snowLight, { roughness: 0.6 });
+
+        const add = (geometry, material, px, py, pz) => {
+            const mesh = new THREE.Mesh(geometry, material);
+            mesh.position.set(px, py, pz);
+            mesh.castShadow = true;
+            mesh.receiveShadow = true;
+            this.addMesh(mesh, group);
+            return mesh;
+        };
+
+        // Thick top and lower shelf
+        add(new THREE.BoxGeometry(this.width, 0.15, this.depth), topMat, 0, this.topHeight, 0);
+        add(new THREE.BoxGeometry(this.width - 0.3, 0.08, this.depth - 0.3), legMat, 0, 0.35, 0);
+
+        // Legs
+        const legGeo = new THREE.BoxGeometry(0.15, this.topHeight, 0.15);
+        const lx = this.width / 2 - 0.15;
+        const lz = this.depth / 2 - 0.12;
+        [[-lx, -lz], [lx, -lz], [-lx, lz], [lx, lz]].forEach(([px, pz]) => {
+            add(legGeo, legMat, px, this.topHeight / 2, pz);
+        });
+
+        // Vise on the front-left corner
+        add(new THREE.BoxGeometry(0.35, 0.25, 0.3), metalMat, -1.1, this.topHeight + 0.2, this.depth / 2 - 0.1);
+        const screw = add(new THREE.CylinderGeometry(0.03, 0.03, 0.45, 6), metalMat, -1.1, this.topHeight + 0.2, this.depth / 2 + 0.15);
+        screw.rotation.x = Math.PI / 2;
+
+        // Hand saw lying on the top
+        const blade = add(new THREE.BoxGeometry(0.9, 0.02, 0.22), metalMat, 0.45, this.topHeight + 0.09, 0.15);
+        blade.rotation.y = 0.3;
+        const handle = add(new THREE.BoxGeometry(0.25, 0.05, 0.12), legMat, -0.05, this.topHeight + 0.1, 0.3);
+        handle.rotation.y = 0.3;
+
+        // A plank being worked on
+        add(new THREE.BoxGeometry(1.2, 0.06, 0.3), topMat, 0.2, this.topHeight + 0.11, -0.35);
+
+        // Logs stacked on the shelf
+        const logGeo = new THREE.CylinderGeometry(0.14, 0.14, 1.4, 8);
+        [[-0.3, 0.53, -0.1], [0.0, 0.53, -0.1], [-0.15, 0.78, -0.1]].forEach(([px, py, pz]) => {
+            const log = add(logGeo, barkMat, px + 0.6, py, pz);
+            log.rotation.z = Math.PI / 2;
+        });
+
+        // Dusting of snow on the back edge
+        add(new THREE.BoxGeometry(this.width * 0.9, 0.04, 0.25), snowMat, 0, this.topHeight + 0.1, -this.depth / 2 + 0.15);
+
+        return this;
+    }
+
+    getCollisionBounds() {
+        if (!this.group) return null;
+
+        const x = this.group.position.x;
+        const z = this.group.position.z;
+        const turned = Math.abs(Math.sin(this.group.rotation.y)) > 0.5;
+        const hw = (turned ? this.depth : this.width) / 2;
+        const hd = (turned ? this.width : this.depth) / 2;
+
+        return {
+            minX: x - hw,
+            maxX: x + hw,
+            minZ: z - hd,
+            maxZ: z + hd,
+            height: this.topHeight + 0.2,
+        };
+    }
+}
+
+export default Workbench;
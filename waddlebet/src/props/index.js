@@ -35,6 +35,7 @@ export { default as IceSculpture } from './IceSculpture';
 export { default as Crate } from './Crate';
 export { default as StreetSign } from './StreetSign';
 export { default as WoodenPost } from './WoodenPost';
+export { default as Workbench } from './Workbench';
 
 // Ice fishing
 export { default as IceFishingHole } from './IceFishingHole';
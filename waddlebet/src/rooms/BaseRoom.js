@@ -272,7 +272,7 @@ class BaseRoom {
  * Generate Igloo interior room
  * @param {THREE} THREE - Three.js library
  * @param {THREE.Scene} scene - Scene to add objects to
- * @returns {Object} Room data with bounds, spawnPos, furniture, beachBall, colliders, map
+ * @returns {Object} Room data with bounds, spawnPos, furniture, beachBall, colliders, defaultFurniture, map
  */
 export function generateIglooInterior(THREE, scene) {
     const IGLOO_SIZE = 30;
@@ -324,6 +324,11 @@ export function generateIglooInterior(THREE, scene) {
         }
     }
     
+    // Built-in furniture - hidden when the owner saves their own layout (see IglooFurnitureLayer)
+    const defaultFurnitureGroup = new THREE.Group();
+    defaultFurnitureGroup.name = 'defaultIglooFurniture';
+    scene.add(defaultFurnitureGroup);
+    
     // Couch
     const couchGroup = new THREE.Group();
     const couchMat = new THREE.MeshStandardMaterial({ color: 0x2E4A62, roughness: 0.8 });
@@ -352,7 +357,7 @@ export function generateIglooInterior(THREE, scene) {
         couchGroup.add(cushion);
     });
     couchGroup.position.set(0, 0, -9);
-    scene.add(couchGroup);
+    defaultFurnitureGroup.add(couchGroup);
     
     // Chairs
     const createChair = (x, z, rotY) => {
@@ -379,7 +384,7 @@ export function generateIglooInterior(THREE, scene) {
         
         chairGroup.position.set(x, 0, z);
         chairGroup.rotation.y = rotY;
-        scene.add(chairGroup);
+        defaultFurnitureGroup.add(chairGroup);
     };
     createChair(-7.5, -3, Math.PI / 4);
     createChair(7.5, -3, -Math.PI / 4);
@@ -405,7 +410,7 @@ export function generateIglooInterior(THREE, scene) {
     tvGroup.add(consoleMesh);
     tvGroup.position.set(0, 0, 9);
     tvGroup.rotation.y = Math.PI;
-    scene.add(tvGroup);
+    defaultFurnitureGroup.add(tvGroup);
     
     // Coffee table
     const tableGroup = new THREE.Group();
@@ -423,7 +428,7 @@ export function generateIglooInterior(THREE, scene) {
         tableGroup.add(tLeg);
     });
     tableGroup.position.set(0, 0, -3);
-    scene.add(tableGroup);
+    defaultFurnitureGroup.add(tableGroup);
     
     // Beach ball
     const beachBallGroup = new THREE.Group();
@@ -475,7 +480,7 @@ export function generateIglooInterior(THREE, scene) {
     centerLeaf.position.y = 1.1;
     plantGroup.add(centerLeaf);
     plantGroup.position.set(-6, 0, 6);
-    scene.add(plantGroup);
+    defaultFurnitureGroup.add(plantGroup);
     
     // Bookshelf
     const shelfGroup = new THREE.Group();
@@ -504,7 +509,7 @@ export function generateIglooInterior(THREE, scene) {
     });
     shelfGroup.position.set(10, 0, 0);
     shelfGroup.rotation.y = -Math.PI / 2;
-    scene.add(shelfGroup);
+    defaultFurnitureGroup.add(shelfGroup);
     
     // Lighting
     scene.add(new THREE.AmbientLight(0x2a1a0a, 0.15));
@@ -571,6 +576,7 @@ export function generateIglooInterior(THREE, scene) {
         furniture,
         beachBall,
         colliders: furnitureColliders,
+        defaultFurniture: { group: defaultFurnitureGroup, colliders: furnitureColliders, furniture },
         map,
         update
     };
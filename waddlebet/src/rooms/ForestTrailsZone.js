@@ -14,6 +14,7 @@
 
 import CollisionSystem from '../engine/CollisionSystem';
 import { createProp, PROP_TYPES } from '../props';
+import { CRAFTING_BENCH } from '../config/crafting';
 import { applyGroundPathSurface, groundPathMaterialProps } from '../utils/groundPathSurface';
 import {
     createForestGroundTexture,
@@ -335,6 +336,21 @@ class ForestTrailsZone {
                     1, { name: 'cabin_bench' }, benchRotation
                 );
             } catch (e) { /* skip */ }
+
+            // Woodworking bench — against the cabin's east wall, vise facing out (see config/crafting.js)
+            try {
+                const workbenchRotation = Math.PI / 2;
+                const workbenchProp = createProp(THREE, null, PROP_TYPES.WORKBENCH, 0, 0, 0, {});
+                const workbenchMesh = attachPropData(workbenchProp, workbenchProp.group);
+                workbenchMesh.position.set(OX + CRAFTING_BENCH.localX, 0, OZ + CRAFTING_BENCH.localZ);
+                workbenchMesh.rotation.y = workbenchRotation;
+                this._addToZone(workbenchMesh);
+                this.collisionSystem.addCollider(
+                    CRAFTING_BENCH.localX, CRAFTING_BENCH.localZ,
+                    { type: 'box', size: { x: 3, z: 1.4 }, height: 1.3 },
+                    1, { name: 'workbench' }, workbenchRotation
+                );
+            } catch (e) { /* skip */ }
         }
 
         console.log('🌿 Forest ambience: logs, cabin, butterflies');
@@ -0,0 +1,239 @@
+/**
+ * IglooFurnitureLayer - Renders an owner's saved furniture layout inside an igloo interior
+ * Swaps the interior's built-in furniture for the layout's pieces and keeps the room's colliders and
+ * sittable furniture in sync, so movement and sitting work the same as with the built-in layout.
+ */
+
+import CollisionSystem from '../engine/CollisionSystem';
+import { disposeThreeObject } from '../utils/disposeThreeObject';
+import {
+    IGLOO_FURNITURE_CATALOG,
+    IGLOO_INTERIOR_FIXTURES,
+    IGLOO_LAYOUT_LIMITS,
+    getFurnitureFootprint
+} from '../config/iglooFurniture';
+
+/**
+ * Build the mesh for one catalog item, centered on its footprint with the front facing +Z
+ * @param {THREE} THREE
+ * @param {string} type - key of IGLOO_FURNITURE_CATALOG
+ * @returns {THREE.Group}
+ */
+export function createFurnitureMesh(THREE, type) {
+    const item = IGLOO_FURNITURE_CATALOG[type];
+    const group = new THREE.Group();
+    const mat = new THREE.MeshStandardMaterial({ color: item.color, roughness: 0.8 });
+    const add = (geometry, x, y, z, material = mat) => {
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.set(x, y, z);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        group.add(mesh);
+        return mesh;
+    };
+
+    switch (type) {
+        case 'couch': {
+            const cushionMat = new THREE.MeshStandardMaterial({ color: 0x3D5A80, roughness: 0.9 });
+            add(new THREE.BoxGeometry(5, 0.8, 2), 0, 0.4, 0);
+            add(new THREE.BoxGeometry(5, 1.5, 0.5), 0, 1.15, -0.75);
+            [-2.25, 2.25].forEach(x => add(new THREE.BoxGeometry(0.5, 1, 2), x, 0.7, 0));
+            [-1.4, 0, 1.4].forEach(x => add(new THREE.BoxGeometry(1.3, 0.3, 1.4), x, 0.95, 0.2, cushionMat));
+            break;
+        }
+        case 'armchair': {
+            const frameMat = new THREE.MeshStandardMaterial({ color: 0x5D4E37, roughness: 0.8 });
+            add(new THREE.BoxGeometry(1.6, 0.6, 1.6), 0, 0.3, 0, frameMat);
+            add(new THREE.BoxGeometry(1.5, 0.25, 1.4), 0, 0.72, 0.05);
+            add(new THREE.BoxGeometry(1.6, 1.2, 0.25), 0, 1.2, -0.7);
+            break;
+        }
+        case 'beanbag': {
+            const bag = add(new THREE.SphereGeometry(0.85, 16, 12), 0, 0.45, 0);
+            bag.scale.y = 0.6;
+            break;
+        }
+        case 'coffee_table': {
+            add(new THREE.BoxGeometry(2.6, 0.15, 1.6), 0, 0.6, 0);
+            const legGeo = new THREE.BoxGeometry(0.15, 0.6, 0.15);
+            [[-1.1, -0.6], [-1.1, 0.6], [1.1, -0.6], [1.1, 0.6]].forEach(([x, z]) => add(legGeo, x, 0.3, z));
+            break;
+        }
+        case 'tv': {
+            add(new THREE.BoxGeometry(2.8, 1, 0.9), 0, 0.5, 0);
+            add(new THREE.BoxGeometry(2.5, 1.6, 0.15), 0, 1.9, -0.1, new THREE.MeshStandardMaterial({ color: 0x1a1a2e, roughness: 0.3 }));
+            const glow = new THREE.Mesh(
+                new THREE.PlaneGeometry(2.3, 1.4),
+                new THREE.MeshBasicMaterial({ color: 0x3366cc, transparent: true, opacity: 0.35 })
+            );
+            glow.position.set(0, 1.9, -0.02);
+            group.add(glow);
+            break;
+        }
+        case 'bookshelf': {
+            add(new THREE.BoxGeometry(2.8, 3, 0.8), 0, 1.5, 0);
+            const bookColors = [0xE74C3C, 0x3498DB, 0x2ECC71, 0xF39C12, 0x9B59B6];
+            [0.35, 1.3, 2.25].forEach((y, shelfIdx) => {
+                for (let i = 0; i < 6; i++) {
+                    const bookMat = new THREE.MeshStandardMaterial({ color: bookColors[(i + shelfIdx) % bookColors.length] });
+                    add(new THREE.BoxGeometry(0.3, 0.6, 0.1), -1 + i * 0.4, y + 0.35, 0.4, bookMat);
+                }
+            });
+            break;
+        }
+        case 'plant': {
+            add(new THREE.CylinderGeometry(0.4, 0.3, 0.6, 12), 0, 0.3, 0, new THREE.MeshStandardMaterial({ color: 0xB5651D, roughness: 0.8 }));
+            for (let i = 0; i < 6; i++) {
+                const angle = (i / 6) * Math.PI * 2;
+                const leaf = add(new THREE.ConeGeometry(0.15, 0.8, 4), Math.cos(angle) * 0.2, 1, Math.sin(angle) * 0.2);
+                leaf.rotation.set(0.3, angle, 0);
+            }
+            break;
+        }
+        case 'lamp': {
+            const poleMat = new THREE.MeshStandardMaterial({ color: 0x333333, metalness: 0.6, roughness: 0.4 });
+            add(new THREE.CylinderGeometry(0.35, 0.4, 0.1, 16), 0, 0.05, 0, poleMat);
+            add(new THREE.CylinderGeometry(0.05, 0.05, 1.8, 8), 0, 0.95, 0, poleMat);
+            add(new THREE.CylinderGeometry(0.25, 0.4, 0.45, 16, 1, true), 0, 1.95, 0,
+                new THREE.MeshBasicMaterial({ color: item.color, side: THREE.DoubleSide }));
+            break;
+        }
+        case 'rug': {
+            const rug = new THREE.Mesh(new THREE.PlaneGeometry(3.8, 2.8), mat);
+            rug.rotation.x = -Math.PI / 2;
+            rug.position.y = 0.04;
+            rug.receiveShadow = true;
+            group.add(rug);
+            break;
+        }
+        default:
+            add(new THREE.BoxGeometry(item.width, Math.max(item.height, 0.1), item.depth), 0, item.height / 2, 0);
+    }
+
+    return group;
+}
+
+/**
+ * CollisionSystem holding an interior's fixed fittings plus the solid pieces of a layout.
+ * The furniture editor asks it whether a piece fits before placing it.
+ * @param {string} style - interior style from getIglooInteriorStyle
+ * @param {Object[]} pieces - layout pieces
+ * @returns {CollisionSystem}
+ */
+export function createLayoutCollisionSystem(style, pieces = []) {
+    const span = IGLOO_LAYOUT_LIMITS.GRID_CELLS * IGLOO_LAYOUT_LIMITS.CELL_SIZE;
+    const system = new CollisionSystem(span, span, 2);
+
+    for (const fixture of IGLOO_INTERIOR_FIXTURES[style] || IGLOO_INTERIOR_FIXTURES.default) {
+        system.addCollider(
+            (fixture.minX + fixture.maxX) / 2,
+            (fixture.minZ + fixture.maxZ) / 2,
+            { type: 'box', size: { x: fixture.maxX - fixture.minX, y: 3, z: fixture.maxZ - fixture.minZ } },
+            CollisionSystem.TYPES.SOLID,
+            { name: fixture.name, fixture: true }
+        );
+    }
+
+    for (const piece of pieces) {
+        const item = IGLOO_FURNITURE_CATALOG[piece.type];
+        if (!item) continue;
+        const rect = getFurnitureFootprint(piece);
+        system.addCollider(
+            rect.centerX,
+            rect.centerZ,
+            { type: 'box', size: { x: rect.width, y: item.height, z: rect.depth } },
+            item.solid ? CollisionSystem.TYPES.SOLID : CollisionSystem.TYPES.NONE,
+            { name: item.name, pieceId: piece.id }
+        );
+    }
+
+    return system;
+}
+
+export class IglooFurnitureLayer {
+    /**
+     * @param {THREE} THREE
+     * @param {THREE.Scene} scene
+     * @param {Object} roomData - interior room data; its colliders/furniture are rewritten on apply()
+     */
+    constructor(THREE, scene, roomData) {
+        this.THREE = THREE;
+        this.scene = scene;
+        this.roomData = roomData;
+        this.defaultFurniture = roomData.defaultFurniture || null;
+
+        // Whatever the built-in layout doesn't own (bar, DJ booth, speakers...) always stays
+        const defaultColliders = this.defaultFurniture?.colliders || [];
+        const defaultSeats = this.defaultFurniture?.furniture || [];
+        this.fixtureColliders = (roomData.colliders || []).filter(c => !defaultColliders.includes(c));
+        this.fixtureSeats = (roomData.furniture || []).filter(f => !defaultSeats.includes(f));
+
+        this.group = new THREE.Group();
+        this.group.name = 'iglooFurnitureLayout';
+        scene.add(this.group);
+    }
+
+    /**
+     * Show a layout (or the built-in furniture when the igloo has no custom layout)
+     * @param {{ customLayout?: boolean, furniture?: Object[] }|null} interior
+     */
+    apply(interior) {
+        for (const child of [...this.group.children]) {
+            disposeThreeObject(child);
+            this.group.remove(child);
+        }
+
+        const custom = !!interior?.customLayout;
+        if (this.defaultFurniture?.group) {
+            this.defaultFurniture.group.visible = !custom;
+        }
+
+        const colliders = [];
+        const seats = [];
+        if (custom) {
+            for (const piece of interior.furniture || []) {
+                const item = IGLOO_FURNITURE_CATALOG[piece.type];
+                if (!item) continue;
+                const rect = getFurnitureFootprint(piece);
+                const rotation = (piece.rotation || 0) * (Math.PI / 2);
+
+                const mesh = createFurnitureMesh(this.THREE, piece.type);
+                mesh.position.set(rect.centerX, 0, rect.centerZ);
+                mesh.rotation.y = rotation;
+                this.group.add(mesh);
+
+                if (item.solid) {
+                    colliders.push({
+                        x: rect.centerX, z: rect.centerZ,
+                        hw: rect.width / 2, hd: rect.depth / 2,
+                        // Seats only block up to the cushion so players can walk up and sit
+                        height: item.seat ? item.seat.seatHeight : item.height,
+                        y: 0,
+                        name: piece.id
+                    });
+                }
+                if (item.seat) {
+                    seats.push({
+                        type: piece.type,
+                        position: { x: rect.centerX, z: rect.centerZ },
+                        rotation,
+                        seatHeight: item.seat.seatHeight,
+                        snapPoints: item.seat.snapPoints,
+                        interactionRadius: item.seat.interactionRadius
+                    });
+                }
+            }
+        }
+
+        this.roomData.colliders = [...this.fixtureColliders, ...(custom ? colliders : this.defaultFurniture?.colliders || [])];
+        this.roomData.furniture = [...this.fixtureSeats, ...(custom ? seats : this.defaultFurniture?.furniture || [])];
+    }
+
+    dispose() {
+        disposeThreeObject(this.group);
+        this.scene.remove(this.group);
+        this.group = null;
+    }
+}
+
+export default IglooFurnitureLayer;
@@ -4,6 +4,7 @@
  * Works alongside OrbitControls to provide:
  * - Arrow key horizontal camera rotation
  * - Touch/mobile camera rotation (multitouch support)
+ * - Gamepad right-stick rotation
  * - Smooth auto-align behind player when moving (after manual input timeout)
  * - Soft/gradual transitions for all camera movements
  * 
@@ -38,6 +39,8 @@ class CameraController {
         // Rotation speeds
         this.arrowKeySpeed = 2.5;       // Radians per second for arrow keys
         this.touchSensitivity = 1.0;    // Multiplier for touch input
+        this.gamepadYawSpeed = 4;       // Radians per second at full right-stick deflection
+        this.gamepadPitchSpeed = 2;
         
         // Smooth follow settings
         this.followSmoothing = 0.1;     // How fast camera follows player position
@@ -75,6 +78,20 @@ class CameraController {
         this.lastManualInput = Date.now();
     }
     
+    /**
+     * Apply rotation from a gamepad's right stick (already deadzoned)
+     * @param {number} stickX - -1..1, positive = rotate right
+     * @param {number} stickY - -1..1, negative (stick pushed up) = rotate up
+     * @param {number} delta - Frame time in seconds
+     * @param {number} sensitivity - Sensitivity multiplier
+     */
+    applyGamepadRotation(stickX, stickY, delta, sensitivity = 1.0) {
+        if (stickX === 0 && stickY === 0) return;
+        this.pendingTouchYaw += stickX * this.gamepadYawSpeed * delta * sensitivity;
+        this.pendingTouchPitch += -stickY * this.gamepadPitchSpeed * delta * sensitivity;
+        this.lastManualInput = Date.now();
+    }
+    
     /**
      * Apply arrow key rotation
      * @param {number} direction - -1 for left, +1 for right, 0 for none
@@ -3,6 +3,8 @@
  * Extracted from VoxelWorld.jsx for modularity
  */
 
+import { isPlayerMuted } from '../utils/mutedPlayers';
+
 // Height constants for different character types
 export const BUBBLE_HEIGHT_PENGUIN = 5.8;
 export const BUBBLE_HEIGHT_MARCUS = 6.8;
@@ -163,6 +165,15 @@ export function createChatSprite(THREE, message, height = BUBBLE_HEIGHT_PENGUIN)
     return sprite;
 }
 
+/**
+ * Whether a player's chat bubble may be shown (muted players' bubbles are hidden locally)
+ * @param {string} playerName - Display name of the speaking player
+ * @returns {boolean}
+ */
+export function shouldShowChatBubble(playerName) {
+    return !isPlayerMuted(playerName);
+}
+
 /**
  * Get bubble height for a character type
  * @param {string} characterType - 'penguin', 'marcus', whale variants, or 'tungTung'
@@ -201,10 +212,12 @@ class ChatBubbleManager {
      * @param {string} entityId - Unique entity identifier
      * @param {THREE.Object3D} entityMesh - Mesh to attach bubble to
      * @param {string} message - Message text
-     * @param {Object} options - { characterType, isAFK, duration }
+     * @param {Object} options - { characterType, isAFK, duration, senderName }
+     * @returns {THREE.Sprite|null} null when the sender is muted
      */
     showBubble(entityId, entityMesh, message, options = {}) {
-        const { characterType = 'penguin', isAFK = false, duration = 5000 } = options;
+        const { characterType = 'penguin', isAFK = false, duration = 5000, senderName = null } = options;
+        if (senderName && !shouldShowChatBubble(senderName)) return null;
         
         // Remove existing bubble
         this.hideBubble(entityId, entityMesh);
@@ -3,6 +3,8 @@
  * Extracted from VoxelWorld.jsx for modularity
  */
 
+import { getInputManager } from './InputManager';
+
 // Emote wheel configuration (ordered clockwise from top)
 export const EMOTE_WHEEL_ITEMS = [
     { id: 'Wave', emoji: '👋', label: 'Wave', color: 'bg-blue-500' },
@@ -219,8 +221,8 @@ class EmoteSystem {
     handleKeyDown(event) {
         const code = event.code;
         
-        // T key to open wheel
-        if (code === 'KeyT') {
+        // Emote wheel key (T by default) to open wheel
+        if (getInputManager().matchesAction('emoteWheel', event)) {
             if (!this.keyHeld) {
                 this.openWheel();
             }
@@ -244,7 +246,7 @@ class EmoteSystem {
      * @returns {boolean} - True if event was handled
      */
     handleKeyUp(event) {
-        if (event.code === 'KeyT') {
+        if (getInputManager().matchesAction('emoteWheel', event)) {
             if (this.keyHeld) {
                 this.closeWheel(true);
             }
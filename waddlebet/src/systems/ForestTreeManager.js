@@ -19,6 +19,7 @@ import RemoteManualChopVisuals from './RemoteManualChopVisuals';
 
 const REGROW_ANIM_DURATION = 3.2;
 const MATURE_ANIM_DURATION = 1.8;
+const GOLDEN_COLOR = '#FFD54A';
 
 class ForestTreeManager {
     constructor() {
@@ -32,6 +33,8 @@ class ForestTreeManager {
         this.remoteChopVisuals = new RemoteManualChopVisuals();
         this._stumpHoverMeshes = [];
         this._stumpHoverDirty = true;
+        /** Shared geometry/materials for Golden Trees event markers (built on first use) */
+        this._goldenAssets = null;
     }
 
     _resolveStage(def, state) {
@@ -103,6 +106,72 @@ class ForestTreeManager {
         if (animate) {
             this._startGrowAnimation(entry, REGROW_ANIM_DURATION, 0.04);
         }
+        this._applyGolden(entry);
+    }
+
+    _getGoldenAssets() {
+        if (!this._goldenAssets) {
+            const THREE = this.THREE;
+            this._goldenAssets = {
+                gemGeometry: new THREE.OctahedronGeometry(0.55),
+                ringGeometry: new THREE.RingGeometry(1.6, 2.1, 32),
+                gemMaterial: new THREE.MeshBasicMaterial({ color: GOLDEN_COLOR }),
+                ringMaterial: new THREE.MeshBasicMaterial({
+                    color: GOLDEN_COLOR,
+                    transparent: true,
+                    opacity: 0.55,
+                    depthWrite: false,
+                    side: THREE.DoubleSide
+                })
+            };
+        }
+        return this._goldenAssets;
+    }
+
+    /** Golden Trees world event: floating gem above the tree and a glowing ring at its base */
+    _applyGolden(entry) {
+        const golden = entry.state?.golden === true && entry.state?.state !== 'harvested';
+        if (!golden) {
+            if (entry.goldenMarker) {
+                this.scene?.remove(entry.goldenMarker);
+                entry.goldenMarker = null;
+            }
+            return;
+        }
+        if (entry.goldenMarker || !this.scene) return;
+
+        const THREE = this.THREE;
+        const assets = this._getGoldenAssets();
+        const marker = new THREE.Group();
+        marker.name = 'golden_tree_marker';
+
+        const height = new THREE.Box3().setFromObject(entry.mesh).max.y;
+        const gem = new THREE.Mesh(assets.gemGeometry, assets.gemMaterial);
+        gem.position.y = Math.max(4, height) + 1.2;
+        marker.add(gem);
+
+        const ring = new THREE.Mesh(assets.ringGeometry, assets.ringMaterial);
+        ring.rotation.x = -Math.PI / 2;
+        ring.position.y = 0.06;
+        marker.add(ring);
+
+        marker.position.set(entry.mesh.position.x, 0, entry.mesh.position.z);
+        marker.userData.gem = gem;
+        marker.userData.baseY = gem.position.y;
+        marker.visible = this._renderVisible !== false;
+        this.scene.add(marker);
+        entry.goldenMarker = marker;
+    }
+
+    _updateGoldenMarkers(delta) {
+        for (const entry of this.trees.values()) {
+            const marker = entry.goldenMarker;
+            if (!marker) continue;
+            const gem = marker.userData.gem;
+            marker.userData.phase = (marker.userData.phase || 0) + delta;
+            gem.rotation.y += delta * 1.5;
+            gem.position.y = marker.userData.baseY + Math.sin(marker.userData.phase * 2) * 0.25;
+        }
     }
 
     _getTreeTargetScale(entry) {
@@ -153,6 +222,7 @@ class ForestTreeManager {
 
         entry.state = { ...next, stage: nextStage };
         entry.runtimeStage = nextStage;
+        this._applyGolden(entry);
 
         if (regrew) {
             this._respawnTree(entry, entry.state, { animate: true });
@@ -228,7 +298,8 @@ class ForestTreeManager {
         if (falling && tree.treeState === 'IDLE') tree.startFall();
     }
 
-    updateTree(treeId, state, regrowAt, choppingBy = null, stage = null) {
+    /** @param {boolean|null} [golden] - null keeps the current Golden Trees flag (cleared on harvest) */
+    updateTree(treeId, state, regrowAt, choppingBy = null, stage = null, golden = null) {
         const entry = this.trees.get(treeId);
         if (!entry) return;
         this._syncFromServer(entry, {
@@ -236,6 +307,7 @@ class ForestTreeManager {
             regrowAt,
             choppingBy,
             stage: stage || entry.runtimeStage,
+            golden: golden ?? (state !== 'harvested' && entry.state?.golden === true),
             id: treeId,
             localX: entry.def.localX,
             localZ: entry.def.localZ
@@ -393,8 +465,9 @@ class ForestTreeManager {
     setVisible(visible) {
         if (this._renderVisible === visible) return;
         this._renderVisible = visible;
-        for (const { mesh } of this.trees.values()) {
+        for (const { mesh, goldenMarker } of this.trees.values()) {
             if (mesh) mesh.visible = visible;
+            if (goldenMarker) goldenMarker.visible = visible;
         }
     }
 
@@ -408,6 +481,7 @@ class ForestTreeManager {
         }
         this.remoteChopVisuals.update(delta);
         this.updateGrowthAnimations(delta);
+        this._updateGoldenMarkers(delta);
     }
 
     /** @returns {Map<string, string>} playerId → treeId for hold-chop (non-manual) sessions */
@@ -447,8 +521,13 @@ class ForestTreeManager {
         if (this.scene) {
             for (const entry of this.trees.values()) {
                 this.scene.remove(entry.mesh);
+                if (entry.goldenMarker) this.scene.remove(entry.goldenMarker);
             }
         }
+        if (this._goldenAssets) {
+            Object.values(this._goldenAssets).forEach((asset) => asset.dispose());
+            this._goldenAssets = null;
+        }
         this.trees.clear();
         this._stumpHoverMeshes.length = 0;
         this._stumpHoverDirty = true;
@@ -1,10 +1,40 @@
 /**
- * InputManager - Centralized input handling for keyboard, mouse, and touch
+ * InputManager - Centralized input handling for keyboard, mouse, touch and gamepad
+ *
+ * Game code asks about abstract actions (moveForward, jump, interact, …) rather than keys; the
+ * action -> key map comes from `settings.keybinds` (see config/controls.js). A connected gamepad
+ * drives the same actions: its buttons are replayed as the bound key's keydown / keyup, so every
+ * existing key handler works unchanged, and the sticks feed movement and the camera.
  */
 
+import {
+    CONTROL_ACTION_IDS,
+    MOVEMENT_ACTIONS,
+    DEFAULT_CONTROL_BINDINGS,
+    GAMEPAD_ACTION_BUTTONS,
+    GAMEPAD_HOTBAR_BUTTONS,
+    GAMEPAD_DEADZONE,
+    normalizeControlBindings,
+} from '../config/controls.js';
+
+/** Stick value with the deadzone removed and the rest rescaled to 0..1 */
+function applyDeadzone(value) {
+    const magnitude = Math.abs(value);
+    if (magnitude < GAMEPAD_DEADZONE) return 0;
+    return Math.sign(value) * (magnitude - GAMEPAD_DEADZONE) / (1 - GAMEPAD_DEADZONE);
+}
+
 class InputManager {
     constructor() {
         this.keys = {};
+        this.bindings = { ...DEFAULT_CONTROL_BINDINGS };
+        /** Gamepad state from the last pollGamepad() */
+        this.gamepad = {
+            connected: false,
+            move: { x: 0, y: 0 },
+            camera: { x: 0, y: 0 },
+        };
+        this._gamepadButtons = [];
         this.mobileControls = {
             up: false,
             down: false,
@@ -92,6 +122,121 @@ class InputManager {
         // Reset touch state if needed
     };
     
+    // ==================== ACTION BINDINGS ====================
+    
+    /**
+     * Replace the action -> key map (saved `settings.keybinds`, possibly partial)
+     * @param {Object} bindings
+     */
+    setBindings(bindings) {
+        this.bindings = normalizeControlBindings(bindings);
+    }
+    
+    /**
+     * Key currently bound to an action
+     * @param {string} action
+     * @returns {string|null} KeyboardEvent.code
+     */
+    getBinding(action) {
+        return this.bindings[action] || null;
+    }
+    
+    /**
+     * Action bound to a key, if any
+     * @param {string} code - KeyboardEvent.code
+     * @returns {string|null}
+     */
+    getActionForCode(code) {
+        return CONTROL_ACTION_IDS.find(action => this.bindings[action] === code) || null;
+    }
+    
+    /**
+     * Check if a key event (or code) is the key bound to an action
+     * @param {string} action
+     * @param {KeyboardEvent|string} eventOrCode
+     */
+    matchesAction(action, eventOrCode) {
+        const code = typeof eventOrCode === 'string' ? eventOrCode : eventOrCode?.code;
+        return !!code && this.bindings[action] === code;
+    }
+    
+    /**
+     * Check if a key is one of the movement actions
+     * @param {string} code - KeyboardEvent.code
+     */
+    isMovementKey(code) {
+        return MOVEMENT_ACTIONS.some(action => this.bindings[action] === code);
+    }
+    
+    /**
+     * Check if an action's key is held (gamepad buttons count — they replay as the bound key)
+     * @param {string} action
+     */
+    isActionPressed(action) {
+        const code = this.bindings[action];
+        return !!code && !!this.keys[code];
+    }
+    
+    // ==================== GAMEPAD ====================
+    
+    /**
+     * Read the first connected gamepad - call once per frame.
+     * Buttons mapped to actions are replayed as keydown / keyup of the bound key on `window`,
+     * bumpers dispatch `cycleHotbarSlot`. Sticks are left in `this.gamepad` for the game loop.
+     * @returns {{ connected: boolean, move: { x: number, y: number }, camera: { x: number, y: number } }}
+     */
+    pollGamepad() {
+        const pads = typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : [];
+        const pad = Array.from(pads || []).find(p => p && p.connected);
+        const state = this.gamepad;
+        
+        if (!pad) {
+            if (state.connected) this._releaseGamepadButtons();
+            state.connected = false;
+            state.move.x = state.move.y = 0;
+            state.camera.x = state.camera.y = 0;
+            return state;
+        }
+        
+        state.connected = true;
+        // Left stick moves (up = forward), right stick turns the camera
+        state.move.x = applyDeadzone(pad.axes[0] || 0);
+        state.move.y = -applyDeadzone(pad.axes[1] || 0);
+        state.camera.x = applyDeadzone(pad.axes[2] || 0);
+        state.camera.y = applyDeadzone(pad.axes[3] || 0);
+        
+        const pressed = pad.buttons.map(button => !!button?.pressed);
+        const wasPressed = this._gamepadButtons;
+        const changed = (index) => pressed[index] !== !!wasPressed[index];
+        
+        for (const [action, index] of Object.entries(GAMEPAD_ACTION_BUTTONS)) {
+            if (changed(index)) this._replayActionKey(action, pressed[index]);
+        }
+        if (changed(GAMEPAD_HOTBAR_BUTTONS.previous) && pressed[GAMEPAD_HOTBAR_BUTTONS.previous]) {
+            window.dispatchEvent(new CustomEvent('cycleHotbarSlot', { detail: { direction: -1 } }));
+        }
+        if (changed(GAMEPAD_HOTBAR_BUTTONS.next) && pressed[GAMEPAD_HOTBAR_BUTTONS.next]) {
+            window.dispatchEvent(new CustomEvent('cycleHotbarSlot', { detail: { direction: 1 } }));
+        }
+        
+        this._gamepadButtons = pressed;
+        return state;
+    }
+    
+    _replayActionKey(action, down) {
+        const code = this.bindings[action];
+        if (!code || typeof window === 'undefined') return;
+        window.dispatchEvent(new KeyboardEvent(down ? 'keydown' : 'keyup', { code, bubbles: true }));
+    }
+    
+    /** Pad unplugged mid-press: release whatever it was holding */
+    _releaseGamepadButtons() {
+        for (const [action, index] of Object.entries(GAMEPAD_ACTION_BUTTONS)) {
+            if (this._gamepadButtons[index]) this._replayActionKey(action, false);
+        }
+        this._gamepadButtons = [];
+    }
+    
     /**
      * Get movement direction from current input
      * @returns {{ x: number, z: number }}
@@ -100,16 +245,19 @@ class InputManager {
         let dx = 0;
         let dz = 0;
         
-        // Keyboard input
-        if (this.keys['w'] || this.keys['arrowup'] || this.mobileControls.up) dz -= 1;
-        if (this.keys['s'] || this.keys['arrowdown'] || this.mobileControls.down) dz += 1;
-        if (this.keys['a'] || this.keys['arrowleft'] || this.mobileControls.left) dx -= 1;
-        if (this.keys['d'] || this.keys['arrowright'] || this.mobileControls.right) dx += 1;
+        // Keyboard input (bound movement keys)
+        if (this.isActionPressed('moveForward') || this.mobileControls.up) dz -= 1;
+        if (this.isActionPressed('moveBack') || this.mobileControls.down) dz += 1;
+        if (this.isActionPressed('moveLeft') || this.mobileControls.left) dx -= 1;
+        if (this.isActionPressed('moveRight') || this.mobileControls.right) dx += 1;
         
         // Joystick input (overrides if non-zero)
         if (Math.abs(this.joystick.x) > 0.1 || Math.abs(this.joystick.y) > 0.1) {
             dx = this.joystick.x;
             dz = this.joystick.y;
+        } else if (this.gamepad.move.x !== 0 || this.gamepad.move.y !== 0) {
+            dx = this.gamepad.move.x;
+            dz = -this.gamepad.move.y;
         }
         
         // Normalize diagonal movement
@@ -126,7 +274,7 @@ class InputManager {
      * Check if jump key is pressed
      */
     isJumping() {
-        return this.keys[' '] || this.keys['space'];
+        return this.isActionPressed('jump');
     }
     
     /**
@@ -4,6 +4,7 @@
  */
 
 import { displayTokenSymbol } from '../utils/tokenDisplay.js';
+import { getSideBetOdds } from '../config/sideBets.js';
 
 /**
  * Create a canvas for rendering match banners
@@ -86,6 +87,31 @@ function formatWagerText(wager, wagerToken) {
     }
 }
 
+/**
+ * Draw spectator side-bet odds in the bottom corners, under each player's side.
+ * Green while betting is open, dimmed once the first move closes it.
+ */
+export function drawSideBetOdds(ctx, canvas, sideBets) {
+    if (!sideBets || (!sideBets.open && !sideBets.bettorCount)) return;
+    
+    const y = canvas.height - 28;
+    ctx.font = 'bold 15px Arial';
+    ctx.fillStyle = sideBets.open ? '#4ADE80' : 'rgba(255, 255, 255, 0.55)';
+    
+    if (!sideBets.bettorCount) {
+        ctx.textAlign = 'left';
+        ctx.fillText('🎲 Bets open', 20, y);
+        return;
+    }
+    
+    const odds = getSideBetOdds(sideBets.pools);
+    const formatOdds = (multiplier) => (multiplier ? `${multiplier.toFixed(1)}x` : '—');
+    ctx.textAlign = 'left';
+    ctx.fillText(`🎲 ${formatOdds(odds.player1)}`, 20, y);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${formatOdds(odds.player2)} 🎲`, canvas.width - 20, y);
+}
+
 /**
  * Render Card Jitsu match banner (matches original exactly)
  */
@@ -1185,7 +1211,7 @@ export function renderBannerToCanvas(ctx, matchData) {
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     drawBubbleBackground(ctx, canvas);
     
-    const { gameType, players, state, wagerAmount, wagerToken } = matchData;
+    const { gameType, players, state, wagerAmount, wagerToken, sideBets } = matchData;
     const wager = wagerAmount || 0;
     
     // Handle both naming conventions for game types
@@ -1215,6 +1241,8 @@ export function renderBannerToCanvas(ctx, matchData) {
             renderCardJitsuBanner(ctx, canvas, players, state, wager, wagerToken);
             break;
     }
+    
+    drawSideBetOdds(ctx, canvas, sideBets);
 }
 
 /**
@@ -4,6 +4,7 @@
  */
 
 import { playerHasAnimatedCosmetics } from '../engine/PenguinBuilder.js';
+import { dequantizePosition, dequantizeRotation, applyRotationDelta } from '../config/interest.js';
 
 // Emotes that don't auto-end (continuous/looping)
 const CONTINUOUS_EMOTES = ['Sit', 'Breakdance', 'DJ', '67', 'Headbang', 'Dance', 'Sleep', 'Cry', 'Flex'];
@@ -53,6 +54,65 @@ export function calculateLerpFactor(delta, speed = 10) {
     return Math.min(1, delta * speed);
 }
 
+/**
+ * Write a player's quantized network state back to the position fields the game loop reads
+ * @param {Object} playerData - Player data from server
+ */
+function applyNetState(playerData) {
+    const [x, y, z, rot, puffleX, puffleZ] = playerData.netState;
+    playerData.position = { x: dequantizePosition(x), y: dequantizePosition(y), z: dequantizePosition(z) };
+    playerData.rotation = dequantizeRotation(rot);
+    playerData.pufflePosition = puffleX === undefined
+        ? null
+        : { x: dequantizePosition(puffleX), z: dequantizePosition(puffleZ) };
+}
+
+/**
+ * Apply a server `pos_batch` (see config/interest.js) to the room's player data.
+ * Players entering range get `inRange` and an absolute position; deltas only apply to players
+ * already in range; leaving range clears `inRange` (the player stays in the room roster).
+ * @param {Map} playersData - Map of playerId -> playerData
+ * @param {{ e?: Array, m?: Array, l?: Array }} batch
+ * @returns {{ entered: string[], left: string[] }} players whose range changed
+ */
+export function applyPositionBatch(playersData, batch) {
+    const entered = [];
+    const left = [];
+
+    for (const [id, ...values] of batch.e || []) {
+        const playerData = playersData.get(id);
+        if (!playerData) continue;
+        playerData.netState = values;
+        applyNetState(playerData);
+        if (!playerData.inRange) {
+            playerData.inRange = true;
+            entered.push(id);
+        }
+    }
+
+    for (const [id, ...deltas] of batch.m || []) {
+        const playerData = playersData.get(id);
+        if (!playerData?.netState) continue;
+        const state = playerData.netState;
+        deltas.forEach((delta, i) => {
+            state[i] = i === 3 ? applyRotationDelta(state[i], delta) : state[i] + delta;
+        });
+        applyNetState(playerData);
+    }
+
+    for (const id of batch.l || []) {
+        const playerData = playersData.get(id);
+        if (!playerData) continue;
+        playerData.netState = null;
+        if (playerData.inRange) {
+            playerData.inRange = false;
+            left.push(id);
+        }
+    }
+
+    return { entered, left };
+}
+
 class MultiplayerSync {
     constructor(options = {}) {
         this.THREE = options.THREE || window.THREE;
@@ -89,14 +149,14 @@ class MultiplayerSync {
     }
 
     /**
-     * Sync player list - create meshes for new players, remove for departed
+     * Sync player list - create meshes for players in range, remove for departed or out of range
      * @param {Array<string>} playerList - Array of player IDs
      * @param {Map} playersData - Map of playerId -> playerData
      */
     syncPlayerList(playerList, playersData) {
         if (!this.scene || !this.buildPenguinMesh) return;
         
-        const currentPlayerIds = new Set(playerList);
+        const currentPlayerIds = new Set(playerList.filter(id => playersData.get(id)?.inRange));
         
         // Remove meshes for players who left
         for (const [id, data] of this.playerMeshes) {
@@ -106,7 +166,7 @@ class MultiplayerSync {
         }
         
         // Create meshes for new players
-        for (const id of playerList) {
+        for (const id of currentPlayerIds) {
             if (this.playerMeshes.has(id)) continue;
             
             const playerData = playersData.get(id);
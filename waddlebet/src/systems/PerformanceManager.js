@@ -58,6 +58,7 @@ export const PERFORMANCE_PRESETS = {
         animateDistantCosmetics: true,
         trailParticles: true,
         goldRainParticles: true,
+        weatherEffects: 'full',             // Aurora ribbons, fog, weather-driven snow
     },
     // High quality (default for good PCs)
     high: {
@@ -75,6 +76,7 @@ export const PERFORMANCE_PRESETS = {
         animateDistantCosmetics: false, // Disabled for perf
         trailParticles: true,
         goldRainParticles: true,
+        weatherEffects: 'full',
     },
     // Medium quality (balanced)
     medium: {
@@ -92,6 +94,7 @@ export const PERFORMANCE_PRESETS = {
         animateDistantCosmetics: false,
         trailParticles: true,
         goldRainParticles: false,       // Disabled
+        weatherEffects: 'reduced',          // Single aurora ribbon
     },
     // Low quality (performance mode)
     low: {
@@ -109,6 +112,7 @@ export const PERFORMANCE_PRESETS = {
         animateDistantCosmetics: false,
         trailParticles: false,
         goldRainParticles: false,
+        weatherEffects: 'minimal',          // Sky tint + fog only
     },
     // Potato mode (maximum performance)
     potato: {
@@ -126,6 +130,7 @@ export const PERFORMANCE_PRESETS = {
         animateDistantCosmetics: false,
         trailParticles: false,
         goldRainParticles: false,
+        weatherEffects: 'minimal',
     },
 };
 
@@ -438,6 +443,7 @@ class PerformanceManager {
     
     /**
      * Save current settings to localStorage
+     * (per device — the preset is never synced to the account, see DEVICE_ONLY_SETTINGS)
      */
     saveSettings() {
         try {
@@ -678,9 +684,16 @@ class PerformanceManager {
      * @param {boolean} isMobile - True if mobile device
      */
     getSnowParticleCount(isMobile = false) {
-        if (isMobile) return 400;
+        if (isMobile) return Math.min(400, this.settings.snowParticles);
         return this.settings.snowParticles;
     }
+
+    /**
+     * Weather effect detail: 'full' | 'reduced' | 'minimal' (see WeatherSystem)
+     */
+    getWeatherEffectsLevel() {
+        return this.settings.weatherEffects || 'full';
+    }
     
     /**
      * Check if trail particles should be shown
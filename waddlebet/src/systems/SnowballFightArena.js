@@ -0,0 +1,144 @@
+/**
+ * Snowball fight markers in Snow Forts — team flags (capture the flag) and the hill ring
+ * (king of the hill). Rebuilt from `snowball_fight_state`; carried flags follow their carrier.
+ */
+
+import { disposeThreeObject } from '../utils/disposeThreeObject';
+import { SNOWBALL_FIGHT_TEAMS, SNOWBALL_FIGHT_HILL } from '../config/snowballFight';
+
+const HILL_COLORS = {
+    contested: 0xffffff,
+    none: 0x9fd8ff,
+};
+
+class SnowballFightArena {
+    constructor() {
+        this.scene = null;
+        this.THREE = null;
+        this.flags = new Map(); // team -> { group, carrierId }
+        this.hill = null;
+        this.matchId = null;
+    }
+
+    init(scene, THREE) {
+        this.scene = scene;
+        this.THREE = THREE;
+    }
+
+    /**
+     * Sync markers with the server match (null clears everything)
+     * @param {object | null} match - serialized snowball fight
+     */
+    setMatch(match) {
+        if (!this.scene || !this.THREE) return;
+        const running = match?.phase === 'running';
+
+        if (!running || match.id !== this.matchId) {
+            this.clear();
+        }
+        if (!running) return;
+        this.matchId = match.id;
+
+        if (match.flags) {
+            for (const [team, flag] of Object.entries(match.flags)) {
+                let entry = this.flags.get(team);
+                if (!entry) {
+                    entry = { group: this._buildFlag(team), carrierId: null };
+                    this.flags.set(team, entry);
+                }
+                entry.carrierId = flag.state === 'carried' ? flag.carrierId : null;
+                if (!entry.carrierId) {
+                    entry.group.position.set(flag.position.x, 0, flag.position.z);
+                }
+            }
+        }
+
+        if (match.hill) {
+            if (!this.hill) this.hill = this._buildHill();
+            const holder = match.hill.holder;
+            const color = SNOWBALL_FIGHT_TEAMS[holder]?.color || HILL_COLORS[holder || 'none'];
+            this.hill.material.color.set(color);
+        }
+    }
+
+    _buildFlag(team) {
+        const THREE = this.THREE;
+        const group = new THREE.Group();
+        group.name = `snowball_fight_flag_${team}`;
+
+        const pole = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.06, 0.06, 3, 8),
+            new THREE.MeshStandardMaterial({ color: 0x8b5a2b })
+        );
+        pole.position.y = 1.5;
+        group.add(pole);
+
+        const cloth = new THREE.Mesh(
+            new THREE.PlaneGeometry(1.2, 0.8),
+            new THREE.MeshStandardMaterial({ color: SNOWBALL_FIGHT_TEAMS[team].color, side: THREE.DoubleSide })
+        );
+        cloth.position.set(0.6, 2.55, 0);
+        group.add(cloth);
+        group.userData.cloth = cloth;
+
+        this.scene.add(group);
+        return group;
+    }
+
+    _buildHill() {
+        const THREE = this.THREE;
+        const ring = new THREE.Mesh(
+            new THREE.RingGeometry(SNOWBALL_FIGHT_HILL.radius - 0.4, SNOWBALL_FIGHT_HILL.radius, 48),
+            new THREE.MeshBasicMaterial({
+                color: HILL_COLORS.none,
+                transparent: true,
+                opacity: 0.55,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            })
+        );
+        ring.name = 'snowball_fight_hill';
+        ring.rotation.x = -Math.PI / 2;
+        ring.position.set(SNOWBALL_FIGHT_HILL.x, 0.05, SNOWBALL_FIGHT_HILL.z);
+        this.scene.add(ring);
+        return ring;
+    }
+
+    /**
+     * @param {number} time - seconds
+     * @param {(playerId: string) => { x: number, y: number, z: number } | null} getPlayerPosition
+     */
+    update(time, getPlayerPosition) {
+        for (const { group, carrierId } of this.flags.values()) {
+            if (carrierId) {
+                const pos = getPlayerPosition(carrierId);
+                if (pos) group.position.set(pos.x, pos.y + 0.6, pos.z);
+            }
+            group.userData.cloth.rotation.y = Math.sin(time * 3) * 0.25;
+        }
+        if (this.hill) {
+            this.hill.material.opacity = 0.45 + Math.sin(time * 2) * 0.1;
+        }
+    }
+
+    clear() {
+        for (const { group } of this.flags.values()) {
+            this.scene?.remove(group);
+            disposeThreeObject(group);
+        }
+        this.flags.clear();
+        if (this.hill) {
+            this.scene?.remove(this.hill);
+            disposeThreeObject(this.hill);
+            this.hill = null;
+        }
+        this.matchId = null;
+    }
+
+    dispose() {
+        this.clear();
+        this.scene = null;
+    }
+}
+
+export default SnowballFightArena;
@@ -3,6 +3,8 @@
  * 
  * Creates a realistic snow effect with particles that fall, drift, and respawn
  * around the player position. Intensity varies based on time of day.
+ * Weather (WeatherSystem) scales how many particles fall and how fast/windy; the
+ * quality tier caps the particle budget.
  */
 
 const DEFAULT_CONFIG = {
@@ -43,6 +45,11 @@ class SnowfallSystem {
         this.intensity = 0.7; // Default intensity (0-1)
         this.centerPosition = { x: 0, z: 0 };
         
+        // Particle budget from the quality tier, and the weather's share of it
+        this.particleBudget = this.config.particleCount;
+        this.activeCount = this.config.particleCount;
+        this.weather = { density: 1, fallSpeed: 1, wind: 1 };
+        
         // Exclusion zones (areas where snow shouldn't fall, like inside buildings)
         this.exclusionZones = [];
     }
@@ -150,6 +157,8 @@ class SnowfallSystem {
             blending: THREE.NormalBlending,
         });
         
+        this.geometry.setDrawRange(0, this.activeCount);
+        
         this.particles = new THREE.Points(this.geometry, this.material);
         this.particles.frustumCulled = false; // Always render snow
         this.particles.name = 'snowfall_system';
@@ -170,7 +179,9 @@ class SnowfallSystem {
         if (!this.particles || !this.visible) return;
         
         const positions = this.geometry.attributes.position.array;
-        const { particleCount, areaSize, areaHeight, driftSpeed } = this.config;
+        const { areaSize, areaHeight, driftSpeed } = this.config;
+        const { fallSpeed, wind } = this.weather;
+        const particleCount = this.activeCount;
         
         // Update center position smoothly towards player
         const playerX = playerPos?.x || this.centerPosition.x;
@@ -189,9 +200,9 @@ class SnowfallSystem {
         this.material.uniforms.globalOpacity.value = this.intensity;
         this.material.uniforms.time.value = time;
         
-        // Wind effect that changes over time
-        const windX = Math.sin(time * 0.1) * driftSpeed * 0.5;
-        const windZ = Math.cos(time * 0.15) * driftSpeed * 0.3;
+        // Wind effect that changes over time (stronger weather adds a steady push)
+        const windX = (Math.sin(time * 0.1) * 0.5 + Math.max(0, wind - 1)) * driftSpeed * wind;
+        const windZ = Math.cos(time * 0.15) * driftSpeed * 0.3 * wind;
         
         const halfArea = areaSize / 2;
         
@@ -200,7 +211,7 @@ class SnowfallSystem {
             
             // Apply velocity + wind
             positions[idx] += (this.velocities[idx] + windX) * delta;
-            positions[idx + 1] += this.velocities[idx + 1] * delta;
+            positions[idx + 1] += this.velocities[idx + 1] * fallSpeed * delta;
             positions[idx + 2] += (this.velocities[idx + 2] + windZ) * delta;
             
             // Respawn particles that fall below ground, drift too far, or enter exclusion zones
@@ -235,6 +246,31 @@ class SnowfallSystem {
         this.geometry.attributes.position.needsUpdate = true;
     }
     
+    /**
+     * Cap the number of particles (performance tier budget)
+     * @param {number} count
+     */
+    setParticleBudget(count) {
+        this.particleBudget = Math.max(0, Math.min(this.config.particleCount, Math.floor(count) || 0));
+        this._applyActiveCount();
+    }
+    
+    /**
+     * Weather-driven snowfall
+     * @param {Object} weather - { density: 0-1 share of the budget, fallSpeed, wind } multipliers
+     */
+    setWeather({ density = 1, fallSpeed = 1, wind = 1 } = {}) {
+        this.weather = { density: Math.max(0, Math.min(1, density)), fallSpeed, wind };
+        this._applyActiveCount();
+    }
+    
+    _applyActiveCount() {
+        this.activeCount = Math.round(this.particleBudget * this.weather.density);
+        if (this.geometry) {
+            this.geometry.setDrawRange(0, this.activeCount);
+        }
+    }
+    
     /**
      * Set visibility of the snowfall system
      * @param {boolean} visible
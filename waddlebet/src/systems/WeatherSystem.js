@@ -0,0 +1,263 @@
+/**
+ * WeatherSystem - Renders the server's per-room weather on top of the day/night cycle
+ *
+ * Blends between states from config/weather.js: drives SnowfallSystem density/wind,
+ * scene fog (visibility), sun/ambient intensity and sky tint, and an aurora layer at night.
+ * Detail follows the PerformanceManager tier (weatherEffects: full / reduced / minimal).
+ */
+
+import { WEATHER_STATES, WEATHER_BLEND_SECONDS, getWeatherState } from '../config/weather';
+
+const AURORA_RIBBONS = {
+    full: 3,
+    reduced: 1,
+    minimal: 0,
+};
+
+const AURORA_COLORS = ['#3DFFB0', '#5AE0FF', '#B57CFF'];
+
+/** Numeric targets blended each frame */
+function targetsFor(state) {
+    return {
+        snowDensity: state.snow.density,
+        fallSpeed: state.snow.fallSpeed,
+        wind: state.snow.wind,
+        fogNear: state.fog.near,
+        fogFar: state.fog.far,
+        sun: state.light.sun,
+        ambient: state.light.ambient,
+        tintAmount: state.light.tintAmount,
+        aurora: state.aurora ? 1 : 0,
+    };
+}
+
+class WeatherSystem {
+    /**
+     * @param {Object} THREE
+     * @param {THREE.Scene} scene
+     * @param {Object} options
+     * @param {SnowfallSystem} [options.snowfall]
+     * @param {string} [options.effectsLevel] - 'full' | 'reduced' | 'minimal'
+     */
+    constructor(THREE, scene, options = {}) {
+        this.THREE = THREE;
+        this.scene = scene;
+        this.snowfall = options.snowfall || null;
+        this.effectsLevel = options.effectsLevel || 'full';
+
+        this.stateId = null;
+        this.current = targetsFor(WEATHER_STATES.clear);
+        this.target = { ...this.current };
+        this.tintColor = new THREE.Color('#FFFFFF');
+        this.targetTint = new THREE.Color('#FFFFFF');
+
+        // Lighting the weather multiplies (re-captured whenever day/night rewrites it)
+        this.baseLighting = null;
+        this._tempColor = new THREE.Color();
+
+        this.auroraGroup = null;
+        this.auroraMaterials = [];
+        this._buildAurora();
+    }
+
+    /**
+     * Follow the server weather. Returns true when the state changed.
+     * @param {string|null} stateId
+     */
+    setWeather(stateId) {
+        const id = stateId && WEATHER_STATES[stateId] ? stateId : 'clear';
+        if (id === this.stateId) return false;
+
+        const state = getWeatherState(id);
+        const firstState = this.stateId === null;
+        this.stateId = id;
+        this.target = targetsFor(state);
+        if (state.light.skyTint) {
+            this.targetTint.set(state.light.skyTint);
+        }
+
+        // Entering a room snaps straight to its weather; changes in place blend
+        if (firstState) {
+            this.current = { ...this.target };
+            this.tintColor.copy(this.targetTint);
+        }
+        return true;
+    }
+
+    getStateId() {
+        return this.stateId;
+    }
+
+    /**
+     * Change detail tier (performancePresetChanged)
+     * @param {string} level - 'full' | 'reduced' | 'minimal'
+     * @param {number} [snowBudget] - snow particle cap for the tier
+     */
+    setEffectsLevel(level, snowBudget) {
+        if (snowBudget != null) {
+            this.snowfall?.setParticleBudget(snowBudget);
+        }
+        if (level === this.effectsLevel) return;
+        this.effectsLevel = level;
+        this._disposeAurora();
+        this._buildAurora();
+    }
+
+    _buildAurora() {
+        const ribbons = AURORA_RIBBONS[this.effectsLevel] ?? 0;
+        if (!ribbons) return;
+
+        const THREE = this.THREE;
+        this.auroraGroup = new THREE.Group();
+        this.auroraGroup.name = 'weather_aurora';
+        this.auroraGroup.visible = false;
+
+        for (let i = 0; i < ribbons; i++) {
+            const geometry = new THREE.PlaneGeometry(260, 40, 48, 1);
+            const material = new THREE.ShaderMaterial({
+                uniforms: {
+                    color: { value: new THREE.Color(AURORA_COLORS[i % AURORA_COLORS.length]) },
+                    time: { value: 0 },
+                    opacity: { value: 0 },
+                    phase: { value: i * 1.7 },
+                },
+                vertexShader: `
+                    uniform float time;
+                    uniform float phase;
+                    varying vec2 vUv;
+
+                    void main() {
+                        vUv = uv;
+                        vec3 p = position;
+                        p.z += sin(p.x * 0.03 + time * 0.25 + phase) * 12.0;
+                        p.y += sin(p.x * 0.05 + time * 0.4 + phase) * 3.0 * uv.y;
+                        gl_Position = projectionMatrix * modelViewMatrix * vec4(p, 1.0);
+                    }
+                `,
+                fragmentShader: `
+                    uniform vec3 color;
+                    uniform float time;
+                    uniform float opacity;
+                    uniform float phase;
+                    varying vec2 vUv;
+
+                    void main() {
+                        // Bright hem at the bottom fading into the sky, with drifting curtains
+                        float band = smoothstep(0.0, 0.15, vUv.y) * (1.0 - smoothstep(0.3, 1.0, vUv.y));
+                        float curtains = 0.55 + 0.45 * sin(vUv.x * 40.0 + time * 0.8 + phase);
+                        float edges = smoothstep(0.0, 0.15, vUv.x) * (1.0 - smoothstep(0.85, 1.0, vUv.x));
+                        gl_FragColor = vec4(color, band * curtains * edges * opacity);
+                    }
+                `,
+                transparent: true,
+                depthWrite: false,
+                side: THREE.DoubleSide,
+                blending: THREE.AdditiveBlending,
+            });
+
+            const ribbon = new THREE.Mesh(geometry, material);
+            ribbon.position.set(0, 70 + i * 8, -110 - i * 20);
+            ribbon.rotation.x = 0.25;
+            ribbon.frustumCulled = false;
+            ribbon.renderOrder = -1;
+            this.auroraGroup.add(ribbon);
+            this.auroraMaterials.push(material);
+        }
+
+        this.scene.add(this.auroraGroup);
+    }
+
+    _disposeAurora() {
+        if (!this.auroraGroup) return;
+        this.scene.remove(this.auroraGroup);
+        this.auroraGroup.traverse((obj) => {
+            if (obj.isMesh) {
+                obj.geometry.dispose();
+                obj.material.dispose();
+            }
+        });
+        this.auroraGroup = null;
+        this.auroraMaterials = [];
+    }
+
+    /**
+     * Blend toward the target state and drive snow, fog and aurora
+     * @param {number} time - Total elapsed time
+     * @param {number} delta - Time since last frame (seconds)
+     * @param {Object} playerPos - { x, z } aurora follows the player
+     */
+    update(time, delta, playerPos) {
+        const k = Math.min(1, (delta * 3) / WEATHER_BLEND_SECONDS);
+        for (const key in this.target) {
+            this.current[key] += (this.target[key] - this.current[key]) * k;
+        }
+        this.tintColor.lerp(this.targetTint, k);
+
+        const { current } = this;
+        this.snowfall?.setWeather({
+            density: current.snowDensity,
+            fallSpeed: current.fallSpeed,
+            wind: current.wind,
+        });
+
+        // Fog itself belongs to the mountain backdrop (created with the zone); weather only moves it
+        const fog = this.scene.fog;
+        if (fog?.isFog) {
+            fog.near = current.fogNear;
+            fog.far = current.fogFar;
+        }
+
+        if (this.auroraGroup) {
+            const visible = current.aurora > 0.01;
+            this.auroraGroup.visible = visible;
+            if (visible) {
+                this.auroraGroup.position.set(playerPos?.x || 0, 0, playerPos?.z || 0);
+                for (const material of this.auroraMaterials) {
+                    material.uniforms.time.value = time;
+                    material.uniforms.opacity.value = current.aurora * 0.6;
+                }
+            }
+        }
+    }
+
+    /**
+     * Dim lights and tint the sky/fog for the current weather.
+     * @param {Object} params
+     * @param {THREE.DirectionalLight} params.sunLight
+     * @param {THREE.AmbientLight} params.ambientLight
+     * @param {boolean} [params.fresh] - day/night just rewrote the lighting this frame (town)
+     */
+    applyLighting({ sunLight, ambientLight, fresh = false }) {
+        if (!sunLight || !ambientLight) return;
+        const background = this.scene.background?.isColor ? this.scene.background : null;
+
+        if (fresh || !this.baseLighting) {
+            this.baseLighting = {
+                sun: sunLight.intensity,
+                ambient: ambientLight.intensity,
+                sky: background ? background.clone() : null,
+            };
+        }
+
+        const { current, baseLighting } = this;
+        sunLight.intensity = baseLighting.sun * current.sun;
+        ambientLight.intensity = baseLighting.ambient * current.ambient;
+
+        if (baseLighting.sky) {
+            const sky = this._tempColor.copy(baseLighting.sky).lerp(this.tintColor, current.tintAmount);
+            background.copy(sky);
+            this.scene.fog?.color.copy(sky);
+        }
+    }
+
+    /**
+     * Clean up all resources
+     */
+    dispose() {
+        this._disposeAurora();
+        this.snowfall = null;
+        this.baseLighting = null;
+    }
+}
+
+export default WeatherSystem;
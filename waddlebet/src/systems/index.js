@@ -31,10 +31,10 @@ export { default as ParticleSystem } from './ParticleSystem';
 export { default as EmoteSystem, EMOTE_WHEEL_ITEMS, LOOPING_EMOTES, EMOTE_EMOJI_MAP } from './EmoteSystem';
 
 // Chat bubble system
-export { default as ChatBubbleManager, createChatSprite, getBubbleHeight, getNameHeight, BUBBLE_HEIGHT_PENGUIN, BUBBLE_HEIGHT_MARCUS, BUBBLE_HEIGHT_WHALE, NAME_HEIGHT_WHALE } from './ChatBubbleSystem';
+export { default as ChatBubbleManager, createChatSprite, shouldShowChatBubble, getBubbleHeight, getNameHeight, BUBBLE_HEIGHT_PENGUIN, BUBBLE_HEIGHT_MARCUS, BUBBLE_HEIGHT_WHALE, NAME_HEIGHT_WHALE } from './ChatBubbleSystem';
 
 // Multiplayer synchronization
-export { default as MultiplayerSync, hasAnimatedCosmetics, lerp, lerpRotation, calculateLerpFactor } from './MultiplayerSync';
+export { default as MultiplayerSync, hasAnimatedCosmetics, lerp, lerpRotation, calculateLerpFactor, applyPositionBatch } from './MultiplayerSync';
 
 // Match banner system (P2P)
 export { updateMatchBanners, cleanupMatchBanners, renderBannerToCanvas } from './MatchBannerSystem';
@@ -57,6 +57,9 @@ export { updateDayNightCycle, calculateNightFactor } from './DayNightUpdater';
 // Snowfall particle system
 export { default as SnowfallSystem } from './SnowfallSystem';
 
+// Weather (snow density, fog, lighting tint, aurora)
+export { default as WeatherSystem } from './WeatherSystem';
+
 // Wizard trail particle system
 export { default as WizardTrailSystem } from './WizardTrailSystem';
 
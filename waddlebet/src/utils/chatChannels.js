@@ -12,7 +12,7 @@ export const CHAT_CHANNELS = [
 export const CHAT_TAB_CONFIG = [
     { id: 'global', labelKey: 'chat.tab.global', headerKey: 'chat.header.all', icon: '🌍', writable: true },
     { id: 'room', labelKey: 'chat.tab.room', headerKey: 'chat.header.public', icon: '🏠', writable: true },
-    { id: 'guild', labelKey: 'chat.tab.guild', headerKey: 'chat.header.clan', icon: '⚔️', writable: false, comingSoon: true },
+    { id: 'guild', labelKey: 'chat.tab.guild', headerKey: 'chat.header.clan', icon: '⚔️', writable: true, requiresGuild: true },
     { id: 'whisper', labelKey: 'chat.tab.whisper', headerKey: 'chat.header.private', icon: '💬', writable: true, conditional: true },
     { id: 'casino', labelKey: 'chat.tab.casino', headerKey: 'chat.header.game', icon: '🎰', writable: false },
     { id: 'announcement', labelKey: 'chat.tab.announcement', headerKey: 'chat.header.news', icon: '📢', writable: false },
@@ -78,9 +78,9 @@ export function normalizeChatMessage(msg, playerId = null) {
         type = 'system';
     }
 
-    // Player-authored room/global lines must stay on the local renderer (staff tags, name colors).
+    // Player-authored room/global/guild lines must stay on the local renderer (staff tags, name colors).
     const senderId = msg.playerId || msg.senderId;
-    if ((channel === 'global' || channel === 'room') && senderId && senderId !== 'system') {
+    if (['global', 'room', 'guild'].includes(channel) && senderId && senderId !== 'system') {
         type = msg.metadata?.isAfk || msg.text?.startsWith('💤') ? 'afk' : 'local';
     }
 
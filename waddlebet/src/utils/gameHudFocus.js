@@ -1,3 +1,8 @@
+import { getInputManager } from '../systems/InputManager';
+
+/** Actions whose (rebindable) keys must not activate focused HUD buttons either */
+const GAME_CONTROL_ACTIONS = ['moveForward', 'moveBack', 'moveLeft', 'moveRight', 'jump', 'interact', 'emoteWheel', 'snowballThrow'];
+
 /** Key codes that control in-world movement / actions — must not activate focused HUD buttons. */
 export const GAME_CONTROL_KEY_CODES = new Set([
     'Space',
@@ -7,12 +12,19 @@ export const GAME_CONTROL_KEY_CODES = new Set([
     'ShiftLeft', 'ShiftRight',
 ]);
 
+/** Default game keys plus whatever the player has bound the in-world actions to */
+export function isGameControlKey(eventCode) {
+    if (GAME_CONTROL_KEY_CODES.has(eventCode)) return true;
+    const { bindings } = getInputManager();
+    return GAME_CONTROL_ACTIONS.some((action) => bindings[action] === eventCode);
+}
+
 /**
  * If a HUD control is focused, blur it so game keys (e.g. Space = jump) work normally.
  * Returns true when the event should be prevented (HUD button would otherwise fire).
  */
 export function releaseHudFocusForGameKey(eventCode, { preventDefault } = {}) {
-    if (!GAME_CONTROL_KEY_CODES.has(eventCode)) return false;
+    if (!isGameControlKey(eventCode)) return false;
 
     const active = document.activeElement;
     if (!active?.closest?.('[data-game-hud]')) return false;
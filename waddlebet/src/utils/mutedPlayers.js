@@ -0,0 +1,49 @@
+/**
+ * Client-side mute list — hides a player's chat bubbles and chat lines on this device only.
+ * Keyed by lowercase display name so guests can be muted too (blocking needs a wallet).
+ */
+
+const STORAGE_KEY = 'muted_players';
+export const MUTED_PLAYERS_EVENT = 'mutedPlayersChanged';
+
+let mutedCache = null;
+
+function loadMuted() {
+    if (mutedCache) return mutedCache;
+    try {
+        const raw = typeof window !== 'undefined' ? window.localStorage.getItem(STORAGE_KEY) : null;
+        const parsed = raw ? JSON.parse(raw) : [];
+        mutedCache = new Set(Array.isArray(parsed) ? parsed : []);
+    } catch {
+        mutedCache = new Set();
+    }
+    return mutedCache;
+}
+
+const normalizeName = (name) => (typeof name === 'string' ? name.trim().toLowerCase() : '');
+
+export function getMutedPlayers() {
+    return [...loadMuted()];
+}
+
+export function isPlayerMuted(name) {
+    const key = normalizeName(name);
+    return !!key && loadMuted().has(key);
+}
+
+export function setPlayerMuted(name, muted) {
+    const key = normalizeName(name);
+    if (!key) return;
+    const muteSet = loadMuted();
+    if (muted === muteSet.has(key)) return;
+
+    if (muted) muteSet.add(key);
+    else muteSet.delete(key);
+
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify([...muteSet]));
+    } catch {
+        // Ignore quota / private mode errors — the mute still applies this session
+    }
+    window.dispatchEvent(new CustomEvent(MUTED_PLAYERS_EVENT, { detail: { name: key, muted } }));
+}
@@ -1,7 +1,8 @@
 /**
  * Canvas drawing for in-world player nametags.
- * World tags show only the player name styled by tier (whitepaper colors).
- * Status labels (Diamond Flipper tier, Day 1, etc.) belong in the profile modal.
+ * World tags show the player name styled by tier (whitepaper colors), plus an
+ * optional guild tag badge above the name. Status labels (Diamond Flipper tier,
+ * Day 1, etc.) belong in the profile modal.
  */
 
 import { getTierConfig, DAY1_NAMETAG_COLORS } from '../config/whaleNametagTiers.js';
@@ -56,12 +57,39 @@ function drawStyledNameTag(ctx, name, cfg, tier) {
     ctx.shadowBlur = 0;
 }
 
+/** Small `[TAG]` badge centered above the name box (fits the 512×128 canvas top margin). */
+function drawGuildTagBadge(ctx, guildTag) {
+    const label = `[${guildTag}]`;
+    ctx.font = 'bold 20px sans-serif';
+    const w = Math.ceil(ctx.measureText(label).width) + 20;
+    const h = 26;
+    const x = 256 - w / 2;
+
+    ctx.fillStyle = 'rgba(30, 20, 60, 0.85)';
+    ctx.beginPath();
+    ctx.roundRect(x, 0, w, h, 8);
+    ctx.fill();
+
+    ctx.fillStyle = '#c4b5fd';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(label, 256, h / 2 + 1);
+}
+
 /**
  * @param {CanvasRenderingContext2D} ctx
  * @param {string} name
  * @param {string} style - default | day1 | whale | bronze | silver | gold | diamond | legendary
+ * @param {{ guildTag?: string | null }} [options]
  */
-export function drawNametagToCanvas(ctx, name, style = 'default') {
+export function drawNametagToCanvas(ctx, name, style = 'default', options = {}) {
+    drawNameBox(ctx, name, style);
+    if (options.guildTag) {
+        drawGuildTagBadge(ctx, options.guildTag);
+    }
+}
+
+function drawNameBox(ctx, name, style) {
     if (style === 'day1') {
         drawStyledNameTag(ctx, name, DAY1_NAMETAG_COLORS, 'gold');
         return;
@@ -2,6 +2,8 @@
  * Display labels and sort order for server population popup and HUD room titles.
  */
 
+import { isGuildHallRoom } from '../config/guilds.js';
+
 const ROOM_SORT_ORDER = [
     'town',
     'snow_forts',
@@ -34,6 +36,7 @@ const ROOM_EMOJI = {
     forest_trails: '🌲 ',
     igloo3: '🎵 ',
     travel_ferry: '🚢 ',
+    guild_hall: '⚔️ ',
 };
 
 /**
@@ -50,6 +53,11 @@ export function getRoomLabel(roomId, t, options = {}) {
         return emoji ? `${ROOM_EMOJI.travel_ferry || ''}${label}` : label;
     }
 
+    if (isGuildHallRoom(roomId)) {
+        const label = t('room.guildHall');
+        return emoji ? `${ROOM_EMOJI.guild_hall || ''}${label}` : label;
+    }
+
     if (roomId === 'igloo3') {
         const label = t('room.sknyGang');
         return emoji ? `${ROOM_EMOJI.igloo3 || ''}${label}` : label;
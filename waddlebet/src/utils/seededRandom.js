@@ -0,0 +1,20 @@
+/**
+ * Deterministic PRNG shared by the client and the server (server/utils/seededRandom.js).
+ * Seeded arcade runs and match replays both depend on each side drawing the same numbers.
+ */
+
+/**
+ * mulberry32
+ * @param {number} seed - 32-bit integer seed
+ * @returns {() => number} Random in [0, 1)
+ */
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
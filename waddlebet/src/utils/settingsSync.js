@@ -0,0 +1,34 @@
+/**
+ * Local side of account settings sync — per-key change times kept next to game_settings.
+ * The schema and merge rules live in config/userSettings.js.
+ */
+
+import { SETTINGS_SCHEMA_VERSION, SYNCED_SETTING_KEYS } from '../config/userSettings';
+
+export const SETTINGS_SYNC_STORAGE_KEY = 'waddlebet_settings_sync';
+
+/** @returns {Record<string, number>} key -> last local change (ms) */
+export function loadSettingsTimestamps() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SETTINGS_SYNC_STORAGE_KEY) || '{}');
+        return saved?.updatedAt && typeof saved.updatedAt === 'object' ? saved.updatedAt : {};
+    } catch {
+        return {};
+    }
+}
+
+export function saveSettingsTimestamps(updatedAt) {
+    try {
+        localStorage.setItem(SETTINGS_SYNC_STORAGE_KEY, JSON.stringify({ v: SETTINGS_SCHEMA_VERSION, updatedAt }));
+    } catch { /* ignore quota errors */ }
+}
+
+/**
+ * Synced keys whose value differs between two pickSyncedSettings() results
+ * @returns {string[]}
+ */
+export function diffSyncedSettings(previous, next) {
+    return SYNCED_SETTING_KEYS.filter(
+        (key) => JSON.stringify(previous[key]) !== JSON.stringify(next[key])
+    );
+}